@@ -7,24 +7,43 @@ BUILD_CONFIGURATION = {
     :modules => [
                  "./src/js-trees/src/utils.js",
                  "./src/js-trees/src/in_memory_b_tree.js",
+                 "./src/js-trees/src/in_memory_async_b_tree.js",
                  "./src/js-rdf-persistence/src/quad_index_common.js",
                  "./src/js-rdf-persistence/src/quad_index.js",
+                 "./src/js-rdf-persistence/src/fake_indexed_db.js",
+                 "./src/js-rdf-persistence/src/indexed_db_storage.js",
+                 "./src/js-rdf-persistence/src/quad_index_async.js",
+                 "./src/js-rdf-persistence/src/indexed_db_quad_index.js",
                  "./src/js-rdf-persistence/src/quad_backend.js",
+                 "./src/js-rdf-persistence/src/quad_backend_async.js",
                  "./src/js-rdf-persistence/src/lexicon.js",
+                 "./src/js-rdf-persistence/src/indexed_db_lexicon.js",
                  "./src/js-communication/src/ajax_transport.js",
                  "./src/js-communication/src/jsonld_parser.js",
                  "./node_modules/n3/lib/N3Lexer.js",
                  "./node_modules/n3/lib/N3Parser.js",
                  "./src/js-communication/src/rvn3_parser.js",
+                 "./src/js-communication/src/sparql_results.js",
+                 "./src/js-communication/src/sparql_results_serializer.js",
+                 "./src/js-communication/src/rdf_serializer.js",
+                 "./src/js-communication/src/trig_parser.js",
+                 "./src/js-communication/src/nquads_parser.js",
                  "./src/js-communication/src/rdf_loader.js",
                  "./src/js-sparql-parser/src/abstract_query_tree.js",
                  "./src/js-sparql-parser/src/sparql_parser.js",
-                 #"./src/js-communication/src/rdfxml_parser.js",
+                 "./src/js-communication/src/rdfxml_parser.js",
                  "./src/js-query-engine/src/rdf_js_interface.js",
+                 "./src/js-query-engine/src/hashes.js",
                  "./src/js-query-engine/src/query_filters.js",
                  #"./src/js-query-engine/src/query_plan.js",
                  "./src/js-query-engine/src/query_plan_sync_dpsize.js",
+                 "./src/js-query-engine/src/query_plan_async.js",
+                 "./src/js-query-engine/src/describe_strategies.js",
+                 "./src/js-query-engine/src/access_control.js",
+                 "./src/js-query-engine/src/execution_control.js",
+                 "./src/js-query-engine/src/query_explain.js",
                  "./src/js-query-engine/src/query_engine.js",
+                 "./src/js-query-engine/src/indexed_db_query_engine.js",
                  "./src/js-query-engine/src/callbacks.js",
                  "./src/js-connection/src/rdfstore_client.js",
                  "./src/js-store/src/store.js",
@@ -50,14 +69,24 @@ BUILD_CONFIGURATION = {
                  "./node_modules/n3/lib/N3Lexer.js",
                  "./node_modules/n3/lib/N3Parser.js",
                  "./src/js-communication/src/rvn3_parser.js",
+                 "./src/js-communication/src/sparql_results.js",
+                 "./src/js-communication/src/sparql_results_serializer.js",
+                 "./src/js-communication/src/rdf_serializer.js",
+                 "./src/js-communication/src/trig_parser.js",
+                 "./src/js-communication/src/nquads_parser.js",
                  "./src/js-communication/src/rdf_loader.js",
                  "./src/js-sparql-parser/src/abstract_query_tree.js",
                  "./src/js-sparql-parser/src/sparql_parser.js",
-                 #"./src/js-communication/src/rdfxml_parser.js",
+                 "./src/js-communication/src/rdfxml_parser.js",
                  "./src/js-query-engine/src/rdf_js_interface.js",
+                 "./src/js-query-engine/src/hashes.js",
                  "./src/js-query-engine/src/query_filters.js",
                  #"./src/js-query-engine/src/query_plan.js",
                  "./src/js-query-engine/src/query_plan_sync_dpsize.js",                 
+                 "./src/js-query-engine/src/describe_strategies.js",
+                 "./src/js-query-engine/src/access_control.js",
+                 "./src/js-query-engine/src/execution_control.js",
+                 "./src/js-query-engine/src/query_explain.js",
                  "./src/js-query-engine/src/query_engine.js",
                  "./src/js-query-engine/src/callbacks.js",
                  "./src/js-connection/src/rdfstore_client.js",
@@ -71,22 +100,45 @@ BUILD_CONFIGURATION = {
     :modules => [
                  "./src/js-trees/src/utils.js",
                  "./src/js-trees/src/in_memory_b_tree.js",
+                 "./src/js-trees/src/in_memory_async_b_tree.js",
+                 "./src/js-trees/src/disk_manager.js",
+                 "./src/js-trees/src/file_backed_b_tree.js",
                  "./src/js-rdf-persistence/src/quad_index_common.js",
                  "./src/js-rdf-persistence/src/quad_index.js",
+                 "./src/js-rdf-persistence/src/file_quad_index.js",
+                 "./src/js-rdf-persistence/src/fake_indexed_db.js",
+                 "./src/js-rdf-persistence/src/indexed_db_storage.js",
+                 "./src/js-rdf-persistence/src/quad_index_async.js",
+                 "./src/js-rdf-persistence/src/indexed_db_quad_index.js",
+                 "./src/js-rdf-persistence/src/write_ahead_log.js",
                  "./src/js-rdf-persistence/src/quad_backend.js",
+                 "./src/js-rdf-persistence/src/quad_backend_async.js",
                  "./src/js-rdf-persistence/src/lexicon.js",
+                 "./src/js-rdf-persistence/src/file_lexicon.js",
+                 "./src/js-rdf-persistence/src/indexed_db_lexicon.js",
                  "./src/js-communication/src/tcp_transport.js",
                  "./src/js-communication/src/jsonld_parser.js",
                  "./src/js-communication/src/rvn3_parser.js",
-                 #"./src/js-communication/src/rdfxml_parser.js",
+                 "./src/js-communication/src/rdfxml_parser.js",
+                 "./src/js-communication/src/sparql_results.js",
+                 "./src/js-communication/src/sparql_results_serializer.js",
+                 "./src/js-communication/src/rdf_serializer.js",
+                 "./src/js-communication/src/trig_parser.js",
+                 "./src/js-communication/src/nquads_parser.js",
                  "./src/js-communication/src/rdf_loader.js",
                  "./src/js-sparql-parser/src/abstract_query_tree.js",
                  "./src/js-sparql-parser/src/sparql_parser.js",
                  "./src/js-query-engine/src/rdf_js_interface.js",
+                 "./src/js-query-engine/src/hashes.js",
                  "./src/js-query-engine/src/query_filters.js",
                  "./src/js-query-engine/src/query_plan_sync_dpsize.js",
                  "./src/js-query-engine/src/query_plan_async.js",
+                 "./src/js-query-engine/src/describe_strategies.js",
+                 "./src/js-query-engine/src/access_control.js",
+                 "./src/js-query-engine/src/execution_control.js",
+                 "./src/js-query-engine/src/query_explain.js",
                  "./src/js-query-engine/src/query_engine.js",
+                 "./src/js-query-engine/src/indexed_db_query_engine.js",
                  "./src/js-query-engine/src/mongodb_query_engine.js",
                  "./src/js-query-engine/src/callbacks.js",
                  "./src/js-connection/src/rdfstore_child_client.js",
@@ -113,7 +165,9 @@ BUILD_CONFIGURATION = {
       :dependencies => {
         "mongodb"   => ">=0.9.7",
         "jsdom"     => ">0.8.4",
-        "n3"        => ">0.2.1"
+        "n3"        => ">0.2.1",
+        "put"       => ">=0.0.6",
+        "binary"    => ">=0.3.0"
       }
     }
   },
@@ -123,6 +177,7 @@ BUILD_CONFIGURATION = {
     :modules => [
                  "./src/js-trees/src/utils.js",
                  "./src/js-query-engine/src/rdf_js_interface.js",
+                 "./src/js-query-engine/src/hashes.js",
                  "./src/js-query-engine/src/query_filters.js",
                 ],
     :package => {
@@ -1,3166 +1,3039 @@
-var Utils = require("./../../js-trees/src/utils").Utils;
+// exports
+exports.JSONLDParser = {};
+var JSONLDParser = exports.JSONLDParser;
+
+// imports
+var NetworkTransport = require("./tcp_transport").NetworkTransport;
+var Utils = require("../../js-trees/src/utils").Utils;
 
 /**
- * Javascript implementation of JSON-LD.
+ * JSON-LD 1.1 processor: expansion, compaction, flattening,
+ * framing and conversion from and to RDF.
  *
- * @author Dave Longley
+ * Remote contexts are retrieved through a document loader,
+ * a function receiving an URL and a callback invoked with a
+ * success flag and an object {document: ..., documentUrl: ...}.
+ * The default loader uses the network transport, see
+ * JSONLDParser.documentLoaders.cache for a loader that serves
+ * documents from a local map.
  *
- * Copyright (c) 2011 Digital Bazaar, Inc. All rights reserved.
- */
-
-var jsonldParser = null;
-
-(function()
-{
-
-// used by Exception
-var _setMembers = function(self, obj)
-{
-   self.stack = '';
-   for(var key in obj)
-   {
-      self[key] = obj[key];
-   }
-};
-
-// define jsonld
-if(typeof(window) !== 'undefined')
-{
-   var jsonld = window.jsonld = window.jsonld || {};
-   Exception = function(obj)
-   {
-      _setMembers(this, obj);
-   };
-
-   // define js 1.8.5 Object.keys method unless present
-   if(!Object.keys)
-   {
-      Object.keys = function(o)
-      {  
-         if(o !== Object(o))
-         {
-            throw new TypeError('Object.keys called on non-object');
-         }
-         var rval = [];
-         for(var p in o)
-         {
-            if(Object.prototype.hasOwnProperty.call(o, p))
-            {
-               rval.push(p);
-            }
-         }
-         return rval;
-      };
-   }
-
-   if (!Array.prototype.filter)
-   {
-     Array.prototype.filter = function(fun /*, thisp */)
-     {
-       "use strict";
-    
-       if (this == null)
-         throw new TypeError();
-    
-       var t = Object(this);
-       var len = t.length >>> 0;
-       if (typeof fun != "function")
-         throw new TypeError();
-    
-       var res = [];
-       var thisp = arguments[1];
-       for (var i = 0; i < len; i++)
-       {
-         if (i in t)
-         {
-           var val = t[i]; // in case fun mutates this
-           if (fun.call(thisp, val, i, t))
-             res.push(val);
-         }
-       }
-    
-       return res;
-     };
-   }
-
-}
-// define node.js module
-else if(typeof(module) !== 'undefined' && module.exports)
-{
-   var jsonld = {};
-   //module.exports = jsonld;
-   Exception = function(obj)
-   {
-      _setMembers(this, obj);
-      this.stack = new Error().stack;
-   };
-}
-
-
-jsonldParser = jsonld;
-
-var defaultContext = { "rdf": "http://www.w3.org/1999/02/22-rdf-syntax-ns#",
-                       "rdfs": "http://www.w3.org/2000/01/rdf-schema#",
-                       "owl": "http://www.w3.org/2002/07/owl#",
-                       "xsd": "http://www.w3.org/2001/XMLSchema#",
-                       "dcterms": "http://purl.org/dc/terms/",
-                       "foaf": "http://xmlns.com/foaf/0.1/",
-                       "cal": "http://www.w3.org/2002/12/cal/ical#",
-                       "vcard": "http://www.w3.org/2006/vcard/ns# ",
-                       "geo": "http://www.w3.org/2003/01/geo/wgs84_pos#",
-                       "cc": "http://creativecommons.org/ns#",
-                       "sioc": "http://rdfs.org/sioc/ns#",
-                       "doap": "http://usefulinc.com/ns/doap#",
-                       "com": "http://purl.org/commerce#",
-                       "ps": "http://purl.org/payswarm#",
-                       "gr": "http://purl.org/goodrelations/v1#",
-                       "sig": "http://purl.org/signature#",
-                       "ccard": "http://purl.org/commerce/creditcard#"
-                     };
-
-/*
- * Globals and helper functions.
+ * Every operation receives an options object:
+ *  - base: base IRI of the document
+ *  - documentLoader: loader for remote documents and contexts
+ *  - expandContext: context applied to the input before expanding it
+ *  - processingMode: 'json-ld-1.1' (default) or 'json-ld-1.0'
+ *  - compactArrays: single values are not wrapped in arrays when compacting (default true)
+ *  - ordered: keys are processed in lexicographical order (default false)
+ *  - useNativeTypes, useRdfType: fromRDF conversion of literals and rdf:type
+ *  - embed, explicit, requireAll, omitDefault, omitGraph: framing flags
+ *
+ * Errors are returned as Error objects with the JSON-LD error code in their
+ * 'code' property.
  */
-var ns =
-{
-   xsd: 'http://www.w3.org/2001/XMLSchema#'
-};
 
-var xsd =
-{
-   'boolean': ns.xsd + 'boolean',
-   'double': ns.xsd + 'double',
-   'integer': ns.xsd + 'integer'
-};
+JSONLDParser.RDF_NS = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+JSONLDParser.XSD_NS = "http://www.w3.org/2001/XMLSchema#";
+
+JSONLDParser.RDF_TYPE = JSONLDParser.RDF_NS + "type";
+JSONLDParser.RDF_FIRST = JSONLDParser.RDF_NS + "first";
+JSONLDParser.RDF_REST = JSONLDParser.RDF_NS + "rest";
+JSONLDParser.RDF_NIL = JSONLDParser.RDF_NS + "nil";
+JSONLDParser.RDF_LIST = JSONLDParser.RDF_NS + "List";
+JSONLDParser.RDF_JSON = JSONLDParser.RDF_NS + "JSON";
+JSONLDParser.RDF_LANG_STRING = JSONLDParser.RDF_NS + "langString";
+JSONLDParser.XSD_STRING = JSONLDParser.XSD_NS + "string";
+JSONLDParser.XSD_BOOLEAN = JSONLDParser.XSD_NS + "boolean";
+JSONLDParser.XSD_INTEGER = JSONLDParser.XSD_NS + "integer";
+JSONLDParser.XSD_DOUBLE = JSONLDParser.XSD_NS + "double";
+
+JSONLDParser.keywords = ["@base", "@container", "@context", "@default", "@direction", "@embed", "@explicit",
+                         "@graph", "@id", "@import", "@included", "@index", "@json", "@language", "@list",
+                         "@nest", "@none", "@null", "@omitDefault", "@prefix", "@preserve", "@propagate",
+                         "@protected", "@requireAll", "@reverse", "@set", "@type", "@value", "@version", "@vocab"];
+
+// maximum number of nested remote contexts
+JSONLDParser.maxRemoteContexts = 32;
 
 /**
- * Sets a subject's property to the given object value. If a value already
- * exists, it will be appended to an array.
- *
- * @param s the subject.
- * @param p the property.
- * @param o the object.
+ * Builds an error with a JSON-LD error code
  */
-var _setProperty = function(s, p, o)
-{
-   if(p in s)
-   {
-      if(s[p].constructor === Array)
-      {
-         s[p].push(o);
-      }
-      else
-      {
-         s[p] = [s[p], o];
-      }
-   }
-   else
-   {
-      s[p] = o;
-   }
+JSONLDParser.error = function(code, message) {
+    var error = new Error(code + (message != null ? ": " + message : ""));
+    error.code = code;
+    return error;
 };
 
-/**
- * Clones an object, array, or string/number. If cloning an object, the keys
- * will be sorted.
- * 
- * @param value the value to clone.
- * 
- * @return the cloned value.
- */
-var _clone = function(value)
-{
-   var rval;
-   
-   if(value.constructor === Object)
-   {
-      rval = {};
-      var keys = Object.keys(value).sort();
-      for(var i in keys)
-      {
-         var key = keys[i];
-         rval[key] = _clone(value[key]);
-      }
-   }
-   else if(value.constructor === Array)
-   {
-      rval = [];
-      for(var i in value)
-      {
-         rval[i] = _clone(value[i]);
-      }
-   }
-   else
-   {
-      rval = value;
-   }
-   
-   return rval;
-};
 
-/**
- * Gets the keywords from a context.
- * 
- * @param ctx the context.
- * 
- * @return the keywords.
- */
-var _getKeywords = function(ctx)
-{
-   // TODO: reduce calls to this function by caching keywords in processor
-   // state
-   
-   var rval =
-   {
-      '@id': '@id',
-      '@language': '@language',
-      '@literal': '@literal',
-      '@type': '@type'
-   };
-   
-   if(ctx)
-   {
-      // gather keyword aliases from context
-      var keywords = {};
-      for(var key in ctx)
-      {
-         if(ctx[key].constructor === String && ctx[key] in rval)
-         {
-            keywords[ctx[key]] = key;
-         }
-      }
-      
-      // overwrite keywords
-      for(var key in keywords)
-      {
-         rval[key] = keywords[key];
-      }
-   }
-   
-   return rval;
-};
+// Document loaders
 
-/**
- * Gets the iri associated with a term.
- * 
- * @param ctx the context.
- * @param term the term.
- * 
- * @return the iri or NULL.
- */
-var _getTermIri = function(ctx, term)
-{
-   var rval = null;
-   if(term in ctx)
-   {
-      if(ctx[term].constructor === String)
-      {
-         rval = ctx[term];
-      }
-      else if(ctx[term].constructor === Object && '@id' in ctx[term])
-      {
-         rval = ctx[term]['@id'];
-      }
-   }
-   return rval;
-};
+JSONLDParser.documentLoaders = {};
 
 /**
- * Compacts an IRI into a term or prefix if it can be. IRIs will not be
- * compacted to relative IRIs if they match the given context's default
- * vocabulary.
- *
- * @param ctx the context to use.
- * @param iri the IRI to compact.
- * @param usedCtx a context to update if a value was used from "ctx".
- *
- * @return the compacted IRI as a term or prefix or the original IRI.
+ * Returns a document loader retrieving documents with a network transport,
+ * the default transport is used if none is provided.
  */
-var _compactIri = function(ctx, iri, usedCtx)
-{
-   var rval = null;
-   
-   // check the context for a term that could shorten the IRI
-   // (give preference to terms over prefixes)
-   for(var key in ctx)
-   {
-      // skip special context keys (start with '@')
-      if(key.length > 0 && key[0] !== '@')
-      {
-         // compact to a term
-         if(iri === _getTermIri(ctx, key))
-         {
-            rval = key;
-            if(usedCtx !== null)
-            {
-               usedCtx[key] = _clone(ctx[key]);
-            }
-            break;
-         }
-      }
-   }
-   
-   // term not found, if term is @type, use keyword
-   if(rval === null && iri === '@type')
-   {
-      rval = _getKeywords(ctx)['@type'];
-   }
-   
-   // term not found, check the context for a prefix
-   if(rval === null)
-   {
-      for(var key in ctx)
-      {
-         // skip special context keys (start with '@')
-         if(key.length > 0 && key[0] !== '@')
-         {
-            // see if IRI begins with the next IRI from the context
-            var ctxIri = _getTermIri(ctx, key);
-            if(ctxIri !== null)
-            {
-               var idx = iri.indexOf(ctxIri);
-               
-               // compact to a prefix
-               if(idx === 0 && iri.length > ctxIri.length)
-               {
-                  rval = key + ':' + iri.substr(ctxIri.length);
-                  if(usedCtx !== null)
-                  {
-                     usedCtx[key] = _clone(ctx[key]);
-                  }
-                  break;
-               }
-            }
-         }
-      }
-   }
-
-   // could not compact IRI
-   if(rval === null)
-   {
-      rval = iri;
-   }
-
-   return rval;
+JSONLDParser.documentLoaders.network = function(transport) {
+    return function(url, callback) {
+        (transport || NetworkTransport).load(url, "application/ld+json, application/json", function(success, results) {
+            if(success) {
+                callback(true, {document: results.data, documentUrl: url});
+            } else {
+                callback(false, "loading document failed: " + url);
+            }
+        });
+    };
 };
 
 /**
- * Expands a term into an absolute IRI. The term may be a regular term, a
- * prefix, a relative IRI, or an absolute IRI. In any case, the associated
- * absolute IRI will be returned.
- *
- * @param ctx the context to use.
- * @param term the term to expand.
- * @param usedCtx a context to update if a value was used from "ctx".
- *
- * @return the expanded term as an absolute IRI.
+ * Returns a document loader serving the documents in a map of URLs to
+ * JSON-LD documents. Documents missing from the map are retrieved with the
+ * fallback loader if one is provided and kept in the map for the next requests.
  */
-var _expandTerm = function(ctx, term, usedCtx)
-{
-   var rval = term;
-   
-   // get JSON-LD keywords
-   var keywords = _getKeywords(ctx);
-   
-   // 1. If the property has a colon, it is a prefix or an absolute IRI:
-   var idx = term.indexOf(':');
-   if(idx !== -1)
-   {
-      // get the potential prefix
-      var prefix = term.substr(0, idx);
-
-      // expand term if prefix is in context, otherwise leave it be
-      if(prefix in ctx)
-      {
-         // prefix found, expand property to absolute IRI
-         var iri = _getTermIri(ctx, prefix);
-         rval = iri + term.substr(idx + 1);
-         if(usedCtx !== null)
-         {
-            usedCtx[prefix] = _clone(ctx[prefix]);
-         }
-      }
-   }
-   // 2. If the property is in the context, then it's a term.
-   else if(term in ctx)
-   {
-      rval = _getTermIri(ctx, term);
-      if(usedCtx !== null)
-      {
-         usedCtx[term] = _clone(ctx[term]);
-      }
-   }
-   // 3. The property is a keyword.
-   else
-   {
-      for(var key in keywords)
-      {
-         if(term === keywords[key])
-         {
-            rval = key;
-            break;
-         }
-      }
-   }
-   
-   return rval;
+JSONLDParser.documentLoaders.cache = function(documents, loader) {
+    documents = documents || {};
+    return function(url, callback) {
+        if(documents[url] != null) {
+            callback(true, {document: documents[url], documentUrl: url});
+        } else if(loader != null) {
+            loader(url, function(success, remote) {
+                if(success) {
+                    documents[url] = remote.document;
+                }
+                callback(success, remote);
+            });
+        } else {
+            callback(false, "loading document failed: " + url);
+        }
+    };
 };
 
-/**
- * Sorts the keys in a context.
- * 
- * @param ctx the context to sort.
- * 
- * @return the sorted context.
- */
-var _sortContextKeys = function(ctx)
-{
-   // sort keys
-   var rval = {};
-   var keys = Object.keys(ctx).sort();
-   for(var k in keys)
-   {
-      var key = keys[k];
-      rval[key] = ctx[key];
-   }
-   return rval;
-};
+// loader used when no documentLoader option is provided
+JSONLDParser.documentLoader = JSONLDParser.documentLoaders.network();
+
+
+// API
 
 /**
- * Gets whether or not a value is a reference to a subject (or a subject with
- * no properties).
- * 
- * @param value the value to check.
- * 
- * @return true if the value is a reference to a subject, false if not.
+ * Expands a JSON-LD document, the input can be the document or its URL.
  */
-var _isReference = function(value)
-{
-   // Note: A value is a reference to a subject if all of these hold true:
-   // 1. It is an Object.
-   // 2. It is has an @id key.
-   // 3. It has only 1 key.
-   return (value !== null &&
-      value.constructor === Object &&
-      '@id' in value &&
-      Object.keys(value).length === 1);
+JSONLDParser.expand = function(input, options, callback) {
+    JSONLDParser.run(input, [], options, callback, function(processor, input) {
+        return processor.expandDocument(input);
+    });
 };
 
 /**
- * Gets whether or not a value is a subject with properties.
- * 
- * @param value the value to check.
- * 
- * @return true if the value is a subject with properties, false if not.
- */
-var _isSubject = function(value)
-{
-   var rval = false;
-   
-   // Note: A value is a subject if all of these hold true:
-   // 1. It is an Object.
-   // 2. It is not a literal.
-   // 3. It has more than 1 key OR any existing key is not '@id'.
-   if(value !== null && value.constructor === Object && !('@literal' in value))
-   {
-      var keyCount = Object.keys(value).length;
-      rval = (keyCount > 1 || !('@id' in value));
-   }
-   
-   return rval;
-};
-
-/*
- * JSON-LD API.
+ * Compacts a JSON-LD document according to the provided context.
  */
+JSONLDParser.compact = function(input, context, options, callback) {
+    JSONLDParser.run(input, [context], options, callback, function(processor, input, context) {
+        return processor.compactDocument(processor.expandDocument(input), context);
+    });
+};
 
 /**
- * Normalizes a JSON-LD object.
- *
- * @param input the JSON-LD object to normalize.
- * 
- * @return the normalized JSON-LD object.
+ * Flattens a JSON-LD document, the result is compacted if a context is provided.
  */
-jsonld.normalize = function(input)
-{
-   return new Processor().normalize(input);
+JSONLDParser.flatten = function(input, context, options, callback) {
+    JSONLDParser.run(input, [context], options, callback, function(processor, input, context) {
+        return processor.flattenDocument(processor.expandDocument(input), context);
+    });
 };
 
 /**
- * Removes the context from a JSON-LD object, expanding it to full-form.
- *
- * @param input the JSON-LD object to remove the context from.
- * 
- * @return the context-neutral JSON-LD object.
+ * Frames a JSON-LD document using the provided frame.
  */
-jsonld.expand = function(input)
-{
-   return new Processor().expand({}, null, input);
+JSONLDParser.frame = function(input, frame, options, callback) {
+    JSONLDParser.run(input, [frame], options, callback, function(processor, input, frame) {
+        if(typeof(frame) === 'string') {
+            frame = processor.remoteDocuments[Utils.resolveUri(processor.options.base || "", frame)];
+        }
+        return processor.frameDocument(processor.expandDocument(input), frame);
+    });
 };
 
 /**
- * Expands the given JSON-LD object and then compacts it using the
- * given context.
- *
- * @param ctx the new context to use.
- * @param input the input JSON-LD object.
- * 
- * @return the output JSON-LD object.
+ * Transforms a JSON-LD document into an array of quads, terms have the format
+ * produced by the rest of the parsers and the graph of the quads in the default graph is null.
  */
-jsonld.compact = function(ctx, input)
-{
-   var rval = null;
-   
-   // TODO: should context simplification be optional? (ie: remove context
-   // entries that are not used in the output)
-
-   if(input !== null)
-   {
-      // fully expand input
-      input = jsonld.expand(input);
-      
-      var tmp;
-      if(input.constructor === Array)
-      {
-         rval = [];
-         tmp = input;
-      }
-      else
-      {
-         tmp = [input];
-      }
-      
-      // merge context if it is an array
-      if(ctx.constructor === Array)
-      {
-         ctx = jsonld.mergeContexts({}, ctx);
-      }
-      
-      for(var i in tmp)
-      {
-         // setup output context
-         var ctxOut = {};
-         
-         // compact
-         var out = new Processor().compact(_clone(ctx), null, tmp[i], ctxOut);
-         
-         // add context if used
-         if(Object.keys(ctxOut).length > 0)
-         {
-            // sort context keys
-            ctxOut = _sortContextKeys(ctxOut);
-            
-            // sort keys
-            var keys = Object.keys(out);
-            keys.sort();
-            
-            // put @context first
-            keys.unshift('@context');
-            out['@context'] = ctxOut;
-            
-            // order keys in output
-            var ordered = {};
-            for(var k in keys)
-            {
-               var key = keys[k];
-               ordered[key] = out[key];
-            }
-            out = ordered;
-         }
-         
-         if(rval === null)
-         {
-            rval = out;
-         }
-         else
-         {
-            rval.push(out);
-         }
-      }
-   }
-
-   return rval;
+JSONLDParser.toRDF = function(input, options, callback) {
+    JSONLDParser.run(input, [], options, callback, function(processor, input) {
+        return processor.toRDF(processor.expandDocument(input));
+    });
 };
 
 /**
- * Merges one context with another.
- *
- * @param ctx1 the context to overwrite/append to.
- * @param ctx2 the new context to merge onto ctx1.
- *
- * @return the merged context.
+ * Transforms an array of quads into an expanded JSON-LD document.
+ * Terms can use the format of the parsers or be RDF JS Interface nodes.
  */
-jsonld.mergeContexts = function(ctx1, ctx2)
-{
-   // merge first context if it is an array
-   if(ctx1.constructor === Array)
-   {
-      ctx1 = jsonld.mergeContexts({}, ctx1);
-   }
-   
-   // copy context to merged output
-   var merged = _clone(ctx1);
-   
-   if(ctx2.constructor === Array)
-   {
-      // merge array of contexts in order
-      for(var i in ctx2)
-      {
-         merged = jsonld.mergeContexts(merged, ctx2[i]);
-      }
-   }
-   else
-   {
-      // if the new context contains any IRIs that are in the merged context,
-      // remove them from the merged context, they will be overwritten
-      for(var key in ctx2)
-      {
-         // ignore special keys starting with '@'
-         if(key.indexOf('@') !== 0)
-         {
-            for(var mkey in merged)
-            {
-               if(merged[mkey] === ctx2[key])
-               {
-                  // FIXME: update related coerce rules
-                  delete merged[mkey];
-                  break;
-               }
-            }
-         }
-      }
-   
-      // merge contexts
-      for(var key in ctx2)
-      {
-         merged[key] = _clone(ctx2[key]);
-      }
-   }
-
-   return merged;
+JSONLDParser.fromRDF = function(quads, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    try {
+        callback(true, new JSONLDParser.Processor(options).fromRDF(quads));
+    } catch(e) {
+        callback(false, e);
+    }
 };
 
 /**
- * Expands a term into an absolute IRI. The term may be a regular term, a
- * prefix, a relative IRI, or an absolute IRI. In any case, the associated
- * absolute IRI will be returned.
- *
- * @param ctx the context to use.
- * @param term the term to expand.
- *
- * @return the expanded term as an absolute IRI.
+ * Loads the input document, when it is an URL, and every remote context
+ * referenced in the input and the additional documents before invoking the
+ * operation with a processor able to resolve them.
  */
-jsonld.expandTerm = _expandTerm;
+JSONLDParser.run = function(input, documents, options, callback, operation) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    var copy = {};
+    for(var p in options) {
+        copy[p] = options[p];
+    }
+    options = copy;
+    var loader = options.documentLoader || JSONLDParser.documentLoader;
+
+    var withInput = function(input) {
+        var roots = [input].concat(documents);
+        if(options.expandContext != null) {
+            roots.push(options.expandContext);
+        }
+        JSONLDParser.loadRemoteContexts(roots, options.base, loader, {}, function(success, remotes) {
+            if(!success) {
+                return callback(false, remotes);
+            }
 
-/**
- * Compacts an IRI into a term or prefix if it can be. IRIs will not be
- * compacted to relative IRIs if they match the given context's default
- * vocabulary.
- *
- * @param ctx the context to use.
- * @param iri the IRI to compact.
- *
- * @return the compacted IRI as a term or prefix or the original IRI.
- */
-jsonld.compactIri = function(ctx, iri)
-{
-   return _compactIri(ctx, iri, null);
+            options.remoteDocuments = remotes;
+            var result;
+            try {
+                var processor = new JSONLDParser.Processor(options);
+                result = operation.apply(null, [processor, input].concat(documents));
+            } catch(e) {
+                return callback(false, e);
+            }
+            callback(true, result);
+        });
+    };
+
+    if(typeof(input) === 'string') {
+        loader(input, function(success, remote) {
+            if(!success) {
+                return callback(false, JSONLDParser.error("loading document failed", remote));
+            }
+            try {
+                var document = JSONLDParser.parseDocument(remote.document);
+            } catch(e) {
+                return callback(false, e);
+            }
+            if(options.base == null) {
+                options.base = remote.documentUrl || input;
+            }
+            withInput(document);
+        });
+    } else {
+        withInput(input);
+    }
 };
 
-/**
- * Frames JSON-LD input.
- * 
- * @param input the JSON-LD input.
- * @param frame the frame to use.
- * @param options framing options to use.
- * 
- * @return the framed output.
- */
-jsonld.frame = function(input, frame, options)
-{
-   return new Processor().frame(input, frame, options);
+JSONLDParser.parseDocument = function(document) {
+    if(typeof(document) === 'string') {
+        try {
+            return JSON.parse(document);
+        } catch(e) {
+            throw JSONLDParser.error("loading document failed", e.message);
+        }
+    }
+    return document;
 };
 
 /**
- * Generates triples given a JSON-LD input. Each triple that is generated
- * results in a call to the given callback. The callback takes 3 parameters:
- * subject, property, and object. If the callback returns false then this
- * method will stop generating triples and return. If the callback is null,
- * then an array with triple objects containing "s", "p", "o" properties will
- * be returned.
- * 
- * The object or "o" property will be a JSON-LD formatted object.
- * 
- * @param input the JSON-LD input.
- * @param callback the triple callback.
- * 
- * @return an array of triple objects if callback is null, null otherwise.
+ * Retrieves the documents referenced by @context and @import entries in the
+ * values and in the retrieved contexts. The callback receives a map from
+ * resolved URLs to documents.
  */
-jsonld.toTriples = function(input, graph, callback)
-{
-   var rval = null;
-   
-   // normalize input
-   var normalized = jsonld.normalize(input);
-   
-   // setup default callback
-   callback = callback || null;
-   if(callback === null)
-   {
-      rval = [];
-      callback = function(s, p, o)
-      {
-         rval.push({'subject': Utils.lexicalFormTerm(s), 
-                    'predicate': Utils.lexicalFormTerm(p), 
-                    'object': Utils.lexicalFormTerm(o), 
-                    'graph': graph});
-      };
-   }
-   
-   // generate triples
-   var quit = false;
-   for(var i1 in normalized)
-   {
-      var e = normalized[i1];
-      var s = e['@id'];
-       if(s[0] == "_") {
-           s = {'token':'blank', 'value':s.split(":")[1]};
-       } else {
-           s = {'token':'uri', 'value':s};
-       }
-
-      for(var p in e)
-      {
-         if(p !== '@id')
-         {
-	     var obj = e[p];
-             if(obj.constructor !== Array)
-             {
-		 obj = [obj];
-             }
-            for(var i2 in obj)
-            {
-                var obji2 = obj[i2];
-		if(p === '@type' || p === 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type') {
-		    p = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
-                    obji2 = {'token':'uri', 'value':obji2};		    
-                } else if(typeof(obji2) === 'string') {
-                    obji2 = {'token': 'literal', 'value':obji2};
-                } else if(obji2['@id'] != null) {
-                    if(obji2['@id'][0] == "_") {
-                        obji2 = {'token':'blank', 'value':obji2['@id'].split(":")[1]};
-                    } else {
-                        obji2 = {'token':'uri', 'value':obji2['@id']};
-                    }
-                } else if(obji2['@type'] != null) {
-                    obji2 = {'token':'literal', 'value':obji2['@literal'], 'type':obji2['@type']};
-                } else if(obji2['@language'] != null) {
-                    obji2 = {'token':'literal', 'value':obji2['@literal'], 'lang':obji2['@language']};
+JSONLDParser.loadRemoteContexts = function(values, base, loader, remotes, callback) {
+    var pending = [];
+    var collect = function(value, base, isContext) {
+        if(typeof(value) === 'string') {
+            if(isContext) {
+                pending.push(Utils.resolveUri(base || "", value));
+            }
+        } else if(value != null && typeof(value) === 'object') {
+            for(var p in value) {
+                if(p === '@context') {
+                    collect(value[p], base, true);
+                } else if(p === '@import' && isContext) {
+                    collect(value[p], base, true);
+                } else if(isContext && JSONLDParser.isArray(value)) {
+                    collect(value[p], base, true);
+                } else {
+                    collect(value[p], base, false);
                 }
+            }
+        }
+    };
+    for(var i=0; i<values.length; i++) {
+        if(typeof(values[i]) === 'string') {
+            pending.push(Utils.resolveUri(base || "", values[i]));
+        } else {
+            collect(values[i], base, false);
+        }
+    }
 
-		quit = (callback(s, {'token':'uri', 'value':p}, obji2) === false);
-		if(quit)
-		{
-                    break;
-		}
+    var next = function() {
+        var url = pending.shift();
+        while(url != null && remotes.hasOwnProperty(url)) {
+            url = pending.shift();
+        }
+        if(url == null) {
+            return callback(true, remotes);
+        }
+        loader(url, function(success, remote) {
+            if(!success) {
+                return callback(false, JSONLDParser.error("loading remote context failed", url));
             }
-            if(quit)
-            {
-               break;
+            try {
+                var document = JSONLDParser.parseDocument(remote.document);
+            } catch(e) {
+                return callback(false, JSONLDParser.error("loading remote context failed", url));
             }
-         }
-      }
-      if(quit)
-      {
-         break;
-      }
-   }
-   
-   return rval;
+            remotes[url] = document;
+            collect(document, remote.documentUrl || url, false);
+            next();
+        });
+    };
+    next();
 };
 
-/**
- * Resolves external @context URLs. Every @context URL in the given JSON-LD
- * object is resolved using the given URL-resolver function. Once all of
- * the @contexts have been resolved, the given result callback is invoked.
- * 
- * @param input the JSON-LD input object (or array).
- * @param resolver the resolver method that takes a URL and a callback that
- *           receives a JSON-LD serialized @context or null on error (with
- *           optional an error object as the second parameter).
- * @param callback the callback to be invoked with the fully-resolved
- *           JSON-LD output (object or array) or null on error (with an
- *           optional error array as the second parameter).
- */
-jsonld.resolve = function(input, resolver, callback)
-{
-   // find all @context URLs
-   var urls = {};
-   var findUrls = function(input, replace)
-   {
-      if(input.constructor === Array)
-      {
-         for(var i in input)
-         {
-            findUrls(input[i]);
-         }
-      }
-      else if(input.constructor === Object)
-      {
-         for(var key in input)
-         {
-            if(key === '@context')
-            {
-               // @context is an array that might contain URLs
-               if(input[key].constructor === Array)
-               {
-                  var list = input[key];
-                  for(var i in list)
-                  {
-                     if(list[i].constructor === String)
-                     {
-                        // replace w/resolved @context if appropriate
-                        if(replace)
-                        {
-                           list[i] = urls[list[i]];
-                        }
-                        // unresolved @context found
-                        else
-                        {
-                           urls[list[i]] = {};
-                        }
-                     }
-                  }
-               }
-               else if(input[key].constructor === String)
-               {
-                  // replace w/resolved @context if appropriate
-                  if(replace)
-                  {
-                     input[key] = urls[input[key]];
-                  }
-                  // unresolved @context found
-                  else
-                  {
-                     urls[input[key]] = {};
-                  }
-               }
-            }
-         }
-      }
-   };
-   findUrls(input, false);
-   
-   // state for resolving URLs
-   var count = Object.keys(urls).length;
-   var errors = null;
-   
-   if(count === 0)
-   {
-      callback(input, errors);
-   }
-   else
-   {
-      // resolve all URLs
-      for(var url in urls)
-      {
-         resolver(url, function(result, error)
-         {
-            --count;
-            
-            if(result === null)
-            {
-               errors = errors || [];
-               errors.push({ url: url, error: error });
-            }
-            else
-            {
-               try
-               {
-                  if(result.constructor === String)
-                  {
-                     urls[url] = JSON.parse(result)['@context'];
-                  }
-                  else
-                  {
-                     urls[url] = result['@context'];
-                  }
-               }
-               catch(ex)
-               {
-                  errors = errors || [];
-                  errors.push({ url: url, error: ex });
-               }
-            }
-            
-            if(count === 0)
-            {
-               if(errors === null)
-               {
-                  findUrls(input, true);
-               }
-               callback(input, errors);
-            }
-         });
-      }
-   }
-};
-
-// TODO: organizational rewrite
 
-/**
- * Constructs a new JSON-LD processor.
- */
-var Processor = function()
-{
-};
+// Processor
 
-/**
- * Recursively compacts a value. This method will compact IRIs to prefixes or
- * terms and do reverse type coercion to compact a value.
- *
- * @param ctx the context to use.
- * @param property the property that points to the value, NULL for none.
- * @param value the value to compact.
- * @param usedCtx a context to update if a value was used from "ctx".
- *
- * @return the compacted value.
- */
-Processor.prototype.compact = function(ctx, property, value, usedCtx)
-{
-   var rval;
-   
-   // get JSON-LD keywords
-   var keywords = _getKeywords(ctx);
-   
-   if(value === null)
-   {
-      // return null, but check coerce type to add to usedCtx
-      rval = null;
-      this.getCoerceType(ctx, property, usedCtx);
-   }
-   else if(value.constructor === Array)
-   {
-      // recursively add compacted values to array
-      rval = [];
-      for(var i in value)
-      {
-         rval.push(this.compact(ctx, property, value[i], usedCtx));
-      }
-   }
-   // graph literal/disjoint graph
-   else if(
-      value.constructor === Object &&
-      '@id' in value && value['@id'].constructor === Array)
-   {
-      rval = {};
-      rval[keywords['@id']] = this.compact(
-         ctx, property, value['@id'], usedCtx);
-   }
-   // recurse if value is a subject
-   else if(_isSubject(value))
-   {
-      // recursively handle sub-properties that aren't a sub-context
-      rval = {};
-      for(var key in value)
-      {
-         if(value[key] !== '@context')
-         {
-            // set object to compacted property, only overwrite existing
-            // properties if the property actually compacted
-            var p = _compactIri(ctx, key, usedCtx);
-            if(p !== key || !(p in rval))
-            {
-               // FIXME: clean old values from the usedCtx here ... or just
-               // change usedCtx to be built at the end of processing?
-               rval[p] = this.compact(ctx, key, value[key], usedCtx);
-            }
-         }
-      }
-   }
-   else
-   {
-      // get coerce type
-      var coerce = this.getCoerceType(ctx, property, usedCtx);
-      
-      // get type from value, to ensure coercion is valid
-      var type = null;
-      if(value.constructor === Object)
-      {
-         // type coercion can only occur if language is not specified
-         if(!('@language' in value))
-         {
-            // type must match coerce type if specified
-            if('@type' in value)
-            {
-               type = value['@type'];
-            }
-            // type is ID (IRI)
-            else if('@id' in value)
-            {
-               type = '@id';
-            }
-            // can be coerced to any type
-            else
-            {
-               type = coerce;
-            }
-         }
-      }
-      // type can be coerced to anything
-      else if(value.constructor === String)
-      {
-         type = coerce;
-      }
-
-      // types that can be auto-coerced from a JSON-builtin
-      if(coerce === null &&
-         (type === xsd['boolean'] || type === xsd['integer'] ||
-         type === xsd['double']))
-      {
-         coerce = type;
-      }
-
-      // do reverse type-coercion
-      if(coerce !== null)
-      {
-         // type is only null if a language was specified, which is an error
-         // if type coercion is specified
-         if(type === null)
-         {
-            throw {
-               message: 'Cannot coerce type when a language is specified. ' +
-                  'The language information would be lost.'
-            };
-         }
-         // if the value type does not match the coerce type, it is an error
-         else if(type !== coerce)
-         {
-            throw new Exception({
-               message: 'Cannot coerce type because the type does ' +
-                  'not match.',
-               type: type,
-               expected: coerce
-            });
-         }
-         // do reverse type-coercion
-         else
-         {
-            if(value.constructor === Object)
-            {
-               if('@id' in value)
-               {
-                  rval = value['@id'];
-               }
-               else if('@literal' in value)
-               {
-                  rval = value['@literal'];
-               }
-            }
-            else
-            {
-               rval = value;
-            }
-
-            // do basic JSON types conversion
-            if(coerce === xsd['boolean'])
-            {
-               rval = (rval === 'true' || rval != 0);
-            }
-            else if(coerce === xsd['double'])
-            {
-               rval = parseFloat(rval);
-            }
-            else if(coerce === xsd['integer'])
-            {
-               rval = parseInt(rval);
-            }
-         }
-      }
-      // no type-coercion, just change keywords/copy value
-      else if(value.constructor === Object)
-      {
-         rval = {};
-         for(var key in value)
-         {
-            rval[keywords[key]] = value[key];
-         }
-      }
-      else
-      {
-         rval = _clone(value);
-      }
-
-      // compact IRI
-      if(type === '@id')
-      {
-         if(rval.constructor === Object)
-         {
-            rval[keywords['@id']] = _compactIri(
-               ctx, rval[keywords['@id']], usedCtx);
-         }
-         else
-         {
-            rval = _compactIri(ctx, rval, usedCtx);
-         }
-      }
-   }
-
-   return rval;
+JSONLDParser.Processor = function(options) {
+    this.options = options || {};
+    this.processingMode = this.options.processingMode || 'json-ld-1.1';
+    this.remoteDocuments = this.options.remoteDocuments || {};
+    this.blankCounter = 0;
+    this.blankMap = {};
 };
 
-/**
- * Recursively expands a value using the given context. Any context in
- * the value will be removed.
- *
- * @param ctx the context.
- * @param property the property that points to the value, NULL for none.
- * @param value the value to expand.
- *
- * @return the expanded value.
- */
-Processor.prototype.expand = function(ctx, property, value)
-{
-   var rval;
-   
-   // TODO: add data format error detection?
-   
-   // value is null, nothing to expand
-   if(value === null)
-   {
-      rval = null;
-   }
-   // if no property is specified and the value is a string (this means the
-   // value is a property itself), expand to an IRI
-   else if(property === null && value.constructor === String)
-   {
-      rval = _expandTerm(ctx, value, null);
-   }
-   else if(value.constructor === Array)
-   {
-      // recursively add expanded values to array
-      rval = [];
-      for(var i in value)
-      {
-         rval.push(this.expand(ctx, property, value[i]));
-      }
-   }
-   else if(value.constructor === Object)
-   {
-      // if value has a context, use it
-      if('@context' in value)
-      {
-         ctx = jsonld.mergeContexts(ctx, value['@context']);
-      }
-      
-      // recursively handle sub-properties that aren't a sub-context
-      rval = {};
-      for(var key in value)
-      {
-         // preserve frame keywords
-         if(key === '@embed' || key === '@explicit' ||
-            key === '@default' || key === '@omitDefault')
-         {
-            _setProperty(rval, key, _clone(value[key]));
-         }
-         else if(key !== '@context')
-         {
-            // set object to expanded property
-            _setProperty(
-               rval, _expandTerm(ctx, key, null),
-               this.expand(ctx, key, value[key]));
-         }
-      }
-   }
-   else
-   {
-      // do type coercion
-      var coerce = this.getCoerceType(ctx, property, null);
-
-      // get JSON-LD keywords
-      var keywords = _getKeywords(ctx);
-
-      // automatic coercion for basic JSON types
-      if(coerce === null &&
-         (value.constructor === Number || value.constructor === Boolean))
-      {
-         if(value.constructor === Boolean)
-         {
-            coerce = xsd['boolean'];
-         }
-         else if(('' + value).indexOf('.') == -1)
-         {
-            coerce = xsd['integer'];
-         }
-         else
-         {
-            coerce = xsd['double'];
-         }
-      }
-      
-      // special-case expand @id and @type (skips '@id' expansion)
-      if(property === keywords['@id'] || property === keywords['@type'])
-      {
-         rval = _expandTerm(ctx, value, null);
-      }
-      // coerce to appropriate type
-      else if(coerce !== null)
-      {
-         rval = {};
-         
-         // expand ID (IRI)
-         if(coerce === '@id')
-         {
-            rval['@id'] = _expandTerm(ctx, value, null);
-         }
-         // other type
-         else
-         {
-            rval['@type'] = coerce;
-            if(coerce === xsd['double'])
-            {
-               // do special JSON-LD double format
-               value = value.toExponential(6).replace(
-                  /(e(?:\+|-))([0-9])$/, '$10$2');
-            }
-            rval['@literal'] = '' + value;
-         }
-      }
-      // nothing to coerce
-      else
-      {
-         rval = '' + value;
-      }
-   }
-   
-   return rval;
+JSONLDParser.Processor.prototype.initialContext = function() {
+    var base = this.options.base || null;
+    return {base: base, originalBase: base, terms: {}, inverse: null};
 };
 
-/**
- * Normalizes a JSON-LD object.
- *
- * @param input the JSON-LD object to normalize.
- * 
- * @return the normalized JSON-LD object.
- */
-Processor.prototype.normalize = function(input)
-{
-   var rval = [];
-
-   // TODO: validate context
-   
-   if(input !== null)
-   {
-      // create name generator state
-      this.ng =
-      {
-         tmp: null,
-         c14n: null
-      };
-      
-      // expand input
-      var expanded = this.expand(defaultContext, null, input);
-      
-      // assign names to unnamed bnodes
-      this.nameBlankNodes(expanded);
-      
-      // flatten
-      var subjects = {};
-      _flatten(null, null, expanded, subjects);
-
-      // append subjects with sorted properties to array
-      for(var key in subjects)
-      {
-         var s = subjects[key];
-         var sorted = {};
-         var keys = Object.keys(s).sort();
-         for(var i in keys)
-         {
-            var k = keys[i];
-            sorted[k] = s[k];
-         }
-         rval.push(sorted);
-      }
-
-      // canonicalize blank nodes
-      this.canonicalizeBlankNodes(rval);
-
-      // sort output
-      rval.sort(function(a, b)
-      {
-         return _compare(a['@id'], b['@id']);
-      });
-   }
-
-   return rval;
+JSONLDParser.Processor.prototype.isProcessingMode10 = function() {
+    return this.processingMode === 'json-ld-1.0';
 };
 
-/**
- * Gets the coerce type for the given property.
- *
- * @param ctx the context to use.
- * @param property the property to get the coerced type for.
- * @param usedCtx a context to update if a value was used from "ctx".
- *
- * @return the coerce type, null for none.
- */
-Processor.prototype.getCoerceType = function(ctx, property, usedCtx)
-{
-   var rval = null;
-
-   // get expanded property
-   var p = _expandTerm(ctx, property, null);
-   
-   // built-in type coercion JSON-LD-isms
-   if(p === '@id' || p === '@type')
-   {
-      rval = '@id';
-   }
-   else
-   {
-      // look up compacted property for a coercion type
-      p = _compactIri(ctx, p, null);
-      if(p in ctx && ctx[p].constructor === Object && '@type' in ctx[p])
-      {
-         // property found, return expanded type
-         var type = ctx[p]['@type'];
-         rval = _expandTerm(ctx, type, usedCtx);
-         if(usedCtx !== null)
-         {
-            usedCtx[p] = _clone(ctx[p]);
-         }
-      }
-   }
-   
-   return rval;
-};
-
-var _isBlankNodeIri = function(v)
-{
-   return v.indexOf('_:') === 0;
-};
-
-var _isNamedBlankNode = function(v)
-{
-   // look for "_:" at the beginning of the subject
-   return (
-      v.constructor === Object && '@id' in v && _isBlankNodeIri(v['@id']));
-};
-
-var _isBlankNode = function(v)
-{
-   // look for a subject with no ID or a blank node ID
-   return (_isSubject(v) && (!('@id' in v) || _isNamedBlankNode(v)));
+JSONLDParser.Processor.prototype.generateBlank = function(identifier) {
+    if(identifier != null && this.blankMap[identifier] != null) {
+        return this.blankMap[identifier];
+    }
+    var blank = "_:b" + this.blankCounter;
+    this.blankCounter++;
+    if(identifier != null) {
+        this.blankMap[identifier] = blank;
+    }
+    return blank;
 };
 
-/**
- * Compares two values.
- * 
- * @param v1 the first value.
- * @param v2 the second value.
- * 
- * @return -1 if v1 < v2, 0 if v1 == v2, 1 if v1 > v2.
- */
-var _compare = function(v1, v2)
-{
-   var rval = 0;
-   
-   if(v1.constructor === Array && v2.constructor === Array)
-   {
-      for(var i = 0; i < v1.length && rval === 0; ++i)
-      {
-         rval = _compare(v1[i], v2[i]);
-      }
-   }
-   else
-   {
-      rval = (v1 < v2 ? -1 : (v1 > v2 ? 1 : 0));
-   }
-   
-   return rval;
-};
 
-/**
- * Compares two keys in an object. If the key exists in one object
- * and not the other, the object with the key is less. If the key exists in
- * both objects, then the one with the lesser value is less.
- * 
- * @param o1 the first object.
- * @param o2 the second object.
- * @param key the key.
- * 
- * @return -1 if o1 < o2, 0 if o1 == o2, 1 if o1 > o2.
- */
-var _compareObjectKeys = function(o1, o2, key)
-{
-   var rval = 0;
-   if(key in o1)
-   {
-      if(key in o2)
-      {
-         rval = _compare(o1[key], o2[key]);
-      }
-      else
-      {
-         rval = -1;
-      }
-   }
-   else if(key in o2)
-   {
-      rval = 1;
-   }
-   return rval;
-};
+// Context processing
 
-/**
- * Compares two object values.
- * 
- * @param o1 the first object.
- * @param o2 the second object.
- * 
- * @return -1 if o1 < o2, 0 if o1 == o2, 1 if o1 > o2.
- */
-var _compareObjects = function(o1, o2)
-{
-   var rval = 0;
-   
-   if(o1.constructor === String)
-   {
-      if(o2.constructor !== String)
-      {
-         rval = -1;
-      }
-      else
-      {
-         rval = _compare(o1, o2);
-      }
-   }
-   else if(o2.constructor === String)
-   {
-      rval = 1;
-   }
-   else
-   {
-      rval = _compareObjectKeys(o1, o2, '@literal');
-      if(rval === 0)
-      {
-         if('@literal' in o1)
-         {
-            rval = _compareObjectKeys(o1, o2, '@type');
-            if(rval === 0)
-            {
-               rval = _compareObjectKeys(o1, o2, '@language');
-            }
-         }
-         // both are '@id' objects
-         else
-         {
-            rval = _compare(o1['@id'], o2['@id']);
-         }
-      }
-   }
-   
-   return rval;
-};
+JSONLDParser.Processor.prototype.processContext = function(activeContext, localContext, baseUrl, remoteContexts, overrideProtected, propagate, validateScoped) {
+    remoteContexts = remoteContexts || [];
+    propagate = (propagate == null ? true : propagate);
+    validateScoped = (validateScoped == null ? true : validateScoped);
 
-/**
- * Compares the object values between two bnodes.
- * 
- * @param a the first bnode.
- * @param b the second bnode.
- * 
- * @return -1 if a < b, 0 if a == b, 1 if a > b.
- */
-var _compareBlankNodeObjects = function(a, b)
-{
-   var rval = 0;
-   
-   /*
-   3. For each property, compare sorted object values.
-   3.1. The bnode with fewer objects is first.
-   3.2. For each object value, compare only literals and non-bnodes.
-   3.2.1. The bnode with fewer non-bnodes is first.
-   3.2.2. The bnode with a string object is first.
-   3.2.3. The bnode with the alphabetically-first string is first.
-   3.2.4. The bnode with a @literal is first.
-   3.2.5. The bnode with the alphabetically-first @literal is first.
-   3.2.6. The bnode with the alphabetically-first @type is first.
-   3.2.7. The bnode with a @language is first.
-   3.2.8. The bnode with the alphabetically-first @language is first.
-   3.2.9. The bnode with the alphabetically-first @id is first.
-   */
-   
-   for(var p in a)
-   {
-      // skip IDs (IRIs)
-      if(p !== '@id')
-      {
-         // step #3.1
-         var lenA = (a[p].constructor === Array) ? a[p].length : 1;
-         var lenB = (b[p].constructor === Array) ? b[p].length : 1;
-         rval = _compare(lenA, lenB);
-
-         // step #3.2.1
-         if(rval === 0)
-         {
-            // normalize objects to an array
-            var objsA = a[p];
-            var objsB = b[p];
-            if(objsA.constructor !== Array)
-            {
-               objsA = [objsA];
-               objsB = [objsB];
-            }
-            
-            // compare non-bnodes (remove bnodes from comparison)
-            objsA = objsA.filter(function(e) {return !_isNamedBlankNode(e);});
-            objsB = objsB.filter(function(e) {return !_isNamedBlankNode(e);});
-            rval = _compare(objsA.length, objsB.length);
-         }
-         
-         // steps #3.2.2-3.2.9
-         if(rval === 0)
-         {
-            objsA.sort(_compareObjects);
-            objsB.sort(_compareObjects);
-            for(var i = 0; i < objsA.length && rval === 0; ++i)
-            {
-               rval = _compareObjects(objsA[i], objsB[i]);
-            }
-         }
-         
-         if(rval !== 0)
-         {
-            break;
-         }
-      }
-   }
-   
-   return rval;
-};
+    var result = JSONLDParser.cloneContext(activeContext);
+    if(JSONLDParser.isObject(localContext) && localContext['@propagate'] != null) {
+        propagate = localContext['@propagate'];
+    }
+    if(!propagate && result.previousContext == null) {
+        result.previousContext = activeContext;
+    }
 
-/**
- * Creates a blank node name generator using the given prefix for the
- * blank nodes. 
- * 
- * @param prefix the prefix to use.
- * 
- * @return the blank node name generator.
- */
-var _createNameGenerator = function(prefix)
-{
-   var count = -1;
-   var ng = {
-      next: function()
-      {
-         ++count;
-         return ng.current();
-      },
-      current: function()
-      {
-         return '_:' + prefix + count;
-      },
-      inNamespace: function(iri)
-      {
-         return iri.indexOf('_:' + prefix) === 0;
-      }
-   };
-   return ng;
-};
+    var contexts = JSONLDParser.toArray(localContext);
+    for(var i=0; i<contexts.length; i++) {
+        var context = contexts[i];
 
-/**
- * Populates a map of all named subjects from the given input and an array
- * of all unnamed bnodes (includes embedded ones).
- * 
- * @param input the input (must be expanded, no context).
- * @param subjects the subjects map to populate.
- * @param bnodes the bnodes array to populate.
- */
-var _collectSubjects = function(input, subjects, bnodes)
-{
-   if(input === null)
-   {
-      // nothing to collect
-   }
-   else if(input.constructor === Array)
-   {
-      for(var i in input)
-      {
-         _collectSubjects(input[i], subjects, bnodes);
-      }
-   }
-   else if(input.constructor === Object)
-   {
-      if('@id' in input)
-      {
-         // graph literal/disjoint graph
-         if(input['@id'].constructor == Array)
-         {
-            _collectSubjects(input['@id'], subjects, bnodes);
-         }
-         // named subject
-         else if(_isSubject(input))
-         {
-            subjects[input['@id']] = input;
-         }
-      }
-      // unnamed blank node
-      else if(_isBlankNode(input))
-      {
-         bnodes.push(input);
-      }
-      
-      // recurse through subject properties
-      for(var key in input)
-      {
-         _collectSubjects(input[key], subjects, bnodes);
-      }
-   }
-};
+        if(context === null) {
+            if(!overrideProtected) {
+                for(var term in result.terms) {
+                    if(result.terms[term] != null && result.terms[term].protected) {
+                        throw JSONLDParser.error("invalid context nullification", term);
+                    }
+                }
+            }
+            var previous = result.previousContext;
+            result = {base: activeContext.originalBase, originalBase: activeContext.originalBase, terms: {}, inverse: null};
+            if(!propagate) {
+                result.previousContext = previous;
+            }
+            continue;
+        }
 
-/**
- * Flattens the given value into a map of unique subjects. It is assumed that
- * all blank nodes have been uniquely named before this call. Array values for
- * properties will be sorted.
- *
- * @param parent the value's parent, NULL for none.
- * @param parentProperty the property relating the value to the parent.
- * @param value the value to flatten.
- * @param subjects the map of subjects to write to.
- */
-var _flatten = function(parent, parentProperty, value, subjects)
-{
-   var flattened = null;
-   
-   if(value === null)
-   {
-      // drop null values
-   }
-   else if(value.constructor === Array)
-   {
-      // list of objects or a disjoint graph
-      for(var i in value)
-      {
-         _flatten(parent, parentProperty, value[i], subjects);
-      }
-   }
-   else if(value.constructor === Object)
-   {
-      // already-expanded value or special-case reference-only @type
-      if('@literal' in value || parentProperty === '@type')
-      {
-         flattened = _clone(value);
-      }
-      // graph literal/disjoint graph
-      else if(value['@id'].constructor === Array)
-      {
-         // cannot flatten embedded graph literals
-         if(parent !== null)
-         {
-            throw {
-               message: 'Embedded graph literals cannot be flattened.'
-            };
-         }
-         
-         // top-level graph literal
-         for(var idx in value['@id'])
-         {
-            _flatten(parent, parentProperty, value['@id'][idx], subjects);
-         }
-      }
-      // regular subject
-      else
-      {
-         // create or fetch existing subject
-         var subject;
-         if(value['@id'] in subjects)
-         {
-            // FIXME: '@id' might be a graph literal (as {})
-            subject = subjects[value['@id']];
-         }
-         else
-         {
-            // FIXME: '@id' might be a graph literal (as {})
-            subject = {'@id': value['@id']};
-            subjects[value['@id']] = subject;
-         }
-         flattened = {'@id': subject['@id']};
-
-         // flatten embeds
-         for(var key in value)
-         {
-            var v = value[key];
-            
-            // drop null values, skip @id (it is already set above)
-            if(v !== null && key !== '@id')
-            {
-               if(key in subject)
-               {
-                  if(subject[key].constructor !== Array)
-                  {
-                     subject[key] = [subject[key]];
-                  }
-               }
-               else
-               {
-                  subject[key] = [];
-               }
-               
-               _flatten(subject[key], key, v, subjects);
-               if(subject[key].length === 1)
-               {
-                  // convert subject[key] to object if it has only 1
-                  subject[key] = subject[key][0];
-               }
-            }
-         }
-      }
-   }
-   // string value
-   else
-   {
-      flattened = value;
-   }
-
-   // add flattened value to parent
-   if(flattened !== null && parent !== null)
-   {
-      if(parent.constructor === Array)
-      {
-         // do not add duplicate IRIs for the same property
-         var duplicate = false;
-         if(flattened.constructor === Object && '@id' in flattened)
-         {
-            duplicate = (parent.filter(function(e)
-            {
-               return (e.constructor === Object && '@id' in e &&
-                  e['@id'] === flattened['@id']);
-            }).length > 0);
-         }
-         if(!duplicate)
-         {
-            parent.push(flattened);
-         }
-      }
-      else
-      {
-         parent[parentProperty] = flattened;
-      }
-   }
-};
+        if(typeof(context) === 'string') {
+            var url = Utils.resolveUri(baseUrl || "", context);
+            if(!validateScoped && Utils.include(remoteContexts, url)) {
+                continue;
+            }
+            if(remoteContexts.length >= JSONLDParser.maxRemoteContexts) {
+                throw JSONLDParser.error("context overflow", url);
+            }
+            var document = this.remoteDocuments[url];
+            if(document == null) {
+                throw JSONLDParser.error("loading remote context failed", url);
+            }
+            if(!JSONLDParser.isObject(document) || !document.hasOwnProperty('@context')) {
+                throw JSONLDParser.error("invalid remote context", url);
+            }
+            result = this.processContext(result, document['@context'], url, remoteContexts.concat([url]), overrideProtected, true, validateScoped);
+            continue;
+        }
 
+        if(!JSONLDParser.isObject(context)) {
+            throw JSONLDParser.error("invalid local context");
+        }
 
-/**
- * Assigns unique names to blank nodes that are unnamed in the given input.
- * 
- * @param input the input to assign names to.
- */
-Processor.prototype.nameBlankNodes = function(input)
-{
-   // create temporary blank node name generator
-   var ng = this.ng.tmp = _createNameGenerator('tmp');
-   
-   // collect subjects and unnamed bnodes
-   var subjects = {};
-   var bnodes = [];
-   _collectSubjects(input, subjects, bnodes);
-   
-   // uniquely name all unnamed bnodes
-   for(var i in bnodes)
-   {
-      var bnode = bnodes[i];
-      if(!('@id' in bnode))
-      {
-         // generate names until one is unique
-         while(ng.next() in subjects){}
-         bnode['@id'] = ng.current();
-         subjects[ng.current()] = bnode;
-      }
-   }
-};
+        if(context.hasOwnProperty('@version')) {
+            if(context['@version'] !== 1.1) {
+                throw JSONLDParser.error("invalid @version value", context['@version']);
+            }
+            if(this.isProcessingMode10()) {
+                throw JSONLDParser.error("processing mode conflict");
+            }
+        }
 
-/**
- * Renames a blank node, changing its references, etc. The method assumes
- * that the given name is unique.
- * 
- * @param b the blank node to rename.
- * @param id the new name to use.
- */
-Processor.prototype.renameBlankNode = function(b, id)
-{
-   var old = b['@id'];
-   
-   // update bnode IRI
-   b['@id'] = id;
-   
-   // update subjects map
-   var subjects = this.subjects;
-   subjects[id] = subjects[old];
-   delete subjects[old];
-   
-   // update reference and property lists
-   this.edges.refs[id] = this.edges.refs[old];
-   this.edges.props[id] = this.edges.props[old];
-   delete this.edges.refs[old];
-   delete this.edges.props[old];
-   
-   // update references to this bnode
-   var refs = this.edges.refs[id].all;
-   for(var i in refs)
-   {
-      var iri = refs[i].s;
-      if(iri === old)
-      {
-         iri = id;
-      }
-      var ref = subjects[iri];
-      var props = this.edges.props[iri].all;
-      for(var i2 in props)
-      {
-         if(props[i2].s === old)
-         {
-            props[i2].s = id;
-            
-            // normalize property to array for single code-path
-            var p = props[i2].p;
-            var tmp = (ref[p].constructor === Object) ? [ref[p]] :
-               (ref[p].constructor === Array) ? ref[p] : [];
-            for(var n in tmp)
-            {
-               if(tmp[n].constructor === Object &&
-                  '@id' in tmp[n] && tmp[n]['@id'] === old)
-               {
-                  tmp[n]['@id'] = id;
-               }
-            }
-         }
-      }
-   }
-   
-   // update references from this bnode 
-   var props = this.edges.props[id].all;
-   for(var i in props)
-   {
-      var iri = props[i].s;
-      refs = this.edges.refs[iri].all;
-      for(var r in refs)
-      {
-         if(refs[r].s === old)
-         {
-            refs[r].s = id;
-         }
-      }
-   }
-};
+        if(context.hasOwnProperty('@import')) {
+            if(this.isProcessingMode10()) {
+                throw JSONLDParser.error("invalid context entry", "@import");
+            }
+            if(typeof(context['@import']) !== 'string') {
+                throw JSONLDParser.error("invalid @import value");
+            }
+            var importUrl = Utils.resolveUri(baseUrl || "", context['@import']);
+            var imported = this.remoteDocuments[importUrl];
+            if(imported == null) {
+                throw JSONLDParser.error("loading remote context failed", importUrl);
+            }
+            if(!JSONLDParser.isObject(imported) || !JSONLDParser.isObject(imported['@context'])) {
+                throw JSONLDParser.error("invalid remote context", importUrl);
+            }
+            if(imported['@context'].hasOwnProperty('@import')) {
+                throw JSONLDParser.error("invalid context entry", "@import");
+            }
+            var merged = Utils.clone(imported['@context']);
+            for(var key in context) {
+                merged[key] = context[key];
+            }
+            context = merged;
+        }
+
+        if(context.hasOwnProperty('@base') && remoteContexts.length === 0) {
+            var base = context['@base'];
+            if(base === null) {
+                result.base = null;
+            } else if(typeof(base) !== 'string') {
+                throw JSONLDParser.error("invalid base IRI", base);
+            } else if(JSONLDParser.isAbsoluteIri(base)) {
+                result.base = base;
+            } else if(result.base != null) {
+                result.base = Utils.resolveUri(result.base, base);
+            } else {
+                throw JSONLDParser.error("invalid base IRI", base);
+            }
+        }
+
+        if(context.hasOwnProperty('@vocab')) {
+            var vocab = context['@vocab'];
+            if(vocab === null) {
+                delete result.vocab;
+            } else if(typeof(vocab) !== 'string') {
+                throw JSONLDParser.error("invalid vocab mapping", vocab);
+            } else if(JSONLDParser.isAbsoluteIri(vocab) || JSONLDParser.isBlank(vocab) || !this.isProcessingMode10()) {
+                result.vocab = this.expandIri(result, vocab, true, true);
+            } else {
+                throw JSONLDParser.error("invalid vocab mapping", vocab);
+            }
+        }
+
+        if(context.hasOwnProperty('@language')) {
+            var language = context['@language'];
+            if(language === null) {
+                delete result.language;
+            } else if(typeof(language) !== 'string') {
+                throw JSONLDParser.error("invalid default language", language);
+            } else {
+                result.language = language.toLowerCase();
+            }
+        }
 
-/**
- * Canonically names blank nodes in the given input.
- * 
- * @param input the flat input graph to assign names to.
- */
-Processor.prototype.canonicalizeBlankNodes = function(input)
-{
-   // create serialization state
-   this.renamed = {};
-   this.mappings = {};
-   this.serializations = {};
-   
-   // collect subjects and bnodes from flat input graph
-   var edges = this.edges =
-   {
-      refs: {},
-      props: {}
-   };
-   var subjects = this.subjects = {};
-   var bnodes = [];
-   for(var i in input)
-   {
-      var iri = input[i]['@id'];
-      subjects[iri] = input[i];
-      edges.refs[iri] =
-      {
-         all: [],
-         bnodes: []
-      };
-      edges.props[iri] =
-      {
-         all: [],
-         bnodes: []
-      };
-      if(_isBlankNodeIri(iri))
-      {
-         bnodes.push(input[i]);
-      }
-   }
-   
-   // collect edges in the graph
-   this.collectEdges();
-   
-   // create canonical blank node name generator
-   var c14n = this.ng.c14n = _createNameGenerator('c14n');
-   var ngTmp = this.ng.tmp;
-   
-   // rename all bnodes that happen to be in the c14n namespace
-   // and initialize serializations
-   for(var i in bnodes)
-   {
-      var bnode = bnodes[i];
-      var iri = bnode['@id'];
-      if(c14n.inNamespace(iri))
-      {
-         // generate names until one is unique
-         while(ngTmp.next() in subjects){};
-         this.renameBlankNode(bnode, ngTmp.current());
-         iri = bnode['@id'];
-      }
-      this.serializations[iri] =
-      {
-         'props': null,
-         'refs': null
-      };
-   }
-   
-   // keep sorting and naming blank nodes until they are all named
-   var resort = true;
-   var self = this;
-   while(bnodes.length > 0)
-   {
-      if(resort)
-      {
-         resort = false;
-         bnodes.sort(function(a, b)
-         {
-            return self.deepCompareBlankNodes(a, b);
-         });
-      }
-      
-      // name all bnodes according to the first bnode's relation mappings
-      var bnode = bnodes.shift();
-      var iri = bnode['@id'];
-      var dirs = ['props', 'refs'];
-      for(var d in dirs)
-      {
-         var dir = dirs[d];
-         
-         // if no serialization has been computed, name only the first node
-         if(this.serializations[iri][dir] === null)
-         {
-            var mapping = {};
-            mapping[iri] = 's1';
-         }
-         else
-         {
-            mapping = this.serializations[iri][dir].m;
-         }
-         
-         // sort keys by value to name them in order
-         var keys = Object.keys(mapping);
-         keys.sort(function(a, b)
-         {
-            return _compare(mapping[a], mapping[b]);
-         });
-         
-         // name bnodes in mapping
-         var renamed = [];
-         for(var i in keys)
-         {
-            var iriK = keys[i];
-            if(!c14n.inNamespace(iri) && iriK in subjects)
-            {
-               this.renameBlankNode(subjects[iriK], c14n.next());
-               renamed.push(iriK);
-            }
-         }
-         
-         // only keep non-canonically named bnodes
-         var tmp = bnodes;
-         bnodes = [];
-         for(var i in tmp)
-         {
-            var b = tmp[i];
-            var iriB = b['@id'];
-            if(!c14n.inNamespace(iriB))
-            {
-               // mark serializations related to the named bnodes as dirty
-               for(var i2 in renamed)
-               {
-                  if(this.markSerializationDirty(iriB, renamed[i2], dir))
-                  {
-                     // resort if a serialization was marked dirty
-                     resort = true;
-                  }
-               }
-               bnodes.push(b);
-            }
-         }
-      }
-   }
-   
-   // sort property lists that now have canonically-named bnodes
-   for(var key in edges.props)
-   {
-      if(edges.props[key].bnodes.length > 0)
-      {
-         var bnode = subjects[key];
-         for(var p in bnode)
-         {
-            if(p.indexOf('@') !== 0 && bnode[p].constructor === Array)
-            {
-               bnode[p].sort(_compareObjects);
-            }
-         }
-      }
-   }
-};
+        if(context.hasOwnProperty('@direction')) {
+            var direction = context['@direction'];
+            if(this.isProcessingMode10()) {
+                throw JSONLDParser.error("invalid context entry", "@direction");
+            }
+            if(direction === null) {
+                delete result.direction;
+            } else if(direction === 'ltr' || direction === 'rtl') {
+                result.direction = direction;
+            } else {
+                throw JSONLDParser.error("invalid base direction", direction);
+            }
+        }
 
-/**
- * A MappingBuilder is used to build a mapping of existing blank node names
- * to a form for serialization. The serialization is used to compare blank
- * nodes against one another to determine a sort order.
- */
-MappingBuilder = function()
-{
-   this.count = 1;
-   this.processed = {};
-   this.mapping = {};
-   this.adj = {};
-   this.keyStack = [{ keys: ['s1'], idx: 0 }];
-   this.done = {};
-   this.s = '';
-};
+        if(context.hasOwnProperty('@propagate')) {
+            if(this.isProcessingMode10()) {
+                throw JSONLDParser.error("invalid context entry", "@propagate");
+            }
+            if(typeof(context['@propagate']) !== 'boolean') {
+                throw JSONLDParser.error("invalid @propagate value");
+            }
+        }
+
+        var defined = {};
+        var contextProtected = context['@protected'] === true;
+        for(var term in context) {
+            if(term === '@base' || term === '@direction' || term === '@import' || term === '@language' ||
+               term === '@propagate' || term === '@protected' || term === '@version' || term === '@vocab') {
+                continue;
+            }
+            this.createTermDefinition(result, context, term, defined, baseUrl, contextProtected, overrideProtected, remoteContexts, validateScoped);
+        }
+    }
 
-/**
- * Copies this MappingBuilder.
- * 
- * @return the MappingBuilder copy.
- */
-MappingBuilder.prototype.copy = function()
-{
-   var rval = new MappingBuilder();
-   rval.count = this.count;
-   rval.processed = _clone(this.processed);
-   rval.mapping = _clone(this.mapping);
-   rval.adj = _clone(this.adj);
-   rval.keyStack = _clone(this.keyStack);
-   rval.done = _clone(this.done);
-   rval.s = this.s;
-   return rval;
+    return result;
 };
 
-/**
- * Maps the next name to the given bnode IRI if the bnode IRI isn't already in
- * the mapping. If the given bnode IRI is canonical, then it will be given
- * a shortened form of the same name.
- * 
- * @param iri the blank node IRI to map the next name to.
- * 
- * @return the mapped name.
- */
-MappingBuilder.prototype.mapNode = function(iri)
-{
-   if(!(iri in this.mapping))
-   {
-      if(iri.indexOf('_:c14n') === 0)
-      {
-         this.mapping[iri] = 'c' + iri.substr(6);
-      }
-      else
-      {
-         this.mapping[iri] = 's' + this.count++;
-      }
-   }
-   return this.mapping[iri];
-};
+JSONLDParser.termDefinitionKeys = ["@id", "@reverse", "@container", "@context", "@direction", "@index",
+                                   "@language", "@nest", "@prefix", "@protected", "@type"];
 
-/**
- * Serializes the properties of the given bnode for its relation serialization.
- * 
- * @param b the blank node.
- * 
- * @return the serialized properties.
- */
-var _serializeProperties = function(b)
-{
-   var rval = '';
-   
-   var first = true;
-   for(var p in b)
-   {
-      if(p !== '@id')
-      {
-         if(first)
-         {
-            first = false;
-         }
-         else
-         {
-            rval += '|';
-         }
-         
-         // property
-         rval += '<' + p + '>';
-         
-         // object(s)
-         var objs = (b[p].constructor === Array) ? b[p] : [b[p]];
-         for(var oi in objs)
-         {
-            var o = objs[oi];
-            if(o.constructor === Object)
-            {
-               // ID (IRI)
-               if('@id' in o)
-               {
-                  if(_isBlankNodeIri(o['@id']))
-                  {
-                     rval += '_:';
-                  }
-                  else
-                  {
-                     rval += '<' + o['@id'] + '>';
-                  }
-               }
-               // literal
-               else
-               {
-                  rval += '"' + o['@literal'] + '"';
-                  
-                  // type literal
-                  if('@type' in o)
-                  {
-                     rval += '^^<' + o['@type'] + '>';
-                  }
-                  // language literal
-                  else if('@language' in o)
-                  {
-                     rval += '@' + o['@language'];
-                  }
-               }
-            }
-            // plain literal
-            else
-            {
-               rval += '"' + o + '"';
-            }
-         }
-      }
-   }
-   
-   return rval;
-};
+JSONLDParser.Processor.prototype.createTermDefinition = function(activeContext, localContext, term, defined, baseUrl, isProtected, overrideProtected, remoteContexts, validateScoped) {
+    if(defined[term] === true) {
+        return;
+    } else if(defined[term] === false) {
+        throw JSONLDParser.error("cyclic IRI mapping", term);
+    }
+    if(term === '') {
+        throw JSONLDParser.error("invalid term definition", "empty term");
+    }
+    defined[term] = false;
 
-/**
- * Recursively increments the relation serialization for a mapping.
- * 
- * @param subjects the subjects in the graph.
- * @param edges the edges in the graph.
- */
-MappingBuilder.prototype.serialize = function(subjects, edges)
-{
-   if(this.keyStack.length > 0)
-   {
-      // continue from top of key stack
-      var next = this.keyStack.pop();
-      for(; next.idx < next.keys.length; ++next.idx)
-      {
-         var k = next.keys[next.idx];
-         if(!(k in this.adj))
-         {
-            this.keyStack.push(next);
-            break;
-         }
-         
-         if(k in this.done)
-         {
-            // mark cycle
-            this.s += '_' + k;
-         }
-         else
-         {
-            // mark key as serialized
-            this.done[k] = true;
-            
-            // serialize top-level key and its details
-            var s = k;
-            var adj = this.adj[k];
-            var iri = adj.i;
-            if(iri in subjects)
-            {
-               var b = subjects[iri];
-               
-               // serialize properties
-               s += '[' + _serializeProperties(b) + ']';
-               
-               // serialize references
-               var first = true;
-               s += '[';
-               var refs = edges.refs[iri].all;
-               for(var r in refs)
-               {
-                  if(first)
-                  {
-                     first = false;
-                  }
-                  else
-                  {
-                     s += '|';
-                  }
-                  s += '<' + refs[r].p + '>';
-                  s += _isBlankNodeIri(refs[r].s) ?
-                     '_:' : ('<' + refs[r].s + '>');
-               }
-               s += ']';
-            }
-            
-            // serialize adjacent node keys
-            s += adj.k.join('');
-            this.s += s;
-            this.keyStack.push({ keys: adj.k, idx: 0 });
-            this.serialize(subjects, edges);
-         }
-      }
-   }
-};
+    var value = localContext[term];
+    if(term === '@type' && !this.isProcessingMode10() && JSONLDParser.isObject(value)) {
+        for(var key in value) {
+            if((key !== '@container' || value[key] !== '@set') && key !== '@protected') {
+                throw JSONLDParser.error("keyword redefinition", term);
+            }
+        }
+    } else if(JSONLDParser.isKeyword(term)) {
+        throw JSONLDParser.error("keyword redefinition", term);
+    } else if(JSONLDParser.hasKeywordForm(term)) {
+        return;
+    }
 
-/**
- * Marks a relation serialization as dirty if necessary.
- * 
- * @param iri the IRI of the bnode to check.
- * @param changed the old IRI of the bnode that changed.
- * @param dir the direction to check ('props' or 'refs').
- * 
- * @return true if marked dirty, false if not.
- */
-Processor.prototype.markSerializationDirty = function(iri, changed, dir)
-{
-   var rval = false;
-   
-   var s = this.serializations[iri];
-   if(s[dir] !== null && changed in s[dir].m)
-   {
-      s[dir] = null;
-      rval = true;
-   }
-   
-   return rval;
-};
+    var previous = activeContext.terms[term];
+    delete activeContext.terms[term];
+    activeContext.inverse = null;
+
+    var simpleTerm = false;
+    if(value === null) {
+        value = {'@id': null};
+    } else if(typeof(value) === 'string') {
+        value = {'@id': value};
+        simpleTerm = true;
+    } else if(!JSONLDParser.isObject(value)) {
+        throw JSONLDParser.error("invalid term definition", term);
+    }
 
-/**
- * Rotates the elements in an array one position.
- * 
- * @param a the array.
- */
-var _rotate = function(a)
-{
-   a.unshift.apply(a, a.splice(1, a.length));
-};
+    for(var key in value) {
+        if(!Utils.include(JSONLDParser.termDefinitionKeys, key)) {
+            throw JSONLDParser.error("invalid term definition", term);
+        }
+    }
 
-/**
- * Compares two serializations for the same blank node. If the two
- * serializations aren't complete enough to determine if they are equal (or if
- * they are actually equal), 0 is returned.
- * 
- * @param s1 the first serialization.
- * @param s2 the second serialization.
- * 
- * @return -1 if s1 < s2, 0 if s1 == s2 (or indeterminate), 1 if s1 > v2.
- */
-var _compareSerializations = function(s1, s2)
-{
-   var rval = 0;
-   
-   if(s1.length == s2.length)
-   {
-      rval = _compare(s1, s2);
-   }
-   else if(s1.length > s2.length)
-   {
-      rval = _compare(s1.substr(0, s2.length), s2);
-   }
-   else
-   {
-      rval = _compare(s1, s2.substr(0, s1.length));
-   }
-   
-   return rval;
-};
+    var definition = {reverse: false, prefix: false, protected: isProtected};
+    if(value.hasOwnProperty('@protected')) {
+        if(typeof(value['@protected']) !== 'boolean') {
+            throw JSONLDParser.error("invalid @protected value", term);
+        }
+        definition.protected = value['@protected'];
+    }
 
-/**
- * Recursively serializes adjacent bnode combinations for a bnode.
- * 
- * @param s the serialization to update.
- * @param iri the IRI of the bnode being serialized.
- * @param siri the serialization name for the bnode IRI.
- * @param mb the MappingBuilder to use.
- * @param dir the edge direction to use ('props' or 'refs').
- * @param mapped all of the already-mapped adjacent bnodes.
- * @param notMapped all of the not-yet mapped adjacent bnodes.
- */
-Processor.prototype.serializeCombos = function(
-   s, iri, siri, mb, dir, mapped, notMapped)
-{
-   // handle recursion
-   if(notMapped.length > 0)
-   {
-      // copy mapped nodes
-      mapped = _clone(mapped);
-      
-      // map first bnode in list
-      mapped[mb.mapNode(notMapped[0].s)] = notMapped[0].s;
-      
-      // recurse into remaining possible combinations
-      var original = mb.copy();
-      notMapped = notMapped.slice(1);
-      var rotations = Math.max(1, notMapped.length);
-      for(var r = 0; r < rotations; ++r)
-      {
-         var m = (r === 0) ? mb : original.copy();
-         this.serializeCombos(s, iri, siri, m, dir, mapped, notMapped);
-         
-         // rotate not-mapped for next combination
-         _rotate(notMapped);
-      }
-   }
-   // no more adjacent bnodes to map, update serialization
-   else
-   {
-      var keys = Object.keys(mapped).sort();
-      mb.adj[siri] = { i: iri, k: keys, m: mapped };
-      mb.serialize(this.subjects, this.edges);
-      
-      // optimize away mappings that are already too large
-      if(s[dir] === null || _compareSerializations(mb.s, s[dir].s) <= 0)
-      {
-         // recurse into adjacent values
-         for(var i in keys)
-         {
-            var k = keys[i];
-            this.serializeBlankNode(s, mapped[k], mb, dir);
-         }
-         
-         // update least serialization if new one has been found
-         mb.serialize(this.subjects, this.edges);
-         if(s[dir] === null ||
-            (_compareSerializations(mb.s, s[dir].s) <= 0 &&
-            mb.s.length >= s[dir].s.length))
-         {
-            s[dir] = { s: mb.s, m: mb.mapping };
-         }
-      }
-   }
-};
+    if(value.hasOwnProperty('@type')) {
+        var type = value['@type'];
+        if(typeof(type) !== 'string') {
+            throw JSONLDParser.error("invalid type mapping", term);
+        }
+        type = this.expandIri(activeContext, type, false, true, localContext, defined);
+        if((type === '@json' || type === '@none') && this.isProcessingMode10()) {
+            throw JSONLDParser.error("invalid type mapping", type);
+        }
+        if(type !== '@id' && type !== '@vocab' && type !== '@json' && type !== '@none' && !JSONLDParser.isAbsoluteIri(type)) {
+            throw JSONLDParser.error("invalid type mapping", type);
+        }
+        definition.type = type;
+    }
 
-/**
- * Computes the relation serialization for the given blank node IRI.
- * 
- * @param s the serialization to update.
- * @param iri the current bnode IRI to be mapped.
- * @param mb the MappingBuilder to use.
- * @param dir the edge direction to use ('props' or 'refs').
- */
-Processor.prototype.serializeBlankNode = function(s, iri, mb, dir)
-{
-   // only do mapping if iri not already processed
-   if(!(iri in mb.processed))
-   {
-      // iri now processed
-      mb.processed[iri] = true;
-      var siri = mb.mapNode(iri);
-      
-      // copy original mapping builder
-      var original = mb.copy();
-      
-      // split adjacent bnodes on mapped and not-mapped
-      var adj = this.edges[dir][iri].bnodes;
-      var mapped = {};
-      var notMapped = [];
-      for(var i in adj)
-      {
-         if(adj[i].s in mb.mapping)
-         {
-            mapped[mb.mapping[adj[i].s]] = adj[i].s;
-         }
-         else
-         {
-            notMapped.push(adj[i]);
-         }
-      }
-      
-      /*
-      // TODO: sort notMapped using ShallowCompare
-      var self = this;
-      notMapped.sort(function(a, b)
-      {
-         var rval = self.shallowCompareBlankNodes(
-            self.subjects[a.s], self.subjects[b.s]);
-         return rval;
-      });
-      
-      var same = false;
-      var prev = null;
-      for(var i in notMapped)
-      {
-         var curr = this.subjects[notMapped[i].s];
-         if(prev !== null)
-         {
-            if(this.shallowCompareBlankNodes(prev, curr) === 0)
-            {
-               same = true;
-            }
-            else
-            {
-               if(!same)
-               {
-                  mapped[mb.mapNode(prev['@id'])] = prev['@id'];
-                  delete notMapped[i - 1];
-               }
-               if(i === notMapped.length - 1)
-               {
-                  mapped[mb.mapNode(curr['@id'])];
-                  delete notMapped[i];
-               }
-               same = false;
-            }
-         }
-         prev = curr;
-      }*/
-      
-      // TODO: ensure this optimization does not alter canonical order
-      
-      // if the current bnode already has a serialization, reuse it
-      /*var hint = (iri in this.serializations) ?
-         this.serializations[iri][dir] : null;
-      if(hint !== null)
-      {
-         var hm = hint.m;
-         notMapped.sort(function(a, b)
-         {
-            return _compare(hm[a.s], hm[b.s]);
-         });
-         for(var i in notMapped)
-         {
-            mapped[mb.mapNode(notMapped[i].s)] = notMapped[i].s;
-         }
-         notMapped = [];
-      }*/
-      
-      // loop over possible combinations
-      var combos = Math.max(1, notMapped.length);
-      for(var i = 0; i < combos; ++i)
-      {
-         var m = (i === 0) ? mb : original.copy();
-         this.serializeCombos(s, iri, siri, m, dir, mapped, notMapped);         
-      }
-   }
-};
+    if(value.hasOwnProperty('@reverse')) {
+        if(value.hasOwnProperty('@id') || value.hasOwnProperty('@nest')) {
+            throw JSONLDParser.error("invalid reverse property", term);
+        }
+        if(typeof(value['@reverse']) !== 'string') {
+            throw JSONLDParser.error("invalid IRI mapping", term);
+        }
+        if(JSONLDParser.hasKeywordForm(value['@reverse'])) {
+            return;
+        }
+        definition.id = this.expandIri(activeContext, value['@reverse'], false, true, localContext, defined);
+        if(definition.id == null || definition.id.indexOf(":") === -1) {
+            throw JSONLDParser.error("invalid IRI mapping", term);
+        }
+        if(value.hasOwnProperty('@container')) {
+            var container = value['@container'];
+            if(container !== '@set' && container !== '@index' && container !== null) {
+                throw JSONLDParser.error("invalid reverse property", term);
+            }
+            definition.container = (container == null ? [] : [container]);
+        }
+        definition.reverse = true;
+        activeContext.terms[term] = definition;
+        defined[term] = true;
+        return;
+    }
 
-/**
- * Compares two blank nodes for equivalence.
- * 
- * @param a the first blank node.
- * @param b the second blank node.
- * 
- * @return -1 if a < b, 0 if a == b, 1 if a > b.
- */
-Processor.prototype.deepCompareBlankNodes = function(a, b)
-{
-   var rval = 0;
-   
-   // compare IRIs
-   var iriA = a['@id'];
-   var iriB = b['@id'];
-   if(iriA === iriB)
-   {
-      rval = 0;
-   }
-   else
-   {
-      // do shallow compare first
-      rval = this.shallowCompareBlankNodes(a, b);
-      
-      // deep comparison is necessary
-      if(rval === 0)
-      {
-         // compare property edges and then reference edges
-         var dirs = ['props', 'refs'];
-         for(var i = 0; rval === 0 && i < dirs.length; ++i)
-         {
-            // recompute 'a' and 'b' serializations as necessary
-            var dir = dirs[i];
-            var sA = this.serializations[iriA];
-            var sB = this.serializations[iriB];
-            if(sA[dir] === null)
-            {
-               var mb = new MappingBuilder();
-               if(dir === 'refs')
-               {
-                  // keep same mapping and count from 'props' serialization
-                  mb.mapping = _clone(sA['props'].m);
-                  mb.count = Object.keys(mb.mapping).length + 1;
-               }
-               this.serializeBlankNode(sA, iriA, mb, dir);
-            }
-            if(sB[dir] === null)
-            {
-               var mb = new MappingBuilder();
-               if(dir === 'refs')
-               {
-                  // keep same mapping and count from 'props' serialization
-                  mb.mapping = _clone(sB['props'].m);
-                  mb.count = Object.keys(mb.mapping).length + 1;
-               }
-               this.serializeBlankNode(sB, iriB, mb, dir);
-            }
-            
-            // compare serializations
-            rval = _compare(sA[dir].s, sB[dir].s);
-         }
-      }
-   }
-   
-   return rval;
-};
+    if(value.hasOwnProperty('@id') && value['@id'] !== term) {
+        var id = value['@id'];
+        if(id === null) {
+            definition.id = null;
+        } else {
+            if(typeof(id) !== 'string') {
+                throw JSONLDParser.error("invalid IRI mapping", term);
+            }
+            if(!JSONLDParser.isKeyword(id) && JSONLDParser.hasKeywordForm(id)) {
+                return;
+            }
+            definition.id = this.expandIri(activeContext, id, false, true, localContext, defined);
+            if(definition.id == null || (!JSONLDParser.isKeyword(definition.id) && definition.id.indexOf(":") === -1)) {
+                throw JSONLDParser.error("invalid IRI mapping", term);
+            }
+            if(definition.id === '@context') {
+                throw JSONLDParser.error("invalid keyword alias", term);
+            }
+            if(term.substr(1, term.length - 2).indexOf(":") !== -1 || term.indexOf("/") !== -1) {
+                defined[term] = true;
+                if(this.expandIri(activeContext, term, false, true, localContext, defined) !== definition.id) {
+                    throw JSONLDParser.error("invalid IRI mapping", term);
+                }
+            }
+            if(term.indexOf(":") === -1 && term.indexOf("/") === -1 && simpleTerm &&
+               (/[:\/\?#\[\]@]$/.test(definition.id) || JSONLDParser.isBlank(definition.id))) {
+                definition.prefix = true;
+            }
+        }
+    } else if(term.indexOf(":", 1) !== -1) {
+        var index = term.indexOf(":");
+        var prefix = term.substr(0, index);
+        var suffix = term.substr(index + 1);
+        if(localContext.hasOwnProperty(prefix)) {
+            this.createTermDefinition(activeContext, localContext, prefix, defined, baseUrl, false, false, remoteContexts, validateScoped);
+        }
+        if(activeContext.terms[prefix] != null && activeContext.terms[prefix].id != null) {
+            definition.id = activeContext.terms[prefix].id + suffix;
+        } else {
+            definition.id = term;
+        }
+    } else if(term.indexOf("/") !== -1) {
+        definition.id = this.expandIri(activeContext, term, false, true);
+        if(!JSONLDParser.isAbsoluteIri(definition.id)) {
+            throw JSONLDParser.error("invalid IRI mapping", term);
+        }
+    } else if(term === '@type') {
+        definition.id = '@type';
+    } else {
+        if(activeContext.vocab == null) {
+            throw JSONLDParser.error("invalid IRI mapping", term);
+        }
+        definition.id = activeContext.vocab + term;
+    }
 
-/**
- * Performs a shallow sort comparison on the given bnodes.
- * 
- * @param a the first bnode.
- * @param b the second bnode.
- * 
- * @return -1 if a < b, 0 if a == b, 1 if a > b.
- */
-Processor.prototype.shallowCompareBlankNodes = function(a, b)
-{
-   var rval = 0;
-   
-   /* ShallowSort Algorithm (when comparing two bnodes):
-      1. Compare the number of properties.
-      1.1. The bnode with fewer properties is first.
-      2. Compare alphabetically sorted-properties.
-      2.1. The bnode with the alphabetically-first property is first.
-      3. For each property, compare object values.
-      4. Compare the number of references.
-      4.1. The bnode with fewer references is first.
-      5. Compare sorted references.
-      5.1. The bnode with the reference iri (vs. bnode) is first.
-      5.2. The bnode with the alphabetically-first reference iri is first.
-      5.3. The bnode with the alphabetically-first reference property is first.
-    */
-   var pA = Object.keys(a);
-   var pB = Object.keys(b);
-   
-   // step #1
-   rval = _compare(pA.length, pB.length);
-   
-   // step #2
-   if(rval === 0)
-   {
-      rval = _compare(pA.sort(), pB.sort());
-   }
-   
-   // step #3
-   if(rval === 0)
-   {
-      rval = _compareBlankNodeObjects(a, b);
-   }
-   
-   // step #4
-   if(rval === 0)
-   {
-      var edgesA = this.edges.refs[a['@id']].all;
-      var edgesB = this.edges.refs[b['@id']].all;
-      rval = _compare(edgesA.length, edgesB.length);
-   }
-   
-   // step #5
-   if(rval === 0)
-   {
-      for(var i = 0; i < edgesA.length && rval === 0; ++i)
-      {
-         rval = this.compareEdges(edgesA[i], edgesB[i]);
-      }
-   }
-   
-   return rval;
-};
+    if(value.hasOwnProperty('@container')) {
+        var container = JSONLDParser.toArray(value['@container']);
+        var valid = ["@graph", "@id", "@index", "@language", "@list", "@set", "@type"];
+        for(var i=0; i<container.length; i++) {
+            if(!Utils.include(valid, container[i])) {
+                throw JSONLDParser.error("invalid container mapping", term);
+            }
+        }
+        if(this.isProcessingMode10() && (container.length !== 1 || Utils.include(["@graph", "@id", "@type"], container[0]) || !(typeof(value['@container']) === 'string'))) {
+            throw JSONLDParser.error("invalid container mapping", term);
+        }
+        if(Utils.include(container, '@list') && container.length > 1) {
+            throw JSONLDParser.error("invalid container mapping", term);
+        }
+        definition.container = container;
+        if(Utils.include(container, '@type')) {
+            if(definition.type == null) {
+                definition.type = '@id';
+            } else if(definition.type !== '@id' && definition.type !== '@vocab') {
+                throw JSONLDParser.error("invalid type mapping", term);
+            }
+        }
+    }
 
-/**
- * Compares two edges. Edges with an IRI (vs. a bnode ID) come first, then
- * alphabetically-first IRIs, then alphabetically-first properties. If a blank
- * node has been canonically named, then blank nodes will be compared after
- * properties (with a preference for canonically named over non-canonically
- * named), otherwise they won't be.
- * 
- * @param a the first edge.
- * @param b the second edge.
- * 
- * @return -1 if a < b, 0 if a == b, 1 if a > b.
- */
-Processor.prototype.compareEdges = function(a, b)
-{
-   var rval = 0;
-   
-   var bnodeA = _isBlankNodeIri(a.s);
-   var bnodeB = _isBlankNodeIri(b.s);
-   var c14n = this.ng.c14n;
-   
-   // if not both bnodes, one that is a bnode is greater
-   if(bnodeA != bnodeB)
-   {
-      rval = bnodeA ? 1 : -1;
-   }
-   else
-   {
-      if(!bnodeA)
-      {
-         rval = _compare(a.s, b.s);
-      }
-      if(rval === 0)
-      {
-         rval = _compare(a.p, b.p);
-      }
-      
-      // do bnode IRI comparison if canonical naming has begun
-      if(rval === 0 && c14n !== null)
-      {
-         var c14nA = c14n.inNamespace(a.s);
-         var c14nB = c14n.inNamespace(b.s);
-         if(c14nA != c14nB)
-         {
-            rval = c14nA ? 1 : -1;
-         }
-         else if(c14nA)
-         {
-            rval = _compare(a.s, b.s);
-         }
-      }
-   }
-   
-   return rval;
-};
+    if(value.hasOwnProperty('@index')) {
+        if(this.isProcessingMode10() || definition.container == null || !Utils.include(definition.container, '@index')) {
+            throw JSONLDParser.error("invalid term definition", term);
+        }
+        var indexIri = (typeof(value['@index']) === 'string' ? this.expandIri(activeContext, value['@index'], false, true) : null);
+        if(indexIri == null || !JSONLDParser.isAbsoluteIri(indexIri)) {
+            throw JSONLDParser.error("invalid term definition", term);
+        }
+        definition.index = value['@index'];
+    }
 
-/**
- * Populates the given reference map with all of the subject edges in the
- * graph. The references will be categorized by the direction of the edges,
- * where 'props' is for properties and 'refs' is for references to a subject as
- * an object. The edge direction categories for each IRI will be sorted into
- * groups 'all' and 'bnodes'.
- */
-Processor.prototype.collectEdges = function()
-{
-   var refs = this.edges.refs;
-   var props = this.edges.props;
-   
-   // collect all references and properties
-   for(var iri in this.subjects)
-   {
-      var subject = this.subjects[iri];
-      for(var key in subject)
-      {
-         if(key !== '@id')
-         {
-            // normalize to array for single codepath
-            var object = subject[key];
-            var tmp = (object.constructor !== Array) ? [object] : object;
-            for(var i in tmp)
-            {
-               var o = tmp[i];
-               if(o.constructor === Object && '@id' in o &&
-                  o['@id'] in this.subjects)
-               {
-                  var objIri = o['@id'];
-                  
-                  // map object to this subject
-                  refs[objIri].all.push({ s: iri, p: key });
-                  
-                  // map this subject to object
-                  props[iri].all.push({ s: objIri, p: key });
-               }
-            }
-         }
-      }
-   }
-   
-   // create sorted categories
-   var self = this;
-   for(var iri in refs)
-   {
-      refs[iri].all.sort(function(a, b) { return self.compareEdges(a, b); });
-      refs[iri].bnodes = refs[iri].all.filter(function(edge) {
-         return _isBlankNodeIri(edge.s);
-      });
-   }
-   for(var iri in props)
-   {
-      props[iri].all.sort(function(a, b) { return self.compareEdges(a, b); });
-      props[iri].bnodes = props[iri].all.filter(function(edge) {
-         return _isBlankNodeIri(edge.s);
-      });
-   }
-};
+    if(value.hasOwnProperty('@context')) {
+        if(this.isProcessingMode10()) {
+            throw JSONLDParser.error("invalid term definition", term);
+        }
+        try {
+            this.processContext(activeContext, value['@context'], baseUrl, remoteContexts, true, true, false);
+        } catch(e) {
+            throw JSONLDParser.error("invalid scoped context", term + " (" + e.message + ")");
+        }
+        definition.context = value['@context'];
+        definition.baseUrl = baseUrl;
+    }
 
-/**
- * Returns true if the given input is a subject and has one of the given types
- * in the given frame.
- * 
- * @param input the input.
- * @param frame the frame with types to look for.
- * 
- * @return true if the input has one of the given types.
- */
-var _isType = function(input, frame)
-{
-   var rval = false;
-   
-   // check if type(s) are specified in frame and input
-   var type = '@type';
-   if('@type' in frame &&
-      input.constructor === Object && type in input)
-   {
-      var tmp = (input[type].constructor === Array) ?
-         input[type] : [input[type]];
-      var types = (frame[type].constructor === Array) ?
-         frame[type] : [frame[type]];
-      for(var t = 0; t < types.length && !rval; ++t)
-      {
-         type = types[t];
-         for(var i in tmp)
-         {
-            if(tmp[i] === type)
-            {
-               rval = true;
-               break;
-            }
-         }
-      }
-   }
-   
-   return rval;
-};
+    if(value.hasOwnProperty('@language') && !value.hasOwnProperty('@type')) {
+        var language = value['@language'];
+        if(language !== null && typeof(language) !== 'string') {
+            throw JSONLDParser.error("invalid language mapping", term);
+        }
+        definition.language = (language == null ? null : language.toLowerCase());
+    }
 
-/**
- * Returns true if the given input matches the given frame via duck-typing.
- * 
- * @param input the input.
- * @param frame the frame to check against.
- * 
- * @return true if the input matches the frame.
- */
-var _isDuckType = function(input, frame)
-{
-   var rval = false;
-   
-   // frame must not have a specific type
-   var type = '@type';
-   if(!(type in frame))
-   {
-      // get frame properties that must exist on input
-      var props = Object.keys(frame).filter(function(e)
-      {
-         // filter non-keywords
-         return e.indexOf('@') !== 0;
-      });
-      if(props.length === 0)
-      {
-         // input always matches if there are no properties
-         rval = true;
-      }
-      // input must be a subject with all the given properties
-      else if(input.constructor === Object && '@id' in input)
-      {
-         rval = true;
-         for(var i in props)
-         {
-            if(!(props[i] in input))
-            {
-               rval = false;
-               break;
-            }
-         }
-      }
-   }
-   
-   return rval;
+    if(value.hasOwnProperty('@direction') && !value.hasOwnProperty('@type')) {
+        var direction = value['@direction'];
+        if(direction !== null && direction !== 'ltr' && direction !== 'rtl') {
+            throw JSONLDParser.error("invalid base direction", term);
+        }
+        definition.direction = direction;
+    }
+
+    if(value.hasOwnProperty('@nest')) {
+        var nest = value['@nest'];
+        if(this.isProcessingMode10() || typeof(nest) !== 'string' || (nest !== '@nest' && JSONLDParser.isKeyword(nest))) {
+            throw JSONLDParser.error("invalid @nest value", term);
+        }
+        definition.nest = nest;
+    }
+
+    if(value.hasOwnProperty('@prefix')) {
+        if(this.isProcessingMode10() || term.indexOf(":") !== -1 || term.indexOf("/") !== -1) {
+            throw JSONLDParser.error("invalid term definition", term);
+        }
+        if(typeof(value['@prefix']) !== 'boolean') {
+            throw JSONLDParser.error("invalid @prefix value", term);
+        }
+        definition.prefix = value['@prefix'];
+        if(definition.prefix && JSONLDParser.isKeyword(definition.id)) {
+            throw JSONLDParser.error("invalid term definition", term);
+        }
+    }
+
+    if(!overrideProtected && previous != null && previous.protected) {
+        if(!JSONLDParser.sameDefinition(previous, definition)) {
+            throw JSONLDParser.error("protected term redefinition", term);
+        }
+        definition = previous;
+    }
+
+    activeContext.terms[term] = definition;
+    defined[term] = true;
 };
 
-/**
- * Subframes a value.
- * 
- * @param subjects a map of subjects in the graph.
- * @param value the value to subframe.
- * @param frame the frame to use.
- * @param embeds a map of previously embedded subjects, used to prevent cycles.
- * @param autoembed true if auto-embed is on, false if not.
- * @param parent the parent object.
- * @param parentKey the parent key.
- * @param options the framing options.
- * 
- * @return the framed input.
- */
-var _subframe = function(
-   subjects, value, frame, embeds, autoembed, parent, parentKey, options)
-{
-   // get existing embed entry
-   var iri = value['@id'];
-   var embed = (iri in embeds) ? embeds[iri] : null;
-   
-   // determine if value should be embedded or referenced,
-   // embed is ON if:
-   // 1. The frame OR default option specifies @embed as ON, AND
-   // 2. There is no existing embed OR it is an autoembed, AND
-   //    autoembed mode is off.
-   var embedOn = (
-      (('@embed' in frame && frame['@embed']) ||
-      (!('@embed' in frame) && options.defaults.embedOn)) &&
-      (embed === null || (embed.autoembed && !autoembed)));
-   
-   if(!embedOn)
-   {
-      // not embedding, so only use subject IRI as reference
-      value = {'@id': value['@id']};
-   }
-   else
-   {
-      // create new embed entry
-      if(embed === null)
-      {
-         embed = {};
-         embeds[iri] = embed;
-      }
-      // replace the existing embed with a reference
-      else if(embed.parent !== null)
-      {
-         if(embed.parent[embed.key].constructor === Array)
-         {
-            // find and replace embed in array
-            var objs = embed.parent[embed.key];
-            for(var i in objs)
-            {
-               if(objs[i].constructor === Object && '@id' in objs[i] &&
-                  objs[i]['@id'] === iri)
-               {
-                  objs[i] = {'@id': value['@id']};
-                  break;
-               }
-            }
-         }
-         else
-         {
-            embed.parent[embed.key] = {'@id': value['@id']};
-         }
-         
-         // recursively remove any dependent dangling embeds
-         var removeDependents = function(iri)
-         {
-            var iris = Object.keys(embeds);
-            for(var i in iris)
-            {
-               i = iris[i];
-               if(i in embeds && embeds[i].parent !== null &&
-                  embeds[i].parent['@id'] === iri)
-               {
-                  delete embeds[i];
-                  removeDependents(i);
-               }
-            }
-         };
-         removeDependents(iri);
-      }
-      
-      // update embed entry
-      embed.autoembed = autoembed;
-      embed.parent = parent;
-      embed.key = parentKey;
-      
-      // check explicit flag
-      var explicitOn = (
-         frame['@explicit'] === true || options.defaults.explicitOn);
-      if(explicitOn)
-      {
-         // remove keys from the value that aren't in the frame
-         for(key in value)
-         {
-            // do not remove @id or any frame key
-            if(key !== '@id' && !(key in frame))
-            {
-               delete value[key];
-            }
-         }
-      }
-      
-      // iterate over keys in value
-      var keys = Object.keys(value);
-      for(i in keys)
-      {
-         // skip keywords
-         var key = keys[i];
-         if(key.indexOf('@') !== 0)
-         {
-            // get the subframe if available
-            if(key in frame)
-            {
-               var f = frame[key];
-               var _autoembed = false;
-            }
-            // use a catch-all subframe to preserve data from graph
-            else
-            {
-               var f = (value[key].constructor === Array) ? [] : {};
-               var _autoembed = true;
-            }
-            
-            // build input and do recursion
-            var v = value[key];
-            var input = (v.constructor === Array) ? v : [v];
-            for(var n in input)
-            {
-               // replace reference to subject w/embedded subject
-               if(input[n].constructor === Object &&
-                  '@id' in input[n] &&
-                  input[n]['@id'] in subjects)
-               {
-                  input[n] = subjects[input[n]['@id']];
-               }
-            }
-            value[key] = _frame(
-               subjects, input, f, embeds, _autoembed, value, key, options);
-         }
-      }
-      
-      // iterate over frame keys to add any missing values
-      for(key in frame)
-      {
-         // skip keywords and non-null keys in value
-         if(key.indexOf('@') !== 0 && (!(key in value) || value[key] === null))
-         {
-            var f = frame[key];
-            
-            // add empty array to value
-            if(f.constructor === Array)
-            {
-               value[key] = [];
-            }
-            // add default value to value
-            else
-            {
-               // use first subframe if frame is an array
-               if(f.constructor === Array)
-               {
-                  f = (f.length > 0) ? f[0] : {};
-               }
-               
-               // determine if omit default is on
-               var omitOn = (
-                  f['@omitDefault'] === true || options.defaults.omitDefaultOn);
-               if(!omitOn)
-               {
-                  if('@default' in f)
-                  {
-                     // use specified default value
-                     value[key] = f['@default'];
-                  }
-                  else
-                  {
-                     // built-in default value is: null
-                     value[key] = null;
-                  }
-               }
-            }
-         }
-      }
-   }
-   
-   return value;
+JSONLDParser.sameDefinition = function(a, b) {
+    var keys = ["id", "type", "reverse", "prefix", "index", "language", "direction", "nest", "baseUrl"];
+    for(var i=0; i<keys.length; i++) {
+        if(a[keys[i]] !== b[keys[i]]) {
+            return false;
+        }
+    }
+    return JSON.stringify(a.container || []) === JSON.stringify(b.container || []) &&
+        JSON.stringify(a.context) === JSON.stringify(b.context);
 };
 
 /**
- * Recursively frames the given input according to the given frame.
- * 
- * @param subjects a map of subjects in the graph.
- * @param input the input to frame.
- * @param frame the frame to use.
- * @param embeds a map of previously embedded subjects, used to prevent cycles.
- * @param autoembed true if auto-embed is on, false if not.
- * @param parent the parent object (for subframing), null for none.
- * @param parentKey the parent key (for subframing), null for none.
- * @param options the framing options.
- * 
- * @return the framed input.
+ * IRI expansion: terms are only expanded when 'vocab' is true and
+ * relative IRIs are resolved against the base when 'documentRelative' is true.
  */
-var _frame = function(
-   subjects, input, frame, embeds, autoembed, parent, parentKey, options)
-{
-   var rval = null;
-   
-   // prepare output, set limit, get array of frames
-   var limit = -1;
-   var frames;
-   if(frame.constructor === Array)
-   {
-      rval = [];
-      frames = frame;
-      if(frames.length === 0)
-      {
-         frames.push({});
-      }
-   }
-   else
-   {
-      frames = [frame];
-      limit = 1;
-   }
-   
-   // iterate over frames adding input matches to list
-   var values = [];
-   for(var i = 0; i < frames.length && limit !== 0; ++i)
-   {
-      // get next frame
-      frame = frames[i];
-      if(frame.constructor !== Object)
-      {
-         throw {
-            message: 'Invalid JSON-LD frame. ' +
-               'Frame must be an object or an array.',
-            frame: frame
-         };
-      }
-      
-      // create array of values for each frame
-      values[i] = [];
-      for(var n = 0; n < input.length && limit !== 0; ++n)
-      {
-         // add input to list if it matches frame specific type or duck-type
-         var next = input[n];
-         if(_isType(next, frame) || _isDuckType(next, frame))
-         {
-            values[i].push(next);
-            --limit;
-         }
-      }
-   }
-   
-   // for each matching value, add it to the output
-   for(var i1 in values)
-   {
-      for(var i2 in values[i1])
-      {
-         frame = frames[i1];
-         var value = values[i1][i2];
-         
-         // if value is a subject, do subframing
-         if(_isSubject(value))
-         {
-            value = _subframe(
-               subjects, value, frame, embeds, autoembed,
-               parent, parentKey, options);
-         }
-         
-         // add value to output
-         if(rval === null)
-         {
-            rval = value;
-         }
-         else
-         {
-            // determine if value is a reference to an embed
-            var isRef = (_isReference(value) && value['@id'] in embeds);
-            
-            // push any value that isn't a parentless reference
-            if(!(parent === null && isRef))
-            {
-               rval.push(value);
-            }
-         }
-      }
-   }
-   
-   return rval;
+JSONLDParser.Processor.prototype.expandIri = function(activeContext, value, documentRelative, vocab, localContext, defined) {
+    if(value == null || JSONLDParser.isKeyword(value)) {
+        return value;
+    }
+    if(JSONLDParser.hasKeywordForm(value)) {
+        return null;
+    }
+    if(localContext != null && localContext.hasOwnProperty(value) && defined[value] !== true) {
+        this.createTermDefinition(activeContext, localContext, value, defined);
+    }
+    if(vocab && activeContext.terms.hasOwnProperty(value)) {
+        var definition = activeContext.terms[value];
+        return (definition == null ? null : definition.id);
+    }
+
+    var index = value.indexOf(":", 1);
+    if(index !== -1) {
+        var prefix = value.substr(0, index);
+        var suffix = value.substr(index + 1);
+        if(prefix === '_' || suffix.indexOf("//") === 0) {
+            return value;
+        }
+        if(localContext != null && localContext.hasOwnProperty(prefix) && defined[prefix] !== true) {
+            this.createTermDefinition(activeContext, localContext, prefix, defined);
+        }
+        var definition = activeContext.terms[prefix];
+        if(definition != null && definition.id != null && definition.prefix) {
+            return definition.id + suffix;
+        }
+        if(JSONLDParser.isAbsoluteIri(value)) {
+            return value;
+        }
+    }
+
+    if(vocab && activeContext.vocab != null) {
+        return activeContext.vocab + value;
+    } else if(documentRelative) {
+        return (activeContext.base == null ? value : Utils.resolveUri(activeContext.base, value));
+    }
+    return value;
 };
 
-/**
- * Frames JSON-LD input.
- * 
- * @param input the JSON-LD input.
- * @param frame the frame to use.
- * @param options framing options to use.
- * 
- * @return the framed output.
- */
-Processor.prototype.frame = function(input, frame, options)
-{
-   var rval;
-   
-   // normalize input
-   input = jsonld.normalize(input);
-   
-   // save frame context
-   var ctx = null;
-   if('@context' in frame)
-   {
-      ctx = _clone(frame['@context']);
-      
-      // remove context from frame
-      frame = jsonld.expand(frame);
-   }
-   else if(frame.constructor === Array)
-   {
-      // save first context in the array
-      if(frame.length > 0 && '@context' in frame[0])
-      {
-         ctx = _clone(frame[0]['@context']);
-      }
-      
-      // expand all elements in the array
-      var tmp = [];
-      for(var i in frame)
-      {
-         tmp.push(jsonld.expand(frame[i]));
-      }
-      frame = tmp;
-   }
-   
-   // create framing options
-   // TODO: merge in options from function parameter
-   options =
-   {
-      defaults:
-      {
-         embedOn: true,
-         explicitOn: false,
-         omitDefaultOn: false
-      }
-   };
-   
-   // build map of all subjects
-   var subjects = {};
-   for(var i in input)
-   {
-      subjects[input[i]['@id']] = input[i];
-   }
-   
-   // frame input
-   rval = _frame(subjects, input, frame, {}, false, null, null, options);
-   
-   // apply context
-   if(ctx !== null && rval !== null)
-   {
-      rval = jsonld.compact(ctx, rval);
-   }
-   
-   return rval;
-};
-
-})();
 
+// Expansion
 
-// exports
-exports.JSONLDParser = {};
-var JSONLDParser = exports.JSONLDParser;
+JSONLDParser.Processor.prototype.expandDocument = function(input) {
+    var activeContext = this.initialContext();
+    if(this.options.expandContext != null) {
+        var expandContext = this.options.expandContext;
+        if(JSONLDParser.isObject(expandContext) && expandContext.hasOwnProperty('@context')) {
+            expandContext = expandContext['@context'];
+        }
+        activeContext = this.processContext(activeContext, expandContext, this.options.base);
+    }
 
-JSONLDParser.parser = {};
-JSONLDParser.parser.parse = function(data, graph) {
-    if(typeof(data) === 'string') {
-        data = JSON.parse(data);
+    var expanded = this.expand(activeContext, null, input, this.options.base, false);
+    if(JSONLDParser.isObject(expanded) && JSONLDParser.keys(expanded).length === 1 && expanded.hasOwnProperty('@graph')) {
+        expanded = expanded['@graph'];
     }
-    return jsonldParser.toTriples(data, graph);
+
+    return (expanded == null ? [] : JSONLDParser.toArray(expanded));
 };
 
+JSONLDParser.Processor.prototype.expand = function(activeContext, activeProperty, element, baseUrl, frameExpansion, fromMap) {
+    if(element == null) {
+        return null;
+    }
+    if(activeProperty === '@default') {
+        frameExpansion = false;
+    }
+
+    var propertyDefinition = (activeProperty == null ? null : activeContext.terms[activeProperty]);
+    var propertyScopedContext = (propertyDefinition != null ? propertyDefinition.context : undefined);
+
+    if(!JSONLDParser.isObject(element) && !JSONLDParser.isArray(element)) {
+        if(activeProperty == null || activeProperty === '@graph') {
+            return null;
+        }
+        if(propertyScopedContext !== undefined) {
+            activeContext = this.processContext(activeContext, propertyScopedContext, propertyDefinition.baseUrl);
+        }
+        return this.expandValue(activeContext, activeProperty, element);
+    }
+
+    if(JSONLDParser.isArray(element)) {
+        var result = [];
+        var container = (propertyDefinition != null && propertyDefinition.container) || [];
+        for(var i=0; i<element.length; i++) {
+            var expandedItem = this.expand(activeContext, activeProperty, element[i], baseUrl, frameExpansion, fromMap);
+            if(Utils.include(container, '@list') && JSONLDParser.isArray(expandedItem)) {
+                expandedItem = {'@list': expandedItem};
+            }
+            if(JSONLDParser.isArray(expandedItem)) {
+                result = result.concat(expandedItem);
+            } else if(expandedItem != null) {
+                result.push(expandedItem);
+            }
+        }
+        return result;
+    }
+
+    // the active context is reverted when entering a node object if it was not propagated
+    if(activeContext.previousContext != null && !fromMap) {
+        var revert = true;
+        var keys = JSONLDParser.keys(element);
+        for(var i=0; i<keys.length; i++) {
+            var expandedKey = this.expandIri(activeContext, keys[i], false, true);
+            if(expandedKey === '@value' || (keys.length === 1 && expandedKey === '@id')) {
+                revert = false;
+                break;
+            }
+        }
+        if(revert) {
+            activeContext = activeContext.previousContext;
+        }
+    }
+
+    if(propertyScopedContext !== undefined) {
+        activeContext = this.processContext(activeContext, propertyScopedContext, propertyDefinition.baseUrl, [], true);
+    }
+    if(element.hasOwnProperty('@context')) {
+        activeContext = this.processContext(activeContext, element['@context'], baseUrl);
+    }
+
+    var typeScopedContext = activeContext;
+    var inputType = null;
+    var keys = JSONLDParser.keys(element).sort();
+    for(var i=0; i<keys.length; i++) {
+        if(this.expandIri(activeContext, keys[i], false, true) !== '@type') {
+            continue;
+        }
+        var types = JSONLDParser.toArray(element[keys[i]]).slice(0).sort();
+        for(var j=0; j<types.length; j++) {
+            var definition = (typeof(types[j]) === 'string' ? typeScopedContext.terms[types[j]] : null);
+            if(definition != null && definition.context !== undefined) {
+                activeContext = this.processContext(activeContext, definition.context, definition.baseUrl, [], false, false);
+            }
+        }
+        var lastType = JSONLDParser.toArray(element[keys[i]]);
+        lastType = lastType[lastType.length - 1];
+        if(typeof(lastType) === 'string') {
+            inputType = this.expandIri(activeContext, lastType, false, true);
+        }
+        break;
+    }
+
+    var result = {};
+    var nests = {};
+    this.expandEntries(activeContext, typeScopedContext, activeProperty, element, result, nests, inputType, baseUrl, frameExpansion);
+
+    var resultKeys = JSONLDParser.keys(result);
+    if(result.hasOwnProperty('@value')) {
+        for(var i=0; i<resultKeys.length; i++) {
+            if(!Utils.include(["@direction", "@index", "@language", "@type", "@value"], resultKeys[i])) {
+                throw JSONLDParser.error("invalid value object", resultKeys[i]);
+            }
+        }
+        if(result.hasOwnProperty('@type') && (result.hasOwnProperty('@language') || result.hasOwnProperty('@direction'))) {
+            throw JSONLDParser.error("invalid value object", "@type with @language or @direction");
+        }
+        if(result['@type'] === '@json') {
+            // any JSON value is valid
+        } else if(result['@value'] === null || (JSONLDParser.isArray(result['@value']) && result['@value'].length === 0)) {
+            return null;
+        } else if(!frameExpansion && typeof(result['@value']) !== 'string' && result.hasOwnProperty('@language')) {
+            throw JSONLDParser.error("invalid language-tagged value", result['@value']);
+        } else if(!frameExpansion && result.hasOwnProperty('@type') && (typeof(result['@type']) !== 'string' || !JSONLDParser.isAbsoluteIri(result['@type']))) {
+            throw JSONLDParser.error("invalid typed value", result['@type']);
+        }
+    } else if(result.hasOwnProperty('@type') && !JSONLDParser.isArray(result['@type'])) {
+        result['@type'] = [result['@type']];
+    } else if(result.hasOwnProperty('@set') || result.hasOwnProperty('@list')) {
+        if(resultKeys.length > 2 || (resultKeys.length === 2 && !result.hasOwnProperty('@index'))) {
+            throw JSONLDParser.error("invalid set or list object");
+        }
+        if(result.hasOwnProperty('@set')) {
+            result = result['@set'];
+        }
+    }
+
+    resultKeys = (JSONLDParser.isObject(result) ? JSONLDParser.keys(result) : []);
+    if(resultKeys.length === 1 && result.hasOwnProperty('@language')) {
+        return null;
+    }
+
+    if(activeProperty == null || activeProperty === '@graph') {
+        if(JSONLDParser.isObject(result) &&
+           ((resultKeys.length === 0 && !frameExpansion) || result.hasOwnProperty('@value') || result.hasOwnProperty('@list') ||
+            (resultKeys.length === 1 && result.hasOwnProperty('@id') && !frameExpansion))) {
+            return null;
+        }
+    }
+
+    return result;
+};
+
+JSONLDParser.Processor.prototype.expandEntries = function(activeContext, typeScopedContext, activeProperty, element, result, nests, inputType, baseUrl, frameExpansion) {
+    var keys = JSONLDParser.keys(element);
+    if(this.options.ordered) {
+        keys.sort();
+    }
+
+    for(var k=0; k<keys.length; k++) {
+        var key = keys[k];
+        var value = element[key];
+        if(key === '@context') {
+            continue;
+        }
+        var expandedProperty = this.expandIri(activeContext, key, false, true);
+        if(expandedProperty == null || (expandedProperty.indexOf(":") === -1 && !JSONLDParser.isKeyword(expandedProperty))) {
+            continue;
+        }
+
+        var expandedValue;
+        if(JSONLDParser.isKeyword(expandedProperty)) {
+            if(activeProperty === '@reverse') {
+                throw JSONLDParser.error("invalid reverse property map");
+            }
+            if(result.hasOwnProperty(expandedProperty) && expandedProperty !== '@included' && expandedProperty !== '@type') {
+                throw JSONLDParser.error("colliding keywords", expandedProperty);
+            }
+
+            if(expandedProperty === '@id') {
+                if(typeof(value) === 'string') {
+                    expandedValue = this.expandIri(activeContext, value, true, false);
+                } else if(frameExpansion && (JSONLDParser.isObject(value) || JSONLDParser.isArray(value))) {
+                    if(JSONLDParser.isObject(value) && JSONLDParser.keys(value).length === 0) {
+                        expandedValue = [value];
+                    } else {
+                        expandedValue = [];
+                        var ids = JSONLDParser.toArray(value);
+                        for(var i=0; i<ids.length; i++) {
+                            if(typeof(ids[i]) !== 'string') {
+                                throw JSONLDParser.error("invalid @id value", ids[i]);
+                            }
+                            expandedValue.push(this.expandIri(activeContext, ids[i], true, false));
+                        }
+                    }
+                } else {
+                    throw JSONLDParser.error("invalid @id value", value);
+                }
+            } else if(expandedProperty === '@type') {
+                if(frameExpansion && JSONLDParser.isObject(value) && JSONLDParser.keys(value).length === 0) {
+                    expandedValue = value;
+                } else if(frameExpansion && JSONLDParser.isObject(value) && value.hasOwnProperty('@default')) {
+                    expandedValue = {'@default': this.expandIri(typeScopedContext, value['@default'], true, true)};
+                } else {
+                    var types = JSONLDParser.toArray(value);
+                    expandedValue = [];
+                    for(var i=0; i<types.length; i++) {
+                        if(typeof(types[i]) !== 'string') {
+                            if(frameExpansion && JSONLDParser.isObject(types[i]) && JSONLDParser.keys(types[i]).length === 0) {
+                                expandedValue.push(types[i]);
+                                continue;
+                            }
+                            throw JSONLDParser.error("invalid type value", types[i]);
+                        }
+                        expandedValue.push(this.expandIri(typeScopedContext, types[i], true, true));
+                    }
+                    if(!JSONLDParser.isArray(value) && !frameExpansion) {
+                        expandedValue = expandedValue[0];
+                    }
+                }
+                if(result.hasOwnProperty('@type')) {
+                    expandedValue = JSONLDParser.toArray(result['@type']).concat(JSONLDParser.toArray(expandedValue));
+                }
+            } else if(expandedProperty === '@graph') {
+                expandedValue = JSONLDParser.toArray(this.expand(activeContext, '@graph', value, baseUrl, frameExpansion));
+            } else if(expandedProperty === '@included') {
+                if(this.isProcessingMode10()) {
+                    continue;
+                }
+                expandedValue = JSONLDParser.toArray(this.expand(activeContext, null, value, baseUrl, frameExpansion));
+                for(var i=0; i<expandedValue.length; i++) {
+                    if(!JSONLDParser.isNodeObject(expandedValue[i])) {
+                        throw JSONLDParser.error("invalid @included value");
+                    }
+                }
+                if(result.hasOwnProperty('@included')) {
+                    expandedValue = result['@included'].concat(expandedValue);
+                }
+            } else if(expandedProperty === '@value') {
+                if(inputType === '@json') {
+                    if(this.isProcessingMode10()) {
+                        throw JSONLDParser.error("invalid value object value");
+                    }
+                    expandedValue = value;
+                } else if(value !== null && (JSONLDParser.isObject(value) || JSONLDParser.isArray(value)) && !frameExpansion) {
+                    throw JSONLDParser.error("invalid value object value", value);
+                } else {
+                    expandedValue = value;
+                    if(frameExpansion && JSONLDParser.isObject(value)) {
+                        expandedValue = [value];
+                    }
+                }
+                if(expandedValue === null) {
+                    result['@value'] = null;
+                    continue;
+                }
+            } else if(expandedProperty === '@language') {
+                if(typeof(value) === 'string') {
+                    expandedValue = value.toLowerCase();
+                } else if(frameExpansion && (JSONLDParser.isObject(value) || JSONLDParser.isArray(value))) {
+                    expandedValue = JSONLDParser.toArray(value);
+                } else {
+                    throw JSONLDParser.error("invalid language-tagged string", value);
+                }
+            } else if(expandedProperty === '@direction') {
+                if(this.isProcessingMode10()) {
+                    continue;
+                }
+                if(value !== 'ltr' && value !== 'rtl') {
+                    throw JSONLDParser.error("invalid base direction", value);
+                }
+                expandedValue = value;
+            } else if(expandedProperty === '@index') {
+                if(typeof(value) !== 'string') {
+                    throw JSONLDParser.error("invalid @index value", value);
+                }
+                expandedValue = value;
+            } else if(expandedProperty === '@list') {
+                if(activeProperty == null || activeProperty === '@graph') {
+                    continue;
+                }
+                expandedValue = JSONLDParser.toArray(this.expand(activeContext, activeProperty, JSONLDParser.toArray(value), baseUrl, frameExpansion));
+            } else if(expandedProperty === '@set') {
+                expandedValue = this.expand(activeContext, activeProperty, value, baseUrl, frameExpansion);
+            } else if(expandedProperty === '@reverse') {
+                if(!JSONLDParser.isObject(value)) {
+                    throw JSONLDParser.error("invalid @reverse value");
+                }
+                expandedValue = this.expand(activeContext, '@reverse', value, baseUrl, frameExpansion);
+                if(expandedValue.hasOwnProperty('@reverse')) {
+                    for(var property in expandedValue['@reverse']) {
+                        JSONLDParser.addValue(result, property, expandedValue['@reverse'][property], true);
+                    }
+                }
+                var reverseMap = result['@reverse'] || {};
+                var hasReverse = false;
+                for(var property in expandedValue) {
+                    if(property === '@reverse') {
+                        continue;
+                    }
+                    var items = expandedValue[property];
+                    for(var i=0; i<items.length; i++) {
+                        if(JSONLDParser.isValueObject(items[i]) || JSONLDParser.isListObject(items[i])) {
+                            throw JSONLDParser.error("invalid reverse property value");
+                        }
+                        JSONLDParser.addValue(reverseMap, property, items[i], true);
+                        hasReverse = true;
+                    }
+                }
+                if(hasReverse) {
+                    result['@reverse'] = reverseMap;
+                }
+                continue;
+            } else if(expandedProperty === '@nest') {
+                nests[key] = true;
+                continue;
+            } else if(frameExpansion && Utils.include(["@default", "@embed", "@explicit", "@omitDefault", "@requireAll"], expandedProperty)) {
+                expandedValue = this.expand(activeContext, activeProperty, value, baseUrl, frameExpansion);
+                if(expandedValue == null) {
+                    expandedValue = value;
+                }
+            } else {
+                continue;
+            }
+
+            if(expandedValue === null && expandedProperty === '@value' && inputType !== '@json') {
+                continue;
+            }
+            result[expandedProperty] = expandedValue;
+            continue;
+        }
+
+        var definition = activeContext.terms[key];
+        var container = (definition != null && definition.container) || [];
+
+        if(definition != null && definition.type === '@json') {
+            expandedValue = {'@value': value, '@type': '@json'};
+        } else if(Utils.include(container, '@language') && JSONLDParser.isObject(value)) {
+            expandedValue = [];
+            var direction = (definition.direction !== undefined ? definition.direction : activeContext.direction);
+            var languages = JSONLDParser.keys(value).sort();
+            for(var i=0; i<languages.length; i++) {
+                var language = languages[i];
+                var languageValues = JSONLDParser.toArray(value[language]);
+                for(var j=0; j<languageValues.length; j++) {
+                    var item = languageValues[j];
+                    if(item === null) {
+                        continue;
+                    }
+                    if(typeof(item) !== 'string') {
+                        throw JSONLDParser.error("invalid language map value", item);
+                    }
+                    var languageValue = {'@value': item};
+                    if(this.expandIri(activeContext, language, false, true) !== '@none') {
+                        languageValue['@language'] = language.toLowerCase();
+                    }
+                    if(direction != null) {
+                        languageValue['@direction'] = direction;
+                    }
+                    expandedValue.push(languageValue);
+                }
+            }
+        } else if((Utils.include(container, '@index') || Utils.include(container, '@type') || Utils.include(container, '@id')) && JSONLDParser.isObject(value)) {
+            expandedValue = [];
+            var indexKey = definition.index || '@index';
+            var indexes = JSONLDParser.keys(value).sort();
+            for(var i=0; i<indexes.length; i++) {
+                var index = indexes[i];
+                var mapContext = activeContext;
+                if(Utils.include(container, '@id') || Utils.include(container, '@type')) {
+                    mapContext = activeContext.previousContext || activeContext;
+                }
+                if(Utils.include(container, '@type') && mapContext.terms[index] != null && mapContext.terms[index].context !== undefined) {
+                    mapContext = this.processContext(mapContext, mapContext.terms[index].context, mapContext.terms[index].baseUrl);
+                } else {
+                    mapContext = activeContext;
+                }
+
+                var expandedIndex = this.expandIri(activeContext, index, false, true);
+                var indexValues = JSONLDParser.toArray(this.expand(mapContext, key, JSONLDParser.toArray(value[index]), baseUrl, frameExpansion, true));
+                for(var j=0; j<indexValues.length; j++) {
+                    var item = indexValues[j];
+                    if(Utils.include(container, '@graph') && !JSONLDParser.isGraphObject(item)) {
+                        item = {'@graph': JSONLDParser.toArray(item)};
+                    }
+                    if(Utils.include(container, '@index') && indexKey !== '@index' && expandedIndex !== '@none') {
+                        if(item.hasOwnProperty('@value')) {
+                            throw JSONLDParser.error("invalid value object", "property-valued index");
+                        }
+                        var reExpandedIndex = this.expandValue(activeContext, indexKey, index);
+                        var expandedIndexKey = this.expandIri(activeContext, indexKey, false, true);
+                        item[expandedIndexKey] = [reExpandedIndex].concat(item[expandedIndexKey] || []);
+                    } else if(Utils.include(container, '@index') && !item.hasOwnProperty('@index') && expandedIndex !== '@none') {
+                        item['@index'] = index;
+                    } else if(Utils.include(container, '@id') && !item.hasOwnProperty('@id') && expandedIndex !== '@none') {
+                        item['@id'] = this.expandIri(activeContext, index, true, false);
+                    } else if(Utils.include(container, '@type') && expandedIndex !== '@none') {
+                        item['@type'] = [expandedIndex].concat(item['@type'] || []);
+                    }
+                    expandedValue.push(item);
+                }
+            }
+        } else {
+            expandedValue = this.expand(activeContext, key, value, baseUrl, frameExpansion);
+        }
+
+        if(expandedValue == null) {
+            continue;
+        }
+        if(Utils.include(container, '@list') && !JSONLDParser.isListObject(expandedValue)) {
+            expandedValue = {'@list': JSONLDParser.toArray(expandedValue)};
+        }
+        if(Utils.include(container, '@graph') && !Utils.include(container, '@id') && !Utils.include(container, '@index')) {
+            var graphs = JSONLDParser.toArray(expandedValue);
+            expandedValue = [];
+            for(var i=0; i<graphs.length; i++) {
+                expandedValue.push({'@graph': JSONLDParser.toArray(graphs[i])});
+            }
+        }
+
+        if(definition != null && definition.reverse) {
+            var reverseMap = result['@reverse'] = (result['@reverse'] || {});
+            var items = JSONLDParser.toArray(expandedValue);
+            for(var i=0; i<items.length; i++) {
+                if(JSONLDParser.isValueObject(items[i]) || JSONLDParser.isListObject(items[i])) {
+                    throw JSONLDParser.error("invalid reverse property value");
+                }
+                JSONLDParser.addValue(reverseMap, expandedProperty, items[i], true);
+            }
+        } else {
+            JSONLDParser.addValue(result, expandedProperty, expandedValue, true);
+        }
+    }
+
+    var nestKeys = JSONLDParser.keys(nests).sort();
+    for(var i=0; i<nestKeys.length; i++) {
+        var nestedValues = JSONLDParser.toArray(element[nestKeys[i]]);
+        for(var j=0; j<nestedValues.length; j++) {
+            var nestedValue = nestedValues[j];
+            if(!JSONLDParser.isObject(nestedValue)) {
+                throw JSONLDParser.error("invalid @nest value");
+            }
+            for(var nestedKey in nestedValue) {
+                if(this.expandIri(activeContext, nestedKey, false, true) === '@value') {
+                    throw JSONLDParser.error("invalid @nest value");
+                }
+            }
+            this.expandEntries(activeContext, typeScopedContext, activeProperty, nestedValue, result, {}, inputType, baseUrl, frameExpansion);
+        }
+    }
+};
+
+JSONLDParser.Processor.prototype.expandValue = function(activeContext, activeProperty, value) {
+    var definition = activeContext.terms[activeProperty];
+    if(definition != null && definition.type === '@id' && typeof(value) === 'string') {
+        return {'@id': this.expandIri(activeContext, value, true, false)};
+    }
+    if(definition != null && definition.type === '@vocab' && typeof(value) === 'string') {
+        return {'@id': this.expandIri(activeContext, value, true, true)};
+    }
+
+    var result = {'@value': value};
+    if(definition != null && definition.type != null && definition.type !== '@id' && definition.type !== '@vocab' && definition.type !== '@none') {
+        result['@type'] = definition.type;
+    } else if(typeof(value) === 'string') {
+        var language = (definition != null && definition.language !== undefined ? definition.language : activeContext.language);
+        var direction = (definition != null && definition.direction !== undefined ? definition.direction : activeContext.direction);
+        if(language != null) {
+            result['@language'] = language;
+        }
+        if(direction != null) {
+            result['@direction'] = direction;
+        }
+    }
+
+    return result;
+};
+
+
+// Compaction
+
+JSONLDParser.Processor.prototype.compactDocument = function(expanded, context) {
+    if(JSONLDParser.isObject(context) && context.hasOwnProperty('@context')) {
+        context = context['@context'];
+    }
+    var activeContext = this.processContext(this.initialContext(), context, this.options.base);
+    var compacted = this.compact(activeContext, null, expanded);
+
+    if(JSONLDParser.isArray(compacted)) {
+        if(compacted.length === 0) {
+            compacted = {};
+        } else {
+            var graph = {};
+            graph[this.compactIri(activeContext, '@graph', null, true)] = compacted;
+            compacted = graph;
+        }
+    }
+    if(context != null && !JSONLDParser.isEmptyContext(context)) {
+        var result = {'@context': context};
+        for(var p in compacted) {
+            result[p] = compacted[p];
+        }
+        compacted = result;
+    }
+
+    return compacted;
+};
+
+JSONLDParser.Processor.prototype.compact = function(activeContext, activeProperty, element) {
+    var compactArrays = (this.options.compactArrays !== false);
+    var typeScopedContext = activeContext;
+
+    if(!JSONLDParser.isObject(element) && !JSONLDParser.isArray(element)) {
+        return element;
+    }
+
+    if(JSONLDParser.isArray(element)) {
+        var result = [];
+        for(var i=0; i<element.length; i++) {
+            var compactedItem = this.compact(activeContext, activeProperty, element[i]);
+            if(compactedItem != null) {
+                result.push(compactedItem);
+            }
+        }
+        var propertyContainer = (activeProperty != null && activeContext.terms[activeProperty] != null && activeContext.terms[activeProperty].container) || [];
+        if(result.length !== 1 || !compactArrays || activeProperty === '@graph' || activeProperty === '@set' ||
+           Utils.include(propertyContainer, '@list') || Utils.include(propertyContainer, '@set')) {
+            return result;
+        }
+        return result[0];
+    }
+
+    if(activeContext.previousContext != null && !element.hasOwnProperty('@value') &&
+       !(JSONLDParser.keys(element).length === 1 && element.hasOwnProperty('@id'))) {
+        activeContext = activeContext.previousContext;
+    }
+
+    var propertyDefinition = (activeProperty != null ? activeContext.terms[activeProperty] : null);
+    if(propertyDefinition != null && propertyDefinition.context !== undefined) {
+        activeContext = this.processContext(activeContext, propertyDefinition.context, propertyDefinition.baseUrl, [], true);
+        propertyDefinition = activeContext.terms[activeProperty];
+    }
+    var container = (propertyDefinition != null && propertyDefinition.container) || [];
+
+    if(element.hasOwnProperty('@value') || JSONLDParser.isNodeReference(element)) {
+        var compactedValue = this.compactValue(activeContext, activeProperty, element);
+        if(!JSONLDParser.isObject(compactedValue) || (propertyDefinition != null && propertyDefinition.type === '@json')) {
+            return compactedValue;
+        }
+    }
+
+    if(JSONLDParser.isListObject(element) && Utils.include(container, '@list')) {
+        return this.compact(activeContext, activeProperty, element['@list']);
+    }
+
+    var insideReverse = (activeProperty === '@reverse');
+    var result = {};
+
+    if(element.hasOwnProperty('@type')) {
+        var compactedTypes = [];
+        var types = JSONLDParser.toArray(element['@type']);
+        for(var i=0; i<types.length; i++) {
+            compactedTypes.push(this.compactIri(activeContext, types[i], null, true));
+        }
+        compactedTypes.sort();
+        for(var i=0; i<compactedTypes.length; i++) {
+            var definition = typeScopedContext.terms[compactedTypes[i]];
+            if(definition != null && definition.context !== undefined) {
+                activeContext = this.processContext(activeContext, definition.context, definition.baseUrl, [], false, false);
+            }
+        }
+    }
+
+    var properties = JSONLDParser.keys(element);
+    if(this.options.ordered) {
+        properties.sort();
+    }
+
+    for(var p=0; p<properties.length; p++) {
+        var expandedProperty = properties[p];
+        var expandedValue = element[expandedProperty];
+
+        if(expandedProperty === '@id') {
+            result[this.compactIri(activeContext, '@id', null, true)] = this.compactIri(activeContext, expandedValue, null, false);
+            continue;
+        }
+
+        if(expandedProperty === '@type') {
+            var types = JSONLDParser.toArray(expandedValue);
+            var compactedValue = [];
+            for(var i=0; i<types.length; i++) {
+                compactedValue.push(this.compactIri(typeScopedContext, types[i], null, true));
+            }
+            if(compactedValue.length === 1) {
+                compactedValue = compactedValue[0];
+            }
+            var alias = this.compactIri(activeContext, '@type', null, true);
+            var aliasDefinition = activeContext.terms[alias];
+            var asArray = (!this.isProcessingMode10() && aliasDefinition != null && Utils.include(aliasDefinition.container || [], '@set')) || !compactArrays;
+            JSONLDParser.addValue(result, alias, compactedValue, asArray);
+            continue;
+        }
+
+        if(expandedProperty === '@reverse') {
+            var compactedValue = this.compact(activeContext, '@reverse', expandedValue);
+            for(var property in compactedValue) {
+                var definition = activeContext.terms[property];
+                if(definition != null && definition.reverse) {
+                    var asArray = Utils.include(definition.container || [], '@set') || !compactArrays;
+                    JSONLDParser.addValue(result, property, compactedValue[property], asArray);
+                    delete compactedValue[property];
+                }
+            }
+            if(JSONLDParser.keys(compactedValue).length > 0) {
+                result[this.compactIri(activeContext, '@reverse', null, true)] = compactedValue;
+            }
+            continue;
+        }
+
+        if(expandedProperty === '@preserve') {
+            var compactedValue = this.compact(activeContext, activeProperty, expandedValue);
+            if(!(JSONLDParser.isArray(compactedValue) && compactedValue.length === 0)) {
+                result['@preserve'] = compactedValue;
+            }
+            continue;
+        }
+
+        if(expandedProperty === '@index' && Utils.include(container, '@index')) {
+            continue;
+        }
+
+        if(expandedProperty === '@direction' || expandedProperty === '@index' || expandedProperty === '@language' || expandedProperty === '@value') {
+            result[this.compactIri(activeContext, expandedProperty, null, true)] = expandedValue;
+            continue;
+        }
+
+        if(expandedValue.length === 0) {
+            var itemActiveProperty = this.compactIri(activeContext, expandedProperty, expandedValue, true, insideReverse);
+            var nestResult = this.nestResult(activeContext, result, itemActiveProperty);
+            JSONLDParser.addValue(nestResult, itemActiveProperty, [], true);
+        }
+
+        for(var i=0; i<expandedValue.length; i++) {
+            var expandedItem = expandedValue[i];
+            var itemActiveProperty = this.compactIri(activeContext, expandedProperty, expandedItem, true, insideReverse);
+            var nestResult = this.nestResult(activeContext, result, itemActiveProperty);
+            var itemDefinition = activeContext.terms[itemActiveProperty];
+            var itemContainer = (itemDefinition != null && itemDefinition.container) || [];
+            var asArray = Utils.include(itemContainer, '@set') || itemActiveProperty === '@graph' || itemActiveProperty === '@list' || !compactArrays;
+
+            var content = expandedItem;
+            if(JSONLDParser.isListObject(expandedItem)) {
+                content = expandedItem['@list'];
+            } else if(JSONLDParser.isGraphObject(expandedItem)) {
+                content = expandedItem['@graph'];
+            }
+            var compactedItem = this.compact(activeContext, itemActiveProperty, content);
+
+            if(JSONLDParser.isListObject(expandedItem)) {
+                compactedItem = JSONLDParser.toArray(compactedItem);
+                if(!Utils.include(itemContainer, '@list')) {
+                    var list = {};
+                    list[this.compactIri(activeContext, '@list', null, true)] = compactedItem;
+                    if(expandedItem.hasOwnProperty('@index')) {
+                        list[this.compactIri(activeContext, '@index', null, true)] = expandedItem['@index'];
+                    }
+                    JSONLDParser.addValue(nestResult, itemActiveProperty, list, asArray);
+                } else {
+                    nestResult[itemActiveProperty] = compactedItem;
+                }
+            } else if(JSONLDParser.isGraphObject(expandedItem)) {
+                if(Utils.include(itemContainer, '@graph') && Utils.include(itemContainer, '@id')) {
+                    var mapObject = nestResult[itemActiveProperty] = (nestResult[itemActiveProperty] || {});
+                    var mapKey = (expandedItem.hasOwnProperty('@id') ?
+                                  this.compactIri(activeContext, expandedItem['@id'], null, false) :
+                                  this.compactIri(activeContext, '@none', null, true));
+                    JSONLDParser.addValue(mapObject, mapKey, compactedItem, asArray);
+                } else if(Utils.include(itemContainer, '@graph') && Utils.include(itemContainer, '@index') && JSONLDParser.isSimpleGraphObject(expandedItem)) {
+                    var mapObject = nestResult[itemActiveProperty] = (nestResult[itemActiveProperty] || {});
+                    var mapKey = (expandedItem.hasOwnProperty('@index') ? expandedItem['@index'] : this.compactIri(activeContext, '@none', null, true));
+                    JSONLDParser.addValue(mapObject, mapKey, compactedItem, asArray);
+                } else if(Utils.include(itemContainer, '@graph') && JSONLDParser.isSimpleGraphObject(expandedItem)) {
+                    if(JSONLDParser.isArray(compactedItem) && compactedItem.length > 1) {
+                        var included = {};
+                        included[this.compactIri(activeContext, '@included', null, true)] = compactedItem;
+                        compactedItem = included;
+                    }
+                    JSONLDParser.addValue(nestResult, itemActiveProperty, compactedItem, asArray);
+                } else {
+                    var graph = {};
+                    graph[this.compactIri(activeContext, '@graph', null, true)] = JSONLDParser.toArray(compactedItem);
+                    if(expandedItem.hasOwnProperty('@id')) {
+                        graph[this.compactIri(activeContext, '@id', null, true)] = this.compactIri(activeContext, expandedItem['@id'], null, false);
+                    }
+                    if(expandedItem.hasOwnProperty('@index')) {
+                        graph[this.compactIri(activeContext, '@index', null, true)] = expandedItem['@index'];
+                    }
+                    JSONLDParser.addValue(nestResult, itemActiveProperty, graph, asArray);
+                }
+            } else if(!Utils.include(itemContainer, '@graph') &&
+                      (Utils.include(itemContainer, '@language') || Utils.include(itemContainer, '@index') ||
+                       Utils.include(itemContainer, '@id') || Utils.include(itemContainer, '@type'))) {
+                var mapObject = nestResult[itemActiveProperty] = (nestResult[itemActiveProperty] || {});
+                var containerKeyword = (Utils.include(itemContainer, '@language') ? '@language' :
+                                        Utils.include(itemContainer, '@index') ? '@index' :
+                                        Utils.include(itemContainer, '@id') ? '@id' : '@type');
+                var containerKey = this.compactIri(activeContext, containerKeyword, null, true);
+                var indexKey = itemDefinition.index || '@index';
+                var mapKey = null;
+
+                if(containerKeyword === '@language' && expandedItem.hasOwnProperty('@value')) {
+                    compactedItem = expandedItem['@value'];
+                    mapKey = expandedItem['@language'];
+                } else if(containerKeyword === '@index' && indexKey === '@index') {
+                    mapKey = expandedItem['@index'];
+                } else if(containerKeyword === '@index') {
+                    containerKey = this.compactIri(activeContext, indexKey, null, true);
+                    var indexValues = JSONLDParser.toArray(compactedItem[containerKey]);
+                    if(indexValues.length > 0 && typeof(indexValues[0]) === 'string') {
+                        mapKey = indexValues.shift();
+                    }
+                    if(indexValues.length > 0) {
+                        compactedItem[containerKey] = (indexValues.length === 1 ? indexValues[0] : indexValues);
+                    } else {
+                        delete compactedItem[containerKey];
+                    }
+                } else if(containerKeyword === '@id') {
+                    mapKey = compactedItem[containerKey];
+                    delete compactedItem[containerKey];
+                } else {
+                    var types = JSONLDParser.toArray(compactedItem[containerKey]);
+                    mapKey = (types.length > 0 ? types.shift() : null);
+                    if(types.length > 0) {
+                        compactedItem[containerKey] = (types.length === 1 ? types[0] : types);
+                    } else {
+                        delete compactedItem[containerKey];
+                    }
+                    if(JSONLDParser.keys(compactedItem).length === 1 && expandedItem.hasOwnProperty('@id') &&
+                       compactedItem.hasOwnProperty(this.compactIri(activeContext, '@id', null, true))) {
+                        compactedItem = this.compact(activeContext, itemActiveProperty, {'@id': expandedItem['@id']});
+                    }
+                }
+                if(mapKey == null) {
+                    mapKey = this.compactIri(activeContext, '@none', null, true);
+                }
+                JSONLDParser.addValue(mapObject, mapKey, compactedItem, asArray);
+            } else {
+                JSONLDParser.addValue(nestResult, itemActiveProperty, compactedItem, asArray);
+            }
+        }
+    }
+
+    return result;
+};
+
+JSONLDParser.Processor.prototype.nestResult = function(activeContext, result, itemActiveProperty) {
+    var definition = activeContext.terms[itemActiveProperty];
+    if(definition == null || definition.nest == null) {
+        return result;
+    }
+    var nestTerm = definition.nest;
+    if(nestTerm !== '@nest' && this.expandIri(activeContext, nestTerm, false, true) !== '@nest') {
+        throw JSONLDParser.error("invalid @nest value", nestTerm);
+    }
+    result[nestTerm] = result[nestTerm] || {};
+    return result[nestTerm];
+};
+
+JSONLDParser.Processor.prototype.inverseContext = function(activeContext) {
+    if(activeContext.inverse != null) {
+        return activeContext.inverse;
+    }
+
+    var result = {};
+    var defaultLanguage = activeContext.language || '@none';
+    if(activeContext.direction != null) {
+        defaultLanguage = ((activeContext.language || '') + '_' + activeContext.direction).toLowerCase();
+    }
+    var terms = JSONLDParser.keys(activeContext.terms).sort(function(a, b) {
+        return (a.length - b.length) || (a < b ? -1 : (a > b ? 1 : 0));
+    });
+
+    for(var i=0; i<terms.length; i++) {
+        var term = terms[i];
+        var definition = activeContext.terms[term];
+        if(definition == null || definition.id == null) {
+            continue;
+        }
+        var container = (definition.container || []).slice(0).sort().join('') || '@none';
+        var containerMap = result[definition.id] = (result[definition.id] || {});
+        if(containerMap[container] == null) {
+            containerMap[container] = {'@language': {}, '@type': {}, '@any': {'@none': term}};
+        }
+        var languageMap = containerMap[container]['@language'];
+        var typeMap = containerMap[container]['@type'];
+
+        if(definition.reverse) {
+            JSONLDParser.setDefault(typeMap, '@reverse', term);
+        } else if(definition.type === '@none') {
+            JSONLDParser.setDefault(languageMap, '@any', term);
+            JSONLDParser.setDefault(typeMap, '@any', term);
+        } else if(definition.type != null) {
+            JSONLDParser.setDefault(typeMap, definition.type, term);
+        } else if(definition.language !== undefined && definition.direction !== undefined) {
+            var key = '@null';
+            if(definition.language != null && definition.direction != null) {
+                key = (definition.language + '_' + definition.direction).toLowerCase();
+            } else if(definition.language != null) {
+                key = definition.language.toLowerCase();
+            } else if(definition.direction != null) {
+                key = '_' + definition.direction;
+            }
+            JSONLDParser.setDefault(languageMap, key, term);
+        } else if(definition.language !== undefined) {
+            JSONLDParser.setDefault(languageMap, (definition.language == null ? '@null' : definition.language), term);
+        } else if(definition.direction !== undefined) {
+            JSONLDParser.setDefault(languageMap, (definition.direction == null ? '@none' : '_' + definition.direction), term);
+        } else {
+            JSONLDParser.setDefault(languageMap, defaultLanguage, term);
+            JSONLDParser.setDefault(languageMap, '@none', term);
+            JSONLDParser.setDefault(typeMap, '@none', term);
+        }
+    }
+
+    activeContext.inverse = result;
+    return result;
+};
+
+JSONLDParser.Processor.prototype.compactIri = function(activeContext, iri, value, vocab, reverse) {
+    if(iri == null) {
+        return iri;
+    }
+
+    if(vocab && this.inverseContext(activeContext).hasOwnProperty(iri)) {
+        var defaultLanguage = activeContext.language || '@none';
+        if(activeContext.direction != null) {
+            defaultLanguage = ((activeContext.language || '') + '_' + activeContext.direction).toLowerCase();
+        }
+        if(JSONLDParser.isObject(value) && value.hasOwnProperty('@preserve')) {
+            value = JSONLDParser.toArray(value['@preserve'])[0];
+        }
+
+        var containers = [];
+        var typeLanguage = '@language';
+        var typeLanguageValue = '@null';
+        var isObject = JSONLDParser.isObject(value);
+
+        if(isObject && value.hasOwnProperty('@index') && !JSONLDParser.isGraphObject(value)) {
+            containers.push('@index', '@index@set');
+        }
+
+        if(reverse) {
+            typeLanguage = '@type';
+            typeLanguageValue = '@reverse';
+            containers.push('@set');
+        } else if(JSONLDParser.isListObject(value)) {
+            if(!value.hasOwnProperty('@index')) {
+                containers.push('@list');
+            }
+            var list = value['@list'];
+            var commonType = null;
+            var commonLanguage = (list.length === 0 ? defaultLanguage : null);
+            for(var i=0; i<list.length; i++) {
+                var item = list[i];
+                var itemLanguage = '@none';
+                var itemType = '@none';
+                if(JSONLDParser.isValueObject(item)) {
+                    if(item.hasOwnProperty('@direction')) {
+                        itemLanguage = ((item['@language'] || '') + '_' + item['@direction']).toLowerCase();
+                    } else if(item.hasOwnProperty('@language')) {
+                        itemLanguage = item['@language'].toLowerCase();
+                    } else if(item.hasOwnProperty('@type')) {
+                        itemType = item['@type'];
+                    } else {
+                        itemLanguage = '@null';
+                    }
+                } else {
+                    itemType = '@id';
+                }
+                if(commonLanguage == null) {
+                    commonLanguage = itemLanguage;
+                } else if(itemLanguage !== commonLanguage && JSONLDParser.isValueObject(item)) {
+                    commonLanguage = '@none';
+                }
+                if(commonType == null) {
+                    commonType = itemType;
+                } else if(itemType !== commonType) {
+                    commonType = '@none';
+                }
+                if(commonLanguage === '@none' && commonType === '@none') {
+                    break;
+                }
+            }
+            commonLanguage = commonLanguage || '@none';
+            commonType = commonType || '@none';
+            if(commonType !== '@none') {
+                typeLanguage = '@type';
+                typeLanguageValue = commonType;
+            } else {
+                typeLanguageValue = commonLanguage;
+            }
+        } else if(JSONLDParser.isGraphObject(value)) {
+            if(value.hasOwnProperty('@index')) {
+                containers.push('@graph@index', '@graph@index@set');
+            }
+            if(value.hasOwnProperty('@id')) {
+                containers.push('@graph@id', '@graph@id@set');
+            }
+            containers.push('@graph', '@graph@set', '@set');
+            if(!value.hasOwnProperty('@index')) {
+                containers.push('@graph@index', '@graph@index@set');
+            }
+            if(!value.hasOwnProperty('@id')) {
+                containers.push('@graph@id', '@graph@id@set');
+            }
+            containers.push('@index', '@index@set');
+            typeLanguage = '@type';
+            typeLanguageValue = '@id';
+        } else {
+            if(JSONLDParser.isValueObject(value)) {
+                if(value.hasOwnProperty('@language') && !value.hasOwnProperty('@index')) {
+                    containers.push('@language', '@language@set');
+                    typeLanguageValue = value['@language'].toLowerCase();
+                    if(value.hasOwnProperty('@direction')) {
+                        typeLanguageValue = typeLanguageValue + '_' + value['@direction'];
+                    }
+                } else if(value.hasOwnProperty('@direction') && !value.hasOwnProperty('@index')) {
+                    typeLanguageValue = '_' + value['@direction'];
+                } else if(value.hasOwnProperty('@type')) {
+                    typeLanguage = '@type';
+                    typeLanguageValue = value['@type'];
+                }
+            } else {
+                typeLanguage = '@type';
+                typeLanguageValue = '@id';
+                containers.push('@id', '@id@set', '@type', '@set@type');
+            }
+            containers.push('@set');
+        }
+
+        containers.push('@none');
+        if(!this.isProcessingMode10() && !(isObject && value.hasOwnProperty('@index'))) {
+            containers.push('@index', '@index@set');
+        }
+        if(!this.isProcessingMode10() && JSONLDParser.isValueObject(value) && JSONLDParser.keys(value).length === 1) {
+            containers.push('@language', '@language@set');
+        }
+
+        var preferredValues = [];
+        if(typeLanguageValue === '@reverse') {
+            preferredValues.push('@reverse');
+        }
+        if((typeLanguageValue === '@id' || typeLanguageValue === '@reverse') && isObject && value.hasOwnProperty('@id')) {
+            var compactedId = this.compactIri(activeContext, value['@id'], null, true);
+            var definition = activeContext.terms[compactedId];
+            if(definition != null && definition.id === value['@id']) {
+                preferredValues.push('@vocab', '@id', '@none');
+            } else {
+                preferredValues.push('@id', '@vocab', '@none');
+            }
+        } else {
+            preferredValues.push(typeLanguageValue, '@none');
+            if(JSONLDParser.isListObject(value) && value['@list'].length === 0) {
+                typeLanguage = '@any';
+            }
+        }
+        preferredValues.push('@any');
+        for(var i=0; i<preferredValues.length; i++) {
+            var index = preferredValues[i].indexOf('_');
+            if(index > 0) {
+                preferredValues.push(preferredValues[i].substr(index));
+                break;
+            }
+        }
+
+        var term = this.selectTerm(activeContext, iri, containers, typeLanguage, preferredValues);
+        if(term != null) {
+            return term;
+        }
+    }
+
+    if(vocab && activeContext.vocab != null && iri.indexOf(activeContext.vocab) === 0 && iri.length > activeContext.vocab.length) {
+        var suffix = iri.substr(activeContext.vocab.length);
+        if(!activeContext.terms.hasOwnProperty(suffix)) {
+            return suffix;
+        }
+    }
+
+    var compactIri = null;
+    for(var term in activeContext.terms) {
+        var definition = activeContext.terms[term];
+        if(definition == null || definition.id == null || definition.id === iri || iri.indexOf(definition.id) !== 0 || !definition.prefix) {
+            continue;
+        }
+        var candidate = term + ":" + iri.substr(definition.id.length);
+        if((compactIri == null || candidate.length < compactIri.length || (candidate.length === compactIri.length && candidate < compactIri)) &&
+           (!activeContext.terms.hasOwnProperty(candidate) || (activeContext.terms[candidate] != null && activeContext.terms[candidate].id === iri && value == null))) {
+            compactIri = candidate;
+        }
+    }
+    if(compactIri != null) {
+        return compactIri;
+    }
+
+    var scheme = iri.split(":")[0];
+    if(JSONLDParser.isAbsoluteIri(iri) && activeContext.terms[scheme] != null && activeContext.terms[scheme].prefix &&
+       iri.substr(scheme.length + 1, 2) !== "//") {
+        throw JSONLDParser.error("IRI confused with prefix", iri);
+    }
+
+    if(!vocab) {
+        return JSONLDParser.relativeIri(activeContext.base, iri);
+    }
+    return iri;
+};
+
+JSONLDParser.Processor.prototype.selectTerm = function(activeContext, iri, containers, typeLanguage, preferredValues) {
+    var containerMap = this.inverseContext(activeContext)[iri];
+    for(var i=0; i<containers.length; i++) {
+        if(!containerMap.hasOwnProperty(containers[i])) {
+            continue;
+        }
+        var valueMap = containerMap[containers[i]][typeLanguage];
+        for(var j=0; j<preferredValues.length; j++) {
+            if(valueMap.hasOwnProperty(preferredValues[j])) {
+                return valueMap[preferredValues[j]];
+            }
+        }
+    }
+    return null;
+};
+
+JSONLDParser.Processor.prototype.compactValue = function(activeContext, activeProperty, value) {
+    var definition = activeContext.terms[activeProperty] || {};
+    var container = definition.container || [];
+    var language = (definition.language !== undefined ? definition.language : activeContext.language);
+    var direction = (definition.direction !== undefined ? definition.direction : activeContext.direction);
+    var result = value;
+
+    if(JSONLDParser.isNodeReference(value) || (value.hasOwnProperty('@id') && JSONLDParser.keys(value).length === 2 && value.hasOwnProperty('@index') && Utils.include(container, '@index'))) {
+        if(definition.type === '@id') {
+            return this.compactIri(activeContext, value['@id'], null, false);
+        } else if(definition.type === '@vocab') {
+            return this.compactIri(activeContext, value['@id'], null, true);
+        }
+    } else if(value['@type'] === '@json' && definition.type === '@json') {
+        return value['@value'];
+    } else if(value.hasOwnProperty('@type') && value['@type'] === definition.type) {
+        result = value['@value'];
+    } else if(definition.type === '@none' || (value.hasOwnProperty('@type') && value['@type'] !== definition.type)) {
+        result = value;
+    } else if(value.hasOwnProperty('@value') && typeof(value['@value']) !== 'string') {
+        if(!value.hasOwnProperty('@index') || Utils.include(container, '@index')) {
+            result = value['@value'];
+        }
+    } else if(value.hasOwnProperty('@value') &&
+              ((value['@language'] || null) === (language == null ? null : language.toLowerCase()) || (value['@language'] != null && language != null && value['@language'].toLowerCase() === language.toLowerCase())) &&
+              (value['@direction'] || null) === (direction || null)) {
+        if(!value.hasOwnProperty('@index') || Utils.include(container, '@index')) {
+            result = value['@value'];
+        }
+    }
+
+    if(JSONLDParser.isObject(result)) {
+        var compacted = {};
+        for(var key in result) {
+            if(key === '@index' && Utils.include(container, '@index')) {
+                continue;
+            }
+            var alias = this.compactIri(activeContext, key, null, true);
+            compacted[alias] = (key === '@type' ? this.compactIri(activeContext, result[key], null, true) :
+                                (key === '@id' ? this.compactIri(activeContext, result[key], null, false) : result[key]));
+        }
+        result = compacted;
+    }
+
+    return result;
+};
+
+
+// Flattening
+
+JSONLDParser.Processor.prototype.nodeMap = function(element, nodeMap, activeGraph, activeSubject, activeProperty, list) {
+    if(JSONLDParser.isArray(element)) {
+        for(var i=0; i<element.length; i++) {
+            this.nodeMap(element[i], nodeMap, activeGraph, activeSubject, activeProperty, list);
+        }
+        return;
+    }
+
+    var graph = nodeMap[activeGraph] = (nodeMap[activeGraph] || {});
+    var subjectNode = (typeof(activeSubject) === 'string' ? graph[activeSubject] : null);
+
+    if(element.hasOwnProperty('@type') && !element.hasOwnProperty('@value')) {
+        var types = JSONLDParser.toArray(element['@type']);
+        for(var i=0; i<types.length; i++) {
+            if(JSONLDParser.isBlank(types[i])) {
+                types[i] = this.generateBlank(types[i]);
+            }
+        }
+        element['@type'] = types;
+    }
+
+    if(element.hasOwnProperty('@value')) {
+        if(list == null) {
+            JSONLDParser.addUniqueValue(subjectNode, activeProperty, element);
+        } else {
+            list['@list'].push(element);
+        }
+    } else if(element.hasOwnProperty('@list')) {
+        var result = {'@list': []};
+        this.nodeMap(element['@list'], nodeMap, activeGraph, activeSubject, activeProperty, result);
+        if(list == null) {
+            JSONLDParser.addValue(subjectNode, activeProperty, result, true);
+        } else {
+            list['@list'].push(result);
+        }
+    } else {
+        var id;
+        if(element.hasOwnProperty('@id')) {
+            id = element['@id'];
+            if(JSONLDParser.isBlank(id)) {
+                id = this.generateBlank(id);
+            }
+        } else {
+            id = this.generateBlank(null);
+        }
+        if(graph[id] == null) {
+            graph[id] = {'@id': id};
+        }
+        var node = graph[id];
+
+        if(JSONLDParser.isObject(activeSubject)) {
+            JSONLDParser.addUniqueValue(node, activeProperty, activeSubject);
+        } else if(activeProperty != null) {
+            var reference = {'@id': id};
+            if(list == null) {
+                JSONLDParser.addUniqueValue(subjectNode, activeProperty, reference);
+            } else {
+                list['@list'].push(reference);
+            }
+        }
+
+        if(element.hasOwnProperty('@type')) {
+            for(var i=0; i<element['@type'].length; i++) {
+                JSONLDParser.addUniqueValue(node, '@type', element['@type'][i], true);
+            }
+        }
+        if(element.hasOwnProperty('@index')) {
+            if(node.hasOwnProperty('@index') && node['@index'] !== element['@index']) {
+                throw JSONLDParser.error("conflicting indexes", id);
+            }
+            node['@index'] = element['@index'];
+        }
+        if(element.hasOwnProperty('@reverse')) {
+            var referencedNode = {'@id': id};
+            for(var property in element['@reverse']) {
+                var values = element['@reverse'][property];
+                for(var i=0; i<values.length; i++) {
+                    this.nodeMap(values[i], nodeMap, activeGraph, referencedNode, property, null);
+                }
+            }
+        }
+        if(element.hasOwnProperty('@graph')) {
+            this.nodeMap(element['@graph'], nodeMap, id, null, null, null);
+        }
+        if(element.hasOwnProperty('@included')) {
+            this.nodeMap(element['@included'], nodeMap, activeGraph, null, null, null);
+        }
+
+        var properties = JSONLDParser.keys(element).sort();
+        for(var i=0; i<properties.length; i++) {
+            var property = properties[i];
+            if(Utils.include(["@id", "@type", "@index", "@reverse", "@graph", "@included"], property)) {
+                continue;
+            }
+            var value = element[property];
+            if(JSONLDParser.isBlank(property)) {
+                property = this.generateBlank(property);
+            }
+            if(!node.hasOwnProperty(property)) {
+                node[property] = [];
+            }
+            this.nodeMap(value, nodeMap, activeGraph, id, property, null);
+        }
+    }
+};
+
+JSONLDParser.Processor.prototype.flattenDocument = function(expanded, context) {
+    var nodeMap = {'@default': {}};
+    this.nodeMap(expanded, nodeMap, '@default', null, null, null);
+
+    var defaultGraph = nodeMap['@default'];
+    var graphNames = JSONLDParser.keys(nodeMap).sort();
+    for(var i=0; i<graphNames.length; i++) {
+        if(graphNames[i] === '@default') {
+            continue;
+        }
+        var entry = defaultGraph[graphNames[i]] = (defaultGraph[graphNames[i]] || {'@id': graphNames[i]});
+        entry['@graph'] = JSONLDParser.graphNodes(nodeMap[graphNames[i]]);
+    }
+
+    var flattened = JSONLDParser.graphNodes(defaultGraph);
+    if(context == null) {
+        return flattened;
+    }
+
+    var compacted = this.compactDocument(flattened, context);
+    var activeContext = this.processContext(this.initialContext(), (JSONLDParser.isObject(context) && context.hasOwnProperty('@context') ? context['@context'] : context), this.options.base);
+    var graphAlias = this.compactIri(activeContext, '@graph', null, true);
+    if(!compacted.hasOwnProperty(graphAlias)) {
+        var result = {};
+        if(compacted.hasOwnProperty('@context')) {
+            result['@context'] = compacted['@context'];
+            delete compacted['@context'];
+        }
+        result[graphAlias] = (JSONLDParser.keys(compacted).length === 0 ? [] : [compacted]);
+        compacted = result;
+    }
+    return compacted;
+};
+
+// nodes of a graph in the node map sorted by identifier, omitting the nodes with only an identifier
+JSONLDParser.graphNodes = function(graph) {
+    var nodes = [];
+    var ids = JSONLDParser.keys(graph).sort();
+    for(var i=0; i<ids.length; i++) {
+        var node = graph[ids[i]];
+        if(JSONLDParser.keys(node).length > 1) {
+            nodes.push(node);
+        }
+    }
+    return nodes;
+};
+
+
+// Framing
+
+JSONLDParser.Processor.prototype.frameDocument = function(expanded, frame) {
+    var context = (JSONLDParser.isObject(frame) ? frame['@context'] : null);
+    var expandedFrame = this.expand(this.initialContext(), null, frame, this.options.base, true);
+    if(JSONLDParser.isArray(expandedFrame)) {
+        if(expandedFrame.length > 1) {
+            throw JSONLDParser.error("invalid frame", "more than one frame");
+        }
+        expandedFrame = expandedFrame[0] || {};
+    }
+    if(!JSONLDParser.isObject(expandedFrame)) {
+        throw JSONLDParser.error("invalid frame");
+    }
+
+    var nodeMap = {'@default': {}};
+    this.nodeMap(expanded, nodeMap, '@default', null, null, null);
+    var merged = {};
+    for(var graphName in nodeMap) {
+        for(var id in nodeMap[graphName]) {
+            var node = nodeMap[graphName][id];
+            var mergedNode = merged[id] = (merged[id] || {'@id': id});
+            for(var property in node) {
+                if(property === '@id') {
+                    continue;
+                }
+                var values = JSONLDParser.toArray(node[property]);
+                if(property === '@index') {
+                    mergedNode['@index'] = node['@index'];
+                    continue;
+                }
+                if(values.length === 0) {
+                    mergedNode[property] = mergedNode[property] || [];
+                }
+                for(var i=0; i<values.length; i++) {
+                    JSONLDParser.addUniqueValue(mergedNode, property, Utils.clone(values[i]));
+                }
+            }
+        }
+    }
+    nodeMap['@merged'] = merged;
+
+    var embed = this.options.embed;
+    if(embed === true || embed == null) {
+        embed = '@once';
+    } else if(embed === false) {
+        embed = '@never';
+    }
+    var state = {
+        embed: embed,
+        explicit: this.options.explicit === true,
+        requireAll: this.options.requireAll === true,
+        omitDefault: this.options.omitDefault === true,
+        nodeMap: nodeMap,
+        graph: (expandedFrame.hasOwnProperty('@graph') ? '@default' : '@merged'),
+        embedded: {},
+        subjectStack: []
+    };
+
+    var framed = [];
+    this.matchFrame(state, JSONLDParser.keys(nodeMap[state.graph]).sort(), [expandedFrame], framed, null);
+    framed = JSONLDParser.pruneBlankNodes(framed);
+
+    var activeContext = this.processContext(this.initialContext(), context, this.options.base);
+    var compacted = this.compact(activeContext, null, framed);
+    var omitGraph = (this.options.omitGraph != null ? this.options.omitGraph : !this.isProcessingMode10());
+    var graphAlias = this.compactIri(activeContext, '@graph', null, true);
+    if(JSONLDParser.isArray(compacted) || !omitGraph) {
+        var graph = {};
+        graph[graphAlias] = JSONLDParser.toArray(compacted);
+        compacted = graph;
+    }
+    compacted = JSONLDParser.removePreserve(compacted);
+
+    if(context != null && !JSONLDParser.isEmptyContext(context)) {
+        var result = {'@context': context};
+        for(var p in compacted) {
+            result[p] = compacted[p];
+        }
+        compacted = result;
+    }
+    return compacted;
+};
+
+JSONLDParser.Processor.prototype.frameFlag = function(frame, state, name) {
+    var value = frame['@' + name];
+    if(JSONLDParser.isArray(value)) {
+        value = value[0];
+    }
+    if(JSONLDParser.isValueObject(value)) {
+        value = value['@value'];
+    }
+    if(value == null) {
+        return state[name];
+    }
+    if(name === 'embed') {
+        if(value === true) {
+            return '@once';
+        } else if(value === false) {
+            return '@never';
+        } else if(value === '@last') {
+            return '@once';
+        } else if(value !== '@always' && value !== '@once' && value !== '@never') {
+            throw JSONLDParser.error("invalid @embed value", value);
+        }
+    }
+    return value;
+};
+
+JSONLDParser.Processor.prototype.matchFrame = function(state, subjects, frame, parent, property) {
+    if(!JSONLDParser.isArray(frame) || frame.length > 1 || (frame.length === 1 && !JSONLDParser.isObject(frame[0]))) {
+        throw JSONLDParser.error("invalid frame", frame);
+    }
+    frame = frame[0] || {};
+
+    var embed = this.frameFlag(frame, state, 'embed');
+    var explicit = this.frameFlag(frame, state, 'explicit');
+    var requireAll = this.frameFlag(frame, state, 'requireAll');
+    var graph = state.nodeMap[state.graph];
+
+    for(var s=0; s<subjects.length; s++) {
+        var id = subjects[s];
+        var subject = graph[id];
+        if(subject == null || !this.filterSubject(state, subject, frame, requireAll)) {
+            continue;
+        }
+
+        var output = {'@id': id};
+        if(property == null) {
+            state.embedded = {};
+        }
+
+        var circular = false;
+        for(var i=0; i<state.subjectStack.length; i++) {
+            if(state.subjectStack[i] === id) {
+                circular = true;
+            }
+        }
+        if(embed === '@never' || circular || (embed === '@once' && state.embedded[id])) {
+            JSONLDParser.addFrameOutput(parent, property, output);
+            continue;
+        }
+        state.embedded[id] = true;
+        state.subjectStack.push(id);
+
+        // named graph of the subject embedded when the frame has a @graph entry
+        if(state.nodeMap.hasOwnProperty(id) && id !== '@default' && id !== '@merged' && frame.hasOwnProperty('@graph')) {
+            var subframe = JSONLDParser.toArray(frame['@graph'])[0] || {};
+            var graphState = {};
+            for(var key in state) {
+                graphState[key] = state[key];
+            }
+            graphState.graph = id;
+            graphState.embedded = {};
+            graphState.subjectStack = [];
+            var graphOutput = [];
+            this.matchFrame(graphState, JSONLDParser.keys(state.nodeMap[id]).sort(), [subframe], graphOutput, '@graph');
+            output['@graph'] = graphOutput;
+        }
+
+        var properties = JSONLDParser.keys(subject).sort();
+        for(var p=0; p<properties.length; p++) {
+            var prop = properties[p];
+            if(JSONLDParser.isKeyword(prop)) {
+                if(prop !== '@id') {
+                    output[prop] = Utils.clone(subject[prop]);
+                }
+                continue;
+            }
+            if(explicit && !frame.hasOwnProperty(prop)) {
+                continue;
+            }
+            var subframe = (frame.hasOwnProperty(prop) ? frame[prop] : [{'@embed': embed, '@explicit': explicit, '@requireAll': requireAll}]);
+            if(subframe.length === 0) {
+                subframe = [{}];
+            }
+
+            var values = subject[prop];
+            for(var i=0; i<values.length; i++) {
+                var item = values[i];
+                if(JSONLDParser.isListObject(item)) {
+                    var list = {'@list': []};
+                    var listFrame = subframe;
+                    if(JSONLDParser.isObject(subframe[0]) && subframe[0].hasOwnProperty('@list')) {
+                        listFrame = subframe[0]['@list'];
+                    }
+                    for(var j=0; j<item['@list'].length; j++) {
+                        var listItem = item['@list'][j];
+                        if(JSONLDParser.isNodeReference(listItem)) {
+                            this.matchFrame(state, [listItem['@id']], listFrame, list, '@list');
+                        } else {
+                            JSONLDParser.addFrameOutput(list, '@list', Utils.clone(listItem));
+                        }
+                    }
+                    JSONLDParser.addFrameOutput(output, prop, list);
+                } else if(JSONLDParser.isNodeReference(item)) {
+                    this.matchFrame(state, [item['@id']], subframe, output, prop);
+                } else if(JSONLDParser.valueMatch(subframe[0], item)) {
+                    JSONLDParser.addFrameOutput(output, prop, Utils.clone(item));
+                }
+            }
+        }
+
+        // default values for the properties of the frame missing in the output
+        var frameProperties = JSONLDParser.keys(frame).sort();
+        for(var p=0; p<frameProperties.length; p++) {
+            var prop = frameProperties[p];
+            if(prop === '@type') {
+                var typeFrame = JSONLDParser.toArray(frame['@type'])[0];
+                if(JSONLDParser.isObject(typeFrame) && typeFrame.hasOwnProperty('@default') && !output.hasOwnProperty('@type')) {
+                    output['@type'] = JSONLDParser.toArray(typeFrame['@default']);
+                }
+                continue;
+            }
+            if(JSONLDParser.isKeyword(prop)) {
+                continue;
+            }
+            var next = JSONLDParser.toArray(frame[prop])[0] || {};
+            var omitDefault = this.frameFlag(next, state, 'omitDefault');
+            if(!omitDefault && !output.hasOwnProperty(prop)) {
+                var preserve = '@null';
+                if(next.hasOwnProperty('@default')) {
+                    preserve = Utils.clone(next['@default']);
+                }
+                output[prop] = [{'@preserve': JSONLDParser.toArray(preserve)}];
+            }
+        }
+
+        if(frame.hasOwnProperty('@reverse')) {
+            for(var reverseProperty in frame['@reverse']) {
+                var subframe = frame['@reverse'][reverseProperty];
+                var ids = JSONLDParser.keys(graph).sort();
+                for(var i=0; i<ids.length; i++) {
+                    var values = graph[ids[i]][reverseProperty] || [];
+                    for(var j=0; j<values.length; j++) {
+                        if(values[j]['@id'] === id) {
+                            output['@reverse'] = output['@reverse'] || {};
+                            output['@reverse'][reverseProperty] = output['@reverse'][reverseProperty] || [];
+                            this.matchFrame(state, [ids[i]], subframe, output['@reverse'][reverseProperty], property);
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+
+        JSONLDParser.addFrameOutput(parent, property, output);
+        state.subjectStack.pop();
+    }
+};
+
+JSONLDParser.Processor.prototype.filterSubject = function(state, subject, frame, requireAll) {
+    var wildcard = true;
+    var matchesSome = false;
+
+    for(var key in frame) {
+        var frameValues = JSONLDParser.toArray(frame[key]);
+        var nodeValues = JSONLDParser.toArray(subject[key] || []);
+        var matches = false;
+
+        if(key === '@id') {
+            if(frameValues.length === 0 || JSONLDParser.isEmptyObject(frameValues[0])) {
+                continue;
+            }
+            if(!Utils.include(frameValues, subject['@id'])) {
+                return false;
+            }
+            wildcard = false;
+            matchesSome = true;
+            continue;
+        }
+
+        if(key === '@type') {
+            wildcard = false;
+            if(frameValues.length === 0) {
+                matches = (nodeValues.length === 0);
+            } else if(JSONLDParser.isEmptyObject(frameValues[0])) {
+                matches = (nodeValues.length > 0);
+            } else if(JSONLDParser.isObject(frameValues[0]) && frameValues[0].hasOwnProperty('@default')) {
+                matches = true;
+            } else {
+                for(var i=0; i<frameValues.length; i++) {
+                    if(Utils.include(nodeValues, frameValues[i])) {
+                        matches = true;
+                    }
+                }
+            }
+            if(!matches) {
+                return false;
+            }
+            matchesSome = true;
+            continue;
+        }
+
+        if(JSONLDParser.isKeyword(key)) {
+            continue;
+        }
+        wildcard = false;
+
+        var hasDefault = (frameValues.length > 0 && JSONLDParser.isObject(frameValues[0]) && frameValues[0].hasOwnProperty('@default'));
+        if(frameValues.length === 0) {
+            matches = (nodeValues.length === 0);
+        } else if(nodeValues.length === 0) {
+            matches = hasDefault;
+        } else if(JSONLDParser.isEmptyObject(frameValues[0]) || hasDefault) {
+            matches = true;
+        } else if(JSONLDParser.isValueObject(frameValues[0])) {
+            for(var i=0; i<nodeValues.length && !matches; i++) {
+                for(var j=0; j<frameValues.length; j++) {
+                    if(JSONLDParser.valueMatch(frameValues[j], nodeValues[i])) {
+                        matches = true;
+                    }
+                }
+            }
+        } else if(JSONLDParser.isListObject(frameValues[0])) {
+            for(var i=0; i<nodeValues.length; i++) {
+                if(JSONLDParser.isListObject(nodeValues[i])) {
+                    matches = true;
+                }
+            }
+        } else {
+            var graph = state.nodeMap[state.graph];
+            for(var i=0; i<nodeValues.length && !matches; i++) {
+                if(!JSONLDParser.isNodeReference(nodeValues[i])) {
+                    continue;
+                }
+                var node = graph[nodeValues[i]['@id']] || nodeValues[i];
+                for(var j=0; j<frameValues.length; j++) {
+                    if(this.filterSubject(state, node, frameValues[j], requireAll)) {
+                        matches = true;
+                    }
+                }
+            }
+        }
+
+        if(!matches && requireAll) {
+            return false;
+        }
+        if(matches) {
+            matchesSome = true;
+        }
+    }
+
+    return wildcard || matchesSome;
+};
+
+JSONLDParser.valueMatch = function(pattern, value) {
+    if(!JSONLDParser.isObject(pattern) || !JSONLDParser.isValueObject(value)) {
+        return JSONLDParser.isObject(pattern) && !JSONLDParser.isValueObject(pattern);
+    }
+    var matches = function(patternValues, v, caseInsensitive) {
+        if(patternValues == null) {
+            return v == null;
+        }
+        patternValues = JSONLDParser.toArray(patternValues);
+        if(patternValues.length === 0) {
+            return v == null;
+        }
+        if(JSONLDParser.isEmptyObject(patternValues[0])) {
+            return v != null;
+        }
+        for(var i=0; i<patternValues.length; i++) {
+            var patternValue = patternValues[i];
+            if(JSONLDParser.isValueObject(patternValue)) {
+                patternValue = patternValue['@value'];
+            }
+            if(patternValue === v || (caseInsensitive && v != null && typeof(patternValue) === 'string' && patternValue.toLowerCase() === v.toLowerCase())) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    if(!pattern.hasOwnProperty('@value') && !pattern.hasOwnProperty('@type') && !pattern.hasOwnProperty('@language')) {
+        return true;
+    }
+    return matches(pattern['@value'], value['@value'], false) &&
+        matches(pattern['@type'], value['@type'], false) &&
+        matches(pattern['@language'], value['@language'], true);
+};
+
+JSONLDParser.addFrameOutput = function(parent, property, output) {
+    if(JSONLDParser.isArray(parent)) {
+        parent.push(output);
+    } else if(property === '@list') {
+        parent['@list'].push(output);
+    } else {
+        JSONLDParser.addValue(parent, property, output, true);
+    }
+};
+
+/**
+ * Removes the identifiers of the blank nodes referenced only once in the framed output
+ */
+JSONLDParser.pruneBlankNodes = function(framed) {
+    var counts = {};
+    var count = function(value) {
+        if(JSONLDParser.isArray(value)) {
+            for(var i=0; i<value.length; i++) {
+                count(value[i]);
+            }
+        } else if(JSONLDParser.isObject(value)) {
+            if(typeof(value['@id']) === 'string' && JSONLDParser.isBlank(value['@id'])) {
+                counts[value['@id']] = (counts[value['@id']] || 0) + 1;
+            }
+            for(var p in value) {
+                if(p !== '@id') {
+                    count(value[p]);
+                }
+            }
+        }
+    };
+    var prune = function(value) {
+        if(JSONLDParser.isArray(value)) {
+            for(var i=0; i<value.length; i++) {
+                prune(value[i]);
+            }
+        } else if(JSONLDParser.isObject(value)) {
+            if(typeof(value['@id']) === 'string' && counts[value['@id']] === 1) {
+                delete value['@id'];
+            }
+            for(var p in value) {
+                prune(value[p]);
+            }
+        }
+    };
+    count(framed);
+    prune(framed);
+    return framed;
+};
+
+JSONLDParser.removePreserve = function(value) {
+    if(JSONLDParser.isArray(value)) {
+        var result = [];
+        for(var i=0; i<value.length; i++) {
+            var item = JSONLDParser.removePreserve(value[i]);
+            if(item !== null || value.length === 1) {
+                result.push(item);
+            }
+        }
+        return result;
+    } else if(JSONLDParser.isObject(value)) {
+        if(value.hasOwnProperty('@preserve')) {
+            var preserved = JSONLDParser.removePreserve(value['@preserve']);
+            if(JSONLDParser.isArray(preserved) && preserved.length === 1) {
+                preserved = preserved[0];
+            }
+            return (preserved === '@null' ? null : preserved);
+        }
+        for(var p in value) {
+            value[p] = JSONLDParser.removePreserve(value[p]);
+        }
+        return value;
+    }
+    return (value === '@null' ? null : value);
+};
+
+
+// RDF conversion
+
+JSONLDParser.Processor.prototype.toRDF = function(expanded) {
+    var nodeMap = {'@default': {}};
+    this.nodeMap(expanded, nodeMap, '@default', null, null, null);
+
+    var quads = [];
+    var graphNames = JSONLDParser.keys(nodeMap).sort();
+    for(var g=0; g<graphNames.length; g++) {
+        var graphName = graphNames[g];
+        var graphTerm = null;
+        if(graphName !== '@default') {
+            if(!JSONLDParser.isAbsoluteIri(graphName) && !JSONLDParser.isBlank(graphName)) {
+                continue;
+            }
+            graphTerm = JSONLDParser.rdfNode(graphName);
+        }
+
+        var graph = nodeMap[graphName];
+        var subjects = JSONLDParser.keys(graph).sort();
+        for(var s=0; s<subjects.length; s++) {
+            var subject = subjects[s];
+            if(!JSONLDParser.isAbsoluteIri(subject) && !JSONLDParser.isBlank(subject)) {
+                continue;
+            }
+            var node = graph[subject];
+            var properties = JSONLDParser.keys(node).sort();
+            for(var p=0; p<properties.length; p++) {
+                var property = properties[p];
+                var values = node[property];
+                if(property === '@type') {
+                    for(var i=0; i<values.length; i++) {
+                        if(JSONLDParser.isAbsoluteIri(values[i]) || JSONLDParser.isBlank(values[i])) {
+                            quads.push({subject: JSONLDParser.rdfNode(subject), predicate: JSONLDParser.rdfNode(JSONLDParser.RDF_TYPE),
+                                        object: JSONLDParser.rdfNode(values[i]), graph: graphTerm});
+                        }
+                    }
+                    continue;
+                }
+                if(JSONLDParser.isKeyword(property) || JSONLDParser.isBlank(property) || !JSONLDParser.isAbsoluteIri(property)) {
+                    continue;
+                }
+                for(var i=0; i<values.length; i++) {
+                    var listQuads = [];
+                    var object = this.objectToRDF(values[i], listQuads, graphTerm);
+                    if(object != null) {
+                        quads.push({subject: JSONLDParser.rdfNode(subject), predicate: JSONLDParser.rdfNode(property), object: object, graph: graphTerm});
+                    }
+                    quads = quads.concat(listQuads);
+                }
+            }
+        }
+    }
+
+    return quads;
+};
+
+JSONLDParser.Processor.prototype.objectToRDF = function(item, listQuads, graphTerm) {
+    if(JSONLDParser.isNodeReference(item) || (JSONLDParser.isObject(item) && item.hasOwnProperty('@id') && !item.hasOwnProperty('@value'))) {
+        var id = item['@id'];
+        if(!JSONLDParser.isAbsoluteIri(id) && !JSONLDParser.isBlank(id)) {
+            return null;
+        }
+        return JSONLDParser.rdfNode(id);
+    }
+    if(JSONLDParser.isListObject(item)) {
+        return this.listToRDF(item['@list'], listQuads, graphTerm);
+    }
+
+    var value = item['@value'];
+    var datatype = item['@type'] || null;
+    if(datatype != null && datatype !== '@json' && !JSONLDParser.isAbsoluteIri(datatype)) {
+        return null;
+    }
+
+    if(datatype === '@json') {
+        value = JSONLDParser.canonicalJSON(value);
+        datatype = JSONLDParser.RDF_JSON;
+    } else if(typeof(value) === 'boolean') {
+        value = value.toString();
+        datatype = datatype || JSONLDParser.XSD_BOOLEAN;
+    } else if(typeof(value) === 'number' && (value % 1 !== 0 || datatype === JSONLDParser.XSD_DOUBLE || Math.abs(value) >= 1e21)) {
+        value = value.toExponential(15).replace(/(\d)0*e\+?/, '$1E');
+        datatype = datatype || JSONLDParser.XSD_DOUBLE;
+    } else if(typeof(value) === 'number') {
+        value = value.toFixed(0);
+        datatype = datatype || JSONLDParser.XSD_INTEGER;
+    } else if(datatype == null) {
+        datatype = (item.hasOwnProperty('@language') ? JSONLDParser.RDF_LANG_STRING : JSONLDParser.XSD_STRING);
+    }
+
+    var literal = '"' + value + '"';
+    if(item.hasOwnProperty('@language') && datatype === JSONLDParser.RDF_LANG_STRING) {
+        literal = literal + "@" + item['@language'];
+    } else if(datatype !== JSONLDParser.XSD_STRING) {
+        literal = literal + "^^<" + datatype + ">";
+    }
+    return {literal: literal};
+};
+
+JSONLDParser.Processor.prototype.listToRDF = function(list, listQuads, graphTerm) {
+    if(list.length === 0) {
+        return JSONLDParser.rdfNode(JSONLDParser.RDF_NIL);
+    }
+
+    var blanks = [];
+    for(var i=0; i<list.length; i++) {
+        blanks.push(JSONLDParser.rdfNode(this.generateBlank(null)));
+    }
+    for(var i=0; i<list.length; i++) {
+        var embeddedQuads = [];
+        var object = this.objectToRDF(list[i], embeddedQuads, graphTerm);
+        if(object != null) {
+            listQuads.push({subject: blanks[i], predicate: JSONLDParser.rdfNode(JSONLDParser.RDF_FIRST), object: object, graph: graphTerm});
+        }
+        for(var j=0; j<embeddedQuads.length; j++) {
+            listQuads.push(embeddedQuads[j]);
+        }
+        var rest = (i + 1 < list.length ? blanks[i + 1] : JSONLDParser.rdfNode(JSONLDParser.RDF_NIL));
+        listQuads.push({subject: blanks[i], predicate: JSONLDParser.rdfNode(JSONLDParser.RDF_REST), object: rest, graph: graphTerm});
+    }
+    return blanks[0];
+};
+
+JSONLDParser.Processor.prototype.fromRDF = function(quads) {
+    var useNativeTypes = this.options.useNativeTypes === true;
+    var useRdfType = this.options.useRdfType === true;
+    var defaultGraph = {};
+    var graphMap = {'@default': defaultGraph};
+    var usages = {};
+
+    for(var i=0; i<quads.length; i++) {
+        var quad = quads[i];
+        var name = (quad.graph == null ? '@default' : JSONLDParser.termId(quad.graph));
+        if(name == null) {
+            name = '@default';
+        }
+        if(graphMap[name] == null) {
+            graphMap[name] = {};
+            usages[name] = {};
+        }
+        usages[name] = usages[name] || {};
+        if(name !== '@default' && defaultGraph[name] == null) {
+            defaultGraph[name] = {'@id': name};
+        }
+        var nodeMap = graphMap[name];
+
+        var subject = JSONLDParser.termId(quad.subject);
+        var predicate = JSONLDParser.termId(quad.predicate);
+        var object = JSONLDParser.termId(quad.object);
+        var node = nodeMap[subject] = (nodeMap[subject] || {'@id': subject});
+
+        if(object != null) {
+            nodeMap[object] = nodeMap[object] || {'@id': object};
+        }
+        if(predicate === JSONLDParser.RDF_TYPE && !useRdfType && object != null) {
+            JSONLDParser.addUniqueValue(node, '@type', object, true);
+            continue;
+        }
+
+        var value = (object != null ? {'@id': object} : this.literalToObject(quad.object, useNativeTypes));
+        JSONLDParser.addUniqueValue(node, predicate, value);
+
+        if(object != null && (JSONLDParser.isBlank(object) || object === JSONLDParser.RDF_NIL)) {
+            usages[name][object] = usages[name][object] || [];
+            usages[name][object].push({node: node, property: predicate, value: value});
+        }
+    }
+
+    for(var name in graphMap) {
+        var nodeMap = graphMap[name];
+        var graphUsages = usages[name] || {};
+        if(graphUsages[JSONLDParser.RDF_NIL] == null) {
+            continue;
+        }
+        var nilUsages = graphUsages[JSONLDParser.RDF_NIL];
+        for(var u=0; u<nilUsages.length; u++) {
+            var usage = nilUsages[u];
+            var node = usage.node;
+            var property = usage.property;
+            var head = usage.value;
+            var list = [];
+            var listNodes = [];
+
+            while(property === JSONLDParser.RDF_REST && JSONLDParser.isWellFormedListNode(node, graphUsages)) {
+                list.push(node[JSONLDParser.RDF_FIRST][0]);
+                listNodes.push(node['@id']);
+                usage = graphUsages[node['@id']][0];
+                node = usage.node;
+                property = usage.property;
+                head = usage.value;
+                if(!JSONLDParser.isBlank(node['@id'])) {
+                    break;
+                }
+            }
+
+            delete head['@id'];
+            head['@list'] = list.reverse();
+            for(var i=0; i<listNodes.length; i++) {
+                delete nodeMap[listNodes[i]];
+            }
+        }
+    }
+
+    var result = [];
+    var subjects = JSONLDParser.keys(defaultGraph).sort();
+    for(var i=0; i<subjects.length; i++) {
+        var node = defaultGraph[subjects[i]];
+        if(graphMap.hasOwnProperty(subjects[i]) && subjects[i] !== '@default') {
+            node['@graph'] = JSONLDParser.graphNodes(graphMap[subjects[i]]);
+        }
+        if(JSONLDParser.keys(node).length > 1) {
+            result.push(node);
+        }
+    }
+
+    return result;
+};
+
+JSONLDParser.isWellFormedListNode = function(node, usages) {
+    if(!JSONLDParser.isBlank(node['@id']) || usages[node['@id']] == null || usages[node['@id']].length !== 1) {
+        return false;
+    }
+    var first = node[JSONLDParser.RDF_FIRST];
+    var rest = node[JSONLDParser.RDF_REST];
+    if(first == null || rest == null || first.length !== 1 || rest.length !== 1) {
+        return false;
+    }
+    for(var p in node) {
+        if(p === '@id' || p === JSONLDParser.RDF_FIRST || p === JSONLDParser.RDF_REST) {
+            continue;
+        }
+        if(p === '@type' && node['@type'].length === 1 && node['@type'][0] === JSONLDParser.RDF_LIST) {
+            continue;
+        }
+        return false;
+    }
+    return true;
+};
+
+JSONLDParser.Processor.prototype.literalToObject = function(term, useNativeTypes) {
+    var literal = JSONLDParser.parseLiteral(term);
+    var result = {};
+    var value = literal.value;
+    var datatype = literal.datatype;
+
+    if(literal.language != null) {
+        result['@value'] = value;
+        result['@language'] = literal.language;
+        return result;
+    }
+
+    if(useNativeTypes && (datatype == null || datatype === JSONLDParser.XSD_STRING)) {
+        result['@value'] = value;
+        return result;
+    } else if(useNativeTypes && datatype === JSONLDParser.XSD_BOOLEAN && (value === 'true' || value === 'false')) {
+        result['@value'] = (value === 'true');
+        return result;
+    } else if(useNativeTypes && datatype === JSONLDParser.XSD_INTEGER && /^[+\-]?[0-9]+$/.test(value)) {
+        result['@value'] = parseInt(value, 10);
+        return result;
+    } else if(useNativeTypes && datatype === JSONLDParser.XSD_DOUBLE && !isNaN(parseFloat(value))) {
+        result['@value'] = parseFloat(value);
+        return result;
+    } else if(datatype === JSONLDParser.RDF_JSON && !this.isProcessingMode10()) {
+        try {
+            result['@value'] = JSON.parse(value);
+        } catch(e) {
+            throw JSONLDParser.error("invalid JSON literal", value);
+        }
+        result['@type'] = '@json';
+        return result;
+    }
+
+    result['@value'] = value;
+    if(datatype != null && datatype !== JSONLDParser.XSD_STRING) {
+        result['@type'] = datatype;
+    }
+    return result;
+};
+
+/**
+ * Identifier of an IRI or blank node term, null for literals.
+ * Terms can use the format of the parsers, the format of the query engine or be RDF JS Interface nodes.
+ */
+JSONLDParser.termId = function(term) {
+    if(term.interfaceName === 'NamedNode' || term.token === 'uri') {
+        return (term.nominalValue != null ? term.nominalValue : term.value);
+    } else if(term.interfaceName === 'BlankNode' || term.token === 'blank') {
+        var id = (term.nominalValue != null ? term.nominalValue : term.value);
+        return (id.indexOf("_:") === 0 ? id : "_:" + id);
+    } else if(term.blank != null) {
+        return term.blank;
+    } else if(term.uri != null) {
+        return term.uri;
+    }
+    return null;
+};
+
+JSONLDParser.parseLiteral = function(term) {
+    if(term.interfaceName === 'Literal') {
+        return {value: term.nominalValue, language: term.language || null, datatype: (term.datatype == null ? null : term.datatype.toString())};
+    } else if(term.token === 'literal') {
+        return {value: term.value, language: term.lang || null, datatype: term.type || null};
+    }
+    var match = /^"([\s\S]*)"(@([^"]+)|\^\^<([^>]+)>)?$/.exec(term.literal);
+    return {value: match[1], language: match[3] || null, datatype: match[4] || null};
+};
+
+JSONLDParser.rdfNode = function(id) {
+    if(JSONLDParser.isBlank(id)) {
+        return {blank: id};
+    }
+    return {token: 'uri', value: id, prefix: null, suffix: null};
+};
+
+JSONLDParser.canonicalJSON = function(value) {
+    if(JSONLDParser.isArray(value)) {
+        var items = [];
+        for(var i=0; i<value.length; i++) {
+            items.push(JSONLDParser.canonicalJSON(value[i]));
+        }
+        return "[" + items.join(",") + "]";
+    } else if(JSONLDParser.isObject(value)) {
+        var keys = JSONLDParser.keys(value).sort();
+        var entries = [];
+        for(var i=0; i<keys.length; i++) {
+            entries.push(JSON.stringify(keys[i]) + ":" + JSONLDParser.canonicalJSON(value[keys[i]]));
+        }
+        return "{" + entries.join(",") + "}";
+    }
+    return JSON.stringify(value);
+};
+
+
+// Helpers
+
+JSONLDParser.isArray = function(value) {
+    return value != null && value.constructor === Array;
+};
+
+JSONLDParser.isObject = function(value) {
+    return value != null && typeof(value) === 'object' && !JSONLDParser.isArray(value);
+};
+
+JSONLDParser.isEmptyObject = function(value) {
+    return JSONLDParser.isObject(value) && JSONLDParser.keys(value).length === 0;
+};
+
+JSONLDParser.isEmptyContext = function(context) {
+    return JSONLDParser.isEmptyObject(context) || (JSONLDParser.isArray(context) && context.length === 0);
+};
+
+JSONLDParser.isKeyword = function(value) {
+    return typeof(value) === 'string' && Utils.include(JSONLDParser.keywords, value);
+};
+
+JSONLDParser.hasKeywordForm = function(value) {
+    return /^@[a-zA-Z]+$/.test(value);
+};
+
+JSONLDParser.isAbsoluteIri = function(value) {
+    return typeof(value) === 'string' && /^[a-zA-Z][a-zA-Z0-9+.\-]*:/.test(value);
+};
+
+JSONLDParser.isBlank = function(value) {
+    return typeof(value) === 'string' && value.indexOf("_:") === 0;
+};
+
+JSONLDParser.isValueObject = function(value) {
+    return JSONLDParser.isObject(value) && value.hasOwnProperty('@value');
+};
+
+JSONLDParser.isListObject = function(value) {
+    return JSONLDParser.isObject(value) && value.hasOwnProperty('@list');
+};
+
+JSONLDParser.isGraphObject = function(value) {
+    if(!JSONLDParser.isObject(value) || !value.hasOwnProperty('@graph')) {
+        return false;
+    }
+    for(var p in value) {
+        if(p !== '@graph' && p !== '@id' && p !== '@index' && p !== '@context') {
+            return false;
+        }
+    }
+    return true;
+};
+
+JSONLDParser.isSimpleGraphObject = function(value) {
+    return JSONLDParser.isGraphObject(value) && !value.hasOwnProperty('@id');
+};
+
+JSONLDParser.isNodeObject = function(value) {
+    return JSONLDParser.isObject(value) && !value.hasOwnProperty('@value') && !value.hasOwnProperty('@list') && !value.hasOwnProperty('@set');
+};
+
+JSONLDParser.isNodeReference = function(value) {
+    return JSONLDParser.isObject(value) && JSONLDParser.keys(value).length === 1 && value.hasOwnProperty('@id');
+};
+
+JSONLDParser.toArray = function(value) {
+    return (JSONLDParser.isArray(value) ? value : [value]);
+};
+
+JSONLDParser.keys = function(object) {
+    var keys = [];
+    for(var p in object) {
+        if(object.hasOwnProperty(p)) {
+            keys.push(p);
+        }
+    }
+    return keys;
+};
+
+JSONLDParser.setDefault = function(map, key, value) {
+    if(!map.hasOwnProperty(key)) {
+        map[key] = value;
+    }
+};
+
+JSONLDParser.cloneContext = function(context) {
+    var result = {};
+    for(var p in context) {
+        result[p] = context[p];
+    }
+    result.terms = {};
+    for(var term in context.terms) {
+        result.terms[term] = context.terms[term];
+    }
+    result.inverse = null;
+    return result;
+};
+
+/**
+ * Adds a value to a property of an object, values are kept in an array
+ * if the property has several values or 'asArray' is true.
+ */
+JSONLDParser.addValue = function(object, property, value, asArray) {
+    if(asArray && !object.hasOwnProperty(property)) {
+        object[property] = [];
+    } else if(asArray && !JSONLDParser.isArray(object[property])) {
+        object[property] = [object[property]];
+    }
+
+    if(JSONLDParser.isArray(value)) {
+        if(value.length === 0 && asArray && !object.hasOwnProperty(property)) {
+            object[property] = [];
+        }
+        for(var i=0; i<value.length; i++) {
+            JSONLDParser.addValue(object, property, value[i], asArray);
+        }
+    } else if(!object.hasOwnProperty(property)) {
+        object[property] = value;
+    } else {
+        if(!JSONLDParser.isArray(object[property])) {
+            object[property] = [object[property]];
+        }
+        object[property].push(value);
+    }
+};
+
+// adds the value to the array of values of the property unless an equal value is already present
+JSONLDParser.addUniqueValue = function(object, property, value) {
+    var values = object[property] = (object[property] || []);
+    var serialized = JSON.stringify(value);
+    for(var i=0; i<values.length; i++) {
+        if(JSON.stringify(values[i]) === serialized) {
+            return;
+        }
+    }
+    values.push(value);
+};
+
+JSONLDParser.relativeIri = function(base, iri) {
+    if(base == null || !JSONLDParser.isAbsoluteIri(iri)) {
+        return iri;
+    }
+    if(iri === base) {
+        return "";
+    }
+    var directory = base.replace(/[?#].*$/, "");
+    directory = directory.substr(0, directory.lastIndexOf("/") + 1);
+    if(directory.length > 0 && directory.indexOf("//") !== directory.length - 2 && iri.indexOf(directory) === 0) {
+        var relative = iri.substr(directory.length);
+        if(relative !== "" && relative.split("/")[0].indexOf(":") === -1) {
+            return relative;
+        }
+    }
+    return iri;
+};
+
+
+/**
+ * Parser interface used by the RDF loader, the input can be a JSON-LD
+ * document or its text. Quads in the default graph of the document are
+ * assigned to the graph passed as an argument.
+ */
+JSONLDParser.parser = {async: true};
+JSONLDParser.parser.parse = function(data, graph, options, callback) {
+    options = options || {};
+    if(typeof(data) === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch(e) {
+            return callback(false, "invalid JSON: " + e.message);
+        }
+    }
+
+    var processorOptions = {};
+    for(var p in options) {
+        processorOptions[p] = options[p];
+    }
+    if(processorOptions.base == null) {
+        processorOptions.base = options.baseURI || options.documentURI;
+    }
+
+    JSONLDParser.toRDF(data, processorOptions, function(success, quads) {
+        if(!success) {
+            return callback(false, quads.message || quads);
+        }
+        for(var i=0; i<quads.length; i++) {
+            if(quads[i].graph == null) {
+                quads[i].graph = graph;
+            }
+        }
+        callback(true, quads);
+    });
+};
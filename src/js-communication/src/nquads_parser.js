@@ -0,0 +1,95 @@
+// exports
+exports.NQuadsParser = {};
+var NQuadsParser = exports.NQuadsParser;
+
+// imports
+var TriGParser = require("./trig_parser").TriGParser;
+
+/**
+ * Parser for N-Quads documents, N-Triples documents are also
+ * accepted. Statements without a graph label are assigned to
+ * the graph passed as an argument.
+ */
+NQuadsParser.parser = {};
+NQuadsParser.parser.parse = function(data, graph, options) {
+    if(graph != null && typeof(graph) === 'string') {
+        graph = {token: 'uri', value: graph, prefix: null, suffix: null};
+    }
+
+    var parser = new NQuadsParser.NQuadsParser(data, graph);
+    return parser.parse();
+};
+
+/**
+ * Returns a parser for documents received in chunks
+ */
+NQuadsParser.parser.stream = function(graph, options) {
+    if(graph != null && typeof(graph) === 'string') {
+        graph = {token: 'uri', value: graph, prefix: null, suffix: null};
+    }
+
+    return new TriGParser.StreamParser(new NQuadsParser.NQuadsParser("", graph));
+};
+
+// N-Quads terms are a subset of the TriG terms, the same lexer is used
+NQuadsParser.NQuadsParser = function(input, graph) {
+    this.lexer = new TriGParser.Lexer(input);
+    this.defaultGraph = graph;
+    this.quads = [];
+};
+
+NQuadsParser.NQuadsParser.prototype.parse = function() {
+    while(this.lexer.peek().type !== 'eof') {
+        this.statement();
+    }
+
+    return this.quads;
+};
+
+NQuadsParser.NQuadsParser.prototype.statement = function() {
+    var first = this.lexer.peek();
+    var subject = this.term(this.lexer.next(), ['iri', 'blank']);
+    var predicate = this.term(this.lexer.next(), ['iri']);
+    var object = this.term(this.lexer.next(), ['iri', 'blank', 'string']);
+    var graph = this.defaultGraph;
+    var token = this.lexer.next();
+    if(token.type !== '.') {
+        graph = this.term(token, ['iri', 'blank']);
+        token = this.lexer.next();
+    }
+    if(token.type !== '.') {
+        this.lexer.fail(token, "expected '.'");
+    }
+    if(token.line !== first.line) {
+        this.lexer.fail(token, "statements must be written in a single line");
+    }
+
+    this.quads.push({subject: subject, predicate: predicate, object: object, graph: graph});
+};
+
+NQuadsParser.NQuadsParser.prototype.term = function(token, types) {
+    var type = token.type;
+    if(type === 'eof' || types.indexOf(type) === -1) {
+        this.lexer.fail(token, "expected "+types.join(" or ").replace("iri", "an IRI").replace("blank", "a blank node").replace("string", "a literal"));
+    }
+
+    if(type === 'iri') {
+        if(!/^[a-zA-Z][a-zA-Z0-9+.\-]*:/.test(token.value)) {
+            this.lexer.fail(token, "relative IRI <"+token.value+">");
+        }
+        return {token: 'uri', value: token.value, prefix: null, suffix: null};
+    } else if(type === 'blank') {
+        return {blank: "_:"+token.value};
+    } else {
+        var literal = '"'+token.value+'"';
+        var next = this.lexer.peek();
+        if(next.type === 'langtag') {
+            this.lexer.next();
+            literal = literal + "@" + next.value;
+        } else if(next.type === '^^') {
+            this.lexer.next();
+            literal = literal + "^^<" + this.term(this.lexer.next(), ['iri']).value + ">";
+        }
+        return {literal: literal};
+    }
+};
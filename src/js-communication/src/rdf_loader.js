@@ -4,14 +4,19 @@ var RDFLoader = exports.RDFLoader;
 
 // imports
 var NetworkTransport = require("./tcp_transport").NetworkTransport;
-var N3Parser = require("./rvn3_parser").RVN3Parser;
+var RVN3Parser = require("./rvn3_parser").RVN3Parser;
 var RDFXMLParser = require("./rdfxml_parser").RDFXMLParser;
 var JSONLDParser = require("./jsonld_parser").JSONLDParser;
+var TriGParser = require("./trig_parser").TriGParser;
+var NQuadsParser = require("./nquads_parser").NQuadsParser;
 var Utils = require("../../js-trees/src/utils").Utils;
 
+// maximum number of quads passed at once to the consumer of a parsed stream
+RDFLoader.batchSize = 10000;
+
 RDFLoader.RDFLoader = function (params) {
-    this.precedences = ["text/turtle", "text/n3", "application/ld+json", "application/json"/*, "application/rdf+xml"*/];
-    this.parsers = {"text/turtle":RVN3Parser.parser, "text/n3":RVN3Parser.parser, "application/ld+json":JSONLDParser.parser, "application/json":JSONLDParser.parser/*, "application/rdf+xml":RDFXMLParser.parser*/};
+    this.precedences = ["text/turtle", "text/n3", "application/ld+json", "application/json", "application/rdf+xml", "application/trig", "application/n-quads", "text/x-nquads", "application/n-triples"];
+    this.parsers = {"text/turtle":RVN3Parser.parser, "text/n3":RVN3Parser.parser, "application/ld+json":JSONLDParser.parser, "application/json":JSONLDParser.parser, "application/rdf+xml":RDFXMLParser.parser, "application/trig":TriGParser.parser, "application/n-quads":NQuadsParser.parser, "text/x-nquads":NQuadsParser.parser, "application/n-triples":NQuadsParser.parser};
     if (params != null) {
         for (var mime in params["parsers"]) {
             this.parsers[mime] = params["parsers"][mime];
@@ -27,6 +32,9 @@ RDFLoader.RDFLoader = function (params) {
         }
     }
 
+    // transport used instead of the default one, see setNetworkTransport
+    this.networkTransport = null;
+
     this.acceptHeaderValue = "";
     for (var i = 0; i < this.precedences.length; i++) {
         if (i != 0) {
@@ -58,9 +66,17 @@ RDFLoader.RDFLoader.prototype.setAcceptHeaderPrecedence = function(mediaTypes) {
     this.precedences = mediaTypes;
 };
 
+RDFLoader.RDFLoader.prototype.getNetworkTransport = function() {
+    return (this.networkTransport || NetworkTransport);
+};
+
+RDFLoader.RDFLoader.prototype.setNetworkTransport = function(networkTransport) {
+    this.networkTransport = networkTransport;
+};
+
 RDFLoader.RDFLoader.prototype.load = function(uri, graph, callback) {
     var that = this;
-    NetworkTransport.load(uri, this.acceptHeaderValue, function(success, results){
+    this.getNetworkTransport().load(uri, this.acceptHeaderValue, function(success, results){
         if(success == true) {
             var mime = results["headers"]["Content-Type"] || results["headers"]["content-type"];
             var data = results['data'];
@@ -111,6 +127,115 @@ RDFLoader.RDFLoader.prototype.loadFromFile = function(parser, graph, uri, callba
     }
 };
 
+/**
+ * Parses the data read from a Node.js readable stream.
+ * Parsers providing a 'stream' function receive the data in chunks
+ * and the parsed quads are passed to the onQuads function in batches
+ * of at most 'batchSize' quads. The onQuads function receives the
+ * quads and a callback that must be invoked once they have been processed,
+ * no more data is read from the stream meanwhile.
+ * The rest of the parsers receive the whole content of the stream.
+ * The 'progress' option can be a function receiving the number of
+ * quads parsed and the line of the document reached after every batch.
+ */
+RDFLoader.RDFLoader.prototype.parseStream = function(parser, graph, stream, options, onQuads, callback) {
+    var that = this;
+    var failed = false;
+    var fail = function(error) {
+        if(!failed) {
+            failed = true;
+            if(typeof(stream.destroy) === 'function') {
+                stream.destroy();
+            }
+            callback(false, error);
+        }
+    };
+
+    if(typeof(stream.setEncoding) === 'function') {
+        stream.setEncoding('utf8');
+    }
+    stream.on('error', function(error) {
+        fail("Error reading stream: "+error);
+    });
+
+    if(parser.stream == null) {
+        var data = "";
+        stream.on('data', function(chunk) {
+            data = data + chunk;
+        });
+        stream.on('end', function() {
+            if(!failed) {
+                that.tryToParse(parser, graph, data, options, function(success, quads) {
+                    if(success) {
+                        onQuads(quads, function(success, result) {
+                            if(success) {
+                                callback(true, quads.length);
+                            } else {
+                                fail(result);
+                            }
+                        });
+                    } else {
+                        fail(quads);
+                    }
+                });
+            }
+        });
+        return;
+    }
+
+    var streamParser = parser.stream(graph, options);
+    var batchSize = options.batchSize || RDFLoader.batchSize;
+    var pending = [];
+    var parsed = 0;
+
+    var flush = function(all, done) {
+        if(pending.length >= batchSize || (all && pending.length > 0)) {
+            var batch = pending.slice(0, batchSize);
+            pending = pending.slice(batchSize);
+            parsed = parsed + batch.length;
+            onQuads(batch, function(success, result) {
+                if(success) {
+                    if(options.progress != null) {
+                        options.progress(parsed, streamParser.line());
+                    }
+                    flush(all, done);
+                } else {
+                    fail(result);
+                }
+            });
+        } else {
+            done();
+        }
+    };
+    var parse = function(fn) {
+        try {
+            pending = pending.concat(fn());
+            return true;
+        } catch(e) {
+            fail("parsing error with mime type : " + e);
+            return false;
+        }
+    };
+
+    stream.on('data', function(chunk) {
+        if(!failed && parse(function(){ return streamParser.parseChunk(chunk); })) {
+            if(pending.length >= batchSize) {
+                stream.pause();
+                flush(false, function() {
+                    stream.resume();
+                });
+            }
+        }
+    });
+    stream.on('end', function() {
+        if(!failed && parse(function(){ return streamParser.end(); })) {
+            flush(true, function() {
+                callback(true, parsed);
+            });
+        }
+    });
+};
+
 RDFLoader.RDFLoader.prototype.tryToParse = function(parser, graph, input, options, callback) {
     // console.log("TRYING TO PARSE");
     // console.log(parser);
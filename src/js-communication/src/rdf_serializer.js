@@ -0,0 +1,490 @@
+// exports
+exports.RDFSerializer = {};
+var RDFSerializer = exports.RDFSerializer;
+
+RDFSerializer.RDF_NS = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+RDFSerializer.XSD_NS = "http://www.w3.org/2001/XMLSchema#";
+
+/**
+ * Media types accepted by the serializer and the
+ * RDF format used for each of them.
+ */
+RDFSerializer.mediaTypes = {
+    "text/turtle": "turtle",
+    "application/x-turtle": "turtle",
+    "text/n3": "turtle",
+    "text/ttl": "turtle",
+    "application/n-triples": "ntriples",
+    "text/plain": "ntriples",
+    "application/n-quads": "nquads",
+    "text/x-nquads": "nquads",
+    "application/trig": "trig"
+};
+
+/**
+ * Returns the RDF format for a media type or
+ * null if the media type is not supported.
+ */
+RDFSerializer.format = function(mediaType) {
+    if(mediaType == null) {
+        return null;
+    }
+    mediaType = mediaType.split(";")[0].replace(/\s/g,'').toLowerCase();
+    if(RDFSerializer.mediaTypes[mediaType] != null) {
+        return RDFSerializer.mediaTypes[mediaType];
+    } else {
+        // short names can also be used: 'turtle', 'ntriples', 'nquads', 'trig'
+        for(var type in RDFSerializer.mediaTypes) {
+            if(RDFSerializer.mediaTypes[type] === mediaType) {
+                return mediaType;
+            }
+        }
+        return null;
+    }
+};
+
+/**
+ * Returns true if the format can serialize graph names.
+ */
+RDFSerializer.isQuadFormat = function(mediaType) {
+    var format = RDFSerializer.format(mediaType);
+    return (format === 'nquads' || format === 'trig');
+};
+
+/**
+ * Serializes a collection of graphs.<br/>
+ * <br/>
+ * Every graph is an object with the URI of the graph, null for
+ * the default graph, and an array of RDF JS Interface triples:
+ * {graph: 'http://example.org/g', triples: graph.toArray()}.<br/>
+ * The graph names are ignored by the Turtle and N-Triples formats.<br/>
+ * Chunks of text are passed to the write function as soon as
+ * they are generated, one chunk per triple in N-Triples and N-Quads,
+ * and one chunk per subject in Turtle and TriG.<br/>
+ * If a prefix map (like store.rdf.prefixes) is provided, it will be used
+ * to shrink URIs in Turtle and TriG.
+ *
+ * @arguments
+ * @param {Array} graphs
+ * @param {String} mediaType media type or short name of the format
+ * @param {Object} [prefixes] RDF JS Interface prefixes map
+ * @param {Function} write function receiving the serialized chunks
+ */
+RDFSerializer.serialize = function(graphs, mediaType, prefixes, write) {
+    var format = RDFSerializer.format(mediaType);
+    if(format == null) {
+        throw new Error("Unsupported RDF serialization format: "+mediaType);
+    }
+
+    var context = {prefixes: prefixes, shrunk: {}, labels: {}, counter: 0};
+    RDFSerializer[format](graphs, context, write);
+};
+
+// N-Triples and N-Quads
+
+RDFSerializer.ntriples = function(graphs, context, write) {
+    for(var i=0; i<graphs.length; i++) {
+        var triples = graphs[i].triples;
+        for(var j=0; j<triples.length; j++) {
+            write(RDFSerializer.ntriplesTerm(triples[j].subject, context)+" "+
+                  RDFSerializer.ntriplesTerm(triples[j].predicate, context)+" "+
+                  RDFSerializer.ntriplesTerm(triples[j].object, context)+" .\n");
+        }
+    }
+};
+
+RDFSerializer.nquads = function(graphs, context, write) {
+    for(var i=0; i<graphs.length; i++) {
+        var triples = graphs[i].triples;
+        var graph = (graphs[i].graph == null ? "" : " <"+RDFSerializer.escapeIRI(graphs[i].graph)+">");
+        for(var j=0; j<triples.length; j++) {
+            write(RDFSerializer.ntriplesTerm(triples[j].subject, context)+" "+
+                  RDFSerializer.ntriplesTerm(triples[j].predicate, context)+" "+
+                  RDFSerializer.ntriplesTerm(triples[j].object, context)+graph+" .\n");
+        }
+    }
+};
+
+RDFSerializer.ntriplesTerm = function(node, context) {
+    if(node.interfaceName === 'NamedNode') {
+        return "<"+RDFSerializer.escapeIRI(node.valueOf())+">";
+    } else if(node.interfaceName === 'BlankNode') {
+        return RDFSerializer.blankLabel(node, context);
+    } else {
+        var literal = '"'+RDFSerializer.escapeString(node.nominalValue)+'"';
+        if(node.language != null) {
+            return literal+"@"+node.language;
+        } else if(node.datatype != null) {
+            return literal+"^^<"+RDFSerializer.escapeIRI(""+node.datatype)+">";
+        } else {
+            return literal;
+        }
+    }
+};
+
+// Turtle and TriG
+
+RDFSerializer.turtle = function(graphs, context, write) {
+    var triples = [];
+    for(var i=0; i<graphs.length; i++) {
+        triples = triples.concat(graphs[i].triples);
+    }
+    graphs = [{graph: null, triples: triples}];
+
+    RDFSerializer.writePrefixes(graphs, context, write);
+    context.usage = RDFSerializer.blankNodeUsage(graphs);
+    RDFSerializer.turtleStatements(graphs[0].triples, 0, "", context, write);
+};
+
+RDFSerializer.trig = function(graphs, context, write) {
+    RDFSerializer.writePrefixes(graphs, context, write);
+    context.usage = RDFSerializer.blankNodeUsage(graphs);
+    for(var i=0; i<graphs.length; i++) {
+        if(graphs[i].graph == null) {
+            RDFSerializer.turtleStatements(graphs[i].triples, i, "", context, write);
+        } else {
+            write("\n"+RDFSerializer.turtleIRI(graphs[i].graph, context)+" {\n");
+            RDFSerializer.turtleStatements(graphs[i].triples, i, "    ", context, write);
+            write("}\n");
+        }
+    }
+};
+
+/**
+ * Writes the declarations for the prefixes used by the URIs in
+ * the graphs. Only the declared prefixes are used to shrink URIs.
+ * URIs that are not written, like rdf:type or the datatypes of numbers,
+ * don't need a declaration.
+ */
+RDFSerializer.writePrefixes = function(graphs, context, write) {
+    var usedList = [];
+    context.declared = {};
+    var register = function(iri) {
+        var shrunk = RDFSerializer.shrink(iri, context, true);
+        if(shrunk != null && context.declared[shrunk.prefix] !== true) {
+            context.declared[shrunk.prefix] = true;
+            usedList.push(shrunk.prefix);
+        }
+    };
+    for(var i=0; i<graphs.length; i++) {
+        if(graphs[i].graph != null) {
+            register(graphs[i].graph);
+        }
+        var triples = graphs[i].triples;
+        for(var j=0; j<triples.length; j++) {
+            var predicate = triples[j].predicate.valueOf();
+            // nodes in collections are written using the ( ... ) syntax
+            var collection = (triples[j].subject.interfaceName === 'BlankNode' &&
+                              (predicate === RDFSerializer.RDF_NS+"first" || predicate === RDFSerializer.RDF_NS+"rest"));
+            if(!collection && predicate !== RDFSerializer.RDF_NS+"type") {
+                register(predicate);
+            }
+            var nodes = [triples[j].subject, triples[j].object];
+            for(var k=0; k<nodes.length; k++) {
+                if(nodes[k].interfaceName === 'NamedNode') {
+                    if(collection && nodes[k].valueOf() === RDFSerializer.RDF_NS+"nil") {
+                        continue;
+                    }
+                    register(nodes[k].valueOf());
+                } else if(nodes[k].interfaceName === 'Literal' && nodes[k].language == null && nodes[k].datatype != null &&
+                          RDFSerializer.abbreviatedLiteral(nodes[k]) == null) {
+                    register(""+nodes[k].datatype);
+                }
+            }
+        }
+    }
+
+    if(usedList.length > 0) {
+        var declarations = "";
+        for(var i=0; i<usedList.length; i++) {
+            declarations = declarations + "@prefix "+usedList[i]+": <"+RDFSerializer.escapeIRI(context.prefixes[usedList[i]])+"> .\n";
+        }
+        write(declarations+"\n");
+    }
+};
+
+/**
+ * Counts the references to blank nodes to find the blank
+ * nodes that can be nested in the description of another node.
+ */
+RDFSerializer.blankNodeUsage = function(graphs) {
+    var usage = {objects: {}, objectGraph: {}, subjectGraphs: {}};
+    for(var i=0; i<graphs.length; i++) {
+        var triples = graphs[i].triples;
+        for(var j=0; j<triples.length; j++) {
+            if(triples[j].subject.interfaceName === 'BlankNode') {
+                var label = triples[j].subject.valueOf();
+                usage.subjectGraphs[label] = usage.subjectGraphs[label] || {};
+                usage.subjectGraphs[label][i] = true;
+            }
+            if(triples[j].object.interfaceName === 'BlankNode') {
+                var label = triples[j].object.valueOf();
+                usage.objects[label] = (usage.objects[label] || 0) + 1;
+                usage.objectGraph[label] = i;
+            }
+        }
+    }
+
+    return usage;
+};
+
+RDFSerializer.isNestable = function(node, graphIndex, context) {
+    if(node.interfaceName !== 'BlankNode') {
+        return false;
+    }
+    var label = node.valueOf();
+    var usage = context.usage;
+    if(usage.objects[label] !== 1 || usage.objectGraph[label] !== graphIndex) {
+        return false;
+    }
+    for(var g in (usage.subjectGraphs[label] || {})) {
+        if(parseInt(g) !== graphIndex) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+RDFSerializer.turtleStatements = function(triples, graphIndex, indent, context, write) {
+    var subjects = [];
+    var descriptions = {};
+    for(var i=0; i<triples.length; i++) {
+        var key = triples[i].subject.toNT();
+        var description = descriptions[key];
+        if(description == null) {
+            description = {subject: triples[i].subject, predicates: [], objects: {}};
+            descriptions[key] = description;
+            subjects.push(key);
+        }
+        var predicate = triples[i].predicate.valueOf();
+        if(description.objects[predicate] == null) {
+            description.objects[predicate] = [];
+            description.predicates.push(predicate);
+        }
+        description.objects[predicate].push(triples[i].object);
+    }
+
+    var state = {descriptions: descriptions, written: {}, graphIndex: graphIndex, context: context};
+    for(var i=0; i<subjects.length; i++) {
+        var description = descriptions[subjects[i]];
+        if(!RDFSerializer.isNestable(description.subject, graphIndex, context)) {
+            RDFSerializer.turtleDescription(subjects[i], indent, state, write);
+        }
+    }
+
+    // blank nodes referencing each other in a cycle are not nested
+    for(var i=0; i<subjects.length; i++) {
+        if(state.written[subjects[i]] !== true) {
+            RDFSerializer.turtleDescription(subjects[i], indent, state, write);
+        }
+    }
+};
+
+RDFSerializer.turtleDescription = function(key, indent, state, write) {
+    var description = state.descriptions[key];
+    state.written[key] = true;
+    var subject = RDFSerializer.turtleTerm(description.subject, indent, state);
+    write(indent+subject+" "+RDFSerializer.turtlePredicates(description, indent+"    ", state)+" .\n");
+};
+
+RDFSerializer.turtlePredicates = function(description, indent, state) {
+    var acum = [];
+    for(var i=0; i<description.predicates.length; i++) {
+        var predicate = description.predicates[i];
+        var objects = description.objects[predicate];
+        var text = (predicate === RDFSerializer.RDF_NS+"type" ? "a" : RDFSerializer.turtleIRI(predicate, state.context));
+        var objectsText = [];
+        for(var j=0; j<objects.length; j++) {
+            objectsText.push(RDFSerializer.turtleObject(objects[j], indent, state));
+        }
+        acum.push(text+" "+objectsText.join(", "));
+    }
+
+    return acum.join(" ;\n"+indent);
+};
+
+RDFSerializer.turtleObject = function(node, indent, state) {
+    var key = node.toNT();
+    if(state.written[key] !== true && RDFSerializer.isNestable(node, state.graphIndex, state.context)) {
+        var items = RDFSerializer.collectionItems(node, state);
+        if(items != null) {
+            var acum = [];
+            for(var i=0; i<items.length; i++) {
+                acum.push(RDFSerializer.turtleObject(items[i], indent, state));
+            }
+            return "("+(acum.length === 0 ? "" : " "+acum.join(" ")+" ")+")";
+        }
+
+        state.written[key] = true;
+        var description = state.descriptions[key];
+        if(description == null) {
+            return "[]";
+        } else {
+            return "[ "+RDFSerializer.turtlePredicates(description, indent+"    ", state)+" ]";
+        }
+    } else {
+        return RDFSerializer.turtleTerm(node, indent, state);
+    }
+};
+
+/**
+ * Returns the items of the RDF collection starting at a
+ * blank node or null if the node is not the head of a well
+ * formed collection that can be written using the ( ... ) syntax.
+ */
+RDFSerializer.collectionItems = function(node, state) {
+    var items = [];
+    var nodes = [];
+    var visited = {};
+    while(node.interfaceName === 'BlankNode') {
+        var key = node.toNT();
+        var description = state.descriptions[key];
+        if(visited[key] === true || state.written[key] === true || description == null ||
+           !RDFSerializer.isNestable(node, state.graphIndex, state.context) ||
+           description.predicates.length !== 2 ||
+           description.objects[RDFSerializer.RDF_NS+"first"] == null || description.objects[RDFSerializer.RDF_NS+"first"].length !== 1 ||
+           description.objects[RDFSerializer.RDF_NS+"rest"] == null || description.objects[RDFSerializer.RDF_NS+"rest"].length !== 1) {
+            return null;
+        }
+        visited[key] = true;
+        nodes.push(key);
+        items.push(description.objects[RDFSerializer.RDF_NS+"first"][0]);
+        node = description.objects[RDFSerializer.RDF_NS+"rest"][0];
+    }
+
+    if(node.interfaceName === 'NamedNode' && node.valueOf() === RDFSerializer.RDF_NS+"nil") {
+        for(var i=0; i<nodes.length; i++) {
+            state.written[nodes[i]] = true;
+        }
+        return items;
+    } else {
+        return null;
+    }
+};
+
+RDFSerializer.turtleTerm = function(node, indent, state) {
+    var context = state.context;
+    if(node.interfaceName === 'NamedNode') {
+        return RDFSerializer.turtleIRI(node.valueOf(), context);
+    } else if(node.interfaceName === 'BlankNode') {
+        return RDFSerializer.blankLabel(node, context);
+    } else {
+        var value = node.nominalValue;
+        if(node.language != null) {
+            return '"'+RDFSerializer.escapeString(value)+'"@'+node.language;
+        } else if(node.datatype != null) {
+            var abbreviated = RDFSerializer.abbreviatedLiteral(node);
+            if(abbreviated != null) {
+                return abbreviated;
+            } else {
+                return '"'+RDFSerializer.escapeString(value)+'"^^'+RDFSerializer.turtleIRI(""+node.datatype, context);
+            }
+        } else {
+            return '"'+RDFSerializer.escapeString(value)+'"';
+        }
+    }
+};
+
+/**
+ * Returns the short form of numeric and boolean literals
+ * or null if the literal must be written as a string.
+ */
+RDFSerializer.abbreviatedLiteral = function(node) {
+    var datatype = ""+node.datatype;
+    var value = node.nominalValue;
+    if((datatype === RDFSerializer.XSD_NS+"integer" && /^[+\-]?[0-9]+$/.test(value)) ||
+       (datatype === RDFSerializer.XSD_NS+"decimal" && /^[+\-]?[0-9]*\.[0-9]+$/.test(value)) ||
+       (datatype === RDFSerializer.XSD_NS+"double" && /^[+\-]?([0-9]+\.[0-9]*|\.[0-9]+|[0-9]+)[eE][+\-]?[0-9]+$/.test(value)) ||
+       (datatype === RDFSerializer.XSD_NS+"boolean" && (value === 'true' || value === 'false'))) {
+        return value;
+    } else {
+        return null;
+    }
+};
+
+RDFSerializer.turtleIRI = function(iri, context) {
+    var shrunk = RDFSerializer.shrink(iri, context);
+    if(shrunk != null) {
+        return shrunk.prefix+":"+shrunk.local;
+    } else {
+        return "<"+RDFSerializer.escapeIRI(iri)+">";
+    }
+};
+
+/**
+ * Shrinks a URI using the prefixes map, returns null if
+ * the URI cannot be written as a valid prefixed name or
+ * the prefix has not been declared.
+ */
+RDFSerializer.shrink = function(iri, context, undeclared) {
+    if(context.prefixes == null) {
+        return null;
+    }
+    if(context.shrunk[iri] !== undefined) {
+        var shrunk = context.shrunk[iri];
+        if(shrunk != null && undeclared !== true && context.declared[shrunk.prefix] !== true) {
+            return null;
+        }
+        return shrunk;
+    }
+
+    var shrunk = null;
+    var curie = context.prefixes.shrink(iri);
+    var index = curie.indexOf(":");
+    if(curie !== iri && index != -1) {
+        var prefix = curie.substring(0, index);
+        var local = curie.substring(index+1);
+        if(/^[A-Za-z][A-Za-z0-9_\-]*$/.test(prefix) &&
+           context.prefixes[prefix] + local === iri &&
+           (local === "" || (/^[A-Za-z0-9_]([A-Za-z0-9_\-.]*[A-Za-z0-9_\-])?$/.test(local)))) {
+            shrunk = {prefix: prefix, local: local};
+        }
+    }
+
+    context.shrunk[iri] = shrunk;
+    return RDFSerializer.shrink(iri, context, undeclared);
+};
+
+/**
+ * Blank nodes are labelled in the order they are found
+ */
+RDFSerializer.blankLabel = function(node, context) {
+    var id = node.valueOf();
+    if(context.labels[id] == null) {
+        context.labels[id] = "_:b"+context.counter;
+        context.counter++;
+    }
+
+    return context.labels[id];
+};
+
+RDFSerializer.escapeString = function(text) {
+    return (""+text).replace(/[\\"\n\r\t\u0000-\u001f\u007f]/g, function(c) {
+        if(c === '\\') {
+            return '\\\\';
+        } else if(c === '"') {
+            return '\\"';
+        } else if(c === '\n') {
+            return '\\n';
+        } else if(c === '\r') {
+            return '\\r';
+        } else if(c === '\t') {
+            return '\\t';
+        } else {
+            return RDFSerializer.unicodeEscape(c);
+        }
+    });
+};
+
+RDFSerializer.escapeIRI = function(iri) {
+    return (""+iri).replace(/[\u0000- <>"{}|\^`\\]/g, RDFSerializer.unicodeEscape);
+};
+
+RDFSerializer.unicodeEscape = function(c) {
+    var hex = c.charCodeAt(0).toString(16).toUpperCase();
+    while(hex.length < 4) {
+        hex = "0"+hex;
+    }
+    return "\\u"+hex;
+};
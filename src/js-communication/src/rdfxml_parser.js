@@ -1,768 +1,657 @@
+// exports
+exports.RDFXMLParser = {};
+var RDFXMLParser = exports.RDFXMLParser;
+
+// imports
+var Utils = require("./../../js-trees/src/utils").Utils;
+
+RDFXMLParser.RDF_NS = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+RDFXMLParser.XML_NS = "http://www.w3.org/XML/1998/namespace";
+RDFXMLParser.XMLNS_NS = "http://www.w3.org/2000/xmlns/";
+
+// names in the RDF namespace that cannot be used as node or property elements
+RDFXMLParser.coreSyntaxTerms = ["RDF", "ID", "about", "parseType", "resource", "nodeID", "datatype"];
+RDFXMLParser.oldTerms = ["aboutEach", "aboutEachPrefix", "bagID"];
+// RDF syntax attributes that can be used without a prefix
+RDFXMLParser.unqualifiedAttributes = ["about", "ID", "resource", "nodeID", "datatype", "parseType", "type", "bagID", "aboutEach", "aboutEachPrefix", "li"];
+
 /**
- * @fileoverview
- * TABULATOR RDF PARSER
- *
- * Version 0.1
- *  Parser believed to be in full positive RDF/XML parsing compliance
- *  with the possible exception of handling deprecated RDF attributes
- *  appropriately. Parser is believed to comply fully with other W3C
- *  and industry standards where appropriate (DOM, ECMAScript, &c.)
- *
- *  Author: David Sheets <dsheets@mit.edu>
- *  SVN ID: $Id$
- *
- * W3C® SOFTWARE NOTICE AND LICENSE
- * http://www.w3.org/Consortium/Legal/2002/copyright-software-20021231
- * This work (and included software, documentation such as READMEs, or
- * other related items) is being provided by the copyright holders under
- * the following license. By obtaining, using and/or copying this work,
- * you (the licensee) agree that you have read, understood, and will
- * comply with the following terms and conditions.
- * 
- * Permission to copy, modify, and distribute this software and its
- * documentation, with or without modification, for any purpose and
- * without fee or royalty is hereby granted, provided that you include
- * the following on ALL copies of the software and documentation or
- * portions thereof, including modifications:
- * 
- * 1. The full text of this NOTICE in a location viewable to users of
- * the redistributed or derivative work.
- * 2. Any pre-existing intellectual property disclaimers, notices, or terms and
- * conditions. If none exist, the W3C Software Short Notice should be
- * included (hypertext is preferred, text is permitted) within the body
- * of any redistributed or derivative code.
- * 3. Notice of any changes or modifications to the files, including the
- * date changes were made. (We recommend you provide URIs to the location
- * from which the code is derived.)
- * 
- * THIS SOFTWARE AND DOCUMENTATION IS PROVIDED "AS IS," AND COPYRIGHT
- * HOLDERS MAKE NO REPRESENTATIONS OR WARRANTIES, EXPRESS OR IMPLIED,
- * INCLUDING BUT NOT LIMITED TO, WARRANTIES OF MERCHANTABILITY OR FITNESS
- * FOR ANY PARTICULAR PURPOSE OR THAT THE USE OF THE SOFTWARE OR
- * DOCUMENTATION WILL NOT INFRINGE ANY THIRD PARTY PATENTS, COPYRIGHTS,
- * TRADEMARKS OR OTHER RIGHTS.
- * 
- * COPYRIGHT HOLDERS WILL NOT BE LIABLE FOR ANY DIRECT, INDIRECT, SPECIAL
- * OR CONSEQUENTIAL DAMAGES ARISING OUT OF ANY USE OF THE SOFTWARE OR
- * DOCUMENTATION.
- * 
- * The name and trademarks of copyright holders may NOT be used in
- * advertising or publicity pertaining to the software without specific,
- * written prior permission. Title to copyright in this software and any
- * associated documentation will at all times remain with copyright
- * holders.
+ * Parser for the RDF/XML syntax that does not depend on a DOM
+ * implementation. The document is read by a small XML tokenizer
+ * and the triples are generated following the RDF/XML grammar.
+ * Options can include the base URI of the document as 'baseURI'
+ * or 'documentURI'.
  */
+RDFXMLParser.parser = {};
+RDFXMLParser.parser.parse = function(data, graph, options) {
+    if(graph != null && typeof(graph) === 'string') {
+        graph = {token: 'uri', value: graph, prefix: null, suffix: null};
+    }
+    options = options || {};
+    var base = options.baseURI || options.documentURI || "";
+
+    var root = RDFXMLParser.parseXML(data);
+    return new RDFXMLParser.RDFXMLParser(graph, base).parse(root);
+};
+
+// XML tokenizer
+
+RDFXMLParser.xmlEntities = {"lt": "<", "gt": ">", "amp": "&", "quot": "\"", "apos": "'"};
+
 /**
- * @class Class defining an RDFParser resource object tied to an RDFStore
- *  
- * @author David Sheets <dsheets@mit.edu>
- * @version 0.1
- * 
- * @constructor
- * @param {RDFStore} store An RDFStore object
+ * Parses an XML document into a tree of elements.
+ * Elements are objects with the name, attributes, children and line
+ * of the element, text nodes are strings.
+ * Entities declared in the internal subset of the DTD are expanded.
  */
+RDFXMLParser.parseXML = function(text) {
+    text = ("" + text).replace(/^\uFEFF/, '').replace(/\r\n?/g, "\n");
+
+    var entities = {};
+    for(var entity in RDFXMLParser.xmlEntities) {
+        entities[entity] = RDFXMLParser.xmlEntities[entity];
+    }
+
+    var pos = 0;
+    var root = null;
+    var stack = [];
+
+    var fail = function(message) {
+        var line = text.substring(0, pos).split("\n").length;
+        throw new Error("XML syntax error at line "+line+": "+message);
+    };
+    var decode = function(value) {
+        return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z_][A-Za-z0-9_.\-]*);/g, function(match, name) {
+            if(name.charAt(0) === '#') {
+                var code = (name.charAt(1) === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10));
+                if(code > 0xFFFF) {
+                    code = code - 0x10000;
+                    return String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+                }
+                return String.fromCharCode(code);
+            } else if(entities[name] != null) {
+                return entities[name];
+            } else {
+                fail("unknown entity &"+name+";");
+            }
+        });
+    };
+    var addText = function(value) {
+        if(stack.length === 0) {
+            if(/\S/.test(value)) {
+                fail("text outside the document element");
+            }
+        } else {
+            var children = stack[stack.length-1].children;
+            if(typeof(children[children.length-1]) === 'string') {
+                children[children.length-1] = children[children.length-1] + value;
+            } else {
+                children.push(value);
+            }
+        }
+    };
 
-var TabulatorRDFXMLParser = function() {
-
-	  var URIJoin = function (given, base) {
-        var baseHash = base.indexOf('#')
-        if (baseHash > 0) base = base.slice(0, baseHash)
-        if (given.length==0) return base // before chopping its filename off
-        if (given.indexOf('#')==0) return base + given
-        var colon = given.indexOf(':')
-        if (colon >= 0) return given	// Absolute URI form overrides base URI
-        var baseColon = base.indexOf(':')
-        if (base == "") return given;
-        if (baseColon < 0) {
-		        throw "Invalid Base URI";
+    while(pos < text.length) {
+        var next = text.indexOf("<", pos);
+        if(next === -1) {
+            addText(decode(text.substring(pos)));
+            break;
+        } else if(next > pos) {
+            addText(decode(text.substring(pos, next)));
+            pos = next;
         }
-        var baseScheme = base.slice(0,baseColon+1)  // eg http:
-        if (given.indexOf("//") == 0)     // Starts with //
-	          return baseScheme + given;
-        if (base.indexOf('//', baseColon)==baseColon+1) {  // Any hostpart?
-	          var baseSingle = base.indexOf("/", baseColon+3)
-	          if (baseSingle < 0) {
-	              if (base.length-baseColon-3 > 0) {
-		                return base + "/" + given
-	              } else {
-		                return baseScheme + given
-	              }
-	          }
+
+        if(text.substr(pos, 4) === "<!--") {
+            var end = text.indexOf("-->", pos);
+            if(end === -1) {
+                fail("unterminated comment");
+            }
+            pos = end + 3;
+        } else if(text.substr(pos, 9) === "<![CDATA[") {
+            var end = text.indexOf("]]>", pos);
+            if(end === -1) {
+                fail("unterminated CDATA section");
+            }
+            addText(text.substring(pos+9, end));
+            pos = end + 3;
+        } else if(text.substr(pos, 2) === "<?") {
+            var end = text.indexOf("?>", pos);
+            if(end === -1) {
+                fail("unterminated processing instruction");
+            }
+            pos = end + 2;
+        } else if(text.substr(pos, 9) === "<!DOCTYPE") {
+            var subset = text.indexOf("[", pos);
+            var close = text.indexOf(">", pos);
+            if(subset !== -1 && subset < close) {
+                var end = text.indexOf("]", subset);
+                if(end === -1) {
+                    fail("unterminated DOCTYPE");
+                }
+                var declarations = text.substring(subset+1, end);
+                var declaration = /<!ENTITY\s+([A-Za-z_][A-Za-z0-9_.\-]*)\s+("([^"]*)"|'([^']*)')\s*>/g;
+                var match;
+                while((match = declaration.exec(declarations)) != null) {
+                    entities[match[1]] = decode(match[3] != null ? match[3] : match[4]);
+                }
+                close = text.indexOf(">", end);
+            }
+            if(close === -1) {
+                fail("unterminated DOCTYPE");
+            }
+            pos = close + 1;
+        } else if(text.charAt(pos+1) === '/') {
+            var close = /^<\/([^\s>]+)\s*>/.exec(text.substring(pos, pos+1024));
+            if(close == null) {
+                fail("malformed end tag");
+            }
+            var element = stack.pop();
+            if(element == null || element.name !== close[1]) {
+                fail("unexpected end tag </"+close[1]+">");
+            }
+            pos = pos + close[0].length;
         } else {
-	          var baseSingle = base.indexOf("/", baseColon+1)
-	          if (baseSingle < 0) {
-	              if (base.length-baseColon-1 > 0) {
-		                return base + "/" + given
-	              } else {
-		                return baseScheme + given
-	              }
-	          }
+            var tag = /^<([^\s\/>=]+)/.exec(text.substring(pos, pos+1024));
+            if(tag == null) {
+                fail("malformed start tag");
+            }
+            var element = {name: tag[1], attributes: [], children: [],
+                           line: text.substring(0, pos).split("\n").length};
+            pos = pos + tag[0].length;
+
+            var attribute = /\s*([^\s=\/>]+)\s*=\s*("([^"<]*)"|'([^'<]*)')/y;
+            var seen = {};
+            while(true) {
+                attribute.lastIndex = pos;
+                var match = attribute.exec(text);
+                if(match == null || !/^\s/.test(text.charAt(pos))) {
+                    break;
+                }
+                if(seen[match[1]] === true) {
+                    fail("duplicated attribute "+match[1]);
+                }
+                seen[match[1]] = true;
+                var value = decode(match[3] != null ? match[3] : match[4]);
+                element.attributes.push({name: match[1], value: value.replace(/[\t\n]/g, " ")});
+                pos = attribute.lastIndex;
+            }
+
+            var end = /^\s*(\/?)>/.exec(text.substring(pos, pos+1024));
+            if(end == null) {
+                fail("malformed start tag <"+element.name+">");
+            }
+            pos = pos + end[0].length;
+
+            if(stack.length === 0) {
+                if(root != null) {
+                    fail("more than one document element");
+                }
+                root = element;
+            } else {
+                stack[stack.length-1].children.push(element);
+            }
+            if(end[1] !== '/') {
+                stack.push(element);
+            }
         }
+    }
 
-        if (given.indexOf('/') == 0)	// starts with / but not //
-	          return base.slice(0, baseSingle) + given
-        
-        var path = base.slice(baseSingle)
-        var lastSlash = path.lastIndexOf("/")
-        if (lastSlash <0) return baseScheme + given
-        if ((lastSlash >=0) && (lastSlash < (path.length-1)))
-	          path = path.slice(0, lastSlash+1) // Chop trailing filename from base
-        
-        path = path + given
-        while (path.match(/[^\/]*\/\.\.\//)) // must apply to result of prev
-	          path = path.replace( /[^\/]*\/\.\.\//, '') // ECMAscript spec 7.8.5
-        path = path.replace( /\.\//g, '') // spec vague on escaping
-        path = path.replace( /\/\.$/, '/' )
-        return base.slice(0, baseSingle) + path
+    if(stack.length > 0) {
+        fail("unclosed element <"+stack[stack.length-1].name+">");
     }
+    if(root == null) {
+        fail("missing document element");
+    }
+
+    return root;
+};
+
+// RDF/XML grammar
+
+RDFXMLParser.RDFXMLParser = function(graph, base) {
+    this.graph = graph;
+    this.base = base;
+    this.quads = [];
+    this.blankCounter = 0;
+    this.ids = {};
+};
+
+RDFXMLParser.RDFXMLParser.prototype.parse = function(root) {
+    var scope = {namespaces: {"xml": RDFXMLParser.XML_NS}, base: this.base, lang: null};
+    scope = this.elementScope(root, scope);
 
-    var RDFParser = function (store) {
-        var RDFParser = {};
-
-        /** Standard namespaces that we know how to handle @final
-         *  @member RDFParser
-         */
-        RDFParser['ns'] = {'RDF':
-		                       "http://www.w3.org/1999/02/22-rdf-syntax-ns#",
-		                       'RDFS':
-		                       "http://www.w3.org/2000/01/rdf-schema#"}
-        /** DOM Level 2 node type magic numbers @final
-         *  @member RDFParser
-         */
-        RDFParser['nodeType'] = {'ELEMENT': 1, 'ATTRIBUTE': 2, 'TEXT': 3,
-			                           'CDATA_SECTION': 4, 'ENTITY_REFERENCE': 5,
-			                           'ENTITY': 6, 'PROCESSING_INSTRUCTION': 7,
-			                           'COMMENT': 8, 'DOCUMENT': 9, 'DOCUMENT_TYPE': 10,
-			                           'DOCUMENT_FRAGMENT': 11, 'NOTATION': 12}
-
-        /**
-         * Frame class for namespace and base URI lookups
-         * Base lookups will always resolve because the parser knows
-         * the default base.
-         *
-         * @private
-         */
-        this['frameFactory'] = function (parser, parent, element) {
-	          return {'NODE': 1,
-		                'ARC': 2,
-		                'parent': parent,
-		                'parser': parser,
-		                'store': parser['store'],
-		                'element': element,
-		                'lastChild': 0,
-		                'base': null,
-		                'lang': null,
-		                'node': null,
-		                'nodeType': null,
-		                'listIndex': 1,
-		                'rdfid': null,
-		                'datatype': null,
-		                'collection': false,
-
-	                  /** Terminate the frame and notify the store that we're done */
-		                'terminateFrame': function () {
-		                    if (this['collection']) {
-			                      this['node']['close']()
-		                    }
-		                },
-	                  
-	                  /** Add a symbol of a certain type to the this frame */
-		                'addSymbol': function (type, uri) {
-		                    uri = URIJoin(uri, this['base'])
-		                    this['node'] = this['store']['sym'](uri)
-		                    this['nodeType'] = type
-		                },
-	                  
-	                  /** Load any constructed triples into the store */
-		                'loadTriple': function () {
-		                    if (this['parent']['parent']['collection']) {
-			                      this['parent']['parent']['node']['append'](this['node'])
-		                    }
-		                    else {
-			                      this['store']['add'](this['parent']['parent']['node'],
-				                                         this['parent']['node'],
-				                                         this['node'],
-				                                         this['parser']['why'])
-		                    }
-		                    if (this['parent']['rdfid'] != null) { // reify
-			                      var triple = this['store']['sym'](
-			                          URIJoin("#"+this['parent']['rdfid'],
-					                              this['base']))
-			                      this['store']['add'](triple,
-					                                       this['store']['sym'](
-						                                         RDFParser['ns']['RDF']
-						                                             +"type"),
-					                                       this['store']['sym'](
-						                                         RDFParser['ns']['RDF']
-						                                             +"Statement"),
-					                                       this['parser']['why'])
-			                      this['store']['add'](triple,
-					                                       this['store']['sym'](
-						                                         RDFParser['ns']['RDF']
-						                                             +"subject"),
-					                                       this['parent']['parent']['node'],
-					                                       this['parser']['why'])
-			                      this['store']['add'](triple,
-					                                       this['store']['sym'](
-						                                         RDFParser['ns']['RDF']
-						                                             +"predicate"),
-					                                       this['parent']['node'],
-					                                       this['parser']['why'])
-			                      this['store']['add'](triple,
-					                                       this['store']['sym'](
-						                                         RDFParser['ns']['RDF']
-						                                             +"object"),
-					                                       this['node'],
-					                                       this['parser']['why'])
-		                    }
-		                },
-
-	                  /** Check if it's OK to load a triple */
-		                'isTripleToLoad': function () {
-		                    return (this['parent'] != null
-			                          && this['parent']['parent'] != null
-			                          && this['nodeType'] == this['NODE']
-			                          && this['parent']['nodeType'] == this['ARC']
-			                          && this['parent']['parent']['nodeType']
-			                          == this['NODE'])
-		                },
-
-	                  /** Add a symbolic node to this frame */
-		                'addNode': function (uri) {
-		                    this['addSymbol'](this['NODE'],uri)
-		                    if (this['isTripleToLoad']()) {
-			                      this['loadTriple']()
-		                    }
-		                },
-
-	                  /** Add a collection node to this frame */
-		                'addCollection': function () {
-		                    this['nodeType'] = this['NODE']
-		                    this['node'] = this['store']['collection']()
-		                    this['collection'] = true
-		                    if (this['isTripleToLoad']()) {
-			                      this['loadTriple']()
-		                    }
-		                },
-
-	                  /** Add a collection arc to this frame */
-		                'addCollectionArc': function () {
-		                    this['nodeType'] = this['ARC']
-		                },
-
-	                  /** Add a bnode to this frame */
-		                'addBNode': function (id) {
-		                    if (id != null) {
-			                      if (this['parser']['bnodes'][id] != null) {
-			                          this['node'] = this['parser']['bnodes'][id]
-			                      } else {
-			                          this['node'] = this['parser']['bnodes'][id] = this['store']['bnode']()
-			                      }
-		                    } else { this['node'] = this['store']['bnode']() }
-		                    
-		                    this['nodeType'] = this['NODE']
-		                    if (this['isTripleToLoad']()) {
-			                      this['loadTriple']()
-		                    }
-		                },
-
-	                  /** Add an arc or property to this frame */
-		                'addArc': function (uri) {
-		                    if (uri == RDFParser['ns']['RDF']+"li") {
-			                      uri = RDFParser['ns']['RDF']+"_"+this['parent']['listIndex']++
-		                    }
-		                    this['addSymbol'](this['ARC'], uri)
-		                },
-
-	                  /** Add a literal to this frame */
-		                'addLiteral': function (value) {
-		                    if (this['parent']['datatype']) {
-			                      this['node'] = this['store']['literal'](
-			                          value, "", this['store']['sym'](
-				                            this['parent']['datatype']))
-		                    }
-		                    else {
-			                      this['node'] = this['store']['literal'](
-			                          value, this['lang'])
-		                    }
-		                    this['nodeType'] = this['NODE']
-		                    if (this['isTripleToLoad']()) {
-			                      this['loadTriple']()
-		                    }
-		                }
-	                 }
+    if(root.uri === RDFXMLParser.RDF_NS+"RDF") {
+        var children = this.elementChildren(root);
+        for(var i=0; i<children.length; i++) {
+            this.nodeElement(children[i], this.elementScope(children[i], scope));
         }
+    } else {
+        this.nodeElement(root, scope);
+    }
 
-        //from the OpenLayers source .. needed to get around IE problems.
-        this['getAttributeNodeNS'] = function(node, uri, name) {
-            // console.log("GETTING ATTROBUTE "+name+", "+uri);
-            //// console.log(node._nodeName);
-            var attributeNode = null;
-            if(node.getAttributeNodeNS) {
-                // console.log("HEY!");
-                attributeNode = node.getAttributeNodeNS(uri, name);
-            } else {
-                // console.log("NOPE!");
-                var attributes = node.attributes;
-                var potentialNode, fullName;
-                for(var i=0; i<attributes.length; ++i) {
-                    potentialNode = attributes[i];
-                    // console.log("  - POTENTIAL NODE "+potentialNode);
-                    if(potentialNode.namespaceURI == uri) {
-                        fullName = (potentialNode.prefix) ?
-                            (potentialNode.prefix + ":" + name) : name;
-                        if(fullName == potentialNode.nodeName) {
-                            attributeNode = potentialNode;
-                            break;
-                        }
-                    }
+    return this.quads;
+};
+
+/**
+ * Computes the namespaces, base URI and language in scope for
+ * an element and resolves the names of the element and its attributes.
+ */
+RDFXMLParser.RDFXMLParser.prototype.elementScope = function(element, parentScope) {
+    var scope = {namespaces: parentScope.namespaces, base: parentScope.base, lang: parentScope.lang};
+    var namespaces = null;
+    for(var i=0; i<element.attributes.length; i++) {
+        var name = element.attributes[i].name;
+        if(name === "xmlns" || name.indexOf("xmlns:") === 0) {
+            if(namespaces == null) {
+                namespaces = {};
+                for(var prefix in parentScope.namespaces) {
+                    namespaces[prefix] = parentScope.namespaces[prefix];
                 }
             }
-            return attributeNode;
+            namespaces[name === "xmlns" ? "" : name.substring(6)] = element.attributes[i].value;
+        }
+    }
+    if(namespaces != null) {
+        scope.namespaces = namespaces;
+    }
+
+    element.uri = this.resolveName(element.name, scope, true, element);
+    element.properties = [];
+    element.syntax = {};
+    for(var i=0; i<element.attributes.length; i++) {
+        var attribute = element.attributes[i];
+        var name = attribute.name;
+        if(name === "xmlns" || name.indexOf("xmlns:") === 0) {
+            continue;
+        }
+        var uri = this.resolveName(name, scope, false, element);
+        if(uri === RDFXMLParser.XML_NS+"base") {
+            scope.base = Utils.resolveUri(scope.base, attribute.value.split("#")[0]);
+        } else if(uri === RDFXMLParser.XML_NS+"lang") {
+            scope.lang = (attribute.value === "" ? null : attribute.value);
+        } else if(uri == null || name.indexOf("xml") === 0) {
+            // reserved and unknown attributes are ignored
+        } else if(uri.indexOf(RDFXMLParser.RDF_NS) === 0 &&
+                  (Utils.include(RDFXMLParser.coreSyntaxTerms, uri.substring(RDFXMLParser.RDF_NS.length)) ||
+                   Utils.include(RDFXMLParser.oldTerms, uri.substring(RDFXMLParser.RDF_NS.length)))) {
+            element.syntax[uri.substring(RDFXMLParser.RDF_NS.length)] = attribute.value;
+        } else {
+            element.properties.push({uri: uri, value: attribute.value});
+        }
+    }
+    element.scope = scope;
+
+    return scope;
+};
+
+RDFXMLParser.RDFXMLParser.prototype.resolveName = function(name, scope, isElement, element) {
+    var index = name.indexOf(":");
+    if(index === -1) {
+        if(isElement) {
+            if(scope.namespaces[""] == null) {
+                this.fail(element, "element <"+name+"> is not in a namespace");
+            }
+            return scope.namespaces[""] + name;
+        } else if(Utils.include(RDFXMLParser.unqualifiedAttributes, name)) {
+            return RDFXMLParser.RDF_NS + name;
+        } else {
+            return null;
+        }
+    } else {
+        var prefix = name.substring(0, index);
+        var namespace = scope.namespaces[prefix];
+        if(namespace == null) {
+            this.fail(element, "unknown namespace prefix "+prefix);
+        }
+        return namespace + name.substring(index+1);
+    }
+};
+
+RDFXMLParser.RDFXMLParser.prototype.elementChildren = function(element) {
+    var children = [];
+    for(var i=0; i<element.children.length; i++) {
+        if(typeof(element.children[i]) === 'string') {
+            if(/\S/.test(element.children[i])) {
+                this.fail(element, "unexpected text in <"+element.name+">");
+            }
+        } else {
+            children.push(element.children[i]);
+        }
+    }
+
+    return children;
+};
+
+RDFXMLParser.RDFXMLParser.prototype.nodeElement = function(element, scope) {
+    var name = this.rdfName(element.uri);
+    if(name != null && (Utils.include(RDFXMLParser.coreSyntaxTerms, name) || Utils.include(RDFXMLParser.oldTerms, name) || name === "li")) {
+        this.fail(element, "rdf:"+name+" cannot be used as a node element");
+    }
+
+    var syntax = element.syntax;
+    var subject;
+    if(syntax.ID != null) {
+        subject = this.uri(this.idUri(syntax.ID, scope, element));
+    } else if(syntax.nodeID != null) {
+        subject = this.blank(syntax.nodeID, element);
+    } else if(syntax.about != null) {
+        subject = this.uri(Utils.resolveUri(scope.base, syntax.about));
+    } else {
+        subject = this.blank();
+    }
+    if((syntax.ID != null) + (syntax.nodeID != null) + (syntax.about != null) > 1) {
+        this.fail(element, "rdf:ID, rdf:nodeID and rdf:about cannot be used together");
+    }
+    this.checkOldTerms(element);
+
+    if(element.uri !== RDFXMLParser.RDF_NS+"Description") {
+        this.triple(subject, this.uri(RDFXMLParser.RDF_NS+"type"), this.uri(element.uri));
+    }
+    this.propertyAttributes(subject, element, scope);
+
+    var children = this.elementChildren(element);
+    var li = 1;
+    for(var i=0; i<children.length; i++) {
+        var childScope = this.elementScope(children[i], scope);
+        if(children[i].uri === RDFXMLParser.RDF_NS+"li") {
+            children[i].uri = RDFXMLParser.RDF_NS+"_"+li;
+            li++;
+        }
+        this.propertyElement(subject, children[i], childScope);
+    }
+
+    return subject;
+};
+
+RDFXMLParser.RDFXMLParser.prototype.propertyAttributes = function(subject, element, scope) {
+    for(var i=0; i<element.properties.length; i++) {
+        var property = element.properties[i];
+        var name = this.rdfName(property.uri);
+        if(name === "li" || name === "Description") {
+            this.fail(element, "rdf:"+name+" cannot be used as a property attribute");
+        }
+        if(property.uri === RDFXMLParser.RDF_NS+"type") {
+            this.triple(subject, this.uri(property.uri), this.uri(Utils.resolveUri(scope.base, property.value)));
+        } else {
+            this.triple(subject, this.uri(property.uri), this.literal(property.value, scope.lang, null));
         }
+    }
+};
 
-        /** Our triple store reference @private */
-        this['store'] = store
-        /** Our identified blank nodes @private */
-        this['bnodes'] = {}
-        /** A context for context-aware stores @private */
-        this['why'] = null
-        /** Reification flag */
-        this['reify'] = false
-
-        /**
-         * Build our initial scope frame and parse the DOM into triples
-         * @param {DOMTree} document The DOM to parse
-         * @param {String} base The base URL to use 
-         * @param {Object} why The context to which this resource belongs
-         */
-        this['parse'] = function (document, base, why) {
-            // console.log("\n\nPARSING...");
-            // console.log(document);
-	          var children = document['childNodes']
-
-	          // clean up for the next run
-	          this['cleanParser']()
-
-	          // figure out the root element
-	          //var root = document.documentElement; //this is faster, I think, cross-browser issue? well, DOM 2
-	          if (document['nodeType'] == RDFParser['nodeType']['DOCUMENT']) {
-	              for (var c=0; c<children['length']; c++) {
-		                if (children[c]['nodeType']
-		                    == RDFParser['nodeType']['ELEMENT']) {
-		                    var root = children[c]
-		                    break
-		                }
-	              }	    
-	          }
-	          else if (document['nodeType'] == RDFParser['nodeType']['ELEMENT']) {
-	              var root = document
-	          }
-	          else {
-	              throw new Error("RDFParser: can't find root in " + base
-			                          + ". Halting. ");
-	          }
-	          
-	          this['why'] = why
-            
-
-	          // our topmost frame
-
-	          var f = this['frameFactory'](this)
-            this['base'] = base
-	          f['base'] = base
-	          f['lang'] = ''
-	          
-	          this['parseDOM'](this['buildFrame'](f,root))
-	          return true
+RDFXMLParser.RDFXMLParser.prototype.propertyElement = function(subject, element, scope) {
+    var name = this.rdfName(element.uri);
+    if(name != null && (Utils.include(RDFXMLParser.coreSyntaxTerms, name) || Utils.include(RDFXMLParser.oldTerms, name) || name === "Description" || name === "li")) {
+        this.fail(element, "rdf:"+name+" cannot be used as a property element");
+    }
+    this.checkOldTerms(element);
+
+    var predicate = this.uri(element.uri);
+    var syntax = element.syntax;
+    var object;
+
+    if(syntax.parseType != null) {
+        if(syntax.resource != null || syntax.nodeID != null || syntax.datatype != null || element.properties.length > 0) {
+            this.fail(element, "rdf:parseType cannot be used with other attributes");
         }
-        this['parseDOM'] = function (frame) {
-	          // a DOM utility function used in parsing
-            var nsrepo = {};
-            
-	          var elementURI = function (el) {
-                // console.log("GETTINT ELEMENT URI!");
-                //// console.log(el);
-                var result = "";
-                if( el['namespaceURI'] ) {
-                    result = result + el['namespaceURI'];
+        if(syntax.parseType === "Resource") {
+            object = this.blank();
+            this.triple(subject, predicate, object);
+            var children = this.elementChildren(element);
+            var li = 1;
+            for(var i=0; i<children.length; i++) {
+                var childScope = this.elementScope(children[i], scope);
+                if(children[i].uri === RDFXMLParser.RDF_NS+"li") {
+                    children[i].uri = RDFXMLParser.RDF_NS+"_"+li;
+                    li++;
                 }
-                if( el['localName'] ) {
-                    result = result + el['localName'];
-                } else if( el['nodeName'] ) {
-                    if(el['nodeName'].indexOf(":")>=0)
-                        result = result + el['nodeName'].split(":")[1];
-                    else
-                        result = result + el['nodeName'];
+                this.propertyElement(object, children[i], childScope);
+            }
+        } else if(syntax.parseType === "Collection") {
+            var children = this.elementChildren(element);
+            var items = [];
+            for(var i=0; i<children.length; i++) {
+                items.push(this.nodeElement(children[i], this.elementScope(children[i], scope)));
+            }
+            object = this.uri(RDFXMLParser.RDF_NS+"nil");
+            var nodes = [];
+            for(var i=0; i<items.length; i++) {
+                nodes.push(this.blank());
+            }
+            if(nodes.length > 0) {
+                object = nodes[0];
+            }
+            this.triple(subject, predicate, object);
+            for(var i=0; i<items.length; i++) {
+                this.triple(nodes[i], this.uri(RDFXMLParser.RDF_NS+"first"), items[i]);
+                this.triple(nodes[i], this.uri(RDFXMLParser.RDF_NS+"rest"), (i+1 < nodes.length ? nodes[i+1] : this.uri(RDFXMLParser.RDF_NS+"nil")));
+            }
+        } else {
+            // Literal and unknown parse types
+            var value = RDFXMLParser.canonicalXML(element.children, element.scope.namespaces, {});
+            object = this.literal(value, null, RDFXMLParser.RDF_NS+"XMLLiteral");
+            this.triple(subject, predicate, object);
+        }
+    } else {
+        var children = [];
+        var hasText = false;
+        for(var i=0; i<element.children.length; i++) {
+            if(typeof(element.children[i]) !== 'string') {
+                children.push(element.children[i]);
+            } else if(element.children[i] !== '') {
+                hasText = true;
+            }
+        }
+
+        if(children.length > 0) {
+            // resource property element
+            if(children.length > 1) {
+                this.fail(element, "property element <"+element.name+"> contains more than one node element");
+            }
+            this.elementChildren(element);
+            if(syntax.resource != null || syntax.nodeID != null || syntax.datatype != null || element.properties.length > 0) {
+                this.fail(element, "property element <"+element.name+"> with a node element cannot have other attributes");
+            }
+            object = this.nodeElement(children[0], this.elementScope(children[0], scope));
+            this.triple(subject, predicate, object);
+        } else if(hasText || syntax.datatype != null) {
+            // literal property element
+            if(syntax.resource != null || syntax.nodeID != null || element.properties.length > 0) {
+                this.fail(element, "literal property element <"+element.name+"> cannot have other attributes");
+            }
+            var text = element.children.join("");
+            if(syntax.datatype != null) {
+                object = this.literal(text, null, Utils.resolveUri(scope.base, syntax.datatype));
+            } else {
+                object = this.literal(text, scope.lang, null);
+            }
+            this.triple(subject, predicate, object);
+        } else {
+            // empty property element
+            if(syntax.resource != null && syntax.nodeID != null) {
+                this.fail(element, "rdf:resource and rdf:nodeID cannot be used together");
+            }
+            if(syntax.resource == null && syntax.nodeID == null && element.properties.length === 0) {
+                object = this.literal("", scope.lang, null);
+            } else {
+                if(syntax.resource != null) {
+                    object = this.uri(Utils.resolveUri(scope.base, syntax.resource));
+                } else if(syntax.nodeID != null) {
+                    object = this.blank(syntax.nodeID, element);
                 } else {
-                    // console.log("INCOMPATIBLE!");
+                    object = this.blank();
                 }
-	              return result;
-	          }
-	          var dig = true // if we'll dig down in the tree on the next iter
-
-	          while (frame['parent']) {
-	              var dom = frame['element']
-	              var attrs = dom['attributes']
-
-                // console.log("\n\n\nELEMENT URI!! " + elementURI(dom));
-                //// console.log(dom);
-
-	              if (dom['nodeType']
-		                == RDFParser['nodeType']['TEXT']
-		                || dom['nodeType']
-		                == RDFParser['nodeType']['CDATA_SECTION']) {//we have a literal
-		                frame['addLiteral'](dom['nodeValue'])
-	              }
-	              else if (elementURI(dom)
-		                     != RDFParser['ns']['RDF']+"RDF") { // not root
-                    // console.log(" * NOT ROOT");
-		                if (frame['parent'] && frame['parent']['collection']) {
-		                    // we're a collection element
-                        // console.log(" * COLLECTION ELEMENT")
-		                    frame['addCollectionArc']()
-		                    frame = this['buildFrame'](frame,frame['element'])
-		                    frame['parent']['element'] = null
-		                }
-                    if (!frame['parent'] || !frame['parent']['nodeType']
-		                    || frame['parent']['nodeType'] == frame['ARC']) {
-                        // console.log("\n\n----");
-		                    // we need a node
-                        // console.log(" * LOOKING FOR A NODE");
-                        var about =this['getAttributeNodeNS'](dom,
-			                                                        RDFParser['ns']['RDF'],"about")
-                        // console.log("FOUND ABOUT");
-                        // console.log(about);
-		                    var rdfid =this['getAttributeNodeNS'](dom,
-			                                                        RDFParser['ns']['RDF'],"ID")
-		                    if (about && rdfid) {
-			                      throw new Error("RDFParser: " + dom['nodeName']
-					                                  + " has both rdf:id and rdf:about."
-					                                  + " Halting. Only one of these"
-					                                  + " properties may be specified on a"
-					                                  + " node.");
-		                    }
-		                    if (about == null && rdfid) {
-			                      frame['addNode']("#"+rdfid['nodeValue'])
-			                      dom['removeAttributeNode'](rdfid)
-		                    }
-		                    else if (about == null && rdfid == null) {
-                            var bnid = this['getAttributeNodeNS'](dom,
-			                                                            RDFParser['ns']['RDF'],"nodeID")
-			                      if (bnid) {
-			                          frame['addBNode'](bnid['nodeValue'])
-			                          dom['removeAttributeNode'](bnid)
-			                      } else { frame['addBNode']() }
-		                    }
-		                    else {
-			                      frame['addNode'](about['nodeValue'])
-			                      dom['removeAttributeNode'](about)
-		                    }
-		                    
-		                    // Typed nodes
-		                    var rdftype = this['getAttributeNodeNS'](dom,
-			                                                           RDFParser['ns']['RDF'],"type")
-		                    if (RDFParser['ns']['RDF']+"Description"
-			                      != elementURI(dom)) {
-			                      rdftype = {'nodeValue': elementURI(dom)}
-		                    }
-		                    if (rdftype != null) {
-			                      this['store']['add'](frame['node'],
-					                                       this['store']['sym'](
-						                                         RDFParser['ns']['RDF']+"type"),
-					                                       this['store']['sym'](
-						                                         URIJoin(
-						                                             rdftype['nodeValue'],
-						                                             frame['base'])),
-					                                       this['why'])
-			                      if (rdftype['nodeName']){
-			                          dom['removeAttributeNode'](rdftype)
-			                      }
-		                    }
-		                    
-		                    // Property Attributes
-		                    for (var x = attrs['length']-1; x >= 0; x--) {
-			                      this['store']['add'](frame['node'],
-					                                       this['store']['sym'](
-						                                         elementURI(attrs[x])),
-					                                       this['store']['literal'](
-						                                         attrs[x]['nodeValue'],
-						                                         frame['lang']),
-					                                       this['why'])
-		                    }
-		                }
-		                else { // we should add an arc (or implicit bnode+arc)
-                        // console.log("WE SHOULD ADD AN ARC");
-		                    frame['addArc'](elementURI(dom))
-
-		                    // save the arc's rdf:ID if it has one
-		                    if (this['reify']) {
-                            var rdfid = this['getAttributeNodeNS'](dom,
-			                                                             RDFParser['ns']['RDF'],"ID")
-			                      if (rdfid) {
-			                          frame['rdfid'] = rdfid['nodeValue']
-			                          dom['removeAttributeNode'](rdfid)
-			                      }
-		                    }
-
-		                    var parsetype = this['getAttributeNodeNS'](dom,
-			                                                             RDFParser['ns']['RDF'],"parseType")
-		                    var datatype = this['getAttributeNodeNS'](dom,
-			                                                            RDFParser['ns']['RDF'],"datatype")
-		                    if (datatype) {
-			                      frame['datatype'] = datatype['nodeValue']
-			                      dom['removeAttributeNode'](datatype)
-		                    }
-
-		                    if (parsetype) {
-			                      var nv = parsetype['nodeValue']
-			                      if (nv == "Literal") {
-			                          frame['datatype']
-				                            = RDFParser['ns']['RDF']+"XMLLiteral"
-			                          // (this.buildFrame(frame)).addLiteral(dom)
-			                          // should work but doesn't
-			                          frame = this['buildFrame'](frame)
-			                          frame['addLiteral'](dom)
-			                          dig = false
-			                      }
-			                      else if (nv == "Resource") {
-			                          frame = this['buildFrame'](frame,frame['element'])
-			                          frame['parent']['element'] = null
-			                          frame['addBNode']()
-			                      }
-			                      else if (nv == "Collection") {
-			                          frame = this['buildFrame'](frame,frame['element'])
-			                          frame['parent']['element'] = null
-			                          frame['addCollection']()
-			                      }
-			                      dom['removeAttributeNode'](parsetype)
-		                    }
-
-		                    if (attrs['length'] != 0) {
-                            var resource = this['getAttributeNodeNS'](dom,
-			                                                                RDFParser['ns']['RDF'],"resource")
-			                      var bnid = this['getAttributeNodeNS'](dom,
-			                                                            RDFParser['ns']['RDF'],"nodeID")
-
-			                      frame = this['buildFrame'](frame)
-			                      if (resource) {
-			                          frame['addNode'](resource['nodeValue'])
-			                          dom['removeAttributeNode'](resource)
-			                      } else {
-			                          if (bnid) {
-				                            frame['addBNode'](bnid['nodeValue'])
-				                            dom['removeAttributeNode'](bnid)
-			                          } else { frame['addBNode']() }
-			                      }
-
-			                      for (var x = attrs['length']-1; x >= 0; x--) {
-			                          var f = this['buildFrame'](frame)
-			                          f['addArc'](elementURI(attrs[x]))
-			                          if (elementURI(attrs[x])
-				                            ==RDFParser['ns']['RDF']+"type"){
-				                            (this['buildFrame'](f))['addNode'](
-				                                attrs[x]['nodeValue'])
-			                          } else {
-				                            (this['buildFrame'](f))['addLiteral'](
-				                                attrs[x]['nodeValue'])
-			                          }
-			                      }
-		                    }
-		                    else if (dom['childNodes']['length'] == 0) {
-			                      (this['buildFrame'](frame))['addLiteral']("")
-		                    }
-		                }
-	              } // rdf:RDF
-
-	              // dig dug
-	              dom = frame['element']
-	              while (frame['parent']) {
-		                var pframe = frame
-		                while (dom == null) {
-		                    frame = frame['parent']
-		                    dom = frame['element']
-		                }
-		                var candidate = dom['childNodes'][frame['lastChild']]
-		                if (candidate == null || !dig) {
-		                    frame['terminateFrame']()
-		                    if (!(frame = frame['parent'])) { break } // done
-		                    dom = frame['element']
-		                    dig = true
-		                }
-		                else if ((candidate['nodeType']
-			                        != RDFParser['nodeType']['ELEMENT']
-			                        && candidate['nodeType']
-			                        != RDFParser['nodeType']['TEXT']
-			                        && candidate['nodeType']
-			                        != RDFParser['nodeType']['CDATA_SECTION'])
-			                       || ((candidate['nodeType']
-			                            == RDFParser['nodeType']['TEXT']
-			                            || candidate['nodeType']
-			                            == RDFParser['nodeType']['CDATA_SECTION'])
-			                           && dom['childNodes']['length'] != 1)) {
-		                    frame['lastChild']++
-		                }
-		                else { // not a leaf
-		                    frame['lastChild']++
-		                    frame = this['buildFrame'](pframe,
-					                                         dom['childNodes'][frame['lastChild']-1])
-		                    break
-		                }
-	              }
-	          } // while
+                this.propertyAttributes(object, element, scope);
+            }
+            this.triple(subject, predicate, object);
         }
+    }
 
-        /**
-         * Cleans out state from a previous parse run
-         * @private
-         */
-        this['cleanParser'] = function () {
-	          this['bnodes'] = {}
-	          this['why'] = null
-        }
+    if(syntax.ID != null) {
+        this.reify(this.uri(this.idUri(syntax.ID, scope, element)), subject, predicate, object);
+    }
+};
 
-        /**
-         * Builds scope frame 
-         * @private
-         */
-        this['buildFrame'] = function (parent, element) {
-	          var frame = this['frameFactory'](this,parent,element)
-	          if (parent) {
-	              frame['base'] = parent['base']
-	              frame['lang'] = parent['lang']
-	          }
-	          if (element == null
-	              || element['nodeType'] == RDFParser['nodeType']['TEXT']
-	              || element['nodeType'] == RDFParser['nodeType']['CDATA_SECTION']) {
-	              return frame
-	          }
-
-	          var attrs = element['attributes']
-
-	          var base = element['getAttributeNode']("xml:base")
-	          if (base != null) {
-	              frame['base'] = base['nodeValue']
-	              element['removeAttribute']("xml:base")
-	          }
-	          var lang = element['getAttributeNode']("xml:lang")
-	          if (lang != null) {
-	              frame['lang'] = lang['nodeValue']
-	              element['removeAttribute']("xml:lang")
-	          }
-
-	          // remove all extraneous xml and xmlns attributes
-	          for (var x = attrs['length']-1; x >= 0; x--) {
-	              if (attrs[x]['nodeName']['substr'](0,3) == "xml") {
-                    if (attrs[x].name.slice(0,6)=='xmlns:') {
-                        var uri = attrs[x].nodeValue;
-                        if (this.base) uri = URIJoin(uri, this.base);
-                        this.store.setPrefixForURI(attrs[x].name.slice(6),
-                                                   uri);
-                    }
-		                element['removeAttributeNode'](attrs[x])
-	              }
-	          }
-	          return frame
+RDFXMLParser.RDFXMLParser.prototype.reify = function(statement, subject, predicate, object) {
+    this.triple(statement, this.uri(RDFXMLParser.RDF_NS+"type"), this.uri(RDFXMLParser.RDF_NS+"Statement"));
+    this.triple(statement, this.uri(RDFXMLParser.RDF_NS+"subject"), subject);
+    this.triple(statement, this.uri(RDFXMLParser.RDF_NS+"predicate"), predicate);
+    this.triple(statement, this.uri(RDFXMLParser.RDF_NS+"object"), object);
+};
+
+RDFXMLParser.RDFXMLParser.prototype.checkOldTerms = function(element) {
+    for(var i=0; i<RDFXMLParser.oldTerms.length; i++) {
+        if(element.syntax[RDFXMLParser.oldTerms[i]] != null) {
+            this.fail(element, "rdf:"+RDFXMLParser.oldTerms[i]+" is no longer part of RDF/XML");
         }
     }
+};
 
-    var createXMLDocument = function(string) {
-        var parser, xmlDoc;
-	      if (typeof module != 'undefined') {
-            var jsdom = require('jsdom');
-            xmlDoc = jsdom.jsdom(string, jsdom.level(2, "core"), {});
-	      }
-	      else if (window.DOMParser)
-	      {
-	          parser = new DOMParser();
-	          xmlDoc = parser.parseFromString(string, 'text/xml');
-	      }
-        else if (window.ActiveXObject)
-	      {
-	          xmlDoc = new ActiveXObject('Microsoft.XMLDOM');
-                // console.log(el._nsStore);
-                // console.log("....");
-	          xmlDoc.async = 'false';
-	          xmlDoc.loadXML(string);
-	      } 
-        return xmlDoc;
-    };
+RDFXMLParser.RDFXMLParser.prototype.idUri = function(id, scope, element) {
+    if(!/^[A-Za-z_\u00C0-\uFFFF][A-Za-z0-9_.\-\u00B7\u00C0-\uFFFF]*$/.test(id)) {
+        this.fail(element, "rdf:ID "+id+" is not a valid name");
+    }
+    var uri = Utils.resolveUri(scope.base, "#"+id);
+    if(this.ids[uri] === true) {
+        this.fail(element, "rdf:ID "+id+" is used more than once");
+    }
+    this.ids[uri] = true;
 
-    var RDFStore = function(default_graph) {
-	      this.statements = [];
-	      this.namespaces = {};
-	      
-	      this.add = function(s,p,o) {
-		        this.statements.push({subject: s, predicate: p, object: o, graph: default_graph});
-	      };
-
-	      this.sym = function(x) {
-		        return {token: 'uri', value: x};
-	      };
-	      
-	      this.literal = function(str, lang, datatype) {
-		        str = str.replace(/\\/g, '\\\\');  // escape backslashes
-		        str = str.replace(/\"/g, '\\"');    // escape quotes
-		        str = str.replace(/\n/g, '\\n');    // escape newlines
-		        str = '"' + str + '"'  //';
-		        
-		        if (datatype){
-				        str = str + '^^' + datatype
-		        }
-		        if (lang) {
-				        str = str + "@" + lang;
-		        }
-		        return {'literal': str};
-	      };
-
-	      var _id = 0;
-	      this.bnode = function(id) {
-		        id = id || "_:bnid" + _id++;
-		        return {'blank': id}
-	      };
-
-	      this.setPrefixForURI = function(prefix, nsuri) {
-		        if (this.namespaces[prefix]||nsuri !== nsuri) {
-			          throw "Can't redefine prefix " + prefix;
-		        }
-		        this.namespaces[prefix] = nsuri;
-	      };
-    };
+    return uri;
+};
 
-    function _isString(v) {
-        return (typeof v === 'string' ||
-                Object.prototype.toString.call(v) === '[object String]');
+RDFXMLParser.RDFXMLParser.prototype.rdfName = function(uri) {
+    if(uri != null && uri.indexOf(RDFXMLParser.RDF_NS) === 0) {
+        return uri.substring(RDFXMLParser.RDF_NS.length);
+    } else {
+        return null;
     }
+};
 
-    function rdfXmlParser(docstring, graph) {	
-	      var doc = docstring;
-	      if (_isString(docstring)){
-		        doc = createXMLDocument(docstring);
-	      }
-
-	      var s = new RDFStore(graph);
-	      var parser = new RDFParser(s);
-        
-	      parser.parse(doc, "http://nobase");
-	      return s.statements;
-    };
+RDFXMLParser.RDFXMLParser.prototype.triple = function(subject, predicate, object) {
+    this.quads.push({subject: subject, predicate: predicate, object: object, graph: this.graph});
+};
 
+RDFXMLParser.RDFXMLParser.prototype.uri = function(value) {
+    return {token: 'uri', value: value, prefix: null, suffix: null};
+};
 
-	  return {
-		    parse: rdfXmlParser
-	  }
+RDFXMLParser.RDFXMLParser.prototype.blank = function(nodeID, element) {
+    if(nodeID != null) {
+        if(!/^[A-Za-z_][A-Za-z0-9_.\-]*$/.test(nodeID)) {
+            this.fail(element, "rdf:nodeID "+nodeID+" is not a valid name");
+        }
+        // labels in the document and generated labels cannot collide
+        return {blank: "_:n"+nodeID};
+    } else {
+        this.blankCounter++;
+        return {blank: "_:g"+this.blankCounter};
+    }
+};
 
-}();
+RDFXMLParser.RDFXMLParser.prototype.literal = function(value, lang, datatype) {
+    var literal = '"'+value+'"';
+    if(lang != null) {
+        literal = literal + "@" + lang;
+    } else if(datatype != null) {
+        literal = literal + "^^<" + datatype + ">";
+    }
+    return {literal: literal};
+};
 
+RDFXMLParser.RDFXMLParser.prototype.fail = function(element, message) {
+    throw new Error("RDF/XML error at line "+element.line+": "+message);
+};
 
-exports.RDFXMLParser = {};
-var RDFXMLParser = exports.RDFXMLParser;
+/**
+ * Serializes the content of a rdf:parseType="Literal" property element
+ * using exclusive XML canonicalization.
+ */
+RDFXMLParser.canonicalXML = function(nodes, namespaces, rendered) {
+    var xml = "";
+    for(var i=0; i<nodes.length; i++) {
+        var node = nodes[i];
+        if(typeof(node) === 'string') {
+            xml = xml + node.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\r/g, "&#xD;");
+            continue;
+        }
 
-RDFXMLParser.parser = {};
-RDFXMLParser.parser.parse = function(data, graph) {
-    try {
-		    return TabulatorRDFXMLParser.parse(data, graph);
-    } catch(e) {
-		    throw e;
+        var elementNamespaces = namespaces;
+        var declared = null;
+        for(var j=0; j<node.attributes.length; j++) {
+            var name = node.attributes[j].name;
+            if(name === "xmlns" || name.indexOf("xmlns:") === 0) {
+                if(declared == null) {
+                    declared = {};
+                    for(var prefix in namespaces) {
+                        declared[prefix] = namespaces[prefix];
+                    }
+                }
+                declared[name === "xmlns" ? "" : name.substring(6)] = node.attributes[j].value;
+            }
+        }
+        if(declared != null) {
+            elementNamespaces = declared;
+        }
+
+        // namespaces visibly used by the element and its attributes
+        var used = [];
+        var prefixOf = function(qname) {
+            return (qname.indexOf(":") === -1 ? "" : qname.substring(0, qname.indexOf(":")));
+        };
+        used.push(prefixOf(node.name));
+        var attributes = [];
+        for(var j=0; j<node.attributes.length; j++) {
+            var name = node.attributes[j].name;
+            if(name === "xmlns" || name.indexOf("xmlns:") === 0) {
+                continue;
+            }
+            var prefix = (name.indexOf(":") === -1 ? null : prefixOf(name));
+            if(prefix != null && prefix !== "xml" && !Utils.include(used, prefix)) {
+                used.push(prefix);
+            }
+            attributes.push({name: name,
+                             namespace: (prefix == null ? "" : (prefix === "xml" ? RDFXMLParser.XML_NS : elementNamespaces[prefix])),
+                             local: (prefix == null ? name : name.substring(prefix.length+1)),
+                             value: node.attributes[j].value});
+        }
+
+        var renderedHere = {};
+        for(var prefix in rendered) {
+            renderedHere[prefix] = rendered[prefix];
+        }
+        var declarations = [];
+        for(var j=0; j<used.length; j++) {
+            var prefix = used[j];
+            var namespace = elementNamespaces[prefix] || "";
+            if((renderedHere[prefix] || "") !== namespace) {
+                declarations.push({prefix: prefix, namespace: namespace});
+                renderedHere[prefix] = namespace;
+            }
+        }
+        declarations.sort(function(a, b) { return (a.prefix < b.prefix ? -1 : (a.prefix > b.prefix ? 1 : 0)); });
+        attributes.sort(function(a, b) {
+            if(a.namespace !== b.namespace) {
+                return (a.namespace < b.namespace ? -1 : 1);
+            } else {
+                return (a.local < b.local ? -1 : (a.local > b.local ? 1 : 0));
+            }
+        });
+
+        xml = xml + "<" + node.name;
+        for(var j=0; j<declarations.length; j++) {
+            xml = xml + (declarations[j].prefix === "" ? " xmlns" : " xmlns:"+declarations[j].prefix) +
+                  '="' + RDFXMLParser.canonicalAttribute(declarations[j].namespace) + '"';
+        }
+        for(var j=0; j<attributes.length; j++) {
+            xml = xml + " " + attributes[j].name + '="' + RDFXMLParser.canonicalAttribute(attributes[j].value) + '"';
+        }
+        xml = xml + ">" + RDFXMLParser.canonicalXML(node.children, elementNamespaces, renderedHere) + "</" + node.name + ">";
     }
+
+    return xml;
+};
+
+RDFXMLParser.canonicalAttribute = function(value) {
+    return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;")
+                .replace(/\t/g, "&#x9;").replace(/\n/g, "&#xA;").replace(/\r/g, "&#xD;");
 };
@@ -1,4 +1,5 @@
 var N3Parser = require('n3').Parser;
+var TriGParser = require('./trig_parser').TriGParser;
 
 // Add a wrapper around the N3.js parser
 exports.RVN3Parser = {};
@@ -32,6 +33,11 @@ RVN3Parser.parser = {
           graph:     graph,
         });
     });
+  },
+
+  // Turtle is a subset of TriG, documents received in chunks are parsed with the TriG parser
+  stream: function (graph, options) {
+    return TriGParser.parser.stream(graph, options);
   }
 };
 
@@ -0,0 +1,183 @@
+// exports
+exports.SparqlResults = {};
+var SparqlResults = exports.SparqlResults;
+
+SparqlResults.acceptHeaderValue = "application/sparql-results+json,application/sparql-results+xml;q=0.9,application/json;q=0.8";
+
+/**
+ * Sends a SPARQL query to a remote endpoint using a network transport
+ * with the same interface as the transports used to load remote graphs.
+ * The callback receives the parsed results or an error message.
+ */
+SparqlResults.query = function(networkTransport, endpoint, query, callback) {
+    var uri = endpoint + (endpoint.indexOf("?") === -1 ? "?" : "&") + "query=" + encodeURIComponent(query);
+    networkTransport.load(uri, SparqlResults.acceptHeaderValue, function(success, response) {
+        if(success) {
+            var results;
+            try {
+                var headers = response['headers'] || {};
+                results = SparqlResults.parse(response['data'], headers["Content-Type"] || headers["content-type"]);
+            } catch(e) {
+                return callback(false, "Error parsing results from SPARQL endpoint "+endpoint+": "+e.message);
+            }
+            callback(true, results);
+        } else {
+            callback(false, "Error querying SPARQL endpoint "+endpoint+": "+response);
+        }
+    });
+};
+
+/**
+ * Parses the SPARQL query results document returned by a remote
+ * SPARQL endpoint.
+ * Solutions are returned as an array of bindings using the term
+ * representation of the query engine ({token, value, type, lang}),
+ * boolean results as true or false.
+ * Both the JSON and the XML result formats are accepted, the
+ * media type is used to choose the format and the document is
+ * sniffed when it is missing.
+ */
+SparqlResults.parse = function(data, mediaType) {
+    if(data != null && typeof(data) === 'object') {
+        // already parsed by the transport
+        return SparqlResults.parseJSON(data);
+    }
+
+    data = "" + data;
+    mediaType = (mediaType || "").split(";")[0].toLowerCase();
+    if(mediaType.indexOf("json") != -1) {
+        return SparqlResults.parseJSON(JSON.parse(data));
+    } else if(mediaType.indexOf("xml") != -1) {
+        return SparqlResults.parseXML(data);
+    } else {
+        var trimmed = data.replace(/^\s+/,'');
+        if(trimmed.charAt(0) === '{') {
+            return SparqlResults.parseJSON(JSON.parse(trimmed));
+        } else if(trimmed.charAt(0) === '<') {
+            return SparqlResults.parseXML(trimmed);
+        } else {
+            throw new Error("Unknown SPARQL results format: "+mediaType);
+        }
+    }
+};
+
+SparqlResults.parseJSON = function(json) {
+    if(json['boolean'] != null) {
+        return (json['boolean'] === true || json['boolean'] === 'true');
+    }
+    if(json.results == null) {
+        throw new Error("Wrong SPARQL JSON results document");
+    }
+
+    var bindings = [];
+    var solutions = json.results;
+    if(solutions.bindings != null) {
+        solutions = solutions.bindings;
+        for(var i=0; i<solutions.length; i++) {
+            var binding = {};
+            for(var v in solutions[i]) {
+                binding[v] = SparqlResults.parseJSONTerm(solutions[i][v]);
+            }
+            bindings.push(binding);
+        }
+    } else {
+        // results returned by the rdfstore-js server, already
+        // using the store's representation of terms
+        for(var i=0; i<solutions.length; i++) {
+            var binding = {};
+            for(var v in solutions[i]) {
+                var term = solutions[i][v];
+                binding[v] = {token: term.token, value: term.value};
+                if(term.token === 'literal') {
+                    binding[v].type = term.type;
+                    binding[v].lang = term.lang;
+                }
+            }
+            bindings.push(binding);
+        }
+    }
+
+    return bindings;
+};
+
+SparqlResults.parseJSONTerm = function(term) {
+    if(term.type === 'uri') {
+        return {token: 'uri', value: term.value};
+    } else if(term.type === 'bnode') {
+        return {token: 'blank', value: '_:'+term.value};
+    } else if(term.type === 'literal' || term.type === 'typed-literal') {
+        return {token: 'literal',
+                value: term.value,
+                type: term.datatype,
+                lang: term['xml:lang']};
+    } else {
+        throw new Error("Unknown SPARQL JSON term type: "+term.type);
+    }
+};
+
+SparqlResults.parseXML = function(xml) {
+    var bool = /<boolean>\s*(true|false)\s*<\/boolean>/.exec(xml);
+    if(bool != null) {
+        return bool[1] === 'true';
+    }
+    if(!/<sparql[\s>]/.test(xml)) {
+        throw new Error("Wrong SPARQL XML results document");
+    }
+
+    var bindings = [];
+    var resultRegex = /<result>([\s\S]*?)<\/result>|<result\s*\/>/g;
+    var bindingRegex = /<binding\s+name\s*=\s*["']([^"']+)["']\s*>\s*([\s\S]*?)\s*<\/binding>/g;
+    var result, binding;
+    while((result = resultRegex.exec(xml)) != null) {
+        var solution = {};
+        var content = result[1] || "";
+        bindingRegex.lastIndex = 0;
+        while((binding = bindingRegex.exec(content)) != null) {
+            solution[binding[1]] = SparqlResults.parseXMLTerm(binding[2]);
+        }
+        bindings.push(solution);
+    }
+
+    return bindings;
+};
+
+SparqlResults.parseXMLTerm = function(xml) {
+    var parts = /^<(uri|bnode|literal)([^>]*?)(\/>|>([\s\S]*?)<\/\1>)$/.exec(xml);
+    if(parts == null) {
+        throw new Error("Wrong SPARQL XML term: "+xml);
+    }
+
+    var value = SparqlResults.xmlDecode(parts[4] || "");
+    if(parts[1] === 'uri') {
+        return {token: 'uri', value: value};
+    } else if(parts[1] === 'bnode') {
+        return {token: 'blank', value: '_:'+value};
+    } else {
+        var type = /datatype\s*=\s*["']([^"']*)["']/.exec(parts[2]);
+        var lang = /xml:lang\s*=\s*["']([^"']*)["']/.exec(parts[2]);
+        return {token: 'literal',
+                value: value,
+                type: (type == null ? null : SparqlResults.xmlDecode(type[1])),
+                lang: (lang == null ? null : lang[1])};
+    }
+};
+
+SparqlResults.xmlDecode = function(text) {
+    return text.replace(/&(lt|gt|amp|quot|apos|#x[0-9a-fA-F]+|#[0-9]+);/g, function(entity, name) {
+        if(name === 'lt') {
+            return '<';
+        } else if(name === 'gt') {
+            return '>';
+        } else if(name === 'amp') {
+            return '&';
+        } else if(name === 'quot') {
+            return '"';
+        } else if(name === 'apos') {
+            return "'";
+        } else if(name.charAt(1) === 'x') {
+            return String.fromCharCode(parseInt(name.substring(2), 16));
+        } else {
+            return String.fromCharCode(parseInt(name.substring(1), 10));
+        }
+    });
+};
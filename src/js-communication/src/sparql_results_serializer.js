@@ -0,0 +1,301 @@
+// exports
+exports.SparqlResultsSerializer = {};
+var SparqlResultsSerializer = exports.SparqlResultsSerializer;
+
+/**
+ * Media types accepted by the serializer and the
+ * result format used for each of them.
+ */
+SparqlResultsSerializer.mediaTypes = {
+    "application/sparql-results+json": "json",
+    "application/json": "json",
+    "application/sparql-results+xml": "xml",
+    "application/xml": "xml",
+    "text/csv": "csv",
+    "text/tab-separated-values": "tsv"
+};
+
+/**
+ * Returns the result format for a media type or
+ * null if the media type is not supported.
+ */
+SparqlResultsSerializer.format = function(mediaType) {
+    if(mediaType == null) {
+        return null;
+    }
+    mediaType = mediaType.split(";")[0].replace(/\s/g,'').toLowerCase();
+    if(SparqlResultsSerializer.mediaTypes[mediaType] != null) {
+        return SparqlResultsSerializer.mediaTypes[mediaType];
+    } else {
+        // short names can also be used: 'json', 'xml', 'csv', 'tsv'
+        for(var type in SparqlResultsSerializer.mediaTypes) {
+            if(SparqlResultsSerializer.mediaTypes[type] === mediaType) {
+                return mediaType;
+            }
+        }
+        return null;
+    }
+};
+
+/**
+ * Returns the names of the variables bound in a collection of
+ * bindings in the order they are first found.
+ */
+SparqlResultsSerializer.variables = function(bindings) {
+    var found = {};
+    var variables = [];
+    for(var i=0; i<bindings.length; i++) {
+        for(var v in bindings[i]) {
+            if(found[v] !== true) {
+                found[v] = true;
+                variables.push(v);
+            }
+        }
+    }
+
+    return variables;
+};
+
+/**
+ * Serializes the results of a SELECT or ASK query.<br/>
+ * <br/>
+ * The serialization is not built as a single string, every
+ * chunk of text is passed to the write function as soon as it is
+ * generated, one chunk for the header and one chunk per solution.<br/>
+ * If the variables are not provided, the variables bound in the
+ * solutions are used.
+ *
+ * @arguments
+ * @param results array of bindings or boolean value
+ * @param {Array} [variables] names of the projected variables
+ * @param {String} format media type or short name of the format
+ * @param {Function} write function receiving the serialized chunks
+ */
+SparqlResultsSerializer.serialize = function(results, variables, format, write) {
+    var next = SparqlResultsSerializer.chunks(results, variables, format);
+    var chunk;
+    while((chunk = next()) != null) {
+        write(chunk);
+    }
+};
+
+/**
+ * Returns a function building the chunks of the serialization of
+ * the results of a SELECT or ASK query one at a time, so the writer
+ * can stop requesting them, e.g. until a stream is drained.<br/>
+ * Every invocation returns the next chunk, the same chunks passed
+ * to the write function by serialize, or null once the serialization
+ * is complete.
+ *
+ * @arguments
+ * @param results array of bindings or boolean value
+ * @param {Array} [variables] names of the projected variables
+ * @param {String} format media type or short name of the format
+ */
+SparqlResultsSerializer.chunks = function(results, variables, format) {
+    var name = SparqlResultsSerializer.format(format);
+    if(name == null) {
+        throw new Error("Unsupported SPARQL results format: "+format);
+    }
+
+    if(results === true || results === false) {
+        var value = SparqlResultsSerializer[name+"Boolean"](results);
+        return function() {
+            var chunk = value;
+            value = null;
+            return chunk;
+        };
+    } else {
+        variables = variables || SparqlResultsSerializer.variables(results);
+        // -1: header, results.length: closing chunk
+        var position = -1;
+        return function() {
+            var chunk = null;
+            if(position === -1) {
+                chunk = SparqlResultsSerializer[name+"Head"](variables);
+            } else if(position < results.length) {
+                chunk = SparqlResultsSerializer[name+"Solution"](results[position], variables, position);
+            } else if(position === results.length && SparqlResultsSerializer[name+"Tail"] != null) {
+                chunk = SparqlResultsSerializer[name+"Tail"]();
+            }
+            if(chunk != null) {
+                position++;
+            }
+            return chunk;
+        };
+    }
+};
+
+// JSON
+
+SparqlResultsSerializer.jsonHead = function(variables) {
+    return '{"head":{"vars":'+JSON.stringify(variables)+'},"results":{"bindings":[';
+};
+
+SparqlResultsSerializer.jsonSolution = function(binding, variables, position) {
+    var solution = {};
+    for(var j=0; j<variables.length; j++) {
+        var term = binding[variables[j]];
+        if(term != null) {
+            solution[variables[j]] = SparqlResultsSerializer.jsonTerm(term);
+        }
+    }
+    return (position === 0 ? "" : ",") + JSON.stringify(solution);
+};
+
+SparqlResultsSerializer.jsonTail = function() {
+    return ']}}';
+};
+
+SparqlResultsSerializer.jsonTerm = function(term) {
+    if(term.token === 'uri') {
+        return {"type": "uri", "value": term.value};
+    } else if(term.token === 'blank') {
+        return {"type": "bnode", "value": SparqlResultsSerializer.blankLabel(term)};
+    } else {
+        var json = {"type": "literal", "value": term.value};
+        if(term.lang != null) {
+            json["xml:lang"] = term.lang;
+        } else if(term.type != null) {
+            json["datatype"] = term.type;
+        }
+        return json;
+    }
+};
+
+SparqlResultsSerializer.jsonBoolean = function(value) {
+    return '{"head":{},"boolean":'+value+'}';
+};
+
+// XML
+
+SparqlResultsSerializer.xmlHead = function(variables) {
+    var head = '<?xml version="1.0" encoding="UTF-8"?><sparql xmlns="http://www.w3.org/2005/sparql-results#"><head>';
+    for(var i=0; i<variables.length; i++) {
+        head = head + '<variable name="'+SparqlResultsSerializer.xmlEncode(variables[i])+'"/>';
+    }
+    return head+'</head><results>';
+};
+
+SparqlResultsSerializer.xmlSolution = function(binding, variables) {
+    var result = '<result>';
+    for(var j=0; j<variables.length; j++) {
+        var term = binding[variables[j]];
+        if(term != null) {
+            result = result + '<binding name="'+SparqlResultsSerializer.xmlEncode(variables[j])+'">'+SparqlResultsSerializer.xmlTerm(term)+'</binding>';
+        }
+    }
+    return result+'</result>';
+};
+
+SparqlResultsSerializer.xmlTail = function() {
+    return '</results></sparql>';
+};
+
+SparqlResultsSerializer.xmlTerm = function(term) {
+    if(term.token === 'uri') {
+        return '<uri>'+SparqlResultsSerializer.xmlEncode(term.value)+'</uri>';
+    } else if(term.token === 'blank') {
+        return '<bnode>'+SparqlResultsSerializer.xmlEncode(SparqlResultsSerializer.blankLabel(term))+'</bnode>';
+    } else {
+        var literal = '<literal';
+        if(term.lang != null) {
+            literal = literal + ' xml:lang="'+SparqlResultsSerializer.xmlEncode(term.lang)+'"';
+        } else if(term.type != null) {
+            literal = literal + ' datatype="'+SparqlResultsSerializer.xmlEncode(term.type)+'"';
+        }
+        return literal + '>'+SparqlResultsSerializer.xmlEncode(term.value)+'</literal>';
+    }
+};
+
+SparqlResultsSerializer.xmlBoolean = function(value) {
+    return '<?xml version="1.0" encoding="UTF-8"?><sparql xmlns="http://www.w3.org/2005/sparql-results#"><head></head><boolean>'+value+'</boolean></sparql>';
+};
+
+SparqlResultsSerializer.xmlEncode = function(text) {
+    return (""+text).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+};
+
+// CSV
+
+SparqlResultsSerializer.csvHead = function(variables) {
+    var header = [];
+    for(var i=0; i<variables.length; i++) {
+        header.push(SparqlResultsSerializer.csvField(variables[i]));
+    }
+    return header.join(",")+"\r\n";
+};
+
+SparqlResultsSerializer.csvSolution = function(binding, variables) {
+    var row = [];
+    for(var j=0; j<variables.length; j++) {
+        var term = binding[variables[j]];
+        if(term == null) {
+            row.push("");
+        } else if(term.token === 'blank') {
+            row.push("_:"+SparqlResultsSerializer.blankLabel(term));
+        } else {
+            row.push(SparqlResultsSerializer.csvField(term.value));
+        }
+    }
+    return row.join(",")+"\r\n";
+};
+
+SparqlResultsSerializer.csvField = function(value) {
+    if(/[",\r\n]/.test(value)) {
+        return '"'+value.replace(/"/g,'""')+'"';
+    } else {
+        return value;
+    }
+};
+
+SparqlResultsSerializer.csvBoolean = function(value) {
+    throw new Error("Boolean results cannot be serialized as CSV");
+};
+
+// TSV
+
+SparqlResultsSerializer.tsvHead = function(variables) {
+    var header = [];
+    for(var i=0; i<variables.length; i++) {
+        header.push("?"+variables[i]);
+    }
+    return header.join("\t")+"\n";
+};
+
+SparqlResultsSerializer.tsvSolution = function(binding, variables) {
+    var row = [];
+    for(var j=0; j<variables.length; j++) {
+        var term = binding[variables[j]];
+        row.push(term == null ? "" : SparqlResultsSerializer.tsvTerm(term));
+    }
+    return row.join("\t")+"\n";
+};
+
+SparqlResultsSerializer.tsvTerm = function(term) {
+    if(term.token === 'uri') {
+        return '<'+term.value+'>';
+    } else if(term.token === 'blank') {
+        return '_:'+SparqlResultsSerializer.blankLabel(term);
+    } else {
+        var literal = '"'+term.value.replace(/\\/g,'\\\\').replace(/"/g,'\\"').replace(/\n/g,'\\n').replace(/\r/g,'\\r').replace(/\t/g,'\\t')+'"';
+        if(term.lang != null) {
+            return literal + '@' + term.lang;
+        } else if(term.type != null) {
+            return literal + '^^<' + term.type + '>';
+        } else {
+            return literal;
+        }
+    }
+};
+
+SparqlResultsSerializer.tsvBoolean = function(value) {
+    throw new Error("Boolean results cannot be serialized as TSV");
+};
+
+/**
+ * Blank node labels are stored with the '_:' prefix
+ */
+SparqlResultsSerializer.blankLabel = function(term) {
+    return (term.value.indexOf("_:") === 0 ? term.value.substring(2) : term.value);
+};
@@ -57,7 +57,7 @@ NetworkTransport.load = function(uri, accept, callback, redirect) {
     });
 
     request.on('error', function(e) {
-	console.log('problem with request: ' + e.message);
+        callback(false, e.message);
     });
 
     request.end();
@@ -0,0 +1,569 @@
+// exports
+exports.TriGParser = {};
+var TriGParser = exports.TriGParser;
+
+// imports
+var Utils = require("./../../js-trees/src/utils").Utils;
+
+TriGParser.RDF_NS = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+TriGParser.XSD_NS = "http://www.w3.org/2001/XMLSchema#";
+
+/**
+ * Parser for TriG documents. Triples inside a graph block are
+ * assigned to the named graph of the block, the rest of the
+ * triples to the graph passed as an argument, so Turtle documents
+ * can also be parsed.
+ * Options can include the base URI of the document as 'baseURI'
+ * or 'documentURI'.
+ */
+TriGParser.parser = {};
+TriGParser.parser.parse = function(data, graph, options) {
+    if(graph != null && typeof(graph) === 'string') {
+        graph = {token: 'uri', value: graph, prefix: null, suffix: null};
+    }
+    options = options || {};
+
+    var parser = new TriGParser.TriGParser(data, graph, options.baseURI || options.documentURI);
+    return parser.parse();
+};
+
+/**
+ * Returns a parser for documents received in chunks
+ */
+TriGParser.parser.stream = function(graph, options) {
+    if(graph != null && typeof(graph) === 'string') {
+        graph = {token: 'uri', value: graph, prefix: null, suffix: null};
+    }
+    options = options || {};
+
+    return new TriGParser.StreamParser(new TriGParser.TriGParser("", graph, options.baseURI || options.documentURI));
+};
+
+// Lexer
+
+var PN_CHARS_BASE = "A-Za-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\u{10000}-\\u{EFFFF}";
+var PN_CHARS_U = PN_CHARS_BASE + "_";
+var PN_CHARS = PN_CHARS_U + "\\-0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040";
+var PLX = "%[0-9A-Fa-f]{2}|\\\\[_~.\\-!$&'()*+,;=/?#@%]";
+var PN_PREFIX = "["+PN_CHARS_BASE+"](?:[."+PN_CHARS+"]*["+PN_CHARS+"])?";
+var PN_LOCAL = "(?:["+PN_CHARS_U+":0-9]|"+PLX+")(?:(?:[."+PN_CHARS+":]|"+PLX+")*(?:["+PN_CHARS+":]|"+PLX+"))?";
+
+TriGParser.patterns = {
+    whitespace: /(?:[ \t\r\n]+|#[^\r\n]*)+/y,
+    iri: /<((?:[^\x00-\x20<>"{}|^`\\]|\\u[0-9A-Fa-f]{4}|\\U[0-9A-Fa-f]{8})*)>/y,
+    blank: new RegExp("_:((?:["+PN_CHARS_U+"0-9])(?:[."+PN_CHARS+"]*["+PN_CHARS+"])?)", "uy"),
+    pname: new RegExp("("+PN_PREFIX+")?:("+PN_LOCAL+")?", "uy"),
+    langtag: /@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)/y,
+    longString: /"""((?:(?:"|"")?(?:[^"\\]|\\[^]))*)"""|'''((?:(?:'|'')?(?:[^'\\]|\\[^]))*)'''/y,
+    string: /"((?:[^"\\\n\r]|\\[^\n\r])*)"|'((?:[^'\\\n\r]|\\[^\n\r])*)'/y,
+    double: /[+-]?(?:[0-9]+\.[0-9]*[eE][+-]?[0-9]+|\.[0-9]+[eE][+-]?[0-9]+|[0-9]+[eE][+-]?[0-9]+)/y,
+    decimal: /[+-]?[0-9]*\.[0-9]+/y,
+    integer: /[+-]?[0-9]+/y,
+    word: /@?[A-Za-z]+/y,
+    punctuation: /\^\^|[.;,\[\]\(\)\{\}]/y
+};
+
+TriGParser.keywords = {"@prefix": "@prefix", "@base": "@base", "prefix": "PREFIX", "base": "BASE",
+                       "graph": "GRAPH", "a": "a", "true": "boolean", "false": "boolean"};
+
+/**
+ * Splits a document into tokens. Every token includes the line
+ * and column where it starts.
+ * When the input is not complete, reaching the end of the input
+ * throws TriGParser.Lexer.incomplete, since the last token could
+ * continue in the next chunk of the document.
+ */
+TriGParser.Lexer = function(input) {
+    this.input = input;
+    this.pos = 0;
+    this.line = 1;
+    this.lineStart = 0;
+    this.peeked = null;
+    this.complete = true;
+};
+
+TriGParser.Lexer.incomplete = new Error("Incomplete input");
+
+TriGParser.Lexer.prototype.match = function(pattern) {
+    pattern.lastIndex = this.pos;
+    var match = pattern.exec(this.input);
+    if(match != null) {
+        if(!this.complete && pattern.lastIndex === this.input.length) {
+            throw TriGParser.Lexer.incomplete;
+        }
+        this.pos = pattern.lastIndex;
+    }
+    return match;
+};
+
+TriGParser.Lexer.prototype.skipWhitespace = function() {
+    var match = this.match(TriGParser.patterns.whitespace);
+    if(match != null) {
+        var text = match[0];
+        var index = text.lastIndexOf("\n");
+        if(index !== -1) {
+            this.line = this.line + text.split("\n").length - 1;
+            this.lineStart = this.pos - text.length + index + 1;
+        }
+    }
+};
+
+TriGParser.Lexer.prototype.peek = function() {
+    if(this.peeked == null) {
+        this.peeked = this.read();
+    }
+    return this.peeked;
+};
+
+TriGParser.Lexer.prototype.next = function() {
+    var token = this.peek();
+    this.peeked = null;
+    return token;
+};
+
+TriGParser.Lexer.prototype.read = function() {
+    this.skipWhitespace();
+    var token = {line: this.line, column: this.pos - this.lineStart + 1};
+    var patterns = TriGParser.patterns;
+    var match;
+
+    if(this.pos >= this.input.length) {
+        if(!this.complete) {
+            throw TriGParser.Lexer.incomplete;
+        }
+        token.type = 'eof';
+        return token;
+    }
+
+    var c = this.input.charAt(this.pos);
+    if(c === '<' && (match = this.match(patterns.iri)) != null) {
+        token.type = 'iri';
+        token.value = TriGParser.unescape(match[1], token, this);
+    } else if(c === '_' && (match = this.match(patterns.blank)) != null) {
+        token.type = 'blank';
+        token.value = match[1];
+    } else if((c === '"' || c === "'") && ((match = this.match(patterns.longString)) != null || (match = this.matchString()) != null)) {
+        var value = (match[1] != null ? match[1] : match[2]);
+        this.countLines(value);
+        token.type = 'string';
+        token.value = TriGParser.unescape(value, token, this);
+    } else if(c === '@' && this.input.substr(this.pos, 7) !== '@prefix' && this.input.substr(this.pos, 5) !== '@base' && (match = this.match(patterns.langtag)) != null) {
+        token.type = 'langtag';
+        token.value = match[1];
+    } else if((match = this.match(patterns.double)) != null) {
+        token.type = 'number';
+        token.datatype = TriGParser.XSD_NS+"double";
+        token.value = match[0];
+    } else if((match = this.match(patterns.decimal)) != null) {
+        token.type = 'number';
+        token.datatype = TriGParser.XSD_NS+"decimal";
+        token.value = match[0];
+    } else if((match = this.match(patterns.integer)) != null) {
+        token.type = 'number';
+        token.datatype = TriGParser.XSD_NS+"integer";
+        token.value = match[0];
+    } else if((match = this.match(patterns.pname)) != null) {
+        token.type = 'pname';
+        token.prefix = match[1] || "";
+        token.value = (match[2] || "").replace(/\\(.)/g, "$1");
+    } else if((match = this.match(patterns.word)) != null) {
+        var keyword = TriGParser.keywords[match[0].charAt(0) === '@' ? match[0] : match[0].toLowerCase()];
+        if(keyword == null || (keyword === 'a' && match[0] !== 'a') || (keyword === 'boolean' && match[0] !== match[0].toLowerCase())) {
+            this.fail(token, "unexpected '"+match[0]+"'");
+        }
+        token.type = keyword;
+        token.value = match[0];
+    } else if((match = this.match(patterns.punctuation)) != null) {
+        token.type = match[0];
+    } else {
+        // tokens cannot span several lines
+        if(!this.complete && this.input.indexOf("\n", this.pos) === -1) {
+            throw TriGParser.Lexer.incomplete;
+        }
+        this.fail(token, "unexpected '"+this.input.substr(this.pos, 20).split(/\s/)[0]+"'");
+    }
+
+    return token;
+};
+
+TriGParser.Lexer.prototype.matchString = function() {
+    var delimiter = this.input.substr(this.pos, 3);
+    if(delimiter === '"""' || delimiter === "'''") {
+        // the end of a long string has not been received yet
+        if(!this.complete) {
+            throw TriGParser.Lexer.incomplete;
+        }
+        return null;
+    }
+    return this.match(TriGParser.patterns.string);
+};
+
+TriGParser.Lexer.prototype.countLines = function(text) {
+    var index = text.lastIndexOf("\n");
+    if(index !== -1) {
+        this.line = this.line + text.split("\n").length - 1;
+        this.lineStart = this.pos - (text.length - index) - 3 + 1;
+    }
+};
+
+TriGParser.Lexer.prototype.fail = function(token, message) {
+    throw new Error("Syntax error at line "+token.line+", column "+token.column+": "+message);
+};
+
+/**
+ * Replaces the escape sequences in strings and IRIs
+ */
+TriGParser.escapes = {"t": "\t", "b": "\b", "n": "\n", "r": "\r", "f": "\f", "\"": "\"", "'": "'", "\\": "\\"};
+
+TriGParser.unescape = function(text, token, lexer) {
+    if(text.indexOf("\\") === -1) {
+        return text;
+    }
+    return text.replace(/\\(u[0-9A-Fa-f]{4}|U[0-9A-Fa-f]{8}|[^])/g, function(match, escape) {
+        if(escape.length > 1) {
+            var code = parseInt(escape.substring(1), 16);
+            if(code > 0xFFFF) {
+                code = code - 0x10000;
+                return String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+            }
+            return String.fromCharCode(code);
+        } else if(TriGParser.escapes[escape] != null) {
+            return TriGParser.escapes[escape];
+        } else {
+            lexer.fail(token, "invalid escape sequence "+match);
+        }
+    });
+};
+
+/**
+ * Parses a document split in chunks using a TriG or N-Quads parser.
+ * Only complete statements are parsed, the rest of the chunk is
+ * kept until the next chunk is received.
+ */
+TriGParser.StreamParser = function(parser) {
+    this.parser = parser;
+    this.lexer = parser.lexer;
+    this.lexer.complete = false;
+};
+
+/**
+ * Parses a new chunk of the document returning the quads
+ * of the statements completed by the chunk.
+ */
+TriGParser.StreamParser.prototype.parseChunk = function(chunk) {
+    var lexer = this.lexer;
+    lexer.input = lexer.input.substring(lexer.pos) + chunk;
+    lexer.lineStart = lexer.lineStart - lexer.pos;
+    lexer.pos = 0;
+
+    return this.parseStatements();
+};
+
+/**
+ * Parses the rest of the document once all the chunks
+ * have been received.
+ */
+TriGParser.StreamParser.prototype.end = function() {
+    this.lexer.complete = true;
+    return this.parseStatements();
+};
+
+TriGParser.StreamParser.prototype.parseStatements = function() {
+    var lexer = this.lexer;
+    var parser = this.parser;
+    while(true) {
+        var pos = lexer.pos, line = lexer.line, lineStart = lexer.lineStart, peeked = lexer.peeked;
+        var parsed = parser.quads.length, blankCounter = parser.blankCounter;
+        try {
+            if(lexer.peek().type === 'eof') {
+                break;
+            }
+            parser.statement();
+        } catch(e) {
+            if(e !== TriGParser.Lexer.incomplete) {
+                throw e;
+            }
+            // waiting for the rest of the statement
+            lexer.pos = pos;
+            lexer.line = line;
+            lexer.lineStart = lineStart;
+            lexer.peeked = peeked;
+            parser.quads.length = parsed;
+            if(blankCounter != null) {
+                parser.blankCounter = blankCounter;
+            }
+            break;
+        }
+    }
+
+    var quads = parser.quads;
+    parser.quads = [];
+    return quads;
+};
+
+/**
+ * Line of the document reached by the parser
+ */
+TriGParser.StreamParser.prototype.line = function() {
+    return this.lexer.line;
+};
+
+// Parser
+
+TriGParser.TriGParser = function(input, graph, base) {
+    this.lexer = new TriGParser.Lexer(input);
+    this.defaultGraph = graph;
+    this.graph = graph;
+    this.base = base || null;
+    this.prefixes = {};
+    this.blankCounter = 0;
+    this.quads = [];
+};
+
+TriGParser.TriGParser.prototype.parse = function() {
+    while(this.lexer.peek().type !== 'eof') {
+        this.statement();
+    }
+
+    return this.quads;
+};
+
+TriGParser.TriGParser.prototype.statement = function() {
+    var token = this.lexer.peek();
+    if(token.type === '@prefix' || token.type === 'PREFIX') {
+        this.lexer.next();
+        var prefix = this.expect('pname');
+        if(prefix.value !== "") {
+            this.fail(prefix, "wrong prefix declaration");
+        }
+        this.prefixes[prefix.prefix] = this.resolve(this.expect('iri').value);
+        if(token.type === '@prefix') {
+            this.expect('.');
+        }
+    } else if(token.type === '@base' || token.type === 'BASE') {
+        this.lexer.next();
+        this.base = this.resolve(this.expect('iri').value);
+        if(token.type === '@base') {
+            this.expect('.');
+        }
+    } else if(token.type === 'GRAPH') {
+        this.lexer.next();
+        var label = this.lexer.next();
+        if(label.type === '[') {
+            this.expect(']');
+            this.wrappedGraph(this.blank());
+        } else if(label.type === 'iri' || label.type === 'pname' || label.type === 'blank') {
+            this.wrappedGraph(this.term(label));
+        } else {
+            this.fail(label, "expected a graph name");
+        }
+    } else if(token.type === '{') {
+        this.wrappedGraph(this.defaultGraph);
+    } else {
+        var subject = this.lexer.next();
+        var next = this.lexer.peek();
+        if(next.type === '{' && (subject.type === 'iri' || subject.type === 'pname' || subject.type === 'blank')) {
+            this.wrappedGraph(this.term(subject));
+        } else if(next.type === '{' && subject.type === '[') {
+            this.fail(next, "expected ']'");
+        } else if(subject.type === '[' && next.type === ']') {
+            this.lexer.next();
+            if(this.lexer.peek().type === '{') {
+                this.wrappedGraph(this.blank());
+            } else {
+                this.predicateObjectList(this.blank());
+                this.expect('.');
+            }
+        } else {
+            this.triples(subject);
+            this.expect('.');
+        }
+    }
+};
+
+TriGParser.TriGParser.prototype.wrappedGraph = function(graph) {
+    this.expect('{');
+    this.graph = graph;
+    while(this.lexer.peek().type !== '}') {
+        this.triples(this.lexer.next());
+        if(this.lexer.peek().type === '.') {
+            this.lexer.next();
+        } else {
+            break;
+        }
+    }
+    this.expect('}');
+    this.graph = this.defaultGraph;
+};
+
+TriGParser.TriGParser.prototype.triples = function(token) {
+    if(token.type === '[' && this.lexer.peek().type === ']') {
+        this.lexer.next();
+        this.predicateObjectList(this.blank());
+    } else if(token.type === '[') {
+        var subject = this.blankNodePropertyList();
+        var next = this.lexer.peek().type;
+        if(next !== '.' && next !== '}') {
+            this.predicateObjectList(subject);
+        }
+    } else if(token.type === '(') {
+        this.predicateObjectList(this.collection());
+    } else if(token.type === 'iri' || token.type === 'pname' || token.type === 'blank') {
+        this.predicateObjectList(this.term(token));
+    } else {
+        this.fail(token, "expected a subject");
+    }
+};
+
+TriGParser.TriGParser.prototype.predicateObjectList = function(subject) {
+    while(true) {
+        var verb = this.lexer.next();
+        var predicate;
+        if(verb.type === 'a') {
+            predicate = this.uri(TriGParser.RDF_NS+"type");
+        } else if(verb.type === 'iri' || verb.type === 'pname') {
+            predicate = this.term(verb);
+        } else {
+            this.fail(verb, "expected a predicate");
+        }
+
+        this.triple(subject, predicate, this.object());
+        while(this.lexer.peek().type === ',') {
+            this.lexer.next();
+            this.triple(subject, predicate, this.object());
+        }
+
+        if(this.lexer.peek().type !== ';') {
+            break;
+        }
+        while(this.lexer.peek().type === ';') {
+            this.lexer.next();
+        }
+        var next = this.lexer.peek().type;
+        if(next === '.' || next === ']' || next === '}' || next === 'eof') {
+            break;
+        }
+    }
+};
+
+TriGParser.TriGParser.prototype.object = function() {
+    var token = this.lexer.next();
+    if(token.type === '[') {
+        if(this.lexer.peek().type === ']') {
+            this.lexer.next();
+            return this.blank();
+        }
+        return this.blankNodePropertyList();
+    } else if(token.type === '(') {
+        return this.collection();
+    } else if(token.type === 'string') {
+        var next = this.lexer.peek();
+        if(next.type === 'langtag') {
+            this.lexer.next();
+            return this.literal(token.value, next.value, null);
+        } else if(next.type === '^^') {
+            this.lexer.next();
+            var datatype = this.lexer.next();
+            if(datatype.type !== 'iri' && datatype.type !== 'pname') {
+                this.fail(datatype, "expected a datatype");
+            }
+            return this.literal(token.value, null, this.term(datatype).value);
+        } else {
+            return this.literal(token.value, null, null);
+        }
+    } else if(token.type === 'number') {
+        return this.literal(token.value, null, token.datatype);
+    } else if(token.type === 'boolean') {
+        return this.literal(token.value, null, TriGParser.XSD_NS+"boolean");
+    } else if(token.type === 'iri' || token.type === 'pname' || token.type === 'blank') {
+        return this.term(token);
+    } else {
+        this.fail(token, "expected an object");
+    }
+};
+
+TriGParser.TriGParser.prototype.blankNodePropertyList = function() {
+    var node = this.blank();
+    this.predicateObjectList(node);
+    this.expect(']');
+
+    return node;
+};
+
+TriGParser.TriGParser.prototype.collection = function() {
+    var items = [];
+    while(this.lexer.peek().type !== ')') {
+        items.push(this.object());
+    }
+    this.lexer.next();
+
+    if(items.length === 0) {
+        return this.uri(TriGParser.RDF_NS+"nil");
+    }
+    var head = this.blank();
+    var node = head;
+    for(var i=0; i<items.length; i++) {
+        this.triple(node, this.uri(TriGParser.RDF_NS+"first"), items[i]);
+        var rest = (i+1 < items.length ? this.blank() : this.uri(TriGParser.RDF_NS+"nil"));
+        this.triple(node, this.uri(TriGParser.RDF_NS+"rest"), rest);
+        node = rest;
+    }
+
+    return head;
+};
+
+TriGParser.TriGParser.prototype.term = function(token) {
+    if(token.type === 'iri') {
+        return this.uri(this.resolve(token.value));
+    } else if(token.type === 'pname') {
+        if(this.prefixes[token.prefix] == null) {
+            this.fail(token, "undefined prefix '"+token.prefix+":'");
+        }
+        return this.uri(this.prefixes[token.prefix] + token.value);
+    } else {
+        // labels in the document and generated labels cannot collide
+        return {blank: "_:b"+token.value};
+    }
+};
+
+TriGParser.TriGParser.prototype.resolve = function(iri) {
+    return Utils.resolveUri(this.base, iri);
+};
+
+TriGParser.TriGParser.prototype.expect = function(type) {
+    var token = this.lexer.next();
+    if(token.type !== type) {
+        this.fail(token, "expected '"+type+"'");
+    }
+    return token;
+};
+
+TriGParser.TriGParser.prototype.fail = function(token, message) {
+    if(token.type === 'eof') {
+        message = message + " before the end of the document";
+    }
+    this.lexer.fail(token, message);
+};
+
+TriGParser.TriGParser.prototype.triple = function(subject, predicate, object) {
+    this.quads.push({subject: subject, predicate: predicate, object: object, graph: this.graph});
+};
+
+TriGParser.TriGParser.prototype.uri = function(value) {
+    return {token: 'uri', value: value, prefix: null, suffix: null};
+};
+
+TriGParser.TriGParser.prototype.blank = function() {
+    this.blankCounter++;
+    return {blank: "_:g"+this.blankCounter};
+};
+
+TriGParser.TriGParser.prototype.literal = function(value, lang, datatype) {
+    var literal = '"'+value+'"';
+    if(lang != null) {
+        literal = literal + "@" + lang;
+    } else if(datatype != null) {
+        literal = literal + "^^<" + datatype + ">";
+    }
+    return {literal: literal};
+};
@@ -1,124 +1,84 @@
 var JSONLDParser = require("./../src/jsonld_parser.js").JSONLDParser;
 
+var prefixes = {"foaf": "http://xmlns.com/foaf/0.1/",
+                "sioc": "http://rdfs.org/sioc/ns#",
+                "xsd": "http://www.w3.org/2001/XMLSchema#",
+                "dc": "http://purl.org/dc/terms/"};
+
+var parse = function(test, input, graph, callback) {
+    JSONLDParser.parser.parse(input, graph, {}, function(success, result) {
+        test.ok(success);
+        callback(result);
+    });
+};
+
+var withPrefixes = function(context) {
+    var result = {};
+    for(var p in prefixes) {
+        result[p] = prefixes[p];
+    }
+    for(var p in context) {
+        result[p] = context[p];
+    }
+    return result;
+};
 
 exports.testParsing1 = function(test) {
     var input = {  "@type": "foaf:Person",
                    "foaf:name": "Manu Sporny",
                    "foaf:homepage": "http://manu.sporny.org/",
                    "sioc:avatar": "http://twitter.com/account/profile_image/manusporny",
-                   '@context': {'sioc:avatar': {'@type': '@id'},
-			        'foaf:homepage': {'@type': '@id'}}
+                   '@context': withPrefixes({'sioc:avatar': {'@type': '@id'},
+			                     'foaf:homepage': {'@type': '@id'}})
 		};
 
-    var result = JSONLDParser.parser.parse(input);
-    test.ok(result.length === 4);
-    for(var i=0; i<result.length; i++) {
-        var triple = result[i];
-        test.ok(triple.subject['blank'] != null);
-        test.ok(triple.subject['blank'].indexOf("_:") === 0);
-        if(triple.predicate['uri'] === 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type') {
-            test.ok(triple.object.uri === "http://xmlns.com/foaf/0.1/Person");
-        } else if(triple.predicate.uri === 'http://xmlns.com/foaf/0.1/name') {
-            test.ok(triple.object.literal === '"Manu Sporny"');
-        } else if(triple.predicate.uri === 'http://xmlns.com/foaf/0.1/homepage') {
-            // uri because of default context coercion
-            test.ok(triple.object.uri === "http://manu.sporny.org/");
-        } else if(triple.predicate.uri === 'http://rdfs.org/sioc/ns#avatar') {
-            test.ok(triple.object.uri === "http://twitter.com/account/profile_image/manusporny");
-        } else {
-            test.ok(false);
+    parse(test, input, null, function(result) {
+        test.ok(result.length === 4);
+        for(var i=0; i<result.length; i++) {
+            var triple = result[i];
+            test.ok(triple.subject['blank'] != null);
+            test.ok(triple.subject['blank'].indexOf("_:") === 0);
+            if(triple.predicate.value === 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type') {
+                test.ok(triple.object.value === "http://xmlns.com/foaf/0.1/Person");
+            } else if(triple.predicate.value === 'http://xmlns.com/foaf/0.1/name') {
+                test.ok(triple.object.literal === '"Manu Sporny"');
+            } else if(triple.predicate.value === 'http://xmlns.com/foaf/0.1/homepage') {
+                test.ok(triple.object.value === "http://manu.sporny.org/");
+            } else if(triple.predicate.value === 'http://rdfs.org/sioc/ns#avatar') {
+                test.ok(triple.object.value === "http://twitter.com/account/profile_image/manusporny");
+            } else {
+                test.ok(false);
+            }
         }
-    }
-    test.done();
+        test.done();
+    });
 };
 
 exports.testParsing2 = function(test) {
-    var input = { "@context": { "myvocab": "http://example.org/myvocab#",
-				'sioc:avatar': {
-				   '@type': '@id'
-				},
-				'foaf:homepage': {
-				    '@type': '@id'
-				} },
-                  "@type": "foaf:Person",
-                  "foaf:name": "Manu Sporny",
-                  "foaf:homepage": "http://manu.sporny.org/",
-                  "sioc:avatar": "http://twitter.com/account/profile_image/manusporny",
-                  "myvocab:personality": "friendly"};
-
-    var result = JSONLDParser.parser.parse(input);
-
-    test.ok(result.length === 5);
-    for(var i=0; i<result.length; i++) {
-        var triple = result[i];
-        test.ok(triple.subject.blank.indexOf("_:") === 0);
-        if(triple.predicate.uri === 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type') {
-            test.ok(triple.object.uri === "http://xmlns.com/foaf/0.1/Person");
-        } else if(triple.predicate.uri === 'http://xmlns.com/foaf/0.1/name') {
-            test.ok(triple.object.literal === '"Manu Sporny"');
-        } else if(triple.predicate.uri === 'http://xmlns.com/foaf/0.1/homepage') {
-            // uri because of default context coercion
-            test.ok(triple.object.uri === "http://manu.sporny.org/");
-        } else if(triple.predicate.uri === 'http://rdfs.org/sioc/ns#avatar') {
-            test.ok(triple.object.uri === "http://twitter.com/account/profile_image/manusporny");
-        } else if(triple.predicate.uri === 'http://example.org/myvocab#personality') {
-            test.ok(triple.object.literal === '"friendly"');
-        } else {
-            test.ok(false);
-        }
-    }
-
-    test.done();
-}
+    var input = "[{\"@id\": \"_:bnode1\", \"@type\": \"http://xmlns.com/foaf/0.1/Person\", \"http://xmlns.com/foaf/0.1/name\": \"Bob\"},\
+                  {\"@id\": \"_:bnode2\", \"http://xmlns.com/foaf/0.1/knows\": {\"@id\": \"_:bnode1\"}, \"http://xmlns.com/foaf/0.1/name\": \"Eve\"}]";
 
-exports.testParsing3 = function(test) {
-    var input = [
-        {
-            "@id": "_:bnode1",
-            "@type": "foaf:Person",
-            "foaf:homepage": "http://example.com/bob/",
-            "foaf:name": "Bob"
-        },
-        {
-            "@id": "_:bnode2",
-            "@type": "foaf:Person",
-            "foaf:homepage": "http://example.com/eve/",
-            "foaf:name": "Eve"
-        },
-        {
-            "@id": "_:bnode3",
-            "@type": "foaf:Person",
-            "foaf:homepage": "http://example.com/manu/",
-            "foaf:name": "Manu"
+    parse(test, input, null, function(result) {
+        test.ok(result.length === 4);
+        var bob = null;
+        for(var i=0; i<result.length; i++) {
+            if(result[i].object.literal === '"Bob"') {
+                bob = result[i].subject.blank;
+            }
         }
-    ];
-
-    var result = JSONLDParser.parser.parse(input);
-
-    test.ok(result.length === 9);
-
-    for(var i=0; i<result.length; i++) {
-        var triple = result[i];
-        if(triple.predicate.uri === 'http://xmlns.com/foaf/0.1/name') {
-            if(triple.subject.blank === '_:bnode1') {
-                test.ok(triple.object.literal === '"Bob"');
-            } else if(triple.subject.blank === '_:bnode2') {
-                test.ok(triple.object.literal === '"Eve"');
-            } else if(triple.subject.blank === '_:bnode3') {
-                test.ok(triple.object.literal === '"Manu"');
+        for(var i=0; i<result.length; i++) {
+            if(result[i].predicate.value === 'http://xmlns.com/foaf/0.1/knows') {
+                test.ok(result[i].object.blank === bob);
+                test.ok(result[i].subject.blank !== bob);
             }
-        } else {
-            test.ok(triple.predicate.literal == null);
         }
-    }
-
-    test.done();
-}
-
-exports.testParsing4 = function(test) {
+        test.done();
+    });
+};
 
+exports.testParsing3 = function(test) {
     var input = {
-        "@context": 
+        "@context":
         {
             "vcard": "http://microformats.org/profile/hcard#vcard",
             "url": {'@id': "http://microformats.org/profile/hcard#url", '@type': '@id'},
@@ -130,31 +90,29 @@ exports.testParsing4 = function(test) {
         "fn": "Tantek Çelik"
     };
 
-    var result = JSONLDParser.parser.parse(input);
-
-    test.ok(result.length === 3);
- 
-    for(var i=0; i<result.length; i++) {
-        test.ok(result[i].subject.blank[0] === "_");
-        if(result[i].predicate.uri === 'http://microformats.org/profile/hcard#url') {
-            test.ok(result[i].object.uri === 'http://tantek.com/');
-        } else if(result[i].predicate.uri === 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type') {
-            test.ok(result[i].object.uri === 'http://microformats.org/profile/hcard#vcard');
+    parse(test, input, null, function(result) {
+        test.ok(result.length === 3);
+        for(var i=0; i<result.length; i++) {
+            test.ok(result[i].subject.blank[0] === "_");
+            if(result[i].predicate.value === 'http://microformats.org/profile/hcard#url') {
+                test.ok(result[i].object.value === 'http://tantek.com/');
+            } else if(result[i].predicate.value === 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type') {
+                test.ok(result[i].object.value === 'http://microformats.org/profile/hcard#vcard');
+            } else {
+                test.ok(result[i].object.literal === '"Tantek Çelik"');
+            }
         }
-    }
-
-    test.done();
-}
-
-exports.testParsing5 = function(test) {
+        test.done();
+    });
+};
 
+exports.testParsing4 = function(test) {
     var input = [
                   {
                     "@id": "http://purl.oreilly.com/works/45U8QJGZSQKDH8N",
                     "@type": "http://purl.org/vocab/frbr/core#Work",
                     "http://purl.org/dc/terms/title": "Just a Geek",
-                    "http://purl.org/dc/terms/creator": "Whil Wheaton",
-                    "http://purl.org/vocab/frbr/core#realization": 
+                    "http://purl.org/vocab/frbr/core#realization":
                       ["http://purl.oreilly.com/products/9780596007683.BOOK", "http://purl.oreilly.com/products/9780596802189.EBOOK"],
                     '@context':{"http://purl.org/vocab/frbr/core#realization": {'@type':'@id'}}
                   },
@@ -163,98 +121,285 @@ exports.testParsing5 = function(test) {
                     "@type": "http://purl.org/vocab/frbr/core#Expression",
                     "http://purl.org/dc/terms/type": "http://purl.oreilly.com/product-types/BOOK",
                     '@context':{"http://purl.org/dc/terms/type":{'@type':'@id'}}
-                  },
-                  {
-                    "@id": "http://purl.oreilly.com/products/9780596802189.EBOOK",
-                    "@type": "http://purl.org/vocab/frbr/core#Expression",
-                    "http://purl.org/dc/terms/type": "http://purl.oreilly.com/product-types/EBOOK",
-                    '@context':{"http://purl.org/dc/terms/type":{'@type':'@id'}}
                   }
                 ];
 
-    var result = JSONLDParser.parser.parse(input);
-
-    var counter = 0;
-    var previous = null;
+    parse(test, input, null, function(result) {
+        var realizations = [];
+        for(var i=0; i<result.length; i++) {
+            if(result[i].predicate.value === 'http://purl.org/vocab/frbr/core#realization') {
+                realizations.push(result[i].object.value);
+            } else if(result[i].predicate.value === 'http://purl.org/dc/terms/type') {
+                test.ok(result[i].object.value === 'http://purl.oreilly.com/product-types/BOOK');
+            }
+        }
+        test.ok(realizations.length === 2);
+        test.ok(realizations[0] === 'http://purl.oreilly.com/products/9780596007683.BOOK');
+        test.ok(realizations[1] === 'http://purl.oreilly.com/products/9780596802189.EBOOK');
+        test.done();
+    });
+};
 
-    for(var i=0; i<result.length; i++) {
-        var triple = result[i];
+exports.testParsingValues = function(test) {
+    var input = {
+        "@context": withPrefixes({
+            "@language": "en",
+            "age": {"@id": "foaf:age", "@type": "xsd:integer"},
+            "modified": {"@id": "dc:modified", "@type": "xsd:dateTime"},
+            "title": {"@id": "dc:title", "@container": "@language"},
+            "nick": {"@id": "foaf:nick", "@language": null},
+            "list": {"@id": "http://example.org/list", "@container": "@list"}
+        }),
+        "@id": "http://example.org/manu",
+        "foaf:name": {"@value": "花澄", "@language": "ja"},
+        "age": "41",
+        "modified": "2010-05-29T14:17:39+02:00",
+        "title": {"en": "Hello", "es": "Hola"},
+        "nick": "manu",
+        "foaf:based_near": "Blacksburg",
+        "http://example.org/numbers": [5, 2.5, true],
+        "list": ["a", {"@id": "http://example.org/b"}]
+    };
 
-        if(triple.predicate.uri === 'http://purl.org/vocab/frbr/core#realization') {
-            counter++;
-            test.ok(triple.object.uri === 'http://purl.oreilly.com/products/9780596007683.BOOK' ||
-                   triple.object.uri=== 'http://purl.oreilly.com/products/9780596802189.EBOOK');
-            test.ok(previous !== triple.object.uri);
-            previous = triple.object.uri;
+    parse(test, input, null, function(result) {
+        var objects = {};
+        for(var i=0; i<result.length; i++) {
+            var predicate = result[i].predicate.value;
+            objects[predicate] = (objects[predicate] || []);
+            objects[predicate].push(result[i].object.literal || result[i].object.value || result[i].object.blank);
         }
-    }
 
-    test.ok(counter === 2);
-    test.done();
-}
-
-exports.testParsing6 = function(test) {
-    var input = {"foaf:name": "Manu Sporny"};
- 
-    var result = JSONLDParser.parser.parse(input);
- 
-    test.ok(result.length === 1);
-    test.ok(result[0].predicate.uri === 'http://xmlns.com/foaf/0.1/name');
- 
-    input = { "foaf:homepage": { "@id": "http://manu.sporny.org" } };
- 
-    result = JSONLDParser.parser.parse(input);
- 
-    test.ok(result.length === 1);
-    test.ok(result[0].object.uri === 'http://manu.sporny.org');
-
-    input = { "@context": {"foaf:homepage": {"@type": "@id"} },
-	      "foaf:homepage": "http://manu.sporny.org" };
- 
-    result = JSONLDParser.parser.parse(input);
-    test.ok(result.length === 1);
-    test.ok(result[0].object.uri === "http://manu.sporny.org");
- 
- 
-    input = {"foaf:name": { "@literal": "花澄", "@language": "ja"  } };
- 
-    result = JSONLDParser.parser.parse(input);
-    
-    test.ok(result.length === 1);
-    test.ok(result[0].object.literal === '"花澄"@ja');
- 
-    input = {  "@context": {   "dc:modified": {'@type': "xsd:dateTime"}	 }, "dc:modified": "2010-05-29T14:17:39+02:00"};
- 
-    result = JSONLDParser.parser.parse(input);
- 
-    test.ok(result.length === 1);
-    test.ok(result[0].object.literal === '"2010-05-29T14:17:39+02:00"^^<http://www.w3.org/2001/XMLSchema#dateTime>');
- 
- 
-    input = {
-              "@context": 
-              {  
-                 "rdf": "http://www.w3.org/1999/02/22-rdf-syntax-ns#",
-                 "xsd": "http://www.w3.org/2001/XMLSchema#",
-                 "name": "http://xmlns.com/foaf/0.1/name",
-                 "age": {'@id': "http://xmlns.com/foaf/0.1/age", '@type':"xsd:integer"},
-                 "homepage": {'@id':"http://xmlns.com/foaf/0.1/homepage", '@type':"xsd:anyURI"}
-              },
-              "name": "John Smith",
-              "age": "41",
-              "homepage": "http://example.org/home/"
-            };
-
-    result = JSONLDParser.parser.parse(input, {uri: 'http://test.com/graph'});
-    var found = false;
-    for(var i=0; i<result.length; i++) {
-        if(result[i].predicate.uri === 'http://xmlns.com/foaf/0.1/age') {
-	    found = true;
-            test.ok(result[i].object.literal === '"41"^^<http://www.w3.org/2001/XMLSchema#integer>');
-            test.ok(result[i].graph.uri === 'http://test.com/graph');
+        test.ok(objects['http://xmlns.com/foaf/0.1/name'][0] === '"花澄"@ja');
+        test.ok(objects['http://xmlns.com/foaf/0.1/age'][0] === '"41"^^<http://www.w3.org/2001/XMLSchema#integer>');
+        test.ok(objects['http://purl.org/dc/terms/modified'][0] === '"2010-05-29T14:17:39+02:00"^^<http://www.w3.org/2001/XMLSchema#dateTime>');
+        test.ok(objects['http://purl.org/dc/terms/title'].join(",") === '"Hello"@en,"Hola"@es');
+        test.ok(objects['http://xmlns.com/foaf/0.1/nick'][0] === '"manu"');
+        test.ok(objects['http://xmlns.com/foaf/0.1/based_near'][0] === '"Blacksburg"@en');
+        test.ok(objects['http://example.org/numbers'].join(",") === '"5"^^<http://www.w3.org/2001/XMLSchema#integer>,"2.5E0"^^<http://www.w3.org/2001/XMLSchema#double>,"true"^^<http://www.w3.org/2001/XMLSchema#boolean>');
+        test.ok(objects['http://example.org/list'].length === 1);
+        test.ok(objects['http://www.w3.org/1999/02/22-rdf-syntax-ns#first'].join(",") === '"a"@en,http://example.org/b');
+        test.ok(objects['http://www.w3.org/1999/02/22-rdf-syntax-ns#rest'][1] === 'http://www.w3.org/1999/02/22-rdf-syntax-ns#nil');
+        test.done();
+    });
+};
+
+exports.testParsingNamedGraphs = function(test) {
+    var input = {
+        "@context": {"@vocab": "http://example.org/"},
+        "@graph": [
+            {"@id": "http://example.org/g1", "@graph": {"@id": "http://example.org/a", "name": "A"}},
+            {"@id": "http://example.org/b", "name": "B"}
+        ]
+    };
+
+    parse(test, input, {token: 'uri', value: 'http://test.com/graph'}, function(result) {
+        test.ok(result.length === 2);
+        for(var i=0; i<result.length; i++) {
+            if(result[i].subject.value === 'http://example.org/a') {
+                test.ok(result[i].graph.value === 'http://example.org/g1');
+            } else {
+                test.ok(result[i].graph.value === 'http://test.com/graph');
+            }
         }
-    }
-    test.ok(found === true);
+        test.done();
+    });
+};
+
+exports.testExpand = function(test) {
+    var input = {
+        "@context": {
+            "@vocab": "http://schema.org/",
+            "knows": {"@type": "@id"},
+            "Person": {"@context": {"age": {"@type": "http://www.w3.org/2001/XMLSchema#integer"}}}
+        },
+        "@id": "http://example.org/alice",
+        "@type": "Person",
+        "age": "30",
+        "knows": "http://example.org/bob",
+        "@reverse": {"knows": {"@id": "http://example.org/carol"}}
+    };
+
+    JSONLDParser.expand(input, function(success, expanded) {
+        test.ok(success);
+        test.ok(JSON.stringify(expanded) === JSON.stringify([{
+            "@id": "http://example.org/alice",
+            "@type": ["http://schema.org/Person"],
+            "http://schema.org/age": [{"@value": "30", "@type": "http://www.w3.org/2001/XMLSchema#integer"}],
+            "http://schema.org/knows": [{"@id": "http://example.org/bob"}],
+            "@reverse": {"http://schema.org/knows": [{"@id": "http://example.org/carol"}]}
+        }]));
+        test.done();
+    });
+};
+
+exports.testCompact = function(test) {
+    var input = [{
+        "@id": "http://example.org/alice",
+        "@type": ["http://schema.org/Person"],
+        "http://schema.org/name": [{"@value": "Alice"}],
+        "http://schema.org/knows": [{"@id": "http://example.org/bob"}],
+        "http://www.w3.org/2000/01/rdf-schema#label": [{"@value": "Alice", "@language": "en"}, {"@value": "Alicia", "@language": "es"}],
+        "http://schema.org/tags": [{"@list": [{"@value": "a"}, {"@value": "b"}]}]
+    }];
+    var context = {
+        "@vocab": "http://schema.org/",
+        "ex": "http://example.org/",
+        "knows": {"@type": "@id"},
+        "label": {"@id": "http://www.w3.org/2000/01/rdf-schema#label", "@container": "@language"},
+        "tags": {"@container": "@list"}
+    };
+
+    JSONLDParser.compact(input, context, {}, function(success, compacted) {
+        test.ok(success);
+        test.ok(JSON.stringify(compacted) === JSON.stringify({
+            "@context": context,
+            "@id": "ex:alice",
+            "@type": "Person",
+            "name": "Alice",
+            "knows": "ex:bob",
+            "label": {"en": "Alice", "es": "Alicia"},
+            "tags": ["a", "b"]
+        }));
+        test.done();
+    });
+};
+
+exports.testFlatten = function(test) {
+    var input = {
+        "@context": {"@vocab": "http://example.org/"},
+        "@id": "http://example.org/a",
+        "knows": {"name": "B", "knows": {"@id": "http://example.org/a"}}
+    };
+
+    JSONLDParser.flatten(input, {"@vocab": "http://example.org/"}, {}, function(success, flattened) {
+        test.ok(success);
+        test.ok(JSON.stringify(flattened) === JSON.stringify({
+            "@context": {"@vocab": "http://example.org/"},
+            "@graph": [
+                {"@id": "_:b0", "knows": {"@id": "http://example.org/a"}, "name": "B"},
+                {"@id": "http://example.org/a", "knows": {"@id": "_:b0"}}
+            ]
+        }));
+        test.done();
+    });
+};
+
+exports.testFrame = function(test) {
+    var input = {
+        "@context": {"@vocab": "http://example.org/", "contains": {"@type": "@id"}},
+        "@graph": [
+            {"@id": "http://example.org/library", "@type": "Library", "contains": "http://example.org/library/the-republic"},
+            {"@id": "http://example.org/library/the-republic", "@type": "Book", "creator": "Plato", "title": "The Republic",
+             "contains": "http://example.org/library/the-republic#introduction"},
+            {"@id": "http://example.org/library/the-republic#introduction", "@type": "Chapter", "title": "The Introduction"}
+        ]
+    };
+    var frame = {
+        "@context": {"@vocab": "http://example.org/"},
+        "@type": "Library",
+        "contains": {"@type": "Book", "@explicit": true, "title": {}, "publisher": {"@default": "unknown"},
+                     "contains": {"@type": "Chapter"}}
+    };
+
+    JSONLDParser.frame(input, frame, {}, function(success, framed) {
+        test.ok(success);
+        test.ok(JSON.stringify(framed) === JSON.stringify({
+            "@context": {"@vocab": "http://example.org/"},
+            "@id": "http://example.org/library",
+            "@type": "Library",
+            "contains": {
+                "@id": "http://example.org/library/the-republic",
+                "@type": "Book",
+                "contains": {
+                    "@id": "http://example.org/library/the-republic#introduction",
+                    "@type": "Chapter",
+                    "title": "The Introduction"
+                },
+                "title": "The Republic",
+                "publisher": "unknown"
+            }
+        }));
+        test.done();
+    });
+};
+
+exports.testFromRDF = function(test) {
+    var uri = function(value) { return {token: 'uri', value: value, prefix: null, suffix: null}; };
+    var RDF = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+    var quads = [
+        {subject: uri("http://example.org/a"), predicate: uri(RDF+"type"), object: uri("http://example.org/Thing"), graph: null},
+        {subject: uri("http://example.org/a"), predicate: uri("http://example.org/size"), object: {literal: '"3"^^<http://www.w3.org/2001/XMLSchema#integer>'}, graph: null},
+        {subject: uri("http://example.org/a"), predicate: uri("http://example.org/list"), object: {blank: "_:l1"}, graph: null},
+        {subject: {blank: "_:l1"}, predicate: uri(RDF+"first"), object: {literal: '"x"@en'}, graph: null},
+        {subject: {blank: "_:l1"}, predicate: uri(RDF+"rest"), object: uri(RDF+"nil"), graph: null},
+        {subject: uri("http://example.org/b"), predicate: uri("http://example.org/p"), object: {literal: '"y"'}, graph: uri("http://example.org/g")}
+    ];
+
+    JSONLDParser.fromRDF(quads, {useNativeTypes: true}, function(success, expanded) {
+        test.ok(success);
+        test.ok(JSON.stringify(expanded) === JSON.stringify([
+            {"@id": "http://example.org/a", "@type": ["http://example.org/Thing"],
+             "http://example.org/size": [{"@value": 3}],
+             "http://example.org/list": [{"@list": [{"@value": "x", "@language": "en"}]}]},
+            {"@id": "http://example.org/g",
+             "@graph": [{"@id": "http://example.org/b", "http://example.org/p": [{"@value": "y"}]}]}
+        ]));
+        test.done();
+    });
+};
 
-    test.done();
-}
\ No newline at end of file
+exports.testDocumentLoader = function(test) {
+    var contexts = {
+        "http://example.org/contexts/person.jsonld": {"@context": ["base.jsonld", {"name": "foaf:name"}]},
+        "http://example.org/contexts/base.jsonld": JSON.stringify({"@context": {"foaf": "http://xmlns.com/foaf/0.1/"}})
+    };
+    var requested = [];
+    var loader = JSONLDParser.documentLoaders.cache({}, function(url, callback) {
+        requested.push(url);
+        JSONLDParser.documentLoaders.cache(contexts)(url, callback);
+    });
+    var input = {"@context": "http://example.org/contexts/person.jsonld", "@id": "http://example.org/manu", "name": "Manu"};
+
+    JSONLDParser.expand(input, {documentLoader: loader}, function(success, expanded) {
+        test.ok(success);
+        test.ok(expanded[0]['http://xmlns.com/foaf/0.1/name'][0]['@value'] === 'Manu');
+        test.ok(requested.length === 2);
+
+        JSONLDParser.parser.parse(input, null, {documentLoader: loader}, function(success, quads) {
+            test.ok(success);
+            test.ok(quads.length === 1);
+            test.ok(requested.length === 2);
+
+            input['@context'] = "http://example.org/contexts/missing.jsonld";
+            JSONLDParser.expand(input, {documentLoader: loader}, function(success, error) {
+                test.ok(!success);
+                test.ok(error.code === 'loading remote context failed');
+                test.done();
+            });
+        });
+    });
+};
+
+exports.testErrors = function(test) {
+    var errors = [
+        [{"@context": {"@version": 1.1, "p": {"@id": "http://example.org/p", "@protected": true}},
+          "p": {"@context": {"p": "http://example.org/other"}, "p": "x"}}, "protected term redefinition"],
+        [{"@context": {"@id": "http://example.org/id"}}, "keyword redefinition"],
+        [{"@context": {"a": "b:c", "b": "a:d"}, "a": 1}, "cyclic IRI mapping"],
+        [{"@context": {"p": {"@id": "http://example.org/p", "@container": "@bogus"}}}, "invalid container mapping"],
+        [{"http://example.org/p": {"@value": "x", "@language": "en", "@type": "http://example.org/t"}}, "invalid value object"],
+        [{"@id": 5}, "invalid @id value"]
+    ];
+
+    var next = function(i) {
+        if(i === errors.length) {
+            return test.done();
+        }
+        JSONLDParser.expand(errors[i][0], function(success, error) {
+            test.ok(!success);
+            test.ok(error.code === errors[i][1]);
+            next(i+1);
+        });
+    };
+    next(0);
+};
@@ -0,0 +1,58 @@
+var NQuadsParser = require("./../src/nquads_parser.js").NQuadsParser;
+
+exports.testParsing = function(test) {
+    var data = '<http://example.org/s> <http://example.org/p> <http://example.org/o> <http://example.org/g1> .\n\
+# comment\n\
+_:a <http://example.org/p> "quoted \\"value\\"\\n"@en <http://example.org/g2> .\n\
+<http://example.org/s> <http://example.org/p> "1"^^<http://www.w3.org/2001/XMLSchema#integer> _:g .\n\
+<http://example.org/s> <http://example.org/p> "\\u00E9" .\n';
+
+    var quads = NQuadsParser.parser.parse(data, "http://example.org/default");
+    test.ok(quads.length === 4);
+    test.ok(quads[0].graph.value === "http://example.org/g1");
+    test.ok(quads[0].object.value === "http://example.org/o");
+    test.ok(quads[1].subject.blank === "_:a");
+    test.ok(quads[1].object.literal === '"quoted "value"\n"@en');
+    test.ok(quads[1].graph.value === "http://example.org/g2");
+    test.ok(quads[2].object.literal === '"1"^^<http://www.w3.org/2001/XMLSchema#integer>');
+    test.ok(quads[2].graph.blank === "_:g");
+    test.ok(quads[3].object.literal === '"é"');
+    test.ok(quads[3].graph.value === "http://example.org/default");
+    test.done();
+};
+
+exports.testErrors = function(test) {
+    var errors = {
+        '<http://example.org/s> <http://example.org/p> <o> .': "Syntax error at line 1, column 47: relative IRI <o>",
+        '<http://example.org/s> "p" <http://example.org/o> .': "Syntax error at line 1, column 24: expected an IRI",
+        '<http://example.org/s> <http://example.org/p>\n<http://example.org/o> .': "Syntax error at line 2, column 24: statements must be written in a single line",
+        '<http://example.org/s> <http://example.org/p> <http://example.org/o> <http://example.org/g> <http://example.org/x> .': "Syntax error at line 1, column 93: expected '.'"
+    };
+
+    for(var data in errors) {
+        try {
+            NQuadsParser.parser.parse(data, null);
+            test.ok(false);
+        } catch(e) {
+            test.ok(e.message === errors[data]);
+        }
+    }
+    test.done();
+};
+
+exports.testStreamParsing = function(test) {
+    var parser = NQuadsParser.parser.stream("http://example.org/default");
+    var quads = parser.parseChunk('<http://example.org/s> <http://example.org/p> "a" <http://example.org/g> .\n<http://example.org/s> <http://exa');
+    test.ok(quads.length === 1);
+    quads = parser.parseChunk('mple.org/p> "b" .\n<http://example.org/s> <http://example.org/p> "c"');
+    test.ok(quads.length === 1);
+    test.ok(quads[0].predicate.value === "http://example.org/p");
+    test.ok(quads[0].graph.value === "http://example.org/default");
+    try {
+        parser.end();
+        test.ok(false);
+    } catch(e) {
+        test.ok(e.message === "Syntax error at line 3, column 50: expected an IRI or a blank node");
+    }
+    test.done();
+};
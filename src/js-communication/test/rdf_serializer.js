@@ -0,0 +1,119 @@
+var RDFSerializer = require("./../src/rdf_serializer.js").RDFSerializer;
+var RDFJSInterface = require("./../../js-query-engine/src/rdf_js_interface.js").RDFJSInterface;
+
+var rdf = RDFJSInterface.rdf;
+var ex = function(suffix) {
+    return rdf.createNamedNode("http://example.org/"+suffix);
+};
+var RDF_NS = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+
+var serialize = function(graphs, mediaType, prefixes) {
+    var chunks = [];
+    RDFSerializer.serialize(graphs, mediaType, prefixes, function(chunk) {
+        chunks.push(chunk);
+    });
+    return chunks.join("");
+};
+
+var prefixes = function() {
+    var map = new RDFJSInterface.UrisMap();
+    map.set("ex", "http://example.org/");
+    map.set("xsd", "http://www.w3.org/2001/XMLSchema#");
+    return map;
+};
+
+exports.testNTriples = function(test) {
+    var triples = [rdf.createTriple(ex("a"), ex("p"), rdf.createLiteral('say "hi"\n', "en")),
+                   rdf.createTriple(ex("a"), ex("q"), rdf.createBlankNode()),
+                   rdf.createTriple(ex("a b"), ex("r"), rdf.createLiteral("1", null, "http://www.w3.org/2001/XMLSchema#integer"))];
+    var nt = serialize([{graph: null, triples: triples}], 'application/n-triples');
+    test.ok(nt === '<http://example.org/a> <http://example.org/p> "say \\"hi\\"\\n"@en .\n'+
+                   '<http://example.org/a> <http://example.org/q> _:b0 .\n'+
+                   '<http://example.org/a\\u0020b> <http://example.org/r> "1"^^<http://www.w3.org/2001/XMLSchema#integer> .\n');
+
+    var nq = serialize([{graph: null, triples: [triples[0]]}, {graph: "http://example.org/g", triples: [triples[1]]}], 'application/n-quads');
+    test.ok(nq === '<http://example.org/a> <http://example.org/p> "say \\"hi\\"\\n"@en .\n'+
+                   '<http://example.org/a> <http://example.org/q> _:b0 <http://example.org/g> .\n');
+    test.done();
+};
+
+exports.testTurtle = function(test) {
+    var person = rdf.createBlankNode();
+    var list1 = rdf.createBlankNode();
+    var list2 = rdf.createBlankNode();
+    var triples = [rdf.createTriple(ex("a"), rdf.createNamedNode(RDF_NS+"type"), ex("Person")),
+                   rdf.createTriple(ex("a"), ex("name"), rdf.createLiteral("Alice")),
+                   rdf.createTriple(ex("a"), ex("name"), rdf.createLiteral("Alicia", "es")),
+                   rdf.createTriple(ex("a"), ex("age"), rdf.createLiteral("31", null, "http://www.w3.org/2001/XMLSchema#integer")),
+                   rdf.createTriple(ex("a"), ex("knows"), person),
+                   rdf.createTriple(person, ex("name"), rdf.createLiteral("Bob")),
+                   rdf.createTriple(ex("a"), ex("list"), list1),
+                   rdf.createTriple(list1, rdf.createNamedNode(RDF_NS+"first"), ex("x")),
+                   rdf.createTriple(list1, rdf.createNamedNode(RDF_NS+"rest"), list2),
+                   rdf.createTriple(list2, rdf.createNamedNode(RDF_NS+"first"), rdf.createLiteral("2.5", null, "http://www.w3.org/2001/XMLSchema#decimal")),
+                   rdf.createTriple(list2, rdf.createNamedNode(RDF_NS+"rest"), rdf.createNamedNode(RDF_NS+"nil")),
+                   rdf.createTriple(ex("b"), ex("date"), rdf.createLiteral("2012", null, "http://www.w3.org/2001/XMLSchema#gYear")),
+                   rdf.createTriple(ex("b"), ex("path/name."), ex("c"))];
+
+    var ttl = serialize([{graph: null, triples: triples}], 'text/turtle', prefixes());
+    test.ok(ttl === '@prefix ex: <http://example.org/> .\n'+
+                    '@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .\n\n'+
+                    'ex:a a ex:Person ;\n'+
+                    '    ex:name "Alice", "Alicia"@es ;\n'+
+                    '    ex:age 31 ;\n'+
+                    '    ex:knows [ ex:name "Bob" ] ;\n'+
+                    '    ex:list ( ex:x 2.5 ) .\n'+
+                    'ex:b ex:date "2012"^^xsd:gYear ;\n'+
+                    '    <http://example.org/path/name.> ex:c .\n');
+
+    // without prefixes all the URIs are written in full
+    ttl = serialize([{graph: null, triples: triples.slice(0,2)}], 'text/turtle');
+    test.ok(ttl === '<http://example.org/a> a <http://example.org/Person> ;\n'+
+                    '    <http://example.org/name> "Alice" .\n');
+    test.done();
+};
+
+exports.testTurtleBlankNodes = function(test) {
+    var b1 = rdf.createBlankNode();
+    var b2 = rdf.createBlankNode();
+    var shared = rdf.createBlankNode();
+    // blank nodes in a cycle and blank nodes referenced twice are labelled
+    var triples = [rdf.createTriple(b1, ex("next"), b2),
+                   rdf.createTriple(b2, ex("next"), b1),
+                   rdf.createTriple(ex("a"), ex("p"), shared),
+                   rdf.createTriple(ex("b"), ex("p"), shared),
+                   rdf.createTriple(shared, ex("q"), ex("c"))];
+
+    var ttl = serialize([{graph: null, triples: triples}], 'text/turtle', prefixes());
+    test.ok(ttl === '@prefix ex: <http://example.org/> .\n\n'+
+                    'ex:a ex:p _:b0 .\n'+
+                    'ex:b ex:p _:b0 .\n'+
+                    '_:b0 ex:q ex:c .\n'+
+                    '_:b1 ex:next [ ex:next _:b1 ] .\n');
+    test.done();
+};
+
+exports.testTriG = function(test) {
+    var shared = rdf.createBlankNode();
+    var graphs = [{graph: null, triples: [rdf.createTriple(ex("a"), ex("p"), ex("b"))]},
+                  {graph: "http://example.org/g1", triples: [rdf.createTriple(ex("a"), ex("p"), shared),
+                                                             rdf.createTriple(shared, ex("q"), ex("c"))]},
+                  {graph: "http://example.org/g2", triples: [rdf.createTriple(shared, ex("q"), ex("d"))]}];
+
+    var trig = serialize(graphs, 'application/trig', prefixes());
+    // the blank node is described in two graphs and cannot be nested
+    test.ok(trig === '@prefix ex: <http://example.org/> .\n\n'+
+                     'ex:a ex:p ex:b .\n\n'+
+                     'ex:g1 {\n'+
+                     '    ex:a ex:p _:b0 .\n'+
+                     '    _:b0 ex:q ex:c .\n'+
+                     '}\n\n'+
+                     'ex:g2 {\n'+
+                     '    _:b0 ex:q ex:d .\n'+
+                     '}\n');
+
+    test.ok(RDFSerializer.isQuadFormat('application/trig'));
+    test.ok(!RDFSerializer.isQuadFormat('text/turtle'));
+    test.ok(RDFSerializer.format('application/rdf+xml') == null);
+    test.done();
+};
@@ -1,24 +1,173 @@
-//var RDFXMLParser = require("./../src/rdfxml_parser.js").RDFXMLParser;
+var RDFXMLParser = require("./../src/rdfxml_parser.js").RDFXMLParser;
 
-/*
-exports.testParsing1 = function(test) {
+// test cases modelled on the W3C RDF/XML test suite
+
+var RDF = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+
+var toNT = function(term) {
+    if(term.token === 'uri') {
+        return "<"+term.value+">";
+    } else if(term.blank != null) {
+        return term.blank;
+    } else {
+        return term.literal;
+    }
+};
+
+var parse = function(data, base) {
+    var quads = RDFXMLParser.parser.parse(data, "http://example.org/graph", {baseURI: base || "http://example.org/dir/doc"});
+    var triples = [];
+    for(var i=0; i<quads.length; i++) {
+        triples.push(toNT(quads[i].subject)+" "+toNT(quads[i].predicate)+" "+toNT(quads[i].object));
+    }
+    return triples;
+};
 
-		var data = '<?xml version="1.0" encoding="UTF-8"?>\
-<rdf:RDF\
-	xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\
-<rdf:Description rdf:about="http://purl.bioontology.org/ontology/RXNORM/309054">\
-	<rdf:type rdf:resource="http://smartplatforms.org/terms#Code"/>\
-	<rdf:type rdf:resource="http://smartplatforms.org/terms/codes/RxNorm_Semantic"/>\
-	<title xmlns="http://purl.org/dc/terms/">Cefdinir 25 MG/ML Oral Suspension</title>\
-</rdf:Description>\
+var document = function(body) {
+    return '<?xml version="1.0"?>\n<rdf:RDF xmlns:rdf="'+RDF+'" xmlns:ex="http://example.org/ns#">\n'+body+'\n</rdf:RDF>';
+};
+
+exports.testParsing1 = function(test) {
+    var data = '<?xml version="1.0" encoding="UTF-8"?>\n\
+<rdf:RDF\n\
+	xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n\
+<rdf:Description rdf:about="http://purl.bioontology.org/ontology/RXNORM/309054">\n\
+	<rdf:type rdf:resource="http://smartplatforms.org/terms#Code"/>\n\
+	<title xmlns="http://purl.org/dc/terms/">Cefdinir 25 MG/ML Oral Suspension</title>\n\
+</rdf:Description>\n\
 </rdf:RDF>';
-    
-    var result = RDFXMLParser.parser.parse(data,"http://test.com/base#");
 
-    console.log(result);
-    test.ok(result.length > 0);
+    var quads = RDFXMLParser.parser.parse(data, "http://test.com/graph");
+    test.ok(quads.length === 2);
+    test.ok(quads[0].graph.value === "http://test.com/graph");
+    test.ok(toNT(quads[0].object) === "<http://smartplatforms.org/terms#Code>");
+    test.ok(toNT(quads[1].predicate) === "<http://purl.org/dc/terms/title>");
+    test.ok(toNT(quads[1].object) === '"Cefdinir 25 MG/ML Oral Suspension"');
+    test.done();
+};
+
+exports.testTypedNodesAndPropertyAttributes = function(test) {
+    var triples = parse(document('<ex:Person rdf:about="#alice" ex:name="Alice" rdf:type="#Agent"><ex:age rdf:datatype="http://www.w3.org/2001/XMLSchema#integer">30</ex:age></ex:Person>'));
 
+    test.ok(triples.length === 4);
+    test.ok(triples[0] === "<http://example.org/dir/doc#alice> <"+RDF+"type> <http://example.org/ns#Person>");
+    test.ok(triples[1] === '<http://example.org/dir/doc#alice> <http://example.org/ns#name> "Alice"');
+    test.ok(triples[2] === "<http://example.org/dir/doc#alice> <"+RDF+"type> <http://example.org/dir/doc#Agent>");
+    test.ok(triples[3] === '<http://example.org/dir/doc#alice> <http://example.org/ns#age> "30"^^<http://www.w3.org/2001/XMLSchema#integer>');
     test.done();
+};
+
+exports.testXMLBaseAndLang = function(test) {
+    var triples = parse(document('<rdf:Description rdf:about="a" xml:base="http://example.org/base/" xml:lang="en">\
+<ex:p>hello</ex:p><ex:p xml:lang="">none</ex:p><ex:q rdf:resource="../b"/>\
+<ex:r xml:base="other/"><rdf:Description rdf:ID="c"/></ex:r></rdf:Description>'));
+
+    test.ok(triples.length === 4);
+    test.ok(triples[0] === '<http://example.org/base/a> <http://example.org/ns#p> "hello"@en');
+    test.ok(triples[1] === '<http://example.org/base/a> <http://example.org/ns#p> "none"');
+    test.ok(triples[2] === '<http://example.org/base/a> <http://example.org/ns#q> <http://example.org/b>');
+    test.ok(triples[3] === '<http://example.org/base/a> <http://example.org/ns#r> <http://example.org/base/other/#c>');
+    test.done();
+};
+
+exports.testParseTypeResource = function(test) {
+    var triples = parse(document('<rdf:Description rdf:about="http://example.org/a"><ex:address rdf:parseType="Resource"><ex:city>Paris</ex:city></ex:address></rdf:Description>'));
 
+    test.ok(triples.length === 2);
+    test.ok(triples[0] === '<http://example.org/a> <http://example.org/ns#address> _:g1');
+    test.ok(triples[1] === '_:g1 <http://example.org/ns#city> "Paris"');
+    test.done();
+};
+
+exports.testParseTypeCollection = function(test) {
+    var triples = parse(document('<rdf:Description rdf:about="http://example.org/a">\
+<ex:list rdf:parseType="Collection"><rdf:Description rdf:about="http://example.org/1"/><ex:Item rdf:about="http://example.org/2"/></ex:list>\
+<ex:empty rdf:parseType="Collection"></ex:empty></rdf:Description>'));
+
+    test.ok(triples.length === 7);
+    test.ok(triples[0] === "<http://example.org/2> <"+RDF+"type> <http://example.org/ns#Item>");
+    test.ok(triples[1] === "<http://example.org/a> <http://example.org/ns#list> _:g1");
+    test.ok(triples[2] === "_:g1 <"+RDF+"first> <http://example.org/1>");
+    test.ok(triples[3] === "_:g1 <"+RDF+"rest> _:g2");
+    test.ok(triples[4] === "_:g2 <"+RDF+"first> <http://example.org/2>");
+    test.ok(triples[5] === "_:g2 <"+RDF+"rest> <"+RDF+"nil>");
+    test.ok(triples[6] === "<http://example.org/a> <http://example.org/ns#empty> <"+RDF+"nil>");
+    test.done();
+};
+
+exports.testParseTypeLiteral = function(test) {
+    var triples = parse(document('<rdf:Description rdf:about="http://example.org/a">\
+<ex:body rdf:parseType="Literal"><span xmlns="http://www.w3.org/1999/xhtml" lang="en" class="x">a &lt; b</span> <ex:c/></ex:body></rdf:Description>'));
+
+    test.ok(triples.length === 1);
+    test.ok(triples[0] === '<http://example.org/a> <http://example.org/ns#body> "<span xmlns="http://www.w3.org/1999/xhtml" class="x" lang="en">a &lt; b</span> <ex:c xmlns:ex="http://example.org/ns#"></ex:c>"^^<'+RDF+'XMLLiteral>');
+    test.done();
+};
+
+exports.testReification = function(test) {
+    var triples = parse(document('<rdf:Description rdf:about="http://example.org/a"><ex:p rdf:ID="s1">v</ex:p></rdf:Description>'));
+
+    test.ok(triples.length === 5);
+    test.ok(triples[0] === '<http://example.org/a> <http://example.org/ns#p> "v"');
+    test.ok(triples[1] === "<http://example.org/dir/doc#s1> <"+RDF+"type> <"+RDF+"Statement>");
+    test.ok(triples[2] === "<http://example.org/dir/doc#s1> <"+RDF+"subject> <http://example.org/a>");
+    test.ok(triples[3] === "<http://example.org/dir/doc#s1> <"+RDF+"predicate> <http://example.org/ns#p>");
+    test.ok(triples[4] === '<http://example.org/dir/doc#s1> <'+RDF+'object> "v"');
+    test.done();
+};
+
+exports.testContainersAndNodeIDs = function(test) {
+    var triples = parse(document('<rdf:Bag rdf:nodeID="bag"><rdf:li>one</rdf:li><rdf:li rdf:nodeID="two"/></rdf:Bag>\
+<rdf:Description rdf:nodeID="two"><ex:empty/><ex:node ex:v="1"/></rdf:Description>'));
+
+    test.ok(triples.length === 6);
+    test.ok(triples[0] === "_:nbag <"+RDF+"type> <"+RDF+"Bag>");
+    test.ok(triples[1] === '_:nbag <'+RDF+'_1> "one"');
+    test.ok(triples[2] === "_:nbag <"+RDF+"_2> _:ntwo");
+    test.ok(triples[3] === '_:ntwo <http://example.org/ns#empty> ""');
+    test.ok(triples[4] === '_:g1 <http://example.org/ns#v> "1"');
+    test.ok(triples[5] === "_:ntwo <http://example.org/ns#node> _:g1");
+    test.done();
+};
+
+exports.testEntitiesAndCDATA = function(test) {
+    var data = '<?xml version="1.0"?>\n\
+<!DOCTYPE rdf:RDF [<!ENTITY ex "http://example.org/ns#">]>\n\
+<!-- comment -->\n\
+<rdf:RDF xmlns:rdf="&#104;ttp://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns:ex="&ex;">\n\
+<rdf:Description rdf:about="&ex;a"><ex:p><![CDATA[<b>&amp;</b>]]> &amp; &#x263A;</ex:p></rdf:Description>\n\
+</rdf:RDF>';
+    var triples = parse(data);
+
+    test.ok(triples.length === 1);
+    test.ok(triples[0] === '<http://example.org/ns#a> <http://example.org/ns#p> "<b>&amp;</b> & ☺"');
+    test.done();
+};
+
+exports.testErrors = function(test) {
+    var errors = [
+        document('<rdf:Description rdf:ID="a"/><rdf:Description rdf:ID="a"/>'),
+        document('<rdf:li/>'),
+        document('<rdf:Description rdf:aboutEach="#a"/>'),
+        document('<rdf:Description><rdf:about>x</rdf:about></rdf:Description>'),
+        document('<rdf:Description><ex:p rdf:resource="a" rdf:nodeID="b"/></rdf:Description>'),
+        document('<rdf:Description>\n<ex:p>text</rdf:Description>'),
+        document('<rdf:Description><ex:p>a</ex:p></rdf:Description><undefined:p/>')
+    ];
+
+    for(var i=0; i<errors.length; i++) {
+        try {
+            RDFXMLParser.parser.parse(errors[i], null, {});
+            test.ok(false);
+        } catch(e) {
+            test.ok(e.message.indexOf("line") !== -1);
+        }
+    }
+
+    try {
+        RDFXMLParser.parser.parse(document('<rdf:Description>\n<ex:p>text</rdf:Description>'), null, {});
+    } catch(e) {
+        test.ok(e.message === "XML syntax error at line 4: unexpected end tag </rdf:Description>");
+    }
+    test.done();
 };
-*/
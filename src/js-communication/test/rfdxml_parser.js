@@ -1,22 +0,0 @@
-/*
-var N3Parser = require("./../src/rdfxml_parser.js").RDFXMLParser;
-
-
-exports.testParsing1 = function(test) {
-
-		var data = '<?xml version="1.0" encoding="UTF-8"?>\n\
-<rdf:RDF\n\
-	xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n\
-<rdf:Description rdf:about="http://purl.bioontology.org/ontology/RXNORM/309054">\n\
-	<rdf:type rdf:resource="http://smartplatforms.org/terms#Code"/>\n\
-	<rdf:type rdf:resource="http://smartplatforms.org/terms/codes/RxNorm_Semantic"/>\n\
-	<title xmlns="http://purl.org/dc/terms/">Cefdinir 25 MG/ML Oral Suspension</title>\n\
-</rdf:Description>\n\
-</rdf:RDF>';
-    
-    var result = RDFXMLParserr.parser.parse(data);
-
-    console.log(result);
-
-};
-*/
\ No newline at end of file
@@ -0,0 +1,86 @@
+var SparqlResults = require("./../src/sparql_results.js").SparqlResults;
+
+exports.testParseJSON = function(test) {
+    var data = JSON.stringify({head: {vars: ["s","o"]},
+                               results: {bindings: [{s: {type: "uri", value: "http://example.org/a"},
+                                                     o: {type: "literal", value: "hola", "xml:lang": "es"}},
+                                                    {s: {type: "bnode", value: "b0"},
+                                                     o: {type: "typed-literal", value: "1", datatype: "http://www.w3.org/2001/XMLSchema#integer"}},
+                                                    {s: {type: "uri", value: "http://example.org/b"}}]}});
+
+    var results = SparqlResults.parse(data, "application/sparql-results+json; charset=utf-8");
+    test.ok(results.length === 3);
+    test.ok(results[0].s.token === 'uri');
+    test.ok(results[0].s.value === 'http://example.org/a');
+    test.ok(results[0].o.token === 'literal');
+    test.ok(results[0].o.lang === 'es');
+    test.ok(results[1].s.token === 'blank');
+    test.ok(results[1].s.value === '_:b0');
+    test.ok(results[1].o.type === 'http://www.w3.org/2001/XMLSchema#integer');
+    test.ok(results[2].o == null);
+
+    test.ok(SparqlResults.parse('{"head": {}, "boolean": true}', "application/sparql-results+json") === true);
+    test.done();
+};
+
+exports.testParseXML = function(test) {
+    var data = '<?xml version="1.0"?>\
+                <sparql xmlns="http://www.w3.org/2005/sparql-results#">\
+                  <head><variable name="s"/><variable name="o"/></head>\
+                  <results>\
+                    <result>\
+                      <binding name="s"><uri>http://example.org/a?x=1&amp;y=2</uri></binding>\
+                      <binding name="o"><literal xml:lang="en">a &lt;b&gt;</literal></binding>\
+                    </result>\
+                    <result>\
+                      <binding name="s"><bnode>r1</bnode></binding>\
+                      <binding name="o"><literal datatype="http://www.w3.org/2001/XMLSchema#integer">3</literal></binding>\
+                    </result>\
+                    <result>\
+                      <binding name="o"><literal/></binding>\
+                    </result>\
+                  </results>\
+                </sparql>';
+
+    // the format is detected when the media type is missing
+    var results = SparqlResults.parse(data, null);
+    test.ok(results.length === 3);
+    test.ok(results[0].s.value === 'http://example.org/a?x=1&y=2');
+    test.ok(results[0].o.value === 'a <b>');
+    test.ok(results[0].o.lang === 'en');
+    test.ok(results[1].s.token === 'blank');
+    test.ok(results[1].s.value === '_:r1');
+    test.ok(results[1].o.value === '3');
+    test.ok(results[1].o.type === 'http://www.w3.org/2001/XMLSchema#integer');
+    test.ok(results[2].s == null);
+    test.ok(results[2].o.value === '');
+
+    var ask = '<sparql xmlns="http://www.w3.org/2005/sparql-results#"><head></head><boolean>false</boolean></sparql>';
+    test.ok(SparqlResults.parse(ask, "application/sparql-results+xml") === false);
+    test.done();
+};
+
+exports.testQuery = function(test) {
+    var requested = null;
+    var transport = {load: function(uri, accept, callback) {
+        requested = uri;
+        test.ok(accept.indexOf("application/sparql-results+json") != -1);
+        callback(true, {headers: {"Content-Type": "application/sparql-results+json"},
+                        data: '{"head": {"vars": ["s"]}, "results": {"bindings": [{"s": {"type": "uri", "value": "http://example.org/a"}}]}}'});
+    }};
+
+    SparqlResults.query(transport, "http://example.org/sparql?default-graph-uri=g", "SELECT * { ?s ?p ?o }", function(success, results) {
+        test.ok(success);
+        test.ok(requested === "http://example.org/sparql?default-graph-uri=g&query=SELECT%20*%20%7B%20%3Fs%20%3Fp%20%3Fo%20%7D");
+        test.ok(results.length === 1);
+
+        var failing = {load: function(uri, accept, callback) {
+            callback(false, 500);
+        }};
+        SparqlResults.query(failing, "http://example.org/sparql", "SELECT * { ?s ?p ?o }", function(success, results) {
+            test.ok(success === false);
+            test.ok(results.indexOf("500") != -1);
+            test.done();
+        });
+    });
+};
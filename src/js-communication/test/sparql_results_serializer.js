@@ -0,0 +1,83 @@
+var SparqlResultsSerializer = require("./../src/sparql_results_serializer.js").SparqlResultsSerializer;
+var SparqlResults = require("./../src/sparql_results.js").SparqlResults;
+
+var bindings = [{s: {token: 'uri', value: 'http://example.org/a?x=1&y=2'},
+                 o: {token: 'literal', value: 'say "hi",\nbye', lang: 'en'}},
+                {s: {token: 'blank', value: '_:b0'},
+                 o: {token: 'literal', value: '3', type: 'http://www.w3.org/2001/XMLSchema#integer'}},
+                {s: {token: 'uri', value: 'http://example.org/b'},
+                 o: null}];
+
+var serialize = function(results, variables, format) {
+    var chunks = [];
+    SparqlResultsSerializer.serialize(results, variables, format, function(chunk) {
+        chunks.push(chunk);
+    });
+    return chunks;
+};
+
+exports.testFormat = function(test) {
+    test.ok(SparqlResultsSerializer.format("application/sparql-results+json; charset=utf-8") === 'json');
+    test.ok(SparqlResultsSerializer.format("text/tab-separated-values") === 'tsv');
+    test.ok(SparqlResultsSerializer.format("csv") === 'csv');
+    test.ok(SparqlResultsSerializer.format("text/html") == null);
+    test.ok(SparqlResultsSerializer.variables(bindings).join(" ") === 's o');
+    test.done();
+};
+
+exports.testJSON = function(test) {
+    var chunks = serialize(bindings, ['s','o','x'], 'application/sparql-results+json');
+    test.ok(chunks.length === 5);
+
+    var json = JSON.parse(chunks.join(""));
+    test.ok(json.head.vars.join(" ") === 's o x');
+    test.ok(json.results.bindings.length === 3);
+    test.ok(json.results.bindings[0].o['xml:lang'] === 'en');
+    test.ok(json.results.bindings[1].s.type === 'bnode');
+    test.ok(json.results.bindings[1].s.value === 'b0');
+    test.ok(json.results.bindings[2].o == null);
+
+    // the serialization can be read back
+    var parsed = SparqlResults.parse(chunks.join(""), "application/sparql-results+json");
+    test.ok(parsed[0].o.value === bindings[0].o.value);
+    test.ok(parsed[1].s.value === '_:b0');
+
+    test.ok(serialize(false, null, 'json').join("") === '{"head":{},"boolean":false}');
+    test.done();
+};
+
+exports.testXML = function(test) {
+    var xml = serialize(bindings, null, 'application/sparql-results+xml').join("");
+    test.ok(xml.indexOf('<variable name="s"/><variable name="o"/>') != -1);
+    test.ok(xml.indexOf('<uri>http://example.org/a?x=1&amp;y=2</uri>') != -1);
+
+    var parsed = SparqlResults.parse(xml, "application/sparql-results+xml");
+    test.ok(parsed.length === 3);
+    test.ok(parsed[0].s.value === 'http://example.org/a?x=1&y=2');
+    test.ok(parsed[0].o.value === 'say "hi",\nbye');
+    test.ok(parsed[0].o.lang === 'en');
+    test.ok(parsed[1].o.type === 'http://www.w3.org/2001/XMLSchema#integer');
+    test.ok(parsed[2].o == null);
+
+    test.ok(SparqlResults.parse(serialize(true, null, 'xml').join(""), "application/sparql-results+xml") === true);
+    test.done();
+};
+
+exports.testCSV = function(test) {
+    var csv = serialize(bindings, null, 'text/csv').join("");
+    test.ok(csv === 's,o\r\nhttp://example.org/a?x=1&y=2,"say ""hi"",\nbye"\r\n_:b0,3\r\nhttp://example.org/b,\r\n');
+
+    try {
+        serialize(true, null, 'text/csv');
+        test.ok(false);
+    } catch(e) {
+        test.ok(true);
+    }
+    test.done();
+};
+
+exports.testTSV = function(test) {
+    var tsv = serialize(bindings, null, 'text/tab-separated-values').join("");
+    test.ok(tsv === '?s\t?o\n<http://example.org/a?x=1&y=2>\t"say \\"hi\\",\\nbye"@en\n_:b0\t"3"^^<http://www.w3.org/2001/XMLSchema#integer>\n<http://example.org/b>\t\n');
+    test.done();
+};
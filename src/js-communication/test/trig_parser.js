@@ -0,0 +1,123 @@
+var TriGParser = require("./../src/trig_parser.js").TriGParser;
+
+var toNT = function(term) {
+    if(term.token === 'uri') {
+        return "<"+term.value+">";
+    } else if(term.blank != null) {
+        return term.blank;
+    } else {
+        return term.literal;
+    }
+};
+
+var parse = function(data) {
+    var quads = TriGParser.parser.parse(data, "http://example.org/default", {baseURI: "http://example.org/dir/doc"});
+    var statements = [];
+    for(var i=0; i<quads.length; i++) {
+        statements.push(toNT(quads[i].subject)+" "+toNT(quads[i].predicate)+" "+toNT(quads[i].object)+" "+toNT(quads[i].graph));
+    }
+    return statements;
+};
+
+exports.testGraphBlocks = function(test) {
+    var statements = parse('@prefix ex: <http://example.org/ns#> .\n\
+PREFIX : <http://example.org/>\n\
+:a ex:p "default" .\n\
+:g1 { :a ex:p "one" . :b ex:p "two" }\n\
+GRAPH <g2> { :a ex:p :b }\n\
+{ :c ex:p :d . }\n\
+_:g { :e ex:p :f }\n');
+
+    test.ok(statements.length === 6);
+    test.ok(statements[0] === '<http://example.org/a> <http://example.org/ns#p> "default" <http://example.org/default>');
+    test.ok(statements[1] === '<http://example.org/a> <http://example.org/ns#p> "one" <http://example.org/g1>');
+    test.ok(statements[2] === '<http://example.org/b> <http://example.org/ns#p> "two" <http://example.org/g1>');
+    test.ok(statements[3] === '<http://example.org/a> <http://example.org/ns#p> <http://example.org/b> <http://example.org/dir/g2>');
+    test.ok(statements[4] === '<http://example.org/c> <http://example.org/ns#p> <http://example.org/d> <http://example.org/default>');
+    test.ok(statements[5] === '<http://example.org/e> <http://example.org/ns#p> <http://example.org/f> _:bg');
+    test.done();
+};
+
+exports.testTurtleTerms = function(test) {
+    var statements = parse('@prefix : <http://example.org/> .\n\
+@base <http://example.org/base/> .\n\
+:g {\n\
+  <a> :p 1, -2.5, 3e1, true, "x"@en-GB, """multi\n\
+line""", \'t\\t\'^^:type ;\n\
+      a :T ; .\n\
+  [] :q [ :r (1 _:x) ] .\n\
+  :local\\.name :p () .\n\
+}');
+
+    test.ok(statements.length === 15);
+    test.ok(statements[0] === '<http://example.org/base/a> <http://example.org/p> "1"^^<http://www.w3.org/2001/XMLSchema#integer> <http://example.org/g>');
+    test.ok(statements[1] === '<http://example.org/base/a> <http://example.org/p> "-2.5"^^<http://www.w3.org/2001/XMLSchema#decimal> <http://example.org/g>');
+    test.ok(statements[2] === '<http://example.org/base/a> <http://example.org/p> "3e1"^^<http://www.w3.org/2001/XMLSchema#double> <http://example.org/g>');
+    test.ok(statements[3] === '<http://example.org/base/a> <http://example.org/p> "true"^^<http://www.w3.org/2001/XMLSchema#boolean> <http://example.org/g>');
+    test.ok(statements[4] === '<http://example.org/base/a> <http://example.org/p> "x"@en-GB <http://example.org/g>');
+    test.ok(statements[5] === '<http://example.org/base/a> <http://example.org/p> "multi\nline" <http://example.org/g>');
+    test.ok(statements[6] === '<http://example.org/base/a> <http://example.org/p> "t\t"^^<http://example.org/type> <http://example.org/g>');
+    test.ok(statements[7] === '<http://example.org/base/a> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <http://example.org/T> <http://example.org/g>');
+    test.ok(statements[8] === '_:g3 <http://www.w3.org/1999/02/22-rdf-syntax-ns#first> "1"^^<http://www.w3.org/2001/XMLSchema#integer> <http://example.org/g>');
+    test.ok(statements[9] === '_:g3 <http://www.w3.org/1999/02/22-rdf-syntax-ns#rest> _:g4 <http://example.org/g>');
+    test.ok(statements[10] === '_:g4 <http://www.w3.org/1999/02/22-rdf-syntax-ns#first> _:bx <http://example.org/g>');
+    test.ok(statements[11] === '_:g4 <http://www.w3.org/1999/02/22-rdf-syntax-ns#rest> <http://www.w3.org/1999/02/22-rdf-syntax-ns#nil> <http://example.org/g>');
+    test.ok(statements[12] === '_:g2 <http://example.org/r> _:g3 <http://example.org/g>');
+    test.ok(statements[13] === '_:g1 <http://example.org/q> _:g2 <http://example.org/g>');
+    test.ok(statements[14] === '<http://example.org/local.name> <http://example.org/p> <http://www.w3.org/1999/02/22-rdf-syntax-ns#nil> <http://example.org/g>');
+    test.done();
+};
+
+exports.testErrors = function(test) {
+    var errors = {
+        'ex:a ex:b ex:c .': "Syntax error at line 1, column 1: undefined prefix 'ex:'",
+        '<a> <b> <c> .\n<g> { <b> <c> <d> . ': "Syntax error at line 2, column 21: expected a subject before the end of the document",
+        '<a> <b> """x\ny""" ,\n   zz .': "Syntax error at line 3, column 4: unexpected 'zz'",
+        '<a> <b> "unterminated .': "Syntax error at line 1, column 9: unexpected '\"unterminated'",
+        '<g> { <a> <b> <c> } .': "Syntax error at line 1, column 21: expected a subject"
+    };
+
+    for(var data in errors) {
+        try {
+            TriGParser.parser.parse(data, null, {});
+            test.ok(false);
+        } catch(e) {
+            test.ok(e.message === errors[data]);
+        }
+    }
+    test.done();
+};
+
+exports.testStreamParsing = function(test) {
+    var data = '@prefix : <http://example.org/> .\n\
+:a :p "one", """two\n\
+lines""" .\n\
+:g { :b :q ( 1 2 ) }\n\
+:c :r [ :s 3.5 ] .\n';
+    var whole = TriGParser.parser.parse(data, "http://example.org/default", {});
+
+    // every possible split of the document produces the same quads
+    var same = true;
+    for(var i=0; i<=data.length; i++) {
+        var parser = TriGParser.parser.stream("http://example.org/default", {});
+        var quads = parser.parseChunk(data.substring(0, i));
+        quads = quads.concat(parser.parseChunk(data.substring(i)));
+        quads = quads.concat(parser.end());
+        if(JSON.stringify(quads) !== JSON.stringify(whole)) {
+            same = false;
+        }
+    }
+    test.ok(same);
+
+    var parser = TriGParser.parser.stream(null, {});
+    test.ok(parser.parseChunk('@prefix : <http://example.org/> .\n:a :p :b .\n:a :p').length === 1);
+    test.ok(parser.line() === 2);
+    try {
+        parser.parseChunk(' :c ;\n  ; zz');
+        parser.parseChunk(' .\n');
+        test.ok(false);
+    } catch(e) {
+        test.ok(e.message === "Syntax error at line 4, column 5: unexpected 'zz'");
+    }
+    test.done();
+};
@@ -0,0 +1,63 @@
+// exports
+exports.AccessControl = {};
+var AccessControl = exports.AccessControl;
+
+/**
+ * Access control list restricting the graphs that can be read and
+ * modified by a query or update request.
+ *
+ * The rules are an object with two optional arrays of graphs:
+ *
+ *  - read: graphs whose triples can be matched by the patterns
+ *    of queries and update operations.
+ *  - write: graphs where triples can be inserted or removed.
+ *
+ * Graphs are identified by their URI, 'default' identifies the
+ * default graph and '*' any graph. A graph missing in a list
+ * cannot be accessed in that mode.
+ */
+AccessControl.AccessControl = function(rules) {
+    rules = rules || {};
+    this.rules = {read: {}, write: {}};
+
+    for(var mode in this.rules) {
+        var graphs = rules[mode] || [];
+        if(typeof(graphs) === 'string') {
+            graphs = [graphs];
+        }
+        for(var i=0; i<graphs.length; i++) {
+            this.rules[mode][graphs[i]] = true;
+        }
+    }
+};
+
+/**
+ * Builds an access control list from a rules object, or returns
+ * the argument if it is already an access control list.
+ */
+AccessControl.build = function(acl) {
+    if(acl == null || acl instanceof AccessControl.AccessControl) {
+        return acl;
+    } else {
+        return new AccessControl.AccessControl(acl);
+    }
+};
+
+/**
+ * Checks if the graph can be accessed in a mode: 'read' or 'write'.
+ *
+ * @param {String} graph URI of the graph or 'default' for the default graph
+ * @param {String} mode
+ */
+AccessControl.AccessControl.prototype.allows = function(graph, mode) {
+    var graphs = this.rules[mode];
+    return graphs != null && (graphs['*'] === true || graphs[graph] === true);
+};
+
+AccessControl.AccessControl.prototype.canRead = function(graph) {
+    return this.allows(graph, 'read');
+};
+
+AccessControl.AccessControl.prototype.canWrite = function(graph) {
+    return this.allows(graph, 'write');
+};
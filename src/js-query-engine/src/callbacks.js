@@ -181,43 +181,56 @@ Callbacks.CallbacksBackend.prototype.unsubscribeEmpty = function(event, callback
     this.emptyNotificationsMap[event] = callbacks;
 };
 
+/**
+ * Normalizes a quad with the lexicon of the engine, which is accessed
+ * through callbacks if the engine sets 'asyncLexicon'.
+ */
+Callbacks.CallbacksBackend.prototype._normalizeQuad = function(quad, queryEnv, callback) {
+    if(this.engine.asyncLexicon === true) {
+        this.engine.normalizeQuad(quad, queryEnv, true, callback);
+    } else {
+        callback(this.engine.normalizeQuad(quad, queryEnv, true));
+    }
+};
+
 Callbacks.CallbacksBackend.prototype.subscribe = function(s,p,o,g,callback, doneCallback) {
     var quad = this._tokenizeComponents(s,p,o,g);
     var queryEnv = {blanks:{}, outCache:{}};
     this.engine.registerNsInEnvironment(null, queryEnv);
     var that = this;
-    var normalized = this.engine.normalizeQuad(quad, queryEnv, true);
-    var pattern =  new QuadIndexCommon.Pattern(normalized);        
-    var indexKey = that._indexForPattern(pattern);
-    var indexOrder = that.componentOrders[indexKey];
-    var index = that.indexMap[indexKey];
-    for(var i=0; i<indexOrder.length; i++) {
-        var component = indexOrder[i];
-        var quadValue = normalized[component];
-        if(quadValue === '_') {
-            if(index['_'] == null) {
-                index['_'] = [];
-            }
-            that.callbackCounter++;
-            index['_'].push(that.callbackCounter);
-            that.callbacksMap[that.callbackCounter] = callback;
-            that.callbacksInverseMap[callback] = that.callbackCounter;
-            break;
-        } else {
-            if(i===indexOrder.length-1) {
-                index[quadValue] = index[quadValue] || {'_':[]};
+    this._normalizeQuad(quad, queryEnv, function(normalized) {
+        var pattern =  new QuadIndexCommon.Pattern(normalized);        
+        var indexKey = that._indexForPattern(pattern);
+        var indexOrder = that.componentOrders[indexKey];
+        var index = that.indexMap[indexKey];
+        for(var i=0; i<indexOrder.length; i++) {
+            var component = indexOrder[i];
+            var quadValue = normalized[component];
+            if(quadValue === '_') {
+                if(index['_'] == null) {
+                    index['_'] = [];
+                }
                 that.callbackCounter++;
-                index[quadValue]['_'].push(that.callbackCounter);
+                index['_'].push(that.callbackCounter);
                 that.callbacksMap[that.callbackCounter] = callback;
                 that.callbacksInverseMap[callback] = that.callbackCounter;
+                break;
             } else {
-                index[quadValue] = index[quadValue] || {};
-                index = index[quadValue];
+                if(i===indexOrder.length-1) {
+                    index[quadValue] = index[quadValue] || {'_':[]};
+                    that.callbackCounter++;
+                    index[quadValue]['_'].push(that.callbackCounter);
+                    that.callbacksMap[that.callbackCounter] = callback;
+                    that.callbacksInverseMap[callback] = that.callbackCounter;
+                } else {
+                    index[quadValue] = index[quadValue] || {};
+                    index = index[quadValue];
+                }
             }
         }
-    }
-    if(doneCallback != null)
-        doneCallback(true);
+        if(doneCallback != null)
+            doneCallback(true);
+    });
 };
 
 Callbacks.CallbacksBackend.prototype.unsubscribe = function(callback) {
@@ -375,50 +388,52 @@ Callbacks.CallbacksBackend.prototype.observeQuery = function(query, callback, en
     this.queriesList.push(counter);
     this.queriesCallbacksMap[counter] = callback;
 
-    for(var i=0; i<patterns.length; i++) {
-        quad = patterns[i];
+    Utils.repeat(0, patterns.length, function(k, e) {
+        var floop = arguments.callee;
+        quad = patterns[e._i];
         if(quad.graph == null) {
             quad.graph = that.engine.lexicon.defaultGraphUriTerm;
         }
 
-        var normalized = that.engine.normalizeQuad(quad, queryEnv, true);
-        pattern =  new QuadIndexCommon.Pattern(normalized);        
-        indexKey = that._indexForPattern(pattern);
-        indexOrder = that.componentOrders[indexKey];
-        index = that.queriesIndexMap[indexKey];
-
-        for(var j=0; j<indexOrder.length; j++) {
-            var component = indexOrder[j];
-            var quadValue = normalized[component];
-            if(typeof(quadValue) === 'string') {
-                if(index['_'] == null) {
-                    index['_'] = [];
-                }
-                index['_'].push(counter);
-                break;
-            } else {
-                if(j===indexOrder.length-1) {
-                    index[quadValue] = index[quadValue] || {'_':[]};
-                    index[quadValue]['_'].push(counter);
+        that._normalizeQuad(quad, queryEnv, function(normalized) {
+            pattern =  new QuadIndexCommon.Pattern(normalized);        
+            indexKey = that._indexForPattern(pattern);
+            indexOrder = that.componentOrders[indexKey];
+            index = that.queriesIndexMap[indexKey];
+
+            for(var j=0; j<indexOrder.length; j++) {
+                var component = indexOrder[j];
+                var quadValue = normalized[component];
+                if(typeof(quadValue) === 'string') {
+                    if(index['_'] == null) {
+                        index['_'] = [];
+                    }
+                    index['_'].push(counter);
+                    break;
                 } else {
-                    index[quadValue] = index[quadValue] || {};
-                    index = index[quadValue];
+                    if(j===indexOrder.length-1) {
+                        index[quadValue] = index[quadValue] || {'_':[]};
+                        index[quadValue]['_'].push(counter);
+                    } else {
+                        index[quadValue] = index[quadValue] || {};
+                        index = index[quadValue];
+                    }
                 }
             }
-        }
-
-    }
+            k(floop, e);
+        });
+    }, function(e) {
+        that.engine.execute(query, function(success, results){
+            if(success){
+                callback(results);
+            } else {
+                console.log("ERROR in query callback "+results);
+            }                                             
+        });
 
-    this.engine.execute(query, function(success, results){
-        if(success){
-            callback(results);
-        } else {
-            console.log("ERROR in query callback "+results);
-        }                                             
+        if(endCallback != null)
+            endCallback();
     });
-
-    if(endCallback != null)
-        endCallback();
 };
 
 Callbacks.CallbacksBackend.prototype.stopObservingQuery = function(query) {
@@ -0,0 +1,121 @@
+// exports
+exports.DescribeStrategies = {};
+var DescribeStrategies = exports.DescribeStrategies;
+
+//imports
+var Utils = require("./../../js-trees/src/utils").Utils;
+
+/**
+ * Strategies used to build the description of a resource in a DESCRIBE query.
+ *
+ * A strategy is a function(oid, context, callback) receiving the OID
+ * of the resource being described and a context object provided by
+ * the query engine with the functions:
+ *
+ *  - match(pattern, callback): invokes callback with the list of quads
+ *    (OIDs) in the queried dataset matching a {subject, object} pattern.
+ *    Missing components are considered unbound.
+ *  - isBlank(oid): true if the OID identifies a blank node.
+ *
+ * The strategy must invoke the callback with the list of quads
+ * describing the resource.
+ */
+
+/**
+ * Builds the closure of a resource following the blank nodes
+ * reachable from it. If incoming is true, triples where the
+ * resource is the object are also included.
+ */
+DescribeStrategies.blankNodeClosure = function(oid, context, incoming, callback) {
+    var visited = {};
+    var pending = [oid];
+    var acum = [];
+    visited[oid] = true;
+
+    var collect = function(quads, component) {
+        for(var i=0; i<quads.length; i++) {
+            var quad = quads[i];
+            acum.push(quad);
+            var next = quad[component];
+            if(visited[next] !== true && context.isBlank(next)) {
+                visited[next] = true;
+                pending.push(next);
+            }
+        }
+    };
+
+    var loop = function() {
+        if(pending.length === 0) {
+            callback(acum);
+        } else {
+            var current = pending.shift();
+            context.match({subject: current}, function(quads) {
+                collect(quads, 'object');
+                if(incoming) {
+                    context.match({object: current}, function(quads) {
+                        collect(quads, 'subject');
+                        Utils.recur(loop);
+                    });
+                } else {
+                    Utils.recur(loop);
+                }
+            });
+        }
+    };
+
+    loop();
+};
+
+/**
+ * Concise Bounded Description: all the triples having the resource as
+ * subject plus, recursively, the descriptions of the blank nodes in
+ * object position.
+ */
+DescribeStrategies.cbd = function(oid, context, callback) {
+    DescribeStrategies.blankNodeClosure(oid, context, false, callback);
+};
+
+/**
+ * Symmetric Concise Bounded Description: like CBD but also including
+ * the triples having the resource as object, following the blank nodes
+ * in subject position.
+ */
+DescribeStrategies.scbd = function(oid, context, callback) {
+    DescribeStrategies.blankNodeClosure(oid, context, true, callback);
+};
+
+/**
+ * Only the triples having the resource as subject.
+ */
+DescribeStrategies.simple = function(oid, context, callback) {
+    context.match({subject: oid}, callback);
+};
+
+/**
+ * Returns the strategy function for a strategy name or function.
+ * Unknown strategy names return null.
+ */
+DescribeStrategies.resolve = function(strategy) {
+    if(typeof(strategy) === 'function') {
+        return strategy;
+    } else if(strategy == null) {
+        return DescribeStrategies.cbd;
+    } else if(DescribeStrategies.registered[strategy] != null) {
+        return DescribeStrategies.registered[strategy];
+    } else {
+        return null;
+    }
+};
+
+/**
+ * Makes a strategy available by name.
+ */
+DescribeStrategies.register = function(name, strategy) {
+    DescribeStrategies.registered[name] = strategy;
+};
+
+DescribeStrategies.registered = {
+    'cbd': DescribeStrategies.cbd,
+    'scbd': DescribeStrategies.scbd,
+    'simple': DescribeStrategies.simple
+};
@@ -0,0 +1,97 @@
+// exports
+exports.ExecutionControl = {};
+var ExecutionControl = exports.ExecutionControl;
+
+/**
+ * Handle controlling the execution of a query or update request.
+ *
+ * The options object can contain:
+ *
+ *  - timeout: maximum number of milliseconds the request can be
+ *    executing.
+ *  - maxBindings: maximum number of intermediate bindings the
+ *    request can build, e.g. the solutions of a join or a path.
+ *
+ * The request can be aborted at any time invoking cancel.
+ * The engines check the handle while the request is evaluated,
+ * failing with an error message once it has been interrupted.
+ */
+ExecutionControl.ExecutionControl = function(options) {
+    options = options || {};
+    this.timeout = (options.timeout > 0 ? options.timeout : null);
+    this.maxBindings = (options.maxBindings > 0 ? options.maxBindings : null);
+    this.deadline = null;
+    this.cancelled = false;
+    this.interrupted = null;
+};
+
+/**
+ * Builds the execution handle for the options of a request,
+ * returning the 'control' handle of the options if there is one.
+ */
+ExecutionControl.build = function(options) {
+    options = options || {};
+    if(options.control instanceof ExecutionControl.ExecutionControl) {
+        return options.control;
+    } else {
+        return new ExecutionControl.ExecutionControl(options);
+    }
+};
+
+/**
+ * Error thrown when the execution of a request is interrupted.
+ */
+ExecutionControl.Interrupted = function(message) {
+    this.name = 'Interrupted';
+    this.message = message;
+};
+
+ExecutionControl.Interrupted.prototype = new Error();
+
+/**
+ * Starts counting the time the request has been executing.
+ */
+ExecutionControl.ExecutionControl.prototype.start = function() {
+    if(this.timeout != null && this.deadline == null) {
+        this.deadline = new Date().getTime() + this.timeout;
+    }
+};
+
+/**
+ * Aborts the execution of the request.
+ */
+ExecutionControl.ExecutionControl.prototype.cancel = function() {
+    this.cancelled = true;
+};
+
+/**
+ * Returns the reason why the request must be interrupted or null if the
+ * execution can continue. Once interrupted, the same reason is always
+ * returned.
+ *
+ * @param {Number} [bindings] number of intermediate bindings built so far
+ */
+ExecutionControl.ExecutionControl.prototype.interruption = function(bindings) {
+    if(this.interrupted == null) {
+        if(this.cancelled) {
+            this.interrupted = "query cancelled";
+        } else if(this.maxBindings != null && bindings > this.maxBindings) {
+            this.interrupted = "binding limit exceeded: more than " + this.maxBindings + " intermediate bindings";
+        } else if(this.deadline != null && new Date().getTime() > this.deadline) {
+            this.interrupted = "query timeout: execution exceeded " + this.timeout + " ms";
+        }
+    }
+    return this.interrupted;
+};
+
+/**
+ * Throws an Interrupted error if the request must be interrupted.
+ *
+ * @param {Number} [bindings] number of intermediate bindings built so far
+ */
+ExecutionControl.ExecutionControl.prototype.check = function(bindings) {
+    var interruption = this.interruption(bindings);
+    if(interruption != null) {
+        throw new ExecutionControl.Interrupted(interruption);
+    }
+};
@@ -0,0 +1,339 @@
+// exports
+exports.Hashes = {};
+var Hashes = exports.Hashes;
+
+/**
+ * Message digests used by the MD5 and SHA* SPARQL functions.
+ * Implemented in plain Javascript so they are available in
+ * every environment. All the functions receive a string,
+ * hash its UTF-8 encoding and return the digest as an hex string.
+ */
+
+Hashes.utf8Bytes = function(str) {
+    var encoded = unescape(encodeURIComponent(str));
+    var bytes = [];
+    for(var i=0; i<encoded.length; i++) {
+        bytes.push(encoded.charCodeAt(i));
+    }
+    return bytes;
+};
+
+Hashes.toHex = function(words, bigEndian) {
+    var hex = "";
+    for(var i=0; i<words.length; i++) {
+        for(var j=0; j<4; j++) {
+            var shift = bigEndian ? (24 - j*8) : (j*8);
+            var b = (words[i] >>> shift) & 0xff;
+            hex = hex + (b < 16 ? "0" : "") + b.toString(16);
+        }
+    }
+    return hex;
+};
+
+/**
+ * Pads the message and splits it in blocks of 32 bits words.
+ * blockSize is the size in bytes of every block, the length of the
+ * message is appended as a lengthSize bytes integer.
+ */
+Hashes.pad = function(bytes, blockSize, lengthSize, bigEndian) {
+    var length = bytes.length;
+    var padded = bytes.concat([0x80]);
+    while((padded.length % blockSize) !== (blockSize - lengthSize)) {
+        padded.push(0);
+    }
+
+    var bitLength = length * 8;
+    var lengthBytes = [];
+    for(var i=0; i<lengthSize; i++) {
+        // only lengths up to 2^53 bits are supported
+        lengthBytes.push(Math.floor(bitLength / Math.pow(2, 8*i)) & 0xff);
+    }
+    if(bigEndian) {
+        lengthBytes.reverse();
+    }
+    padded = padded.concat(lengthBytes);
+
+    var words = [];
+    for(var i=0; i<padded.length; i+=4) {
+        if(bigEndian) {
+            words.push(((padded[i] << 24) | (padded[i+1] << 16) | (padded[i+2] << 8) | padded[i+3]) >>> 0);
+        } else {
+            words.push((padded[i] | (padded[i+1] << 8) | (padded[i+2] << 16) | (padded[i+3] << 24)) >>> 0);
+        }
+    }
+    return words;
+};
+
+Hashes.rotl = function(x, n) {
+    return (x << n) | (x >>> (32 - n));
+};
+
+Hashes.rotr = function(x, n) {
+    return (x >>> n) | (x << (32 - n));
+};
+
+Hashes.MD5_S = [7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+                5,  9, 14, 20, 5,  9, 14, 20, 5,  9, 14, 20, 5,  9, 14, 20,
+                4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+                6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21];
+
+Hashes.MD5_K = (function() {
+    var k = [];
+    for(var i=0; i<64; i++) {
+        k.push(Math.floor(Math.abs(Math.sin(i + 1)) * 4294967296) >>> 0);
+    }
+    return k;
+})();
+
+Hashes.md5 = function(str) {
+    var words = Hashes.pad(Hashes.utf8Bytes(str), 64, 8, false);
+    var h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+
+    for(var block=0; block<words.length; block+=16) {
+        var a = h[0], b = h[1], c = h[2], d = h[3];
+        for(var i=0; i<64; i++) {
+            var f, g;
+            if(i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if(i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5*i + 1) % 16;
+            } else if(i < 48) {
+                f = b ^ c ^ d;
+                g = (3*i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7*i) % 16;
+            }
+            var tmp = d;
+            d = c;
+            c = b;
+            b = (b + Hashes.rotl((a + f + Hashes.MD5_K[i] + words[block+g]) | 0, Hashes.MD5_S[i])) | 0;
+            a = tmp;
+        }
+        h[0] = (h[0] + a) | 0;
+        h[1] = (h[1] + b) | 0;
+        h[2] = (h[2] + c) | 0;
+        h[3] = (h[3] + d) | 0;
+    }
+
+    return Hashes.toHex(h, false);
+};
+
+Hashes.sha1 = function(str) {
+    var words = Hashes.pad(Hashes.utf8Bytes(str), 64, 8, true);
+    var h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+    var w = [];
+
+    for(var block=0; block<words.length; block+=16) {
+        for(var i=0; i<80; i++) {
+            if(i < 16) {
+                w[i] = words[block+i];
+            } else {
+                w[i] = Hashes.rotl(w[i-3] ^ w[i-8] ^ w[i-14] ^ w[i-16], 1);
+            }
+        }
+        var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4];
+        for(var i=0; i<80; i++) {
+            var f, k;
+            if(i < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5a827999;
+            } else if(i < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ed9eba1;
+            } else if(i < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8f1bbcdc;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xca62c1d6;
+            }
+            var tmp = (Hashes.rotl(a, 5) + f + e + k + w[i]) | 0;
+            e = d;
+            d = c;
+            c = Hashes.rotl(b, 30);
+            b = a;
+            a = tmp;
+        }
+        h[0] = (h[0] + a) | 0;
+        h[1] = (h[1] + b) | 0;
+        h[2] = (h[2] + c) | 0;
+        h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0;
+    }
+
+    return Hashes.toHex(h, true);
+};
+
+Hashes.SHA256_K = [0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+                   0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+                   0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+                   0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+                   0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+                   0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+                   0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+                   0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2];
+
+Hashes.sha256 = function(str) {
+    var words = Hashes.pad(Hashes.utf8Bytes(str), 64, 8, true);
+    var h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    var w = [];
+
+    for(var block=0; block<words.length; block+=16) {
+        for(var i=0; i<64; i++) {
+            if(i < 16) {
+                w[i] = words[block+i];
+            } else {
+                var s0 = Hashes.rotr(w[i-15], 7) ^ Hashes.rotr(w[i-15], 18) ^ (w[i-15] >>> 3);
+                var s1 = Hashes.rotr(w[i-2], 17) ^ Hashes.rotr(w[i-2], 19) ^ (w[i-2] >>> 10);
+                w[i] = (w[i-16] + s0 + w[i-7] + s1) | 0;
+            }
+        }
+        var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+        for(var i=0; i<64; i++) {
+            var S1 = Hashes.rotr(e, 6) ^ Hashes.rotr(e, 11) ^ Hashes.rotr(e, 25);
+            var ch = (e & f) ^ (~e & g);
+            var t1 = (hh + S1 + ch + Hashes.SHA256_K[i] + w[i]) | 0;
+            var S0 = Hashes.rotr(a, 2) ^ Hashes.rotr(a, 13) ^ Hashes.rotr(a, 22);
+            var maj = (a & b) ^ (a & c) ^ (b & c);
+            var t2 = (S0 + maj) | 0;
+            hh = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        h[0] = (h[0] + a) | 0;
+        h[1] = (h[1] + b) | 0;
+        h[2] = (h[2] + c) | 0;
+        h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0;
+        h[5] = (h[5] + f) | 0;
+        h[6] = (h[6] + g) | 0;
+        h[7] = (h[7] + hh) | 0;
+    }
+
+    return Hashes.toHex(h, true);
+};
+
+// SHA-384 and SHA-512 work with 64 bits words stored as [high, low] pairs
+
+Hashes.SHA512_K = [
+    0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+    0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+    0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+    0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+    0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+    0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+    0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+    0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+    0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+    0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+    0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+    0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+    0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+    0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+    0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+    0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+    0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+    0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+    0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+    0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817];
+
+Hashes.add64 = function() {
+    var lo = 0, hi = 0;
+    for(var i=0; i<arguments.length; i++) {
+        lo = lo + (arguments[i][1] >>> 0);
+        hi = hi + (arguments[i][0] >>> 0);
+    }
+    hi = hi + Math.floor(lo / 4294967296);
+    return [hi >>> 0, lo >>> 0];
+};
+
+Hashes.rotr64 = function(x, n) {
+    if(n < 32) {
+        return [((x[0] >>> n) | (x[1] << (32 - n))) >>> 0,
+                ((x[1] >>> n) | (x[0] << (32 - n))) >>> 0];
+    } else {
+        n = n - 32;
+        return [((x[1] >>> n) | (x[0] << (32 - n))) >>> 0,
+                ((x[0] >>> n) | (x[1] << (32 - n))) >>> 0];
+    }
+};
+
+Hashes.shr64 = function(x, n) {
+    return [x[0] >>> n, ((x[1] >>> n) | (x[0] << (32 - n))) >>> 0];
+};
+
+Hashes.xor64 = function(a, b, c) {
+    return [(a[0] ^ b[0] ^ c[0]) >>> 0, (a[1] ^ b[1] ^ c[1]) >>> 0];
+};
+
+Hashes.sha512Digest = function(str, initial, outputWords) {
+    var words = Hashes.pad(Hashes.utf8Bytes(str), 128, 16, true);
+    var h = [];
+    for(var i=0; i<8; i++) {
+        h.push([initial[2*i], initial[2*i+1]]);
+    }
+    var w = [];
+
+    for(var block=0; block<words.length; block+=32) {
+        for(var i=0; i<80; i++) {
+            if(i < 16) {
+                w[i] = [words[block+2*i], words[block+2*i+1]];
+            } else {
+                var s0 = Hashes.xor64(Hashes.rotr64(w[i-15], 1), Hashes.rotr64(w[i-15], 8), Hashes.shr64(w[i-15], 7));
+                var s1 = Hashes.xor64(Hashes.rotr64(w[i-2], 19), Hashes.rotr64(w[i-2], 61), Hashes.shr64(w[i-2], 6));
+                w[i] = Hashes.add64(w[i-16], s0, w[i-7], s1);
+            }
+        }
+        var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+        for(var i=0; i<80; i++) {
+            var S1 = Hashes.xor64(Hashes.rotr64(e, 14), Hashes.rotr64(e, 18), Hashes.rotr64(e, 41));
+            var ch = [((e[0] & f[0]) ^ (~e[0] & g[0])) >>> 0, ((e[1] & f[1]) ^ (~e[1] & g[1])) >>> 0];
+            var t1 = Hashes.add64(hh, S1, ch, [Hashes.SHA512_K[2*i], Hashes.SHA512_K[2*i+1]], w[i]);
+            var S0 = Hashes.xor64(Hashes.rotr64(a, 28), Hashes.rotr64(a, 34), Hashes.rotr64(a, 39));
+            var maj = [((a[0] & b[0]) ^ (a[0] & c[0]) ^ (b[0] & c[0])) >>> 0,
+                       ((a[1] & b[1]) ^ (a[1] & c[1]) ^ (b[1] & c[1])) >>> 0];
+            var t2 = Hashes.add64(S0, maj);
+            hh = g;
+            g = f;
+            f = e;
+            e = Hashes.add64(d, t1);
+            d = c;
+            c = b;
+            b = a;
+            a = Hashes.add64(t1, t2);
+        }
+        h[0] = Hashes.add64(h[0], a);
+        h[1] = Hashes.add64(h[1], b);
+        h[2] = Hashes.add64(h[2], c);
+        h[3] = Hashes.add64(h[3], d);
+        h[4] = Hashes.add64(h[4], e);
+        h[5] = Hashes.add64(h[5], f);
+        h[6] = Hashes.add64(h[6], g);
+        h[7] = Hashes.add64(h[7], hh);
+    }
+
+    var output = [];
+    for(var i=0; i<outputWords/2; i++) {
+        output.push(h[i][0]);
+        output.push(h[i][1]);
+    }
+    return Hashes.toHex(output, true);
+};
+
+Hashes.sha384 = function(str) {
+    return Hashes.sha512Digest(str, [0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17, 0x152fecd8, 0xf70e5939,
+                                     0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511, 0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4], 12);
+};
+
+Hashes.sha512 = function(str) {
+    return Hashes.sha512Digest(str, [0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+                                     0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179], 16);
+};
@@ -0,0 +1,2361 @@
+// exports
+exports.IndexedDBQueryEngine = {};
+var IndexedDBQueryEngine = exports.IndexedDBQueryEngine;
+
+//imports
+var Utils = require("./../../js-trees/src/utils").Utils;
+var QuadIndexCommon = require("./../../js-rdf-persistence/src/quad_index_common").QuadIndexCommon;
+var QueryEngine = require("./query_engine").QueryEngine;
+var QueryPlanAsync = require("./query_plan_async").QueryPlanAsync;
+var QueryFilters = require("./query_filters").QueryFilters;
+var RDFJSInterface = require("./rdf_js_interface").RDFJSInterface;
+var Callbacks = require("./callbacks.js").Callbacks;
+var DescribeStrategies = require("./describe_strategies").DescribeStrategies;
+var AccessControl = require("./access_control").AccessControl;
+var ExecutionControl = require("./execution_control").ExecutionControl;
+var QueryExplain = require("./query_explain").QueryExplain;
+var SparqlResults = require("../../js-communication/src/sparql_results").SparqlResults;
+
+/**
+ * Query engine over the IndexedDB lexicon and the asynchronous quad
+ * backend. Terms and index nodes are read from the database on demand,
+ * so every access to the lexicon and the indices receives a callback.
+ * The operators of the SPARQL algebra are evaluated as in the MongoDB
+ * engine; before the expressions, the ordering and the projection of
+ * the solutions are evaluated, the terms of their OIDs are read into
+ * the 'outCache' of the query environment, see retrieveTerms.
+ *
+ * @param params: lexicon, backend and the options of QueryEngine
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine = function(params) {
+    if(arguments.length != 0) {
+        QueryEngine.QueryEngine.call(this, params);
+    }
+};
+
+Utils.extends(QueryEngine.QueryEngine, IndexedDBQueryEngine.IndexedDBQueryEngine);
+
+/**
+ * The indices cannot be read as they were before a transaction,
+ * queries wait for the transaction to finish.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.snapshot = null;
+
+/**
+ * The lexicon is accessed through callbacks, see Callbacks.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.asyncLexicon = true;
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.close = function(cb) {
+    var that = this;
+    this.lexicon.close(function() {
+        that.backend.close(cb);
+    });
+};
+
+// Transactions
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.beginTransaction = function() {
+    this.backend.holdWrites();
+    this.callbacksBackend.startGraphModification();
+    return {updateLog: []};
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.commitTransaction = function(transaction, callback) {
+    var that = this;
+    this._commitUpdate(transaction, function() {
+        that.backend.releaseWrites();
+        that.callbacksBackend.endGraphModification(function(){
+            callback(true);
+        });
+    });
+};
+
+/**
+ * Undoes all the changes of the transaction.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.rollbackTransaction = function(transaction, callback) {
+    var that = this;
+    this._rollbackUpdate(transaction, function() {
+        that.backend.releaseWrites();
+        that.callbacksBackend.cancelGraphModification();
+        callback(true);
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.checkIntegrity = function(callback) {
+    var that = this;
+    this.backend.checkIntegrity(function(result) {
+        that.lexicon.checkIntegrity(result.quads, function(errors) {
+            errors = result.errors.concat(errors);
+            callback(true, {valid: errors.length === 0, errors: errors, quads: result.quads.length});
+        });
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.registeredGraphs = function(shouldReturnUris, callback) {
+    this.lexicon.registeredGraphs(shouldReturnUris, callback);
+};
+
+// Utils
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.termCost = function(term, env, callback) {
+    if(term.token === 'uri') {
+        var uri = Utils.lexicalFormBaseUri(term, env);
+        if(uri == null) {
+            callback(0);
+        } else {
+            this.lexicon.resolveUriCost(uri, callback);
+        }
+    } else if(term.token === 'literal') {
+        this.lexicon.resolveLiteralCost(Utils.lexicalFormLiteral(term, env), callback);
+    } else if(term.token === 'blank') {
+        this.lexicon.resolveBlankCost(term.value, callback);
+    } else if(term.token === 'var') {
+        callback(this.lexicon.oidCounter/3);
+    } else {
+        callback(null);
+    }
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.quadCost = function(quad, queryEnv, callback) {
+    var that = this;
+    var cost = 0;
+    var components = ['subject', 'predicate', 'object', 'graph'];
+    Utils.repeat(0, components.length, function(k, e) {
+        var floop = arguments.callee;
+        var term = quad[components[e._i]];
+        if(term == null) {
+            // the default graph
+            cost = cost + that.lexicon.oidCounter/4;
+            k(floop, e);
+        } else {
+            that.termCost(term, queryEnv, function(termCost) {
+                cost = cost + termCost;
+                k(floop, e);
+            });
+        }
+    }, function(e) {
+        callback(cost);
+    });
+};
+
+/**
+ * Computes the cost of the quads of a BGP. Without a callback the
+ * quads are returned as they are, with the costs computed before
+ * the query plan is explained.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.computeCosts = function(quads, queryEnv, callback) {
+    if(callback == null) {
+        return quads;
+    }
+    var that = this;
+    Utils.repeat(0, quads.length, function(k, e) {
+        var floop = arguments.callee;
+        that.quadCost(quads[e._i], queryEnv, function(cost) {
+            quads[e._i]['_cost'] = cost;
+            k(floop, e);
+        });
+    }, function(e) {
+        callback(quads);
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.normalizeTerm = function(term, env, shouldIndex, callback) {
+    var resolved = function(oid) {
+        callback(oid);
+    };
+    if(term.token === 'uri') {
+        var uri = Utils.lexicalFormBaseUri(term, env);
+        if(uri == null) {
+            callback(null);
+        } else if(shouldIndex) {
+            this.lexicon.registerUri(uri, callback);
+        } else {
+            this.lexicon.resolveUri(uri, resolved);
+        }
+    } else if(term.token === 'literal') {
+        var lexicalFormLiteral = Utils.lexicalFormLiteral(term, env);
+        if(shouldIndex) {
+            this.lexicon.registerLiteral(lexicalFormLiteral, callback);
+        } else {
+            this.lexicon.resolveLiteral(lexicalFormLiteral, resolved);
+        }
+    } else if(term.token === 'blank') {
+        var label = term.value;
+        var oid = env.blanks[label];
+        if(oid != null) {
+            if(shouldIndex) {
+                this.lexicon.referenceBlank(oid, function() {
+                    callback(oid);
+                });
+            } else {
+                callback(oid);
+            }
+        } else {
+            var registered = function(oid) {
+                env.blanks[label] = oid;
+                callback(oid);
+            };
+            if(shouldIndex) {
+                this.lexicon.registerBlank(label, registered);
+            } else {
+                this.lexicon.resolveBlank(label, registered);
+            }
+        }
+    } else if(term.token === 'var') {
+        callback(term.value);
+    } else {
+        callback(null);
+    }
+};
+
+/**
+ * Normalizes a term computed during the execution of the query,
+ * see QueryEngine.normalizeComputedTerm.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.normalizeComputedTerm = function(term, env, callback) {
+    var computed = function(key, term) {
+        env.computed = env.computed || {};
+        if(env.computed[key] == null) {
+            env.computed[key] = term;
+        }
+        callback(env.computed[key]);
+    };
+    if(term.token === 'uri') {
+        var uri = Utils.lexicalFormBaseUri(term, env);
+        this.lexicon.resolveUri(uri, function(oid) {
+            if(oid !== -1) {
+                callback(oid);
+            } else {
+                computed('u' + uri, {token: 'uri', value: uri});
+            }
+        });
+    } else if(term.token === 'literal') {
+        var that = this;
+        var lexicalFormLiteral = Utils.lexicalFormLiteral(term, env);
+        this.lexicon.resolveLiteral(lexicalFormLiteral, function(oid) {
+            if(oid !== -1) {
+                callback(oid);
+            } else {
+                computed('l' + lexicalFormLiteral, that.lexicon.parseLiteral(lexicalFormLiteral));
+            }
+        });
+    } else {
+        computed(Utils.hashTerm(term), term);
+    }
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.normalizeDatasets = function(datasets, outerEnv, callback) {
+    var that = this;
+    var success = true;
+    Utils.repeat(0, datasets.length, function(k, e) {
+        var floop = arguments.callee;
+        var dataset = datasets[e._i];
+        if(dataset.value === that.lexicon.defaultGraphUri) {
+            dataset.oid = that.lexicon.defaultGraphOid;
+            k(floop, e);
+        } else {
+            that.normalizeTerm(dataset, outerEnv, false, function(oid) {
+                if(oid != null) {
+                    dataset.oid = oid;
+                } else {
+                    success = false;
+                }
+                k(floop, e);
+            });
+        }
+    }, function(e) {
+        callback(success);
+    });
+};
+
+/**
+ * Passes the OIDs of the components of the quad to the callback,
+ * or null if a component cannot be normalized.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.normalizeQuad = function(quad, queryEnv, shouldIndex, callback) {
+    var that = this;
+    var normalized = {};
+    var failed = false;
+    var components = ['graph', 'subject', 'predicate', 'object'];
+    Utils.repeat(0, components.length, function(k, e) {
+        var floop = arguments.callee;
+        var component = components[e._i];
+        if(failed) {
+            return k(floop, e);
+        }
+        if(component === 'graph' && quad.graph == null) {
+            normalized.graph = that.lexicon.defaultGraphOid;
+            return k(floop, e);
+        }
+        that.normalizeTerm(quad[component], queryEnv, shouldIndex, function(oid) {
+            if(oid == null) {
+                failed = true;
+                k(floop, e);
+            } else {
+                normalized[component] = oid;
+                if(component === 'graph' && shouldIndex === true && quad.graph.token != 'var') {
+                    that.lexicon.registerGraph(oid, function() {
+                        k(floop, e);
+                    });
+                } else {
+                    k(floop, e);
+                }
+            }
+        });
+    }, function(e) {
+        if(failed) {
+            callback(null);
+        } else {
+            callback({subject: normalized.subject,
+                      predicate: normalized.predicate,
+                      object: normalized.object,
+                      graph: normalized.graph});
+        }
+    });
+};
+
+/**
+ * Reads the terms of the OIDs that are not in the 'outCache' of the
+ * environment yet. The bindings can then be denormalized without
+ * accessing the lexicon, see copyDenormalizedBindings.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.retrieveTerms = function(oids, env, callback) {
+    var that = this;
+    var missing = [];
+    var found = {};
+    for(var i=0; i<oids.length; i++) {
+        var oid = oids[i];
+        if(oid != null && typeof(oid) !== 'object' && env.outCache[oid] == null && found[oid] !== true) {
+            found[oid] = true;
+            missing.push(oid);
+        }
+    }
+
+    var error = null;
+    Utils.repeat(0, missing.length, function(k, e) {
+        var floop = arguments.callee;
+        var oid = missing[e._i];
+        that.lexicon.retrieve(oid, function(term) {
+            if(term == null) {
+                error = "OID "+oid+" is not registered in the lexicon";
+            } else {
+                env.outCache[oid] = term;
+                if(term.token === 'blank') {
+                    env.blanks[term.value] = oid;
+                }
+            }
+            k(floop, e);
+        });
+    }, function(e) {
+        if(error != null) {
+            callback(false, error);
+        } else {
+            callback(true);
+        }
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.retrieveBindings = function(bindingsList, env, callback) {
+    var oids = [];
+    for(var i=0; i<bindingsList.length; i++) {
+        for(var p in bindingsList[i]) {
+            oids.push(bindingsList[i][p]);
+        }
+    }
+    this.retrieveTerms(oids, env, callback);
+};
+
+/**
+ * The terms of the OIDs must have been read before, see retrieveTerms.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.copyDenormalizedBindings = function(bindingsList, out, callback) {
+    var denormList = [];
+    for(var i=0; i<bindingsList.length; i++) {
+        var denorm = {};
+        var bindings = bindingsList[i];
+        for(var p in bindings) {
+            var oid = bindings[p];
+            if(oid == null) {
+                denorm[p] = null;
+            } else if(typeof(oid) === 'object') {
+                denorm[p] = oid;
+            } else {
+                denorm[p] = out[oid];
+            }
+        }
+        denormList.push(denorm);
+    }
+    return denormList;
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.denormalizeBindings = function(bindings, env, callback) {
+    for(var p in bindings) {
+        var oid = bindings[p];
+        if(oid != null && typeof(oid) !== 'object') {
+            bindings[p] = env.outCache[oid];
+        }
+    }
+    return bindings;
+};
+
+/**
+ * The terms of the graph OIDs are read from the 'outCache' of
+ * the environment, see retrieveTerms.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.aclGraph = function(graph, queryEnv) {
+    if(graph != null && typeof(graph) !== 'object' && graph !== this.lexicon.defaultGraphOid) {
+        return queryEnv.outCache[graph].value;
+    }
+    return QueryEngine.QueryEngine.prototype.aclGraph.call(this, graph, queryEnv);
+};
+
+// Expressions
+
+/**
+ * Collects the EXISTS and NOT EXISTS expressions in an expression,
+ * without the ones nested in their patterns.
+ */
+IndexedDBQueryEngine.existsExpressions = function(node, acum) {
+    if(node == null || typeof(node) !== 'object') {
+        return acum;
+    }
+    if(node.expressionType === 'builtincall' && (node.builtincall === 'exists' || node.builtincall === 'notexists')) {
+        acum.push(node);
+    } else {
+        for(var p in node) {
+            IndexedDBQueryEngine.existsExpressions(node[p], acum);
+        }
+    }
+    return acum;
+};
+
+/**
+ * Prepares the evaluation of expressions over a list of bindings:
+ * the terms of the bindings are read and the patterns of the EXISTS
+ * expressions are evaluated for every solution, so the expressions
+ * can be evaluated by QueryFilters without accessing the lexicon.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.prepareExpressions = function(expressions, bindingsList, dataset, env, callback) {
+    var that = this;
+    this.retrieveBindings(bindingsList, env, function(success, error) {
+        if(!success) {
+            return callback(false, error);
+        }
+        var exists = IndexedDBQueryEngine.existsExpressions(expressions, []);
+        if(exists.length === 0 || bindingsList.length === 0) {
+            return callback(true);
+        }
+
+        var denormList = that.copyDenormalizedBindings(bindingsList, env.outCache);
+        var patterns = [];
+        for(var i=0; i<exists.length; i++) {
+            for(var j=0; j<denormList.length; j++) {
+                var cloned = JSON.parse(JSON.stringify(exists[i].args[0]));
+                var ast = that.abstractQueryTree.parseSelect({pattern:cloned}, denormList[j]);
+                patterns.push(that.abstractQueryTree.bind(ast.pattern, denormList[j]));
+            }
+        }
+
+        env.existsResults = env.existsResults || {};
+        var failure = null;
+        Utils.repeat(0, patterns.length, function(k, e) {
+            var floop = arguments.callee;
+            // the key is computed before the pattern is evaluated
+            var key = JSON.stringify(patterns[e._i]);
+            if(failure != null || env.existsResults[key] != null) {
+                return k(floop, e);
+            }
+            that.executeSelectUnit([ {kind:'*'} ], dataset, patterns[e._i], env, function(success, result) {
+                if(success) {
+                    env.existsResults[key] = result;
+                } else {
+                    failure = result;
+                }
+                k(floop, e);
+            });
+        }, function(e) {
+            if(failure != null) {
+                callback(false, failure);
+            } else {
+                callback(true);
+            }
+        });
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.checkFilters = function(pattern, bindings, nullify, dataset, env, callback) {
+    if(pattern.filter == null || pattern.length != null) {
+        return callback(true, bindings);
+    }
+    var that = this;
+    this.prepareExpressions(pattern.filter, bindings, dataset, env, function(success, error) {
+        if(success) {
+            callback(true, QueryFilters.checkFilters(pattern, bindings, nullify, dataset, env, that));
+        } else {
+            callback(false, error);
+        }
+    });
+};
+
+// Queries execution
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeSelect = function(unit, env, defaultDataset, namedDataset, callback) {
+    if(unit.kind === "select" || unit.kind === "ask" || unit.kind === "construct" || unit.kind === "modify" || unit.kind === "describe") {
+        var projection = unit.projection;
+        var dataset    = unit.dataset;
+        var modifier   = unit.modifier;
+        var limit      = unit.limit;
+        var offset     = unit.offset;
+        var order      = unit.order;
+        var that = this;
+
+        if(defaultDataset != null || namedDataset != null) {
+            dataset.implicit = defaultDataset || [];
+            dataset.named   = namedDataset || [];
+        }
+
+        if(dataset.implicit != null && dataset.implicit.length === 0 && dataset.named !=null && dataset.named.length === 0) {
+            // We add the default graph to the default merged graph
+            dataset.implicit.push(this.lexicon.defaultGraphUriTerm);
+        }
+
+        this.normalizeDatasets(dataset.implicit.concat(dataset.named), env, function(success) {
+            if(!success) {
+                return callback(false, "Error normalizing datasets");
+            }
+            that.executeSelectUnit(projection, dataset, unit.pattern, env, function(success, result) {
+                if(!success) {
+                    return callback(false, result);
+                }
+                // detect single group
+                if(unit.group!=null && unit.group === "") {
+                    for(var i=0; i<unit.projection.length; i++) {
+                        if(unit.projection[i].expression!=null && QueryFilters.containsAggregate(unit.projection[i].expression)) {
+                            unit.group = 'singleGroup';
+                            break;
+                        }
+                    }
+                }
+                if(unit.group && unit.group != "") {
+                    if(that.checkGroupSemantics(unit.group,projection)) {
+                        that.aggregateSolution(unit.group, projection, result, dataset, env, function(success, aggregatedBindings) {
+                            if(success) {
+                                callback(true, {'bindings': aggregatedBindings, 'denorm':true});
+                            } else {
+                                callback(false, aggregatedBindings);
+                            }
+                        });
+                    } else {
+                        callback(false, "Incompatible Group and Projection variables");
+                    }
+                } else {
+                    // the terms of all the solutions are read, so they can be denormalized
+                    that.prepareExpressions([order, projection], result, dataset, env, function(success, error) {
+                        if(!success) {
+                            return callback(false, error);
+                        }
+                        var orderedBindings = that.applyOrderBy(order, result, dataset, env);
+                        var projectedBindings = that.projectBindings(projection, orderedBindings, dataset, env);
+                        var modifiedBindings = that.applyModifier(modifier, projectedBindings);
+                        var limitedBindings  = that.applyLimitOffset(offset, limit, modifiedBindings);
+                        callback(true, that.removeDefaultGraphBindings(limitedBindings, dataset));
+                    });
+                }
+            });
+        });
+    } else {
+        callback(false,"Cannot execute " + unit.kind + " query as a select query");
+    }
+};
+
+/**
+ * Groups the solutions and evaluates the aggregates of the projection
+ * for every group.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.aggregateSolution = function(group, projection, bindings, dataset, env, callback) {
+    var that = this;
+    this.prepareExpressions(group, bindings, dataset, env, function(success, error) {
+        if(!success) {
+            return callback(false, error);
+        }
+        var groupedBindings = that.groupSolution(bindings, group, dataset, env);
+        var grouped = [];
+        for(var i=0; i<groupedBindings.length; i++) {
+            grouped = grouped.concat(groupedBindings[i]);
+        }
+        that.prepareExpressions(projection, grouped, dataset, env, function(success, error) {
+            if(!success) {
+                return callback(false, error);
+            }
+            var aggregatedBindings = [];
+            for(var i=0; i<groupedBindings.length; i++) {
+                aggregatedBindings.push(that.aggregateBindings(projection, groupedBindings[i], dataset, env));
+            }
+            callback(true, aggregatedBindings);
+        });
+    });
+};
+
+/**
+ * Here, all the constructions of the SPARQL algebra are handled.
+ * Without a callback, the solutions of the pattern of an EXISTS
+ * expression evaluated by prepareExpressions are returned.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeSelectUnit = function(projection, dataset, pattern, env, callback) {
+    if(callback == null) {
+        var result = (env.existsResults || {})[JSON.stringify(pattern)];
+        if(result == null) {
+            throw new Error("Cannot evaluate the pattern of an EXISTS expression synchronously");
+        }
+        return result;
+    }
+
+    var interruption = this.executionInterruption(env);
+    if(interruption != null) {
+        return callback(false, interruption);
+    }
+
+    if(pattern.kind === "BGP") {
+        this.executeAndBGP(projection, dataset, pattern, env, callback);
+    } else if(pattern.kind === "UNION") {
+        this.executeUNION(projection, dataset, pattern.value, env, callback);
+    } else if(pattern.kind === "JOIN") {
+        this.executeJOIN(projection, dataset, pattern, env, callback);
+    } else if(pattern.kind === "LEFT_JOIN") {
+        this.executeLEFT_JOIN(projection, dataset, pattern, env, callback);
+    } else if(pattern.kind === "FILTER") {
+        // Some components may have the filter inside the unit
+        var that = this;
+        this.executeSelectUnit(projection, dataset, pattern.value, env, function(success, results){
+            if(success) {
+                that.checkFilters(pattern, results, false, dataset, env, callback);
+            } else {
+                callback(false, results);
+            }
+        });
+    } else if(pattern.kind === "EMPTY_PATTERN") {
+        // as an example of this case  check DAWG test case: algebra/filter-nested-2
+        callback(true, []);
+    } else if(pattern.kind === "PATH") {
+        this.executePATH(pattern, dataset, env, null, callback);
+    } else if(pattern.kind === "EXTEND") {
+        this.executeEXTEND(projection, dataset, pattern, env, callback);
+    } else if(pattern.kind === "VALUES") {
+        this.executeVALUES(pattern, env, callback);
+    } else if(pattern.kind === "SUBSELECT") {
+        this.executeSUBSELECT(dataset, pattern.value, env, callback);
+    } else if(pattern.kind === "SERVICE") {
+        this.executeSERVICE(pattern, env, callback);
+    } else if(pattern.kind === "MINUS") {
+        this.executeMINUS(projection, dataset, pattern, env, callback);
+    } else {
+        callback(false, "Cannot execute query pattern " + pattern.kind + ". Not implemented yet.");
+    }
+};
+
+/**
+ * Normalizes the values of a list of bindings computed by the query,
+ * see normalizeComputedTerm.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.normalizeComputedBindings = function(bindingsList, env, callback) {
+    var that = this;
+    var acum = [];
+    Utils.repeat(0, bindingsList.length, function(k, e) {
+        var floop = arguments.callee;
+        var bindings = {};
+        var values = bindingsList[e._i];
+        var variables = Utils.keys(values);
+        Utils.repeat(0, variables.length, function(kv, ev) {
+            var vloop = arguments.callee;
+            var value = values[variables[ev._i]];
+            if(value == null || QueryFilters.isEbvError(value)) {
+                // unbound variables are not part of the solution
+                kv(vloop, ev);
+            } else if(typeof(value) === 'object') {
+                that.normalizeComputedTerm(value, env, function(normalized) {
+                    bindings[variables[ev._i]] = normalized;
+                    kv(vloop, ev);
+                });
+            } else {
+                bindings[variables[ev._i]] = value;
+                kv(vloop, ev);
+            }
+        }, function(ev) {
+            acum.push(bindings);
+            k(floop, e);
+        });
+    }, function(e) {
+        callback(true, acum);
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeEXTEND = function(projection, dataset, pattern, env, callback) {
+    var that = this;
+    var extend = function(bindings) {
+        that.prepareExpressions([pattern.expression], bindings, dataset, env, function(success, error) {
+            if(!success) {
+                return callback(false, error);
+            }
+            var results = QueryFilters.collect(pattern.expression, bindings, dataset, env, that);
+            var acum = [];
+            Utils.repeat(0, results.length, function(k, e) {
+                var floop = arguments.callee;
+                var extended = {};
+                for(var p in results[e._i].binding) {
+                    extended[p] = results[e._i].binding[p];
+                }
+                acum.push(extended);
+                var value = results[e._i].value;
+                // errors in the expression leave the variable unbound
+                if(value != null && typeof(value) === 'object' && !QueryFilters.isEbvError(value)) {
+                    that.normalizeComputedTerm(value, env, function(normalized) {
+                        extended[pattern.variable.value] = normalized;
+                        k(floop, e);
+                    });
+                } else {
+                    k(floop, e);
+                }
+            }, function(e) {
+                callback(true, acum);
+            });
+        });
+    };
+
+    if(pattern.value.kind === 'EMPTY_PATTERN') {
+        // BIND at the beginning of a group extends the empty solution
+        extend([{}]);
+    } else {
+        this.executeSelectUnit(projection, dataset, pattern.value, env, function(success, results){
+            if(success) {
+                extend(results);
+            } else {
+                callback(false, results);
+            }
+        });
+    }
+};
+
+/**
+ * Evaluates a nested SELECT query. Only the projected variables
+ * are returned, normalized so they can be joined with the bindings
+ * of the outer query.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeSUBSELECT = function(dataset, unit, env, callback) {
+    var that = this;
+    var project = function(projectedBindings) {
+        var modifiedBindings = that.applyModifier(unit.modifier, projectedBindings);
+        var limitedBindings = that.applyLimitOffset(unit.offset, unit.limit, modifiedBindings);
+        that.normalizeComputedBindings(limitedBindings, env, callback);
+    };
+
+    this.executeSelectUnit(unit.projection, dataset, unit.pattern, env, function(success, result){
+        if(!success) {
+            return callback(false, result);
+        }
+
+        var group = unit.group;
+        if(group == null || group === "") {
+            group = null;
+            for(var i=0; i<unit.projection.length; i++) {
+                if(unit.projection[i].expression!=null && QueryFilters.containsAggregate(unit.projection[i].expression)) {
+                    group = 'singleGroup';
+                    break;
+                }
+            }
+        }
+
+        if(group != null) {
+            if(!that.checkGroupSemantics(group, unit.projection)) {
+                return callback(false, "Incompatible Group and Projection variables");
+            }
+            that.aggregateSolution(group, unit.projection, result, dataset, env, function(success, aggregatedBindings) {
+                if(!success) {
+                    return callback(false, aggregatedBindings);
+                }
+                that.prepareExpressions(unit.order, aggregatedBindings, dataset, env, function(success, error) {
+                    if(success) {
+                        project(that.applyOrderBy(unit.order, aggregatedBindings, dataset, env));
+                    } else {
+                        callback(false, error);
+                    }
+                });
+            });
+        } else {
+            that.prepareExpressions([unit.order, unit.projection], result, dataset, env, function(success, error) {
+                if(success) {
+                    var orderedBindings = that.applyOrderBy(unit.order, result, dataset, env);
+                    project(that.projectBindings(unit.projection, orderedBindings, dataset, env));
+                } else {
+                    callback(false, error);
+                }
+            });
+        }
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeSERVICE = function(pattern, env, callback) {
+    if(pattern.endpoint.token === 'var') {
+        if(pattern.silent) {
+            callback(true, [{}]);
+        } else {
+            callback(false, "Unbound SERVICE endpoint variable ?"+pattern.endpoint.value);
+        }
+    } else {
+        this.serviceBindings(Utils.lexicalFormBaseUri(pattern.endpoint, env), pattern, env, callback);
+    }
+};
+
+/**
+ * Evaluates a SERVICE pattern whose endpoint is a variable for every
+ * endpoint bound to the variable in the solutions of the left side of a join.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeVariableSERVICE = function(bindings, pattern, env, callback) {
+    var that = this;
+    var variable = pattern.endpoint.value;
+    this.retrieveBindings(bindings, env, function(success, error) {
+        if(!success) {
+            return callback(false, error);
+        }
+        var endpoints = [];
+        var values = {};
+        for(var i=0; i<bindings.length; i++) {
+            var value = bindings[i][variable];
+            if(value == null) {
+                continue;
+            }
+            var key = (typeof(value) === 'object') ? Utils.hashTerm(value) : value;
+            if(values[key] == null) {
+                values[key] = true;
+                var term = that.copyDenormalizedBindings([bindings[i]], env.outCache)[0][variable];
+                if(term.token === 'uri') {
+                    endpoints.push({uri: term.value, value: value});
+                }
+            }
+        }
+
+        var acum = [];
+        var failure = null;
+        Utils.repeat(0, endpoints.length, function(k, e) {
+            var floop = arguments.callee;
+            var endpoint = endpoints[e._i];
+            that.serviceBindings(endpoint.uri, pattern, env, function(success, results) {
+                if(success) {
+                    for(var j=0; j<results.length; j++) {
+                        results[j][variable] = endpoint.value;
+                        acum.push(results[j]);
+                    }
+                } else {
+                    failure = results;
+                }
+                k(floop, e);
+            });
+        }, function(e) {
+            if(failure != null) {
+                callback(false, failure);
+            } else {
+                callback(true, acum);
+            }
+        });
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.serviceBindings = function(endpoint, pattern, env, callback) {
+    var that = this;
+    var query = "";
+    if(env.base != null) {
+        query = query + "BASE <"+env.base+">\n";
+    }
+    for(var prefix in env.namespaces) {
+        query = query + "PREFIX "+prefix+": <"+env.namespaces[prefix]+">\n";
+    }
+    query = query + "SELECT * WHERE " + pattern.text;
+
+    SparqlResults.query(this.rdfLoader.getNetworkTransport(), endpoint, query, function(success, results) {
+        if(success && typeof(results) === 'boolean') {
+            success = false;
+            results = "SPARQL endpoint "+endpoint+" did not return a list of solutions";
+        }
+        if(!success) {
+            if(pattern.silent) {
+                // a failing silent SERVICE returns the empty solution
+                callback(true, [{}]);
+            } else {
+                callback(false, results);
+            }
+        } else {
+            that.normalizeComputedBindings(results, env, callback);
+        }
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeVALUES = function(pattern, env, callback) {
+    var rows = [];
+    for(var i=0; i<pattern.rows.length; i++) {
+        var row = {};
+        for(var j=0; j<pattern.variables.length; j++) {
+            // UNDEF values leave the variable unbound
+            if(pattern.rows[i][j] != null) {
+                row[pattern.variables[j]] = pattern.rows[i][j];
+            }
+        }
+        rows.push(row);
+    }
+    this.normalizeComputedBindings(rows, env, callback);
+};
+
+/**
+ * Evaluates a property path pattern, see QueryEngine.executePATH.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executePATH = function(pattern, dataset, env, bindings, callback) {
+    var that = this;
+    var graphSets = [];
+    var graphVar = null;
+
+    Utils.seq(function(k) {
+        if(pattern.graph == null) {
+            // the default graph is the merge of all the default graphs
+            var oids = [];
+            for(var i=0; i<dataset.implicit.length; i++) {
+                if(!Utils.include(oids, dataset.implicit[i].oid)) {
+                    oids.push(dataset.implicit[i].oid);
+                }
+            }
+            graphSets.push({oids: oids});
+            k();
+        } else if(pattern.graph.token === 'var') {
+            graphVar = pattern.graph.value;
+            var duplicates = {};
+            for(var i=0; i<dataset.named.length; i++) {
+                if(duplicates[dataset.named[i].oid] == null) {
+                    duplicates[dataset.named[i].oid] = true;
+                    graphSets.push({oids: [dataset.named[i].oid], graph: dataset.named[i].oid});
+                }
+            }
+            k();
+        } else {
+            that.normalizeTerm(pattern.graph, env, false, function(oid) {
+                graphSets.push({oids: [oid]});
+                k();
+            });
+        }
+    }, function(k) {
+        // the graphs are checked against the access control list
+        var oids = [];
+        for(var i=0; i<graphSets.length; i++) {
+            oids = oids.concat(graphSets[i].oids);
+        }
+        if(env.acl == null) {
+            return k();
+        }
+        that.retrieveTerms(oids, env, function(success, error) {
+            if(success) {
+                k();
+            } else {
+                callback(false, error);
+            }
+        });
+    })(function() {
+        bindings = bindings || [{}];
+        var evaluated = {};
+        var tasks = [];
+        Utils.repeat(0, graphSets.length * bindings.length, function(k, e) {
+            var floop = arguments.callee;
+            var graphSet = graphSets[Math.floor(e._i / bindings.length)];
+            var solution = bindings[e._i % bindings.length];
+            if(graphVar != null && solution[graphVar] != null && solution[graphVar] !== graphSet.graph) {
+                return k(floop, e);
+            }
+            that.pathEndPoint(pattern.x, solution, env, function(x) {
+                that.pathEndPoint(pattern.y, solution, env, function(y) {
+                    var key = graphSets.indexOf(graphSet) + " " + (x.node == null ? "?" : that.pathNodeKey(x.node)) + " " + (y.node == null ? "?" : that.pathNodeKey(y.node));
+                    if(evaluated[key] !== true) {
+                        evaluated[key] = true;
+                        tasks.push({graphSet: graphSet, x: x, y: y});
+                    }
+                    k(floop, e);
+                });
+            });
+        }, function(e) {
+            var acum = [];
+            var failure = null;
+            Utils.repeat(0, tasks.length, function(k, e) {
+                var floop = arguments.callee;
+                var task = tasks[e._i];
+                if(failure != null) {
+                    return k(floop, e);
+                }
+                that.pathSolutions(pattern.path, task.x, task.y, that.readableGraphs(task.graphSet.oids, env), env, function(success, solutions) {
+                    if(success) {
+                        for(var i=0; i<solutions.length; i++) {
+                            if(graphVar != null) {
+                                solutions[i][graphVar] = task.graphSet.graph;
+                            }
+                            acum.push(solutions[i]);
+                        }
+                        failure = that.executionInterruption(env, acum.length);
+                    } else {
+                        failure = solutions;
+                    }
+                    k(floop, e);
+                });
+            }, function(e) {
+                if(failure != null) {
+                    callback(false, failure);
+                } else {
+                    callback(true, acum);
+                }
+            });
+        });
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.pathEndPoint = function(term, bindings, env, callback) {
+    if(term.token === 'var' || term.token === 'blank') {
+        // blank nodes in patterns behave as variables
+        var variable = (term.token === 'var' ? term.value : "blank:"+term.value);
+        callback({variable: variable, node: bindings[variable]});
+    } else {
+        this.normalizeComputedTerm(term, env, function(node) {
+            callback({node: node});
+        });
+    }
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.pathSolutions = function(path, x, y, graphs, env, callback) {
+    var that = this;
+    var solutions = [];
+    if(x.node != null) {
+        this.pathFrom(path, x.node, false, graphs, env, function(success, ends) {
+            if(!success) {
+                return callback(false, ends);
+            }
+            for(var i=0; i<ends.length; i++) {
+                if(y.node == null || that.pathNodeKey(y.node) === that.pathNodeKey(ends[i])) {
+                    var solution = {};
+                    if(x.variable != null) {
+                        solution[x.variable] = x.node;
+                    }
+                    if(y.variable != null) {
+                        solution[y.variable] = ends[i];
+                    }
+                    solutions.push(solution);
+                }
+            }
+            callback(true, solutions);
+        });
+    } else if(y.node != null) {
+        this.pathFrom(path, y.node, true, graphs, env, function(success, ends) {
+            if(!success) {
+                return callback(false, ends);
+            }
+            for(var i=0; i<ends.length; i++) {
+                var solution = {};
+                solution[x.variable] = ends[i];
+                if(y.variable != null) {
+                    solution[y.variable] = y.node;
+                }
+                solutions.push(solution);
+            }
+            callback(true, solutions);
+        });
+    } else {
+        // both end points are variables, the path is evaluated from every node in the graph
+        this.pathGraphNodes(graphs, function(success, nodes) {
+            if(!success) {
+                return callback(false, nodes);
+            }
+            var failure = null;
+            Utils.repeat(0, nodes.length, function(k, e) {
+                var floop = arguments.callee;
+                var node = nodes[e._i];
+                if(failure != null) {
+                    return k(floop, e);
+                }
+                failure = that.executionInterruption(env, solutions.length);
+                if(failure != null) {
+                    return k(floop, e);
+                }
+                that.pathFrom(path, node, false, graphs, env, function(success, ends) {
+                    if(!success) {
+                        failure = ends;
+                        return k(floop, e);
+                    }
+                    for(var j=0; j<ends.length; j++) {
+                        var solution = {};
+                        if(x.variable === y.variable) {
+                            if(ends[j] === node) {
+                                solution[x.variable] = node;
+                                solutions.push(solution);
+                            }
+                        } else {
+                            solution[x.variable] = node;
+                            solution[y.variable] = ends[j];
+                            solutions.push(solution);
+                        }
+                    }
+                    k(floop, e);
+                });
+            }, function(e) {
+                if(failure != null) {
+                    callback(false, failure);
+                } else {
+                    callback(true, solutions);
+                }
+            });
+        });
+    }
+};
+
+/**
+ * Returns the nodes reached following a path from a node, or
+ * following the inverse path if inverse is true.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.pathFrom = function(path, node, inverse, graphs, env, callback) {
+    var that = this;
+    if(path.token === 'uri') {
+        this.normalizeTerm(path, env, false, function(predicate) {
+            that.pathStep(node, predicate, null, inverse, graphs, callback);
+        });
+    } else if(path.kind === 'inversePath') {
+        this.pathFrom(path.value, node, !inverse, graphs, env, callback);
+    } else if(path.kind === 'sequence') {
+        var frontier = [node];
+        var failure = null;
+        Utils.repeat(0, path.value.length, function(k, e) {
+            var floop = arguments.callee;
+            var step = path.value[inverse ? path.value.length-1-e._i : e._i];
+            that.pathFromNodes(step, frontier, inverse, graphs, env, function(success, nodes) {
+                if(success) {
+                    frontier = nodes;
+                } else {
+                    failure = nodes;
+                    frontier = [];
+                }
+                k(floop, e);
+            });
+        }, function(e) {
+            if(failure != null) {
+                callback(false, failure);
+            } else {
+                callback(true, frontier);
+            }
+        });
+    } else if(path.kind === 'alternative') {
+        var acum = [];
+        var failure = null;
+        Utils.repeat(0, path.value.length, function(k, e) {
+            var floop = arguments.callee;
+            that.pathFrom(path.value[e._i], node, inverse, graphs, env, function(success, nodes) {
+                if(success) {
+                    acum = acum.concat(nodes);
+                } else {
+                    failure = nodes;
+                }
+                k(floop, e);
+            });
+        }, function(e) {
+            if(failure != null) {
+                callback(false, failure);
+            } else {
+                callback(true, that.pathDistinctNodes(acum));
+            }
+        });
+    } else if(path.kind === 'negatedPropertySet') {
+        var forward = [];
+        var backward = [];
+        Utils.repeat(0, path.value.length, function(k, e) {
+            var floop = arguments.callee;
+            that.normalizeTerm(path.value[e._i].value, env, false, function(oid) {
+                if(path.value[e._i].inverse) {
+                    backward.push(oid);
+                } else {
+                    forward.push(oid);
+                }
+                k(floop, e);
+            });
+        }, function(e) {
+            var forwardStep = function(k) {
+                if(forward.length > 0 || backward.length === 0) {
+                    that.pathStep(node, null, forward, inverse, graphs, k);
+                } else {
+                    k(true, []);
+                }
+            };
+            forwardStep(function(success, forwardNodes) {
+                if(!success) {
+                    return callback(false, forwardNodes);
+                }
+                if(backward.length > 0) {
+                    that.pathStep(node, null, backward, !inverse, graphs, function(success, backwardNodes) {
+                        if(success) {
+                            callback(true, that.pathDistinctNodes(forwardNodes.concat(backwardNodes)));
+                        } else {
+                            callback(false, backwardNodes);
+                        }
+                    });
+                } else {
+                    callback(true, forwardNodes);
+                }
+            });
+        });
+    } else if(path.kind === 'element') {
+        var min, max;
+        if(path.modifier === '*') {
+            min = 0; max = null;
+        } else if(path.modifier === '+') {
+            min = 1; max = null;
+        } else if(path.modifier === '?') {
+            min = 0; max = 1;
+        } else {
+            min = path.modifier.min; max = path.modifier.max;
+        }
+
+        // every node is only expanded once after the minimum number of steps
+        var reached = {};
+        var acum = [];
+        var expand = function(frontier, steps) {
+            if(steps === min) {
+                for(var i=0; i<frontier.length; i++) {
+                    reached[that.pathNodeKey(frontier[i])] = true;
+                    acum.push(frontier[i]);
+                }
+            }
+            if(frontier.length === 0 || (max != null && steps >= max)) {
+                return callback(true, acum);
+            }
+            var interruption = that.executionInterruption(env, acum.length);
+            if(interruption != null) {
+                return callback(false, interruption);
+            }
+            that.pathFromNodes(path.value, frontier, inverse, graphs, env, function(success, nodes) {
+                if(!success) {
+                    return callback(false, nodes);
+                }
+                if(steps < min) {
+                    expand(nodes, steps+1);
+                } else {
+                    var next = [];
+                    for(var i=0; i<nodes.length; i++) {
+                        var key = that.pathNodeKey(nodes[i]);
+                        if(reached[key] !== true) {
+                            reached[key] = true;
+                            acum.push(nodes[i]);
+                            next.push(nodes[i]);
+                        }
+                    }
+                    expand(next, steps+1);
+                }
+            });
+        };
+        expand([node], 0);
+    } else {
+        callback(false, "Unknown property path: "+path.kind);
+    }
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.pathFromNodes = function(path, nodes, inverse, graphs, env, callback) {
+    var that = this;
+    var acum = [];
+    var failure = null;
+    Utils.repeat(0, nodes.length, function(k, e) {
+        var floop = arguments.callee;
+        that.pathFrom(path, nodes[e._i], inverse, graphs, env, function(success, reached) {
+            if(success) {
+                acum = acum.concat(reached);
+            } else {
+                failure = reached;
+            }
+            k(floop, e);
+        });
+    }, function(e) {
+        if(failure != null) {
+            callback(false, failure);
+        } else {
+            callback(true, that.pathDistinctNodes(acum));
+        }
+    });
+};
+
+/**
+ * Returns the nodes linked to a node by a predicate in the graphs.
+ * If the predicate is null, any predicate not in the excluded list is followed.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.pathStep = function(node, predicate, excluded, inverse, graphs, callback) {
+    if(typeof(node) === 'object' || predicate === -1) {
+        // terms not stored in the lexicon have no triples
+        return callback(true, []);
+    }
+
+    var that = this;
+    var acum = [];
+    Utils.repeat(0, graphs.length, function(k, e) {
+        var floop = arguments.callee;
+        var pattern = {subject: 'subject', predicate: (predicate == null ? 'predicate' : predicate), object: 'object', graph: graphs[e._i]};
+        if(inverse) {
+            pattern.object = node;
+        } else {
+            pattern.subject = node;
+        }
+        that.backend.range(new QuadIndexCommon.Pattern(pattern), function(quads) {
+            quads = quads || [];
+            for(var i=0; i<quads.length; i++) {
+                if(excluded == null || !Utils.include(excluded, quads[i].predicate)) {
+                    acum.push(inverse ? quads[i].subject : quads[i].object);
+                }
+            }
+            k(floop, e);
+        });
+    }, function(e) {
+        callback(true, that.pathDistinctNodes(acum));
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.pathGraphNodes = function(graphs, callback) {
+    var that = this;
+    var acum = [];
+    Utils.repeat(0, graphs.length, function(k, e) {
+        var floop = arguments.callee;
+        that.backend.range(new QuadIndexCommon.Pattern({subject: 'subject', predicate: 'predicate', object: 'object', graph: graphs[e._i]}), function(quads) {
+            quads = quads || [];
+            for(var i=0; i<quads.length; i++) {
+                acum.push(quads[i].subject);
+                acum.push(quads[i].object);
+            }
+            k(floop, e);
+        });
+    }, function(e) {
+        callback(true, that.pathDistinctNodes(acum));
+    });
+};
+
+/**
+ * Evaluates the two sides of a binary operator one after the other.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype._executeSets = function(projection, dataset, setQuery1, setQuery2, env, callback) {
+    var that = this;
+    this.executeSelectUnit(projection, dataset, setQuery1, env, function(success, set1) {
+        if(!success) {
+            return callback(false, set1);
+        }
+        var onSet2 = function(success, set2) {
+            if(success) {
+                callback(true, set1, set2);
+            } else {
+                callback(false, set2);
+            }
+        };
+        if(setQuery2.kind === 'SERVICE' && setQuery2.endpoint.token === 'var') {
+            // the endpoints are taken from the solutions of the left side
+            that.executeVariableSERVICE(set1, setQuery2, env, onSet2);
+        } else if(setQuery2.kind === 'PATH') {
+            that.executePATH(setQuery2, dataset, env, set1, onSet2);
+        } else {
+            that.executeSelectUnit(projection, dataset, setQuery2, env, onSet2);
+        }
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeUNION = function(projection, dataset, patterns, env, callback) {
+    if(patterns.length != 2) {
+        throw("SPARQL algebra UNION with more than two components");
+    }
+
+    var that = this;
+    this.executeSelectUnit(projection, dataset, patterns[0], env, function(success, set1) {
+        if(!success) {
+            return callback(false, set1);
+        }
+        that.executeSelectUnit(projection, dataset, patterns[1], env, function(success, set2) {
+            if(!success) {
+                return callback(false, set2);
+            }
+            var result = QueryPlanAsync.unionBindings(set1, set2);
+            var interruption = that.executionInterruption(env, result.length);
+            if(interruption != null) {
+                return callback(false, interruption);
+            }
+            that.checkFilters(patterns, result, false, dataset, env, callback);
+        });
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeAndBGP = function(projection, dataset, patterns, env, callback) {
+    var that = this;
+    QueryPlanAsync.executeAndBGPsDPSize(patterns.value, dataset, this, env, function(success, result) {
+        if(success) {
+            that.checkFilters(patterns, result, false, dataset, env, callback);
+        } else {
+            callback(false, result);
+        }
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeLEFT_JOIN = function(projection, dataset, patterns, env, callback) {
+    var that = this;
+    this.executeSelectUnit(projection, dataset, patterns.lvalue, env, function(success, set1) {
+        if(!success) {
+            return callback(false, set1);
+        }
+        that.executeSelectUnit(projection, dataset, patterns.rvalue, env, function(success, set2) {
+            if(!success) {
+                return callback(false, set2);
+            }
+            var result = QueryPlanAsync.leftOuterJoinBindings(set1, set2);
+            var interruption = that.executionInterruption(env, result.length);
+            if(interruption != null) {
+                return callback(false, interruption);
+            }
+            that.checkFilters(patterns, result, true, dataset, env, function(success, bindings) {
+                if(!success) {
+                    return callback(false, bindings);
+                }
+                if(set1.length>1 && set2.length>1) {
+                    var vars = [];
+                    var vars1 = {};
+                    for(var p in set1[0]) {
+                        vars1[p] = true;
+                    }
+                    for(p in set2[0]) {
+                        if(vars1[p] != true) {
+                            vars.push(p);
+                        }
+                    }
+                    var acum = [];
+                    var duplicates = {};
+                    for(var i=0; i<bindings.length; i++) {
+                        if(bindings[i]["__nullify__"] === true) {
+                            for(var j=0; j<vars.length; j++) {
+                                bindings[i]["bindings"][vars[j]] = null;
+                            }
+                            var idx = [];
+                            var idxColl = [];
+                            for(var p in bindings[i]["bindings"]) {
+                                if(bindings[i]["bindings"][p] != null) {
+                                    idx.push(p+bindings[i]["bindings"][p]);
+                                    idx.sort();
+                                    idxColl.push(idx.join(""));
+                                }
+                            }
+                            // reject duplicates -> (set union)
+                            if(duplicates[idx.join("")]==null) {
+                                for(j=0; j<idxColl.length; j++) {
+                                    duplicates[idxColl[j]] = true;
+                                }
+                                acum.push(bindings[i]["bindings"]);
+                            }
+                        } else {
+                            acum.push(bindings[i]);
+                            var idx = [];
+                            for(var p in bindings[i]) {
+                                idx.push(p+bindings[i][p]);
+                                idx.sort();
+                                duplicates[idx.join("")] = true;
+                            }
+                        }
+                    }
+                    callback(true, acum);
+                } else {
+                    callback(true, bindings);
+                }
+            });
+        });
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeMINUS = function(projection, dataset, patterns, env, callback) {
+    var that = this;
+    this.executeSelectUnit(projection, dataset, patterns.lvalue, env, function(success, set1) {
+        if(!success) {
+            return callback(false, set1);
+        }
+        that.executeSelectUnit(projection, dataset, patterns.rvalue, env, function(success, set2) {
+            if(success) {
+                callback(true, QueryPlanAsync.minusBindings(set1, set2));
+            } else {
+                callback(false, set2);
+            }
+        });
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeJOIN = function(projection, dataset, patterns, env, callback) {
+    var that = this;
+    var setQuery1 = patterns.lvalue;
+    var setQuery2 = patterns.rvalue;
+    this._executeSets(projection, dataset, setQuery1, setQuery2, env, function(success, set1, set2) {
+        if(!success) {
+            return callback(false, set1);
+        }
+        var result = null;
+        if(set1.length ===0 || set2.length===0) {
+            result = [];
+        } else {
+            var commonVarsTmp = {};
+            var commonVars = [];
+            for(var p in set1[0])
+                commonVarsTmp[p] = false;
+            for(var p  in set2[0]) {
+                if(commonVarsTmp[p] === false)
+                    commonVars.push(p);
+            }
+
+            if(commonVars.length == 0) {
+                result = QueryPlanAsync.joinBindings(set1,set2);
+            } else if(that.abstractQueryTree.treeWithUnion(setQuery1) ||
+                      that.abstractQueryTree.treeWithUnion(setQuery2)) {
+                result = QueryPlanAsync.joinBindings(set1,set2);
+            } else if(that.abstractQueryTree.treeWithComputedBindings(setQuery1) ||
+                      that.abstractQueryTree.treeWithComputedBindings(setQuery2)) {
+                // solutions may leave variables unbound
+                result = QueryPlanAsync.joinBindings(set1,set2);
+            } else {
+                result = QueryPlanAsync.joinBindings2(commonVars, set1, set2);
+            }
+        }
+        var interruption = that.executionInterruption(env, result.length);
+        if(interruption != null) {
+            return callback(false, interruption);
+        }
+        that.checkFilters(patterns, result, false, dataset, env, callback);
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.rangeQuery = function(quad, queryEnv, callback) {
+    var that = this;
+    this.normalizeQuad(quad, queryEnv, false, function(key) {
+        if(key == null) {
+            return callback(false, "Cannot normalize quad");
+        }
+        that.backend.range(new QuadIndexCommon.Pattern(key), function(quads) {
+            quads = quads || [];
+            var interruption = that.executionInterruption(queryEnv, quads.length);
+            if(interruption != null) {
+                return callback(false, interruption);
+            }
+            if(queryEnv == null || queryEnv.acl == null || quads.length === 0) {
+                return callback(true, quads);
+            }
+            var graphs = [];
+            for(var i=0; i<quads.length; i++) {
+                graphs.push(quads[i].graph);
+            }
+            that.retrieveTerms(graphs, queryEnv, function(success, error) {
+                if(!success) {
+                    return callback(false, error);
+                }
+                var readable = [];
+                for(var i=0; i<quads.length; i++) {
+                    if(that.canAccessGraph(quads[i].graph, 'read', queryEnv)) {
+                        readable.push(quads[i]);
+                    }
+                }
+                callback(true, readable);
+            });
+        });
+    });
+};
+
+// Describe queries
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeDescribe = function(unit, env, defaultDataset, namedDataset, callback) {
+    var that = this;
+    var strategy = DescribeStrategies.resolve(this.describeStrategy);
+    if(strategy == null) {
+        return callback(false, "Unknown describe strategy "+this.describeStrategy);
+    }
+
+    var describeResources = function(oids) {
+        var graphs = [];
+        for(var i=0; i<unit.dataset.implicit.length; i++) {
+            // the terms of the dataset are checked, not their OIDs
+            if(that.canAccessGraph(unit.dataset.implicit[i], 'read', env)) {
+                graphs.push(unit.dataset.implicit[i]);
+            }
+        }
+        var context = {
+            match: function(pattern, callback) {
+                var acum = [];
+                Utils.repeat(0, graphs.length, function(k, e) {
+                    var floop = arguments.callee;
+                    var key = {subject: 'subject', predicate: 'predicate', object: 'object', graph: graphs[e._i].oid};
+                    // blank node OIDs are strings in the lexicon and the index
+                    // treats string components as variables, they are filtered
+                    // after the range query
+                    if(typeof(pattern.subject) === 'number') {
+                        key.subject = pattern.subject;
+                    }
+                    if(typeof(pattern.object) === 'number') {
+                        key.object = pattern.object;
+                    }
+                    that.backend.range(new QuadIndexCommon.Pattern(key), function(quads) {
+                        quads = quads || [];
+                        for(var j=0; j<quads.length; j++) {
+                            var quad = quads[j];
+                            if((pattern.subject == null || quad.subject == pattern.subject) &&
+                               (pattern.object == null || quad.object == pattern.object)) {
+                                acum.push(quad);
+                            }
+                        }
+                        k(floop, e);
+                    });
+                }, function(e) {
+                    var oids = [];
+                    for(var i=0; i<acum.length; i++) {
+                        oids.push(acum[i].subject, acum[i].predicate, acum[i].object);
+                    }
+                    // the terms of the quads are read before the strategy checks them
+                    that.retrieveTerms(oids, env, function(success, error) {
+                        callback(success ? acum : []);
+                    });
+                });
+            },
+            isBlank: function(oid) {
+                return env.outCache[oid] != null && env.outCache[oid].token === 'blank';
+            }
+        };
+
+        var graph = new RDFJSInterface.Graph();
+        var resource = function(oid) {
+            // terms are modified when they are converted
+            return RDFJSInterface.buildRDFResource(Utils.clone(env.outCache[oid]), {}, that, env);
+        };
+        Utils.repeat(0, oids.length, function(k, e) {
+            var floop = arguments.callee;
+            var interruption = that.executionInterruption(env);
+            if(interruption != null) {
+                return callback(false, interruption);
+            }
+            strategy(oids[e._i], context, function(quads) {
+                for(var i=0; i<quads.length; i++) {
+                    var quad = quads[i];
+                    graph.add(new RDFJSInterface.Triple(resource(quad.subject), resource(quad.predicate), resource(quad.object)));
+                }
+                k(floop, e);
+            });
+        }, function() {
+            callback(true, graph);
+        });
+    };
+
+    var addResource = function(oid, found, oids) {
+        if(oid != null && oid !== -1 && typeof(oid) !== 'object' && found[oid] !== true) {
+            if(env.outCache[oid].token !== 'literal') {
+                found[oid] = true;
+                oids.push(oid);
+            }
+        }
+    };
+
+    var describedIris = function(found, oids) {
+        var iris = [];
+        Utils.repeat(0, unit.resources.length, function(k, e) {
+            var floop = arguments.callee;
+            if(unit.resources[e._i].token !== 'uri') {
+                return k(floop, e);
+            }
+            that.normalizeTerm(unit.resources[e._i], env, false, function(oid) {
+                if(oid != null && oid !== -1) {
+                    iris.push(oid);
+                }
+                k(floop, e);
+            });
+        }, function(e) {
+            that.retrieveTerms(iris, env, function(success, error) {
+                if(!success) {
+                    return callback(false, error);
+                }
+                for(var i=0; i<iris.length; i++) {
+                    addResource(iris[i], found, oids);
+                }
+                describeResources(oids);
+            });
+        });
+    };
+
+    if(unit.pattern == null) {
+        var dataset = unit.dataset;
+        if(defaultDataset != null || namedDataset != null) {
+            dataset.implicit = defaultDataset || [];
+            dataset.named   = namedDataset || [];
+        }
+        if(dataset.implicit.length === 0 && dataset.named.length === 0) {
+            dataset.implicit.push(this.lexicon.defaultGraphUriTerm);
+        }
+        this.normalizeDatasets(dataset.implicit.concat(dataset.named), env, function(success) {
+            if(success) {
+                describedIris({}, []);
+            } else {
+                callback(false, "Error normalizing datasets");
+            }
+        });
+    } else {
+        unit.projection = [{"token": "variable", "kind": "*"}];
+        this.executeSelect(unit, env, defaultDataset, namedDataset, function(success, result) {
+            if(success) {
+                // the terms of the solutions have been read by executeSelect
+                var found = {};
+                var oids = [];
+                for(var i=0; i<result.length; i++) {
+                    var bindings = result[i];
+                    for(var j=0; j<unit.resources.length; j++) {
+                        var resource = unit.resources[j];
+                        if(resource.kind === '*') {
+                            for(var variable in bindings) {
+                                addResource(bindings[variable], found, oids);
+                            }
+                        } else if(resource.token === 'var') {
+                            addResource(bindings[resource.value], found, oids);
+                        }
+                    }
+                }
+                describedIris(found, oids);
+            } else {
+                callback(false, result);
+            }
+        });
+    }
+};
+
+// Query plans
+
+/**
+ * Describes how a query is evaluated without executing it, see
+ * QueryEngine.explain. The costs of the quads are computed before
+ * the plan is built, the option 'analyze' is not supported.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.explain = function(queryString, callback, defaultDataset, namedDataset, options) {
+    options = options || {};
+    if(options.analyze === true) {
+        return callback(false, "The analyze option is not supported by the IndexedDB engine");
+    }
+    queryString = Utils.normalizeUnicodeLiterals(queryString);
+
+    var syntaxTree = this.abstractQueryTree.parseQueryString(queryString);
+    if(syntaxTree == null) {
+        return callback(false,"Error parsing query string");
+    }
+    if(syntaxTree.token !== 'query' || syntaxTree.kind !== 'query') {
+        return callback(false, "Only SPARQL queries can be explained");
+    }
+
+    var control = ExecutionControl.build(options);
+    control.start();
+    var queryEnv = {blanks:{}, outCache:{}, acl: AccessControl.build(options.acl), control: control};
+    this.registerNsInEnvironment(syntaxTree.prologue, queryEnv);
+
+    var aqt;
+    try {
+        aqt = this.abstractQueryTree.parseExecutableUnit(syntaxTree.units[0]);
+    } catch(e) {
+        return callback(false, e.message);
+    }
+
+    var dataset = aqt.dataset;
+    if(defaultDataset != null || namedDataset != null) {
+        dataset.implicit = defaultDataset || [];
+        dataset.named   = namedDataset || [];
+    }
+    if(dataset.implicit.length === 0 && dataset.named.length === 0) {
+        dataset.implicit.push(this.lexicon.defaultGraphUriTerm);
+    }
+
+    var that = this;
+    this.normalizeDatasets(dataset.implicit.concat(dataset.named), queryEnv, function(success) {
+        if(!success) {
+            return callback(false, "Error normalizing datasets");
+        }
+        var plan = QueryExplain.node(aqt.kind, "");
+        if(aqt.pattern == null) {
+            return callback(true, {kind: aqt.kind, algebra: aqt, plan: plan, text: QueryExplain.render(plan)});
+        }
+        var quads = QueryExplain.patternQuads(aqt.pattern);
+        that.computeCosts(quads, queryEnv, function() {
+            var context = {engine: that, env: queryEnv, dataset: dataset,
+                           projection: (aqt.projection || [{token: 'variable', kind: '*'}]),
+                           quads: quads, analyze: false};
+            plan.children.push(QueryExplain.explainPattern(aqt.pattern, context));
+            callback(true, {kind: aqt.kind, algebra: aqt, plan: plan, text: QueryExplain.render(plan)});
+        });
+    });
+};
+
+// Update queries
+
+/**
+ * Executes all the operations in an update request, see
+ * QueryEngine.executeUpdate.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.executeUpdate = function(syntaxTree, callback, defaultDataset, namedDataset, acl, control, transaction) {
+    // graphs passed as the USING clauses of the operations
+    if(defaultDataset != null || namedDataset != null) {
+        this.abstractQueryTree.setUpdateDataset(syntaxTree, defaultDataset || [], namedDataset || []);
+    }
+
+    var that = this;
+    var updateLog = (transaction != null ? transaction.updateLog : []);
+    var mark = updateLog.length;
+    var queryEnv = {blanks:{}, outCache:{}, updateLog:updateLog, acl: acl, control: control, transaction: transaction};
+    this.registerNsInEnvironment(syntaxTree.prologue, queryEnv);
+
+    // the changes of the request are written in a single IndexedDB
+    // transaction, a crash cannot leave the request half written
+    this.backend.holdWrites();
+    this._executeUpdateUnits(syntaxTree.units, queryEnv, function(success, result) {
+        if(success && transaction != null) {
+            that.backend.releaseWrites();
+            callback(true);
+        } else if(success) {
+            that._commitUpdate(queryEnv, function() {
+                that.backend.releaseWrites();
+                callback(true);
+            });
+        } else {
+            that._rollbackUpdate(queryEnv, function() {
+                that.backend.releaseWrites();
+                callback(false, result);
+            }, mark);
+        }
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype._executeUpdateUnit = function(aqt, queryEnv, callback) {
+    var that = this;
+    if(aqt.kind === 'insertdata' || aqt.kind === 'deletedata') {
+        Utils.repeat(0, aqt.quads.length, function(k, e) {
+            var floop = arguments.callee;
+            var done = function(result, error) {
+                if(result === true) {
+                    k(floop, e);
+                } else {
+                    callback(false, error);
+                }
+            };
+            if(aqt.kind === 'insertdata') {
+                that._executeQuadInsert(aqt.quads[e._i], queryEnv, done);
+            } else {
+                that._executeQuadDelete(aqt.quads[e._i], queryEnv, done);
+            }
+        }, function(e) {
+            callback(true);
+        });
+    } else if(aqt.kind === 'load') {
+        var graph = {'uri': Utils.lexicalFormBaseUri(aqt.sourceGraph, queryEnv)};
+        if(aqt.destinyGraph != null) {
+            graph = {'uri': Utils.lexicalFormBaseUri(aqt.destinyGraph, queryEnv)};
+        }
+        if(!this.canAccessGraph({token: 'uri', value: graph.uri}, 'write', queryEnv)) {
+            return callback(false);
+        }
+        this.rdfLoader.load(aqt.sourceGraph.value, graph, function(success, result){
+            if(success == false) {
+                callback(false, "error batch loading quads");
+            } else {
+                that.batchLoad(result, function(success, counter) {
+                    callback(success, (success ? counter : "error batch loading quads"));
+                }, queryEnv);
+            }
+        });
+    } else {
+        QueryEngine.QueryEngine.prototype._executeUpdateUnit.call(this, aqt, queryEnv, callback);
+    }
+};
+
+/**
+ * Removes from the lexicon the terms of the quads deleted by the request.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype._commitUpdate = function(queryEnv, callback) {
+    var that = this;
+    var log = queryEnv.updateLog;
+    queryEnv.updateLog = null;
+    Utils.repeat(0, log.length, function(k, e) {
+        var floop = arguments.callee;
+        if(log[e._i].deleted === true) {
+            that.lexicon.unregister(log[e._i].quad, log[e._i].key, function() {
+                k(floop, e);
+            });
+        } else {
+            k(floop, e);
+        }
+    }, function(e) {
+        callback();
+    });
+};
+
+/**
+ * Undoes the changes recorded in the update log, last change first.
+ * Only the changes after the position 'mark' of the log are undone
+ * if it is provided.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype._rollbackUpdate = function(queryEnv, callback, mark) {
+    var that = this;
+    var log = queryEnv.updateLog;
+    mark = (mark || 0);
+    queryEnv.updateLog = null;
+    var changes = log.splice(mark, log.length - mark).reverse();
+    Utils.repeat(0, changes.length, function(k, e) {
+        var floop = arguments.callee;
+        var change = changes[e._i];
+        if(change.deleted === true) {
+            that.backend.index(change.key, function() {
+                k(floop, e);
+            });
+        } else {
+            that.backend.delete(change.key, function() {
+                that.lexicon.unregister(change.quad, change.key, function() {
+                    k(floop, e);
+                });
+            });
+        }
+    }, function(e) {
+        callback();
+    });
+};
+
+/**
+ * Registers a component of a quad being loaded, given as a term or
+ * in the format of the parsers, and replaces it in the quad by the
+ * term. Blank nodes with the same label share the same OID.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype._registerLoadedTerm = function(quad, component, blanks, callback) {
+    var that = this;
+    var term = quad[component];
+    if(term['uri'] || term.token === 'uri') {
+        this.lexicon.registerUri(term.uri || term.value, function(oid) {
+            if(term.uri != null) {
+                quad[component] = {'token': 'uri', 'value': term.uri};
+            }
+            callback(oid);
+        });
+    } else if(term['literal'] || term.token === 'literal') {
+        if(component === 'object' && term.token === 'literal') {
+            if(term.type != null) {
+                term.value = '"'+term.value+'"^^<'+term.type+'>';
+            } else if(term.lang != null) {
+                term.value = '"'+term.value+'"@'+term.lang;
+            } else {
+                term.value = '"'+term.value+'"';
+            }
+        }
+        this.lexicon.registerLiteral(term.literal || term.value, function(oid) {
+            if(term.literal != null) {
+                quad[component] = that.lexicon.parseLiteral(term.literal);
+            }
+            callback(oid);
+        });
+    } else {
+        var label = (term.blank || term.value);
+        var registered = function(oid) {
+            if(term.token == null) {
+                term.token = 'blank';
+                term.value = term.blank;
+                delete term['blank'];
+            }
+            callback(oid);
+        };
+        if(blanks[label] == null) {
+            this.lexicon.registerBlank(label, function(oid) {
+                blanks[label] = oid;
+                registered(oid);
+            });
+        } else {
+            this.lexicon.referenceBlank(blanks[label], function() {
+                registered(blanks[label]);
+            });
+        }
+    }
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype.batchLoad = function(quads, callback, queryEnv) {
+    var that = this;
+    var counter = 0;
+    var success = true;
+    var blanks = {};
+    var components = ['subject', 'predicate', 'object', 'graph'];
+    callback = (callback || function() {});
+
+    // the graphs of all the quads are checked before loading any of them
+    if(queryEnv != null && queryEnv.acl != null) {
+        for(var i=0; i<quads.length; i++) {
+            var graph = quads[i].graph;
+            if(!this.canAccessGraph((graph.uri != null ? {token: 'uri', value: graph.uri} : graph), 'write', queryEnv)) {
+                return callback(false, null);
+            }
+        }
+    }
+
+    // inside a transaction, changes are committed with the transaction
+    var inTransaction = (queryEnv != null && queryEnv.transaction != null);
+
+    if(this.eventsOnBatchLoad && !inTransaction)
+        this.callbacksBackend.startGraphModification();
+
+    // all the quads are written in a single IndexedDB transaction
+    this.backend.holdWrites();
+
+    Utils.repeat(0, quads.length, function(k, e) {
+        var floop = arguments.callee;
+        var quad = quads[e._i];
+        var normalized = {};
+        if(!success) {
+            return k(floop, e);
+        }
+        Utils.repeat(0, components.length, function(kc, ec) {
+            var cloop = arguments.callee;
+            var component = components[ec._i];
+            that._registerLoadedTerm(quad, component, blanks, function(oid) {
+                normalized[component] = oid;
+                if(component === 'graph' && quad.graph.token === 'uri') {
+                    that.lexicon.registerGraph(oid, function() {
+                        kc(cloop, ec);
+                    });
+                } else {
+                    kc(cloop, ec);
+                }
+            });
+        }, function(ec) {
+            var key = new QuadIndexCommon.NodeKey(normalized);
+            that.backend.search(key, function(found) {
+                if(found) {
+                    // the terms are already referenced by the stored quad
+                    that.lexicon.unregister(quad, key, function() {
+                        k(floop, e);
+                    });
+                } else {
+                    that.backend.index(key, function(result) {
+                        if(result == true) {
+                            if(queryEnv != null && queryEnv.updateLog != null)
+                                queryEnv.updateLog.push({quad: quad, key: key});
+                            if(that.eventsOnBatchLoad)
+                                that.callbacksBackend.nextGraphModification(Callbacks.added, [quad, normalized]);
+                            counter = counter + 1;
+                        } else {
+                            success = false;
+                        }
+                        k(floop, e);
+                    });
+                }
+            });
+        });
+    }, function(e) {
+        that.backend.releaseWrites();
+        var exitFn = function() {
+            if(success) {
+                callback(true, counter);
+            } else {
+                callback(false, "error loading quads");
+            }
+        };
+        if(that.eventsOnBatchLoad && !inTransaction) {
+            that.callbacksBackend.endGraphModification(exitFn);
+        } else {
+            exitFn();
+        }
+    });
+};
+
+// Low level operations for update queries
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype._executeModifyQuery = function(aqt, queryEnv, callback) {
+    var that = this;
+    var querySuccess = true;
+    var bindings = null;
+    var components = ['subject', 'predicate', 'object', 'graph'];
+
+    aqt.insert = aqt.insert == null ? [] : aqt.insert;
+    aqt.delete = aqt.delete == null ? [] : aqt.delete;
+
+    // quads of the templates built with the solutions of the query
+    var templateQuads = function(templates, skipUnboundGraph) {
+        var defaultGraph = aqt.with;
+        var quads = [];
+        for(var i=0; i<templates.length; i++) {
+            var src = templates[i];
+            for(var j=0; j<bindings.length; j++) {
+                var quad = {};
+                var binding = bindings[j];
+                for(var c=0; c<components.length; c++) {
+                    var component = components[c];
+                    if(component == 'graph' && src[component] == null) {
+                        quad['graph'] = defaultGraph;
+                    } else if(src[component].token === 'var') {
+                        quad[component] = binding[src[component].value];
+                    } else {
+                        quad[component] = src[component];
+                    }
+                }
+                // templates with unbound variables are skipped
+                if(quad.subject && quad.predicate && quad.object && (!skipUnboundGraph || quad.graph || src.graph == null)) {
+                    quads.push(quad);
+                }
+            }
+        }
+        return quads;
+    };
+
+    var modify = function(quads, operation) {
+        return function(k) {
+            if(!querySuccess) {
+                return k();
+            }
+            quads = quads();
+            Utils.repeat(0, quads.length, function(kk, e) {
+                var floop = arguments.callee;
+                if(queryEnv.accessDenied != null) {
+                    querySuccess = false;
+                    return kk(floop, e);
+                }
+                operation.call(that, quads[e._i], queryEnv, function() {
+                    if(queryEnv.accessDenied != null) {
+                        querySuccess = false;
+                    }
+                    kk(floop, e);
+                });
+            }, function(e) {
+                k();
+            });
+        };
+    };
+
+    Utils.seq(
+        function(k) {
+            // select query
+
+            var defaultGraph = [];
+            var namedGraph = [];
+
+            // USING clauses replace the graph in the WITH clause
+            if(aqt.with != null && aqt.using == null) {
+                defaultGraph.push(aqt.with);
+            }
+
+            if(aqt.using != null) {
+                for(var i=0; i<aqt.using.length; i++) {
+                    var usingGraph = aqt.using[i];
+                    if(usingGraph.kind === 'named') {
+                        namedGraph.push(usingGraph.uri);
+                    } else {
+                        defaultGraph.push(usingGraph.uri);
+                    }
+                }
+            }
+
+            aqt.dataset = {};
+            aqt.projection = [{"token": "variable", "kind": "*"}];
+
+            that.executeSelect(aqt, queryEnv, defaultGraph, namedGraph, function(success, result) {
+                if(success) {
+                    bindings = that.denormalizeBindingsList(result, queryEnv);
+                } else {
+                    querySuccess = false;
+                }
+                k();
+            });
+        },
+        modify(function() { return templateQuads(aqt.delete, false); }, that._executeQuadDelete),
+        modify(function() { return templateQuads(aqt.insert, true); }, that._executeQuadInsert)
+    )(function(){
+        callback(querySuccess);
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype._executeQuadInsert = function(quad, queryEnv, callback) {
+    var that = this;
+    if(!this.canAccessGraph(quad.graph, 'write', queryEnv)) {
+        return callback(false);
+    }
+    this.normalizeQuad(quad, queryEnv, true, function(normalized) {
+        if(normalized == null) {
+            return callback(false, "error normalizing quad");
+        }
+        var key = new QuadIndexCommon.NodeKey(normalized);
+        that.backend.search(key, function(found) {
+            if(found) {
+                // the terms are already referenced by the stored quad
+                that.lexicon.unregister(quad, key, function() {
+                    callback(true);
+                });
+            } else {
+                that.backend.index(key, function(result) {
+                    if(result == true) {
+                        if(queryEnv.updateLog != null)
+                            queryEnv.updateLog.push({quad: quad, key: key});
+                        that.callbacksBackend.nextGraphModification(Callbacks.added, [quad, normalized]);
+                        callback(true);
+                    } else {
+                        callback(false, "error inserting quad");
+                    }
+                });
+            }
+        });
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype._executeQuadDelete = function(quad, queryEnv, callback) {
+    var that = this;
+    if(!this.canAccessGraph(quad.graph, 'write', queryEnv)) {
+        return callback(false);
+    }
+    this.normalizeQuad(quad, queryEnv, false, function(normalized) {
+        if(normalized == null) {
+            return callback(false, "error normalizing quad");
+        }
+        var key = new QuadIndexCommon.NodeKey(normalized);
+        that.backend.search(key, function(found) {
+            if(!found) {
+                return callback(true);
+            }
+            that.backend.delete(key, function() {
+                var deleted = function(result) {
+                    if(result == true) {
+                        that.callbacksBackend.nextGraphModification(Callbacks['deleted'], [quad, normalized]);
+                        callback(true);
+                    } else {
+                        callback(false, "error unregistering quad");
+                    }
+                };
+                if(queryEnv.updateLog != null) {
+                    // terms are unregistered once the whole request succeeds
+                    queryEnv.updateLog.push({quad: quad, key: key, deleted: true});
+                    deleted(true);
+                } else {
+                    that.lexicon.unregister(quad, key, deleted);
+                }
+            });
+        });
+    });
+};
+
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype._executeClearGraph = function(destinyGraph, queryEnv, callback) {
+    var that = this;
+    this.lexicon.registeredGraphs(true, function(graphs) {
+        // graphs that cannot be read must also be checked before clearing them,
+        // their triples are not matched by the patterns of the operation
+        if(queryEnv.acl != null) {
+            var cleared = [];
+            if(destinyGraph === 'default' || destinyGraph === 'all') {
+                cleared.push(null);
+            }
+            if(destinyGraph === 'named' || destinyGraph === 'all') {
+                for(var i=0; i<graphs.length; i++) {
+                    cleared.push({token: 'uri', value: graphs[i]});
+                }
+            } else if(typeof(destinyGraph) === 'object') {
+                cleared.push(destinyGraph);
+            }
+            for(var i=0; i<cleared.length; i++) {
+                if(!that.canAccessGraph(cleared[i], 'write', queryEnv)) {
+                    return callback(false);
+                }
+            }
+        }
+
+        if(destinyGraph === 'default') {
+            that._executeInternalUpdate("DELETE { ?s ?p ?o } WHERE { ?s ?p ?o }", queryEnv, callback);
+        } else if(destinyGraph === 'named') {
+            var foundErrorDeleting = false;
+            Utils.repeat(0, graphs.length,function(k,env) {
+                var graph = graphs[env._i];
+                var floop = arguments.callee;
+                if(!foundErrorDeleting) {
+                    that._executeInternalUpdate("DELETE { GRAPH <"+graph+"> { ?s ?p ?o } } WHERE { GRAPH <"+graph+"> { ?s ?p ?o } }", queryEnv, function(success, results){
+                        foundErrorDeleting = !success;
+                        k(floop, env);
+                    });
+                } else {
+                    k(floop, env);
+                }
+            }, function(env) {
+                callback(!foundErrorDeleting);
+            });
+        } else if(destinyGraph === 'all') {
+            that._executeInternalUpdate("CLEAR DEFAULT", queryEnv, function(success, result) {
+                if(success) {
+                    that._executeInternalUpdate("CLEAR NAMED", queryEnv, callback);
+                } else {
+                    callback(false,result);
+                }
+            });
+        } else if(destinyGraph.token == 'uri' && Utils.lexicalFormBaseUri(destinyGraph,queryEnv) != null) {
+            var graphUri = Utils.lexicalFormBaseUri(destinyGraph,queryEnv);
+            that._executeInternalUpdate("DELETE { GRAPH <"+graphUri+"> { ?s ?p ?o } } WHERE { GRAPH <"+graphUri+"> { ?s ?p ?o } }", queryEnv, callback);
+        } else {
+            callback(false, "wrong graph URI");
+        }
+    });
+};
+
+/**
+ * Executes ADD, MOVE and COPY operations, see QueryEngine._executeGraphTransfer.
+ */
+IndexedDBQueryEngine.IndexedDBQueryEngine.prototype._executeGraphTransfer = function(aqt, queryEnv, callback) {
+    var that = this;
+    var source = this._graphOrDefaultUri(aqt.sourceGraph, queryEnv);
+    var destiny = this._graphOrDefaultUri(aqt.destinyGraph, queryEnv);
+
+    var pattern = function(graph) {
+        if(graph === 'default') {
+            return "{ ?s ?p ?o }";
+        } else {
+            return "{ GRAPH <"+graph+"> { ?s ?p ?o } }";
+        }
+    };
+
+    if(source == null || destiny == null) {
+        callback(false, "wrong graph URI");
+    } else if(!this._canTransferGraph(aqt.kind, source, destiny, queryEnv)) {
+        // checked before anything is modified or the source is looked up
+        callback(false, queryEnv.accessDenied);
+    } else if(source === destiny) {
+        callback(true);
+    } else {
+        Utils.seq(function(k) {
+            if(source === 'default') {
+                k();
+            } else {
+                that.lexicon.registeredGraphs(true, function(graphs) {
+                    if(Utils.include(graphs, source)) {
+                        k();
+                    } else {
+                        callback(false, "graph <"+source+"> does not exist");
+                    }
+                });
+            }
+        }, function(k) {
+            if(aqt.kind === 'add') {
+                k();
+            } else {
+                that._executeClearGraph(aqt.destinyGraph, queryEnv, function(success, result) {
+                    if(success) {
+                        k();
+                    } else {
+                        callback(false, result);
+                    }
+                });
+            }
+        }, function(k) {
+            that._executeInternalUpdate("INSERT "+pattern(destiny)+" WHERE "+pattern(source), queryEnv, function(success, result) {
+                if(success) {
+                    k();
+                } else {
+                    callback(false, result);
+                }
+            });
+        }, function(k) {
+            if(aqt.kind === 'move') {
+                that._executeClearGraph(aqt.sourceGraph, queryEnv, function(success, result) {
+                    if(success) {
+                        k();
+                    } else {
+                        callback(false, result);
+                    }
+                });
+            } else {
+                k();
+            }
+        })(function() {
+            callback(true);
+        });
+    }
+};
@@ -10,6 +10,9 @@ var QueryFilters = require("./query_filters").QueryFilters;
 var RDFJSInterface = require("./rdf_js_interface").RDFJSInterface;
 var RDFLoader = require("../../js-communication/src/rdf_loader").RDFLoader;
 var Callbacks = require("./callbacks.js").Callbacks;
+var DescribeStrategies = require("./describe_strategies").DescribeStrategies;
+var SparqlResults = require("../../js-communication/src/sparql_results").SparqlResults;
+var ExecutionControl = require("./execution_control").ExecutionControl;
 var mongodb = require('mongodb');
 
 MongodbQueryEngine.mongodb = true;
@@ -31,6 +34,8 @@ MongodbQueryEngine.MongodbQueryEngine = function(params) {
     }
 
     this.customFns = params.customFns || {};
+    // strategy used to describe resources in DESCRIBE queries
+    this.describeStrategy = params.describeStrategy || 'cbd';
     this.client = new mongodb.Db(mongoDBName, new mongodb.Server(server,port,mongoOptions), {safe:false});
     this.defaultGraphOid = "u:https://github.com/antoniogarrote/rdfstore-js#default_graph";
     this.defaultGraphUri = "https://github.com/antoniogarrote/rdfstore-js#default_graph";
@@ -59,6 +64,10 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.setCustomFunctions = function(cu
     this.customFns = customFns;
 };
 
+MongodbQueryEngine.MongodbQueryEngine.prototype.setDescribeStrategy = function(strategy) {
+    this.describeStrategy = strategy;
+};
+
 // Utils
 MongodbQueryEngine.MongodbQueryEngine.prototype.collection = function(collection, f) {
     var that = this;
@@ -466,6 +475,23 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.normalizeTerm = function(term, e
     }
 };
 
+/**
+ * Normalizes a term computed during the execution of the query,
+ * e.g. the result of a BIND expression or a VALUES data block.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype.normalizeComputedTerm = function(term, env) {
+    if(term.token === 'uri' || term.token === 'literal') {
+        return this.normalizeTerm(term, env, false);
+    } else {
+        var key = Utils.hashTerm(term);
+        env.computed = env.computed || {};
+        if(env.computed[key] == null) {
+            env.computed[key] = term;
+        }
+        return env.computed[key];
+    }
+};
+
 MongodbQueryEngine.MongodbQueryEngine.prototype.normalizeDatasets = function(datasets, outerEnv, callback) {
     var that = this;
     for(var i=0; i<datasets.length; i++) {
@@ -663,6 +689,9 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.denormalizeBindings = function(b
         if(oid == null) {
             // this can be null, e.g. union different variables (check SPARQL recommendation examples UNION)
             bindings[variables[i]] = null;
+        } else if(typeof(oid) === 'object') {
+            // already denormalized, e.g. value computed in a BIND expression
+            bindings[variables[i]] = oid;
         } else {
             if(envOut[oid] != null) {
                 bindings[variables[i]] = envOut[oid];
@@ -680,19 +709,32 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.denormalizeBindings = function(b
 
 // Queries execution
 
-MongodbQueryEngine.MongodbQueryEngine.prototype.execute = function(queryString, callback, defaultDataset, namedDataset){
+MongodbQueryEngine.MongodbQueryEngine.prototype.execute = function(queryString, callback, defaultDataset, namedDataset, options){
+    if(options != null && options.acl != null) {
+        return callback(false, "access control lists are not supported by the MongoDB engine");
+    }
+    var control = ExecutionControl.build(options);
+    var transaction = (options || {}).transaction;
+    control.start();
     try{
         queryString = Utils.normalizeUnicodeLiterals(queryString);
 
-        var syntaxTree = this.abstractQueryTree.parseQueryString(queryString);
+        var syntaxTree = (options || {}).syntaxTree;
+        if(syntaxTree == null) {
+            syntaxTree = this.abstractQueryTree.parseQueryString(queryString);
+        }
         if(syntaxTree == null) {
             callback(false,"Error parsing query string");
         } else {
             if(syntaxTree.token === 'query' && syntaxTree.kind == 'update')  {
-                this.callbacksBackend.startGraphModification();
+                if(transaction == null)
+                    this.callbacksBackend.startGraphModification();
                 var that = this;
                 this.executeUpdate(syntaxTree, function(success, result){
-                    if(success) {
+                    if(transaction != null) {
+                        // changes are committed with the transaction
+                        callback(success, result);
+                    } else if(success) {
                         that.callbacksBackend.endGraphModification(function(){
                             callback(success, result);
                         });
@@ -700,9 +742,9 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.execute = function(queryString,
                         that.callbacksBackend.cancelGraphModification();
                         callback(success, result);
                     }
-                });
+                }, defaultDataset, namedDataset, control, transaction);
             } else if(syntaxTree.token === 'query' && syntaxTree.kind == 'query') {
-                this.executeQuery(syntaxTree, callback, defaultDataset, namedDataset);
+                this.executeQuery(syntaxTree, callback, defaultDataset, namedDataset, control);
             }
         }
     } catch(e) {
@@ -716,17 +758,23 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.execute = function(queryString,
 
 // Retrieval queries
 
-MongodbQueryEngine.MongodbQueryEngine.prototype.executeQuery = function(syntaxTree, callback, defaultDataset, namedDataset) {
+MongodbQueryEngine.MongodbQueryEngine.prototype.executeQuery = function(syntaxTree, callback, defaultDataset, namedDataset, control) {
     var prologue = syntaxTree.prologue;
     var units = syntaxTree.units;
     var that = this;
 
     // environment for the operation -> base ns, declared ns, etc.
-    var queryEnv = {blanks:{}, outCache:{}};
+    var queryEnv = {blanks:{}, outCache:{}, control: control};
     this.registerNsInEnvironment(prologue, queryEnv);
 
     // retrieval queries can only have 1 executable unit
-    var aqt = that.abstractQueryTree.parseExecutableUnit(units[0]);
+    var aqt;
+    try {
+        aqt = that.abstractQueryTree.parseExecutableUnit(units[0]);
+    } catch(e) {
+        // semantic errors in the query, e.g. BIND of a variable already in scope
+        return callback(false, e.message);
+    }
 
     // can be anything else but a select???
     if(aqt.kind === 'select') {
@@ -836,6 +884,124 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.executeQuery = function(syntaxTr
                 callback(false, result);
             }
         });
+    } else if(aqt.kind === 'describe') {
+        this.executeDescribe(aqt, queryEnv, defaultDataset, namedDataset, callback);
+    }
+};
+
+// Describe queries
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.executeDescribe = function(unit, env, defaultDataset, namedDataset, callback) {
+    var that = this;
+    var strategy = DescribeStrategies.resolve(this.describeStrategy);
+    if(strategy == null) {
+        return callback(false, "Unknown describe strategy "+this.describeStrategy);
+    }
+
+    var describeResources = function(oids) {
+        var graphs = unit.dataset.implicit;
+        var context = {
+            match: function(pattern, callback) {
+                var acum = [];
+                Utils.repeat(0, graphs.length, function(k, e) {
+                    var floop = arguments.callee;
+                    var key = {graph: graphs[e._i].oid};
+                    if(pattern.subject != null) {
+                        key.subject = pattern.subject;
+                    }
+                    if(pattern.object != null) {
+                        key.object = pattern.object;
+                    }
+                    that.range(key, function(quads) {
+                        if(quads != null) {
+                            acum = acum.concat(quads);
+                        }
+                        k(floop, e);
+                    });
+                }, function() {
+                    callback(acum);
+                });
+            },
+            isBlank: function(oid) {
+                return oid.indexOf("b:") === 0;
+            }
+        };
+
+        var graph = new RDFJSInterface.Graph();
+        Utils.repeat(0, oids.length, function(k, e) {
+            var floop = arguments.callee;
+            strategy(oids[e._i], context, function(quads) {
+                for(var i=0; i<quads.length; i++) {
+                    var quad = quads[i];
+                    var s = RDFJSInterface.buildRDFResource(that.retrieve(quad.subject), {}, that, env);
+                    var p = RDFJSInterface.buildRDFResource(that.retrieve(quad.predicate), {}, that, env);
+                    var o = RDFJSInterface.buildRDFResource(that.retrieve(quad.object), {}, that, env);
+                    graph.add(new RDFJSInterface.Triple(s,p,o));
+                }
+                k(floop, e);
+            });
+        }, function() {
+            callback(true, graph);
+        });
+    };
+
+    var addResource = function(oid, found, oids) {
+        if(oid != null && found[oid] !== true && oid.indexOf("l:") !== 0) {
+            found[oid] = true;
+            oids.push(oid);
+        }
+    };
+
+    var describedIris = function(found, oids) {
+        for(var i=0; i<unit.resources.length; i++) {
+            if(unit.resources[i].token === 'uri') {
+                addResource(that.normalizeTerm(unit.resources[i], env, false), found, oids);
+            }
+        }
+    };
+
+    if(unit.pattern == null) {
+        var dataset = unit.dataset;
+        if(defaultDataset != null || namedDataset != null) {
+            dataset.implicit = defaultDataset || [];
+            dataset.named   = namedDataset || [];
+        }
+        if(dataset.implicit.length === 0 && dataset.named.length === 0) {
+            dataset.implicit.push(this.defaultGraphUriTerm);
+        }
+        if(that.normalizeDatasets(dataset.implicit.concat(dataset.named), env) != null) {
+            var found = {};
+            var oids = [];
+            describedIris(found, oids);
+            describeResources(oids);
+        } else {
+            callback(false, "Error normalizing datasets");
+        }
+    } else {
+        unit.projection = [{"token": "variable", "kind": "*"}];
+        this.executeSelect(unit, env, defaultDataset, namedDataset, function(success, result) {
+            if(success) {
+                var found = {};
+                var oids = [];
+                for(var i=0; i<result.length; i++) {
+                    var bindings = result[i];
+                    for(var j=0; j<unit.resources.length; j++) {
+                        var resource = unit.resources[j];
+                        if(resource.kind === '*') {
+                            for(var variable in bindings) {
+                                addResource(bindings[variable], found, oids);
+                            }
+                        } else if(resource.token === 'var') {
+                            addResource(bindings[resource.value], found, oids);
+                        }
+                    }
+                }
+                describedIris(found, oids);
+                describeResources(oids);
+            } else {
+                callback(false, result);
+            }
+        });
     }
 };
 
@@ -843,7 +1009,7 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.executeQuery = function(syntaxTr
 // Select queries
 
 MongodbQueryEngine.MongodbQueryEngine.prototype.executeSelect = function(unit, env, defaultDataset, namedDataset, callback) {
-    if(unit.kind === "select" || unit.kind === "ask" || unit.kind === "construct" || unit.kind === "modify") {
+    if(unit.kind === "select" || unit.kind === "ask" || unit.kind === "construct" || unit.kind === "modify" || unit.kind === "describe") {
         var projection = unit.projection;
         var dataset    = unit.dataset;
         var modifier   = unit.modifier;
@@ -869,7 +1035,7 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.executeSelect = function(unit, e
                     if(unit.group!=null && unit.group === "") {
                         var foundUniqueGroup = false;
                         for(var i=0; i<unit.projection.length; i++) {
-                            if(unit.projection[i].expression!=null && unit.projection[i].expression.expressionType === 'aggregate') {
+                            if(unit.projection[i].expression!=null && QueryFilters.containsAggregate(unit.projection[i].expression)) {
                                 foundUniqueGroup = true;
                                 break;
                             }
@@ -1060,167 +1226,652 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.executeSelectUnit = function(pro
     } else if(pattern.kind === "EMPTY_PATTERN") {
         // as an example of this case  check DAWG test case: algebra/filter-nested-2
         callback(true, []);
-    } else if(pattern.kind === "ZERO_OR_MORE_PATH" || pattern.kind === "ONE_OR_MORE_PATH") {
-	this.executeZeroOrMorePath(pattern, dataset, env, callback);
+    } else if(pattern.kind === "PATH") {
+        this.executePATH(pattern, dataset, env, null, callback);
+    } else if(pattern.kind === "EXTEND") {
+        this.executeEXTEND(projection, dataset, pattern, env, callback);
+    } else if(pattern.kind === "VALUES") {
+        this.executeVALUES(pattern, env, callback);
+    } else if(pattern.kind === "SUBSELECT") {
+        this.executeSUBSELECT(dataset, pattern.value, env, callback);
+    } else if(pattern.kind === "SERVICE") {
+        this.executeSERVICE(pattern, env, callback);
+    } else if(pattern.kind === "MINUS") {
+        this.executeMINUS(projection, dataset, pattern, env, callback);
     } else {
         callback(false, "Cannot execute query pattern " + pattern.kind + ". Not implemented yet.");
     }
 };
 
-MongodbQueryEngine.MongodbQueryEngine.prototype.executeZeroOrMorePath = function(pattern, dataset, env, callback) {
-    //console.log("EXECUTING ZERO OR MORE PATH");
-    //console.log("X");
-    //console.log(pattern.x);
-    //console.log("Y");
-    //console.log(pattern.y);
-    var projection = [];
-    var starProjection = false;
-    if(pattern.x.token === 'var') {
-	projection.push({token: 'variable',
-			 kind: 'var',
-			 value: pattern.x.value});
-    }
-    if(pattern.y.token === 'var') {
-	projection.push({token: 'variable',
-			 kind: 'var',
-			 value: pattern.y.value});
-    }
-
-    if(projection.length === 0) {
-	projection.push({"token": "variable", "kind": "*"});
-	starProjection = true;
-    }
-
-    if(pattern.x.token === 'var' && pattern.y.token === 'var') {
-	var that = this;
-	this.executeAndBGP(projection, dataset, pattern.path, env, function(success, bindings) {
-	    //console.log("BINDINGS "+bindings.length);
-	    //console.log(bindings);
-	    var acum = {};
-	    var results = [];
-	    var vx, intermediate, nextBinding, vxDenorm;
-	    var origVXName = pattern.x.value;
-	    var last = pattern.x;
-	    var nextPath = pattern.path;
-	    //console.log("VAR - VAR PATTERN");
-	    //console.log(nextPath.value);
-	    Utils.repeat(0, bindings.length, function(k,e) {
-		var floop = arguments.callee;
-	        vx = bindings[e._i][origVXName];
-	        if(acum[vx] == null) {
-	     	    vxDenorm = that.retrieve(vx);
-	     	    pattern.x = vxDenorm;
-	     	    //console.log("REPLACING");
-	     	    //console.log(last);
-	     	    //console.log("BY");
-	     	    //console.log(vxDenorm);
-	     	    //console.log(nextPath.value);
-	     	    pattern.path = that.abstractQueryTree.replace(nextPath, last, vxDenorm, env);
-	     	    nextPath = Utils.clone(pattern.path);
-	     	    that.executeZeroOrMorePath(pattern, dataset, env, function(success, intermediate){
-			//console.log("BACK EXECUTE_ZER_OR_MORE");
-	     		for(var j=0; j<intermediate.length; j++) {
-	     		    nextBinding = intermediate[j];
-	     		    nextBinding[origVXName] = vx;
-	     		    results.push(nextBinding)
-	     		}
-	     		last = vxDenorm;
-			k(floop,e);
-		    });
-	        } else {
-		    k(floop,e);
-		}
-	    }, function(e) {
-		//console.log("RETURNING VAR - VAR");
-		//console.log(results);
-		callback(true, results);
-	    });
-	});
-    } else if(pattern.x.token !== 'var' && pattern.y.token === 'var') {
-	var that = this;
-	var data = {finished:false,
-		    acum: {},
-		    initial: true,
-		    pending: [],
-		    bindings: null,
-		    nextBinding: null,
-		    collected: [],
-		    origVx: pattern.x,
-		    last: null };
-
-	var continueFunction = function(bindings,floop,k,e) {
-	    //console.log("BINDINGS!");
-	    //console.log(bindings);
-
-	    for(var i=0; i<bindings.length; i++) {
-		//console.log(bindings[i][pattern.y.value])
-		var value = bindings[i][pattern.y.value];
-		//console.log("VALUE:"+value);
-		//console.log(e.acum);
-		if(e.acum[value] !== true) {
-		    e.nextBinding = {};
-		    e.nextBinding[pattern.y.value] = value;
-		    e.collected.push(e.nextBinding);
-		    e.acum[value] = true;
-		    //console.log("PUSHIN!!!");
-		    //console.log(value);
-		    //console.log("-----------");
-		    e.pending.push(value);
-		}
-	    }
-	    //console.log("MUST CONTINUE? --> "+(e.initial == true || e.pending.length !== 0));
-	    //console.log(e.initial);
-	    //console.log(e.pending);
-	    //console.log(e.pending.length);
-	    k((e.initial == true || e.pending.length !== 0),floop,e);
-	};
-
-	Utils.meanwhile((data.initial == true || data.pending.length !== 0),
-		    function(k,e) {
-			var floop = arguments.callee;
-			//console.log("-- Iteration");
-			//console.log(e.pending);
-			//console.log(pattern.path.value[0]);
-			if(e.initial === true) {
-			    //console.log("INITIAL");
-			    //console.log(pattern.path.value[0]);
-			    that.executeAndBGP(projection, dataset, pattern.path, env, function(success, bindings){
-				//console.log("BINDINGS");
-				//console.log(bindings);
-				//console.log("SAVING LAST");
-				//console.log(pattern.x);
-				e.last = pattern.x;
-				e.initial = false;
-				continueFunction(bindings,floop,k,e);
-			    });
-			} else {
-			    //console.log(e.pending.length);
-			    var nextOid = e.pending.pop();
-			    //console.log("POPPING:"+nextOid);
-			    var value = that.retrieve(nextOid);
-			    var path = pattern.path; //Utils.clone(pattern.path);
-			    //console.log(path.value[0]);
-			    //console.log("REPLACING");
-			    //console.log(last);
-			    //console.log("BY");
-			    //console.log(value);
-			    path = that.abstractQueryTree.replace(path, e.last, value, env);
-			    //console.log(path.value[0]);
-			    that.executeAndBGP(projection, dataset, path, env, function(success, bindings){
-				e.last = value;
-				continueFunction(bindings,floop,k,e);
-			    });
-			}
-		    },
-		    function(e) {
-			//console.log("RETURNING TERM - VAR");
-			//console.log(e.collected);
-			callback(true, e.collected);
-		    },
- 		    data);
+MongodbQueryEngine.MongodbQueryEngine.prototype.executeEXTEND = function(projection, dataset, pattern, env, callback) {
+    var that = this;
+    var extend = function(bindings) {
+        var results = QueryFilters.collect(pattern.expression, bindings, dataset, env, that);
+        var acum = [];
+        for(var i=0; i<results.length; i++) {
+            var extended = {};
+            for(var p in results[i].binding) {
+                extended[p] = results[i].binding[p];
+            }
+            var value = results[i].value;
+            // errors in the expression leave the variable unbound
+            if(value != null && typeof(value) === 'object' && !QueryFilters.isEbvError(value)) {
+                extended[pattern.variable.value] = that.normalizeComputedTerm(value, env);
+            }
+            acum.push(extended);
+        }
+        callback(true, acum);
+    };
+
+    if(pattern.value.kind === 'EMPTY_PATTERN') {
+        // BIND at the beginning of a group extends the empty solution
+        extend([{}]);
+    } else {
+        this.executeSelectUnit(projection, dataset, pattern.value, env, function(success, results){
+            if(success) {
+                extend(results);
+            } else {
+                callback(false, results);
+            }
+        });
+    }
+};
+
+/**
+ * Evaluates a nested SELECT query. Only the projected variables
+ * are returned, normalized so they can be joined with the bindings
+ * of the outer query.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype.executeSUBSELECT = function(dataset, unit, env, callback) {
+    var that = this;
+    this.executeSelectUnit(unit.projection, dataset, unit.pattern, env, function(success, result){
+        if(!success) {
+            callback(false, result);
+            return;
+        }
+
+        var group = unit.group;
+        if(group == null || group === "") {
+            group = null;
+            for(var i=0; i<unit.projection.length; i++) {
+                if(unit.projection[i].expression!=null && QueryFilters.containsAggregate(unit.projection[i].expression)) {
+                    group = 'singleGroup';
+                    break;
+                }
+            }
+        }
+
+        var projectedBindings;
+        if(group != null) {
+            if(!that.checkGroupSemantics(group, unit.projection)) {
+                callback(false, "Incompatible Group and Projection variables");
+                return;
+            }
+            var groupedBindings = that.groupSolution(result, group, env);
+            var aggregatedBindings = [];
+            for(var i=0; i<groupedBindings.length; i++) {
+                aggregatedBindings.push(that.aggregateBindings(unit.projection, groupedBindings[i], dataset, env));
+            }
+            projectedBindings = that.applyOrderBy(unit.order, aggregatedBindings, dataset, env);
+        } else {
+            var orderedBindings = that.applyOrderBy(unit.order, result, dataset, env);
+            projectedBindings = that.projectBindings(unit.projection, orderedBindings, dataset);
+        }
+
+        var modifiedBindings = that.applyModifier(unit.modifier, projectedBindings);
+        var limitedBindings = that.applyLimitOffset(unit.offset, unit.limit, modifiedBindings);
+
+        var acum = [];
+        for(var i=0; i<limitedBindings.length; i++) {
+            var bindings = {};
+            for(var p in limitedBindings[i]) {
+                var value = limitedBindings[i][p];
+                if(value == null || QueryFilters.isEbvError(value)) {
+                    // unbound variables are not part of the solution
+                    continue;
+                } else if(typeof(value) === 'object') {
+                    bindings[p] = that.normalizeComputedTerm(value, env);
+                } else {
+                    bindings[p] = value;
+                }
+            }
+            acum.push(bindings);
+        }
+
+        callback(true, acum);
+    });
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.executeSERVICE = function(pattern, env, callback) {
+    if(pattern.endpoint.token === 'var') {
+        if(pattern.silent) {
+            callback(true, [{}]);
+        } else {
+            callback(false, "Unbound SERVICE endpoint variable ?"+pattern.endpoint.value);
+        }
+    } else {
+        this.serviceBindings(Utils.lexicalFormBaseUri(pattern.endpoint, env), pattern, env, callback);
+    }
+};
+
+/**
+ * Evaluates a SERVICE pattern whose endpoint is a variable for every
+ * endpoint bound to the variable in the solutions of the left side of a join.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype.executeVariableSERVICE = function(bindings, pattern, env, callback) {
+    var that = this;
+    var variable = pattern.endpoint.value;
+    var endpoints = [];
+    var values = {};
+    for(var i=0; i<bindings.length; i++) {
+        var value = bindings[i][variable];
+        if(value == null) {
+            continue;
+        }
+        var key = (typeof(value) === 'object') ? Utils.hashTerm(value) : value;
+        if(values[key] == null) {
+            values[key] = true;
+            var term = this.copyDenormalizedBindings([bindings[i]], env.outCache)[0][variable];
+            if(term.token === 'uri') {
+                endpoints.push({uri: term.value, value: value});
+            }
+        }
+    }
+
+    var acum = [];
+    var failure = null;
+    Utils.repeat(0, endpoints.length, function(k, e) {
+        var floop = arguments.callee;
+        var endpoint = endpoints[e._i];
+        that.serviceBindings(endpoint.uri, pattern, env, function(success, results) {
+            if(success) {
+                for(var j=0; j<results.length; j++) {
+                    results[j][variable] = endpoint.value;
+                    acum.push(results[j]);
+                }
+                k(floop, e);
+            } else {
+                failure = results;
+                k(floop, e);
+            }
+        });
+    }, function(e) {
+        if(failure != null) {
+            callback(false, failure);
+        } else {
+            callback(true, acum);
+        }
+    });
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.serviceBindings = function(endpoint, pattern, env, callback) {
+    var that = this;
+    var query = "";
+    if(env.base != null) {
+        query = query + "BASE <"+env.base+">\n";
+    }
+    for(var prefix in env.namespaces) {
+        query = query + "PREFIX "+prefix+": <"+env.namespaces[prefix]+">\n";
+    }
+    query = query + "SELECT * WHERE " + pattern.text;
+
+    SparqlResults.query(this.rdfLoader.getNetworkTransport(), endpoint, query, function(success, results) {
+        if(success && typeof(results) === 'boolean') {
+            success = false;
+            results = "SPARQL endpoint "+endpoint+" did not return a list of solutions";
+        }
+        if(!success) {
+            if(pattern.silent) {
+                // a failing silent SERVICE returns the empty solution
+                callback(true, [{}]);
+            } else {
+                callback(false, results);
+            }
+        } else {
+            var acum = [];
+            for(var i=0; i<results.length; i++) {
+                var bindings = {};
+                for(var p in results[i]) {
+                    bindings[p] = that.normalizeComputedTerm(results[i][p], env);
+                }
+                acum.push(bindings);
+            }
+            callback(true, acum);
+        }
+    });
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.executeVALUES = function(pattern, env, callback) {
+    var acum = [];
+    for(var i=0; i<pattern.rows.length; i++) {
+        var row = pattern.rows[i];
+        var bindings = {};
+        for(var j=0; j<pattern.variables.length; j++) {
+            // UNDEF values leave the variable unbound
+            if(row[j] != null) {
+                bindings[pattern.variables[j]] = this.normalizeComputedTerm(row[j], env);
+            }
+        }
+        acum.push(bindings);
+    }
+
+    callback(true, acum);
+};
+
+/**
+ * Evaluates a property path pattern.
+ * If the solutions of the left side of a join are provided, the path is
+ * only evaluated from the end points bound in those solutions.
+ * Paths are evaluated node by node recording the nodes already reached,
+ * so cycles in the data cannot make the evaluation loop.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype.executePATH = function(pattern, dataset, env, bindings, callback) {
+    var that = this;
+    var graphSets = [];
+    var graphVar = null;
+    if(pattern.graph == null) {
+        // the default graph is the merge of all the default graphs
+        var oids = [];
+        for(var i=0; i<dataset.implicit.length; i++) {
+            if(!Utils.include(oids, dataset.implicit[i].oid)) {
+                oids.push(dataset.implicit[i].oid);
+            }
+        }
+        graphSets.push({oids: oids});
+    } else if(pattern.graph.token === 'var') {
+        graphVar = pattern.graph.value;
+        var duplicates = {};
+        for(var i=0; i<dataset.named.length; i++) {
+            if(duplicates[dataset.named[i].oid] == null) {
+                duplicates[dataset.named[i].oid] = true;
+                graphSets.push({oids: [dataset.named[i].oid], graph: dataset.named[i].oid});
+            }
+        }
     } else {
-     	throw "Kind of path not supported!";
+        graphSets.push({oids: [this.normalizeTerm(pattern.graph, env, false)]});
     }
+
+    bindings = bindings || [{}];
+    var evaluated = {};
+    var tasks = [];
+    for(var i=0; i<graphSets.length; i++) {
+        for(var j=0; j<bindings.length; j++) {
+            if(graphVar != null && bindings[j][graphVar] != null && bindings[j][graphVar] !== graphSets[i].graph) {
+                continue;
+            }
+            var x = this.pathEndPoint(pattern.x, bindings[j], env);
+            var y = this.pathEndPoint(pattern.y, bindings[j], env);
+            var key = i + " " + (x.node == null ? "?" : this.pathNodeKey(x.node)) + " " + (y.node == null ? "?" : this.pathNodeKey(y.node));
+            if(evaluated[key] !== true) {
+                evaluated[key] = true;
+                tasks.push({graphSet: graphSets[i], x: x, y: y});
+            }
+        }
+    }
+
+    var acum = [];
+    var failure = null;
+    Utils.repeat(0, tasks.length, function(k, e) {
+        var floop = arguments.callee;
+        var task = tasks[e._i];
+        that.pathSolutions(pattern.path, task.x, task.y, task.graphSet.oids, env, function(success, solutions) {
+            if(success) {
+                for(var i=0; i<solutions.length; i++) {
+                    if(graphVar != null) {
+                        solutions[i][graphVar] = task.graphSet.graph;
+                    }
+                    acum.push(solutions[i]);
+                }
+            } else {
+                failure = solutions;
+            }
+            k(floop, e);
+        });
+    }, function(e) {
+        if(failure != null) {
+            callback(false, failure);
+        } else {
+            callback(true, acum);
+        }
+    });
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.pathEndPoint = function(term, bindings, env) {
+    if(term.token === 'var' || term.token === 'blank') {
+        // blank nodes in patterns behave as variables
+        var variable = (term.token === 'var' ? term.value : "blank:"+term.value);
+        return {variable: variable, node: bindings[variable]};
+    } else {
+        return {node: this.normalizeComputedTerm(term, env)};
+    }
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.pathNodeKey = function(node) {
+    return (typeof(node) === 'object' ? Utils.hashTerm(node) : node);
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.pathSolutions = function(path, x, y, graphs, env, callback) {
+    var that = this;
+    var solutions = [];
+    if(x.node != null) {
+        this.pathFrom(path, x.node, false, graphs, env, function(success, ends) {
+            if(!success) {
+                return callback(false, ends);
+            }
+            for(var i=0; i<ends.length; i++) {
+                if(y.node == null || that.pathNodeKey(y.node) === that.pathNodeKey(ends[i])) {
+                    var solution = {};
+                    if(x.variable != null) {
+                        solution[x.variable] = x.node;
+                    }
+                    if(y.variable != null) {
+                        solution[y.variable] = ends[i];
+                    }
+                    solutions.push(solution);
+                }
+            }
+            callback(true, solutions);
+        });
+    } else if(y.node != null) {
+        this.pathFrom(path, y.node, true, graphs, env, function(success, ends) {
+            if(!success) {
+                return callback(false, ends);
+            }
+            for(var i=0; i<ends.length; i++) {
+                var solution = {};
+                solution[x.variable] = ends[i];
+                if(y.variable != null) {
+                    solution[y.variable] = y.node;
+                }
+                solutions.push(solution);
+            }
+            callback(true, solutions);
+        });
+    } else {
+        // both end points are variables, the path is evaluated from every node in the graph
+        this.pathGraphNodes(graphs, function(success, nodes) {
+            if(!success) {
+                return callback(false, nodes);
+            }
+            var failure = null;
+            Utils.repeat(0, nodes.length, function(k, e) {
+                var floop = arguments.callee;
+                var node = nodes[e._i];
+                that.pathFrom(path, node, false, graphs, env, function(success, ends) {
+                    if(!success) {
+                        failure = ends;
+                        return k(floop, e);
+                    }
+                    for(var j=0; j<ends.length; j++) {
+                        var solution = {};
+                        if(x.variable === y.variable) {
+                            if(ends[j] === node) {
+                                solution[x.variable] = node;
+                                solutions.push(solution);
+                            }
+                        } else {
+                            solution[x.variable] = node;
+                            solution[y.variable] = ends[j];
+                            solutions.push(solution);
+                        }
+                    }
+                    k(floop, e);
+                });
+            }, function(e) {
+                if(failure != null) {
+                    callback(false, failure);
+                } else {
+                    callback(true, solutions);
+                }
+            });
+        });
+    }
+};
+
+/**
+ * Returns the nodes reached following a path from a node, or
+ * following the inverse path if inverse is true.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype.pathFrom = function(path, node, inverse, graphs, env, callback) {
+    var that = this;
+    if(path.token === 'uri') {
+        this.pathStep(node, this.normalizeTerm(path, env, false), null, inverse, graphs, callback);
+    } else if(path.kind === 'inversePath') {
+        this.pathFrom(path.value, node, !inverse, graphs, env, callback);
+    } else if(path.kind === 'sequence') {
+        var frontier = [node];
+        var failure = null;
+        Utils.repeat(0, path.value.length, function(k, e) {
+            var floop = arguments.callee;
+            var step = path.value[inverse ? path.value.length-1-e._i : e._i];
+            that.pathFromNodes(step, frontier, inverse, graphs, env, function(success, nodes) {
+                if(success) {
+                    frontier = nodes;
+                } else {
+                    failure = nodes;
+                    frontier = [];
+                }
+                k(floop, e);
+            });
+        }, function(e) {
+            if(failure != null) {
+                callback(false, failure);
+            } else {
+                callback(true, frontier);
+            }
+        });
+    } else if(path.kind === 'alternative') {
+        var acum = [];
+        var failure = null;
+        Utils.repeat(0, path.value.length, function(k, e) {
+            var floop = arguments.callee;
+            that.pathFrom(path.value[e._i], node, inverse, graphs, env, function(success, nodes) {
+                if(success) {
+                    acum = acum.concat(nodes);
+                } else {
+                    failure = nodes;
+                }
+                k(floop, e);
+            });
+        }, function(e) {
+            if(failure != null) {
+                callback(false, failure);
+            } else {
+                callback(true, that.pathDistinctNodes(acum));
+            }
+        });
+    } else if(path.kind === 'negatedPropertySet') {
+        var forward = [];
+        var backward = [];
+        for(var i=0; i<path.value.length; i++) {
+            var oid = this.normalizeTerm(path.value[i].value, env, false);
+            if(path.value[i].inverse) {
+                backward.push(oid);
+            } else {
+                forward.push(oid);
+            }
+        }
+        var forwardStep = function(k) {
+            if(forward.length > 0 || backward.length === 0) {
+                that.pathStep(node, null, forward, inverse, graphs, k);
+            } else {
+                k(true, []);
+            }
+        };
+        forwardStep(function(success, forwardNodes) {
+            if(!success) {
+                return callback(false, forwardNodes);
+            }
+            if(backward.length > 0) {
+                that.pathStep(node, null, backward, !inverse, graphs, function(success, backwardNodes) {
+                    if(success) {
+                        callback(true, that.pathDistinctNodes(forwardNodes.concat(backwardNodes)));
+                    } else {
+                        callback(false, backwardNodes);
+                    }
+                });
+            } else {
+                callback(true, forwardNodes);
+            }
+        });
+    } else if(path.kind === 'element') {
+        var min, max;
+        if(path.modifier === '*') {
+            min = 0; max = null;
+        } else if(path.modifier === '+') {
+            min = 1; max = null;
+        } else if(path.modifier === '?') {
+            min = 0; max = 1;
+        } else {
+            min = path.modifier.min; max = path.modifier.max;
+        }
+
+        // every node is only expanded once after the minimum number of steps
+        var reached = {};
+        var acum = [];
+        var expand = function(frontier, steps) {
+            if(steps === min) {
+                for(var i=0; i<frontier.length; i++) {
+                    reached[that.pathNodeKey(frontier[i])] = true;
+                    acum.push(frontier[i]);
+                }
+            }
+            if(frontier.length === 0 || (max != null && steps >= max)) {
+                return callback(true, acum);
+            }
+            var interruption = that.executionInterruption(env, acum.length);
+            if(interruption != null) {
+                return callback(false, interruption);
+            }
+            that.pathFromNodes(path.value, frontier, inverse, graphs, env, function(success, nodes) {
+                if(!success) {
+                    return callback(false, nodes);
+                }
+                if(steps < min) {
+                    expand(nodes, steps+1);
+                } else {
+                    var next = [];
+                    for(var i=0; i<nodes.length; i++) {
+                        var key = that.pathNodeKey(nodes[i]);
+                        if(reached[key] !== true) {
+                            reached[key] = true;
+                            acum.push(nodes[i]);
+                            next.push(nodes[i]);
+                        }
+                    }
+                    expand(next, steps+1);
+                }
+            });
+        };
+        expand([node], 0);
+    } else {
+        callback(false, "Unknown property path: "+path.kind);
+    }
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.pathFromNodes = function(path, nodes, inverse, graphs, env, callback) {
+    var that = this;
+    var acum = [];
+    var failure = null;
+    Utils.repeat(0, nodes.length, function(k, e) {
+        var floop = arguments.callee;
+        that.pathFrom(path, nodes[e._i], inverse, graphs, env, function(success, reached) {
+            if(success) {
+                acum = acum.concat(reached);
+            } else {
+                failure = reached;
+            }
+            k(floop, e);
+        });
+    }, function(e) {
+        if(failure != null) {
+            callback(false, failure);
+        } else {
+            callback(true, that.pathDistinctNodes(acum));
+        }
+    });
+};
+
+/**
+ * Returns the nodes linked to a node by a predicate in the graphs.
+ * If the predicate is null, any predicate not in the excluded list is followed.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype.pathStep = function(node, predicate, excluded, inverse, graphs, callback) {
+    if(typeof(node) === 'object') {
+        // computed terms have no triples
+        return callback(true, []);
+    }
+
+    var that = this;
+    var acum = [];
+    var failure = null;
+    Utils.repeat(0, graphs.length, function(k, e) {
+        var floop = arguments.callee;
+        var pattern = {predicate: predicate, graph: graphs[e._i]};
+        if(inverse) {
+            pattern.object = node;
+        } else {
+            pattern.subject = node;
+        }
+        that.range(pattern, function(quads) {
+            if(quads == null) {
+                failure = "Error in backend connection, range scan failed";
+            } else {
+                for(var i=0; i<quads.length; i++) {
+                    if(excluded == null || !Utils.include(excluded, quads[i].predicate)) {
+                        acum.push(inverse ? quads[i].subject : quads[i].object);
+                    }
+                }
+            }
+            k(floop, e);
+        });
+    }, function(e) {
+        if(failure != null) {
+            callback(false, failure);
+        } else {
+            callback(true, that.pathDistinctNodes(acum));
+        }
+    });
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.pathGraphNodes = function(graphs, callback) {
+    var that = this;
+    var acum = [];
+    var failure = null;
+    Utils.repeat(0, graphs.length, function(k, e) {
+        var floop = arguments.callee;
+        that.range({graph: graphs[e._i]}, function(quads) {
+            if(quads == null) {
+                failure = "Error in backend connection, range scan failed";
+            } else {
+                for(var i=0; i<quads.length; i++) {
+                    acum.push(quads[i].subject);
+                    acum.push(quads[i].object);
+                }
+            }
+            k(floop, e);
+        });
+    }, function(e) {
+        if(failure != null) {
+            callback(false, failure);
+        } else {
+            callback(true, that.pathDistinctNodes(acum));
+        }
+    });
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.pathDistinctNodes = function(nodes) {
+    var found = {};
+    var acum = [];
+    for(var i=0; i<nodes.length; i++) {
+        var key = this.pathNodeKey(nodes[i]);
+        if(found[key] !== true) {
+            found[key] = true;
+            acum.push(nodes[i]);
+        }
+    }
+
+    return acum;
 };
 
 MongodbQueryEngine.MongodbQueryEngine.prototype.executeUNION = function(projection, dataset, patterns, env, callback) {
@@ -1256,6 +1907,10 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.executeUNION = function(projecti
         });
     })(function(){
         var result = QueryPlanAsync.unionBindings(set1, set2);
+        var interruption = that.executionInterruption(env, result.length);
+        if(interruption != null) {
+            return callback(false, interruption);
+        }
         result = QueryFilters.checkFilters(patterns, result, false, dataset, env, that);
         callback(true, result);
     });
@@ -1308,6 +1963,10 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.executeLEFT_JOIN = function(proj
         });
     })(function(){
         var result = QueryPlanAsync.leftOuterJoinBindings(set1, set2);
+        var interruption = that.executionInterruption(env, result.length);
+        if(interruption != null) {
+            return callback(false, interruption);
+        }
         //console.log("SETS:")
         //console.log(set1)
         //console.log(set2)
@@ -1375,6 +2034,35 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.executeLEFT_JOIN = function(proj
     });
 };
 
+MongodbQueryEngine.MongodbQueryEngine.prototype.executeMINUS = function(projection, dataset, patterns, env, callback) {
+    var set1 = null;
+    var set2 = null;
+
+    var that = this;
+
+    Utils.seq(function(k){
+        that.executeSelectUnit(projection, dataset, patterns.lvalue, env, function(success, results){
+            if(success) {
+                set1 = results;
+                return k();
+            } else {
+                return callback(false, results);
+            }
+        });
+    }, function(k) {
+        that.executeSelectUnit(projection, dataset, patterns.rvalue, env, function(success, results){
+            if(success) {
+                set2 = results;
+                return k();
+            } else {
+                return callback(false, results);
+            }
+        });
+    })(function(){
+        callback(true, QueryPlanAsync.minusBindings(set1, set2));
+    });
+};
+
 MongodbQueryEngine.MongodbQueryEngine.prototype.executeJOIN = function(projection, dataset, patterns, env, callback) {
     var setQuery1 = patterns.lvalue;
     var setQuery2 = patterns.rvalue;
@@ -1394,14 +2082,22 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.executeJOIN = function(projectio
             }
         });
     }, function(k) {
-        that.executeSelectUnit(projection, dataset, setQuery2, env, function(success, results){
+        var onSet2 = function(success, results){
             if(success) {
                 set2 = results;
                 return k();
             } else {
                 return callback(false, results);
             }
-        });
+        };
+        if(setQuery2.kind === 'SERVICE' && setQuery2.endpoint.token === 'var') {
+            // the endpoints are taken from the solutions of the left side
+            that.executeVariableSERVICE(set1, setQuery2, env, onSet2);
+        } else if(setQuery2.kind === 'PATH') {
+            that.executePATH(setQuery2, dataset, env, set1, onSet2);
+        } else {
+            that.executeSelectUnit(projection, dataset, setQuery2, env, onSet2);
+        }
     })(function(){
            //var result = QueryPlanAsync.joinBindings(set1, set2);
 	var result = null;
@@ -1423,10 +2119,18 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.executeJOIN = function(projectio
 	    } else if(that.abstractQueryTree.treeWithUnion(setQuery1) || 
 		      that.abstractQueryTree.treeWithUnion(setQuery2)) {
 		result = QueryPlanAsync.joinBindings(set1,set2);	    	    
+	    } else if(that.abstractQueryTree.treeWithComputedBindings(setQuery1) ||
+		      that.abstractQueryTree.treeWithComputedBindings(setQuery2)) {
+		// solutions may leave variables unbound
+		result = QueryPlanAsync.joinBindings(set1,set2);
 	    } else {
 		result = QueryPlanAsync.joinBindings2(commonVars, set1, set2);
 	    }
 	}
+        var interruption = that.executionInterruption(env, result.length);
+        if(interruption != null) {
+            return callback(false, interruption);
+        }
         result = QueryFilters.checkFilters(patterns, result, false, dataset, env, that);
         callback(true, result);
     });
@@ -1461,8 +2165,11 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.rangeQuery = function(quad, quer
         that.range(new MongodbQueryEngine.Pattern(key),function(quads){
             //console.log("retrieved");
             //console.log(quads)
+            var interruption = that.executionInterruption(queryEnv, (quads == null ? 0 : quads.length));
 	    if(quads == null) {
 		callback(false, "Error in backend connection, range scan failed");
+	    } else if(interruption != null) {
+                callback(false, interruption);
 	    } else if (quads.length == 0) {
                 callback(true, []);
             } else {
@@ -1474,76 +2181,174 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.rangeQuery = function(quad, quer
     }
 };
 
+// Execution control
+
+/**
+ * Returns the reason why the request must be interrupted, because it
+ * was cancelled, timed out or built too many bindings, or null.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype.executionInterruption = function(queryEnv, bindings) {
+    if(queryEnv == null || queryEnv.control == null) {
+        return null;
+    }
+    return queryEnv.control.interruption(bindings);
+};
+
 // Update queries
 
-MongodbQueryEngine.MongodbQueryEngine.prototype.executeUpdate = function(syntaxTree, callback) {
+/**
+ * Executes all the operations in an update request, in order.
+ * The request is atomic: if one of the operations fails, the
+ * changes performed by the previous operations are undone.
+ * Inside a transaction the changes are added to the update log
+ * of the transaction and committed with it.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype.executeUpdate = function(syntaxTree, callback, defaultDataset, namedDataset, control, transaction) {
+    // graphs passed as the USING clauses of the operations
+    if(defaultDataset != null || namedDataset != null) {
+        this.abstractQueryTree.setUpdateDataset(syntaxTree, defaultDataset || [], namedDataset || []);
+    }
+
     var prologue = syntaxTree.prologue;
     var units = syntaxTree.units;
     var that = this;
 
     // environment for the operation -> base ns, declared ns, etc.
-    var queryEnv = {blanks:{}, outCache:{}};
+    // the update log records the changes to undo in case of failure
+    var updateLog = (transaction != null ? transaction.updateLog : []);
+    var mark = updateLog.length;
+    var queryEnv = {blanks:{}, outCache:{}, updateLog:updateLog, control: control, transaction: transaction};
     this.registerNsInEnvironment(prologue, queryEnv);
-    for(var i=0; i<units.length; i++) {
 
-        var aqt = that.abstractQueryTree.parseExecutableUnit(units[i]);
-        if(aqt.kind === 'insertdata') {
-            Utils.repeat(0, aqt.quads.length, function(k,env) {                
-                var quad = aqt.quads[env._i];
-                var floop = arguments.callee;
-                that._executeQuadInsert(quad, queryEnv, function(result, error) {
-                    if(result === true) {
-                        k(floop, env);
-                    } else {
-                        callback(false, error);
-                    }
-                });
-            }, function(env) {
-                callback(true);
-            });
-        } else if(aqt.kind === 'deletedata') {
-            Utils.repeat(0, aqt.quads.length, function(k,env) {                
-                var quad = aqt.quads[env._i];
-                var floop = arguments.callee;
-                that._executeQuadDelete(quad, queryEnv, function(result, error) {
-                    if(result === true) {
-                        k(floop, env);
-                    } else {
-                        callback(false, error);
-                    }
-                });
-            }, function(env) {
-                callback(true);
+    this._executeUpdateUnits(units, queryEnv, function(success, result) {
+        if(success) {
+            queryEnv.updateLog = null;
+            callback(true);
+        } else {
+            that._rollbackUpdate(queryEnv, function() {
+                callback(false, result);
+            }, mark);
+        }
+    });
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype._executeUpdateUnits = function(units, queryEnv, callback) {
+    var that = this;
+    Utils.repeat(0, units.length, function(k, env) {
+        var floop = arguments.callee;
+        var aqt = that.abstractQueryTree.parseExecutableUnit(units[env._i]);
+        that._executeUpdateUnit(aqt, queryEnv, function(success, result) {
+            var interruption = that.executionInterruption(queryEnv);
+            if(interruption != null) {
+                // interrupted requests cannot be silenced
+                callback(false, interruption);
+            } else if(success === false && aqt.silent !== true) {
+                callback(false, result || ("error executing " + aqt.kind + " operation"));
+            } else {
+                k(floop, env);
+            }
+        });
+    }, function(env) {
+        callback(true);
+    });
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype._executeUpdateUnit = function(aqt, queryEnv, callback) {
+    var that = this;
+    if(aqt.kind === 'insertdata') {
+        Utils.repeat(0, aqt.quads.length, function(k,env) {                
+            var quad = aqt.quads[env._i];
+            var floop = arguments.callee;
+            that._executeQuadInsert(quad, queryEnv, function(result, error) {
+                if(result === true) {
+                    k(floop, env);
+                } else {
+                    callback(false, error);
+                }
             });
-        } else if(aqt.kind === 'modify') {
-            this._executeModifyQuery(aqt, queryEnv, callback);
-        } else if(aqt.kind === 'create') {
+        }, function(env) {
             callback(true);
-        } else if(aqt.kind === 'load') {
-            var graph = {'uri': Utils.lexicalFormBaseUri(aqt.sourceGraph, queryEnv)};
-            if(aqt.destinyGraph != null) {
-                graph = {'uri': Utils.lexicalFormBaseUri(aqt.destinyGraph, queryEnv)};
-            }
-            var that = this;
-            this.rdfLoader.load(aqt.sourceGraph.value, graph, function(success, result){
-                if(success == false) {
-                    console.log("Error loading graph");
-                    console.log(result);
+        });
+    } else if(aqt.kind === 'deletedata') {
+        Utils.repeat(0, aqt.quads.length, function(k,env) {                
+            var quad = aqt.quads[env._i];
+            var floop = arguments.callee;
+            that._executeQuadDelete(quad, queryEnv, function(result, error) {
+                if(result === true) {
+                    k(floop, env);
                 } else {
-                    that.batchLoad(result, callback);
+                    callback(false, error);
                 }
             });
-        } else if(aqt.kind === 'drop') {
-            this._executeClearGraph(aqt.destinyGraph, queryEnv, callback);
-        } else if(aqt.kind === 'clear') {
-            this._executeClearGraph(aqt.destinyGraph, queryEnv, callback);
-        } else {
-            throw new Error("not supported execution unit");
+        }, function(env) {
+            callback(true);
+        });
+    } else if(aqt.kind === 'modify') {
+        this._executeModifyQuery(aqt, queryEnv, callback);
+    } else if(aqt.kind === 'create') {
+        callback(true);
+    } else if(aqt.kind === 'load') {
+        var graph = {'uri': Utils.lexicalFormBaseUri(aqt.sourceGraph, queryEnv)};
+        if(aqt.destinyGraph != null) {
+            graph = {'uri': Utils.lexicalFormBaseUri(aqt.destinyGraph, queryEnv)};
         }
+        this.rdfLoader.load(aqt.sourceGraph.value, graph, function(success, result){
+            if(success == false) {
+                console.log("Error loading graph");
+                console.log(result);
+                callback(false, "error batch loading quads");
+            } else {
+                that.batchLoad(result, callback, queryEnv);
+            }
+        });
+    } else if(aqt.kind === 'drop') {
+        this._executeClearGraph(aqt.destinyGraph, queryEnv, callback);
+    } else if(aqt.kind === 'clear') {
+        this._executeClearGraph(aqt.destinyGraph, queryEnv, callback);
+    } else if(aqt.kind === 'add' || aqt.kind === 'move' || aqt.kind === 'copy') {
+        this._executeGraphTransfer(aqt, queryEnv, callback);
+    } else {
+        throw new Error("not supported execution unit");
     }
 };
 
-MongodbQueryEngine.MongodbQueryEngine.prototype.batchLoad = function(quads, callback) {
+/**
+ * Executes an update request built by the engine as part of the
+ * operation being executed, e.g. clearing a graph.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype._executeInternalUpdate = function(query, queryEnv, callback) {
+    var syntaxTree = this.abstractQueryTree.parseQueryString(query);
+    this._executeUpdateUnits(syntaxTree.units, queryEnv, callback);
+};
+
+/**
+ * Undoes the changes recorded in the update log, last change first.
+ * Only the changes after the position 'mark' of the log are undone
+ * if it is provided.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype._rollbackUpdate = function(queryEnv, callback, mark) {
+    var that = this;
+    var log = queryEnv.updateLog.splice(mark || 0, queryEnv.updateLog.length);
+    queryEnv.updateLog = null;
+    log.reverse();
+    Utils.repeat(0, log.length, function(k, env) {
+        var floop = arguments.callee;
+        var change = log[env._i];
+        if(change.deleted === true) {
+            that.index(change.quad, function() {
+                k(floop, env);
+            });
+        } else {
+            that.delete(change.quad, function() {
+                k(floop, env);
+            });
+        }
+    }, function(env) {
+        callback();
+    });
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.batchLoad = function(quads, callback, queryEnv) {
     var that = this;
     var subject    = null;
     var predicate  = null;
@@ -1555,7 +2360,10 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.batchLoad = function(quads, call
     Utils.stackCounter = 0;
     Utils.stackCounterLimit = 10;
 
-    if(this.eventsOnBatchLoad)
+    // inside a transaction, changes are notified when it is committed
+    var inTransaction = (queryEnv != null && queryEnv.transaction != null);
+
+    if(this.eventsOnBatchLoad && !inTransaction)
         this.callbacksBackend.startGraphModification();
 
 
@@ -1716,6 +2524,8 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.batchLoad = function(quads, call
               
             that.index(quad, function(result, error){
                 if(result == true){
+                    if(queryEnv != null && queryEnv.updateLog != null)
+                        queryEnv.updateLog.push({quad: quad});
                     if(that.eventsOnBatchLoad)
                         that.callbacksBackend.nextGraphModification(Callbacks.added, [originalQuad,quad]);
 
@@ -1740,7 +2550,7 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.batchLoad = function(quads, call
                 }
             };
      
-            if(that.eventsOnBatchLoad) {
+            if(that.eventsOnBatchLoad && !inTransaction) {
                 that.callbacksBackend.endGraphModification(function(){
                     exitFn();
                 });
@@ -1751,6 +2561,36 @@ MongodbQueryEngine.MongodbQueryEngine.prototype.batchLoad = function(quads, call
     });
 };
 
+// Transactions
+
+/**
+ * Starts a transaction. The updates executed with the transaction in
+ * the 'transaction' option are written to MongoDB, but they are not
+ * notified to the observers until the transaction is committed.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype.beginTransaction = function() {
+    this.callbacksBackend.startGraphModification();
+    return {updateLog: []};
+};
+
+MongodbQueryEngine.MongodbQueryEngine.prototype.commitTransaction = function(transaction, callback) {
+    transaction.updateLog = null;
+    this.callbacksBackend.endGraphModification(function(){
+        callback(true);
+    });
+};
+
+/**
+ * Undoes all the changes of the transaction.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype.rollbackTransaction = function(transaction, callback) {
+    var that = this;
+    this._rollbackUpdate(transaction, function() {
+        that.callbacksBackend.cancelGraphModification();
+        callback(true);
+    });
+};
+
 // Low level operations for update queries
 
 MongodbQueryEngine.MongodbQueryEngine.prototype._executeModifyQuery = function(aqt, queryEnv, callback) {
@@ -1770,12 +2610,12 @@ MongodbQueryEngine.MongodbQueryEngine.prototype._executeModifyQuery = function(a
             var defaultGraph = [];
             var namedGraph = [];
 
-            if(aqt.with != null) {
+            // USING clauses replace the graph in the WITH clause
+            if(aqt.with != null && aqt.using == null) {
                 defaultGraph.push(aqt.with);
             }
 
             if(aqt.using != null) {
-                namedGraph = [];
                 for(var i=0; i<aqt.using.length; i++) {
                     var usingGraph = aqt.using[i];
                     if(usingGraph.kind === 'named') {
@@ -1827,7 +2667,10 @@ MongodbQueryEngine.MongodbQueryEngine.prototype._executeModifyQuery = function(a
                             }
                         }
 
-                        quads.push(quad);
+                        // templates with unbound variables are skipped
+                        if(quad.subject && quad.predicate && quad.object && (quad.graph || src.graph == null)) {
+                            quads.push(quad);
+                        }
                     }
                 }
 
@@ -1867,7 +2710,10 @@ MongodbQueryEngine.MongodbQueryEngine.prototype._executeModifyQuery = function(a
                             }
                         }
 
-                        quads.push(quad);
+                        // templates with unbound variables are skipped
+                        if(quad.subject && quad.predicate && quad.object && (quad.graph || src.graph == null)) {
+                            quads.push(quad);
+                        }
                     }
                 }
 
@@ -1899,6 +2745,8 @@ MongodbQueryEngine.MongodbQueryEngine.prototype._executeQuadInsert = function(qu
             } else {
                 that.index(normalized, function(result, error){
                     if(result == true){
+                        if(queryEnv.updateLog != null)
+                            queryEnv.updateLog.push({quad: normalized});
                         that.callbacksBackend.nextGraphModification(Callbacks.added, [quad, normalized]);
                         that.updateBlankCounter(function(){
                             callback(true);
@@ -1918,9 +2766,17 @@ MongodbQueryEngine.MongodbQueryEngine.prototype._executeQuadDelete = function(qu
     var that = this;
     var normalized = this.normalizeQuad(quad, queryEnv, false);
     if(normalized != null) {
-        that.delete(normalized, function(result, error){
-            that.callbacksBackend.nextGraphModification(Callbacks['deleted'], [quad, normalized]);
-            callback(true);
+        that.search(normalized, function(found) {
+            if(!found) {
+                callback(true);
+            } else {
+                that.delete(normalized, function(result, error){
+                    if(queryEnv.updateLog != null)
+                        queryEnv.updateLog.push({quad: normalized, deleted: true});
+                    that.callbacksBackend.nextGraphModification(Callbacks['deleted'], [quad, normalized]);
+                    callback(true);
+                });
+            }
         });
     } else {
         callback(false, result);
@@ -1929,7 +2785,7 @@ MongodbQueryEngine.MongodbQueryEngine.prototype._executeQuadDelete = function(qu
 
 MongodbQueryEngine.MongodbQueryEngine.prototype._executeClearGraph = function(destinyGraph, queryEnv, callback) {
     if(destinyGraph === 'default') {
-        this.execute("DELETE { ?s ?p ?o } WHERE { ?s ?p ?o }", callback);
+        this._executeInternalUpdate("DELETE { ?s ?p ?o } WHERE { ?s ?p ?o }", queryEnv, callback);
     } else if(destinyGraph === 'named') {
         var that = this;
         this.registeredGraphs(true, function(graphs){
@@ -1939,7 +2795,7 @@ MongodbQueryEngine.MongodbQueryEngine.prototype._executeClearGraph = function(de
                     var graph = graphs[env._i];
                     var floop = arguments.callee;
                     if(!foundErrorDeleting) {
-                        that.execute("DELETE { GRAPH <"+graph+"> { ?s ?p ?o } } WHERE { GRAPH <"+graph+"> { ?s ?p ?o } }", function(success, results){
+                        that._executeInternalUpdate("DELETE { GRAPH <"+graph+"> { ?s ?p ?o } } WHERE { GRAPH <"+graph+"> { ?s ?p ?o } }", queryEnv, function(success, results){
                             foundErrorDeleting = !success;
                             k(floop, env);
                         });
@@ -1955,9 +2811,9 @@ MongodbQueryEngine.MongodbQueryEngine.prototype._executeClearGraph = function(de
         });
     } else if(destinyGraph === 'all') {
         var that = this;
-        this.execute("CLEAR DEFAULT", function(success, result) {
+        this._executeInternalUpdate("CLEAR DEFAULT", queryEnv, function(success, result) {
             if(success) {
-                that.execute("CLEAR NAMED", callback);
+                that._executeInternalUpdate("CLEAR NAMED", queryEnv, callback);
             } else {
                 callback(false,result);
             }
@@ -1967,7 +2823,7 @@ MongodbQueryEngine.MongodbQueryEngine.prototype._executeClearGraph = function(de
         if(destinyGraph.token == 'uri') {
             var graphUri = Utils.lexicalFormBaseUri(destinyGraph,queryEnv);
             if(graphUri != null) {
-                this.execute("DELETE { GRAPH <"+graphUri+"> { ?s ?p ?o } } WHERE { GRAPH <"+graphUri+"> { ?s ?p ?o } }", callback);
+                this._executeInternalUpdate("DELETE { GRAPH <"+graphUri+"> { ?s ?p ?o } } WHERE { GRAPH <"+graphUri+"> { ?s ?p ?o } }", queryEnv, callback);
             } else {
                 callback(false, "wrong graph URI");
             }
@@ -1977,6 +2833,96 @@ MongodbQueryEngine.MongodbQueryEngine.prototype._executeClearGraph = function(de
     }
 };
 
+/**
+ * Executes ADD, MOVE and COPY operations. The source graph is added to
+ * the destiny graph; COPY and MOVE clear the destiny graph first and MOVE
+ * also drops the source graph.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype._executeGraphTransfer = function(aqt, queryEnv, callback) {
+    var that = this;
+    var source = this._graphOrDefaultUri(aqt.sourceGraph, queryEnv);
+    var destiny = this._graphOrDefaultUri(aqt.destinyGraph, queryEnv);
+
+    var pattern = function(graph) {
+        if(graph === 'default') {
+            return "{ ?s ?p ?o }";
+        } else {
+            return "{ GRAPH <"+graph+"> { ?s ?p ?o } }";
+        }
+    };
+
+    if(source == null || destiny == null) {
+        callback(false, "wrong graph URI");
+    } else if(source === destiny) {
+        callback(true);
+    } else {
+        Utils.seq(function(k) {
+            if(source === 'default') {
+                k();
+            } else {
+                that.registeredGraphs(true, function(graphs) {
+                    if(graphs != null && Utils.include(graphs, source)) {
+                        k();
+                    } else {
+                        callback(false, "graph <"+source+"> does not exist");
+                    }
+                });
+            }
+        }, function(k) {
+            if(aqt.kind === 'add') {
+                k();
+            } else {
+                that._executeClearGraph(aqt.destinyGraph, queryEnv, function(success, result) {
+                    if(success) {
+                        k();
+                    } else {
+                        callback(false, result);
+                    }
+                });
+            }
+        }, function(k) {
+            that._executeInternalUpdate("INSERT "+pattern(destiny)+" WHERE "+pattern(source), queryEnv, function(success, result) {
+                if(success) {
+                    k();
+                } else {
+                    callback(false, result);
+                }
+            });
+        }, function(k) {
+            if(aqt.kind === 'move') {
+                that._executeClearGraph(aqt.sourceGraph, queryEnv, function(success, result) {
+                    if(success) {
+                        k();
+                    } else {
+                        callback(false, result);
+                    }
+                });
+            } else {
+                k();
+            }
+        })(function() {
+            callback(true);
+        });
+    }
+};
+
+/**
+ * Returns the URI of a graph in an update operation or 'default'
+ * for the default graph.
+ */
+MongodbQueryEngine.MongodbQueryEngine.prototype._graphOrDefaultUri = function(graph, queryEnv) {
+    if(graph === 'default') {
+        return 'default';
+    } else {
+        var uri = Utils.lexicalFormBaseUri(graph, queryEnv);
+        if(uri === this.lexicon.defaultGraphUri) {
+            return 'default';
+        } else {
+            return uri;
+        }
+    }
+};
+
 MongodbQueryEngine.MongodbQueryEngine.prototype.checkGroupSemantics = function(groupVars, projectionVars) {
     if(groupVars === 'singleGroup') {
         return true;        
@@ -11,6 +11,11 @@ var QueryFilters = require("./query_filters").QueryFilters;
 var RDFJSInterface = require("./rdf_js_interface").RDFJSInterface;
 var RDFLoader = require("../../js-communication/src/rdf_loader").RDFLoader;
 var Callbacks = require("./callbacks.js").Callbacks;
+var DescribeStrategies = require("./describe_strategies").DescribeStrategies;
+var AccessControl = require("./access_control").AccessControl;
+var ExecutionControl = require("./execution_control").ExecutionControl;
+var QueryExplain = require("./query_explain").QueryExplain;
+var SparqlResults = require("../../js-communication/src/sparql_results").SparqlResults;
 
 QueryEngine.QueryEngine = function(params) {
     if(arguments.length != 0) {
@@ -24,6 +29,10 @@ QueryEngine.QueryEngine = function(params) {
         this.rdfLoader = new RDFLoader.RDFLoader(params['communication']);
         this.callbacksBackend = new Callbacks.CallbacksBackend(this);
 	this.customFns = params.customFns || {};
+        // strategy used to describe resources in DESCRIBE queries
+        this.describeStrategy = params.describeStrategy || 'cbd';
+        // write ahead log of the backend, if any
+        this.log = params.log;
     }
 };
 
@@ -31,6 +40,97 @@ QueryEngine.QueryEngine.prototype.setCustomFunctions = function(customFns) {
     this.customFns = customFns;
 };
 
+QueryEngine.QueryEngine.prototype.setDescribeStrategy = function(strategy) {
+    this.describeStrategy = strategy;
+};
+
+/**
+ * Releases the resources held by the lexicon and the backend,
+ * e.g. the files of a file backed store.
+ */
+QueryEngine.QueryEngine.prototype.close = function(cb) {
+    if(this.lexicon.close != null)
+        this.lexicon.close();
+    if(this.log != null)
+        this.log.close();
+    if(this.backend.close != null)
+        this.backend.close(cb);
+    else
+        cb();
+};
+
+/**
+ * Saves the lexicon after a write. If there is a write ahead log,
+ * the write is committed saving the lexicon once the log and the
+ * indices have been synced to disk.
+ */
+QueryEngine.QueryEngine.prototype._commitWrite = function() {
+    var that = this;
+    if(this.log != null) {
+        this.log.commit(function(sequence) {
+            that.backend.sync();
+            that.lexicon.logSequence = sequence;
+            if(that.lexicon.updateAfterWrite != null)
+                that.lexicon.updateAfterWrite();
+        });
+    } else if(this.lexicon.updateAfterWrite != null) {
+        this.lexicon.updateAfterWrite();
+    }
+};
+
+// Transactions
+
+/**
+ * Starts a transaction. The updates executed with the transaction in
+ * the 'transaction' option are applied to the indices, but they are
+ * not notified to the observers nor saved by persistent lexicons until
+ * the transaction is committed.
+ */
+QueryEngine.QueryEngine.prototype.beginTransaction = function() {
+    this.callbacksBackend.startGraphModification();
+    return {updateLog: []};
+};
+
+QueryEngine.QueryEngine.prototype.commitTransaction = function(transaction, callback) {
+    this._commitUpdate(transaction);
+    this._commitWrite();
+    this.callbacksBackend.endGraphModification(function(){
+        callback(true);
+    });
+};
+
+/**
+ * Undoes all the changes of the transaction.
+ */
+QueryEngine.QueryEngine.prototype.rollbackTransaction = function(transaction, callback) {
+    this._rollbackUpdate(transaction);
+    this._commitWrite();
+    this.callbacksBackend.cancelGraphModification();
+    callback(true);
+};
+
+/**
+ * Returns an engine sharing the lexicon and the configuration of this
+ * one whose queries read the data as it was before the transaction.
+ */
+QueryEngine.QueryEngine.prototype.snapshot = function(transaction) {
+    var engine = Object.create(this);
+    engine.backend = this.backend.snapshot(transaction);
+    return engine;
+};
+
+/**
+ * Checks that the indices of the backend contain the same quads
+ * and that all their OIDs are registered in the lexicon.
+ */
+QueryEngine.QueryEngine.prototype.checkIntegrity = function(callback) {
+    var result = this.backend.checkIntegrity();
+    var errors = result.errors;
+    if(this.lexicon.checkIntegrity != null)
+        errors = errors.concat(this.lexicon.checkIntegrity(result.quads));
+    callback(true, {valid: errors.length === 0, errors: errors, quads: result.quads.length});
+};
+
 // Utils
 QueryEngine.QueryEngine.prototype.registerNsInEnvironment = function(prologue, env) {
     var prefixes = [];
@@ -291,35 +391,35 @@ QueryEngine.QueryEngine.prototype.aggregateBindings = function(projection, bindi
 };
 
 
-QueryEngine.QueryEngine.prototype.projectBindings = function(projection, results, dataset) {
+QueryEngine.QueryEngine.prototype.projectBindings = function(projection, results, dataset, env) {
     if(projection[0].kind === '*') {
         return results;
     } else {
         var projectedResults = [];
+        var expressionEnv = env || {blanks:{}, outCache:{}};
 
         for(var i=0; i<results.length; i++) {
             var currentResult = results[i];
             var currentProjected = {};
-            var shouldAdd = true;
+            var denormResult = null;
 
             for(var j=0; j< projection.length; j++) {
                 if(projection[j].token == 'variable' && projection[j].kind != 'aliased') {
                     currentProjected[projection[j].value.value] = currentResult[projection[j].value.value];
                 } else if(projection[j].token == 'variable' && projection[j].kind == 'aliased') {
-                    var ebv = QueryFilters.runFilter(projection[j].expression, currentResult, this, dataset, {blanks:{}, outCache:{}});
-                    if(QueryFilters.isEbvError(ebv)) {
-                        shouldAdd = false;
-                        break;
-                    } else {
+                    // expressions are evaluated with the values of the OIDs
+                    if(denormResult == null) {
+                        denormResult = this.copyDenormalizedBindings([currentResult], expressionEnv.outCache)[0];
+                    }
+                    var ebv = QueryFilters.runFilter(projection[j].expression, denormResult, this, dataset, expressionEnv);
+                    // an error in the expression leaves the alias unbound
+                    if(!QueryFilters.isEbvError(ebv)) {
                         currentProjected[projection[j].alias.value] = ebv;
                     }
                 }
             }
 
-            if(shouldAdd === true) {
-                projectedResults.push(currentProjected);
-            }
-
+            projectedResults.push(currentProjected);
         }
 
         return projectedResults;
@@ -380,6 +480,8 @@ QueryEngine.QueryEngine.prototype.normalizeTerm = function(term, env, shouldInde
         var label = term.value;
         var oid = env.blanks[label];
         if( oid != null) {
+            if(shouldIndex)
+                this.lexicon.referenceBlank(oid);
             return(oid);
         } else {
             if(shouldIndex) {
@@ -399,6 +501,41 @@ QueryEngine.QueryEngine.prototype.normalizeTerm = function(term, env, shouldInde
     }
 };
 
+/**
+ * Normalizes a term computed during the execution of the query,
+ * e.g. the result of a BIND expression or a VALUES data block.
+ * Terms not stored in the lexicon are returned denormalized, using
+ * the same object for equal terms in the query environment so they
+ * can be compared when joining bindings.
+ */
+QueryEngine.QueryEngine.prototype.normalizeComputedTerm = function(term, env) {
+    var oid = -1;
+    var key;
+    if(term.token === 'uri') {
+        var uri = Utils.lexicalFormBaseUri(term, env);
+        oid = this.lexicon.resolveUri(uri);
+        term = {token: 'uri', value: uri};
+        key = 'u' + uri;
+    } else if(term.token === 'literal') {
+        var lexicalFormLiteral = Utils.lexicalFormLiteral(term, env);
+        oid = this.lexicon.resolveLiteral(lexicalFormLiteral);
+        term = this.lexicon.parseLiteral(lexicalFormLiteral);
+        key = 'l' + lexicalFormLiteral;
+    } else {
+        key = Utils.hashTerm(term);
+    }
+
+    if(oid !== -1) {
+        return oid;
+    } else {
+        env.computed = env.computed || {};
+        if(env.computed[key] == null) {
+            env.computed[key] = term;
+        }
+        return env.computed[key];
+    }
+};
+
 QueryEngine.QueryEngine.prototype.normalizeDatasets = function(datasets, outerEnv, callback) {
     var that = this;
     for(var i=0; i<datasets.length; i++) {
@@ -520,7 +657,7 @@ QueryEngine.QueryEngine.prototype.copyDenormalizedBindings = function(bindingsLi
                 if(inOut!= null) {
                     denorm[variables[j]] = inOut;
                 } else {
-                    var val = this.lexicon.retrieve(oid);
+                    var val = this.retrieveTerm(oid);
                     out[oid] = val;
                     denorm[variables[j]] = val;
                 }
@@ -531,6 +668,23 @@ QueryEngine.QueryEngine.prototype.copyDenormalizedBindings = function(bindingsLi
     return denormList;
 };
 
+/**
+ * Retrieves the term 'oid' from the lexicon. The number stored by the
+ * lexicon for numeric literals is kept in the non enumerable property
+ * 'native', so filters, ORDER BY and aggregates do not parse the value,
+ * see QueryFilters.effectiveTypeValue.
+ */
+QueryEngine.QueryEngine.prototype.retrieveTerm = function(oid) {
+    var term = this.lexicon.retrieve(oid);
+    if(this.lexicon.nativeValue != null && typeof(oid) === 'number') {
+        var value = this.lexicon.nativeValue(oid);
+        if(typeof(value) === 'number') {
+            Object.defineProperty(term, 'native', {value: {value: term.value, type: term.type, number: value}});
+        }
+    }
+    return term;
+};
+
 QueryEngine.QueryEngine.prototype.denormalizeBindings = function(bindings, env, callback) {
     var variables = Utils.keys(bindings);
     var envOut = env.outCache;
@@ -539,6 +693,9 @@ QueryEngine.QueryEngine.prototype.denormalizeBindings = function(bindings, env,
         if(oid == null) {
             // this can be null, e.g. union different variables (check SPARQL recommendation examples UNION)
             bindings[variables[i]] = null;
+        } else if(typeof(oid) === 'object') {
+            // already denormalized, e.g. value computed in a BIND expression
+            bindings[variables[i]] = oid;
         } else {
             if(envOut[oid] != null) {
                 bindings[variables[i]] = envOut[oid];
@@ -556,20 +713,42 @@ QueryEngine.QueryEngine.prototype.denormalizeBindings = function(bindings, env,
 
 // Queries execution
 
-QueryEngine.QueryEngine.prototype.execute = function(queryString, callback, defaultDataset, namedDataset){
+/**
+ * Executes a query or update request.
+ * The options can contain an access control list, 'acl', restricting
+ * the graphs the request can read and modify, and the 'timeout' and
+ * 'maxBindings' limits of the request or the execution handle, 'control',
+ * used to interrupt it. The 'syntaxTree' option contains the request
+ * already parsed.
+ */
+QueryEngine.QueryEngine.prototype.execute = function(queryString, callback, defaultDataset, namedDataset, options){
     //try{
         queryString = Utils.normalizeUnicodeLiterals(queryString);
+        var acl = AccessControl.build((options || {}).acl);
+        var control = ExecutionControl.build(options);
+        var transaction = (options || {}).transaction;
+        control.start();
 
-        var syntaxTree = this.abstractQueryTree.parseQueryString(queryString);
+        var syntaxTree = (options || {}).syntaxTree;
         if(syntaxTree == null) {
+            syntaxTree = this.abstractQueryTree.parseQueryString(queryString);
+        }
+        if(control.interruption() != null) {
+            // cancelled before the evaluation started
+            callback(false, control.interruption());
+        } else if(syntaxTree == null) {
             callback(false,"Error parsing query string");
         } else {
             if(syntaxTree.token === 'query' && syntaxTree.kind == 'update')  {
-                this.callbacksBackend.startGraphModification();
+                if(transaction == null)
+                    this.callbacksBackend.startGraphModification();
                 var that = this;
                 this.executeUpdate(syntaxTree, function(success, result){
-		    if(that.lexicon.updateAfterWrite)
-			that.lexicon.updateAfterWrite();
+                    if(transaction != null) {
+                        // changes are committed with the transaction
+                        return callback(success, result);
+                    }
+		    that._commitWrite();
 
                     if(success) {
                         that.callbacksBackend.endGraphModification(function(){
@@ -579,9 +758,9 @@ QueryEngine.QueryEngine.prototype.execute = function(queryString, callback, defa
                         that.callbacksBackend.cancelGraphModification();
                         callback(success, result);
                     }
-                });
+                }, defaultDataset, namedDataset, acl, control, transaction);
             } else if(syntaxTree.token === 'query' && syntaxTree.kind == 'query') {
-                this.executeQuery(syntaxTree, callback, defaultDataset, namedDataset);
+                this.executeQuery(syntaxTree, callback, defaultDataset, namedDataset, acl, control);
             }
         }
     //} catch(e) {
@@ -595,17 +774,23 @@ QueryEngine.QueryEngine.prototype.execute = function(queryString, callback, defa
 
 // Retrieval queries
 
-QueryEngine.QueryEngine.prototype.executeQuery = function(syntaxTree, callback, defaultDataset, namedDataset) {
+QueryEngine.QueryEngine.prototype.executeQuery = function(syntaxTree, callback, defaultDataset, namedDataset, acl, control) {
     var prologue = syntaxTree.prologue;
     var units = syntaxTree.units;
     var that = this;
 
     // environment for the operation -> base ns, declared ns, etc.
-    var queryEnv = {blanks:{}, outCache:{}};
+    var queryEnv = {blanks:{}, outCache:{}, acl: acl, control: control};
     this.registerNsInEnvironment(prologue, queryEnv);
 
     // retrieval queries can only have 1 executable unit
-    var aqt = that.abstractQueryTree.parseExecutableUnit(units[0]);
+    var aqt;
+    try {
+        aqt = that.abstractQueryTree.parseExecutableUnit(units[0]);
+    } catch(e) {
+        // semantic errors in the query, e.g. BIND of a variable already in scope
+        return callback(false, e.message);
+    }
 
     // can be anything else but a select???
     if(aqt.kind === 'select') {
@@ -701,6 +886,138 @@ QueryEngine.QueryEngine.prototype.executeQuery = function(syntaxTree, callback,
                 callback(false, result);
             }
         });
+    } else if(aqt.kind === 'describe') {
+        this.executeDescribe(aqt, queryEnv, defaultDataset, namedDataset, callback);
+    }
+};
+
+// Describe queries
+
+QueryEngine.QueryEngine.prototype.executeDescribe = function(unit, env, defaultDataset, namedDataset, callback) {
+    var that = this;
+    var strategy = DescribeStrategies.resolve(this.describeStrategy);
+    if(strategy == null) {
+        return callback(false, "Unknown describe strategy "+this.describeStrategy);
+    }
+
+    var describeResources = function(oids) {
+        var graphs = [];
+        for(var i=0; i<unit.dataset.implicit.length; i++) {
+            if(that.canAccessGraph(unit.dataset.implicit[i].oid, 'read', env)) {
+                graphs.push(unit.dataset.implicit[i]);
+            }
+        }
+        var context = {
+            match: function(pattern, callback) {
+                var acum = [];
+                for(var i=0; i<graphs.length; i++) {
+                    var key = {subject: 'subject', predicate: 'predicate', object: 'object', graph: graphs[i].oid};
+                    // blank node OIDs are strings in the lexicon and the index
+                    // treats string components as variables, they are filtered
+                    // after the range query
+                    if(typeof(pattern.subject) === 'number') {
+                        key.subject = pattern.subject;
+                    }
+                    if(typeof(pattern.object) === 'number') {
+                        key.object = pattern.object;
+                    }
+                    var quads = that.backend.range(new QuadIndexCommon.Pattern(key)) || [];
+                    for(var j=0; j<quads.length; j++) {
+                        var quad = quads[j];
+                        if((pattern.subject == null || quad.subject == pattern.subject) &&
+                           (pattern.object == null || quad.object == pattern.object)) {
+                            acum.push(quad);
+                        }
+                    }
+                }
+                callback(acum);
+            },
+            isBlank: function(oid) {
+                return that.lexicon.retrieve(oid).token === 'blank';
+            }
+        };
+
+        var graph = new RDFJSInterface.Graph();
+        Utils.repeat(0, oids.length, function(k, e) {
+            var floop = arguments.callee;
+            var interruption = that.executionInterruption(env);
+            if(interruption != null) {
+                return callback(false, interruption);
+            }
+            strategy(oids[e._i], context, function(quads) {
+                for(var i=0; i<quads.length; i++) {
+                    var quad = quads[i];
+                    var s = RDFJSInterface.buildRDFResource(that.lexicon.retrieve(quad.subject), {}, that, env);
+                    var p = RDFJSInterface.buildRDFResource(that.lexicon.retrieve(quad.predicate), {}, that, env);
+                    var o = RDFJSInterface.buildRDFResource(that.lexicon.retrieve(quad.object), {}, that, env);
+                    graph.add(new RDFJSInterface.Triple(s,p,o));
+                }
+                k(floop, e);
+            });
+        }, function() {
+            callback(true, graph);
+        });
+    };
+
+    var addResource = function(oid, found, oids) {
+        if(oid != null && oid !== -1 && found[oid] !== true) {
+            if(that.lexicon.retrieve(oid).token !== 'literal') {
+                found[oid] = true;
+                oids.push(oid);
+            }
+        }
+    };
+
+    var describedIris = function(found, oids) {
+        for(var i=0; i<unit.resources.length; i++) {
+            if(unit.resources[i].token === 'uri') {
+                addResource(that.normalizeTerm(unit.resources[i], env, false), found, oids);
+            }
+        }
+    };
+
+    if(unit.pattern == null) {
+        var dataset = unit.dataset;
+        if(defaultDataset != null || namedDataset != null) {
+            dataset.implicit = defaultDataset || [];
+            dataset.named   = namedDataset || [];
+        }
+        if(dataset.implicit.length === 0 && dataset.named.length === 0) {
+            dataset.implicit.push(this.lexicon.defaultGraphUriTerm);
+        }
+        if(that.normalizeDatasets(dataset.implicit.concat(dataset.named), env) != null) {
+            var found = {};
+            var oids = [];
+            describedIris(found, oids);
+            describeResources(oids);
+        } else {
+            callback(false, "Error normalizing datasets");
+        }
+    } else {
+        unit.projection = [{"token": "variable", "kind": "*"}];
+        this.executeSelect(unit, env, defaultDataset, namedDataset, function(success, result) {
+            if(success) {
+                var found = {};
+                var oids = [];
+                for(var i=0; i<result.length; i++) {
+                    var bindings = result[i];
+                    for(var j=0; j<unit.resources.length; j++) {
+                        var resource = unit.resources[j];
+                        if(resource.kind === '*') {
+                            for(var variable in bindings) {
+                                addResource(bindings[variable], found, oids);
+                            }
+                        } else if(resource.token === 'var') {
+                            addResource(bindings[resource.value], found, oids);
+                        }
+                    }
+                }
+                describedIris(found, oids);
+                describeResources(oids);
+            } else {
+                callback(false, result);
+            }
+        });
     }
 };
 
@@ -708,7 +1025,7 @@ QueryEngine.QueryEngine.prototype.executeQuery = function(syntaxTree, callback,
 // Select queries
 
 QueryEngine.QueryEngine.prototype.executeSelect = function(unit, env, defaultDataset, namedDataset, callback) {
-    if(unit.kind === "select" || unit.kind === "ask" || unit.kind === "construct" || unit.kind === "modify") {
+    if(unit.kind === "select" || unit.kind === "ask" || unit.kind === "construct" || unit.kind === "modify" || unit.kind === "describe") {
         var projection = unit.projection;
         var dataset    = unit.dataset;
         var modifier   = unit.modifier;
@@ -728,49 +1045,53 @@ QueryEngine.QueryEngine.prototype.executeSelect = function(unit, env, defaultDat
         }
 
         if (that.normalizeDatasets(dataset.implicit.concat(dataset.named), env) != null) {
-            var result = that.executeSelectUnit(projection, dataset, unit.pattern, env);
-            if(result != null) {
-                // detect single group
-                if(unit.group!=null && unit.group === "") {
-                    var foundUniqueGroup = false;
-                    for(var i=0; i<unit.projection.length; i++) {
-                        if(unit.projection[i].expression!=null && unit.projection[i].expression.expressionType === 'aggregate') {
-                            foundUniqueGroup = true;
-                            break;
+            that.executeSelectUnitWithServices(projection, dataset, unit.pattern, env, function(success, result) {
+                if(success === false) {
+                    return callback(false, result);
+                }
+                if(result != null) {
+                    // detect single group
+                    if(unit.group!=null && unit.group === "") {
+                        var foundUniqueGroup = false;
+                        for(var i=0; i<unit.projection.length; i++) {
+                            if(unit.projection[i].expression!=null && QueryFilters.containsAggregate(unit.projection[i].expression)) {
+                                foundUniqueGroup = true;
+                                break;
+                            }
+                        }
+                        if(foundUniqueGroup === true) {
+                            unit.group = 'singleGroup';
                         }
                     }
-                    if(foundUniqueGroup === true) {
-                        unit.group = 'singleGroup';
-                    }
-                }
-                if(unit.group && unit.group != "") {
-                    if(that.checkGroupSemantics(unit.group,projection)) {
-                        var groupedBindings = that.groupSolution(result, unit.group, dataset, env);
+                    if(unit.group && unit.group != "") {
+                        if(that.checkGroupSemantics(unit.group,projection)) {
+                            var groupedBindings = that.groupSolution(result, unit.group, dataset, env);
 
-                        var aggregatedBindings = [];
-                        var foundError = false;
+                            var aggregatedBindings = [];
+                            var foundError = false;
 
-                        for(var i=0; i<groupedBindings.length; i++) {
-                            var resultingBindings = that.aggregateBindings(projection, groupedBindings[i], dataset, env);
-                            aggregatedBindings.push(resultingBindings);
+                            for(var i=0; i<groupedBindings.length; i++) {
+                                var resultingBindings = that.aggregateBindings(projection, groupedBindings[i], dataset, env);
+                                aggregatedBindings.push(resultingBindings);
+                            }
+                            callback(true, {'bindings': aggregatedBindings, 'denorm':true});
+                        } else {
+                            callback(false, "Incompatible Group and Projection variables");
                         }
-                        callback(true, {'bindings': aggregatedBindings, 'denorm':true});
                     } else {
-                        callback(false, "Incompatible Group and Projection variables");
+                        var orderedBindings = that.applyOrderBy(order, result, dataset, env);
+                        var projectedBindings = that.projectBindings(projection, orderedBindings, dataset, env);
+                        var modifiedBindings = that.applyModifier(modifier, projectedBindings);
+                        var limitedBindings  = that.applyLimitOffset(offset, limit, modifiedBindings);
+                        var filteredBindings = that.removeDefaultGraphBindings(limitedBindings, dataset);
+
+                        callback(true, filteredBindings);
                     }
-                } else {
-                    var orderedBindings = that.applyOrderBy(order, result, dataset, env);
-                    var projectedBindings = that.projectBindings(projection, orderedBindings, dataset);
-                    var modifiedBindings = that.applyModifier(modifier, projectedBindings);
-                    var limitedBindings  = that.applyLimitOffset(offset, limit, modifiedBindings);
-                    var filteredBindings = that.removeDefaultGraphBindings(limitedBindings, dataset);
 
-                    callback(true, filteredBindings);
+                } else { // fail selectUnit
+                    callback(false, result);
                 }
-
-            } else { // fail selectUnit
-                callback(false, result);
-            }
+            });
         } else { // fail  normalizaing datasets
             callback(false,"Error normalizing datasets");
         }
@@ -922,208 +1243,620 @@ QueryEngine.QueryEngine.prototype.executeSelectUnit = function(projection, datas
     } else if(pattern.kind === "EMPTY_PATTERN") {
         // as an example of this case  check DAWG test case: algebra/filter-nested-2
         return [];
-    } else if(pattern.kind === "ZERO_OR_MORE_PATH" || pattern.kind === 'ONE_OR_MORE_PATH') {
-	return this.executeZeroOrMorePath(pattern, dataset, env);
+    } else if(pattern.kind === "PATH") {
+        return this.executePATH(pattern, dataset, env);
+    } else if(pattern.kind === "EXTEND") {
+        return this.executeEXTEND(projection, dataset, pattern, env);
+    } else if(pattern.kind === "VALUES") {
+        return this.executeVALUES(pattern, env);
+    } else if(pattern.kind === "SUBSELECT") {
+        return this.executeSUBSELECT(dataset, pattern.value, env);
+    } else if(pattern.kind === "SERVICE") {
+        return this.executeSERVICE(pattern, env);
+    } else if(pattern.kind === "MINUS") {
+        return this.executeMINUS(projection, dataset, pattern, env);
     } else {
         console.log("Cannot execute query pattern " + pattern.kind + ". Not implemented yet.");
         return null;
     }
 };
 
-QueryEngine.QueryEngine.prototype.executeZeroOrMorePath = function(pattern, dataset, env) {
-    //console.log("EXECUTING ZERO OR MORE PATH");
-    //console.log("X");
-    //console.log(pattern.x);
-    //console.log("Y");
-    //console.log(pattern.y);
-    var projection = [];
-    var starProjection = false;
-    if(pattern.x.token === 'var') {
-	projection.push({token: 'variable',
-			 kind: 'var',
-			 value: pattern.x.value});
-    }
-    if(pattern.y.token === 'var') {
-	projection.push({token: 'variable',
-			 kind: 'var',
-			 value: pattern.y.value});
-    }
-
-    if(projection.length === 0) {
-	projection.push({"token": "variable", "kind": "*"});
-	starProjection = true;
-    }
-
-    //console.log("COMPUTED PROJECTION");
-    //console.log(projection);
-
-
-    if(pattern.x.token === 'var' && pattern.y.token === 'var') {
-	var bindings = this.executeAndBGP(projection, dataset, pattern.path, env);
-	//console.log("BINDINGS "+bindings.length);
-	//console.log(bindings);
-	var acum = {};
-	var results = [];
-	var vx, intermediate, nextBinding, vxDenorm;
-	var origVXName = pattern.x.value;
-	var last = pattern.x;
-	var nextPath = pattern.path;
-	//console.log("VAR - VAR PATTERN");
-	//console.log(nextPath.value);
-	for(var i=0; i<bindings.length; i++) {
-	    vx = bindings[i][origVXName];
-	    if(acum[vx] == null) {
-		vxDenorm = this.lexicon.retrieve(vx);
-		pattern.x = vxDenorm;
-		//console.log("REPLACING");
-		//console.log(last);
-		//console.log("BY");
-		//console.log(vxDenorm);
-		//console.log(nextPath.value);
-		pattern.path = this.abstractQueryTree.replace(nextPath, last, vxDenorm, env);
-		nextPath = Utils.clone(pattern.path);
-		intermediate = this.executeZeroOrMorePath(pattern, dataset, env);
-		for(var j=0; j<intermediate.length; j++) {
-		    nextBinding = intermediate[j];
-		    nextBinding[origVXName] = vx;
-		    results.push(nextBinding)
-		}
-		last = vxDenorm;
-	    }
-	}
-
-	//console.log("RETURNING VAR - VAR");
-	return results;
-    } else if(pattern.x.token !== 'var' && pattern.y.token === 'var') {
-	var finished;
-	var acum = {};
-	var initial = true;
-	var pending = [];
-	var bindings,nextBinding;
-	var collected = [];
-	var origVx = pattern.x;
-	var last;
-
-	while(initial == true || pending.length !== 0) {
-	    //console.log("-- Iteration");
-	    //console.log(pattern.path.value[0]);
-	    if(initial === true) {
-		bindings = this.executeAndBGP(projection, dataset, pattern.path, env);
-		//console.log("SAVING LAST");
-		//console.log(pattern.x);
-		last = pattern.x;
-		initial = false;
-	    } else {
-		var nextOid = pending.pop();
-		//console.log("POPPING:"+nextOid);
-		var value = this.lexicon.retrieve(nextOid);
-		var path = pattern.path; //Utils.clone(pattern.path);
-		//console.log(path.value[0]);
-		//console.log("REPLACING");
-		//console.log(last);
-		//console.log("BY");
-		//console.log(value);
-		path = this.abstractQueryTree.replace(path, last, value, env);
-		//console.log(path.value[0]);
-		bindings = this.executeAndBGP(projection, dataset, path, env);
-		last = value;
-	    }
-
-
-	    //console.log("BINDINGS!");
-	    //console.log(bindings);
-
-	    for(var i=0; i<bindings.length; i++) {
-		//console.log(bindings[i][pattern.y.value])
-		var value = bindings[i][pattern.y.value];
-		//console.log("VALUE:"+value);
-		if(acum[value] !== true) {
-		    nextBinding = {};
-		    nextBinding[pattern.y.value] = value;
-		    collected.push(nextBinding);
-		    acum[value] = true;
-		    pending.push(value);
-		}
-	    }
-	}
-	//console.log("RETURNING TERM - VAR");
-	//console.log(collected);
-	return collected;
+QueryEngine.QueryEngine.prototype.executeEXTEND = function(projection, dataset, pattern, env) {
+    var bindings;
+    if(pattern.value.kind === 'EMPTY_PATTERN') {
+        // BIND at the beginning of a group extends the empty solution
+        bindings = [{}];
     } else {
-	throw "Kind of path not supported!";
+        bindings = this.executeSelectUnit(projection, dataset, pattern.value, env);
+        if(bindings == null) {
+            return null;
+        }
     }
-};
-
-QueryEngine.QueryEngine.prototype.executeUNION = function(projection, dataset, patterns, env) {
-    var setQuery1 = patterns[0];
-    var setQuery2 = patterns[1];
-    var set1 = null;
-    var set2 = null;
 
-    if(patterns.length != 2) {
-        throw("SPARQL algebra UNION with more than two components");
+    var results = QueryFilters.collect(pattern.expression, bindings, dataset, env, this);
+    var acum = [];
+    for(var i=0; i<results.length; i++) {
+        var extended = {};
+        for(var p in results[i].binding) {
+            extended[p] = results[i].binding[p];
+        }
+        var value = results[i].value;
+        // errors in the expression leave the variable unbound
+        if(value != null && typeof(value) === 'object' && !QueryFilters.isEbvError(value)) {
+            extended[pattern.variable.value] = this.normalizeComputedTerm(value, env);
+        }
+        acum.push(extended);
     }
 
-    var that = this;
-    var sets = [];
+    return acum;
+};
 
-    set1 = that.executeSelectUnit(projection, dataset, setQuery1, env);
-    if(set1==null) {
+/**
+ * Evaluates a nested SELECT query. Only the projected variables
+ * are returned, normalized so they can be joined with the bindings
+ * of the outer query.
+ */
+QueryEngine.QueryEngine.prototype.executeSUBSELECT = function(dataset, unit, env) {
+    var result = this.executeSelectUnit(unit.projection, dataset, unit.pattern, env);
+    if(result == null) {
         return null;
     }
 
-    set2 = that.executeSelectUnit(projection, dataset, setQuery2, env);
-    if(set2==null) {
-        return null;
+    var group = unit.group;
+    if(group == null || group === "") {
+        group = null;
+        for(var i=0; i<unit.projection.length; i++) {
+            if(unit.projection[i].expression!=null && QueryFilters.containsAggregate(unit.projection[i].expression)) {
+                group = 'singleGroup';
+                break;
+            }
+        }
     }
 
-    var result = QueryPlan.unionBindings(set1, set2);
-    result = QueryFilters.checkFilters(patterns, result, false, dataset, env, that);
-    return result;
+    var projectedBindings;
+    if(group != null) {
+        if(!this.checkGroupSemantics(group, unit.projection)) {
+            return null;
+        }
+        var groupedBindings = this.groupSolution(result, group, dataset, env);
+        var aggregatedBindings = [];
+        for(var i=0; i<groupedBindings.length; i++) {
+            aggregatedBindings.push(this.aggregateBindings(unit.projection, groupedBindings[i], dataset, env));
+        }
+        projectedBindings = this.applyOrderBy(unit.order, aggregatedBindings, dataset, env);
+    } else {
+        var orderedBindings = this.applyOrderBy(unit.order, result, dataset, env);
+        projectedBindings = this.projectBindings(unit.projection, orderedBindings, dataset, env);
+    }
+
+    var modifiedBindings = this.applyModifier(unit.modifier, projectedBindings);
+    var limitedBindings = this.applyLimitOffset(unit.offset, unit.limit, modifiedBindings);
+
+    var acum = [];
+    for(var i=0; i<limitedBindings.length; i++) {
+        var bindings = {};
+        for(var p in limitedBindings[i]) {
+            var value = limitedBindings[i][p];
+            if(value == null || QueryFilters.isEbvError(value)) {
+                // unbound variables are not part of the solution
+                continue;
+            } else if(typeof(value) === 'object') {
+                bindings[p] = this.normalizeComputedTerm(value, env);
+            } else {
+                bindings[p] = value;
+            }
+        }
+        acum.push(bindings);
+    }
+
+    return acum;
 };
 
-QueryEngine.QueryEngine.prototype.executeAndBGP = function(projection, dataset, patterns, env) {
+/**
+ * Evaluates a query pattern retrieving the results of the SERVICE patterns it contains.
+ * Remote results are cached in the environment, SERVICE patterns whose results
+ * are not available yet are evaluated to no solutions and the pattern is evaluated
+ * again once the pending requests to the remote endpoints have finished.
+ */
+QueryEngine.QueryEngine.prototype.executeSelectUnitWithServices = function(projection, dataset, pattern, env, callback) {
     var that = this;
-    var result = QueryPlan.executeAndBGPsDPSize(patterns.value, dataset, this, env);
-    if(result!=null) {
-        return QueryFilters.checkFilters(patterns, result, false, dataset, env, that);
+    env.serviceResults = env.serviceResults || {};
+    env.pendingServices = [];
+    env.serviceError = null;
+
+    var result;
+    try {
+        this.checkExecution(env);
+        result = this.executeSelectUnit(projection, dataset, pattern, env);
+    } catch(e) {
+        if(e instanceof ExecutionControl.Interrupted) {
+            return callback(false, e.message);
+        }
+        throw e;
+    }
+    if(env.serviceError != null) {
+        callback(false, env.serviceError);
+    } else if(env.pendingServices.length === 0) {
+        callback(true, result);
     } else {
-        return null;
+        var pending = env.pendingServices;
+        var transport = this.rdfLoader.getNetworkTransport();
+        Utils.repeat(0, pending.length, function(k, e) {
+            var floop = arguments.callee;
+            var request = pending[e._i];
+            SparqlResults.query(transport, request.endpoint, request.query, function(success, results) {
+                if(success && typeof(results) === 'boolean') {
+                    success = false;
+                    results = "SPARQL endpoint "+request.endpoint+" did not return a list of solutions";
+                }
+                env.serviceResults[request.key] = {success: success, results: results};
+                k(floop, e);
+            });
+        }, function(e) {
+            that.executeSelectUnitWithServices(projection, dataset, pattern, env, callback);
+        });
     }
 };
 
-QueryEngine.QueryEngine.prototype.executeLEFT_JOIN = function(projection, dataset, patterns, env) {
-    var setQuery1 = patterns.lvalue;
-    var setQuery2 = patterns.rvalue;
+QueryEngine.QueryEngine.prototype.executeSERVICE = function(pattern, env) {
+    if(pattern.endpoint.token === 'var') {
+        if(pattern.silent) {
+            return [{}];
+        } else {
+            env.serviceError = "Unbound SERVICE endpoint variable ?"+pattern.endpoint.value;
+            return [];
+        }
+    }
 
-    var set1 = null;
-    var set2 = null;
+    return this.serviceBindings(Utils.lexicalFormBaseUri(pattern.endpoint, env), pattern, env);
+};
 
-    var that = this;
-    var sets = [];
-    var acum, duplicates;
+/**
+ * Evaluates a SERVICE pattern whose endpoint is a variable for every
+ * endpoint bound to the variable in the solutions of the left side of a join.
+ */
+QueryEngine.QueryEngine.prototype.executeVariableSERVICE = function(bindings, pattern, env) {
+    var variable = pattern.endpoint.value;
+    var endpoints = {};
+    var acum = [];
+    for(var i=0; i<bindings.length; i++) {
+        var value = bindings[i][variable];
+        if(value == null) {
+            continue;
+        }
+        var key = (typeof(value) === 'object') ? Utils.hashTerm(value) : value;
+        if(endpoints[key] != null) {
+            continue;
+        }
+        endpoints[key] = true;
 
-    //console.log("SET QUERY 1");
-    //console.log(setQuery1.value);
-    set1 = that.executeSelectUnit(projection, dataset, setQuery1, env);
-    if(set1==null) {
-        return null;
+        var term = this.copyDenormalizedBindings([bindings[i]], env.outCache)[0][variable];
+        if(term.token !== 'uri') {
+            continue;
+        }
+        var results = this.serviceBindings(term.value, pattern, env);
+        for(var j=0; j<results.length; j++) {
+            results[j][variable] = value;
+            acum.push(results[j]);
+        }
     }
 
-    //console.log("SET QUERY 2");
-    //console.log(setQuery2);
-    set2 = that.executeSelectUnit(projection, dataset, setQuery2, env);
-    if(set2==null) {
-        return null;
-    }
+    return acum;
+};
 
+QueryEngine.QueryEngine.prototype.serviceBindings = function(endpoint, pattern, env) {
+    var query = "";
+    if(env.base != null) {
+        query = query + "BASE <"+env.base+">\n";
+    }
+    for(var prefix in env.namespaces) {
+        query = query + "PREFIX "+prefix+": <"+env.namespaces[prefix]+">\n";
+    }
+    query = query + "SELECT * WHERE " + pattern.text;
+
+    var key = endpoint + " " + query;
+    var cached = env.serviceResults[key];
+    if(cached == null) {
+        for(var i=0; i<env.pendingServices.length; i++) {
+            if(env.pendingServices[i].key === key) {
+                return [];
+            }
+        }
+        env.pendingServices.push({endpoint: endpoint, query: query, key: key});
+        return [];
+    } else if(cached.success === false) {
+        if(pattern.silent) {
+            // a failing silent SERVICE returns the empty solution
+            return [{}];
+        } else {
+            env.serviceError = cached.results;
+            return [];
+        }
+    } else {
+        var acum = [];
+        for(var i=0; i<cached.results.length; i++) {
+            var bindings = {};
+            for(var p in cached.results[i]) {
+                bindings[p] = this.normalizeComputedTerm(cached.results[i][p], env);
+            }
+            acum.push(bindings);
+        }
+        return acum;
+    }
+};
 
-    //console.log("\nLEFT JOIN SETS:")
-    //console.log(set1)
-    //console.log(set2)
-    var result = QueryPlan.leftOuterJoinBindings(set1, set2);
-    //console.log("---")
-    //console.log(result);
+QueryEngine.QueryEngine.prototype.executeVALUES = function(pattern, env) {
+    var acum = [];
+    for(var i=0; i<pattern.rows.length; i++) {
+        var row = pattern.rows[i];
+        var bindings = {};
+        for(var j=0; j<pattern.variables.length; j++) {
+            // UNDEF values leave the variable unbound
+            if(row[j] != null) {
+                bindings[pattern.variables[j]] = this.normalizeComputedTerm(row[j], env);
+            }
+        }
+        acum.push(bindings);
+    }
+
+    return acum;
+};
+
+/**
+ * Evaluates a property path pattern.
+ * If the solutions of the left side of a join are provided, the path is
+ * only evaluated from the end points bound in those solutions.
+ * Paths are evaluated node by node recording the nodes already reached,
+ * so cycles in the data cannot make the evaluation loop.
+ */
+QueryEngine.QueryEngine.prototype.executePATH = function(pattern, dataset, env, bindings) {
+    var graphSets = [];
+    var graphVar = null;
+    if(pattern.graph == null) {
+        // the default graph is the merge of all the default graphs
+        var oids = [];
+        for(var i=0; i<dataset.implicit.length; i++) {
+            if(!Utils.include(oids, dataset.implicit[i].oid)) {
+                oids.push(dataset.implicit[i].oid);
+            }
+        }
+        graphSets.push({oids: oids});
+    } else if(pattern.graph.token === 'var') {
+        graphVar = pattern.graph.value;
+        var duplicates = {};
+        for(var i=0; i<dataset.named.length; i++) {
+            if(duplicates[dataset.named[i].oid] == null) {
+                duplicates[dataset.named[i].oid] = true;
+                graphSets.push({oids: [dataset.named[i].oid], graph: dataset.named[i].oid});
+            }
+        }
+    } else {
+        graphSets.push({oids: [this.normalizeTerm(pattern.graph, env, false)]});
+    }
+
+    bindings = bindings || [{}];
+    var evaluated = {};
+    var acum = [];
+    for(var i=0; i<graphSets.length; i++) {
+        for(var j=0; j<bindings.length; j++) {
+            if(graphVar != null && bindings[j][graphVar] != null && bindings[j][graphVar] !== graphSets[i].graph) {
+                continue;
+            }
+            var x = this.pathEndPoint(pattern.x, bindings[j], env);
+            var y = this.pathEndPoint(pattern.y, bindings[j], env);
+            var key = i + " " + (x.node == null ? "?" : this.pathNodeKey(x.node)) + " " + (y.node == null ? "?" : this.pathNodeKey(y.node));
+            if(evaluated[key] === true) {
+                continue;
+            }
+            evaluated[key] = true;
+
+            var solutions = this.pathSolutions(pattern.path, x, y, this.readableGraphs(graphSets[i].oids, env), env);
+            for(var k=0; k<solutions.length; k++) {
+                if(graphVar != null) {
+                    solutions[k][graphVar] = graphSets[i].graph;
+                }
+                acum.push(solutions[k]);
+            }
+            this.checkExecution(env, acum.length);
+        }
+    }
+
+    return acum;
+};
+
+QueryEngine.QueryEngine.prototype.pathEndPoint = function(term, bindings, env) {
+    if(term.token === 'var' || term.token === 'blank') {
+        // blank nodes in patterns behave as variables
+        var variable = (term.token === 'var' ? term.value : "blank:"+term.value);
+        return {variable: variable, node: bindings[variable]};
+    } else {
+        return {node: this.normalizeComputedTerm(term, env)};
+    }
+};
+
+QueryEngine.QueryEngine.prototype.pathNodeKey = function(node) {
+    return (typeof(node) === 'object' ? Utils.hashTerm(node) : node);
+};
+
+QueryEngine.QueryEngine.prototype.pathSolutions = function(path, x, y, graphs, env) {
+    var solutions = [];
+    var solution, ends;
+    if(x.node != null) {
+        ends = this.pathFrom(path, x.node, false, graphs, env);
+        for(var i=0; i<ends.length; i++) {
+            if(y.node == null || this.pathNodeKey(y.node) === this.pathNodeKey(ends[i])) {
+                solution = {};
+                if(x.variable != null) {
+                    solution[x.variable] = x.node;
+                }
+                if(y.variable != null) {
+                    solution[y.variable] = ends[i];
+                }
+                solutions.push(solution);
+            }
+        }
+    } else if(y.node != null) {
+        ends = this.pathFrom(path, y.node, true, graphs, env);
+        for(var i=0; i<ends.length; i++) {
+            solution = {};
+            solution[x.variable] = ends[i];
+            if(y.variable != null) {
+                solution[y.variable] = y.node;
+            }
+            solutions.push(solution);
+        }
+    } else {
+        // both end points are variables, the path is evaluated from every node in the graph
+        var nodes = this.pathGraphNodes(graphs);
+        for(var i=0; i<nodes.length; i++) {
+            this.checkExecution(env, solutions.length);
+            ends = this.pathFrom(path, nodes[i], false, graphs, env);
+            for(var j=0; j<ends.length; j++) {
+                if(x.variable === y.variable) {
+                    if(ends[j] === nodes[i]) {
+                        solution = {};
+                        solution[x.variable] = nodes[i];
+                        solutions.push(solution);
+                    }
+                } else {
+                    solution = {};
+                    solution[x.variable] = nodes[i];
+                    solution[y.variable] = ends[j];
+                    solutions.push(solution);
+                }
+            }
+        }
+    }
+
+    return solutions;
+};
+
+/**
+ * Returns the nodes reached following a path from a node, or
+ * following the inverse path if inverse is true.
+ */
+QueryEngine.QueryEngine.prototype.pathFrom = function(path, node, inverse, graphs, env) {
+    if(path.token === 'uri') {
+        var predicate = this.normalizeTerm(path, env, false);
+        return this.pathStep(node, predicate, null, inverse, graphs);
+    } else if(path.kind === 'inversePath') {
+        return this.pathFrom(path.value, node, !inverse, graphs, env);
+    } else if(path.kind === 'sequence') {
+        var frontier = [node];
+        for(var i=0; i<path.value.length; i++) {
+            var step = path.value[inverse ? path.value.length-1-i : i];
+            var next = [];
+            for(var j=0; j<frontier.length; j++) {
+                next = next.concat(this.pathFrom(step, frontier[j], inverse, graphs, env));
+            }
+            frontier = this.pathDistinctNodes(next);
+        }
+        return frontier;
+    } else if(path.kind === 'alternative') {
+        var acum = [];
+        for(var i=0; i<path.value.length; i++) {
+            acum = acum.concat(this.pathFrom(path.value[i], node, inverse, graphs, env));
+        }
+        return this.pathDistinctNodes(acum);
+    } else if(path.kind === 'negatedPropertySet') {
+        var forward = [];
+        var backward = [];
+        for(var i=0; i<path.value.length; i++) {
+            var oid = this.normalizeTerm(path.value[i].value, env, false);
+            if(path.value[i].inverse) {
+                backward.push(oid);
+            } else {
+                forward.push(oid);
+            }
+        }
+        var acum = [];
+        if(forward.length > 0 || backward.length === 0) {
+            acum = acum.concat(this.pathStep(node, null, forward, inverse, graphs));
+        }
+        if(backward.length > 0) {
+            acum = acum.concat(this.pathStep(node, null, backward, !inverse, graphs));
+        }
+        return this.pathDistinctNodes(acum);
+    } else if(path.kind === 'element') {
+        var min, max;
+        if(path.modifier === '*') {
+            min = 0; max = null;
+        } else if(path.modifier === '+') {
+            min = 1; max = null;
+        } else if(path.modifier === '?') {
+            min = 0; max = 1;
+        } else {
+            min = path.modifier.min; max = path.modifier.max;
+        }
+
+        // nodes reached after the minimum number of steps
+        var frontier = [node];
+        for(var i=0; i<min && frontier.length > 0; i++) {
+            var next = [];
+            for(var j=0; j<frontier.length; j++) {
+                next = next.concat(this.pathFrom(path.value, frontier[j], inverse, graphs, env));
+            }
+            frontier = this.pathDistinctNodes(next);
+        }
+
+        // every node is only expanded once
+        var reached = {};
+        var acum = [];
+        for(var i=0; i<frontier.length; i++) {
+            reached[this.pathNodeKey(frontier[i])] = true;
+            acum.push(frontier[i]);
+        }
+        var steps = min;
+        while(frontier.length > 0 && (max == null || steps < max)) {
+            this.checkExecution(env, acum.length);
+            var next = [];
+            for(var i=0; i<frontier.length; i++) {
+                var ends = this.pathFrom(path.value, frontier[i], inverse, graphs, env);
+                for(var j=0; j<ends.length; j++) {
+                    var key = this.pathNodeKey(ends[j]);
+                    if(reached[key] !== true) {
+                        reached[key] = true;
+                        acum.push(ends[j]);
+                        next.push(ends[j]);
+                    }
+                }
+            }
+            frontier = next;
+            steps++;
+        }
+        return acum;
+    } else {
+        throw new Error("Unknown property path: "+path.kind);
+    }
+};
+
+/**
+ * Returns the nodes linked to a node by a predicate in the graphs.
+ * If the predicate is null, any predicate not in the excluded list is followed.
+ */
+QueryEngine.QueryEngine.prototype.pathStep = function(node, predicate, excluded, inverse, graphs) {
+    if(typeof(node) === 'object' || predicate === -1) {
+        // terms not stored in the lexicon have no triples
+        return [];
+    }
+
+    var acum = [];
+    for(var i=0; i<graphs.length; i++) {
+        var pattern = {subject: 'subject', predicate: (predicate == null ? 'predicate' : predicate), object: 'object', graph: graphs[i]};
+        if(inverse) {
+            pattern.object = node;
+        } else {
+            pattern.subject = node;
+        }
+        var quads = this.backend.range(new QuadIndexCommon.Pattern(pattern)) || [];
+        for(var j=0; j<quads.length; j++) {
+            if(excluded == null || !Utils.include(excluded, quads[j].predicate)) {
+                acum.push(inverse ? quads[j].subject : quads[j].object);
+            }
+        }
+    }
+
+    return this.pathDistinctNodes(acum);
+};
+
+QueryEngine.QueryEngine.prototype.pathGraphNodes = function(graphs) {
+    var acum = [];
+    for(var i=0; i<graphs.length; i++) {
+        var quads = this.backend.range(new QuadIndexCommon.Pattern({subject: 'subject', predicate: 'predicate', object: 'object', graph: graphs[i]})) || [];
+        for(var j=0; j<quads.length; j++) {
+            acum.push(quads[j].subject);
+            acum.push(quads[j].object);
+        }
+    }
+
+    return this.pathDistinctNodes(acum);
+};
+
+QueryEngine.QueryEngine.prototype.pathDistinctNodes = function(nodes) {
+    var found = {};
+    var acum = [];
+    for(var i=0; i<nodes.length; i++) {
+        var key = this.pathNodeKey(nodes[i]);
+        if(found[key] !== true) {
+            found[key] = true;
+            acum.push(nodes[i]);
+        }
+    }
+
+    return acum;
+};
+
+QueryEngine.QueryEngine.prototype.executeUNION = function(projection, dataset, patterns, env) {
+    var setQuery1 = patterns[0];
+    var setQuery2 = patterns[1];
+    var set1 = null;
+    var set2 = null;
+
+    if(patterns.length != 2) {
+        throw("SPARQL algebra UNION with more than two components");
+    }
+
+    var that = this;
+    var sets = [];
+
+    set1 = that.executeSelectUnit(projection, dataset, setQuery1, env);
+    if(set1==null) {
+        return null;
+    }
+
+    set2 = that.executeSelectUnit(projection, dataset, setQuery2, env);
+    if(set2==null) {
+        return null;
+    }
+
+    var result = QueryPlan.unionBindings(set1, set2);
+    this.checkExecution(env, result.length);
+    result = QueryFilters.checkFilters(patterns, result, false, dataset, env, that);
+    return result;
+};
+
+QueryEngine.QueryEngine.prototype.executeAndBGP = function(projection, dataset, patterns, env) {
+    var that = this;
+    var result = QueryPlan.executeAndBGPsDPSize(patterns.value, dataset, this, env);
+    if(result!=null) {
+        return QueryFilters.checkFilters(patterns, result, false, dataset, env, that);
+    } else {
+        return null;
+    }
+};
+
+QueryEngine.QueryEngine.prototype.executeLEFT_JOIN = function(projection, dataset, patterns, env) {
+    var setQuery1 = patterns.lvalue;
+    var setQuery2 = patterns.rvalue;
+
+    var set1 = null;
+    var set2 = null;
+
+    var that = this;
+    var sets = [];
+    var acum, duplicates;
+
+    //console.log("SET QUERY 1");
+    //console.log(setQuery1.value);
+    set1 = that.executeSelectUnit(projection, dataset, setQuery1, env);
+    if(set1==null) {
+        return null;
+    }
+
+    //console.log("SET QUERY 2");
+    //console.log(setQuery2);
+    set2 = that.executeSelectUnit(projection, dataset, setQuery2, env);
+    if(set2==null) {
+        return null;
+    }
+
+
+    //console.log("\nLEFT JOIN SETS:")
+    //console.log(set1)
+    //console.log(set2)
+    var result = QueryPlan.leftOuterJoinBindings(set1, set2, env.control);
+    //console.log("---")
+    //console.log(result);
 
     var bindings = QueryFilters.checkFilters(patterns, result, true, dataset, env, that);
     //console.log("---")
@@ -1186,6 +1919,20 @@ QueryEngine.QueryEngine.prototype.executeLEFT_JOIN = function(projection, datase
     }
 };
 
+QueryEngine.QueryEngine.prototype.executeMINUS = function(projection, dataset, patterns, env) {
+    var set1 = this.executeSelectUnit(projection, dataset, patterns.lvalue, env);
+    if(set1 == null) {
+        return null;
+    }
+
+    var set2 = this.executeSelectUnit(projection, dataset, patterns.rvalue, env);
+    if(set2 == null) {
+        return null;
+    }
+
+    return QueryPlan.minusBindings(set1, set2);
+};
+
 QueryEngine.QueryEngine.prototype.executeJOIN = function(projection, dataset, patterns, env) {
     var setQuery1 = patterns.lvalue;
     var setQuery2 = patterns.rvalue;
@@ -1200,7 +1947,14 @@ QueryEngine.QueryEngine.prototype.executeJOIN = function(projection, dataset, pa
         return null;
     }
 
-    set2 = that.executeSelectUnit(projection, dataset, setQuery2, env);
+    if(setQuery2.kind === 'SERVICE' && setQuery2.endpoint.token === 'var') {
+        // the endpoints are taken from the solutions of the left side
+        set2 = that.executeVariableSERVICE(set1, setQuery2, env);
+    } else if(setQuery2.kind === 'PATH') {
+        set2 = that.executePATH(setQuery2, dataset, env, set1);
+    } else {
+        set2 = that.executeSelectUnit(projection, dataset, setQuery2, env);
+    }
     if(set2 == null) {
         return null;
     }
@@ -1221,12 +1975,16 @@ QueryEngine.QueryEngine.prototype.executeJOIN = function(projection, dataset, pa
 	}
 
 	if(commonVars.length == 0) {
-	    result = QueryPlan.joinBindings(set1,set2);
+	    result = QueryPlan.joinBindings(set1,set2,env.control);
 	} else if(this.abstractQueryTree.treeWithUnion(setQuery1) ||
 		  this.abstractQueryTree.treeWithUnion(setQuery2)) {
-	    result = QueryPlan.joinBindings(set1,set2);
+	    result = QueryPlan.joinBindings(set1,set2,env.control);
+	} else if(this.abstractQueryTree.treeWithComputedBindings(setQuery1) ||
+		  this.abstractQueryTree.treeWithComputedBindings(setQuery2)) {
+	    // solutions may leave variables unbound
+	    result = QueryPlan.joinBindings(set1,set2,env.control);
 	} else {
-	    result = QueryPlan.joinBindings2(commonVars, set1, set2);
+	    result = QueryPlan.joinBindings2(commonVars, set1, set2, env.control);
 	}
     }
     result = QueryFilters.checkFilters(patterns, result, false, dataset, env, that);
@@ -1249,6 +2007,16 @@ QueryEngine.QueryEngine.prototype.rangeQuery = function(quad, queryEnv) {
         //console.log(quads)
         if(quads == null || quads.length == 0) {
             return [];
+        }
+        that.checkExecution(queryEnv, quads.length);
+        if(queryEnv != null && queryEnv.acl != null) {
+            var readable = [];
+            for(var i=0; i<quads.length; i++) {
+                if(that.canAccessGraph(quads[i].graph, 'read', queryEnv)) {
+                    readable.push(quads[i]);
+                }
+            }
+            return readable;
         } else {
             return quads;
         }
@@ -1258,65 +2026,313 @@ QueryEngine.QueryEngine.prototype.rangeQuery = function(quad, queryEnv) {
     }
 };
 
+// Query plans
+
+/**
+ * Describes how a query is evaluated without executing it.
+ * The callback receives an object with the query 'kind', the
+ * 'algebra' built by the abstract query tree, the 'plan' of the
+ * query, see QueryExplain.explainPattern, and its textual rendering
+ * in 'text'.
+ * If the option 'analyze' is set, every operator of the plan is also
+ * evaluated and its actual number of solutions is added to the plan.
+ */
+QueryEngine.QueryEngine.prototype.explain = function(queryString, callback, defaultDataset, namedDataset, options) {
+    options = options || {};
+    queryString = Utils.normalizeUnicodeLiterals(queryString);
+
+    var syntaxTree = this.abstractQueryTree.parseQueryString(queryString);
+    if(syntaxTree == null) {
+        return callback(false,"Error parsing query string");
+    }
+    if(syntaxTree.token !== 'query' || syntaxTree.kind !== 'query') {
+        return callback(false, "Only SPARQL queries can be explained");
+    }
+
+    var control = ExecutionControl.build(options);
+    control.start();
+    var queryEnv = {blanks:{}, outCache:{}, serviceResults:{}, pendingServices:[],
+                    acl: AccessControl.build(options.acl), control: control};
+    this.registerNsInEnvironment(syntaxTree.prologue, queryEnv);
+
+    var aqt;
+    try {
+        aqt = this.abstractQueryTree.parseExecutableUnit(syntaxTree.units[0]);
+    } catch(e) {
+        return callback(false, e.message);
+    }
+
+    var dataset = aqt.dataset;
+    if(defaultDataset != null || namedDataset != null) {
+        dataset.implicit = defaultDataset || [];
+        dataset.named   = namedDataset || [];
+    }
+    if(dataset.implicit.length === 0 && dataset.named.length === 0) {
+        dataset.implicit.push(this.lexicon.defaultGraphUriTerm);
+    }
+    if(this.normalizeDatasets(dataset.implicit.concat(dataset.named), queryEnv) == null) {
+        return callback(false, "Error normalizing datasets");
+    }
+
+    var plan = QueryExplain.node(aqt.kind, "");
+    if(aqt.pattern != null) {
+        var context = {engine: this, env: queryEnv, dataset: dataset,
+                       projection: (aqt.projection || [{token: 'variable', kind: '*'}]),
+                       quads: QueryExplain.patternQuads(aqt.pattern),
+                       analyze: (options.analyze === true)};
+        try {
+            plan.children.push(QueryExplain.explainPattern(aqt.pattern, context));
+        } catch(e) {
+            if(e instanceof ExecutionControl.Interrupted) {
+                return callback(false, e.message);
+            }
+            throw e;
+        }
+    }
+
+    callback(true, {kind: aqt.kind, algebra: aqt, plan: plan, text: QueryExplain.render(plan)});
+};
+
+// Access control
+
+/**
+ * Returns the identifier of a graph used in the access control
+ * lists: its URI or 'default' for the default graph.
+ * The graph can be an OID or a term.
+ */
+QueryEngine.QueryEngine.prototype.aclGraph = function(graph, queryEnv) {
+    if(graph == null || graph === this.lexicon.defaultGraphOid) {
+        return 'default';
+    } else if(typeof(graph) === 'object') {
+        var uri = (graph.token === 'uri' ? Utils.lexicalFormBaseUri(graph, queryEnv) : graph.value);
+        return (uri === this.lexicon.defaultGraphUri ? 'default' : uri);
+    } else {
+        queryEnv.aclGraphs = queryEnv.aclGraphs || {};
+        if(queryEnv.aclGraphs[graph] == null) {
+            queryEnv.aclGraphs[graph] = this.lexicon.retrieve(graph).value;
+        }
+        return queryEnv.aclGraphs[graph];
+    }
+};
+
+/**
+ * Checks if a graph can be accessed in a mode, 'read' or 'write',
+ * according to the access control list of the request.
+ * Denied modifications are recorded in the environment, so the
+ * error can be reported.
+ */
+QueryEngine.QueryEngine.prototype.canAccessGraph = function(graph, mode, queryEnv) {
+    if(queryEnv == null || queryEnv.acl == null) {
+        return true;
+    }
+    var aclGraph = this.aclGraph(graph, queryEnv);
+    if(queryEnv.acl.allows(aclGraph, mode)) {
+        return true;
+    } else {
+        if(mode === 'write' && queryEnv.accessDenied == null) {
+            queryEnv.accessDenied = "access denied: graph " + (aclGraph === 'default' ? "DEFAULT" : "<" + aclGraph + ">") + " cannot be modified";
+        }
+        return false;
+    }
+};
+
+/**
+ * Removes the graph OIDs that cannot be read from a list.
+ */
+QueryEngine.QueryEngine.prototype.readableGraphs = function(oids, queryEnv) {
+    if(queryEnv == null || queryEnv.acl == null) {
+        return oids;
+    }
+    var acum = [];
+    for(var i=0; i<oids.length; i++) {
+        if(this.canAccessGraph(oids[i], 'read', queryEnv)) {
+            acum.push(oids[i]);
+        }
+    }
+    return acum;
+};
+
+// Execution control
+
+/**
+ * Returns the reason why the request must be interrupted, because it
+ * was cancelled, timed out or built too many bindings, or null.
+ */
+QueryEngine.QueryEngine.prototype.executionInterruption = function(queryEnv, bindings) {
+    if(queryEnv == null || queryEnv.control == null) {
+        return null;
+    }
+    return queryEnv.control.interruption(bindings);
+};
+
+/**
+ * Throws an ExecutionControl.Interrupted error if the request must
+ * be interrupted. The error is reported to the callback of the request.
+ */
+QueryEngine.QueryEngine.prototype.checkExecution = function(queryEnv, bindings) {
+    if(queryEnv != null && queryEnv.control != null) {
+        queryEnv.control.check(bindings);
+    }
+};
+
 // Update queries
 
-QueryEngine.QueryEngine.prototype.executeUpdate = function(syntaxTree, callback) {
+/**
+ * Executes all the operations in an update request, in order.
+ * The request is atomic: if one of the operations fails, the
+ * changes performed by the previous operations are undone.
+ * Inside a transaction the changes are added to the update log
+ * of the transaction and committed with it.
+ */
+QueryEngine.QueryEngine.prototype.executeUpdate = function(syntaxTree, callback, defaultDataset, namedDataset, acl, control, transaction) {
+    // graphs passed as the USING clauses of the operations
+    if(defaultDataset != null || namedDataset != null) {
+        this.abstractQueryTree.setUpdateDataset(syntaxTree, defaultDataset || [], namedDataset || []);
+    }
+
     var prologue = syntaxTree.prologue;
     var units = syntaxTree.units;
     var that = this;
 
     // environment for the operation -> base ns, declared ns, etc.
-    var queryEnv = {blanks:{}, outCache:{}};
+    // the update log records the changes to undo in case of failure
+    var updateLog = (transaction != null ? transaction.updateLog : []);
+    var mark = updateLog.length;
+    var queryEnv = {blanks:{}, outCache:{}, updateLog:updateLog, acl: acl, control: control, transaction: transaction};
     this.registerNsInEnvironment(prologue, queryEnv);
-    for(var i=0; i<units.length; i++) {
-
-        var aqt = that.abstractQueryTree.parseExecutableUnit(units[i]);
-        if(aqt.kind === 'insertdata') {
-            for(var j=0; j<aqt.quads.length; j++) {
-                var quad = aqt.quads[j];
-                var result = that._executeQuadInsert(quad, queryEnv);
-                if(result !== true) {
-                    return callback(false, error);
-                }
-            }
+
+    this._executeUpdateUnits(units, queryEnv, function(success, result) {
+        if(success) {
+            if(transaction == null)
+                that._commitUpdate(queryEnv);
             callback(true);
-        } else if(aqt.kind === 'deletedata') {
-            for(var j=0; j<aqt.quads.length; j++) {
-                var quad = aqt.quads[j];
-                this._executeQuadDelete(quad, queryEnv);
+        } else {
+            that._rollbackUpdate(queryEnv, mark);
+            callback(false, result);
+        }
+    });
+};
+
+QueryEngine.QueryEngine.prototype._executeUpdateUnits = function(units, queryEnv, callback) {
+    var that = this;
+    Utils.repeat(0, units.length, function(k, env) {
+        var floop = arguments.callee;
+        var aqt = that.abstractQueryTree.parseExecutableUnit(units[env._i]);
+        that._executeUpdateUnit(aqt, queryEnv, function(success, result) {
+            var interruption = that.executionInterruption(queryEnv);
+            if(success === false && queryEnv.accessDenied != null) {
+                // access errors cannot be silenced
+                callback(false, queryEnv.accessDenied);
+            } else if(interruption != null) {
+                // neither interrupted requests
+                callback(false, interruption);
+            } else if(success === false && aqt.silent !== true) {
+                callback(false, result || ("error executing " + aqt.kind + " operation"));
+            } else {
+                k(floop, env);
             }
-            callback(true);
-        } else if(aqt.kind === 'modify') {
-            this._executeModifyQuery(aqt, queryEnv, callback);
-        } else if(aqt.kind === 'create') {
-            callback(true);
-        } else if(aqt.kind === 'load') {
-            var graph = {'uri': Utils.lexicalFormBaseUri(aqt.sourceGraph, queryEnv)};
-            if(aqt.destinyGraph != null) {
-                graph = {'uri': Utils.lexicalFormBaseUri(aqt.destinyGraph, queryEnv)};
-            }
-            var that = this;
-            this.rdfLoader.load(aqt.sourceGraph.value, graph,function(success, result){
-                if(success == false) {
-                    console.log("Error loading graph");
-                    console.log(result);
-                    callback(false, "error batch loading quads");
-                } else {
-                    var result = that.batchLoad(result);
-                    callback(result!=null, result||"error batch loading quads");
-                }
-            });
-        } else if(aqt.kind === 'drop') {
-            this._executeClearGraph(aqt.destinyGraph, queryEnv, callback);
-        } else if(aqt.kind === 'clear') {
-            this._executeClearGraph(aqt.destinyGraph, queryEnv, callback);
+        });
+    }, function(env) {
+        callback(true);
+    });
+};
+
+QueryEngine.QueryEngine.prototype._executeUpdateUnit = function(aqt, queryEnv, callback) {
+    if(aqt.kind === 'insertdata') {
+        for(var j=0; j<aqt.quads.length; j++) {
+            var quad = aqt.quads[j];
+            var result = this._executeQuadInsert(quad, queryEnv);
+            if(result !== true) {
+                return callback(false, "error inserting quad");
+            }
+        }
+        callback(true);
+    } else if(aqt.kind === 'deletedata') {
+        for(var j=0; j<aqt.quads.length; j++) {
+            var quad = aqt.quads[j];
+            if(this._executeQuadDelete(quad, queryEnv) !== true) {
+                return callback(false, "error deleting quad");
+            }
+        }
+        callback(true);
+    } else if(aqt.kind === 'modify') {
+        this._executeModifyQuery(aqt, queryEnv, callback);
+    } else if(aqt.kind === 'create') {
+        callback(this.canAccessGraph(aqt.destinyGraph, 'write', queryEnv));
+    } else if(aqt.kind === 'load') {
+        var graph = {'uri': Utils.lexicalFormBaseUri(aqt.sourceGraph, queryEnv)};
+        if(aqt.destinyGraph != null) {
+            graph = {'uri': Utils.lexicalFormBaseUri(aqt.destinyGraph, queryEnv)};
+        }
+        if(!this.canAccessGraph({token: 'uri', value: graph.uri}, 'write', queryEnv)) {
+            return callback(false);
+        }
+        var that = this;
+        this.rdfLoader.load(aqt.sourceGraph.value, graph,function(success, result){
+            if(success == false) {
+                console.log("Error loading graph");
+                console.log(result);
+                callback(false, "error batch loading quads");
+            } else {
+                var result = that.batchLoad(result, null, queryEnv);
+                callback(result!=null, result||"error batch loading quads");
+            }
+        });
+    } else if(aqt.kind === 'drop') {
+        this._executeClearGraph(aqt.destinyGraph, queryEnv, callback);
+    } else if(aqt.kind === 'clear') {
+        this._executeClearGraph(aqt.destinyGraph, queryEnv, callback);
+    } else if(aqt.kind === 'add' || aqt.kind === 'move' || aqt.kind === 'copy') {
+        this._executeGraphTransfer(aqt, queryEnv, callback);
+    } else {
+        throw new Error("not supported execution unit");
+    }
+};
+
+/**
+ * Executes an update request built by the engine as part of the
+ * operation being executed, e.g. clearing a graph.
+ */
+QueryEngine.QueryEngine.prototype._executeInternalUpdate = function(query, queryEnv, callback) {
+    var syntaxTree = this.abstractQueryTree.parseQueryString(query);
+    this._executeUpdateUnits(syntaxTree.units, queryEnv, callback);
+};
+
+/**
+ * Removes from the lexicon the terms of the quads deleted by the request.
+ */
+QueryEngine.QueryEngine.prototype._commitUpdate = function(queryEnv) {
+    var log = queryEnv.updateLog;
+    queryEnv.updateLog = null;
+    for(var i=0; i<log.length; i++) {
+        if(log[i].deleted === true) {
+            this.lexicon.unregister(log[i].quad, log[i].key);
+        }
+    }
+};
+
+/**
+ * Undoes the changes recorded in the update log, last change first.
+ * Only the changes after the position 'mark' of the log are undone
+ * if it is provided.
+ */
+QueryEngine.QueryEngine.prototype._rollbackUpdate = function(queryEnv, mark) {
+    var log = queryEnv.updateLog;
+    mark = (mark || 0);
+    queryEnv.updateLog = null;
+    for(var i=log.length-1; i>=mark; i--) {
+        var change = log[i];
+        if(change.deleted === true) {
+            this.backend.index(change.key);
         } else {
-            throw new Error("not supported execution unit");
+            this.backend.delete(change.key);
+            this.lexicon.unregister(change.quad, change.key);
         }
     }
+    log.length = mark;
 };
 
-QueryEngine.QueryEngine.prototype.batchLoad = function(quads, callback) {
+QueryEngine.QueryEngine.prototype.batchLoad = function(quads, callback, queryEnv) {
     var subject    = null;
     var predicate  = null;
     var object     = null;
@@ -1327,7 +2343,23 @@ QueryEngine.QueryEngine.prototype.batchLoad = function(quads, callback) {
     var blanks = {};
     var maybeBlankOid, oid, quad, key, originalQuad;
 
-    if(this.eventsOnBatchLoad)
+    // the graphs of all the quads are checked before loading any of them
+    if(queryEnv != null && queryEnv.acl != null) {
+        for(var i=0; i<quads.length; i++) {
+            graph = quads[i].graph;
+            if(!this.canAccessGraph((graph.uri != null ? {token: 'uri', value: graph.uri} : graph), 'write', queryEnv)) {
+                if(callback)
+                    callback(false, null);
+                return null;
+            }
+        }
+        graph = null;
+    }
+
+    // inside a transaction, changes are committed with the transaction
+    var inTransaction = (queryEnv != null && queryEnv.transaction != null);
+
+    if(this.eventsOnBatchLoad && !inTransaction)
         this.callbacksBackend.startGraphModification();
 
     for(var i=0; i<quads.length; i++) {
@@ -1353,6 +2385,8 @@ QueryEngine.QueryEngine.prototype.batchLoad = function(quads, callback) {
             if(maybeBlankOid == null) {
                 maybeBlankOid = this.lexicon.registerBlank(quad.subject.blank || quad.subject.value);
                 blanks[(quad.subject.blank || quad.subject.value)] = maybeBlankOid;
+            } else {
+                this.lexicon.referenceBlank(maybeBlankOid);
             }
 	    if(quad.subject.token == null) {
 		quad.subject.token = 'blank';
@@ -1382,6 +2416,8 @@ QueryEngine.QueryEngine.prototype.batchLoad = function(quads, callback) {
             if(maybeBlankOid == null) {
                 maybeBlankOid = this.lexicon.registerBlank(quad.predicate.blank || quad.predicate.value);
                 blanks[(quad.predicate.blank || quad.predicate.value)] = maybeBlankOid;
+            } else {
+                this.lexicon.referenceBlank(maybeBlankOid);
             }
 	    if(quad.predicate.token == null) {
 		quad.predicate.token = 'blank';
@@ -1420,6 +2456,8 @@ QueryEngine.QueryEngine.prototype.batchLoad = function(quads, callback) {
             if(maybeBlankOid == null) {
                 maybeBlankOid = this.lexicon.registerBlank(quad.object.blank || quad.object.value);
                 blanks[(quad.object.blank || quad.object.value)] = maybeBlankOid;
+            } else {
+                this.lexicon.referenceBlank(maybeBlankOid);
             }
 	    if(quad.object.token == null) {
 		quad.object.token = 'blank';
@@ -1452,6 +2490,8 @@ QueryEngine.QueryEngine.prototype.batchLoad = function(quads, callback) {
             if(maybeBlankOid == null) {
                 maybeBlankOid = this.lexicon.registerBlank(quad.graph.blank || quad.graph.value);
                 blanks[(quad.graph.blank || quad.graph.value)] = maybeBlankOid;
+            } else {
+                this.lexicon.referenceBlank(maybeBlankOid);
             }
 	    if(quad.graph.token == null) {
 		quad.graph.token = 'blank';
@@ -1468,9 +2508,14 @@ QueryEngine.QueryEngine.prototype.batchLoad = function(quads, callback) {
         key = new QuadIndexCommon.NodeKey(quad);
 
         var result = this.backend.search(key);
-        if(!result) {
+        if(result) {
+            // the terms are already referenced by the stored quad
+            this.lexicon.unregister(originalQuad, key);
+        } else {
             result = this.backend.index(key);
             if(result == true){
+                if(queryEnv != null && queryEnv.updateLog != null)
+                    queryEnv.updateLog.push({quad: originalQuad, key: key});
                 if(this.eventsOnBatchLoad)
                     this.callbacksBackend.nextGraphModification(Callbacks.added, [originalQuad,quad]);
                 counter = counter + 1;
@@ -1482,8 +2527,8 @@ QueryEngine.QueryEngine.prototype.batchLoad = function(quads, callback) {
 
     }
 
-    if(this.lexicon.updateAfterWrite != null)
-	this.lexicon.updateAfterWrite();
+    if(!inTransaction)
+        this._commitWrite();
 
     var exitFn = function(){
         if(success) {
@@ -1495,7 +2540,7 @@ QueryEngine.QueryEngine.prototype.batchLoad = function(quads, callback) {
         }
     };
 
-    if(this.eventsOnBatchLoad) {
+    if(this.eventsOnBatchLoad && !inTransaction) {
         this.callbacksBackend.endGraphModification(function(){
             exitFn();
         });
@@ -1538,12 +2583,12 @@ QueryEngine.QueryEngine.prototype._executeModifyQuery = function(aqt, queryEnv,
             var defaultGraph = [];
             var namedGraph = [];
 
-            if(aqt.with != null) {
+            // USING clauses replace the graph in the WITH clause
+            if(aqt.with != null && aqt.using == null) {
                 defaultGraph.push(aqt.with);
             }
 
             if(aqt.using != null) {
-                namedGraph = [];
                 for(var i=0; i<aqt.using.length; i++) {
                     var usingGraph = aqt.using[i];
                     if(usingGraph.kind === 'named') {
@@ -1605,6 +2650,10 @@ QueryEngine.QueryEngine.prototype._executeModifyQuery = function(aqt, queryEnv,
                 for(var j=0; j<quads.length; j++) {
                     quad = quads[j];
                     that._executeQuadDelete(quad, queryEnv);
+                    if(queryEnv.accessDenied != null) {
+                        querySuccess = false;
+                        break;
+                    }
                 }
                 k();
             } else {
@@ -1634,13 +2683,20 @@ QueryEngine.QueryEngine.prototype._executeModifyQuery = function(aqt, queryEnv,
                             }
                         }
 
-                        quads.push(quad);
+                        // templates with unbound variables are skipped
+                        if(quad.subject && quad.predicate && quad.object && (quad.graph || src.graph == null)) {
+                          quads.push(quad);
+                        }
                     }
                 }
 
                 for(var i=0; i<quads.length; i++) {
                     var quad = quads[i];
                     that._executeQuadInsert(quad, queryEnv);
+                    if(queryEnv.accessDenied != null) {
+                        querySuccess = false;
+                        break;
+                    }
                 }
 
                 k();
@@ -1655,15 +2711,22 @@ QueryEngine.QueryEngine.prototype._executeModifyQuery = function(aqt, queryEnv,
 
 QueryEngine.QueryEngine.prototype._executeQuadInsert = function(quad, queryEnv) {
     var that = this;
+    if(!this.canAccessGraph(quad.graph, 'write', queryEnv)) {
+        return false;
+    }
     var normalized = this.normalizeQuad(quad, queryEnv, true);
     if(normalized != null) {
         var key = new QuadIndexCommon.NodeKey(normalized);
         var result = that.backend.search(key);
         if(result){
+            // the terms are already referenced by the stored quad
+            that.lexicon.unregister(quad, key);
             return(result);
         } else {
             var result = that.backend.index(key);
             if(result == true){
+                if(queryEnv.updateLog != null)
+                    queryEnv.updateLog.push({quad: quad, key: key});
                 that.callbacksBackend.nextGraphModification(Callbacks.added, [quad, normalized]);
                 return true;
             } else {
@@ -1679,11 +2742,23 @@ QueryEngine.QueryEngine.prototype._executeQuadInsert = function(quad, queryEnv)
 
 QueryEngine.QueryEngine.prototype._executeQuadDelete = function(quad, queryEnv) {
     var that = this;
+    if(!this.canAccessGraph(quad.graph, 'write', queryEnv)) {
+        return false;
+    }
     var normalized = this.normalizeQuad(quad, queryEnv, false);
     if(normalized != null) {
         var key = new QuadIndexCommon.NodeKey(normalized);
+        if(!that.backend.search(key)) {
+            return true;
+        }
         that.backend.delete(key);
-        var result = that.lexicon.unregister(quad, key);
+        var result = true;
+        if(queryEnv.updateLog != null) {
+            // terms are unregistered once the whole request succeeds
+            queryEnv.updateLog.push({quad: quad, key: key, deleted: true});
+        } else {
+            result = that.lexicon.unregister(quad, key);
+        }
         if(result == true){
             that.callbacksBackend.nextGraphModification(Callbacks['deleted'], [quad, normalized]);
             return true;
@@ -1698,8 +2773,30 @@ QueryEngine.QueryEngine.prototype._executeQuadDelete = function(quad, queryEnv)
 };
 
 QueryEngine.QueryEngine.prototype._executeClearGraph = function(destinyGraph, queryEnv, callback) {
+    // graphs that cannot be read must also be checked before clearing them,
+    // their triples are not matched by the patterns of the operation
+    if(queryEnv.acl != null) {
+        var cleared = [];
+        if(destinyGraph === 'default' || destinyGraph === 'all') {
+            cleared.push(null);
+        }
+        if(destinyGraph === 'named' || destinyGraph === 'all') {
+            var graphs = this.lexicon.registeredGraphs(true);
+            for(var i=0; i<graphs.length; i++) {
+                cleared.push({token: 'uri', value: graphs[i]});
+            }
+        } else if(typeof(destinyGraph) === 'object') {
+            cleared.push(destinyGraph);
+        }
+        for(var i=0; i<cleared.length; i++) {
+            if(!this.canAccessGraph(cleared[i], 'write', queryEnv)) {
+                return callback(false);
+            }
+        }
+    }
+
     if(destinyGraph === 'default') {
-        this.execute("DELETE { ?s ?p ?o } WHERE { ?s ?p ?o }", callback);
+        this._executeInternalUpdate("DELETE { ?s ?p ?o } WHERE { ?s ?p ?o }", queryEnv, callback);
     } else if(destinyGraph === 'named') {
         var that = this;
         var graphs = this.lexicon.registeredGraphs(true);
@@ -1709,7 +2806,7 @@ QueryEngine.QueryEngine.prototype._executeClearGraph = function(destinyGraph, qu
                 var graph = graphs[env._i];
                 var floop = arguments.callee;
                 if(!foundErrorDeleting) {
-                    that.execute("DELETE { GRAPH <"+graph+"> { ?s ?p ?o } } WHERE { GRAPH <"+graph+"> { ?s ?p ?o } }", function(success, results){
+                    that._executeInternalUpdate("DELETE { GRAPH <"+graph+"> { ?s ?p ?o } } WHERE { GRAPH <"+graph+"> { ?s ?p ?o } }", queryEnv, function(success, results){
                         foundErrorDeleting = !success;
                         k(floop, env);
                     });
@@ -1724,9 +2821,9 @@ QueryEngine.QueryEngine.prototype._executeClearGraph = function(destinyGraph, qu
         }
     } else if(destinyGraph === 'all') {
         var that = this;
-        this.execute("CLEAR DEFAULT", function(success, result) {
+        this._executeInternalUpdate("CLEAR DEFAULT", queryEnv, function(success, result) {
             if(success) {
-                that.execute("CLEAR NAMED", callback);
+                that._executeInternalUpdate("CLEAR NAMED", queryEnv, callback);
             } else {
                 callback(false,result);
             }
@@ -1736,7 +2833,7 @@ QueryEngine.QueryEngine.prototype._executeClearGraph = function(destinyGraph, qu
         if(destinyGraph.token == 'uri') {
             var graphUri = Utils.lexicalFormBaseUri(destinyGraph,queryEnv);
             if(graphUri != null) {
-                this.execute("DELETE { GRAPH <"+graphUri+"> { ?s ?p ?o } } WHERE { GRAPH <"+graphUri+"> { ?s ?p ?o } }", callback);
+                this._executeInternalUpdate("DELETE { GRAPH <"+graphUri+"> { ?s ?p ?o } } WHERE { GRAPH <"+graphUri+"> { ?s ?p ?o } }", queryEnv, callback);
             } else {
                 callback(false, "wrong graph URI");
             }
@@ -1746,6 +2843,108 @@ QueryEngine.QueryEngine.prototype._executeClearGraph = function(destinyGraph, qu
     }
 };
 
+/**
+ * Executes ADD, MOVE and COPY operations. The source graph is added to
+ * the destiny graph; COPY and MOVE clear the destiny graph first and MOVE
+ * also drops the source graph.
+ */
+QueryEngine.QueryEngine.prototype._executeGraphTransfer = function(aqt, queryEnv, callback) {
+    var that = this;
+    var source = this._graphOrDefaultUri(aqt.sourceGraph, queryEnv);
+    var destiny = this._graphOrDefaultUri(aqt.destinyGraph, queryEnv);
+
+    if(source == null || destiny == null) {
+        callback(false, "wrong graph URI");
+    } else if(!this._canTransferGraph(aqt.kind, source, destiny, queryEnv)) {
+        // checked before anything is modified or the source is looked up
+        callback(false, queryEnv.accessDenied);
+    } else if(source === destiny) {
+        callback(true);
+    } else if(source !== 'default' && Utils.include(this.lexicon.registeredGraphs(true), source) === false) {
+        callback(false, "graph <"+source+"> does not exist");
+    } else {
+        var pattern = function(graph) {
+            if(graph === 'default') {
+                return "{ ?s ?p ?o }";
+            } else {
+                return "{ GRAPH <"+graph+"> { ?s ?p ?o } }";
+            }
+        };
+
+        Utils.seq(function(k) {
+            if(aqt.kind === 'add') {
+                k();
+            } else {
+                that._executeClearGraph(aqt.destinyGraph, queryEnv, function(success, result) {
+                    if(success) {
+                        k();
+                    } else {
+                        callback(false, result);
+                    }
+                });
+            }
+        }, function(k) {
+            that._executeInternalUpdate("INSERT "+pattern(destiny)+" WHERE "+pattern(source), queryEnv, function(success, result) {
+                if(success) {
+                    k();
+                } else {
+                    callback(false, result);
+                }
+            });
+        }, function(k) {
+            if(aqt.kind === 'move') {
+                that._executeClearGraph(aqt.sourceGraph, queryEnv, function(success, result) {
+                    if(success) {
+                        k();
+                    } else {
+                        callback(false, result);
+                    }
+                });
+            } else {
+                k();
+            }
+        })(function() {
+            callback(true);
+        });
+    }
+};
+
+/**
+ * Checks that the source graph of an ADD, MOVE or COPY operation
+ * can be read, and also modified by MOVE, and that the destiny
+ * graph can be modified.
+ */
+QueryEngine.QueryEngine.prototype._canTransferGraph = function(kind, source, destiny, queryEnv) {
+    var graphTerm = function(graph) {
+        return (graph === 'default' ? null : {token: 'uri', value: graph});
+    };
+    if(!this.canAccessGraph(graphTerm(source), 'read', queryEnv)) {
+        if(queryEnv.accessDenied == null) {
+            queryEnv.accessDenied = "access denied: graph " + (source === 'default' ? "DEFAULT" : "<" + source + ">") + " cannot be read";
+        }
+        return false;
+    }
+    return (this.canAccessGraph(graphTerm(destiny), 'write', queryEnv) &&
+            (kind !== 'move' || this.canAccessGraph(graphTerm(source), 'write', queryEnv)));
+};
+
+/**
+ * Returns the URI of a graph in an update operation or 'default'
+ * for the default graph.
+ */
+QueryEngine.QueryEngine.prototype._graphOrDefaultUri = function(graph, queryEnv) {
+    if(graph === 'default') {
+        return 'default';
+    } else {
+        var uri = Utils.lexicalFormBaseUri(graph, queryEnv);
+        if(uri === this.lexicon.defaultGraphUri) {
+            return 'default';
+        } else {
+            return uri;
+        }
+    }
+};
+
 QueryEngine.QueryEngine.prototype.checkGroupSemantics = function(groupVars, projectionVars) {
     if(groupVars === 'singleGroup') {
         return true;
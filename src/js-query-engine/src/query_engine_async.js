@@ -11,6 +11,7 @@ var QueryFilters = require("./query_filters").QueryFilters;
 var RDFJSInterface = require("./rdf_js_interface").RDFJSInterface;
 var RDFLoader = require("../../js-communication/src/rdf_loader").RDFLoader;
 var Callbacks = require("./callbacks.js").Callbacks;
+var ExecutionControl = require("./execution_control").ExecutionControl;
 
 QueryEngine.QueryEngine = function(params) {
     if(arguments.length != 0) {
@@ -505,11 +506,22 @@ QueryEngine.QueryEngine.prototype.denormalizeBindings = function(bindings, env,
 
 // Queries execution
 
-QueryEngine.QueryEngine.prototype.execute = function(queryString, callback, defaultDataset, namedDataset){
+/**
+ * Executes a query or update request.
+ * The options can contain the 'timeout' and 'maxBindings' limits of
+ * the request or the execution handle, 'control', used to interrupt it,
+ * and the request already parsed, 'syntaxTree'.
+ */
+QueryEngine.QueryEngine.prototype.execute = function(queryString, callback, defaultDataset, namedDataset, options){
 //    try{
         queryString = Utils.normalizeUnicodeLiterals(queryString);
+        var control = ExecutionControl.build(options);
+        control.start();
 
-        var syntaxTree = this.abstractQueryTree.parseQueryString(queryString);
+        var syntaxTree = (options || {}).syntaxTree;
+        if(syntaxTree == null) {
+            syntaxTree = this.abstractQueryTree.parseQueryString(queryString);
+        }
         if(syntaxTree == null) {
             callback(false,"Error parsing query string");
         } else {
@@ -525,9 +537,9 @@ QueryEngine.QueryEngine.prototype.execute = function(queryString, callback, defa
                         that.callbacksBackend.cancelGraphModification();
                         callback(success, result);
                     }
-                });
+                }, control);
             } else if(syntaxTree.token === 'query' && syntaxTree.kind == 'query') {
-                this.executeQuery(syntaxTree, callback, defaultDataset, namedDataset);
+                this.executeQuery(syntaxTree, callback, defaultDataset, namedDataset, control);
             }
         }
 //    } catch(e) {
@@ -541,13 +553,13 @@ QueryEngine.QueryEngine.prototype.execute = function(queryString, callback, defa
 
 // Retrieval queries
 
-QueryEngine.QueryEngine.prototype.executeQuery = function(syntaxTree, callback, defaultDataset, namedDataset) {
+QueryEngine.QueryEngine.prototype.executeQuery = function(syntaxTree, callback, defaultDataset, namedDataset, control) {
     var prologue = syntaxTree.prologue;
     var units = syntaxTree.units;
     var that = this;
 
     // environment for the operation -> base ns, declared ns, etc.
-    var queryEnv = {blanks:{}, outCache:{}};
+    var queryEnv = {blanks:{}, outCache:{}, control: control};
     this.registerNsInEnvironment(prologue, queryEnv);
 
     // retrieval queries can only have 1 executable unit
@@ -1074,7 +1086,10 @@ QueryEngine.QueryEngine.prototype.rangeQuery = function(quad, queryEnv, callback
         that.backend.range(new QuadIndexCommon.Pattern(key),function(quads){
             //console.log("retrieved");
             //console.log(quads)
-            if(quads == null || quads.length == 0) {
+            var interruption = that.executionInterruption(queryEnv, (quads == null ? 0 : quads.length));
+            if(interruption != null) {
+                callback(false, interruption);
+            } else if(quads == null || quads.length == 0) {
                 callback(true, []);
             } else {
                 callback(true, quads);
@@ -1085,15 +1100,26 @@ QueryEngine.QueryEngine.prototype.rangeQuery = function(quad, queryEnv, callback
     }
 };
 
+/**
+ * Returns the reason why the request must be interrupted, because it
+ * was cancelled, timed out or built too many bindings, or null.
+ */
+QueryEngine.QueryEngine.prototype.executionInterruption = function(queryEnv, bindings) {
+    if(queryEnv == null || queryEnv.control == null) {
+        return null;
+    }
+    return queryEnv.control.interruption(bindings);
+};
+
 // Update queries
 
-QueryEngine.QueryEngine.prototype.executeUpdate = function(syntaxTree, callback) {
+QueryEngine.QueryEngine.prototype.executeUpdate = function(syntaxTree, callback, control) {
     var prologue = syntaxTree.prologue;
     var units = syntaxTree.units;
     var that = this;
 
     // environment for the operation -> base ns, declared ns, etc.
-    var queryEnv = {blanks:{}, outCache:{}};
+    var queryEnv = {blanks:{}, outCache:{}, control: control};
     this.registerNsInEnvironment(prologue, queryEnv);
     for(var i=0; i<units.length; i++) {
 
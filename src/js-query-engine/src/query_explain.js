@@ -0,0 +1,288 @@
+// exports
+exports.QueryExplain = {};
+var QueryExplain = exports.QueryExplain;
+
+//imports
+var Utils = require("./../../js-trees/src/utils").Utils;
+var QuadIndexCommon = require("./../../js-rdf-persistence/src/quad_index_common").QuadIndexCommon;
+var QueryPlan = require("./query_plan_sync_dpsize").QueryPlanDPSize;
+
+/**
+ * Describes how the pattern of an executable unit is evaluated.
+ * The plan is a tree of operators, objects with the properties:
+ *
+ *  - operator: name of the operator, e.g. 'hash join' or 'pattern'.
+ *  - description: text describing the operator arguments.
+ *  - index: index of the backend used by a triple pattern.
+ *  - estimated: cost estimated by the planner for the patterns
+ *    and joins of a BGP.
+ *  - actual: number of solutions of the operator, only if the
+ *    context has the 'analyze' flag set.
+ *  - children: operators whose solutions are combined.
+ *
+ * The context contains the query engine, the dataset and the
+ * environment of the query.
+ */
+QueryExplain.explainPattern = function(pattern, context) {
+    var node;
+    if(pattern.kind === 'BGP') {
+        var trees = QueryPlan.buildBushyTrees(pattern.value, context.engine, context.env);
+        if(trees.length === 1) {
+            return QueryExplain.explainJoinTree(trees[0], context);
+        }
+        node = QueryExplain.node('cross product', "");
+        for(var i=0; i<trees.length; i++) {
+            node.children.push(QueryExplain.explainJoinTree(trees[i], context));
+        }
+    } else if(pattern.kind === 'UNION') {
+        node = QueryExplain.node('union', "");
+        for(var i=0; i<pattern.value.length; i++) {
+            node.children.push(QueryExplain.explainPattern(pattern.value[i], context));
+        }
+    } else if(pattern.kind === 'JOIN' || pattern.kind === 'LEFT_JOIN' || pattern.kind === 'MINUS') {
+        var operators = {'JOIN': 'join', 'LEFT_JOIN': 'left join', 'MINUS': 'minus'};
+        node = QueryExplain.node(operators[pattern.kind], "");
+        node.children.push(QueryExplain.explainPattern(pattern.lvalue, context));
+        node.children.push(QueryExplain.explainPattern(pattern.rvalue, context));
+    } else if(pattern.kind === 'FILTER') {
+        node = QueryExplain.node('filter', "");
+        node.children.push(QueryExplain.explainPattern(pattern.value, context));
+    } else if(pattern.kind === 'EXTEND') {
+        node = QueryExplain.node('extend', QueryExplain.termText(pattern.variable, context.env));
+        node.children.push(QueryExplain.explainPattern(pattern.value, context));
+    } else if(pattern.kind === 'PATH') {
+        node = QueryExplain.node('path', QueryExplain.termText(pattern.x, context.env) + " " +
+                                 QueryExplain.pathText(pattern.path, context.env) + " " +
+                                 QueryExplain.termText(pattern.y, context.env) +
+                                 QueryExplain.graphText(pattern.graph, context.env));
+    } else if(pattern.kind === 'VALUES') {
+        var variables = [];
+        for(var i=0; i<pattern.variables.length; i++) {
+            variables.push("?"+pattern.variables[i]);
+        }
+        node = QueryExplain.node('values', variables.join(" "));
+    } else if(pattern.kind === 'SUBSELECT') {
+        node = QueryExplain.node('subselect', "");
+        node.children.push(QueryExplain.explainPattern(pattern.value.pattern, context));
+    } else if(pattern.kind === 'SERVICE') {
+        node = QueryExplain.node('service', (pattern.silent ? "SILENT " : "") + QueryExplain.termText(pattern.endpoint, context.env));
+        node.children.push(QueryExplain.explainPattern(pattern.value, context));
+    } else if(pattern.kind === 'EMPTY_PATTERN') {
+        node = QueryExplain.node('empty', "");
+    } else {
+        node = QueryExplain.node(pattern.kind.toLowerCase(), "");
+    }
+
+    if(context.analyze) {
+        node.actual = QueryExplain.count(context, function() {
+            return context.engine.executeSelectUnit(context.projection, context.dataset, pattern, context.env);
+        });
+    }
+
+    return node;
+};
+
+/**
+ * Describes a join tree built by the planner for a group of
+ * connected patterns of a BGP.
+ */
+QueryExplain.explainJoinTree = function(tree, context) {
+    var node;
+    if(tree.left == null || tree.right == null) {
+        var quad = (tree.left || tree.right);
+        node = QueryExplain.node('pattern', QueryExplain.quadText(quad, context.env));
+        node.index = QueryExplain.indexForQuad(quad, context);
+    } else {
+        var variables = [];
+        for(var i=0; i<tree.join.length; i++) {
+            variables.push("?"+tree.join[i]);
+        }
+        node = QueryExplain.node('hash join', variables.join(" "));
+        node.children.push(QueryExplain.explainJoinTree(tree.left, context));
+        node.children.push(QueryExplain.explainJoinTree(tree.right, context));
+    }
+    node.estimated = tree.cost;
+
+    if(context.analyze) {
+        node.actual = QueryExplain.count(context, function() {
+            return QueryPlan.executeBushyTree(tree, context.dataset, context.engine, context.env);
+        });
+    }
+
+    return node;
+};
+
+QueryExplain.node = function(operator, description) {
+    return {operator: operator, description: description, children: []};
+};
+
+/**
+ * Returns the index of the backend used to retrieve the quads
+ * matching a triple pattern.
+ * Only the bound components of the pattern are relevant to choose
+ * the index. The graph is always bound when the pattern is
+ * evaluated: the default graph, a graph in the dataset or the
+ * graph of the GRAPH clause.
+ */
+QueryExplain.indexForQuad = function(quad, context) {
+    var backend = context.engine.backend;
+    if(backend == null || backend._indexForPattern == null) {
+        return null;
+    }
+    var components = {graph: 0};
+    var names = ['subject', 'predicate', 'object'];
+    for(var i=0; i<names.length; i++) {
+        var term = quad[names[i]];
+        // OIDs are numbers, variables are strings
+        components[names[i]] = (term.token === 'var' || term.token === 'blank' ? term.value : 0);
+    }
+    return backend._indexForPattern(new QuadIndexCommon.Pattern(components));
+};
+
+/**
+ * Evaluates an operator returning the number of solutions.
+ * The engine assigns the graphs of the dataset to the patterns
+ * when they are evaluated, the original graphs are restored so
+ * the rest of the plan can be evaluated.
+ */
+QueryExplain.count = function(context, evaluate) {
+    var graphs = [];
+    for(var i=0; i<context.quads.length; i++) {
+        graphs.push(context.quads[i].graph);
+    }
+    context.env.pendingServices = [];
+    var results = evaluate();
+    for(var i=0; i<context.quads.length; i++) {
+        if(graphs[i] === undefined) {
+            delete context.quads[i].graph;
+        } else {
+            context.quads[i].graph = graphs[i];
+        }
+    }
+
+    if(context.env.pendingServices.length > 0) {
+        // the solutions of SERVICE patterns are not retrieved
+        return null;
+    } else {
+        return (results == null ? 0 : results.length);
+    }
+};
+
+/**
+ * Collects the triple patterns of the BGPs in a pattern.
+ */
+QueryExplain.patternQuads = function(pattern, acum) {
+    acum = acum || [];
+    if(pattern == null || typeof(pattern) !== 'object') {
+        return acum;
+    }
+    if(pattern.kind === 'BGP') {
+        for(var i=0; i<pattern.value.length; i++) {
+            acum.push(pattern.value[i]);
+        }
+    } else if(pattern.kind === 'SUBSELECT') {
+        QueryExplain.patternQuads(pattern.value.pattern, acum);
+    } else {
+        var children = [pattern.value, pattern.lvalue, pattern.rvalue];
+        if(pattern.kind === 'UNION') {
+            children = pattern.value;
+        }
+        for(var i=0; i<children.length; i++) {
+            if(children[i] != null && children[i].kind != null) {
+                QueryExplain.patternQuads(children[i], acum);
+            }
+        }
+    }
+
+    return acum;
+};
+
+// Textual rendering
+
+/**
+ * Renders a plan as text, an operator per line indented
+ * according to its depth in the plan.
+ */
+QueryExplain.render = function(node, indentation) {
+    indentation = indentation || "";
+    var line = indentation + node.operator;
+    if(node.description != null && node.description !== "") {
+        line = line + " " + node.description;
+    }
+    var annotations = [];
+    if(node.index != null) {
+        annotations.push("index " + node.index);
+    }
+    if(node.estimated != null) {
+        // the planner costs are rounded to two decimals
+        annotations.push("estimated " + (Math.round(node.estimated * 100) / 100));
+    }
+    if(node.actual !== undefined) {
+        annotations.push("actual " + (node.actual == null ? "unknown" : node.actual));
+    }
+    if(annotations.length > 0) {
+        line = line + " [" + annotations.join(", ") + "]";
+    }
+
+    var lines = [line];
+    for(var i=0; i<node.children.length; i++) {
+        lines.push(QueryExplain.render(node.children[i], indentation + "  "));
+    }
+
+    return lines.join("\n");
+};
+
+QueryExplain.termText = function(term, env) {
+    if(term.token === 'var') {
+        return "?" + term.value;
+    } else if(term.token === 'blank') {
+        return "_:" + term.value;
+    } else if(term.token === 'literal') {
+        return Utils.lexicalFormLiteral(term, env);
+    } else {
+        return "<" + Utils.lexicalFormBaseUri(term, env) + ">";
+    }
+};
+
+QueryExplain.graphText = function(graph, env) {
+    if(graph == null) {
+        return "";
+    } else {
+        return " GRAPH " + QueryExplain.termText(graph, env);
+    }
+};
+
+QueryExplain.quadText = function(quad, env) {
+    return QueryExplain.termText(quad.subject, env) + " " +
+        QueryExplain.termText(quad.predicate, env) + " " +
+        QueryExplain.termText(quad.object, env) +
+        QueryExplain.graphText(quad.graph, env);
+};
+
+QueryExplain.pathText = function(path, env) {
+    if(path.token === 'uri') {
+        return QueryExplain.termText(path, env);
+    } else if(path.kind === 'inversePath') {
+        return "^" + QueryExplain.pathText(path.value, env);
+    } else if(path.kind === 'sequence' || path.kind === 'alternative') {
+        var steps = [];
+        for(var i=0; i<path.value.length; i++) {
+            steps.push(QueryExplain.pathText(path.value[i], env));
+        }
+        return "(" + steps.join(path.kind === 'sequence' ? "/" : "|") + ")";
+    } else if(path.kind === 'negatedPropertySet') {
+        var steps = [];
+        for(var i=0; i<path.value.length; i++) {
+            steps.push((path.value[i].inverse ? "^" : "") + QueryExplain.termText(path.value[i].value, env));
+        }
+        return "!(" + steps.join("|") + ")";
+    } else if(path.kind === 'element') {
+        var modifier = path.modifier;
+        if(modifier != null && typeof(modifier) === 'object') {
+            modifier = "{" + (modifier.min == null ? "" : modifier.min) + "," + (modifier.max == null ? "" : modifier.max) + "}";
+        }
+        return QueryExplain.pathText(path.value, env) + (modifier || "");
+    } else {
+        return path.kind;
+    }
+};
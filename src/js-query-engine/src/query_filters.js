@@ -4,6 +4,7 @@ var QueryFilters = exports.QueryFilters;
 
 // imports
 var Utils = require("./../../js-trees/src/utils").Utils;
+var Hashes = require("./hashes").Hashes;
 
 QueryFilters.checkFilters = function(pattern, bindings, nullifyErrors, dataset, queryEnv, queryEngine) {
     var filters = pattern.filter;
@@ -133,152 +134,170 @@ QueryFilters.collect = function(filterExpr, bindings, dataset, env, queryEngine,
 QueryFilters.runDistinct = function(projectedBindings, projectionVariables) {
 };
 
-// @todo add more aggregation functions here
 QueryFilters.runAggregator = function(aggregator, bindingsGroup, queryEngine, dataset, env) {
-    if(bindingsGroup == null || bindingsGroup.length === 0) {
+    if(bindingsGroup == null) {
         return QueryFilters.ebvError();
     } else if(aggregator.token === 'variable' && aggregator.kind == 'var') {
-        return bindingsGroup[0][aggregator.value.value];
+        return bindingsGroup.length === 0 ? QueryFilters.ebvError() : bindingsGroup[0][aggregator.value.value];
     } else if(aggregator.token === 'variable' && aggregator.kind === 'aliased') {
         if(aggregator.expression.expressionType === 'atomic' && aggregator.expression.primaryexpression === 'var') {
-            return bindingsGroup[0][aggregator.expression.value.value];
+            return bindingsGroup.length === 0 ? QueryFilters.ebvError() : bindingsGroup[0][aggregator.expression.value.value];
         } else if(aggregator.expression.expressionType === 'aggregate') {
-            if(aggregator.expression.aggregateType === 'max') {
-                var max = null;
-                for(var i=0; i< bindingsGroup.length; i++) {
-                    var bindings = bindingsGroup[i];
-                    var ebv = QueryFilters.runFilter(aggregator.expression.expression, bindings, queryEngine, dataset, env);                    
-                    if(!QueryFilters.isEbvError(ebv)) {
-                        if(max === null) {
-                            max = ebv;
-                        } else {
-                            if(QueryFilters.runLtFunction(max, ebv).value === true) {
-                                max = ebv;
-                            }
-                        }
-                    }
-                }
+            return QueryFilters.runAggregate(aggregator.expression, bindingsGroup, queryEngine, dataset, env);
+        } else {
+            // expression combining aggregates and group variables:
+            // aggregates are computed first and bound to fresh variables
+            var bindings = {};
+            for(var p in bindingsGroup[0]) {
+                bindings[p] = bindingsGroup[0][p];
+            }
+            var expression = QueryFilters.replaceAggregates(aggregator.expression, bindings, bindingsGroup, queryEngine, dataset, env);
+            var ebv = QueryFilters.runFilter(expression, bindings, queryEngine, dataset, env);
+            if(ebv != null && !QueryFilters.isEbvError(ebv) && ebv.value != null) {
+                ebv.value = ''+ebv.value;
+            }
+            return ebv;
+        }
+    }
+};
 
-                if(max===null) {
-                    return QueryFilters.ebvError();
-                } else {
-                    return max;
-                }
-            } else if(aggregator.expression.aggregateType === 'min') {
-                var min = null;
-                for(var i=0; i< bindingsGroup.length; i++) {
-                    var bindings = bindingsGroup[i];
-                    var ebv = QueryFilters.runFilter(aggregator.expression.expression, bindings, queryEngine, dataset, env);                    
-                    if(!QueryFilters.isEbvError(ebv)) {
-                        if(min === null) {
-                            min = ebv;
-                        } else {
-                            if(QueryFilters.runGtFunction(min, ebv).value === true) {
-                                min = ebv;
-                            }
-                        }
-                    }
-                }
+/**
+ * Evaluates an aggregate expression over a group of denormalized bindings.
+ */
+QueryFilters.runAggregate = function(aggregate, bindingsGroup, queryEngine, dataset, env) {
+    var values = QueryFilters.aggregatedValues(aggregate, bindingsGroup, queryEngine, dataset, env);
+
+    if(aggregate.aggregateType === 'count') {
+        return {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#integer", value:''+values.length};
+    } else if(aggregate.aggregateType === 'max' || aggregate.aggregateType === 'min') {
+        var selected = null;
+        var compare = (aggregate.aggregateType === 'max' ? QueryFilters.runLtFunction : QueryFilters.runGtFunction);
+        for(var i=0; i<values.length; i++) {
+            if(selected === null || compare(selected, values[i]).value === true) {
+                selected = values[i];
+            }
+        }
+        return (selected === null ? QueryFilters.ebvError() : selected);
+    } else if(aggregate.aggregateType === 'sum' || aggregate.aggregateType === 'avg') {
+        var aggregated = {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#integer", value:'0'};
+        var count = 0;
+        for(var i=0; i<values.length; i++) {
+            if(QueryFilters.isNumeric(values[i])) {
+                aggregated = QueryFilters.runSumFunction(aggregated, values[i]);
+                count++;
+            }
+        }
+        if(aggregate.aggregateType === 'avg' && count > 0) {
+            aggregated = QueryFilters.runDivFunction(aggregated, {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#integer", value:''+count});
+        }
+        aggregated.value = ''+aggregated.value;
+        return aggregated;
+    } else if(aggregate.aggregateType === 'sample') {
+        return (values.length === 0 ? QueryFilters.ebvError() : values[0]);
+    } else if(aggregate.aggregateType === 'group_concat') {
+        var acum = [];
+        for(var i=0; i<values.length; i++) {
+            acum.push(values[i].value);
+        }
+        return {token: 'literal', value:acum.join(aggregate.separator)};
+    } else {
+        return QueryFilters.ebvError();
+    }
+};
 
-                if(min===null) {
-                    return QueryFilters.ebvError();
-                } else {
-                    return min;
+/**
+ * Values of the aggregated expression for every binding in the group.
+ * Errors and unbound values are skipped and duplicates are removed for
+ * DISTINCT aggregates. COUNT(*) aggregates the whole bindings.
+ */
+QueryFilters.aggregatedValues = function(aggregate, bindingsGroup, queryEngine, dataset, env) {
+    var distinct = (aggregate.distinct != null && aggregate.distinct != '');
+    var keys = {};
+    var values = [];
+    for(var i=0; i<bindingsGroup.length; i++) {
+        var bindings = bindingsGroup[i];
+        var value, key;
+        if(aggregate.expression === '*') {
+            value = bindings;
+            if(distinct) {
+                var variables = [];
+                for(var p in bindings) {
+                    variables.push(p);
                 }
-            } else if(aggregator.expression.aggregateType === 'count') {
-                var distinct = {};
-                var count = 0;
-                if(aggregator.expression.expression === '*') {
-                    if(aggregator.expression.distinct != null && aggregator.expression.distinct != '') {
-                        for(var i=0; i< bindingsGroup.length; i++) {
-                            var bindings = bindingsGroup[i];
-                            var key = Utils.hashTerm(bindings);
-                            if(distinct[key] == null) {
-                                distinct[key] = true;
-                                count++;
-                            }
-                        } 
-                    } else {
-                        count = bindingsGroup.length;
-                    }                   
-                } else {
-                  for(var i=0; i< bindingsGroup.length; i++) {
-                      var bindings = bindingsGroup[i];
-                      var ebv = QueryFilters.runFilter(aggregator.expression.expression, bindings, queryEngine, dataset, env);                    
-                      if(!QueryFilters.isEbvError(ebv)) {
-                          if(aggregator.expression.distinct != null && aggregator.expression.distinct != '') {
-                              var key = Utils.hashTerm(ebv);
-                              if(distinct[key] == null) {
-                                  distinct[key] = true;
-                                  count++;
-                              }
-                          } else {
-                              count++;
-                          }
-                      }
-                  }
+                variables.sort();
+                key = "";
+                for(var j=0; j<variables.length; j++) {
+                    key = key + variables[j] + "=" + Utils.hashTerm(bindings[variables[j]]) + ";";
                 }
+            }
+        } else {
+            value = QueryFilters.runFilter(aggregate.expression, bindings, queryEngine, dataset, env);
+            if(value == null || QueryFilters.isEbvError(value)) {
+                continue;
+            }
+            if(distinct) {
+                key = Utils.hashTerm(value);
+            }
+        }
 
-                return {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#integer", value:''+count};
-            } else if(aggregator.expression.aggregateType === 'avg') {
-                var distinct = {};
-                var aggregated = {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#integer", value:'0'};
-                var count = 0;
-                for(var i=0; i< bindingsGroup.length; i++) {
-                    var bindings = bindingsGroup[i];
-                    var ebv = QueryFilters.runFilter(aggregator.expression.expression, bindings, queryEngine, dataset, env);                    
-                    if(!QueryFilters.isEbvError(ebv)) {
-                        if(aggregator.expression.distinct != null && aggregator.expression.distinct != '') {
-                            var key = Utils.hashTerm(ebv);
-                            if(distinct[key] == null) {
-                                distinct[key] = true;
-                                if(QueryFilters.isNumeric(ebv)) {
-                                    aggregated = QueryFilters.runSumFunction(aggregated, ebv);
-                                    count++;
-                                }
-                            }
-                        } else {
-                            if(QueryFilters.isNumeric(ebv)) {
-                                aggregated = QueryFilters.runSumFunction(aggregated, ebv);
-                                count++;
-                            }
-                        }
-                    }
-                }
+        if(distinct) {
+            if(keys[key] != null) {
+                continue;
+            }
+            keys[key] = true;
+        }
+        values.push(value);
+    }
 
-                var result = QueryFilters.runDivFunction(aggregated, {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#integer", value:''+count});
-                result.value = ''+result.value;
-                return result;
-            } else if(aggregator.expression.aggregateType === 'sum') {
-                var distinct = {};
-                var aggregated = {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#integer", value:'0'};
-                for(var i=0; i< bindingsGroup.length; i++) {
-                    var bindings = bindingsGroup[i];
-                    var ebv = QueryFilters.runFilter(aggregator.expression.expression, bindings, queryEngine, dataset, env);                    
-                    if(!QueryFilters.isEbvError(ebv)) {
-                        if(aggregator.expression.distinct != null && aggregator.expression.distinct != '') {
-                            var key = Utils.hashTerm(ebv);
-                            if(distinct[key] == null) {
-                                distinct[key] = true;
-                                if(QueryFilters.isNumeric(ebv)) {
-                                    aggregated = QueryFilters.runSumFunction(aggregated, ebv);
-                                }
-                            }
-                        } else {
-                            if(QueryFilters.isNumeric(ebv)) {
-                                aggregated = QueryFilters.runSumFunction(aggregated, ebv);
-                            }
-                        }
-                    }
-                }
-                
-                aggregated.value =''+aggregated.value;
-                return aggregated;
-            } else {
-                var ebv = QueryFilters.runFilter(aggregate.expression, bindingsGroup[0], dataset, {blanks:{}, outCache:{}});
-                return ebv;
+    return values;
+};
+
+/**
+ * Returns a copy of the expression where every aggregate has been
+ * replaced by a fresh variable bound in bindings to the aggregated value.
+ */
+QueryFilters.replaceAggregates = function(expression, bindings, bindingsGroup, queryEngine, dataset, env) {
+    var counter = 0;
+    var replace = function(expression) {
+        if(expression == null || typeof(expression) !== 'object') {
+            return expression;
+        } else if(expression.expressionType === 'aggregate') {
+            var variable = "__aggregate"+counter;
+            counter++;
+            var value = QueryFilters.runAggregate(expression, bindingsGroup, queryEngine, dataset, env);
+            if(!QueryFilters.isEbvError(value)) {
+                bindings[variable] = value;
             }
+            return {token: 'expression', expressionType: 'atomic', primaryexpression: 'var', value: {token: 'var', value: variable}};
+        } else if(QueryFilters.containsAggregate(expression)) {
+            var copy = (expression.constructor === Array ? [] : {});
+            for(var p in expression) {
+                copy[p] = replace(expression[p]);
+            }
+            return copy;
+        } else {
+            return expression;
         }
+    };
+
+    return replace(expression);
+};
+
+/**
+ * True if an aggregate appears somewhere inside the expression.
+ */
+QueryFilters.containsAggregate = function(expression) {
+    if(expression == null || typeof(expression) !== 'object') {
+        return false;
+    } else if(expression.expressionType === 'aggregate') {
+        return true;
+    } else {
+        for(var p in expression) {
+            if(QueryFilters.containsAggregate(expression[p])) {
+                return true;
+            }
+        }
+        return false;
     }
 };
 
@@ -650,6 +669,11 @@ QueryFilters.runRelationalFilter = function(filterExpr, op1, op2, bindings, quer
  */
 QueryFilters.effectiveTypeValue = function(val){
     if(val.token == 'literal') {
+        // number stored by the lexicon, unless the term has been modified
+        var native = val.native;
+        if(native != null && native.value === val.value && native.type === val.type) {
+            return native.number;
+        }
         if(val.type == "http://www.w3.org/2001/XMLSchema#integer") {
             var tmp = parseInt(val.value);
             //if(isNaN(tmp)) {
@@ -860,6 +884,11 @@ QueryFilters.runAndFunction = function(filterExpr, bindings, queryEngine, datase
         }
     }
 
+    // empty conjunctions, e.g. NOT IN (), are true
+    if(acum == null) {
+        acum = true;
+    }
+
     return QueryFilters.ebvBoolean(acum);
 };
 
@@ -1199,16 +1228,21 @@ QueryFilters.runDivFunction = function(faca, facb) {
     if(QueryFilters.isEbvError(faca) || QueryFilters.isEbvError(facb)) {
         return QueryFilters.ebvError();
     }
-    var val = QueryFilters.effectiveTypeValue(faca) / QueryFilters.effectiveTypeValue(facb);
+    var divisor = QueryFilters.effectiveTypeValue(facb);
+    if(divisor == 0 && !QueryFilters.isDouble(faca) && !QueryFilters.isDouble(facb) &&
+       !QueryFilters.isFloat(faca) && !QueryFilters.isFloat(facb)) {
+        // division by zero is only defined for floating point numbers
+        return QueryFilters.ebvError();
+    }
+    var val = QueryFilters.effectiveTypeValue(faca) / divisor;
 
+    // the division of two integers is a decimal (op:numeric-divide)
     if(QueryFilters.isDouble(faca) || QueryFilters.isDouble(facb)) {
         return {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#double", value:val};        
     } else if(QueryFilters.isFloat(faca) || QueryFilters.isFloat(facb)) {
         return {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#float", value:val};        
-    } else if(QueryFilters.isDecimal(faca) || QueryFilters.isDecimal(facb)) {
-        return {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#decimal", value:val};        
     } else {
-        return {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#integer", value:val};        
+        return {token: 'literal', type:"http://www.w3.org/2001/XMLSchema#decimal", value:val};        
     }
 };
 
@@ -1231,9 +1265,31 @@ QueryFilters.runBuiltInCall = function(builtincall, args, bindings, queryEngine,
             return QueryFilters.ebvBoolean(result.length===0);            
         }
 
-    }  else {
+    } else if(builtincall === 'if') {
+        // only the selected branch is evaluated
+        var test = QueryFilters.ebv(QueryFilters.runFilter(args[0], bindings, queryEngine, dataset, env));
+        if(QueryFilters.isEbvError(test)) {
+            return test;
+        } else if(test === true) {
+            return QueryFilters.runFilter(args[1], bindings, queryEngine, dataset, env);
+        } else {
+            return QueryFilters.runFilter(args[2], bindings, queryEngine, dataset, env);
+        }
+    } else if(builtincall === 'coalesce') {
+        // errors and unbound variables are skipped
+        for(var i=0; i<args.length; i++) {
+            var value = QueryFilters.runFilter(args[i], bindings, queryEngine, dataset, env);
+            if(value != null && !QueryFilters.isEbvError(value)) {
+                return value;
+            }
+        }
+        return QueryFilters.ebvError();
+    } else if(builtincall === 'bnode' && args == null) {
+        return QueryFilters.freshBlankNode();
+    } else {
 
         var ops = [];
+        var foundUnbound = false;
         for(var i=0; i<args.length; i++) {
             if(args[i].token === 'var') {
                 ops.push(args[i]);
@@ -1242,10 +1298,18 @@ QueryFilters.runBuiltInCall = function(builtincall, args, bindings, queryEngine,
                 if(QueryFilters.isEbvError(op)) {
                     return op;
                 }
+                if(op == null) {
+                    foundUnbound = true;
+                }
                 ops.push(op);
             }
         }
 
+        // unbound arguments raise a type error in the built-in functions
+        if(foundUnbound && queryEngine.customFns[builtincall] == null) {
+            return QueryFilters.ebvError();
+        }
+
         if(builtincall === 'str') {
             if(ops[0].token === 'literal') {
                 // lexical form literals
@@ -1332,6 +1396,129 @@ QueryFilters.runBuiltInCall = function(builtincall, args, bindings, queryEngine,
             } else {
                 return QueryFilters.ebvFalse();
             }
+        } else if(builtincall === 'iri' || builtincall === 'uri') {
+            if(ops[0].token === 'uri') {
+                return ops[0];
+            } else if(QueryFilters.isSimpleLiteral(ops[0]) || QueryFilters.isXsdType("string", ops[0])) {
+                var uri = Utils.lexicalFormBaseUri({token: 'uri', value: ""+ops[0].value}, env);
+                return {token: 'uri', value: uri, prefix: null, suffix: null};
+            } else {
+                return QueryFilters.ebvError();
+            }
+        } else if(builtincall === 'bnode') {
+            if(QueryFilters.isSimpleLiteral(ops[0]) || QueryFilters.isXsdType("string", ops[0])) {
+                return QueryFilters.labelledBlankNode(""+ops[0].value, bindings, env);
+            } else {
+                return QueryFilters.ebvError();
+            }
+        } else if(builtincall === 'rand') {
+            return {token: 'literal', type: "http://www.w3.org/2001/XMLSchema#double", value: Math.random()};
+        } else if(builtincall === 'now') {
+            // the same value is returned during the whole query
+            if(env.now == null) {
+                env.now = new Date().toISOString();
+            }
+            return {token: 'literal', type: "http://www.w3.org/2001/XMLSchema#dateTime", value: env.now};
+        } else if(builtincall === 'uuid') {
+            return {token: 'uri', value: "urn:uuid:"+QueryFilters.uuid(), prefix: null, suffix: null};
+        } else if(builtincall === 'struuid') {
+            return {token: 'literal', value: QueryFilters.uuid()};
+        } else if(builtincall === 'strlen') {
+            if(QueryFilters.isStringLiteral(ops[0])) {
+                return {token: 'literal', type: "http://www.w3.org/2001/XMLSchema#integer", value: QueryFilters.codePoints(""+ops[0].value).length};
+            } else {
+                return QueryFilters.ebvError();
+            }
+        } else if(builtincall === 'substr') {
+            return QueryFilters.runSubstr(ops[0], ops[1], ops[2]);
+        } else if(builtincall === 'ucase' || builtincall === 'lcase') {
+            if(QueryFilters.isStringLiteral(ops[0])) {
+                var value = ""+ops[0].value;
+                value = (builtincall === 'ucase') ? value.toUpperCase() : value.toLowerCase();
+                return QueryFilters.stringLiteralLike(value, ops[0]);
+            } else {
+                return QueryFilters.ebvError();
+            }
+        } else if(builtincall === 'strstarts' || builtincall === 'strends' || builtincall === 'contains') {
+            if(!QueryFilters.areCompatibleStringArguments(ops[0], ops[1])) {
+                return QueryFilters.ebvError();
+            }
+            var value = ""+ops[0].value;
+            var search = ""+ops[1].value;
+            if(builtincall === 'strstarts') {
+                return QueryFilters.ebvBoolean(value.indexOf(search) === 0);
+            } else if(builtincall === 'strends') {
+                return QueryFilters.ebvBoolean(value.length >= search.length && value.lastIndexOf(search) === value.length - search.length);
+            } else {
+                return QueryFilters.ebvBoolean(value.indexOf(search) !== -1);
+            }
+        } else if(builtincall === 'strbefore' || builtincall === 'strafter') {
+            if(!QueryFilters.areCompatibleStringArguments(ops[0], ops[1])) {
+                return QueryFilters.ebvError();
+            }
+            var value = ""+ops[0].value;
+            var search = ""+ops[1].value;
+            var index = value.indexOf(search);
+            if(index === -1) {
+                return {token: 'literal', value: ""};
+            } else if(builtincall === 'strbefore') {
+                return QueryFilters.stringLiteralLike(value.substring(0, index), ops[0]);
+            } else {
+                return QueryFilters.stringLiteralLike(value.substring(index + search.length), ops[0]);
+            }
+        } else if(builtincall === 'encode_for_uri') {
+            if(QueryFilters.isStringLiteral(ops[0])) {
+                var encoded = encodeURIComponent(""+ops[0].value).replace(/[!'()*]/g, function(c) {
+                    return "%" + c.charCodeAt(0).toString(16).toUpperCase();
+                });
+                return {token: 'literal', value: encoded};
+            } else {
+                return QueryFilters.ebvError();
+            }
+        } else if(builtincall === 'concat') {
+            return QueryFilters.runConcat(ops);
+        } else if(builtincall === 'replace') {
+            return QueryFilters.runReplace(ops[0], ops[1], ops[2], ops[3]);
+        } else if(builtincall === 'abs' || builtincall === 'round' || builtincall === 'ceil' || builtincall === 'floor') {
+            if(!QueryFilters.isNumeric(ops[0])) {
+                return QueryFilters.ebvError();
+            }
+            var number = QueryFilters.effectiveTypeValue(ops[0]);
+            if(builtincall === 'abs') {
+                number = Math.abs(number);
+            } else if(builtincall === 'round') {
+                number = Math.round(number);
+            } else if(builtincall === 'ceil') {
+                number = Math.ceil(number);
+            } else {
+                number = Math.floor(number);
+            }
+            return {token: 'literal', type: ops[0].type, value: number};
+        } else if(builtincall === 'isnumeric') {
+            return QueryFilters.ebvBoolean(QueryFilters.isNumeric(ops[0]) && !isNaN(parseFloat(ops[0].value)));
+        } else if(builtincall === 'year' || builtincall === 'month' || builtincall === 'day' ||
+                  builtincall === 'hours' || builtincall === 'minutes' || builtincall === 'seconds' ||
+                  builtincall === 'timezone' || builtincall === 'tz') {
+            return QueryFilters.runDateTimeFunction(builtincall, ops[0]);
+        } else if(builtincall === 'md5' || builtincall === 'sha1' || builtincall === 'sha256' ||
+                  builtincall === 'sha384' || builtincall === 'sha512') {
+            if(QueryFilters.isSimpleLiteral(ops[0]) || QueryFilters.isXsdType("string", ops[0])) {
+                return {token: 'literal', value: Hashes[builtincall](""+ops[0].value)};
+            } else {
+                return QueryFilters.ebvError();
+            }
+        } else if(builtincall === 'strdt') {
+            if(QueryFilters.isSimpleLiteral(ops[0]) && ops[1].token === 'uri') {
+                return {token: 'literal', value: ""+ops[0].value, type: Utils.lexicalFormBaseUri(ops[1], env)};
+            } else {
+                return QueryFilters.ebvError();
+            }
+        } else if(builtincall === 'strlang') {
+            if(QueryFilters.isSimpleLiteral(ops[0]) && QueryFilters.isSimpleLiteral(ops[1]) && ops[1].value !== "") {
+                return {token: 'literal', value: ""+ops[0].value, lang: (""+ops[1].value).toLowerCase()};
+            } else {
+                return QueryFilters.ebvError();
+            }
 	} else if(queryEngine.customFns[builtincall] != null) {
 	    return queryEngine.customFns[builtincall](QueryFilters, ops);
         } else {
@@ -1340,6 +1527,218 @@ QueryFilters.runBuiltInCall = function(builtincall, args, bindings, queryEngine,
     }
 };
 
+/**
+ * Simple literals, xsd:string literals and literals with
+ * a language tag.
+ */
+QueryFilters.isStringLiteral = function(val) {
+    return (val != null && val.token === 'literal' &&
+            (val.type == null || val.type === "http://www.w3.org/2001/XMLSchema#string"));
+};
+
+/**
+ * Argument compatibility rules for STRSTARTS, STRENDS, CONTAINS,
+ * STRBEFORE and STRAFTER.
+ */
+QueryFilters.areCompatibleStringArguments = function(arg1, arg2) {
+    if(!QueryFilters.isStringLiteral(arg1) || !QueryFilters.isStringLiteral(arg2)) {
+        return false;
+    } else if(arg2.lang == null) {
+        return true;
+    } else {
+        return arg1.lang != null && arg1.lang.toLowerCase() === arg2.lang.toLowerCase();
+    }
+};
+
+/**
+ * Builds a string literal with the same language tag or
+ * datatype of another literal.
+ */
+QueryFilters.stringLiteralLike = function(value, literal) {
+    var result = {token: 'literal', value: value};
+    if(literal.lang != null) {
+        result.lang = literal.lang;
+    }
+    if(literal.type != null) {
+        result.type = literal.type;
+    }
+    return result;
+};
+
+/**
+ * Splits a string in unicode characters, surrogate pairs
+ * are counted as a single character.
+ */
+QueryFilters.codePoints = function(str) {
+    return str.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || [];
+};
+
+QueryFilters.runSubstr = function(str, start, length) {
+    if(!QueryFilters.isStringLiteral(str) || !QueryFilters.isNumeric(start) ||
+       (length != null && !QueryFilters.isNumeric(length))) {
+        return QueryFilters.ebvError();
+    }
+
+    // character positions start at 1, see fn:substring
+    var chars = QueryFilters.codePoints(""+str.value);
+    var first = Math.round(QueryFilters.effectiveTypeValue(start));
+    var last = (length == null) ? Infinity : first + Math.round(QueryFilters.effectiveTypeValue(length));
+    var acum = "";
+    for(var i=0; i<chars.length; i++) {
+        if(i+1 >= first && i+1 < last) {
+            acum = acum + chars[i];
+        }
+    }
+
+    return QueryFilters.stringLiteralLike(acum, str);
+};
+
+QueryFilters.runConcat = function(ops) {
+    var value = "";
+    var lang = null;
+    var sameLang = true;
+    var allStrings = true;
+    for(var i=0; i<ops.length; i++) {
+        if(!QueryFilters.isStringLiteral(ops[i])) {
+            return QueryFilters.ebvError();
+        }
+        value = value + ops[i].value;
+        if(i === 0) {
+            lang = ops[i].lang;
+        } else if(ops[i].lang != lang) {
+            sameLang = false;
+        }
+        if(ops[i].type == null) {
+            allStrings = false;
+        }
+    }
+
+    if(ops.length > 0 && sameLang && lang != null) {
+        return {token: 'literal', value: value, lang: lang};
+    } else if(ops.length > 0 && allStrings) {
+        return {token: 'literal', value: value, type: "http://www.w3.org/2001/XMLSchema#string"};
+    } else {
+        return {token: 'literal', value: value};
+    }
+};
+
+QueryFilters.runReplace = function(str, pattern, replacement, flags) {
+    if(!QueryFilters.isStringLiteral(str) ||
+       !(QueryFilters.isSimpleLiteral(pattern) || QueryFilters.isXsdType("string", pattern)) ||
+       !(QueryFilters.isSimpleLiteral(replacement) || QueryFilters.isXsdType("string", replacement)) ||
+       (flags != null && !QueryFilters.isSimpleLiteral(flags))) {
+        return QueryFilters.ebvError();
+    }
+
+    var regexFlags = "g";
+    var regexPattern = ""+pattern.value;
+    if(flags != null) {
+        var flagsValue = ""+flags.value;
+        for(var i=0; i<flagsValue.length; i++) {
+            var flag = flagsValue.charAt(i);
+            if(flag === 'i' || flag === 'm' || flag === 's') {
+                regexFlags = regexFlags + flag;
+            } else if(flag === 'x') {
+                regexPattern = regexPattern.replace(/\s/g, "");
+            } else {
+                return QueryFilters.ebvError();
+            }
+        }
+    }
+
+    var regex;
+    try {
+        regex = new RegExp(regexPattern, regexFlags);
+    } catch(e) {
+        return QueryFilters.ebvError();
+    }
+
+    // XPath uses $0 for the whole match and \$ for a literal dollar sign
+    var jsReplacement = (""+replacement.value).replace(/\\\$|\$0/g, function(match) {
+        return (match === "$0") ? "$&" : "$$";
+    });
+
+    return QueryFilters.stringLiteralLike((""+str.value).replace(regex, jsReplacement), str);
+};
+
+QueryFilters.parseDateTime = function(literal) {
+    if(literal == null || literal.token !== 'literal' || literal.type !== "http://www.w3.org/2001/XMLSchema#dateTime") {
+        return null;
+    }
+    var parts = (""+literal.value).match(/^(-?\d{4,})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)(Z|[+-]\d{2}:\d{2})?$/);
+    if(parts == null) {
+        return null;
+    } else {
+        return { year: parseInt(parts[1], 10),
+                 month: parseInt(parts[2], 10),
+                 day: parseInt(parts[3], 10),
+                 hours: parseInt(parts[4], 10),
+                 minutes: parseInt(parts[5], 10),
+                 seconds: parseFloat(parts[6]),
+                 timezone: parts[7] };
+    }
+};
+
+QueryFilters.runDateTimeFunction = function(fn, literal) {
+    var dateTime = QueryFilters.parseDateTime(literal);
+    if(dateTime == null) {
+        return QueryFilters.ebvError();
+    }
+
+    if(fn === 'seconds') {
+        return {token: 'literal', type: "http://www.w3.org/2001/XMLSchema#decimal", value: dateTime.seconds};
+    } else if(fn === 'tz') {
+        return {token: 'literal', value: (dateTime.timezone || "")};
+    } else if(fn === 'timezone') {
+        if(dateTime.timezone == null) {
+            return QueryFilters.ebvError();
+        }
+        var duration = "PT0S";
+        if(dateTime.timezone !== 'Z') {
+            var sign = dateTime.timezone.charAt(0) === '-' ? "-" : "";
+            var tzHours = parseInt(dateTime.timezone.substring(1,3), 10);
+            var tzMinutes = parseInt(dateTime.timezone.substring(4,6), 10);
+            if(tzHours !== 0 || tzMinutes !== 0) {
+                duration = sign + "PT" + (tzHours !== 0 ? tzHours+"H" : "") + (tzMinutes !== 0 ? tzMinutes+"M" : "");
+            }
+        }
+        return {token: 'literal', type: "http://www.w3.org/2001/XMLSchema#dayTimeDuration", value: duration};
+    } else {
+        return {token: 'literal', type: "http://www.w3.org/2001/XMLSchema#integer", value: dateTime[fn]};
+    }
+};
+
+QueryFilters.uuid = function() {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        var r = Math.floor(Math.random() * 16);
+        var v = (c === 'x') ? r : ((r & 0x3) | 0x8);
+        return v.toString(16);
+    });
+};
+
+QueryFilters.blankNodeCounter = 0;
+
+QueryFilters.freshBlankNode = function() {
+    QueryFilters.blankNodeCounter++;
+    return {token: 'blank', value: "_:bnode"+QueryFilters.blankNodeCounter};
+};
+
+/**
+ * BNODE(label) returns the same blank node for the same label
+ * in a solution and different blank nodes in different solutions.
+ */
+QueryFilters.labelledBlankNode = function(label, bindings, env) {
+    var key = label;
+    for(var p in bindings) {
+        key = key + "|" + p + "=" + (bindings[p] == null ? "" : Utils.hashTerm(bindings[p]));
+    }
+    env.bnodeLabels = env.bnodeLabels || {};
+    if(env.bnodeLabels[key] == null) {
+        env.bnodeLabels[key] = QueryFilters.freshBlankNode();
+    }
+    return env.bnodeLabels[key];
+};
+
 QueryFilters.runUnaryExpression = function(unaryexpression, expression, bindings, queryEngine, dataset, env) {
     var op = QueryFilters.runFilter(expression, bindings,queryEngine, dataset, env);
     if(QueryFilters.isEbvError(op)) {
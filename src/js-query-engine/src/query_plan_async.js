@@ -101,7 +101,11 @@ QueryPlanAsync.createJoinTree = function(leftPlan, rightPlan) {
 
     for(var i=0; i<rightPlan.vars.length; i++) {
         if(varsLeft.indexOf("/"+rightPlan.vars[i]+"/") != -1) {
-            join.push(rightPlan.vars[i]);
+            if(rightPlan.vars[i].indexOf("_:") == 0) {
+                join.push("blank:"+rightPlan.vars[i]);
+            } else {
+                join.push(rightPlan.vars[i]);
+            }
         } else {
             acumVars.push(rightPlan.vars[i]);
         }
@@ -231,13 +235,18 @@ QueryPlanAsync.executeBushyTree = function(treeNode, dataset, queryEngine, env,
                 QueryPlanAsync.executeBushyTree(treeNode.right, dataset, queryEngine, env, function(success, resultsRight) {
                     if(success) {
                         var bindings = QueryPlanAsync.joinBindings2(treeNode.join, resultsLeft, resultsRight);
-                        callback(true, bindings);
+                        var interruption = (env.control != null ? env.control.interruption(bindings.length) : null);
+                        if(interruption != null) {
+                            callback(false, interruption);
+                        } else {
+                            callback(true, bindings);
+                        }
                     } else {
-                        callback(false, null);
+                        callback(false, resultsRight);
                     }
                 });
             } else {
-                callback(false, null);
+                callback(false, resultsLeft);
             }
         });
     }
@@ -362,11 +371,16 @@ QueryPlanAsync.executeAndBGPsDPSize = function(allBgps, dataset, queryEngine, en
                         acum = result;
                         k(floop,kenv);
                     } else {
+                        // the size of the product is known before building it
+                        var interruption = (env.control != null ? env.control.interruption(acum.length * result.length) : null);
+                        if(interruption != null) {
+                            return callback(false, interruption);
+                        }
                         acum = QueryPlanAsync.crossProductBindings(acum, result);
                         k(floop,kenv);
                     }
                 } else {
-                    callback(false, null);
+                    callback(false, result);
                 }
             
             });
@@ -517,7 +531,7 @@ QueryPlanAsync.executeBGPDatasets = function(bgp, dataset, queryEngine, queryEnv
 	    if(successAcum)
 		callback(true, acumBindings);
 	    else
-		callback(false, "Error retrieving bindings from the backend layer");
+		callback(false, queryEngine.executionInterruption(queryEnv) || "Error retrieving bindings from the backend layer");
         });
     } else if(bgp.graph.token === 'var') {
         var graphVar = bgp.graph.value;
@@ -609,7 +623,7 @@ QueryPlanAsync.buildBindingsFromRange = function(results, bgp) {
 	  var duplicated = false;
           for(var comp in bindings) {
               var value = result[comp];
-	      if(binding[bindings[comp]] == null || bindings[bindings[comp]] === value) {
+	      if(binding[bindings[comp]] == null || binding[bindings[comp]] === value) {
 		  binding[bindings[comp]] = value;
 	      } else {
 		  duplicated = true;
@@ -806,6 +820,43 @@ QueryPlanAsync.leftOuterJoinBindings = function(bindingsa, bindingsb) {
     return result;
 };
 
+/**
+ * Anti-join used to evaluate MINUS. A solution in bindingsa is removed
+ * if it is compatible with some solution in bindingsb sharing at least
+ * one bound variable with it.
+ */
+QueryPlanAsync.minusBindings = function(bindingsa, bindingsb) {
+    var result = [];
+
+    for(var i=0; i< bindingsa.length; i++) {
+        var bindinga = bindingsa[i];
+        var removed = false;
+        for(var j=0; j<bindingsb.length; j++) {
+            var bindingb = bindingsb[j];
+            if(QueryPlanAsync.sharedBoundVariables(bindinga, bindingb) &&
+               QueryPlanAsync.areCompatibleBindings(bindinga, bindingb)) {
+                removed = true;
+                break;
+            }
+        }
+        if(removed === false) {
+            result.push(bindinga);
+        }
+    }
+
+    return result;
+};
+
+QueryPlanAsync.sharedBoundVariables = function(bindingsa, bindingsb) {
+    for(var variable in bindingsa) {
+        if(bindingsa[variable] != null && bindingsb[variable] != null) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
 QueryPlanAsync.crossProductBindings = function(bindingsa, bindingsb) {
     var result = [];
 
@@ -208,7 +208,7 @@ QueryPlanDPSize.executeBushyTree = function(treeNode, dataset, queryEngine, env)
         if(resultsLeft!=null) {
             var resultsRight = QueryPlanDPSize.executeBushyTree(treeNode.right, dataset, queryEngine, env);
             if(resultsRight!=null) {
-                return QueryPlanDPSize.joinBindings2(treeNode.join, resultsLeft, resultsRight);
+                return QueryPlanDPSize.joinBindings2(treeNode.join, resultsLeft, resultsRight, env.control);
             } else {
                 return null;
             }
@@ -217,7 +217,12 @@ QueryPlanDPSize.executeBushyTree = function(treeNode, dataset, queryEngine, env)
 };
 
 
-QueryPlanDPSize.executeAndBGPsDPSize = function(allBgps, dataset, queryEngine, env) {
+/**
+ * Builds the bushy join trees with the lowest estimated cost for the
+ * groups of connected patterns in a BGP. The results of the trees
+ * are combined using cross products.
+ */
+QueryPlanDPSize.buildBushyTrees = function(allBgps, queryEngine, env) {
     var groups = QueryPlanDPSize.executeAndBGPsGroups(allBgps);
     var groupResults = [];
     for(var g=0; g<groups.length; g++) {
@@ -317,6 +322,11 @@ QueryPlanDPSize.executeAndBGPsDPSize = function(allBgps, dataset, queryEngine, e
         groupResults.push(maxPlan);
     }
 
+    return groupResults;
+};
+
+QueryPlanDPSize.executeAndBGPsDPSize = function(allBgps, dataset, queryEngine, env) {
+    var groupResults = QueryPlanDPSize.buildBushyTrees(allBgps, queryEngine, env);
 
     // now execute the Bushy trees and perform
     // cross products between groups
@@ -329,7 +339,7 @@ QueryPlanDPSize.executeAndBGPsDPSize = function(allBgps, dataset, queryEngine, e
         if(acum == null) {
             acum = result;
         } else {
-            acum = QueryPlanDPSize.crossProductBindings(acum, result);
+            acum = QueryPlanDPSize.crossProductBindings(acum, result, env.control);
         }
     };
 
@@ -478,7 +488,11 @@ QueryPlanDPSize.mergeBindings = function(bindingsa, bindingsb) {
     return merged;
 };
 
-QueryPlanDPSize.joinBindings2 = function(bindingVars, bindingsa, bindingsb) {
+/**
+ * The optional control handle interrupts the join when the request
+ * times out, is cancelled or builds too many bindings.
+ */
+QueryPlanDPSize.joinBindings2 = function(bindingVars, bindingsa, bindingsb, control) {
     var acum = {};
     var bindings, variable, variableValue, values, tmp;
     var joined = [];
@@ -502,6 +516,9 @@ QueryPlanDPSize.joinBindings2 = function(bindingVars, bindingsa, bindingsb) {
     }
 
     for(var i=0; i<bindingsb.length; i++) {
+        if(control != null) {
+            control.check(joined.length);
+        }
         bindings = bindingsb[i];
         tmp = acum;
         for(var j=0; j<bindingVars.length; j++) {
@@ -523,10 +540,13 @@ QueryPlanDPSize.joinBindings2 = function(bindingVars, bindingsa, bindingsb) {
     return joined;
 };
 
-QueryPlanDPSize.joinBindings = function(bindingsa, bindingsb) {
+QueryPlanDPSize.joinBindings = function(bindingsa, bindingsb, control) {
     var result = [];
 
     for(var i=0; i< bindingsa.length; i++) {
+        if(control != null) {
+            control.check(result.length);
+        }
         var bindinga = bindingsa[i];
         for(var j=0; j<bindingsb.length; j++) {
             var bindingb = bindingsb[j];
@@ -574,7 +594,7 @@ QueryPlanDPSize.augmentMissingBindings = function(bindinga, bindingb) {
   };
 */
 
-QueryPlanDPSize.leftOuterJoinBindings = function(bindingsa, bindingsb) {
+QueryPlanDPSize.leftOuterJoinBindings = function(bindingsa, bindingsb, control) {
     var result = [];
     // strict was being passes ad an argument
     //var compatibleFunction = QueryPlanDPSize.areCompatibleBindings;
@@ -582,6 +602,9 @@ QueryPlanDPSize.leftOuterJoinBindings = function(bindingsa, bindingsb) {
     // 	compatibleFunction = QueryPlanDPSize.areCompatibleBindingsStrict;
 
     for(var i=0; i< bindingsa.length; i++) {
+        if(control != null) {
+            control.check(result.length);
+        }
         var bindinga = bindingsa[i];
         var matched = false;
         for(var j=0; j<bindingsb.length; j++) {
@@ -603,10 +626,54 @@ QueryPlanDPSize.leftOuterJoinBindings = function(bindingsa, bindingsb) {
     return result;
 };
 
-QueryPlanDPSize.crossProductBindings = function(bindingsa, bindingsb) {
+/**
+ * Anti-join used to evaluate MINUS. A solution in bindingsa is removed
+ * if it is compatible with some solution in bindingsb sharing at least
+ * one bound variable with it.
+ */
+QueryPlanDPSize.minusBindings = function(bindingsa, bindingsb) {
+    var result = [];
+
+    for(var i=0; i< bindingsa.length; i++) {
+        var bindinga = bindingsa[i];
+        var removed = false;
+        for(var j=0; j<bindingsb.length; j++) {
+            var bindingb = bindingsb[j];
+            if(QueryPlanDPSize.sharedBoundVariables(bindinga, bindingb) &&
+               QueryPlanDPSize.areCompatibleBindings(bindinga, bindingb)) {
+                removed = true;
+                break;
+            }
+        }
+        if(removed === false) {
+            result.push(bindinga);
+        }
+    }
+
+    return result;
+};
+
+QueryPlanDPSize.sharedBoundVariables = function(bindingsa, bindingsb) {
+    for(var variable in bindingsa) {
+        if(bindingsa[variable] != null && bindingsb[variable] != null) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+QueryPlanDPSize.crossProductBindings = function(bindingsa, bindingsb, control) {
     var result = [];
 
+    if(control != null) {
+        // the size of the product is known before building it
+        control.check(bindingsa.length * bindingsb.length);
+    }
     for(var i=0; i< bindingsa.length; i++) {
+        if(control != null) {
+            control.check(result.length);
+        }
         var bindinga = bindingsa[i];
         for(var j=0; j<bindingsb.length; j++) {
             var bindingb = bindingsb[j];
@@ -0,0 +1,25 @@
+var Hashes = require("./../src/hashes").Hashes;
+
+exports.testDigests = function(test) {
+    test.ok(Hashes.md5("") === "d41d8cd98f00b204e9800998ecf8427e");
+    test.ok(Hashes.md5("abc") === "900150983cd24fb0d6963f7d28e17f72");
+    test.ok(Hashes.sha1("abc") === "a9993e364706816aba3e25717850c26c9cd0d89d");
+    test.ok(Hashes.sha256("abc") === "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+    test.ok(Hashes.sha384("abc") === "cb00753f45a35e8bb5a03d699ac65007272c32ab0eded1631a8b605a43ff5bed8086072ba1e7cc2358baeca134c825a7");
+    test.ok(Hashes.sha512("abc") === "ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f");
+    test.done();
+};
+
+exports.testMultipleBlocks = function(test) {
+    var message = "abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq";
+    test.ok(Hashes.sha1(message) === "84983e441c3bd26ebaae4aa1f95129e5e54670f1");
+    test.ok(Hashes.sha256(message) === "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1");
+    test.done();
+};
+
+exports.testUTF8 = function(test) {
+    test.ok(Hashes.md5("abc@example.com") === "b28d5fe8da784e36235a487c03a47353");
+    // non ASCII characters are hashed using their UTF-8 encoding
+    test.ok(Hashes.md5("\u00e9") === "66ddcd97cfdeabb2f6fb8a999b4bc76f");
+    test.done();
+};
@@ -1570,6 +1570,61 @@ if(MongodbQueryEngine.mongodb === true) {
         });
     };
 
+    exports.testGroupConcat1 = function(test) {
+        var engine = new MongodbQueryEngine.MongodbQueryEngine();
+        engine.readConfiguration(function(){
+        engine.clean(function(){
+            var query = "PREFIX : <http://example/>\
+                         INSERT DATA {\
+                         :s1 :p 'a' .\
+                         :s1 :q 'b' .\
+                         :s1 :v 'b' .\
+                         :s2 :p 'c' }";
+
+            engine.execute(query, function(success, result){
+                engine.execute('PREFIX : <http://example/> SELECT ?s (GROUP_CONCAT(DISTINCT ?v ; SEPARATOR="|") AS ?values) (SAMPLE(?v) AS ?sample) {  ?s ?p ?v . } GROUP BY ?s ORDER BY ?s', function(success, results){
+                    test.ok(success);
+                    test.ok(results.length===2);
+                    test.ok(results[0].values.value.split("|").sort().join("|")==='a|b');
+                    test.ok(results[1].values.value==='c');
+                    test.ok(results[1].sample.value==='c');
+                    engine.close(function() {
+			test.done(); 
+		    });
+
+                });
+            });
+        });
+        });
+    };
+
+    exports.testGroupExpressions1 = function(test) {
+        var engine = new MongodbQueryEngine.MongodbQueryEngine();
+        engine.readConfiguration(function(){
+        engine.clean(function(){
+            var query = "PREFIX : <http://example/>\
+                         INSERT DATA {\
+                         :s1 :p 2 .\
+                         :s1 :q 3 .\
+                         :s1 :v 3 .\
+                         :s2 :p 1 }";
+
+            engine.execute(query, function(success, result){
+                engine.execute('PREFIX : <http://example/> SELECT ?s (SUM(DISTINCT ?v * 2) + COUNT(*) AS ?total) {  ?s ?p ?v . } GROUP BY ?s ORDER BY ?s', function(success, results){
+                    test.ok(success);
+                    test.ok(results.length===2);
+                    test.ok(results[0].total.value==='13');
+                    test.ok(results[1].total.value==='3');
+                    engine.close(function() {
+			test.done(); 
+		    });
+
+                });
+            });
+        });
+        });
+    };
+
    exports.testPath1 = function(test) {
        var engine = new MongodbQueryEngine.MongodbQueryEngine();
        engine.readConfiguration(function(){
@@ -1724,7 +1779,8 @@ if(MongodbQueryEngine.mongodb === true) {
     
 	       engine.execute(query, function(success, result){
 		   engine.execute('PREFIX : <http://example/> SELECT ?data {  :list :elems/:rest* ?data }', function(success, results){
-		       test.ok(results.length === 4);
+		       // :s1 is reached by the zero length path
+		       test.ok(results.length === 5);
 		       engine.close(function() {
 			   test.done(); 
 		       });
@@ -1868,6 +1924,42 @@ if(MongodbQueryEngine.mongodb === true) {
        });
    };
 
+   exports.testPathComplete = function(test) {
+       var engine = new MongodbQueryEngine.MongodbQueryEngine();
+       engine.readConfiguration(function(){
+           engine.clean(function(){
+               var prefix = "PREFIX : <http://example/> ";
+               var query = prefix + "INSERT DATA { :a :knows :b . :b :knows :c . :c :knows :a . :a :name \"A\" . :b :likes :d }";
+
+               var values = function(results, variable) {
+                   var acum = [];
+                   for(var i=0; i<results.length; i++) {
+                       acum.push(results[i][variable].value);
+                   }
+                   return acum.sort().join(" ");
+               };
+
+               engine.execute(query, function(success, result){
+                   engine.execute(prefix + "SELECT ?y { :b :knows|^:knows ?y }", function(success, results){
+                       test.ok(values(results, 'y') === 'http://example/a http://example/c');
+                       engine.execute(prefix + "SELECT ?y { :c !(:name|^:likes) ?y }", function(success, results){
+                           test.ok(values(results, 'y') === 'http://example/a http://example/b');
+                           engine.execute(prefix + "SELECT ?y { :a :knows{2,3} ?y }", function(success, results){
+                               test.ok(values(results, 'y') === 'http://example/a http://example/c');
+                               engine.execute(prefix + "SELECT ?x { ?x :knows+ ?x }", function(success, results){
+                                   test.ok(values(results, 'x') === 'http://example/a http://example/b http://example/c');
+                                   engine.close(function() {
+                                       test.done();
+                                   });
+                               });
+                           });
+                       });
+                   });
+               });
+           });
+       });
+   };
+
    exports.testDisjointUnion = function(test) {
        var engine = new MongodbQueryEngine.MongodbQueryEngine();
        engine.readConfiguration(function(){
@@ -1908,4 +2000,38 @@ if(MongodbQueryEngine.mongodb === true) {
    };
 
 
+    exports.testService = function(test) {
+        var engine = new MongodbQueryEngine.MongodbQueryEngine();
+        engine.rdfLoader.setNetworkTransport({load: function(uri, accept, callback) {
+            if(uri.indexOf("http://remote.org/sparql?query=") === 0) {
+                callback(true, {headers: {'content-type': 'application/sparql-results+json'},
+                                data: JSON.stringify({head: {vars: ['s','age']},
+                                                      results: {bindings: [{s: {type: 'uri', value: 'http://example.org/a'},
+                                                                            age: {type: 'literal', value: '30', datatype: 'http://www.w3.org/2001/XMLSchema#integer'}}]}})});
+            } else {
+                callback(false, 404);
+            }
+        }});
+        engine.readConfiguration(function(){
+        engine.clean(function(){
+            engine.execute('PREFIX ex: <http://example.org/> INSERT DATA { ex:a ex:name "A" . ex:b ex:name "B" }', function(success, result){
+                engine.execute('PREFIX ex: <http://example.org/> SELECT ?n ?age { ?s ex:name ?n SERVICE <http://remote.org/sparql> { ?s ex:age ?age } }', function(success, results){
+                    test.ok(success);
+                    test.ok(results.length === 1);
+                    test.ok(results[0].n.value === 'A');
+                    test.ok(results[0].age.value === '30');
+
+                    engine.execute('PREFIX ex: <http://example.org/> SELECT ?n ?age { ?s ex:name ?n SERVICE SILENT <http://missing.org/sparql> { ?s ex:age ?age } }', function(success, results){
+                        test.ok(success);
+                        test.ok(results.length === 2);
+                        engine.close(function() {
+                            test.done();
+                        });
+                    });
+                });
+            });
+        });
+        });
+    };
+
 }
@@ -1,6 +1,8 @@
 var QueryEngine = require("./../src/query_engine").QueryEngine;
 var QuadBackend = require("./../../js-rdf-persistence/src/quad_backend").QuadBackend;
 var Lexicon = require("./../../js-rdf-persistence/src/lexicon").Lexicon;
+var ExecutionControl = require("./../src/execution_control").ExecutionControl;
+var QueryExplain = require("./../src/query_explain").QueryExplain;
 //var Lexicon = require("./../../js-rdf-persistence/src/web_local_storage_lexicon").WebLocalStorageLexicon;
 
 if(QueryEngine.mongodb == null) {
@@ -633,22 +635,7 @@ if(QueryEngine.mongodb == null) {
                            engine.execute('SELECT * { ?s ?p ?o }', function(success, result){
                                test.ok(success === true );
                                test.ok(result.length === 0);
-                               var acum = 0;
-                               for(var p in engine.lexicon.uriToOID) {
-                                   acum++;
-                               }
-                               for(var p in engine.lexicon.OIDToUri) {
-                                   acum++;
-                               }
-    
-                               for(var p in engine.lexicon.literalToOID) {
-                                   acum++;
-                               }
-    
-                               for(var p in engine.lexicon.OIDToLiteral) {
-                                   acum++;
-                               }
-                               test.ok(acum===0);
+                               test.ok(engine.lexicon.termCount===0);
                                test.done(); 
                            });
                        });
@@ -701,23 +688,7 @@ if(QueryEngine.mongodb == null) {
                                        test.ok(result[0]['o'].value  === 'http://test.com/example');
     
     
-                                           var acum = 0;
-                                           for(var p in engine.lexicon.uriToOID) {
-                                               acum++;
-                                           }
-                                           for(var p in engine.lexicon.OIDToUri) {
-                                               acum++;
-                                           }
-                                            
-                                           for(var p in engine.lexicon.literalToOID) {
-                                               acum++;
-                                           }
-                                            
-                                           for(var p in engine.lexicon.OIDToLiteral) {
-                                               acum++;
-                                           }
-    
-                                           test.ok(acum===8);
+                                           test.ok(engine.lexicon.termCount===4);
                                            test.done(); 
                                        });
                                    });
@@ -730,6 +701,29 @@ if(QueryEngine.mongodb == null) {
        });
    };
     
+   exports.testInsertionDeletionReferences = function(test){
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+               engine.execute('INSERT DATA { <http://example/book3> <http://example.com/vocab#title> "title" . _:b <http://example.com/vocab#title> "other" . _:b <http://example.com/vocab#author> <http://example/book3> }', function(result){
+                   test.ok(result===true);
+                   // inserting the same triple again does not add references
+                   engine.execute('INSERT DATA { <http://example/book3> <http://example.com/vocab#title> "title" }', function(result){
+                       test.ok(result===true);
+                       test.ok(engine.lexicon.resolveLiteralCost('"title"') === 0);
+                       engine.execute('DELETE WHERE { ?s ?p ?o }', function(result){
+                           test.ok(result===true);
+                           test.ok(engine.lexicon.termCount===0);
+                           test.ok(engine.lexicon.freeOIDs.length===engine.lexicon.oidCounter-1);
+                           test.done();
+                       });
+                   });
+               });
+           });
+       });
+   };
+    
    exports.testModify1 = function(test){
        new Lexicon.Lexicon(function(lexicon){
            new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
@@ -1399,6 +1393,136 @@ if(QueryEngine.mongodb == null) {
        });
    };
     
+   exports.testDeleteWhereGraph = function(test){
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});      
+               engine.execute('PREFIX : <http://example/>\
+                               INSERT DATA { :a :p 1 . GRAPH :g1 { :a :p 1 . :b :p 2 } GRAPH :g2 { :a :p 1 } }', function(success, result){
+                   engine.execute('PREFIX : <http://example/> DELETE WHERE { GRAPH :g1 { ?s :p 1 } }', function(success, result){
+                       test.ok(success === true);
+                       engine.execute('PREFIX : <http://example/> SELECT ?g ?s FROM NAMED :g1 FROM NAMED :g2 { GRAPH ?g { ?s ?p ?o } } ORDER BY ?g', function(success, results){
+                           test.ok(results.length === 2);
+                           test.ok(results[0].g.value === 'http://example/g1');
+                           test.ok(results[0].s.value === 'http://example/b');
+                           test.ok(results[1].g.value === 'http://example/g2');
+                           engine.execute('SELECT * { ?s ?p ?o }', function(success, results){
+                               test.ok(results.length === 1);
+                               test.done();
+                           });
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testAddMoveCopy = function(test){
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});      
+               var graphContents = function(graph, callback) {
+                   engine.execute('SELECT ?s ?o FROM <'+graph+'> { ?s ?p ?o } ORDER BY ?o', function(success, results){
+                       var acum = [];
+                       for(var i=0; i<results.length; i++) {
+                           acum.push(results[i].o.value);
+                       }
+                       callback(acum.join(","));
+                   });
+               };
+               engine.execute('PREFIX : <http://example/>\
+                               INSERT DATA { :a :p 1 . GRAPH :g1 { :b :p 2 } GRAPH :g2 { :c :p 3 } }', function(success, result){
+                   engine.execute('PREFIX : <http://example/> ADD :g1 TO :g2', function(success, result){
+                       test.ok(success === true);
+                       graphContents('http://example/g2', function(contents){
+                           test.ok(contents === '2,3');
+                           engine.execute('PREFIX : <http://example/> COPY DEFAULT TO :g1 ; MOVE GRAPH :g2 TO :g3', function(success, result){
+                               test.ok(success === true);
+                               graphContents('http://example/g1', function(contents){
+                                   test.ok(contents === '1');
+                                   graphContents('http://example/g2', function(contents){
+                                       test.ok(contents === '');
+                                       graphContents('http://example/g3', function(contents){
+                                           test.ok(contents === '2,3');
+                                           engine.execute('PREFIX : <http://example/> MOVE :missing TO :g1', function(success, result){
+                                               test.ok(success === false);
+                                               engine.execute('PREFIX : <http://example/> COPY SILENT :missing TO :g1', function(success, result){
+                                                   test.ok(success === true);
+                                                   test.done();
+                                               });
+                                           });
+                                       });
+                                   });
+                               });
+                           });
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testModifyWithUsing = function(test){
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});      
+               engine.execute('PREFIX : <http://example/>\
+                               INSERT DATA { GRAPH :g1 { :a :p 1 } GRAPH :g2 { :b :p 2 } }', function(success, result){
+                   engine.execute('PREFIX : <http://example/> WITH :g1 INSERT { ?s :q ?o } USING :g2 WHERE { ?s :p ?o }', function(success, result){
+                       test.ok(success === true);
+                       engine.execute('PREFIX : <http://example/> INSERT { GRAPH :g3 { ?s :r ?g } } USING NAMED :g1 WHERE { GRAPH ?g { ?s ?p ?o } }', function(success, result){
+                           test.ok(success === true);
+                           engine.execute('PREFIX : <http://example/> SELECT ?g ?s ?p FROM NAMED :g1 FROM NAMED :g3 { GRAPH ?g { ?s ?p ?o } } ORDER BY ?g ?s ?p', function(success, results){
+                               test.ok(results.length === 4);
+                               test.ok(results[0].s.value === 'http://example/a');
+                               test.ok(results[1].s.value === 'http://example/b');
+                               test.ok(results[1].p.value === 'http://example/q');
+                               test.ok(results[2].g.value === 'http://example/g3');
+                               test.ok(results[2].s.value === 'http://example/a');
+                               test.ok(results[3].s.value === 'http://example/b');
+                               test.done();
+                           });
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testAtomicUpdateRequest = function(test){
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});      
+               engine.execute('PREFIX : <http://example/> INSERT DATA { :a :p 1 }', function(success, result){
+                   engine.execute('PREFIX : <http://example/>\
+                                   DELETE DATA { :a :p 1 } ;\
+                                   INSERT DATA { :a :p 2 . :b :p 3 } ;\
+                                   MOVE :missing TO :g1', function(success, result){
+                       test.ok(success === false);
+                       engine.execute('SELECT ?o { ?s ?p ?o }', function(success, results){
+                           test.ok(results.length === 1);
+                           test.ok(results[0].o.value === '1');
+                           engine.execute('PREFIX : <http://example/>\
+                                           DELETE DATA { :a :p 1 } ;\
+                                           INSERT DATA { :a :p 2 } ;', function(success, result){
+                               test.ok(success === true);
+                               engine.execute('SELECT ?o { ?s ?p ?o }', function(success, results){
+                                   test.ok(results.length === 1);
+                                   test.ok(results[0].o.value === '2');
+                                   test.done();
+                               });
+                           });
+                       });
+                   });
+               });
+           });
+       });
+   };
+    
    exports.testGroupMax1 = function(test) {
        new Lexicon.Lexicon(function(lexicon){
            new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
@@ -1608,6 +1732,96 @@ if(QueryEngine.mongodb == null) {
        });
    };
 
+   exports.testGroupConcat1 = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});      
+               var query = "PREFIX : <http://example/>\
+                            INSERT DATA {\
+                            :s1 :p 'a' .\
+                            :s1 :q 'b' .\
+                            :s1 :v 'b' .\
+                            :s2 :p 'c' }";
+    
+               engine.execute(query, function(success, result){
+                   engine.execute('PREFIX : <http://example/> SELECT ?s (GROUP_CONCAT(DISTINCT ?v ; SEPARATOR="|") AS ?values) (SAMPLE(?v) AS ?sample) {  ?s ?p ?v . } GROUP BY ?s ORDER BY ?s', function(success, results){
+                       test.ok(success);
+                       test.ok(results.length===2);
+                       test.ok(results[0].values.value.split("|").sort().join("|")==='a|b');
+                       test.ok(results[0].sample.value==='a' || results[0].sample.value==='b');
+                       test.ok(results[1].values.value==='c');
+                       test.ok(results[1].sample.value==='c');
+                       engine.execute('PREFIX : <http://example/> SELECT (GROUP_CONCAT(?v) AS ?values) {  :s2 ?p ?v . }', function(success, results){
+                           test.ok(success);
+                           test.ok(results[0].values.value==='c');
+                           test.done();
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testGroupExpressions1 = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});      
+               var query = "PREFIX : <http://example/>\
+                            INSERT DATA {\
+                            :s1 :p 2 .\
+                            :s1 :q 3 .\
+                            :s1 :v 3 .\
+                            :s2 :p 1 }";
+    
+               engine.execute(query, function(success, result){
+                   engine.execute('PREFIX : <http://example/> SELECT ?s (SUM(DISTINCT ?v * 2) + COUNT(*) AS ?total) (MAX(DISTINCT ?v) AS ?max) {  ?s ?p ?v . } GROUP BY ?s ORDER BY ?s', function(success, results){
+                       test.ok(success);
+                       test.ok(results.length===2);
+                       test.ok(results[0].total.value==='13');
+                       test.ok(results[0].max.value==='3');
+                       test.ok(results[1].total.value==='3');
+                       engine.execute('PREFIX : <http://example/> SELECT (COUNT(*) AS ?count) (SUM(?v) AS ?sum) {  ?s :missing ?v . }', function(success, results){
+                           test.ok(success);
+                           test.ok(results.length===1);
+                           test.ok(results[0].count.value==='0');
+                           test.ok(results[0].sum.value==='0');
+                           test.done();
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testGroupAvgDecimal = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});      
+               var query = "PREFIX : <http://example/>\
+                            INSERT DATA {\
+                            :s1 :p 1 .\
+                            :s1 :q 2 }";
+    
+               engine.execute(query, function(success, result){
+                   // the average of integers is a decimal
+                   engine.execute('PREFIX : <http://example/> SELECT (AVG(?v) AS ?avg) (AVG(?v) * 4 AS ?scaled) (7 / 2 AS ?div) {  ?s ?p ?v . }', function(success, results){
+                       test.ok(success);
+                       test.ok(results.length===1);
+                       test.ok(results[0].avg.value==='1.5');
+                       test.ok(results[0].avg.type==='http://www.w3.org/2001/XMLSchema#decimal');
+                       test.ok(results[0].scaled.value==6);
+                       test.ok(results[0].div.value==3.5);
+                       test.ok(results[0].div.type==='http://www.w3.org/2001/XMLSchema#decimal');
+                       test.done();
+                   });
+               });
+           });
+       });
+   };
+
    exports.testPath1 = function(test) {
        new Lexicon.Lexicon(function(lexicon){
 	   new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
@@ -1744,7 +1958,8 @@ if(QueryEngine.mongodb == null) {
     
 	       engine.execute(query, function(success, result){
 		   engine.execute('PREFIX : <http://example/> SELECT ?data {  :list :elems/:rest* ?data }', function(success, results){
-		       test.ok(results.length === 4);
+		       // :s1 is reached by the zero length path
+		       test.ok(results.length === 5);
 		       test.done();
 		   });
 	       });
@@ -1882,6 +2097,59 @@ if(QueryEngine.mongodb == null) {
        });
    };
 
+   exports.testPathComplete = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+               var prefix = "PREFIX : <http://example/> ";
+               var query = prefix + "INSERT DATA { :a :knows :b . :b :knows :c . :c :knows :a . :a :name \"A\" . :b :likes :d }";
+
+               var values = function(results, variable) {
+                   var acum = [];
+                   for(var i=0; i<results.length; i++) {
+                       acum.push(results[i][variable].value);
+                   }
+                   return acum.sort().join(" ");
+               };
+
+               engine.execute(query, function(success, result){
+                   engine.execute(prefix + "SELECT ?y { :a ^:knows ?y }", function(success, results){
+                       test.ok(success);
+                       test.ok(values(results, 'y') === 'http://example/c');
+                       engine.execute(prefix + "SELECT ?y { :b :knows|:likes ?y }", function(success, results){
+                           test.ok(values(results, 'y') === 'http://example/c http://example/d');
+                           engine.execute(prefix + "SELECT ?o { :a !:knows ?o }", function(success, results){
+                               test.ok(values(results, 'o') === 'A');
+                               engine.execute(prefix + "SELECT ?y { :c !(:name|^:likes) ?y }", function(success, results){
+                                   test.ok(values(results, 'y') === 'http://example/a http://example/b');
+                                   engine.execute(prefix + "SELECT ?y { :a :knows? ?y }", function(success, results){
+                                       test.ok(values(results, 'y') === 'http://example/a http://example/b');
+                                       engine.execute(prefix + "SELECT ?y { :a :knows{2,3} ?y }", function(success, results){
+                                           test.ok(values(results, 'y') === 'http://example/a http://example/c');
+                                           engine.execute(prefix + "SELECT ?x { :d ^(:knows/:likes) ?x }", function(success, results){
+                                               test.ok(values(results, 'x') === 'http://example/a');
+                                               // the cycle :a -> :b -> :c -> :a is traversed only once
+                                               engine.execute(prefix + "SELECT ?x { ?x :knows+ ?x }", function(success, results){
+                                                   test.ok(values(results, 'x') === 'http://example/a http://example/b http://example/c');
+                                                   engine.execute(prefix + "SELECT (COUNT(*) AS ?c) { ?x :knows* ?y }", function(success, results){
+                                                       // 9 pairs in the cycle plus :d and "A" reached by the zero length path
+                                                       test.ok(results[0].c.value === '11');
+                                                       test.done();
+                                                   });
+                                               });
+                                           });
+                                       });
+                                   });
+                               });
+                           });
+                       });
+                   });
+               });
+           });
+       });
+   };
+
    exports.testDisjointUnion = function(test) {
        new Lexicon.Lexicon(function(lexicon){
            new QuadBackend.QuadBackend({treeOrder: 15}, function(backend){
@@ -1919,5 +2187,526 @@ if(QueryEngine.mongodb == null) {
        });
    };
 
+   exports.testDescribeCBD = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+
+               var query = 'PREFIX ex: <http://example.org/> \
+                            INSERT DATA { ex:a ex:p ex:b . ex:a ex:q _:x . _:x ex:r _:y . _:y ex:s "lit" . ex:c ex:t ex:a . ex:b ex:p ex:c }';
+
+               engine.execute(query, function(success, result){
+                   engine.execute('DESCRIBE <http://example.org/a>', function(success, graph){
+                       test.ok(success);
+                       test.ok(graph.toArray().length === 4);
+                       var literals = graph.filter(function(t){ return t.object.interfaceName === 'Literal'; });
+                       test.ok(literals.length === 1);
+                       test.ok(literals.toArray()[0].object.valueOf() === 'lit');
+                       test.done();
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testDescribeSCBD = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon,
+                                                         describeStrategy: 'scbd'});
+
+               var query = 'PREFIX ex: <http://example.org/> \
+                            INSERT DATA { ex:a ex:p ex:b . ex:c ex:t ex:a . _:z ex:u ex:a . _:w ex:v _:z . ex:b ex:p ex:c }';
+
+               engine.execute(query, function(success, result){
+                   engine.execute('DESCRIBE <http://example.org/a>', function(success, graph){
+                       test.ok(success);
+                       test.ok(graph.toArray().length === 4);
+                       test.done();
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testDescribeWhere = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+               engine.setDescribeStrategy('simple');
+
+               var query = 'PREFIX ex: <http://example.org/> \
+                            INSERT DATA { ex:a ex:p ex:b . ex:a ex:q _:x . _:x ex:r "lit" . ex:b ex:p ex:c . ex:b ex:q "b" }';
+
+               engine.execute(query, function(success, result){
+                   engine.execute('PREFIX ex: <http://example.org/> DESCRIBE ?o WHERE { ex:a ex:p ?o }', function(success, graph){
+                       test.ok(success);
+                       test.ok(graph.toArray().length === 2);
+                       graph.forEach(function(triple) {
+                           test.ok(triple.subject.valueOf() === 'http://example.org/b');
+                       });
+                       engine.execute('PREFIX ex: <http://example.org/> DESCRIBE * WHERE { ex:a ex:p ?o }', function(success, graph){
+                           test.ok(success);
+                           test.ok(graph.toArray().length === 2);
+                           test.done();
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testDescribeCustomStrategy = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+               engine.setDescribeStrategy(function(oid, context, callback) {
+                   context.match({object: oid}, callback);
+               });
+
+               var query = 'PREFIX ex: <http://example.org/> \
+                            INSERT DATA { ex:a ex:p ex:b . ex:c ex:p ex:b . ex:b ex:p ex:c }';
+
+               engine.execute(query, function(success, result){
+                   engine.execute('DESCRIBE <http://example.org/b>', function(success, graph){
+                       test.ok(success);
+                       test.ok(graph.toArray().length === 2);
+                       graph.forEach(function(triple) {
+                           test.ok(triple.object.valueOf() === 'http://example.org/b');
+                       });
+                       engine.setDescribeStrategy('unknown');
+                       engine.execute('DESCRIBE <http://example.org/b>', function(success, result){
+                           test.ok(success === false);
+                           test.done();
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+
+   exports.testBind = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+
+               var query = 'PREFIX ex: <http://example.org/> \
+                            INSERT DATA { ex:a ex:price 10 . ex:b ex:price 20 . ex:c ex:discounted 30 }';
+
+               engine.execute(query, function(success, result){
+                   engine.execute('PREFIX ex: <http://example.org/> SELECT ?s ?total { ?s ex:price ?p BIND(?p * 2 AS ?total) } ORDER BY ?total', function(success, results){
+                       test.ok(success);
+                       test.ok(results.length === 2);
+                       test.ok(results[0].s.value === 'http://example.org/a');
+                       test.ok(parseInt(results[0].total.value) === 20);
+                       test.ok(parseInt(results[1].total.value) === 40);
+
+                       engine.execute('PREFIX ex: <http://example.org/> SELECT ?s { BIND(30 AS ?v) ?s ex:discounted ?v }', function(success, results){
+                           test.ok(success);
+                           test.ok(results.length === 1);
+                           test.ok(results[0].s.value === 'http://example.org/c');
+
+                           engine.execute('PREFIX ex: <http://example.org/> SELECT ?s { ?s ex:price ?p BIND(1 AS ?p) }', function(success, results){
+                               test.ok(success === false);
+                               test.done();
+                           });
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testValues = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+
+               var query = 'PREFIX ex: <http://example.org/> \
+                            INSERT DATA { ex:a ex:name "a" . ex:b ex:name "b" . ex:c ex:name "c" }';
+
+               engine.execute(query, function(success, result){
+                   engine.execute('PREFIX ex: <http://example.org/> SELECT ?n { VALUES ?s { ex:a ex:c } ?s ex:name ?n } ORDER BY ?n', function(success, results){
+                       test.ok(success);
+                       test.ok(results.length === 2);
+                       test.ok(results[0].n.value === 'a');
+                       test.ok(results[1].n.value === 'c');
+
+                       engine.execute('PREFIX ex: <http://example.org/> SELECT ?s ?n { ?s ex:name ?n } VALUES (?s ?n) { (ex:a UNDEF) (UNDEF "b") (ex:c "x") }', function(success, results){
+                           test.ok(success);
+                           test.ok(results.length === 2);
+                           var found = {};
+                           for(var i=0; i<results.length; i++) {
+                               found[results[i].s.value] = results[i].n.value;
+                           }
+                           test.ok(found['http://example.org/a'] === 'a');
+                           test.ok(found['http://example.org/b'] === 'b');
+                           test.done();
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testSubSelect = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+
+               var query = 'PREFIX ex: <http://example.org/> \
+                            INSERT DATA { ex:a ex:knows ex:b . ex:a ex:knows ex:c . ex:b ex:knows ex:c . \
+                                          ex:a ex:name "A" . ex:b ex:name "B" . ex:c ex:name "C" }';
+
+               engine.execute(query, function(success, result){
+                   engine.execute('PREFIX ex: <http://example.org/> SELECT ?n ?c { ?s ex:name ?n { SELECT ?s (COUNT(?o) AS ?c) { ?s ex:knows ?o } GROUP BY ?s } } ORDER BY ?n', function(success, results){
+                       test.ok(success);
+                       test.ok(results.length === 2);
+                       test.ok(results[0].n.value === 'A');
+                       test.ok(results[0].c.value == 2);
+                       test.ok(results[1].n.value === 'B');
+                       test.ok(results[1].c.value == 1);
+
+                       engine.execute('PREFIX ex: <http://example.org/> SELECT ?n { ?s ex:name ?n { SELECT ?s { ?s ex:name ?x } ORDER BY DESC(?x) LIMIT 2 } } ORDER BY ?n', function(success, results){
+                           test.ok(success);
+                           test.ok(results.length === 2);
+                           test.ok(results[0].n.value === 'B');
+                           test.ok(results[1].n.value === 'C');
+
+                           // variables not projected by the sub-query are not joined
+                           engine.execute('PREFIX ex: <http://example.org/> SELECT ?s ?o { ?s ex:name ?n { SELECT ?o { ?x ex:knows ?o } } }', function(success, results){
+                               test.ok(success);
+                               test.ok(results.length === 9);
+                               test.done();
+                           });
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+   // network transport answering the queries sent to SERVICE endpoints with
+   // the results of local engines, in the SPARQL JSON or XML results format
+   var serviceTransport = function(endpoints) {
+       return {load: function(uri, accept, callback) {
+           var parts = uri.split("?query=");
+           var endpoint = endpoints[parts[0]];
+           if(endpoint == null) {
+               return callback(false, 404);
+           }
+           endpoint.engine.execute(decodeURIComponent(parts[1]), function(success, results) {
+               if(!success) {
+                   return callback(false, 400);
+               }
+               var json = [];
+               var xml = '<?xml version="1.0"?><sparql xmlns="http://www.w3.org/2005/sparql-results#"><head></head><results>';
+               for(var i=0; i<results.length; i++) {
+                   var binding = {};
+                   xml = xml + '<result>';
+                   for(var v in results[i]) {
+                       var term = results[i][v];
+                       xml = xml + '<binding name="'+v+'">';
+                       if(term.token === 'uri') {
+                           binding[v] = {type: 'uri', value: term.value};
+                           xml = xml + '<uri>'+term.value+'</uri>';
+                       } else if(term.token === 'blank') {
+                           binding[v] = {type: 'bnode', value: term.value.substring(2)};
+                           xml = xml + '<bnode>'+term.value.substring(2)+'</bnode>';
+                       } else {
+                           binding[v] = {type: 'literal', value: term.value, datatype: term.type, "xml:lang": term.lang};
+                           xml = xml + '<literal'+(term.type == null ? '' : ' datatype="'+term.type+'"')+
+                                       (term.lang == null ? '' : ' xml:lang="'+term.lang+'"')+'>'+term.value+'</literal>';
+                       }
+                       xml = xml + '</binding>';
+                   }
+                   xml = xml + '</result>';
+                   json.push(binding);
+               }
+               xml = xml + '</results></sparql>';
+
+               if(endpoint.format === 'xml') {
+                   callback(true, {headers: {'content-type': 'application/sparql-results+xml'}, data: xml});
+               } else {
+                   callback(true, {headers: {'content-type': 'application/sparql-results+json'},
+                                   data: JSON.stringify({head: {vars: []}, results: {bindings: json}})});
+               }
+           });
+       }};
+   };
+
+   exports.testService = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               new Lexicon.Lexicon(function(remoteLexicon){
+                   new QuadBackend.QuadBackend({treeOrder: 2}, function(remoteBackend){
+                       var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                                 lexicon: lexicon});
+                       var remote = new QueryEngine.QueryEngine({backend: remoteBackend,
+                                                                 lexicon: remoteLexicon});
+                       engine.rdfLoader.setNetworkTransport(serviceTransport({'http://remote.org/json': {engine: remote, format: 'json'},
+                                                                              'http://remote.org/xml': {engine: remote, format: 'xml'}}));
+
+                       remote.execute('PREFIX ex: <http://example.org/> INSERT DATA { ex:a ex:age 30 . ex:b ex:age 40 . ex:c ex:age 50 . ex:a ex:nick "al"@en }', function(success, result){
+                           engine.execute('PREFIX ex: <http://example.org/> INSERT DATA { ex:a ex:name "A" . ex:b ex:name "B" }', function(success, result){
+                               engine.execute('PREFIX ex: <http://example.org/> SELECT ?n ?age { ?s ex:name ?n SERVICE <http://remote.org/json> { ?s ex:age ?age FILTER(?age < 45) } } ORDER BY ?n', function(success, results){
+                                   test.ok(success);
+                                   test.ok(results.length === 2);
+                                   test.ok(results[0].n.value === 'A');
+                                   test.ok(results[0].age.value === '30');
+                                   test.ok(results[0].age.type === 'http://www.w3.org/2001/XMLSchema#integer');
+                                   test.ok(results[1].n.value === 'B');
+                                   test.ok(results[1].age.value === '40');
+
+                                   engine.execute('PREFIX ex: <http://example.org/> SELECT ?n ?nick { ?s ex:name ?n SERVICE <http://remote.org/xml> { ?s ex:nick ?nick } }', function(success, results){
+                                       test.ok(success);
+                                       test.ok(results.length === 1);
+                                       test.ok(results[0].n.value === 'A');
+                                       test.ok(results[0].nick.value === 'al');
+                                       test.ok(results[0].nick.lang === 'en');
+
+                                       engine.execute('PREFIX ex: <http://example.org/> INSERT { ?s ex:age ?age } WHERE { SERVICE <http://remote.org/json> { ?s ex:age ?age } }', function(success, result){
+                                           test.ok(success);
+                                           engine.execute('PREFIX ex: <http://example.org/> SELECT ?s { ?s ex:age ?age }', function(success, results){
+                                               test.ok(results.length === 3);
+                                               test.done();
+                                           });
+                                       });
+                                   });
+                               });
+                           });
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testServiceSilent = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+               engine.rdfLoader.setNetworkTransport(serviceTransport({}));
+
+               engine.execute('PREFIX ex: <http://example.org/> INSERT DATA { ex:a ex:name "A" . ex:b ex:name "B" }', function(success, result){
+                   engine.execute('PREFIX ex: <http://example.org/> SELECT ?n ?age { ?s ex:name ?n SERVICE <http://missing.org/sparql> { ?s ex:age ?age } }', function(success, results){
+                       test.ok(success === false);
+
+                       engine.execute('PREFIX ex: <http://example.org/> SELECT ?n ?age { ?s ex:name ?n SERVICE SILENT <http://missing.org/sparql> { ?s ex:age ?age } } ORDER BY ?n', function(success, results){
+                           test.ok(success);
+                           test.ok(results.length === 2);
+                           test.ok(results[0].n.value === 'A');
+                           test.ok(results[0].age == null);
+                           test.ok(results[1].n.value === 'B');
+                           test.done();
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+   exports.testServiceVariable = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+               new Lexicon.Lexicon(function(remoteLexicon){
+                   new QuadBackend.QuadBackend({treeOrder: 2}, function(remoteBackend){
+                       var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                                 lexicon: lexicon});
+                       var remote = new QueryEngine.QueryEngine({backend: remoteBackend,
+                                                                 lexicon: remoteLexicon});
+                       engine.rdfLoader.setNetworkTransport(serviceTransport({'http://remote.org/sparql': {engine: remote, format: 'json'}}));
+
+                       remote.execute('PREFIX ex: <http://example.org/> INSERT DATA { ex:a ex:age 30 }', function(success, result){
+                           engine.execute('PREFIX ex: <http://example.org/> INSERT DATA { ex:r1 ex:endpoint <http://remote.org/sparql> . ex:r2 ex:endpoint <http://missing.org/sparql> }', function(success, result){
+                               engine.execute('PREFIX ex: <http://example.org/> SELECT ?e ?s ?age { ?r ex:endpoint ?e SERVICE ?e { ?s ex:age ?age } }', function(success, results){
+                                   test.ok(success === false);
+
+                                   engine.execute('PREFIX ex: <http://example.org/> SELECT ?e ?s ?age { ?r ex:endpoint ?e SERVICE SILENT ?e { ?s ex:age ?age } } ORDER BY DESC(?e)', function(success, results){
+                                       test.ok(success);
+                                       test.ok(results.length === 2);
+                                       test.ok(results[0].e.value === 'http://remote.org/sparql');
+                                       test.ok(results[0].s.value === 'http://example.org/a');
+                                       test.ok(results[0].age.value === '30');
+                                       test.ok(results[1].e.value === 'http://missing.org/sparql');
+                                       test.ok(results[1].age == null);
+                                       test.done();
+                                   });
+                               });
+                           });
+                       });
+                   });
+               });
+           });
+       });
+   };
+
+
+   exports.testExecutionControl = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 15}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+               engine.rdfLoader.setNetworkTransport({load: function(uri, accept, callback) {
+                   setTimeout(function(){ callback(false, 404); }, 10);
+               }});
+
+               var data = 'PREFIX ex: <http://example.org/> INSERT DATA {';
+               for(var i=0; i<100; i++) {
+                   data = data + ' ex:s'+i+' ex:p '+i+' .';
+               }
+               data = data + ' }';
+               var crossProduct = 'SELECT * { ?a ?b ?c . ?d ?e ?f . ?g ?h ?i }';
+
+               engine.execute(data, function(success, result){
+                   engine.execute(crossProduct, function(success, result){
+                       test.ok(success === false);
+                       test.ok(result === "query timeout: execution exceeded 1 ms");
+
+                       engine.execute(crossProduct, function(success, result){
+                           test.ok(success === false);
+                           test.ok(result === "binding limit exceeded: more than 1000 intermediate bindings");
+
+                           engine.execute('PREFIX ex: <http://example.org/> SELECT * { ?s ex:p* ?o }', function(success, result){
+                               test.ok(success === false);
+                               test.ok(result === "binding limit exceeded: more than 150 intermediate bindings");
+
+                               engine.execute('DELETE { ?a ?b ?c } WHERE { ?a ?b ?c . ?d ?e ?f }', function(success, result){
+                                   test.ok(success === false);
+                                   test.ok(result === "binding limit exceeded: more than 1000 intermediate bindings");
+
+                                   engine.execute('SELECT * { ?s ?p ?o }', function(success, result){
+                                       test.ok(success === true);
+                                       test.ok(result.length === 100);
+
+                                       var control = new ExecutionControl.ExecutionControl();
+                                       engine.execute('SELECT * { ?s ?p ?o SERVICE SILENT <http://remote.org/sparql> { ?s ?p ?o } }', function(success, result){
+                                           test.ok(success === false);
+                                           test.ok(result === "query cancelled");
+                                           test.done();
+                                       }, null, null, {control: control});
+                                       control.cancel();
+                                   });
+                               }, null, null, {maxBindings: 1000});
+                           }, null, null, {maxBindings: 150});
+                       }, null, null, {maxBindings: 1000});
+                   }, null, null, {timeout: 1});
+               });
+           });
+       });
+   };
+
+   exports.testExplainRendering = function(test) {
+       var plan = {operator: 'hash join', description: '?o', estimated: 21.999999999999996, children: [
+           {operator: 'pattern', description: '?s ?p ?o', index: 'SPOG', estimated: 10.125, actual: 3, children: []}
+       ]};
+       var lines = QueryExplain.render(plan).split("\n");
+       test.ok(lines[0] === 'hash join ?o [estimated 22]');
+       test.ok(lines[1] === '  pattern ?s ?p ?o [index SPOG, estimated 10.13, actual 3]');
+       // the plan keeps the estimated cost
+       test.ok(plan.estimated === 21.999999999999996);
+       test.done();
+   };
+
+   exports.testExplain = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 15}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+               var data = 'PREFIX ex: <http://example.org/> INSERT DATA { ex:a ex:p ex:b . ex:b ex:p ex:c . ex:a ex:q "x" }';
+               var query = 'PREFIX ex: <http://example.org/> SELECT * { ?s ex:p ?o . ?o ex:p ?z OPTIONAL { ?s ex:q ?l } }';
+
+               engine.execute(data, function(success, result){
+                   engine.explain(query, function(success, explanation){
+                       test.ok(success);
+                       test.ok(explanation.kind === 'select');
+                       test.ok(explanation.algebra.pattern.kind === 'LEFT_JOIN');
+
+                       var leftJoin = explanation.plan.children[0];
+                       test.ok(leftJoin.operator === 'left join');
+                       test.ok(leftJoin.actual === undefined);
+                       var join = leftJoin.children[0];
+                       test.ok(join.operator === 'hash join');
+                       test.ok(join.description === '?o');
+                       test.ok(join.children.length === 2);
+                       test.ok(join.children[0].operator === 'pattern');
+                       test.ok(join.children[0].index === 'GP');
+                       test.ok(join.estimated === join.children[0].estimated + join.children[1].estimated);
+                       test.ok(explanation.text.split("\n")[0] === 'select');
+                       test.ok(explanation.text.split("\n")[1] === '  left join');
+
+                       engine.explain(query, function(success, explanation){
+                           test.ok(success);
+                           var leftJoin = explanation.plan.children[0];
+                           test.ok(leftJoin.actual === 1);
+                           test.ok(leftJoin.children[0].actual === 1);
+                           test.ok(leftJoin.children[0].children[0].actual === 2);
+                           test.ok(leftJoin.children[1].actual === 1);
+                           test.ok(explanation.text.split("\n")[3].indexOf("pattern ?s <http://example.org/p> ?o [index GP, estimated ") === 6);
+                           test.ok(explanation.text.split("\n")[3].indexOf(", actual 2]") !== -1);
+
+                           // the plan does not change the results of the query
+                           engine.execute(query, function(success, result){
+                               test.ok(success);
+                               test.ok(result.length === 1);
+                               test.ok(result[0].l.value === 'x');
+
+                               engine.explain('PREFIX ex: <http://example.org/> DELETE DATA { ex:a ex:p ex:b }', function(success, result){
+                                   test.ok(success === false);
+                                   test.ok(result === "Only SPARQL queries can be explained");
+                                   test.done();
+                               });
+                           });
+                       }, null, null, {analyze: true});
+                   });
+               });
+           });
+       });
+   };
+   exports.testNativeValues = function(test) {
+       new Lexicon.Lexicon(function(lexicon){
+           new QuadBackend.QuadBackend({treeOrder: 15}, function(backend){
+               var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                         lexicon: lexicon});
+               var data = 'PREFIX ex: <http://example.org/> PREFIX xsd: <http://www.w3.org/2001/XMLSchema#> ' +
+                          'INSERT DATA { ex:a ex:p 10 . ex:b ex:p "9.5"^^xsd:decimal . ex:c ex:p "-2"^^xsd:nonPositiveInteger . ex:d ex:p "x" }';
+
+               // the numbers are read from the lexicon
+               var natives = 0;
+               var nativeValue = lexicon.nativeValue;
+               lexicon.nativeValue = function(oid) {
+                   natives++;
+                   return nativeValue.call(lexicon, oid);
+               };
+
+               engine.execute(data, function(success){
+                   engine.execute('PREFIX ex: <http://example.org/> SELECT ?s ?o { ?s ex:p ?o FILTER(?o > 0) } ORDER BY ?o', function(success, results){
+                       test.ok(results.length === 2);
+                       // the native value is not part of the terms returned
+                       test.ok(Object.keys(results[0].o).indexOf('native') === -1);
+                       test.ok(results[0].s.value === 'http://example.org/b');
+                       test.ok(results[1].s.value === 'http://example.org/a');
+                       test.ok(natives > 0);
+                       natives = 0;
+                       engine.execute('PREFIX ex: <http://example.org/> SELECT (SUM(?o) AS ?sum) (MIN(?o) AS ?min) { ?s ex:p ?o FILTER(isNumeric(?o)) }', function(success, results){
+                           test.ok(results[0].sum.value == 17.5);
+                           test.ok(results[0].min.value === '-2');
+                           test.ok(natives > 0);
+                           test.done();
+                       });
+                   });
+               });
+           });
+       });
+   };
 }
 
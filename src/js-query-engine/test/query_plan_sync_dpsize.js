@@ -2,6 +2,7 @@ var QueryPlan = require("./../src/query_plan_sync_dpsize").QueryPlanDPSize;
 var QueryEngine = require("./../src/mongodb_query_engine").QueryEngine;
 var Utils = require("./../../js-trees/src/utils").Utils;
 var AbstractQueryTree = require("./../../js-sparql-parser/src/abstract_query_tree").AbstractQueryTree;
+var ExecutionControl = require("./../src/execution_control").ExecutionControl;
 
 
 var makeVar = function(n) {
@@ -88,3 +89,35 @@ exports.testGroupingOfPatterns = function(test){
     test.done();
 
 }
+
+exports.testJoinsWithExecutionControl = function(test) {
+    var bindingsa = [];
+    var bindingsb = [];
+    for(var i=0; i<10; i++) {
+        bindingsa.push({a: i});
+        bindingsb.push({b: i});
+    }
+
+    var control = new ExecutionControl.ExecutionControl({maxBindings: 50});
+    try {
+        QueryPlan.crossProductBindings(bindingsa, bindingsb, control);
+        test.ok(false);
+    } catch(e) {
+        test.ok(e instanceof ExecutionControl.Interrupted);
+        test.ok(e.message === "binding limit exceeded: more than 50 intermediate bindings");
+    }
+
+    control = new ExecutionControl.ExecutionControl({maxBindings: 100});
+    test.ok(QueryPlan.crossProductBindings(bindingsa, bindingsb, control).length === 100);
+    test.ok(QueryPlan.joinBindings(bindingsa, bindingsb, control).length === 100);
+
+    control.cancel();
+    try {
+        QueryPlan.joinBindings(bindingsa, bindingsb, control);
+        test.ok(false);
+    } catch(e) {
+        test.ok(e.message === "query cancelled");
+    }
+
+    test.done();
+};
@@ -9568,4 +9568,331 @@ exports.testNotIn02 = function(test) {
             });
         });
     });
-};
\ No newline at end of file
+};
+
+// MINUS and NOT EXISTS
+
+exports.testMinus1 = function(test) {
+    new Lexicon.Lexicon(function(lexicon){
+        new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+            var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                      lexicon: lexicon});
+
+            var query = 'PREFIX :       <http://example/>\
+                         PREFIX foaf:   <http://xmlns.com/foaf/0.1/>\
+                         INSERT DATA {\
+                              :alice  foaf:givenName "Alice" ;\
+                                      foaf:familyName "Smith" .\
+                              :bob    foaf:givenName "Bob" ;\
+                                      foaf:familyName "Jones" .\
+                              :carol  foaf:givenName "Carol" ;\
+                                      foaf:familyName "Smith" . }';
+
+            engine.execute(query, function(success, result){
+
+                var query = 'PREFIX :       <http://example/>\
+                             PREFIX foaf:   <http://xmlns.com/foaf/0.1/>\
+                             SELECT DISTINCT ?s WHERE {\
+                                ?s ?p ?o .\
+                                MINUS { ?s foaf:givenName "Bob" . }\
+                             } ORDER BY ?s';
+
+                engine.execute(query, function(success, results){
+                    test.ok(success);
+                    test.ok(results.length === 2);
+                    test.ok(results[0].s.value === "http://example/alice");
+                    test.ok(results[1].s.value === "http://example/carol");
+                    test.done();
+                });
+            });
+        });
+    });
+};
+
+exports.testMinusNotExists1 = function(test) {
+    new Lexicon.Lexicon(function(lexicon){
+        new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+            var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                      lexicon: lexicon});
+
+            var query = 'PREFIX : <http://example/> INSERT DATA { :a :b :c }';
+
+            engine.execute(query, function(success, result){
+
+                // no shared variables: NOT EXISTS removes every solution, MINUS none
+                engine.execute('SELECT * { ?s ?p ?o FILTER NOT EXISTS { ?x ?y ?z } }', function(success, results){
+                    test.ok(success);
+                    test.ok(results.length === 0);
+
+                    engine.execute('SELECT * { ?s ?p ?o MINUS { ?x ?y ?z } }', function(success, results){
+                        test.ok(success);
+                        test.ok(results.length === 1);
+                        test.ok(results[0].s.value === "http://example/a");
+                        test.done();
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testMinusNotExists2 = function(test) {
+    new Lexicon.Lexicon(function(lexicon){
+        new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+            var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                      lexicon: lexicon});
+
+            var query = 'PREFIX : <http://example/> INSERT DATA { :a :b :c }';
+
+            engine.execute(query, function(success, result){
+
+                engine.execute('PREFIX : <http://example/> SELECT * { ?s ?p ?o FILTER NOT EXISTS { :a :b :c } }', function(success, results){
+                    test.ok(success);
+                    test.ok(results.length === 0);
+
+                    engine.execute('PREFIX : <http://example/> SELECT * { ?s ?p ?o MINUS { :a :b :c } }', function(success, results){
+                        test.ok(success);
+                        test.ok(results.length === 1);
+                        test.done();
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testMinusNotExists3 = function(test) {
+    new Lexicon.Lexicon(function(lexicon){
+        new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+            var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                      lexicon: lexicon});
+
+            var query = 'PREFIX : <http://example.com/>\
+                         INSERT DATA {\
+                              :a :p 1 .\
+                              :a :q 1 .\
+                              :a :q 2 .\
+                              :b :p 3.0 .\
+                              :b :q "4.0" .\
+                              :b :q 4.0 . }';
+
+            engine.execute(query, function(success, result){
+
+                // the inner filter can see ?n in NOT EXISTS but not in MINUS
+                engine.execute('PREFIX : <http://example.com/> SELECT * WHERE { ?x :p ?n FILTER NOT EXISTS { ?x :q ?m . FILTER(?n = ?m) } }', function(success, results){
+                    test.ok(success);
+                    test.ok(results.length === 1);
+                    test.ok(results[0].x.value === "http://example.com/b");
+                    test.ok(results[0].n.value === "3.0");
+
+                    engine.execute('PREFIX : <http://example.com/> SELECT * WHERE { ?x :p ?n MINUS { ?x :q ?m . FILTER(?n = ?m) } } ORDER BY ?x', function(success, results){
+                        test.ok(success);
+                        test.ok(results.length === 2);
+                        test.ok(results[0].x.value === "http://example.com/a");
+                        test.ok(results[1].x.value === "http://example.com/b");
+                        test.done();
+                    });
+                });
+            });
+        });
+    });
+};
+
+
+exports.testMinusNotExists4 = function(test) {
+    new Lexicon.Lexicon(function(lexicon){
+        new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+            var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                      lexicon: lexicon});
+
+            var query = 'PREFIX ex: <http://ex.org/>\
+                         INSERT DATA {\
+                              ex:a ex:p ex:b .\
+                              ex:a ex:q ex:c .\
+                              ex:d ex:p ex:b .\
+                              ex:d ex:q ex:e .\
+                              ex:d ex:r 2 . }';
+
+            engine.execute(query, function(success, result){
+
+                // inner filters comparing with IRIs, constants and functions
+                engine.execute('PREFIX ex: <http://ex.org/> SELECT ?s WHERE { ?s ex:p ?o FILTER NOT EXISTS { ?s ex:q ?x FILTER(?x = <http://ex.org/c>) } }', function(success, results){
+                    test.ok(success);
+                    test.ok(results.length === 1);
+                    test.ok(results[0].s.value === "http://ex.org/d");
+
+                    engine.execute('PREFIX ex: <http://ex.org/> PREFIX xsd: <http://www.w3.org/2001/XMLSchema#> SELECT ?s WHERE { ?s ex:p ?o FILTER NOT EXISTS { ?s ex:r ?n FILTER(xsd:integer(?n) > 1) } }', function(success, results){
+                        test.ok(success);
+                        test.ok(results.length === 1);
+                        test.ok(results[0].s.value === "http://ex.org/a");
+                        test.done();
+                    });
+                });
+            });
+        });
+    });
+};
+
+
+// SPARQL 1.1 built-in functions
+
+var runBuiltInCalls = function(expressions, callback) {
+    new Lexicon.Lexicon(function(lexicon){
+        new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+            var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                      lexicon: lexicon});
+            engine.execute('PREFIX : <http://example.org/> INSERT DATA { :s :p "x" }', function(success, result){
+                var results = [];
+                var next = function(i) {
+                    if(i === expressions.length) {
+                        callback(results);
+                    } else {
+                        var query = 'PREFIX xsd: <http://www.w3.org/2001/XMLSchema#> SELECT ?z { ?s ?p ?o BIND(('+expressions[i]+') AS ?z) }';
+                        engine.execute(query, function(success, bindings){
+                            results.push(bindings[0].z);
+                            next(i+1);
+                        });
+                    }
+                };
+                next(0);
+            });
+        });
+    });
+};
+
+exports.testStringFunctions = function(test) {
+    runBuiltInCalls(['STRLEN("chat"@en)', 'SUBSTR("foobar", 4)', 'SUBSTR("foobar"@en, 4, 1)', 'UCASE("foo"@en)', 'LCASE("BAR")',
+                     'STRSTARTS("foobar", "foo")', 'STRENDS("foobar", "bar")', 'CONTAINS("foobar", "bar")',
+                     'STRBEFORE("abc"@en, "bc")', 'STRAFTER("abc", "xyz")', 'ENCODE_FOR_URI("Los Angeles")',
+                     'CONCAT("foo"@en, "bar"@en)', 'CONCAT("foo", "bar"@en)', 'REPLACE("abab", "B.", "Z", "i")',
+                     'STRSTARTS("foobar"@en, "foo"@fr)'],
+                    function(results) {
+                        test.ok(results[0].value == 4);
+                        test.ok(results[1].value === "bar");
+                        test.ok(results[2].value === "b");
+                        test.ok(results[2].lang === "en");
+                        test.ok(results[3].value === "FOO");
+                        test.ok(results[3].lang === "en");
+                        test.ok(results[4].value === "bar");
+                        test.ok(results[5].value === "true");
+                        test.ok(results[6].value === "true");
+                        test.ok(results[7].value === "true");
+                        test.ok(results[8].value === "a");
+                        test.ok(results[8].lang === "en");
+                        test.ok(results[9].value === "");
+                        test.ok(results[10].value === "Los%20Angeles");
+                        test.ok(results[11].value === "foobar");
+                        test.ok(results[11].lang === "en");
+                        test.ok(results[12].value === "foobar");
+                        test.ok(results[12].lang == null);
+                        test.ok(results[13].value === "aZb");
+                        // incompatible arguments raise an error
+                        test.ok(results[14] == null);
+                        test.done();
+                    });
+};
+
+exports.testNumericFunctions = function(test) {
+    runBuiltInCalls(['ABS(-1)', 'ROUND(2.5)', 'ROUND(-2.5)', 'CEIL(10.5)', 'FLOOR(-10.5)', 'RAND()', 'isNumeric("12")', 'ABS("1")'],
+                    function(results) {
+                        test.ok(results[0].value == 1);
+                        test.ok(results[0].type === "http://www.w3.org/2001/XMLSchema#integer");
+                        test.ok(results[1].value == 3);
+                        test.ok(results[2].value == -2);
+                        test.ok(results[3].value == 11);
+                        test.ok(results[4].value == -11);
+                        test.ok(results[5].value >= 0 && results[5].value < 1);
+                        test.ok(results[6].value === "false");
+                        test.ok(results[7] == null);
+                        test.done();
+                    });
+};
+
+exports.testDateTimeFunctions = function(test) {
+    var date = '"2011-01-10T14:45:13.815-05:00"^^xsd:dateTime';
+    runBuiltInCalls(['YEAR('+date+')', 'MONTH('+date+')', 'DAY('+date+')', 'HOURS('+date+')', 'MINUTES('+date+')',
+                     'SECONDS('+date+')', 'TIMEZONE('+date+')', 'TZ('+date+')', 'TIMEZONE("2011-01-10T14:45:13"^^xsd:dateTime)',
+                     'YEAR(NOW()) >= 2011'],
+                    function(results) {
+                        test.ok(results[0].value == 2011);
+                        test.ok(results[1].value == 1);
+                        test.ok(results[2].value == 10);
+                        test.ok(results[3].value == 14);
+                        test.ok(results[4].value == 45);
+                        test.ok(results[5].value == 13.815);
+                        test.ok(results[5].type === "http://www.w3.org/2001/XMLSchema#decimal");
+                        test.ok(results[6].value === "-PT5H");
+                        test.ok(results[6].type === "http://www.w3.org/2001/XMLSchema#dayTimeDuration");
+                        test.ok(results[7].value === "-05:00");
+                        test.ok(results[8] == null);
+                        test.ok(results[9].value === "true");
+                        test.done();
+                    });
+};
+
+exports.testHashFunctions = function(test) {
+    runBuiltInCalls(['MD5("abc")', 'SHA1("abc")', 'SHA256("abc")', 'SHA384("abc")', 'SHA512("abc")', 'MD5("abc"@en)'],
+                    function(results) {
+                        test.ok(results[0].value === "900150983cd24fb0d6963f7d28e17f72");
+                        test.ok(results[1].value === "a9993e364706816aba3e25717850c26c9cd0d89d");
+                        test.ok(results[2].value === "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+                        test.ok(results[3].value.length === 96);
+                        test.ok(results[4].value.length === 128);
+                        test.ok(results[5] == null);
+                        test.done();
+                    });
+};
+
+exports.testTermFunctions = function(test) {
+    runBuiltInCalls(['IRI("http://example.org/a")', 'BNODE()', 'STRDT("123", xsd:integer)', 'STRLANG("chat", "en")',
+                     'STRLANG("chat"@fr, "en")', 'UUID()', 'STRUUID()'],
+                    function(results) {
+                        test.ok(results[0].token === "uri");
+                        test.ok(results[0].value === "http://example.org/a");
+                        test.ok(results[1].token === "blank");
+                        test.ok(results[2].value === "123");
+                        test.ok(results[2].type === "http://www.w3.org/2001/XMLSchema#integer");
+                        test.ok(results[3].lang === "en");
+                        test.ok(results[4] == null);
+                        test.ok(results[5].token === "uri");
+                        test.ok(results[5].value.indexOf("urn:uuid:") === 0);
+                        test.ok(results[6].value.length === 36);
+                        test.done();
+                    });
+};
+
+exports.testProjectionErrors = function(test) {
+    new Lexicon.Lexicon(function(lexicon){
+        new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+            var engine = new QueryEngine.QueryEngine({backend: backend,
+                                                      lexicon: lexicon});
+            engine.execute('PREFIX ex: <http://example.org/> INSERT DATA { ex:a ex:p "x" }', function(success, result){
+                // a type error leaves the alias unbound without removing the solution
+                engine.execute('PREFIX ex: <http://example.org/> SELECT ?s (STRLEN(ex:a) AS ?l) (STRLEN(?o) AS ?m) { ?s ?p ?o }', function(success, results){
+                    test.ok(success);
+                    test.ok(results.length === 1);
+                    test.ok(results[0].s.value === "http://example.org/a");
+                    test.ok(results[0].l == null);
+                    test.ok(results[0].m.value == 1);
+                    test.done();
+                });
+            });
+        });
+    });
+};
+
+exports.testConditionalFunctions = function(test) {
+    runBuiltInCalls(['IF(1 < 2, "yes", "no")', 'IF(?unbound, "yes", "no")', 'IF(1 > 2, ?unbound, "no")',
+                     'COALESCE(?unbound, 1/0, "z")', 'COALESCE(?unbound)', '1 NOT IN ()', '1 IN ()', 'STRLEN(?unbound)'],
+                    function(results) {
+                        test.ok(results[0].value === "yes");
+                        test.ok(results[1] == null);
+                        test.ok(results[2].value === "no");
+                        test.ok(results[3].value === "z");
+                        test.ok(results[4] == null);
+                        test.ok(results[5].value === "true");
+                        test.ok(results[6].value === "false");
+                        test.ok(results[7] == null);
+                        test.done();
+                    });
+};
@@ -0,0 +1,285 @@
+// exports
+exports.FakeIndexedDB = {};
+var FakeIndexedDB = exports.FakeIndexedDB;
+
+// imports
+var Utils = require("./../../js-trees/src/utils").Utils;
+
+/**
+ * In memory implementation of the subset of the IndexedDB API
+ * used by IndexedDBStorage.
+ * It is used to test the IndexedDB backend in Node.js and
+ * when the environment does not provide an IndexedDB implementation.
+ * All the requests are resolved asynchronously, values are
+ * cloned when they are stored and retrieved.
+ */
+FakeIndexedDB.Factory = function() {
+    this.databases = {};
+};
+
+FakeIndexedDB.defer = function(f) {
+    setTimeout(f, 0);
+};
+
+FakeIndexedDB.Factory.prototype.open = function(name, version) {
+    var request = new FakeIndexedDB.Request();
+    var that = this;
+    FakeIndexedDB.defer(function() {
+        var data = that.databases[name];
+        if(data == null) {
+            data = {version: 0, stores: {}};
+            that.databases[name] = data;
+        }
+        version = (version || Math.max(data.version, 1));
+        if(version < data.version) {
+            request.error = new Error("VersionError: database "+name+" has version "+data.version);
+            if(request.onerror != null) {
+                request.onerror({target: request});
+            }
+            return;
+        }
+
+        var db = new FakeIndexedDB.Database(name, data);
+        request.result = db;
+        if(version > data.version) {
+            var oldVersion = data.version;
+            data.version = version;
+            db.version = version;
+            db.upgrading = true;
+            if(request.onupgradeneeded != null) {
+                request.onupgradeneeded({target: request, oldVersion: oldVersion, newVersion: version});
+            }
+            db.upgrading = false;
+        }
+        if(request.onsuccess != null) {
+            request.onsuccess({target: request});
+        }
+    });
+    return request;
+};
+
+FakeIndexedDB.Factory.prototype.deleteDatabase = function(name) {
+    var request = new FakeIndexedDB.Request();
+    var that = this;
+    FakeIndexedDB.defer(function() {
+        delete that.databases[name];
+        if(request.onsuccess != null) {
+            request.onsuccess({target: request});
+        }
+    });
+    return request;
+};
+
+/**
+ * Shared factory used when no IndexedDB implementation is available.
+ */
+FakeIndexedDB.factory = new FakeIndexedDB.Factory();
+
+FakeIndexedDB.Request = function() {
+    this.result = null;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+};
+
+FakeIndexedDB.Database = function(name, data) {
+    this.name = name;
+    this.version = data.version;
+    this.data = data;
+    this.closed = false;
+    this.upgrading = false;
+
+    var that = this;
+    this.objectStoreNames = {
+        contains: function(storeName) {
+            return that.data.stores[storeName] != null;
+        }
+    };
+};
+
+FakeIndexedDB.Database.prototype.createObjectStore = function(storeName) {
+    if(this.upgrading === false) {
+        throw new Error("InvalidStateError: object stores can only be created while upgrading the database");
+    }
+    if(this.data.stores[storeName] != null) {
+        throw new Error("ConstraintError: object store "+storeName+" already exists");
+    }
+    this.data.stores[storeName] = {};
+    return new FakeIndexedDB.ObjectStore(null, storeName, this.data.stores[storeName]);
+};
+
+FakeIndexedDB.Database.prototype.transaction = function(storeNames, mode) {
+    if(this.closed === true) {
+        throw new Error("InvalidStateError: the database "+this.name+" is closed");
+    }
+    if(typeof(storeNames) === 'string') {
+        storeNames = [storeNames];
+    }
+    for(var i=0; i<storeNames.length; i++) {
+        if(this.data.stores[storeNames[i]] == null) {
+            throw new Error("NotFoundError: unknown object store "+storeNames[i]);
+        }
+    }
+    return new FakeIndexedDB.Transaction(this, storeNames, mode || 'readonly');
+};
+
+FakeIndexedDB.Database.prototype.close = function() {
+    this.closed = true;
+};
+
+FakeIndexedDB.Transaction = function(db, storeNames, mode) {
+    this.db = db;
+    this.storeNames = storeNames;
+    this.mode = mode;
+    this.pending = 0;
+    this.finished = false;
+    this.oncomplete = null;
+    this.onerror = null;
+};
+
+FakeIndexedDB.Transaction.prototype.objectStore = function(storeName) {
+    if(Utils.include(this.storeNames, storeName) === false) {
+        throw new Error("NotFoundError: object store "+storeName+" is not part of the transaction");
+    }
+    return new FakeIndexedDB.ObjectStore(this, storeName, this.db.data.stores[storeName]);
+};
+
+/**
+ * Schedules an operation of the transaction, the result of the
+ * operation is notified to the request and the transaction is
+ * completed once there are no more pending operations.
+ */
+FakeIndexedDB.Transaction.prototype._schedule = function(request, operation) {
+    if(this.finished === true) {
+        throw new Error("TransactionInactiveError: the transaction has finished");
+    }
+    var that = this;
+    this.pending++;
+    FakeIndexedDB.defer(function() {
+        try {
+            request.result = operation();
+        } catch(e) {
+            request.error = e;
+            if(request.onerror != null) {
+                request.onerror({target: request});
+            }
+            that.finished = true;
+            if(that.onerror != null) {
+                that.onerror({target: that});
+            }
+            return;
+        }
+        if(request.onsuccess != null) {
+            request.onsuccess({target: request});
+        }
+        that.pending--;
+        if(that.pending === 0) {
+            FakeIndexedDB.defer(function() {
+                if(that.pending === 0 && that.finished === false) {
+                    that.finished = true;
+                    if(that.oncomplete != null) {
+                        that.oncomplete({target: that});
+                    }
+                }
+            });
+        }
+    });
+};
+
+FakeIndexedDB.ObjectStore = function(transaction, name, records) {
+    this.transaction = transaction;
+    this.name = name;
+    this.records = records;
+};
+
+FakeIndexedDB.ObjectStore.prototype._recordKey = function(key) {
+    return typeof(key) + ":" + key;
+};
+
+FakeIndexedDB.ObjectStore.prototype._write = function(operation) {
+    if(this.transaction.mode === 'readonly') {
+        throw new Error("ReadOnlyError: the transaction is read only");
+    }
+    var request = new FakeIndexedDB.Request();
+    this.transaction._schedule(request, operation);
+    return request;
+};
+
+FakeIndexedDB.ObjectStore.prototype.put = function(value, key) {
+    var records = this.records;
+    var recordKey = this._recordKey(key);
+    var cloned = Utils.clone(value);
+    return this._write(function() {
+        records[recordKey] = {key: key, value: cloned};
+        return key;
+    });
+};
+
+FakeIndexedDB.ObjectStore.prototype.delete = function(key) {
+    var records = this.records;
+    var recordKey = this._recordKey(key);
+    return this._write(function() {
+        delete records[recordKey];
+    });
+};
+
+FakeIndexedDB.ObjectStore.prototype.clear = function() {
+    var records = this.records;
+    return this._write(function() {
+        for(var recordKey in records) {
+            delete records[recordKey];
+        }
+    });
+};
+
+FakeIndexedDB.ObjectStore.prototype.get = function(key) {
+    var records = this.records;
+    var recordKey = this._recordKey(key);
+    var request = new FakeIndexedDB.Request();
+    this.transaction._schedule(request, function() {
+        var record = records[recordKey];
+        return (record == null ? undefined : Utils.clone(record.value));
+    });
+    return request;
+};
+
+/**
+ * Iterates through the records of the store sorted by key,
+ * numbers are sorted before strings as in IndexedDB.
+ */
+FakeIndexedDB.ObjectStore.prototype.openCursor = function() {
+    var records = [];
+    for(var recordKey in this.records) {
+        records.push(this.records[recordKey]);
+    }
+    records.sort(function(a,b) {
+        if(typeof(a.key) !== typeof(b.key)) {
+            return (typeof(a.key) === 'number' ? -1 : 1);
+        } else if(a.key < b.key) {
+            return -1;
+        } else if(a.key > b.key) {
+            return 1;
+        } else {
+            return 0;
+        }
+    });
+
+    var request = new FakeIndexedDB.Request();
+    var transaction = this.transaction;
+    var position = 0;
+    var next = function() {
+        if(position < records.length) {
+            var record = records[position];
+            position++;
+            return {key: record.key,
+                    value: Utils.clone(record.value),
+                    'continue': function() {
+                        transaction._schedule(request, next);
+                    }};
+        } else {
+            return null;
+        }
+    };
+    transaction._schedule(request, next);
+    return request;
+};
@@ -0,0 +1,222 @@
+// exports
+exports.FileLexicon = {};
+var FileLexicon = exports.FileLexicon;
+
+// imports
+var fs = require('fs');
+var Utils = require("./../../js-trees/src/utils").Utils;
+var Lexicon = require("./lexicon").Lexicon;
+
+/**
+ * Minimum size in bytes of the log of the lexicon before
+ * the snapshot is rewritten.
+ */
+FileLexicon.logThreshold = 1048576;
+
+/**
+ * Lexicon stored in the directory 'path', the directory is created
+ * if it does not exist.
+ * The terms are kept in memory. After every modification of the store
+ * the terms added, removed or referenced by the write are appended to
+ * the log 'lexicon.log', one JSON record per write. Once the log is
+ * bigger than the snapshot of all the terms, 'lexicon.json', the
+ * snapshot is rewritten and the log is emptied.
+ */
+FileLexicon.Lexicon = function(callback, path) {
+    Lexicon.Lexicon.call(this);
+    this.path = path;
+    this.file = path + "/lexicon.json";
+    this.logFile = path + "/lexicon.log";
+    // terms and graphs modified since the last record of the log
+    this.modifiedTerms = {};
+    this.modifiedGraphs = false;
+
+    if(!fs.existsSync(path)) {
+        fs.mkdirSync(path);
+    }
+    this.load();
+    this.logFd = fs.openSync(this.logFile, 'a');
+
+    if(callback != null) {
+        callback(this);
+    }
+};
+
+Utils.extends(Lexicon.Lexicon, FileLexicon.Lexicon);
+
+/**
+ * Reads the terms from the snapshot and replays the records of the log.
+ * A last record left incomplete by a crash is discarded.
+ */
+FileLexicon.Lexicon.prototype.load = function() {
+    var data = null;
+    this.snapshotSize = 0;
+    this.logSize = 0;
+    if(fs.existsSync(this.file)) {
+        data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.snapshotSize = fs.statSync(this.file).size;
+    }
+    if(fs.existsSync(this.logFile)) {
+        var lines = fs.readFileSync(this.logFile, 'utf8').split("\n");
+        for(var i=0; i<lines.length; i++) {
+            var record;
+            try {
+                record = JSON.parse(lines[i]);
+            } catch(e) {
+                break;
+            }
+            data = FileLexicon.replay(data || this.serialize(), record);
+            this.logSize = this.logSize + Buffer.byteLength(lines[i]) + 1;
+        }
+        if(fs.statSync(this.logFile).size > this.logSize) {
+            fs.truncateSync(this.logFile, this.logSize);
+        }
+    }
+    if(data != null) {
+        this.deserialize(data);
+    }
+};
+
+/**
+ * Applies a record of the log to the terms returned by serialize.
+ * Every record contains the state of the terms it modifies, so the
+ * records already included in the snapshot can be applied again.
+ */
+FileLexicon.replay = function(data, record) {
+    for(var oid=data.kinds.length; oid<record.oidCounter; oid++) {
+        data.kinds[oid] = Lexicon.FREE;
+        data.references[oid] = 0;
+        data.values[oid] = null;
+        data.tags[oid] = null;
+    }
+    for(var oid in record.terms) {
+        var term = record.terms[oid];
+        data.kinds[oid] = term[0];
+        data.references[oid] = (term[1] || 0);
+        data.values[oid] = (term[2] == null ? null : term[2]);
+        data.tags[oid] = (term[3] == null ? null : term[3]);
+        if(term[4] != null) {
+            data.literalForms[oid] = term[4];
+        } else {
+            delete data.literalForms[oid];
+        }
+    }
+    if(record.knownGraphs != null) {
+        data.knownGraphs = record.knownGraphs;
+    }
+    data.oidCounter = record.oidCounter;
+    data.logSequence = record.logSequence;
+    return data;
+};
+
+FileLexicon.Lexicon.prototype._termRecord = function(oid) {
+    if(this.kinds[oid] === Lexicon.FREE) {
+        return [Lexicon.FREE];
+    } else {
+        return [this.kinds[oid], this.references[oid], this.values[oid], this.tags[oid], this.literalForms[oid]];
+    }
+};
+
+FileLexicon.Lexicon.prototype.registerUri = function(uri) {
+    var oid = Lexicon.Lexicon.prototype.registerUri.call(this, uri);
+    if(oid !== this.defaultGraphOid) {
+        this.modifiedTerms[oid] = true;
+    }
+    return oid;
+};
+
+FileLexicon.Lexicon.prototype.registerLiteral = function(literal) {
+    var oid = Lexicon.Lexicon.prototype.registerLiteral.call(this, literal);
+    this.modifiedTerms[oid] = true;
+    return oid;
+};
+
+FileLexicon.Lexicon.prototype.registerBlank = function(label) {
+    var oid = Lexicon.Lexicon.prototype.registerBlank.call(this, label);
+    this.modifiedTerms[oid] = true;
+    return oid;
+};
+
+FileLexicon.Lexicon.prototype.referenceBlank = function(oid) {
+    Lexicon.Lexicon.prototype.referenceBlank.call(this, oid);
+    this.modifiedTerms[parseInt(oid)] = true;
+};
+
+FileLexicon.Lexicon.prototype.registerGraph = function(oid) {
+    if(oid != this.defaultGraphOid && this.knownGraphs[oid] !== true) {
+        this.modifiedGraphs = true;
+    }
+    return Lexicon.Lexicon.prototype.registerGraph.call(this, oid);
+};
+
+FileLexicon.Lexicon.prototype.unregisterTerm = function(kind, oid) {
+    var graph = (this.knownGraphs[oid] === true);
+    Lexicon.Lexicon.prototype.unregisterTerm.call(this, kind, oid);
+    if(!(kind === 'uri' && oid == this.defaultGraphOid)) {
+        this.modifiedTerms[parseInt(oid)] = true;
+        // graphs are removed with their URI
+        if(graph && this.knownGraphs[oid] !== true) {
+            this.modifiedGraphs = true;
+        }
+    }
+};
+
+/**
+ * Appends the terms modified by the last write to the log.
+ * The snapshot is rewritten when the log grows bigger than it.
+ */
+FileLexicon.Lexicon.prototype.updateAfterWrite = function() {
+    Lexicon.Lexicon.prototype.updateAfterWrite.call(this);
+    var record = {terms: {}, oidCounter: this.oidCounter, logSequence: this.logSequence};
+    for(var oid in this.modifiedTerms) {
+        record.terms[oid] = this._termRecord(oid);
+    }
+    if(this.modifiedGraphs) {
+        record.knownGraphs = this.knownGraphs;
+    }
+    this.modifiedTerms = {};
+    this.modifiedGraphs = false;
+
+    var line = JSON.stringify(record) + "\n";
+    fs.writeSync(this.logFd, line);
+    fs.fsyncSync(this.logFd);
+    this.logSize = this.logSize + Buffer.byteLength(line);
+
+    if(this.logSize > Math.max(FileLexicon.logThreshold, this.snapshotSize)) {
+        this.writeSnapshot();
+    }
+};
+
+/**
+ * Writes all the terms to the snapshot and empties the log.
+ * The data is written to a temporary file that replaces the
+ * previous version, so the file is never left half written.
+ */
+FileLexicon.Lexicon.prototype.writeSnapshot = function() {
+    var data = JSON.stringify(this.serialize());
+    var fd = fs.openSync(this.file + ".tmp", 'w');
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fs.renameSync(this.file + ".tmp", this.file);
+    this.snapshotSize = Buffer.byteLength(data);
+
+    this.modifiedTerms = {};
+    this.modifiedGraphs = false;
+    fs.ftruncateSync(this.logFd, 0);
+    this.logSize = 0;
+};
+
+FileLexicon.Lexicon.prototype.clear = function() {
+    Lexicon.Lexicon.prototype.clear.call(this);
+    this.knownGraphs = {};
+    this.writeSnapshot();
+};
+
+FileLexicon.Lexicon.prototype.close = function() {
+    if(this.logFd != null) {
+        this.updateAfterWrite();
+        fs.closeSync(this.logFd);
+        this.logFd = null;
+    }
+};
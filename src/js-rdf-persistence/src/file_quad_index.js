@@ -0,0 +1,123 @@
+// exports
+exports.FileQuadIndex = {};
+var FileQuadIndex = exports.FileQuadIndex;
+
+// imports
+var fs = require('fs');
+var Put = require('put');
+var Binary = require('binary');
+var Utils = require("./../../js-trees/src/utils").Utils;
+var DiskManager = require("./../../js-trees/src/disk_manager").DiskManager;
+var FileBackedBTree = require("./../../js-trees/src/file_backed_b_tree").FileBackedBTree;
+var QuadIndexCommon = require("./quad_index_common").QuadIndexCommon;
+var QuadIndex = require("./quad_index").QuadIndex;
+
+/**
+ * QuadNodeSchema
+ *
+ * Encodes the nodes of a quad index. Keys are the OIDs of the
+ * subject, predicate, object and graph of the quad, values are
+ * not stored.
+ * Blank node OIDs are strings in the lexicon, they are stored
+ * with the highest bit set so they can be restored as strings.
+ */
+FileQuadIndex.QuadNodeSchema = function(treeOrder) {
+    DiskManager.NodeSchema.call(this, 16, 1, treeOrder);
+};
+
+Utils.extends(DiskManager.NodeSchema, FileQuadIndex.QuadNodeSchema);
+
+FileQuadIndex.components = ['subject', 'predicate', 'object', 'graph'];
+
+FileQuadIndex.blankFlag = 0x80000000;
+
+FileQuadIndex.QuadNodeSchema.prototype.encodeKey = function(key) {
+    var b = Put();
+    for(var i=0; i<FileQuadIndex.components.length; i++) {
+        var oid = key[FileQuadIndex.components[i]];
+        if(typeof(oid) === 'string') {
+            b = b.word32le(parseInt(oid) + FileQuadIndex.blankFlag);
+        } else {
+            b = b.word32le(oid);
+        }
+    }
+    return b.buffer();
+};
+
+FileQuadIndex.QuadNodeSchema.prototype.decodeKey = function(bytes) {
+    var parsing = Binary.parse(bytes);
+    for(var i=0; i<FileQuadIndex.components.length; i++) {
+        parsing = parsing.word32le(FileQuadIndex.components[i]);
+    }
+    var components = parsing.vars;
+    for(var i=0; i<FileQuadIndex.components.length; i++) {
+        var oid = components[FileQuadIndex.components[i]];
+        if(oid >= FileQuadIndex.blankFlag) {
+            components[FileQuadIndex.components[i]] = ""+(oid - FileQuadIndex.blankFlag);
+        }
+    }
+    return new QuadIndexCommon.NodeKey(components);
+};
+
+FileQuadIndex.QuadNodeSchema.prototype.encodeValue = function(value) {
+    return Put().word8(0).buffer();
+};
+
+FileQuadIndex.QuadNodeSchema.prototype.decodeValue = function(bytes) {
+    return null;
+};
+
+FileQuadIndex.QuadNodeSchema.prototype.buildNode = function(nodeKeys) {
+    if(nodeKeys.isLeaf===1) {
+        nodeKeys.isLeaf = true;
+    } else {
+        nodeKeys.isLeaf = false;
+    }
+    return nodeKeys;
+};
+
+/**
+ * Tree
+ *
+ * A quad index stored in the file at 'path'.
+ * The index is loaded from the file if it already exists.
+ */
+FileQuadIndex.Tree = function(params, callback) {
+    if(arguments.length != 0) {
+        this.componentOrder = params.componentOrder;
+
+        var exists = fs.existsSync(params.path) && fs.statSync(params.path).size > 0;
+        FileBackedBTree.Tree.call(this, {order: params.order,
+                                         path: params.path,
+                                         keyLength: 16,
+                                         valueLength: 1,
+                                         nodeSchema: FileQuadIndex.QuadNodeSchema,
+                                         comparator: QuadIndex.comparator,
+                                         cacheSize: params['cacheMaxSize']});
+        if(exists) {
+            this.load();
+        } else {
+            this.init();
+        }
+        this.rangeComparator = QuadIndex.rangeComparator;
+
+        if(callback!=null) {
+            callback(this);
+        }
+    }
+};
+
+Utils.extends(FileBackedBTree.Tree, FileQuadIndex.Tree);
+
+// insertion and retrieval of quads are shared with the in memory indices
+FileQuadIndex.Tree.prototype.insert = QuadIndex.Tree.prototype.insert;
+FileQuadIndex.Tree.prototype.search = QuadIndex.Tree.prototype.search;
+FileQuadIndex.Tree.prototype.range = QuadIndex.Tree.prototype.range;
+FileQuadIndex.Tree.prototype._rangeTraverse = QuadIndex.Tree.prototype._rangeTraverse;
+
+/**
+ * Removes all the quads, formatting the file of the index.
+ */
+FileQuadIndex.Tree.prototype.clear = function() {
+    this.init();
+};
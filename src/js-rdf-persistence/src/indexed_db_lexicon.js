@@ -0,0 +1,550 @@
+// exports
+exports.IndexedDBLexicon = {};
+var IndexedDBLexicon = exports.IndexedDBLexicon;
+
+// imports
+var Utils = require("./../../js-trees/src/utils").Utils;
+var Lexicon = require("./lexicon").Lexicon;
+
+/**
+ * Name of the object store where the terms are saved.
+ */
+IndexedDBLexicon.storeName = 'lexicon';
+
+/**
+ * Maximum number of terms kept in memory by the lexicon
+ * between two operations.
+ */
+IndexedDBLexicon.cacheMaxSize = 1000;
+
+/**
+ * Asynchronous lexicon saved in the 'lexicon' object store of an
+ * IndexedDBStorage.Database.
+ * Every term is stored in its own record, 't' followed by its OID,
+ * with its kind, value, language or datatype and number of
+ * references. The records 'u' followed by a URI and 'l' followed by
+ * the lexical form of a literal contain the OID of the term, and the
+ * 'state' record the OID counter, the free OIDs and the graphs.
+ * Terms are read from the database when they are requested, the
+ * results of the operations are passed to their callbacks.
+ * The operations are executed one after the other, so two requests
+ * never allocate an OID for the same term.
+ */
+IndexedDBLexicon.Lexicon = function(callback, database, cacheMaxSize) {
+    this.database = database;
+    this.cacheMaxSize = (cacheMaxSize || IndexedDBLexicon.cacheMaxSize);
+
+    this.defaultGraphOid = 0;
+    this.defaultGraphUri = "https://github.com/antoniogarrote/rdfstore-js#default_graph";
+    this.defaultGraphUriTerm = {"token": "uri", "prefix": null, "suffix": null, "value": this.defaultGraphUri, "oid": this.defaultGraphOid};
+
+    this.operations = [];
+    this.running = false;
+    this._initState();
+
+    var that = this;
+    this.database.get(IndexedDBLexicon.storeName, 'state', function(state) {
+        if(state != null) {
+            that.oidCounter = state.oidCounter;
+            that.freeOIDs = state.freeOIDs;
+            that.graphs = state.graphs;
+        }
+        if(callback != null) {
+            callback(that);
+        }
+    });
+};
+
+IndexedDBLexicon.Lexicon.prototype._initState = function() {
+    this.oidCounter = 1;
+    this.freeOIDs = [];
+    // URIs of the graphs indexed by OID
+    this.graphs = {};
+    this._releaseCache();
+};
+
+IndexedDBLexicon.Lexicon.prototype._releaseCache = function() {
+    this.terms = {};
+    this.keys = {};
+    this.cachedTerms = 0;
+};
+
+IndexedDBLexicon.Lexicon.prototype._saveState = function() {
+    var that = this;
+    this.database.put(IndexedDBLexicon.storeName, 'state', function() {
+        return {oidCounter: that.oidCounter, freeOIDs: that.freeOIDs, graphs: that.graphs};
+    });
+};
+
+/**
+ * Runs the operation once the previous operations of the lexicon
+ * have finished. The terms in memory are released between
+ * operations if there are more than cacheMaxSize.
+ */
+IndexedDBLexicon.Lexicon.prototype._enqueue = function(operation) {
+    this.operations.push(operation);
+    if(this.running === false) {
+        this._runOperations();
+    }
+};
+
+IndexedDBLexicon.Lexicon.prototype._runOperations = function() {
+    var that = this;
+    this.running = true;
+    while(this.operations.length > 0) {
+        if(this.cachedTerms > this.cacheMaxSize) {
+            this._releaseCache();
+        }
+
+        // operations answered from memory finish before returning,
+        // the rest resume the queue when they finish
+        var finished = false;
+        var waiting = false;
+        this.operations.shift()(function() {
+            finished = true;
+            if(waiting) {
+                that._runOperations();
+            }
+        });
+        if(!finished) {
+            waiting = true;
+            return;
+        }
+    }
+    this.running = false;
+};
+
+/**
+ * Reads the record of the term 'oid', or null if it is not stored.
+ */
+IndexedDBLexicon.Lexicon.prototype._readTerm = function(oid, callback) {
+    var term = this.terms[oid];
+    if(term !== undefined) {
+        return callback(term);
+    }
+
+    var that = this;
+    this.database.get(IndexedDBLexicon.storeName, 't'+oid, function(record) {
+        if(that.terms[oid] === undefined) {
+            that.cachedTerms++;
+        }
+        that.terms[oid] = (record == null ? null : record);
+        callback(that.terms[oid]);
+    });
+};
+
+IndexedDBLexicon.Lexicon.prototype._writeTerm = function(oid, term) {
+    if(this.terms[oid] === undefined) {
+        this.cachedTerms++;
+    }
+    this.terms[oid] = term;
+    this.database.put(IndexedDBLexicon.storeName, 't'+oid, term);
+};
+
+/**
+ * Reads the OID of a URI, 'u' key, or a literal, 'l' key, or -1
+ * if the term is not stored.
+ */
+IndexedDBLexicon.Lexicon.prototype._readKey = function(key, callback) {
+    var oid = this.keys[key];
+    if(oid !== undefined) {
+        return callback(oid);
+    }
+
+    var that = this;
+    this.database.get(IndexedDBLexicon.storeName, key, function(record) {
+        if(that.keys[key] === undefined) {
+            that.cachedTerms++;
+        }
+        that.keys[key] = (record == null ? -1 : record);
+        callback(that.keys[key]);
+    });
+};
+
+IndexedDBLexicon.Lexicon.prototype._writeKey = function(key, oid) {
+    if(this.keys[key] === undefined) {
+        this.cachedTerms++;
+    }
+    this.keys[key] = oid;
+    if(oid === -1) {
+        this.database.delete(IndexedDBLexicon.storeName, key);
+    } else {
+        this.database.put(IndexedDBLexicon.storeName, key, oid);
+    }
+};
+
+IndexedDBLexicon.Lexicon.prototype._allocate = function(term) {
+    var oid;
+    if(this.freeOIDs.length > 0) {
+        oid = this.freeOIDs.pop();
+    } else {
+        oid = this.oidCounter;
+        this.oidCounter++;
+    }
+    term.references = 1;
+    this._writeTerm(oid, term);
+    this._saveState();
+    return oid;
+};
+
+IndexedDBLexicon.Lexicon.prototype._release = function(oid, term) {
+    term.references--;
+    if(term.references === 0) {
+        if(term.kind === Lexicon.URI) {
+            this._writeKey('u'+term.value, -1);
+            if(this.graphs[oid] != null) {
+                // in case this URI is a graph identifier
+                delete this.graphs[oid];
+            }
+        } else if(term.kind !== Lexicon.BLANK) {
+            this._writeKey('l'+this._lexicalForm(term), -1);
+        }
+        this.terms[oid] = null;
+        this.database.delete(IndexedDBLexicon.storeName, 't'+oid);
+        this.freeOIDs.push(oid);
+        this._saveState();
+    } else {
+        this._writeTerm(oid, term);
+    }
+};
+
+IndexedDBLexicon.Lexicon.prototype._lexicalForm = function(term) {
+    if(term.form != null) {
+        return term.form;
+    } else if(term.kind === Lexicon.LANG_LITERAL) {
+        return '"'+term.value+'"@'+term.tag;
+    } else if(term.kind === Lexicon.TYPED_LITERAL) {
+        return '"'+term.value+'"^^<'+term.tag+'>';
+    } else {
+        return '"'+term.value+'"';
+    }
+};
+
+/**
+ * Adds a reference to the term with the provided key, allocating
+ * an OID built by 'build' if the term is not stored.
+ */
+IndexedDBLexicon.Lexicon.prototype._register = function(key, build, callback) {
+    var that = this;
+    this._enqueue(function(next) {
+        that._readKey(key, function(oid) {
+            if(oid === -1) {
+                oid = that._allocate(build());
+                that._writeKey(key, oid);
+                next();
+                callback(oid);
+            } else {
+                that._readTerm(oid, function(term) {
+                    term.references++;
+                    that._writeTerm(oid, term);
+                    next();
+                    callback(oid);
+                });
+            }
+        });
+    });
+};
+
+/**
+ * Passes the OID of the term with the provided key and the number
+ * of quads referencing it, or -1 and 0 if it is not stored.
+ */
+IndexedDBLexicon.Lexicon.prototype._resolve = function(key, callback) {
+    var that = this;
+    this._enqueue(function(next) {
+        that._readKey(key, function(oid) {
+            if(oid === -1) {
+                next();
+                callback(-1, 0);
+            } else {
+                that._readTerm(oid, function(term) {
+                    next();
+                    callback(oid, term.references);
+                });
+            }
+        });
+    });
+};
+
+IndexedDBLexicon.Lexicon.prototype.registerGraph = function(oid, callback) {
+    if(oid == this.defaultGraphOid) {
+        return callback(true);
+    }
+    var that = this;
+    this._enqueue(function(next) {
+        that._readTerm(oid, function(term) {
+            if(that.graphs[oid] == null) {
+                that.graphs[oid] = term.value;
+                that._saveState();
+            }
+            next();
+            callback(true);
+        });
+    });
+};
+
+IndexedDBLexicon.Lexicon.prototype.registeredGraphs = function(shouldReturnUris, callback) {
+    var acum = [];
+    for(var g in this.graphs) {
+        if(shouldReturnUris === true) {
+            acum.push(this.graphs[g]);
+        } else {
+            acum.push(g);
+        }
+    }
+    callback(acum);
+};
+
+IndexedDBLexicon.Lexicon.prototype.registerUri = function(uri, callback) {
+    if(uri === this.defaultGraphUri) {
+        return callback(this.defaultGraphOid);
+    }
+    this._register('u'+uri, function() {
+        return {kind: Lexicon.URI, value: uri};
+    }, callback);
+};
+
+IndexedDBLexicon.Lexicon.prototype.resolveUri = function(uri, callback) {
+    if(uri === this.defaultGraphUri) {
+        return callback(this.defaultGraphOid, 0);
+    }
+    this._resolve('u'+uri, callback);
+};
+
+IndexedDBLexicon.Lexicon.prototype.resolveUriCost = function(uri, callback) {
+    this.resolveUri(uri, function(oid, references) {
+        callback(oid === -1 ? -1 : Math.max(references - 1, 0));
+    });
+};
+
+IndexedDBLexicon.Lexicon.prototype.registerLiteral = function(literal, callback) {
+    var that = this;
+    this._register('l'+literal, function() {
+        var parsed = that.parseLiteral(literal);
+        var term = {kind: Lexicon.LITERAL, value: parsed.value};
+        if(parsed.lang != null) {
+            term.kind = Lexicon.LANG_LITERAL;
+            term.tag = parsed.lang;
+        } else if(parsed.type != null) {
+            term.kind = Lexicon.TYPED_LITERAL;
+            term.tag = parsed.type;
+        }
+        if(that._lexicalForm(term) !== literal) {
+            term.form = literal;
+        }
+        return term;
+    }, callback);
+};
+
+IndexedDBLexicon.Lexicon.prototype.resolveLiteral = function(literal, callback) {
+    this._resolve('l'+literal, callback);
+};
+
+IndexedDBLexicon.Lexicon.prototype.resolveLiteralCost = function(literal, callback) {
+    this.resolveLiteral(literal, function(oid, references) {
+        callback(oid === -1 ? 0 : references - 1);
+    });
+};
+
+IndexedDBLexicon.Lexicon.prototype.registerBlank = function(label, callback) {
+    var that = this;
+    this._enqueue(function(next) {
+        var oid = that._allocate({kind: Lexicon.BLANK});
+        next();
+        callback(""+oid);
+    });
+};
+
+/**
+ * Adds a reference to the blank node 'oid' for a new quad.
+ */
+IndexedDBLexicon.Lexicon.prototype.referenceBlank = function(oid, callback) {
+    var that = this;
+    this._enqueue(function(next) {
+        that._readTerm(oid, function(term) {
+            if(term != null && term.kind === Lexicon.BLANK) {
+                term.references++;
+                that._writeTerm(oid, term);
+            } else {
+                oid = parseInt(oid);
+                var free = that.freeOIDs.indexOf(oid);
+                if(free !== -1) {
+                    that.freeOIDs.splice(free, 1);
+                }
+                if(oid >= that.oidCounter) {
+                    that.oidCounter = oid + 1;
+                }
+                that._writeTerm(oid, {kind: Lexicon.BLANK, references: 1});
+                that._saveState();
+            }
+            next();
+            callback(true);
+        });
+    });
+};
+
+/**
+ * Blank nodes in queries match any term. The value returned is a
+ * string, that the indices treat as a variable.
+ */
+IndexedDBLexicon.Lexicon.prototype.resolveBlank = function(label, callback) {
+    callback("b:"+label);
+};
+
+IndexedDBLexicon.Lexicon.prototype.resolveBlankCost = function(label, callback) {
+    callback(0);
+};
+
+IndexedDBLexicon.Lexicon.prototype.parseLiteral = Lexicon.Lexicon.prototype.parseLiteral;
+
+IndexedDBLexicon.Lexicon.prototype.parseUri = Lexicon.Lexicon.prototype.parseUri;
+
+IndexedDBLexicon.Lexicon.prototype.retrieve = function(oid, callback) {
+    if(oid == this.defaultGraphOid) {
+        return callback({ token: "uri",
+                          value:this.defaultGraphUri,
+                          prefix: null,
+                          suffix: null,
+                          defaultGraph: true });
+    }
+
+    var that = this;
+    this._enqueue(function(next) {
+        that._readTerm(oid, function(term) {
+            next();
+            if(term == null) {
+                callback(null);
+            } else if(term.kind === Lexicon.URI) {
+                callback({token: "uri", value: term.value});
+            } else if(term.kind === Lexicon.LITERAL) {
+                callback({token: "literal", value: term.value});
+            } else if(term.kind === Lexicon.LANG_LITERAL) {
+                callback({token: "literal", value: term.value, lang: term.tag});
+            } else if(term.kind === Lexicon.TYPED_LITERAL) {
+                callback({token: "literal", value: term.value, type: term.tag});
+            } else {
+                callback({token: "blank", value: "_:"+oid});
+            }
+        });
+    });
+};
+
+/**
+ * Removes a reference to every term of the quad, the callback
+ * receives false if a term is not registered with the kind of
+ * the component of the quad.
+ */
+IndexedDBLexicon.Lexicon.prototype.unregister = function(quad, key, callback) {
+    var that = this;
+    var components = ['subject', 'predicate', 'object', 'graph'];
+    var success = true;
+    this._enqueue(function(next) {
+        Utils.repeat(0, components.length, function(k, e) {
+            var floop = arguments.callee;
+            var component = components[e._i];
+            if(quad[component] == null || (quad[component].token === 'uri' && key[component] == that.defaultGraphOid)) {
+                return k(floop, e);
+            }
+            that._readTerm(key[component], function(term) {
+                var kind = quad[component].token;
+                if(term == null || (kind === 'uri') !== (term.kind === Lexicon.URI) ||
+                   (kind === 'blank') !== (term.kind === Lexicon.BLANK)) {
+                    success = false;
+                } else {
+                    that._release(parseInt(key[component]), term);
+                }
+                k(floop, e);
+            });
+        }, function(e) {
+            next();
+            callback(success);
+        });
+    });
+};
+
+IndexedDBLexicon.Lexicon.prototype.clear = function(callback) {
+    var that = this;
+    this._enqueue(function(next) {
+        that.database.clear(IndexedDBLexicon.storeName);
+        that._initState();
+        next();
+        callback();
+    });
+};
+
+/**
+ * The terms are written by the database of the lexicon, the callback
+ * is invoked once the previous operations have finished.
+ */
+IndexedDBLexicon.Lexicon.prototype.close = function(callback) {
+    this._enqueue(function(next) {
+        next();
+        callback();
+    });
+};
+
+/**
+ * Checks that every OID in the quads is registered in the lexicon
+ * with a reference counter not lower than its number of occurrences.
+ * The callback receives the list of errors found.
+ */
+IndexedDBLexicon.Lexicon.prototype.checkIntegrity = function(quads, callback) {
+    var errors = [];
+    var occurrences = {};
+    var components = ['subject', 'predicate', 'object', 'graph'];
+    for(var i=0; i<quads.length; i++) {
+        for(var j=0; j<components.length; j++) {
+            var oid = quads[i][components[j]];
+            if(oid === this.defaultGraphOid) {
+                continue;
+            }
+            var key = (typeof(oid) === 'string' ? 'b' : 'n') + oid;
+            occurrences[key] = (occurrences[key] || 0) + 1;
+        }
+    }
+
+    var that = this;
+    var keys = Utils.keys(occurrences);
+    for(var graph in this.graphs) {
+        keys.push('g'+graph);
+    }
+    this._enqueue(function(next) {
+        Utils.repeat(0, keys.length, function(k, e) {
+            var floop = arguments.callee;
+            var key = keys[e._i];
+            var oid = key.substring(1);
+            that._readTerm(oid, function(term) {
+                var kind = (term == null ? null : term.kind);
+                if(key[0] === 'g') {
+                    if(kind !== Lexicon.URI) {
+                        errors.push("Graph OID "+oid+" is not registered in the lexicon");
+                    }
+                    return k(floop, e);
+                } else if(key[0] === 'b') {
+                    if(kind !== Lexicon.BLANK) {
+                        errors.push("Blank node OID "+oid+" is not registered in the lexicon");
+                        return k(floop, e);
+                    }
+                } else if(kind == null || kind === Lexicon.BLANK) {
+                    errors.push("OID "+oid+" is not registered in the lexicon");
+                    return k(floop, e);
+                }
+                if(term.references < occurrences[key]) {
+                    errors.push("OID "+oid+" is used "+occurrences[key]+" times but its reference counter is "+term.references);
+                }
+                if(kind === Lexicon.BLANK) {
+                    return k(floop, e);
+                }
+                that._readKey((kind === Lexicon.URI ? 'u'+term.value : 'l'+that._lexicalForm(term)), function(registered) {
+                    if(""+registered !== oid) {
+                        errors.push("OID "+oid+" does not match the OID registered for its value");
+                    }
+                    k(floop, e);
+                });
+            });
+        }, function(e) {
+            next();
+            callback(errors);
+        });
+    });
+};
@@ -0,0 +1,248 @@
+// exports
+exports.IndexedDBQuadIndex = {};
+var IndexedDBQuadIndex = exports.IndexedDBQuadIndex;
+
+// imports
+var Utils = require("./../../js-trees/src/utils").Utils;
+var QuadIndexCommon = require("./quad_index_common").QuadIndexCommon;
+var QuadIndex = require("./quad_index_async").QuadIndex;
+
+/**
+ * Maximum number of nodes kept in memory by an index
+ * between two operations.
+ */
+IndexedDBQuadIndex.cacheMaxSize = 1000;
+
+/**
+ * Quad index whose nodes are stored in the object store 'storeName'
+ * of an IndexedDBStorage.Database, one record for every node and a
+ * 'root' record with the key of the root node.
+ * Nodes are read from the database when the tree reaches them.
+ * The operations of the index are executed one after the other,
+ * so the nodes being read and modified are never shared by two
+ * operations.
+ *
+ * @param params: order, componentOrder, database, storeName and cacheMaxSize
+ */
+IndexedDBQuadIndex.Tree = function(params, callback) {
+    if(arguments.length != 0) {
+        this.database = params.database;
+        this.storeName = params.storeName;
+        this.cacheMaxSize = (params.cacheMaxSize || IndexedDBQuadIndex.cacheMaxSize);
+        this.nodeCounter = 0;
+        this.nodes = {};
+        this.cachedNodes = 0;
+        this.operations = [];
+        this.running = false;
+
+        var that = this;
+        this.database.get(this.storeName, 'root', function(record) {
+            if(record == null) {
+                QuadIndex.Tree.call(that, params, callback);
+            } else {
+                that.order = params.order;
+                that.componentOrder = params.componentOrder;
+                that.comparator = QuadIndex.comparator;
+                that.rangeComparator = QuadIndex.rangeComparator;
+                that.merger = null;
+                that.nodeCounter = record.nodeCounter;
+                that._diskRead(record.nodeKey, function(root) {
+                    that.root = root;
+                    callback(that);
+                });
+            }
+        });
+    }
+};
+
+Utils.extends(QuadIndex.Tree, IndexedDBQuadIndex.Tree);
+
+IndexedDBQuadIndex.Tree.prototype._allocateNode = function() {
+    var node = QuadIndex.Tree.prototype._allocateNode.call(this);
+    node.nodeKey = this.nodeCounter;
+    this.nodeCounter++;
+    this._cacheNode(node);
+    return node;
+};
+
+IndexedDBQuadIndex.Tree.prototype._cacheNode = function(node) {
+    if(this.nodes[node.nodeKey] == null) {
+        this.cachedNodes++;
+    }
+    this.nodes[node.nodeKey] = node;
+};
+
+IndexedDBQuadIndex.Tree.prototype._diskWrite = function(node, callback) {
+    this.database.put(this.storeName, node.nodeKey, this._serializeNode(node));
+    // the root can change without a call to _updateRootNode
+    this._updateRootNode(node, callback);
+};
+
+/**
+ * Returns the node with the provided key, or the node itself.
+ * Nodes already in memory are returned without reading them, so
+ * the tree always modifies the same copy of a node.
+ */
+IndexedDBQuadIndex.Tree.prototype._diskRead = function(nodeOrKey, callback) {
+    var nodeKey = (typeof(nodeOrKey) === 'object' ? nodeOrKey.nodeKey : nodeOrKey);
+    var node = this.nodes[nodeKey];
+    if(node != null) {
+        return callback(node);
+    }
+
+    var that = this;
+    this.database.get(this.storeName, nodeKey, function(record) {
+        // the node could have been read by another request meanwhile
+        if(that.nodes[nodeKey] == null) {
+            that._cacheNode(that._deserializeNode(nodeKey, record));
+        }
+        callback(that.nodes[nodeKey]);
+    });
+};
+
+IndexedDBQuadIndex.Tree.prototype._diskDelete = function(node, callback) {
+    if(this.nodes[node.nodeKey] != null) {
+        delete this.nodes[node.nodeKey];
+        this.cachedNodes--;
+    }
+    this.database.delete(this.storeName, node.nodeKey);
+    callback();
+};
+
+IndexedDBQuadIndex.Tree.prototype._updateRootNode = function(node, callback) {
+    var that = this;
+    this.database.put(this.storeName, 'root', function() {
+        return {nodeKey: that.root.nodeKey, nodeCounter: that.nodeCounter};
+    });
+    callback(node);
+};
+
+/**
+ * Runs the operation once the previous operations of the index
+ * have finished. The nodes in memory are released between
+ * operations if there are more than cacheMaxSize.
+ */
+IndexedDBQuadIndex.Tree.prototype._enqueue = function(operation) {
+    this.operations.push(operation);
+    if(this.running === false) {
+        this._runOperations();
+    }
+};
+
+IndexedDBQuadIndex.Tree.prototype._runOperations = function() {
+    if(this.operations.length === 0) {
+        this.running = false;
+        return;
+    }
+    this.running = true;
+    if(this.cachedNodes > this.cacheMaxSize) {
+        // the root references its children by key, so the
+        // rest of the nodes can be released
+        for(var i=0; i<this.root.children.length; i++) {
+            if(this.root.children[i] != null && typeof(this.root.children[i]) === 'object') {
+                this.root.children[i] = this.root.children[i].nodeKey;
+            }
+        }
+        this.nodes = {};
+        this.cachedNodes = 0;
+        this._cacheNode(this.root);
+    }
+
+    var that = this;
+    var operation = this.operations.shift();
+    operation(function() {
+        setTimeout(function() {
+            that._runOperations();
+        }, 0);
+    });
+};
+
+IndexedDBQuadIndex.Tree.prototype.insert = function(quad, callback) {
+    var that = this;
+    this._enqueue(function(next) {
+        QuadIndex.Tree.prototype.insert.call(that, quad, function(result) {
+            next();
+            callback(result);
+        });
+    });
+};
+
+IndexedDBQuadIndex.Tree.prototype.search = function(quad, callback) {
+    var that = this;
+    this._enqueue(function(next) {
+        QuadIndex.Tree.prototype.search.call(that, quad, function(result) {
+            next();
+            callback(result);
+        });
+    });
+};
+
+IndexedDBQuadIndex.Tree.prototype.range = function(pattern, callback) {
+    var that = this;
+    this._enqueue(function(next) {
+        QuadIndex.Tree.prototype.range.call(that, pattern, function(quads) {
+            next();
+            callback(quads);
+        });
+    });
+};
+
+IndexedDBQuadIndex.Tree.prototype.delete = function(quad, callback) {
+    var that = this;
+    this._enqueue(function(next) {
+        QuadIndex.Tree.prototype.delete.call(that, quad, function(result) {
+            next();
+            callback(result);
+        });
+    });
+};
+
+/**
+ * Removes all the nodes of the index.
+ */
+IndexedDBQuadIndex.Tree.prototype.clear = function(callback) {
+    var that = this;
+    this._enqueue(function(next) {
+        that.database.clear(that.storeName);
+        that.nodes = {};
+        that.cachedNodes = 0;
+        that.nodeCounter = 0;
+        QuadIndex.Tree.prototype.clear.call(that, function() {
+            next();
+            callback();
+        });
+    });
+};
+
+IndexedDBQuadIndex.Tree.prototype._serializeNode = function(node) {
+    var keys = [];
+    var children = [];
+    for(var i=0; i<node.numberActives; i++) {
+        var key = node.keys[i].key;
+        keys.push([key.subject, key.predicate, key.object, key.graph]);
+    }
+    if(node.isLeaf === false) {
+        for(var i=0; i<=node.numberActives; i++) {
+            var child = node.children[i];
+            children.push(typeof(child) === 'object' ? child.nodeKey : child);
+        }
+    }
+
+    return {isLeaf: node.isLeaf, level: node.level, keys: keys, children: children};
+};
+
+IndexedDBQuadIndex.Tree.prototype._deserializeNode = function(nodeKey, record) {
+    var node = QuadIndex.Tree.prototype._allocateNode.call(this);
+    node.nodeKey = parseInt(nodeKey);
+    node.isLeaf = record.isLeaf;
+    node.level = record.level;
+    node.numberActives = record.keys.length;
+    for(var i=0; i<record.keys.length; i++) {
+        var key = record.keys[i];
+        node.keys[i] = {key: new QuadIndexCommon.NodeKey({subject: key[0], predicate: key[1], object: key[2], graph: key[3]}), data: null};
+    }
+    for(var i=0; i<record.children.length; i++) {
+        node.children[i] = record.children[i];
+    }
+    return node;
+};
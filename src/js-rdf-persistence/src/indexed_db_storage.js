@@ -0,0 +1,260 @@
+// exports
+exports.IndexedDBStorage = {};
+var IndexedDBStorage = exports.IndexedDBStorage;
+
+// imports
+var FakeIndexedDB = require("./fake_indexed_db").FakeIndexedDB;
+
+/**
+ * Version of the IndexedDB databases created by the store.
+ */
+IndexedDBStorage.VERSION = 1;
+
+/**
+ * Returns the IndexedDB implementation of the environment or
+ * an in memory implementation if there is none available.
+ */
+IndexedDBStorage.defaultFactory = function() {
+    try {
+        if(typeof(indexedDB) !== 'undefined' && indexedDB != null) {
+            return indexedDB;
+        }
+    } catch(e) { }
+
+    return FakeIndexedDB.factory;
+};
+
+/**
+ * Connection to an IndexedDB database with one object store
+ * for every name in 'storeNames'.
+ * Writes are queued and committed asynchronously in a single
+ * transaction, successive writes of the same key before the
+ * transaction is started are merged.
+ *
+ * @param params: name, indexedDB and storeNames
+ */
+IndexedDBStorage.Database = function(params, callback) {
+    if(arguments.length != 0) {
+        this.name = params['name'];
+        this.storeNames = params['storeNames'];
+        this.pending = {};
+        this.cleared = {};
+        // writes of the transaction being committed
+        this.committing = null;
+        this.flushScheduled = false;
+        this.flushing = false;
+        this.waiting = [];
+        this.held = 0;
+
+        var factory = params['indexedDB'] || IndexedDBStorage.defaultFactory();
+        var request = factory.open(this.name, IndexedDBStorage.VERSION);
+        var that = this;
+        request.onupgradeneeded = function(event) {
+            var db = event.target.result;
+            for(var i=0; i<that.storeNames.length; i++) {
+                if(!db.objectStoreNames.contains(that.storeNames[i])) {
+                    db.createObjectStore(that.storeNames[i]);
+                }
+            }
+        };
+        request.onsuccess = function(event) {
+            that.db = event.target.result;
+            callback(that);
+        };
+        request.onerror = function(event) {
+            throw new Error("Error opening IndexedDB database "+that.name+": "+event.target.error);
+        };
+    }
+};
+
+/**
+ * Retrieves all the records of the object store as a hash
+ * from keys to values.
+ */
+IndexedDBStorage.Database.prototype.load = function(storeName, callback) {
+    var records = {};
+    var request = this.db.transaction([storeName], 'readonly').objectStore(storeName).openCursor();
+    request.onsuccess = function(event) {
+        var cursor = event.target.result;
+        if(cursor) {
+            records[cursor.key] = cursor.value;
+            cursor['continue']();
+        } else {
+            callback(records);
+        }
+    };
+    request.onerror = function(event) {
+        throw new Error("Error loading object store "+storeName+": "+event.target.error);
+    };
+};
+
+/**
+ * Retrieves the value stored with the provided key, or undefined
+ * if there is none. Queued writes of the key are taken into account.
+ */
+IndexedDBStorage.Database.prototype.get = function(storeName, key, callback) {
+    // the queued writes are indexed by the key as a string
+    key = "" + key;
+    var queues = [{pending: this.pending, cleared: this.cleared}];
+    if(this.committing != null) {
+        queues.push(this.committing);
+    }
+    for(var i=0; i<queues.length; i++) {
+        var operation = (queues[i].pending[storeName] || {})[key];
+        if(operation != null) {
+            if(operation.deleted === true) {
+                return callback(undefined);
+            } else if(typeof(operation.value) === 'function') {
+                return callback(operation.value());
+            } else {
+                return callback(operation.value);
+            }
+        } else if(queues[i].cleared[storeName] === true) {
+            return callback(undefined);
+        }
+    }
+
+    var request = this.db.transaction([storeName], 'readonly').objectStore(storeName).get(key);
+    request.onsuccess = function(event) {
+        callback(event.target.result);
+    };
+    request.onerror = function(event) {
+        throw new Error("Error reading object store "+storeName+": "+event.target.error);
+    };
+};
+
+/**
+ * Stores the value with the provided key. The value can be a
+ * function, it will be invoked to obtain the value when the write
+ * is committed, so the last version of the data is stored.
+ */
+IndexedDBStorage.Database.prototype.put = function(storeName, key, value) {
+    this._pendingFor(storeName)[key] = {value: value};
+    this._scheduleFlush();
+};
+
+IndexedDBStorage.Database.prototype.delete = function(storeName, key) {
+    this._pendingFor(storeName)[key] = {deleted: true};
+    this._scheduleFlush();
+};
+
+IndexedDBStorage.Database.prototype.clear = function(storeName) {
+    this.cleared[storeName] = true;
+    this.pending[storeName] = {};
+    this._scheduleFlush();
+};
+
+IndexedDBStorage.Database.prototype._pendingFor = function(storeName) {
+    if(this.pending[storeName] == null) {
+        this.pending[storeName] = {};
+    }
+    return this.pending[storeName];
+};
+
+/**
+ * Delays the commit of the writes until release is invoked, so
+ * the writes of a store transaction are committed together.
+ */
+IndexedDBStorage.Database.prototype.hold = function() {
+    this.held++;
+};
+
+IndexedDBStorage.Database.prototype.release = function() {
+    this.held--;
+    if(this.held === 0) {
+        this._scheduleFlush();
+    }
+};
+
+IndexedDBStorage.Database.prototype._scheduleFlush = function() {
+    if(this.flushScheduled === false && this.held === 0) {
+        this.flushScheduled = true;
+        var that = this;
+        setTimeout(function() {
+            that.flush();
+        }, 0);
+    }
+};
+
+/**
+ * Commits all the queued writes. The callback is invoked once
+ * all the writes queued before and during the commit have been
+ * stored, it receives false if the transaction fails.
+ */
+IndexedDBStorage.Database.prototype.flush = function(callback) {
+    if(callback != null) {
+        this.waiting.push(callback);
+    }
+    this.flushScheduled = false;
+    if(this.flushing === true || this.held > 0) {
+        return;
+    }
+
+    var storeNames = [];
+    for(var storeName in this.pending) {
+        storeNames.push(storeName);
+    }
+    if(storeNames.length === 0) {
+        var waiting = this.waiting;
+        this.waiting = [];
+        for(var i=0; i<waiting.length; i++) {
+            waiting[i](true);
+        }
+        return;
+    }
+
+    var pending = this.pending;
+    var cleared = this.cleared;
+    this.pending = {};
+    this.cleared = {};
+    this.committing = {pending: pending, cleared: cleared};
+    this.flushing = true;
+
+    var that = this;
+    var transaction = this.db.transaction(storeNames, 'readwrite');
+    transaction.oncomplete = function() {
+        that.flushing = false;
+        that.committing = null;
+        that.flush();
+    };
+    transaction.onerror = function() {
+        that.flushing = false;
+        that.committing = null;
+        var waiting = that.waiting;
+        that.waiting = [];
+        for(var i=0; i<waiting.length; i++) {
+            waiting[i](false);
+        }
+    };
+
+    for(var i=0; i<storeNames.length; i++) {
+        var store = transaction.objectStore(storeNames[i]);
+        var operations = pending[storeNames[i]];
+        if(cleared[storeNames[i]] === true) {
+            store.clear();
+        }
+        for(var key in operations) {
+            var operation = operations[key];
+            if(operation.deleted === true) {
+                store.delete(key);
+            } else if(typeof(operation.value) === 'function') {
+                store.put(operation.value(), key);
+            } else {
+                store.put(operation.value, key);
+            }
+        }
+    }
+};
+
+/**
+ * Commits the queued writes and closes the database.
+ */
+IndexedDBStorage.Database.prototype.close = function(callback) {
+    var that = this;
+    this.flush(function(success) {
+        that.db.close();
+        if(callback != null) {
+            callback(success);
+        }
+    });
+};
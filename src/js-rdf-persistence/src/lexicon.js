@@ -4,35 +4,157 @@ var Lexicon = exports.Lexicon;
 
 // imports
 var QuadIndexCommon = require("./quad_index_common").QuadIndexCommon;
+var Utils = require("./../../js-trees/src/utils").Utils;
 
 /**
- * Temporal implementation of the lexicon
+ * Kinds of the terms stored in the lexicon.
  */
+Lexicon.FREE = 0;
+Lexicon.URI = 1;
+Lexicon.BLANK = 2;
+Lexicon.LITERAL = 3;
+Lexicon.LANG_LITERAL = 4;
+Lexicon.TYPED_LITERAL = 5;
 
+/**
+ * Initial number of OIDs allocated in the arrays of the lexicon.
+ */
+Lexicon.initialCapacity = 64;
 
-Lexicon.Lexicon = function(callback){
-    this.uriToOID = {};
-    this.OIDToUri = {};
+/**
+ * Minimum number of free OIDs before the lexicon is compacted.
+ */
+Lexicon.compactionThreshold = 1024;
 
-    this.literalToOID = {};
-    this.OIDToLiteral = {};
+/**
+ * Datatypes of the literals whose native value is kept in the lexicon.
+ */
+Lexicon.nativeTypes = {};
+(function() {
+    var xsd = "http://www.w3.org/2001/XMLSchema#";
+    var integers = ['integer', 'negativeInteger', 'nonPositiveInteger', 'long', 'int', 'short', 'byte',
+                    'nonNegativeInteger', 'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte',
+                    'positiveInteger'];
+    var floats = ['decimal', 'float', 'double'];
+    for(var i=0; i<integers.length; i++) {
+        Lexicon.nativeTypes[xsd+integers[i]] = 'integer';
+    }
+    for(var i=0; i<floats.length; i++) {
+        Lexicon.nativeTypes[xsd+floats[i]] = 'float';
+    }
+    Lexicon.nativeTypes[xsd+'date'] = 'date';
+    Lexicon.nativeTypes[xsd+'dateTime'] = 'date';
+})();
 
-    this.blankToOID = {};
-    this.OIDToBlank = {};
+/**
+ * Dictionary of the terms stored in the quads.
+ * Every term is identified by an OID, an index in the arrays of the
+ * lexicon storing its kind, its value, the language or datatype of
+ * literals, the numeric value of numbers and dates and the number
+ * of quads referencing the term.
+ * The OID of a term is freed when its last reference is removed and
+ * reused by the next term registered.
+ */
+Lexicon.Lexicon = function(callback){
+    this._initTerms(Lexicon.initialCapacity);
 
     this.defaultGraphOid = 0;
 
     this.defaultGraphUri = "https://github.com/antoniogarrote/rdfstore-js#default_graph";
     this.defaultGraphUriTerm = {"token": "uri", "prefix": null, "suffix": null, "value": this.defaultGraphUri, "oid": this.defaultGraphOid};
-    this.oidCounter = 1;
 
     this.knownGraphs = {};
+
+    // sequence number of the last write committed in the write ahead log
+    this.logSequence = 0;
     
     if(callback != null) {
         callback(this);
     }
 };
 
+Lexicon.Lexicon.prototype._initTerms = function(capacity) {
+    this.uriToOID = {};
+    this.literalToOID = {};
+
+    this.kinds = new Uint8Array(capacity);
+    this.references = new Uint32Array(capacity);
+    this.natives = new Float64Array(capacity);
+    this.values = [];
+    this.tags = [];
+    // lexical forms of the literals that can not be rebuilt from their parts
+    this.literalForms = {};
+    this.freeOIDs = [];
+    // blank nodes allocated by resolveBlank, freed if no quad references them
+    this.resolvedBlanks = [];
+    this.termCount = 0;
+    this.oidCounter = 1;
+};
+
+Lexicon.Lexicon.prototype._grow = function(capacity) {
+    var kinds = new Uint8Array(capacity);
+    var references = new Uint32Array(capacity);
+    var natives = new Float64Array(capacity);
+    var length = Math.min(capacity, this.kinds.length);
+    kinds.set(this.kinds.subarray(0, length));
+    references.set(this.references.subarray(0, length));
+    natives.set(this.natives.subarray(0, length));
+    this.kinds = kinds;
+    this.references = references;
+    this.natives = natives;
+};
+
+Lexicon.Lexicon.prototype._allocate = function(kind) {
+    var oid;
+    if(this.freeOIDs.length > 0) {
+        oid = this.freeOIDs.pop();
+    } else {
+        oid = this.oidCounter;
+        this.oidCounter++;
+        if(oid >= this.kinds.length) {
+            this._grow(this.kinds.length * 2);
+        }
+    }
+    this.kinds[oid] = kind;
+    this.references[oid] = 1;
+    this.natives[oid] = NaN;
+    this.termCount++;
+    return oid;
+};
+
+Lexicon.Lexicon.prototype._release = function(oid) {
+    this.references[oid]--;
+    if(this.references[oid] === 0) {
+        var kind = this.kinds[oid];
+        if(kind === Lexicon.URI) {
+            delete this.uriToOID[this.values[oid]];
+            // in case this URI is a graph identifier
+            delete this.knownGraphs[oid];
+        } else if(kind !== Lexicon.BLANK) {
+            delete this.literalToOID[this._lexicalForm(oid)];
+            delete this.literalForms[oid];
+        }
+        this.kinds[oid] = Lexicon.FREE;
+        this.values[oid] = null;
+        this.tags[oid] = null;
+        this.freeOIDs.push(oid);
+        this.termCount--;
+    }
+};
+
+Lexicon.Lexicon.prototype._lexicalForm = function(oid) {
+    var kind = this.kinds[oid];
+    if(this.literalForms[oid] != null) {
+        return this.literalForms[oid];
+    } else if(kind === Lexicon.LANG_LITERAL) {
+        return '"'+this.values[oid]+'"@'+this.tags[oid];
+    } else if(kind === Lexicon.TYPED_LITERAL) {
+        return '"'+this.values[oid]+'"^^<'+this.tags[oid]+'>';
+    } else {
+        return '"'+this.values[oid]+'"';
+    }
+};
+
 Lexicon.Lexicon.prototype.registerGraph = function(oid){
     if(oid != this.defaultGraphOid) {
         this.knownGraphs[oid] = true;
@@ -45,7 +167,7 @@ Lexicon.Lexicon.prototype.registeredGraphs = function(shouldReturnUris) {
 
     for(var g in this.knownGraphs) {
         if(shouldReturnUris === true) {
-            acum.push(this.OIDToUri['u'+g]);
+            acum.push(this.values[g]);
         } else {
             acum.push(g);
         }
@@ -57,19 +179,15 @@ Lexicon.Lexicon.prototype.registerUri = function(uri) {
     if(uri === this.defaultGraphUri) {
         return(this.defaultGraphOid);
     } else if(this.uriToOID[uri] == null){
-        var oid = this.oidCounter;
-        var oidStr = 'u'+oid;
-        this.oidCounter++;
-
-        this.uriToOID[uri] =[oid, 0];
-        this.OIDToUri[oidStr] = uri;
+        var oid = this._allocate(Lexicon.URI);
+        this.values[oid] = uri;
+        this.tags[oid] = null;
+        this.uriToOID[uri] = oid;
 
         return(oid);
     } else {
-        var oidCounter = this.uriToOID[uri];
-        var oid = oidCounter[0];
-        var counter = oidCounter[1] + 1;
-        this.uriToOID[uri] = [oid, counter];
+        var oid = this.uriToOID[uri];
+        this.references[oid]++;
         return(oid);
     }
 };
@@ -78,9 +196,9 @@ Lexicon.Lexicon.prototype.resolveUri = function(uri) {
     if(uri === this.defaultGraphUri) {
         return(this.defaultGraphOid);
     } else {
-        var oidCounter = this.uriToOID[uri];
-        if(oidCounter != null) {
-            return(oidCounter[0]);
+        var oid = this.uriToOID[uri];
+        if(oid != null) {
+            return(oid);
         } else {
             return(-1);
         }
@@ -91,9 +209,9 @@ Lexicon.Lexicon.prototype.resolveUriCost = function(uri) {
     if(uri === this.defaultGraphUri) {
         return(this.defaultGraphOid);
     } else {
-        var oidCounter = this.uriToOID[uri];
-        if(oidCounter != null) {
-            return(oidCounter[1]);
+        var oid = this.uriToOID[uri];
+        if(oid != null) {
+            return(this.references[oid] - 1);
         } else {
             return(-1);
         }
@@ -101,67 +219,95 @@ Lexicon.Lexicon.prototype.resolveUriCost = function(uri) {
 };
 
 Lexicon.Lexicon.prototype.registerBlank = function(label) {
-    var oid = this.oidCounter;
-    this.oidCounter++;
-    var oidStr = ""+oid;
-    this.OIDToBlank[oidStr] = true;
-    return(oidStr);
+    var oid = this._allocate(Lexicon.BLANK);
+    this.values[oid] = null;
+    this.tags[oid] = null;
+    return(""+oid);
 };
 
-Lexicon.Lexicon.prototype.resolveBlank = function(label) {
-//    @todo
-//    this is failing with unicode tests... e.g. kanji2
-
-//    var id = label.split(":")[1];
-//    callback(id);
+/**
+ * Adds a reference to the blank node 'oid' for a new quad.
+ */
+Lexicon.Lexicon.prototype.referenceBlank = function(oid) {
+    this.references[oid]++;
+};
 
-    var oid = this.oidCounter;
-    this.oidCounter++;
+/**
+ * Allocates a blank node not referenced by any quad. It is freed
+ * after the next write unless a quad references it.
+ */
+Lexicon.Lexicon.prototype.resolveBlank = function(label) {
+    var oid = this._allocate(Lexicon.BLANK);
+    this.references[oid] = 0;
+    this.values[oid] = null;
+    this.tags[oid] = null;
+    this.resolvedBlanks.push(oid);
     return(""+oid);
 };
 
+Lexicon.Lexicon.prototype._releaseResolvedBlanks = function() {
+    for(var i=0; i<this.resolvedBlanks.length; i++) {
+        var oid = this.resolvedBlanks[i];
+        if(this.kinds[oid] === Lexicon.BLANK && this.references[oid] === 0) {
+            this.kinds[oid] = Lexicon.FREE;
+            this.freeOIDs.push(oid);
+            this.termCount--;
+        }
+    }
+    this.resolvedBlanks = [];
+};
+
 Lexicon.Lexicon.prototype.resolveBlankCost = function(label) {
     return 0;
 };
 
 Lexicon.Lexicon.prototype.registerLiteral = function(literal) {
     if(this.literalToOID[literal] == null){
-        var oid = this.oidCounter;
-        var oidStr =  'l'+ oid;
-        this.oidCounter++;
-
-        this.literalToOID[literal] = [oid, 0];
-        this.OIDToLiteral[oidStr] = literal;
+        var parsed = this.parseLiteral(literal);
+        var oid;
+        if(parsed.lang != null) {
+            oid = this._allocate(Lexicon.LANG_LITERAL);
+            this.tags[oid] = parsed.lang;
+        } else if(parsed.type != null) {
+            oid = this._allocate(Lexicon.TYPED_LITERAL);
+            this.tags[oid] = parsed.type;
+        } else {
+            oid = this._allocate(Lexicon.LITERAL);
+            this.tags[oid] = null;
+        }
+        this.values[oid] = parsed.value;
+        this._parseNative(oid);
+        if(this._lexicalForm(oid) !== literal) {
+            this.literalForms[oid] = literal;
+        }
+        this.literalToOID[literal] = oid;
 
         return(oid);
     } else {
-        var oidCounter = this.literalToOID[literal];
-        var oid = oidCounter[0];
-        var counter = oidCounter[1] + 1;
-        this.literalToOID[literal] = [oid, counter];
+        var oid = this.literalToOID[literal];
+        this.references[oid]++;
         return(oid);
     }
 };
 
 Lexicon.Lexicon.prototype.resolveLiteral = function (literal) {
-    var oidCounter = this.literalToOID[literal];
-    if (oidCounter != null) {
-        return(oidCounter[0]);
+    var oid = this.literalToOID[literal];
+    if (oid != null) {
+        return(oid);
     } else {
         return(-1);
     }
 };
 
 Lexicon.Lexicon.prototype.resolveLiteralCost = function (literal) {
-    var oidCounter = this.literalToOID[literal];
-    if (oidCounter != null) {
-        return(oidCounter[1]);
+    var oid = this.literalToOID[literal];
+    if (oid != null) {
+        return(this.references[oid] - 1);
     } else {
         return(0);
     }
 };
 
-
 Lexicon.Lexicon.prototype.parseLiteral = function(literalString) {
     var parts = literalString.lastIndexOf("@");
     if(parts!=-1 && literalString[parts-1]==='"' && literalString.substring(parts, literalString.length).match(/^@[a-zA-Z\-]+$/g)!=null) {
@@ -187,58 +333,230 @@ Lexicon.Lexicon.prototype.parseUri = function(uriString) {
 };
 
 Lexicon.Lexicon.prototype.retrieve = function(oid) {
-    try {
-        if(oid === this.defaultGraphOid) {
-            return({ token: "uri", 
-                       value:this.defaultGraphUri,
-                       prefix: null,
-                       suffix: null,
-                       defaultGraph: true });
-        } else {
-          var maybeUri = this.OIDToUri['u'+oid];
-          if(maybeUri != null) {
-              return(this.parseUri(maybeUri));
-          } else {
-              var maybeLiteral = this.OIDToLiteral['l'+oid];
-              if(maybeLiteral != null) {
-                  return(this.parseLiteral(maybeLiteral));
-              } else {
-                  var maybeBlank = this.OIDToBlank[""+oid];
-                  if(maybeBlank != null) {
-                      return({token:"blank", value:"_:"+oid});
-                  } else {
-                      throw("Null value for OID");
-                  }
-              }
-          }
+    if(oid === this.defaultGraphOid) {
+        return({ token: "uri", 
+                 value:this.defaultGraphUri,
+                 prefix: null,
+                 suffix: null,
+                 defaultGraph: true });
+    }
+
+    var kind = this.kinds[oid];
+    if(kind === Lexicon.URI) {
+        return {token: "uri", value: this.values[oid]};
+    } else if(kind === Lexicon.LITERAL) {
+        return {token: "literal", value: this.values[oid]};
+    } else if(kind === Lexicon.LANG_LITERAL) {
+        return {token: "literal", value: this.values[oid], lang: this.tags[oid]};
+    } else if(kind === Lexicon.TYPED_LITERAL) {
+        return {token: "literal", value: this.values[oid], type: this.tags[oid]};
+    } else if(kind === Lexicon.BLANK) {
+        return {token: "blank", value: "_:"+oid};
+    } else {
+        throw new Error("Unknown retrieving OID in lexicon:"+oid);
+    }
+};
+
+/**
+ * Returns the native value of the literal 'oid': a number for the
+ * numeric datatypes of XML Schema, a Date for xsd:date and xsd:dateTime
+ * literals or null for any other term.
+ */
+Lexicon.Lexicon.prototype.nativeValue = function(oid) {
+    if(this.kinds[oid] !== Lexicon.TYPED_LITERAL || isNaN(this.natives[oid])) {
+        return null;
+    } else if(Lexicon.nativeTypes[this.tags[oid]] === 'date') {
+        return new Date(this.natives[oid]);
+    } else {
+        return this.natives[oid];
+    }
+};
+
+Lexicon.Lexicon.prototype._parseNative = function(oid) {
+    var value = this.values[oid];
+    var kind = Lexicon.nativeTypes[this.tags[oid]];
+    this.natives[oid] = NaN;
+    if(kind === 'integer') {
+        this.natives[oid] = parseInt(value);
+    } else if(kind === 'float') {
+        this.natives[oid] = parseFloat(value);
+    } else if(kind === 'date') {
+        try {
+            this.natives[oid] = Utils.parseISO8601(value).getTime();
+        } catch(e) {
+            // not a valid date
         }
-    } catch(e) {
-        console.log("error in lexicon retrieving OID:");
-        console.log(oid);
-        if(e.message || e.stack) {
-            if(e.message) {
-                console.log(e.message); 
-            }
-            if(e.stack) {
-                console.log(e.stack);
-            }
-        } else {
-            console.log(e);
+    }
+};
+
+/**
+ * Returns the terms of the lexicon as an object that can be
+ * stored as JSON by the persistent implementations of the lexicon.
+ */
+Lexicon.Lexicon.prototype.serialize = function() {
+    return {kinds: Array.prototype.slice.call(this.kinds.subarray(0, this.oidCounter)),
+            references: Array.prototype.slice.call(this.references.subarray(0, this.oidCounter)),
+            values: this.values.slice(0, this.oidCounter),
+            tags: this.tags.slice(0, this.oidCounter),
+            literalForms: this.literalForms,
+            knownGraphs: this.knownGraphs,
+            oidCounter: this.oidCounter,
+            logSequence: this.logSequence};
+};
+
+/**
+ * Replaces the terms of the lexicon with the terms returned by
+ * serialize.
+ */
+Lexicon.Lexicon.prototype.deserialize = function(data) {
+    var capacity = Lexicon.initialCapacity;
+    while(capacity < data.oidCounter) {
+        capacity = capacity * 2;
+    }
+    this._initTerms(capacity);
+    this.oidCounter = data.oidCounter;
+    this.logSequence = data.logSequence;
+    this.knownGraphs = {};
+    for(var graph in data.knownGraphs) {
+        this.knownGraphs[graph] = true;
+    }
+    for(var oid in data.literalForms) {
+        this.literalForms[oid] = data.literalForms[oid];
+    }
+
+    for(var oid=1; oid<this.oidCounter; oid++) {
+        var kind = data.kinds[oid];
+        this.kinds[oid] = kind;
+        this.natives[oid] = NaN;
+        if(kind === Lexicon.FREE) {
+            continue;
         }
-        throw new Error("Unknown retrieving OID in lexicon:"+oid);
+        this.references[oid] = data.references[oid];
+        this.values[oid] = data.values[oid];
+        this.tags[oid] = data.tags[oid];
+        this.termCount++;
+        if(kind === Lexicon.URI) {
+            this.uriToOID[this.values[oid]] = oid;
+        } else if(kind === Lexicon.TYPED_LITERAL) {
+            this._parseNative(oid);
+            this.literalToOID[this._lexicalForm(oid)] = oid;
+        } else if(kind !== Lexicon.BLANK) {
+            this.literalToOID[this._lexicalForm(oid)] = oid;
+        }
+    }
+    this._collectFreeOIDs();
+};
+
+Lexicon.Lexicon.prototype._collectFreeOIDs = function() {
+    // the lowest OIDs are reused first
+    this.freeOIDs = [];
+    for(var oid=this.oidCounter-1; oid>0; oid--) {
+        if(this.kinds[oid] === Lexicon.FREE) {
+            this.freeOIDs.push(oid);
+        }
+    }
+};
+
+/**
+ * Releases the memory of the terms removed from the lexicon.
+ * The free OIDs at the end of the range of OIDs are discarded
+ * and the arrays and maps of the lexicon are rebuilt with the
+ * size of the remaining terms.
+ */
+Lexicon.Lexicon.prototype.compact = function() {
+    var last = this.oidCounter - 1;
+    while(last > 0 && this.kinds[last] === Lexicon.FREE) {
+        last--;
+    }
+    this.oidCounter = last + 1;
+    this._collectFreeOIDs();
+
+    var capacity = Lexicon.initialCapacity;
+    while(capacity < this.oidCounter) {
+        capacity = capacity * 2;
+    }
+    if(capacity < this.kinds.length) {
+        this._grow(capacity);
+    }
+    this.values.length = Math.min(this.values.length, this.oidCounter);
+    this.tags.length = Math.min(this.tags.length, this.oidCounter);
 
+    var uriToOID = {};
+    for(var uri in this.uriToOID) {
+        uriToOID[uri] = this.uriToOID[uri];
+    }
+    this.uriToOID = uriToOID;
+    var literalToOID = {};
+    for(var literal in this.literalToOID) {
+        literalToOID[literal] = this.literalToOID[literal];
+    }
+    this.literalToOID = literalToOID;
+};
+
+/**
+ * Invoked after every modification of the store.
+ * The blank nodes resolved and not referenced are freed and the
+ * lexicon is compacted once half of its OIDs are free.
+ */
+Lexicon.Lexicon.prototype.updateAfterWrite = function() {
+    this._releaseResolvedBlanks();
+    if(this.freeOIDs.length >= Lexicon.compactionThreshold && this.freeOIDs.length * 2 >= this.oidCounter) {
+        this.compact();
     }
 };
 
 Lexicon.Lexicon.prototype.clear = function() {
-    this.uriToOID = {};
-    this.OIDToUri = {};
+    this._initTerms(Lexicon.initialCapacity);
+};
 
-    this.literalToOID = {};
-    this.OIDToLiteral = {};
+/**
+ * Checks that every OID in the quads is registered in the lexicon
+ * with a reference counter not lower than its number of occurrences.
+ * Returns the list of errors found.
+ */
+Lexicon.Lexicon.prototype.checkIntegrity = function(quads) {
+    var errors = [];
+    var occurrences = {};
+    var components = ['subject', 'predicate', 'object', 'graph'];
+    for(var i=0; i<quads.length; i++) {
+        for(var j=0; j<components.length; j++) {
+            var oid = quads[i][components[j]];
+            if(oid === this.defaultGraphOid) {
+                continue;
+            }
+            var key = (typeof(oid) === 'string' ? 'b' : 'n') + oid;
+            occurrences[key] = (occurrences[key] || 0) + 1;
+        }
+    }
 
-    this.blankToOID = {};
-    this.OIDToBlank = {};
+    for(var key in occurrences) {
+        var oid = key.substring(1);
+        var kind = this.kinds[oid];
+        if(key[0] === 'b') {
+            if(kind !== Lexicon.BLANK) {
+                errors.push("Blank node OID "+oid+" is not registered in the lexicon");
+                continue;
+            }
+        } else if(kind == null || kind === Lexicon.FREE || kind === Lexicon.BLANK) {
+            errors.push("OID "+oid+" is not registered in the lexicon");
+            continue;
+        } else if(""+(kind === Lexicon.URI ? this.uriToOID[this.values[oid]] : this.literalToOID[this._lexicalForm(oid)]) !== oid) {
+            errors.push("OID "+oid+" does not match the OID registered for its value");
+            continue;
+        }
+
+        if(this.references[oid] < occurrences[key]) {
+            errors.push("OID "+oid+" is used "+occurrences[key]+" times but its reference counter is "+this.references[oid]);
+        }
+    }
+
+    for(var graph in this.knownGraphs) {
+        if(this.kinds[graph] !== Lexicon.URI) {
+            errors.push("Graph OID "+graph+" is not registered in the lexicon");
+        }
+    }
+
+    return errors;
 };
 
 Lexicon.Lexicon.prototype.unregister = function (quad, key) {
@@ -257,47 +575,20 @@ Lexicon.Lexicon.prototype.unregister = function (quad, key) {
     }
 };
 
+/**
+ * Removes a reference to the term 'oid', the OID is freed
+ * when the term is not referenced by any quad.
+ */
 Lexicon.Lexicon.prototype.unregisterTerm = function (kind, oid) {
-    if (kind === 'uri') {
-        if (oid != this.defaultGraphOid) {
-            var oidStr = 'u' + oid;
-            var uri = this.OIDToUri[oidStr];     // = uri;
-            var oidCounter = this.uriToOID[uri]; // =[oid, 0];
-
-            var counter = oidCounter[1];
-            if ("" + oidCounter[0] === "" + oid) {
-                if (counter === 0) {
-                    delete this.OIDToUri[oidStr];
-                    delete this.uriToOID[uri];
-                    // delete the graph oid from known graphs
-                    // in case this URI is a graph identifier
-                    delete this.knownGraphs[oid];
-                } else {
-                    this.uriToOID[uri] = [oid, counter - 1];
-                }
-            } else {
-                throw("Not matching OID : " + oid + " vs " + oidCounter[0]);
-            }
-        }
-    } else if (kind === 'literal') {
-        this.oidCounter++;
-        var oidStr = 'l' + oid;
-        var literal = this.OIDToLiteral[oidStr];  // = literal;
-        var oidCounter = this.literalToOID[literal]; // = [oid, 0];
-
-        var counter = oidCounter[1];
-        if ("" + oidCounter[0] === "" + oid) {
-            if (counter === 0) {
-                delete this.OIDToLiteral[oidStr];
-                delete this.literalToOID[literal];
-            } else {
-                this.literalToOID[literal] = [oid, counter - 1];
-            }
-        } else {
-            throw("Not matching OID : " + oid + " vs " + oidCounter[0]);
-        }
-
-    } else if (kind === 'blank') {
-        delete this.OIDToBlank["" + oid];
+    if (kind === 'uri' && oid == this.defaultGraphOid) {
+        return;
+    }
+    var registered = this.kinds[oid];
+    if (registered == null || registered === Lexicon.FREE) {
+        throw new Error("Unknown OID : " + oid);
+    } else if ((kind === 'uri') !== (registered === Lexicon.URI) ||
+               (kind === 'blank') !== (registered === Lexicon.BLANK)) {
+        throw new Error("Not matching OID : " + oid + " is not a " + kind);
     }
+    this._release(parseInt(oid));
 };
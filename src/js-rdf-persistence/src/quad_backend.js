@@ -7,7 +7,10 @@ var QuadBackend = exports.QuadBackend;
 var Utils = require("./../../js-trees/src/utils").Utils;
 var QuadIndexCommon = require("./quad_index_common").QuadIndexCommon;
 var QuadIndex = require("./quad_index").QuadIndex;
+var FileQuadIndex = require("./file_quad_index").FileQuadIndex;
+var WriteAheadLog = require("./write_ahead_log").WriteAheadLog;
 
+QuadBackend.indices = ['SPOG', 'GP', 'OGS', 'POG', 'GSP', 'OS'];
 
 /*
  * "perfect" indices for RDF indexing
@@ -18,12 +21,18 @@ var QuadIndex = require("./quad_index").QuadIndex;
  * POG  (?, p, ?, ?), (?, p, o, ?), (?, p, o, g)
  * GSP  (s, ?, ?, g), (s, p, ?, g)
  * OS   (s, ?, o, ?)
+ *
+ * If the 'engine' option is 'file', every index is stored in
+ * a file in the directory 'path'.
+ * If a WriteAheadLog.Log is passed in the 'log' option, the quads
+ * inserted and deleted are logged before modifying the indices.
  */
 QuadBackend.QuadBackend = function (configuration, callback) {
     if (arguments != 0) {
         this.indexMap = {};
         this.treeOrder = configuration['treeOrder'];
-        this.indices = ['SPOG', 'GP', 'OGS', 'POG', 'GSP', 'OS'];
+        this.log = configuration['log'];
+        this.indices = QuadBackend.indices;
         this.componentOrders = {
             SPOG:['subject', 'predicate', 'object', 'graph'],
             GP:['graph', 'predicate', 'subject', 'object'],
@@ -35,11 +44,18 @@ QuadBackend.QuadBackend = function (configuration, callback) {
 
         for (var i = 0; i < this.indices.length; i++) {
             var indexKey = this.indices[i];
-            this.indexMap[indexKey] = new QuadIndex.Tree({order:this.treeOrder,
-                componentOrder:this.componentOrders[indexKey],
-                persistent:configuration['persistent'],
-                name:(configuration['name'] || "") + indexKey,
-                cacheMaxSize:configuration['cacheMaxSize']});
+            if (configuration['engine'] === 'file') {
+                this.indexMap[indexKey] = new FileQuadIndex.Tree({order:this.treeOrder,
+                    componentOrder:this.componentOrders[indexKey],
+                    path:configuration['path'] + "/" + indexKey + ".idx",
+                    cacheMaxSize:configuration['cacheMaxSize']});
+            } else {
+                this.indexMap[indexKey] = new QuadIndex.Tree({order:this.treeOrder,
+                    componentOrder:this.componentOrders[indexKey],
+                    persistent:configuration['persistent'],
+                    name:(configuration['name'] || "") + indexKey,
+                    cacheMaxSize:configuration['cacheMaxSize']});
+            }
         }
 
         if (callback)
@@ -54,6 +70,102 @@ QuadBackend.QuadBackend.prototype.clear = function() {
         }
 };
 
+/**
+ * Releases the files of the indices stored on disk.
+ */
+QuadBackend.QuadBackend.prototype.close = function(callback) {
+    for(var i=0; i<this.indices.length; i++) {
+        var index = this.indexMap[this.indices[i]];
+        if(index.close != null) {
+            index.close();
+        }
+    }
+    if(callback)
+        callback();
+};
+
+/**
+ * Syncs to disk the files of the indices stored on disk.
+ */
+QuadBackend.QuadBackend.prototype.sync = function() {
+    for(var i=0; i<this.indices.length; i++) {
+        var index = this.indexMap[this.indices[i]];
+        if(index.sync != null) {
+            index.sync();
+        }
+    }
+};
+
+/**
+ * Inserts the quad in the indices missing it if 'present' is true,
+ * or deletes it from the indices containing it otherwise.
+ * It is used to replay the write ahead log.
+ */
+QuadBackend.QuadBackend.prototype.restore = function(quad, present) {
+    for(var i=0; i<this.indices.length; i++) {
+        var index = this.indexMap[this.indices[i]];
+        var found = (index.search(quad) != null);
+        if(present === true && found === false) {
+            index.insert(quad);
+        } else if(present === false && found === true) {
+            index.delete(quad);
+        }
+    }
+};
+
+/**
+ * Checks that all the indices are valid trees containing the same
+ * quads. Returns the quads of the SPOG index and the list of errors found.
+ */
+QuadBackend.QuadBackend.prototype.checkIntegrity = function() {
+    var errors = [];
+    var all = new QuadIndexCommon.Pattern({subject:'subject', predicate:'predicate', object:'object', graph:'graph'});
+    var reference = this.indexMap['SPOG'];
+    var quads = reference.range(all);
+    var quadText = function(quad) {
+        return "("+quad.subject+", "+quad.predicate+", "+quad.object+", "+quad.graph+")";
+    };
+
+    for(var i=0; i<this.indices.length; i++) {
+        var indexKey = this.indices[i];
+        var index = this.indexMap[indexKey];
+        if(index.audit != null) {
+            var problems = index.audit(false);
+            for(var j=0; j<problems.length; j++) {
+                errors.push("Index "+indexKey+" is not a valid tree:"+problems[j]);
+            }
+        }
+        if(index === reference) {
+            continue;
+        }
+
+        var indexQuads = index.range(all);
+        if(indexQuads.length !== quads.length) {
+            errors.push("Index "+indexKey+" contains "+indexQuads.length+" quads, index SPOG contains "+quads.length);
+        }
+        for(var j=0; j<indexQuads.length; j++) {
+            if(reference.search(indexQuads[j]) == null) {
+                errors.push("Quad "+quadText(indexQuads[j])+" of index "+indexKey+" is missing in index SPOG");
+            }
+        }
+        for(var j=0; j<quads.length; j++) {
+            if(index.search(quads[j]) == null) {
+                errors.push("Quad "+quadText(quads[j])+" of index SPOG is missing in index "+indexKey);
+            }
+        }
+    }
+
+    return {quads: quads, errors: errors};
+};
+
+/**
+ * Returns a read only view of the backend with the quads stored
+ * before the changes recorded in the update log of the transaction.
+ */
+QuadBackend.QuadBackend.prototype.snapshot = function(transaction) {
+    return new QuadBackend.Snapshot(this, transaction);
+};
+
 QuadBackend.QuadBackend.prototype._indexForPattern = function (pattern) {
     var indexKey = pattern.indexKey;
     var matchingIndices = this.indices;
@@ -76,6 +188,9 @@ QuadBackend.QuadBackend.prototype._indexForPattern = function (pattern) {
 
 
 QuadBackend.QuadBackend.prototype.index = function (quad, callback) {
+    if (this.log != null)
+        this.log.append(WriteAheadLog.record('index', quad));
+
     for (var i = 0; i < this.indices.length; i++) {
         var indexKey = this.indices[i];
         var index = this.indexMap[indexKey];
@@ -113,6 +228,9 @@ QuadBackend.QuadBackend.prototype.search = function (quad, callback) {
 
 QuadBackend.QuadBackend.prototype.delete = function (quad, callback) {
     var indexKey, index;
+    if (this.log != null)
+        this.log.append(WriteAheadLog.record('delete', quad));
+
     for (var i = 0; i < this.indices.length; i++) {
         indexKey = this.indices[i];
         index = this.indexMap[indexKey];
@@ -125,3 +243,100 @@ QuadBackend.QuadBackend.prototype.delete = function (quad, callback) {
 
     return true;
 };
+
+
+/**
+ * Snapshot
+ *
+ * Read only view of a backend hiding the changes of a transaction.
+ * The first change of every quad in the update log of the transaction
+ * tells if the quad was stored before the transaction started: quads
+ * inserted by the transaction are removed from the results and quads
+ * deleted are added back.
+ */
+QuadBackend.Snapshot = function(backend, transaction) {
+    this.backend = backend;
+    this.transaction = transaction;
+    this.indices = backend.indices;
+    this._reset();
+};
+
+QuadBackend.Snapshot.prototype._reset = function() {
+    this.original = {};
+    this.processed = 0;
+    this.lastChange = null;
+};
+
+QuadBackend.Snapshot.prototype._quadId = function(quad) {
+    return quad.subject+" "+quad.predicate+" "+quad.object+" "+quad.graph;
+};
+
+/**
+ * Records the state before the transaction of the quads changed
+ * since the last invocation. Changes undone by a failed update
+ * are removed from the log, in that case the state is rebuilt.
+ */
+QuadBackend.Snapshot.prototype._update = function() {
+    var changes = (this.transaction.updateLog || []);
+    if(changes.length < this.processed || (this.processed > 0 && changes[this.processed-1] !== this.lastChange)) {
+        this._reset();
+    }
+    for(var i=this.processed; i<changes.length; i++) {
+        var id = this._quadId(changes[i].key);
+        if(this.original[id] == null) {
+            this.original[id] = {key: changes[i].key, stored: changes[i].deleted === true};
+        }
+    }
+    this.processed = changes.length;
+    this.lastChange = (changes.length > 0 ? changes[changes.length-1] : null);
+};
+
+QuadBackend.Snapshot.prototype._indexForPattern = function(pattern) {
+    return this.backend._indexForPattern(pattern);
+};
+
+QuadBackend.Snapshot.prototype.range = function(pattern, callback) {
+    this._update();
+    var quads = [];
+    var current = this.backend.range(pattern);
+    for(var i=0; i<current.length; i++) {
+        var original = this.original[this._quadId(current[i])];
+        if(original == null || original.stored === true) {
+            quads.push(current[i]);
+        }
+    }
+
+    var components = ['subject', 'predicate', 'object', 'graph'];
+    for(var id in this.original) {
+        var original = this.original[id];
+        if(original.stored === true && this.backend.search(original.key) === false) {
+            var matches = true;
+            for(var i=0; i<components.length; i++) {
+                var value = pattern.keyComponents[components[i]];
+                if(value != null && value !== original.key[components[i]]) {
+                    matches = false;
+                    break;
+                }
+            }
+            if(matches) {
+                quads.push(original.key);
+            }
+        }
+    }
+
+    if(callback)
+        callback(quads);
+
+    return quads;
+};
+
+QuadBackend.Snapshot.prototype.search = function(quad, callback) {
+    this._update();
+    var original = this.original[this._quadId(quad)];
+    var result = (original == null ? this.backend.search(quad) : original.stored);
+
+    if(callback)
+        callback(result);
+
+    return result;
+};
@@ -6,7 +6,10 @@ var QuadBackend = exports.QuadBackend;
 // imports
 var Utils = require("./../../js-trees/src/utils").Utils;
 var QuadIndexCommon = require("./quad_index_common").QuadIndexCommon;
-var QuadIndex = require("./quad_index").QuadIndex;
+var QuadIndex = require("./quad_index_async").QuadIndex;
+var IndexedDBQuadIndex = require("./indexed_db_quad_index").IndexedDBQuadIndex;
+
+QuadBackend.indices = ['SPOG', 'GP', 'OGS', 'POG', 'GSP', 'OS'];
 
 
 /*
@@ -18,12 +21,16 @@ var QuadIndex = require("./quad_index").QuadIndex;
  * POG  (?, p, ?, ?), (?, p, o, ?), (?, p, o, g)
  * GSP  (s, ?, ?, g), (s, p, ?, g)
  * OS   (s, ?, o, ?)
+ *
+ * If the 'engine' option is 'indexeddb', every index is stored in
+ * an object store of the IndexedDBStorage.Database 'database'.
  */
 QuadBackend.QuadBackend = function (configuration, callback) {
-    if (arguments != 0) {
+    if (arguments.length != 0) {
         this.indexMap = {};
         this.treeOrder = configuration['treeOrder'];
-        this.indices = ['SPOG', 'GP', 'OGS', 'POG', 'GSP', 'OS'];
+        this.indices = QuadBackend.indices;
+        this.database = configuration['database'];
         this.componentOrders = {
             SPOG:['subject', 'predicate', 'object', 'graph'],
             GP:['graph', 'predicate', 'subject', 'object'],
@@ -36,18 +43,139 @@ QuadBackend.QuadBackend = function (configuration, callback) {
         Utils.repeat(0, this.indices.length, function (k, e) {
             var indexKey = that.indices[e._i];
             var floop = arguments.callee;
-            new QuadIndex.Tree({order:that.treeOrder,
-                    componentOrder:that.componentOrders[indexKey]},
-                function (tree) {
-                    that.indexMap[indexKey] = tree;
-                    k(floop, e);
-                });
+            var params = {order:that.treeOrder,
+                componentOrder:that.componentOrders[indexKey]};
+            var indexCreated = function (tree) {
+                that.indexMap[indexKey] = tree;
+                k(floop, e);
+            };
+            if (configuration['engine'] === 'indexeddb') {
+                params.database = that.database;
+                params.storeName = indexKey;
+                params.cacheMaxSize = configuration['cacheMaxSize'];
+                new IndexedDBQuadIndex.Tree(params, indexCreated);
+            } else {
+                new QuadIndex.Tree(params, indexCreated);
+            }
         }, function (e) {
             callback(that);
         });
     }
 };
 
+QuadBackend.QuadBackend.prototype.clear = function (callback) {
+    var that = this;
+    Utils.repeat(0, this.indices.length, function (k, e) {
+        var floop = arguments.callee;
+        that.indexMap[that.indices[e._i]].clear(function () {
+            k(floop, e);
+        });
+    }, function (e) {
+        callback();
+    });
+};
+
+/**
+ * Closes the IndexedDB database once the pending writes are stored.
+ */
+QuadBackend.QuadBackend.prototype.close = function (callback) {
+    if (this.database != null) {
+        this.database.close(function () {
+            callback();
+        });
+    } else {
+        callback();
+    }
+};
+
+/**
+ * Delays writing the changes of the indices to the IndexedDB
+ * database until releaseWrites is invoked.
+ */
+QuadBackend.QuadBackend.prototype.holdWrites = function () {
+    if (this.database != null) {
+        this.database.hold();
+    }
+};
+
+QuadBackend.QuadBackend.prototype.releaseWrites = function () {
+    if (this.database != null) {
+        this.database.release();
+    }
+};
+
+/**
+ * Checks that every quad of an index can be found in the index
+ * itself and in all the other indices.
+ * The callback receives the quads of the SPOG index and the list
+ * of errors found.
+ */
+QuadBackend.QuadBackend.prototype.checkIntegrity = function (callback) {
+    var errors = [];
+    var all = new QuadIndexCommon.Pattern({subject:'subject', predicate:'predicate', object:'object', graph:'graph'});
+    var reference = this.indexMap['SPOG'];
+    var quadText = function (quad) {
+        return "(" + quad.subject + ", " + quad.predicate + ", " + quad.object + ", " + quad.graph + ")";
+    };
+    var that = this;
+
+    // invokes the callback with the quads that cannot be found in the index
+    var missingQuads = function (index, quads, callback) {
+        var missing = [];
+        Utils.repeat(0, quads.length, function (k, e) {
+            var floop = arguments.callee;
+            index.search(quads[e._i], function (found) {
+                if (found == null) {
+                    missing.push(quads[e._i]);
+                }
+                k(floop, e);
+            });
+        }, function (e) {
+            callback(missing);
+        });
+    };
+
+    reference.range(all, function (quads) {
+        Utils.repeat(0, that.indices.length, function (k, e) {
+            var floop = arguments.callee;
+            var indexKey = that.indices[e._i];
+            var index = that.indexMap[indexKey];
+            index.range(all, function (indexQuads) {
+                Utils.seq(function (k) {
+                    missingQuads(index, indexQuads, function (missing) {
+                        for (var i = 0; i < missing.length; i++) {
+                            errors.push("Index " + indexKey + " is not a valid tree: quad " + quadText(missing[i]) + " cannot be found");
+                        }
+                        k();
+                    });
+                }, function (k) {
+                    if (index === reference) {
+                        return k();
+                    }
+                    if (indexQuads.length !== quads.length) {
+                        errors.push("Index " + indexKey + " contains " + indexQuads.length + " quads, index SPOG contains " + quads.length);
+                    }
+                    missingQuads(reference, indexQuads, function (missing) {
+                        for (var i = 0; i < missing.length; i++) {
+                            errors.push("Quad " + quadText(missing[i]) + " of index " + indexKey + " is missing in index SPOG");
+                        }
+                        missingQuads(index, quads, function (missing) {
+                            for (var i = 0; i < missing.length; i++) {
+                                errors.push("Quad " + quadText(missing[i]) + " of index SPOG is missing in index " + indexKey);
+                            }
+                            k();
+                        });
+                    });
+                })(function () {
+                    k(floop, e);
+                });
+            });
+        }, function (e) {
+            callback({quads: quads, errors: errors});
+        });
+    });
+};
+
 QuadBackend.QuadBackend.prototype._indexForPattern = function (pattern) {
     var indexKey = pattern.indexKey;
     var matchingIndices = this.indices;
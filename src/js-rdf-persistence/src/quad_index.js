@@ -8,43 +8,15 @@ var Utils = require("./../../js-trees/src/utils").Utils;
 var QuadIndexCommon = require("./quad_index_common").QuadIndexCommon;
 
 QuadIndex.Tree = function(params,callback) {
-    if(arguments != 0) {
+    if(arguments.length != 0) {
         this.componentOrder = params.componentOrder;
 
 
-        // @todo change this if using the file backed implementation
+        // file backed indices are implemented by FileQuadIndex.Tree
         BaseTree.Tree.call(this, params.order, params['name'], params['persistent'], params['cacheMaxSize']);
 
-        this.comparator = function (a, b) {
-            for (var i = 0; i < this.componentOrder.length; i++) {
-                var component = this.componentOrder[i];
-                var vala = a[component];
-                var valb = b[component];
-                if (vala < valb) {
-                    return -1;
-                } else if (vala > valb) {
-                    return 1;
-                }
-            }
-            return 0;
-        };
-
-        this.rangeComparator = function (a, b) {
-            for (var i = 0; i < this.componentOrder.length; i++) {
-                var component = this.componentOrder[i];
-                if (b[component] == null || a[component] == null) {
-                    return 0;
-                } else {
-                    if (a[component] < b[component]) {
-                        return -1
-                    } else if (a[component] > b[component]) {
-                        return 1
-                    }
-                }
-            }
-
-            return 0;
-        };
+        this.comparator = QuadIndex.comparator;
+        this.rangeComparator = QuadIndex.rangeComparator;
 
         if(callback!=null) {
             callback(this);
@@ -54,6 +26,45 @@ QuadIndex.Tree = function(params,callback) {
 
 Utils.extends(BaseTree.Tree, QuadIndex.Tree);
 
+/**
+ * Compares two quads using the order of the components
+ * of the index.
+ */
+QuadIndex.comparator = function (a, b) {
+    for (var i = 0; i < this.componentOrder.length; i++) {
+        var component = this.componentOrder[i];
+        var vala = a[component];
+        var valb = b[component];
+        if (vala < valb) {
+            return -1;
+        } else if (vala > valb) {
+            return 1;
+        }
+    }
+    return 0;
+};
+
+/**
+ * Compares a quad with a pattern, variable components
+ * of the pattern match any value.
+ */
+QuadIndex.rangeComparator = function (a, b) {
+    for (var i = 0; i < this.componentOrder.length; i++) {
+        var component = this.componentOrder[i];
+        if (b[component] == null || a[component] == null) {
+            return 0;
+        } else {
+            if (a[component] < b[component]) {
+                return -1
+            } else if (a[component] > b[component]) {
+                return 1
+            }
+        }
+    }
+
+    return 0;
+};
+
 QuadIndex.Tree.prototype.insert = function(quad, callback) {
     BaseTree.Tree.prototype.insert.call(this, quad, null);
     if(callback)
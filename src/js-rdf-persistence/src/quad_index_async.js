@@ -8,49 +8,56 @@ var Utils = require("./../../js-trees/src/utils").Utils;
 var QuadIndexCommon = require("./quad_index_common").QuadIndexCommon;
 
 QuadIndex.Tree = function (params, callback) {
-    if (arguments != 0) {
+    if (arguments.length != 0) {
         this.componentOrder = params.componentOrder;
 
-        // @todo change this if using the file backed implementation
         BaseTree.Tree.call(this, params.order, function (tree) {
-            tree.comparator = function (a, b) {
-                for (var i = 0; i < tree.componentOrder.length; i++) {
-                    var component = tree.componentOrder[i];
-
-                    var vala = a[component];
-                    var valb = b[component];
-
-                    if (vala < valb) {
-                        return -1;
-                    } else if (vala > valb) {
-                        return 1;
-                    }
-                }
-
-                return 0;
-            };
-
-            tree.rangeComparator = function (a, b) {
-                for (var i = 0; i < tree.componentOrder.length; i++) {
-                    var component = tree.componentOrder[i];
-                    if (b[component] == null || a[component] == null) {
-                        return 0;
-                    } else {
-                        if (a[component] < b[component]) {
-                            return -1
-                        } else if (a[component] > b[component]) {
-                            return 1
-                        }
-                    }
-                }
-
-                return 0;
-            };
+            tree.comparator = QuadIndex.comparator;
+            tree.rangeComparator = QuadIndex.rangeComparator;
             callback(tree);
         });
     }
 };
 
+/**
+ * Compares two quads using the order of the components
+ * of the index.
+ */
+QuadIndex.comparator = function (a, b) {
+    for (var i = 0; i < this.componentOrder.length; i++) {
+        var component = this.componentOrder[i];
+        var vala = a[component];
+        var valb = b[component];
+        if (vala < valb) {
+            return -1;
+        } else if (vala > valb) {
+            return 1;
+        }
+    }
+    return 0;
+};
+
+/**
+ * Compares a quad with a pattern, variable components
+ * of the pattern match any value.
+ */
+QuadIndex.rangeComparator = function (a, b) {
+    for (var i = 0; i < this.componentOrder.length; i++) {
+        var component = this.componentOrder[i];
+        if (b[component] == null || a[component] == null) {
+            return 0;
+        } else {
+            if (a[component] < b[component]) {
+                return -1
+            } else if (a[component] > b[component]) {
+                return 1
+            }
+        }
+    }
+
+    return 0;
+};
+
 Utils.extends(BaseTree.Tree, QuadIndex.Tree);
 
 QuadIndex.Tree.prototype.insert = function(quad, callback) {
@@ -65,6 +72,21 @@ QuadIndex.Tree.prototype.search = function(quad, callback) {
     }, true); // true -> check exists : hack only present in the inMemoryAsyncBTree implementation
 };
 
+/**
+ * Removes all the quads of the index.
+ */
+QuadIndex.Tree.prototype.clear = function(callback) {
+    this.root = this._allocateNode();
+    this.root.isLeaf = true;
+    this.root.level = 0;
+    var that = this;
+    this._diskWrite(this.root, function(root) {
+        that._updateRootNode(root, function() {
+            callback();
+        });
+    });
+};
+
 QuadIndex.Tree.prototype.range = function (pattern, callback) {
     this._rangeTraverse(this, this.root, pattern, callback);
 };
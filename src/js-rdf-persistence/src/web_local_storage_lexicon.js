@@ -218,6 +218,18 @@ WebLocalStorageLexicon.Lexicon.prototype.registerBlank = function(label) {
     return(oidStr);
 };
 
+/**
+ * Blank nodes are not reference counted, the OID is only
+ * registered if it was returned by resolveBlank.
+ */
+WebLocalStorageLexicon.Lexicon.prototype.referenceBlank = function(oid) {
+    var oidStr = ""+oid;
+    if(this.OIDToBlank[oidStr] == null) {
+        this.storage.setItem(this.pointer("OIDToBlank",oidStr),true);
+        this.OIDToBlank[oidStr] = true;
+    }
+};
+
 WebLocalStorageLexicon.Lexicon.prototype.resolveBlank = function(label) {
     var oid = this.oidCounter;
     this.oidCounter++;
@@ -0,0 +1,162 @@
+// exports
+exports.WriteAheadLog = {};
+var WriteAheadLog = exports.WriteAheadLog;
+
+// imports
+var QuadIndexCommon = require("./quad_index_common").QuadIndexCommon;
+
+/**
+ * Write ahead log shared by the lexicon and the indices of a
+ * QuadBackend.
+ * The backend appends a record with every quad inserted or deleted
+ * before modifying its indices. The first record of every write
+ * starts a new sequence number. A write is committed when the
+ * lexicon is saved with its sequence number, then the log is emptied.
+ *
+ * @param storage object with the functions append, read, sync and truncate
+ */
+WriteAheadLog.Log = function(storage) {
+    this.storage = storage;
+    this.sequence = 0;
+    this.pending = false;
+};
+
+WriteAheadLog.Log.prototype.append = function(record) {
+    if(this.pending === false) {
+        this.sequence++;
+        this.pending = true;
+        this.storage.append({op: 'begin', sequence: this.sequence});
+    }
+    this.storage.append(record);
+};
+
+/**
+ * Commits the current write. The function 'persist' receives the
+ * sequence number of the write and must save the lexicon with it.
+ */
+WriteAheadLog.Log.prototype.commit = function(persist) {
+    if(this.pending === true) {
+        this.storage.sync();
+    }
+    persist(this.sequence);
+    if(this.pending === true) {
+        this.storage.truncate();
+        this.pending = false;
+    }
+};
+
+/**
+ * Replays the log after the backend and the lexicon have been loaded.
+ * The quads of the writes committed in the lexicon are restored in
+ * all the indices, the changes of any other write are undone.
+ * Returns the number of writes restored and undone.
+ */
+WriteAheadLog.Log.prototype.replay = function(backend, lexicon) {
+    var committed = (lexicon.logSequence || 0);
+    var records = this.storage.read();
+    var writes = [];
+    var write = null;
+    for(var i=0; i<records.length; i++) {
+        if(records[i].op === 'begin') {
+            write = {sequence: records[i].sequence, records: []};
+            writes.push(write);
+        } else if(write != null) {
+            write.records.push(records[i]);
+        }
+    }
+
+    var result = {restored: 0, undone: 0};
+    for(var i=0; i<writes.length; i++) {
+        var changes = writes[i].records;
+        if(writes[i].sequence <= committed) {
+            for(var j=0; j<changes.length; j++) {
+                backend.restore(WriteAheadLog.key(changes[j]), changes[j].op === 'index');
+            }
+            result.restored++;
+        } else {
+            for(var j=changes.length-1; j>=0; j--) {
+                backend.restore(WriteAheadLog.key(changes[j]), changes[j].op !== 'index');
+            }
+            result.undone++;
+        }
+    }
+
+    if(writes.length > 0) {
+        backend.sync();
+    }
+    this.clear(committed);
+
+    return result;
+};
+
+/**
+ * Empties the log. The next write is numbered after 'committed',
+ * the sequence number saved in the lexicon.
+ */
+WriteAheadLog.Log.prototype.clear = function(committed) {
+    this.storage.truncate();
+    this.pending = false;
+    this.sequence = (committed || 0);
+};
+
+WriteAheadLog.Log.prototype.close = function() {
+    if(this.storage.close != null) {
+        this.storage.close();
+    }
+};
+
+/**
+ * Builds the record logged for a quad inserted, 'index', or
+ * deleted, 'delete', from the backend.
+ */
+WriteAheadLog.record = function(op, key) {
+    return {op: op, quad: [key.subject, key.predicate, key.object, key.graph]};
+};
+
+WriteAheadLog.key = function(record) {
+    return new QuadIndexCommon.NodeKey({subject: record.quad[0],
+                                        predicate: record.quad[1],
+                                        object: record.quad[2],
+                                        graph: record.quad[3]});
+};
+
+/**
+ * Log stored in a file, one JSON record per line (Node.js only).
+ * Records are written to the file as soon as they are appended,
+ * the file is synced to disk when the write is committed.
+ * A last line left incomplete by a crash is ignored.
+ */
+WriteAheadLog.FileStorage = function(path) {
+    this.fs = require('fs');
+    this.path = path;
+    this.fd = this.fs.openSync(path, 'a');
+};
+
+WriteAheadLog.FileStorage.prototype.append = function(record) {
+    this.fs.writeSync(this.fd, JSON.stringify(record) + "\n");
+};
+
+WriteAheadLog.FileStorage.prototype.read = function() {
+    var lines = this.fs.readFileSync(this.path, 'utf8').split("\n");
+    var records = [];
+    for(var i=0; i<lines.length; i++) {
+        try {
+            records.push(JSON.parse(lines[i]));
+        } catch(e) {
+            break;
+        }
+    }
+    return records;
+};
+
+WriteAheadLog.FileStorage.prototype.sync = function() {
+    this.fs.fsyncSync(this.fd);
+};
+
+WriteAheadLog.FileStorage.prototype.truncate = function() {
+    this.fs.ftruncateSync(this.fd, 0);
+};
+
+WriteAheadLog.FileStorage.prototype.close = function() {
+    this.fs.closeSync(this.fd);
+};
@@ -0,0 +1,105 @@
+var FileLexicon = require("./../src/file_lexicon").FileLexicon;
+var fs = require("fs");
+var os = require("os");
+
+var lexiconPath = os.tmpdir() + "/rdfstore_file_lexicon_test";
+
+var removeLexicon = function() {
+    if(fs.existsSync(lexiconPath)) {
+        var files = fs.readdirSync(lexiconPath);
+        for(var i=0; i<files.length; i++) {
+            fs.unlinkSync(lexiconPath + "/" + files[i]);
+        }
+        fs.rmdirSync(lexiconPath);
+    }
+};
+
+exports.logAndReload = function(test) {
+    removeLexicon();
+    new FileLexicon.Lexicon(function(lexicon) {
+        lexicon.clear();
+        var snapshotSize = fs.statSync(lexiconPath + "/lexicon.json").size;
+        var uri = lexicon.registerUri("http://test.com/a");
+        var graph = lexicon.registerUri("http://test.com/g");
+        lexicon.registerGraph(graph);
+        var literal = lexicon.registerLiteral('"1"^^<http://www.w3.org/2001/XMLSchema#int>');
+        var blank = lexicon.registerBlank("_:b");
+        lexicon.updateAfterWrite();
+
+        // a write only appends the terms it modifies to the log
+        var logSize = fs.statSync(lexiconPath + "/lexicon.log").size;
+        lexicon.registerUri("http://test.com/a");
+        lexicon.logSequence = 2;
+        lexicon.updateAfterWrite();
+        test.ok(fs.statSync(lexiconPath + "/lexicon.json").size === snapshotSize);
+        var record = fs.readFileSync(lexiconPath + "/lexicon.log", 'utf8').split("\n")[1];
+        test.ok(Object.keys(JSON.parse(record).terms).join(" ") === ""+uri);
+        test.ok(fs.statSync(lexiconPath + "/lexicon.log").size === logSize + record.length + 1);
+
+        lexicon.unregisterTerm('uri', graph);
+        lexicon.unregisterTerm('uri', uri);
+        lexicon.close();
+
+        new FileLexicon.Lexicon(function(lexicon) {
+            test.ok(lexicon.termCount === 3);
+            test.ok(lexicon.logSequence === 2);
+            test.ok(lexicon.resolveUriCost("http://test.com/a") === 0);
+            test.ok(lexicon.resolveUri("http://test.com/g") === -1);
+            test.ok(lexicon.registeredGraphs(true).length === 0);
+            test.ok(lexicon.resolveLiteral('"1"^^<http://www.w3.org/2001/XMLSchema#int>') === literal);
+            test.ok(lexicon.nativeValue(literal) === 1);
+            test.ok(lexicon.retrieve(blank).token === 'blank');
+            // the OID of the removed graph is reused
+            test.ok(lexicon.registerUri("http://test.com/b") === graph);
+            lexicon.close();
+
+            // a record left incomplete by a crash is discarded
+            fs.appendFileSync(lexiconPath + "/lexicon.log", '{"terms":{"'+uri+'":[0]');
+            new FileLexicon.Lexicon(function(lexicon) {
+                test.ok(lexicon.resolveUri("http://test.com/a") === uri);
+                test.ok(lexicon.resolveUri("http://test.com/b") === graph);
+                lexicon.registerUri("http://test.com/c");
+                lexicon.close();
+
+                new FileLexicon.Lexicon(function(lexicon) {
+                    test.ok(lexicon.resolveUri("http://test.com/c") !== -1);
+                    test.ok(lexicon.checkIntegrity([]).length === 0);
+                    lexicon.close();
+                    removeLexicon();
+                    test.done();
+                }, lexiconPath);
+            }, lexiconPath);
+        }, lexiconPath);
+    }, lexiconPath);
+};
+
+exports.snapshotRewrite = function(test) {
+    removeLexicon();
+    var threshold = FileLexicon.logThreshold;
+    FileLexicon.logThreshold = 1024;
+    new FileLexicon.Lexicon(function(lexicon) {
+        lexicon.clear();
+        var oids = [];
+        for(var i=0; i<100; i++) {
+            oids.push(lexicon.registerUri("http://test.com/"+i));
+            lexicon.updateAfterWrite();
+        }
+        // the log never grows beyond the threshold or the snapshot
+        var logSize = fs.statSync(lexiconPath + "/lexicon.log").size;
+        var snapshotSize = fs.statSync(lexiconPath + "/lexicon.json").size;
+        test.ok(logSize <= Math.max(1024, snapshotSize));
+        test.ok(snapshotSize > 1024);
+        lexicon.close();
+
+        new FileLexicon.Lexicon(function(lexicon) {
+            test.ok(lexicon.termCount === 100);
+            for(var i=0; i<100; i++) {
+                test.ok(lexicon.resolveUri("http://test.com/"+i) === oids[i]);
+            }
+            lexicon.close();
+            FileLexicon.logThreshold = threshold;
+            removeLexicon();
+            test.done();
+        }, lexiconPath);
+    }, lexiconPath);
+};
@@ -0,0 +1,64 @@
+var FileQuadIndex = require("./../src/file_quad_index").FileQuadIndex;
+var QuadIndexCommon = require("./../src/quad_index_common").QuadIndexCommon;
+var fs = require("fs");
+var os = require("os");
+
+var indexPath = os.tmpdir() + "/rdfstore_file_quad_index_test.idx";
+
+var quadBuilder = function(s,p,o,g) {
+    return new QuadIndexCommon.NodeKey({subject: s, predicate:p, object:o, graph:g});
+};
+
+var patternBuiler = function(s,p,o,g) {
+    return new QuadIndexCommon.Pattern({subject: s, predicate:p, object:o, graph:g});
+};
+
+var removeIndex = function() {
+    if(fs.existsSync(indexPath)) {
+        fs.unlinkSync(indexPath);
+    }
+};
+
+exports.rangeQueryAndReload = function(test) {
+    removeIndex();
+    var componentOrder = ['subject', 'predicate', 'object', 'graph'];
+
+    new FileQuadIndex.Tree({order: 2, componentOrder: componentOrder, path: indexPath}, function(t){
+        for(var i=0; i<50; i++) {
+            t.insert(quadBuilder(i,1,1,0));
+        }
+        for(var i=0; i<10; i++) {
+            t.insert(quadBuilder(5,2,""+(100+i),0));
+        }
+        for(var i=0; i<50; i+=2) {
+            t.delete(quadBuilder(i,1,1,0));
+        }
+        test.ok(t.range(patternBuiler(5,'p','o','g')).length === 11);
+        t.close();
+
+        new FileQuadIndex.Tree({order: 2, componentOrder: componentOrder, path: indexPath}, function(t){
+            test.ok(t.audit(false).length === 0);
+            test.ok(t.search(quadBuilder(5,1,1,0)) === true);
+            test.ok(!t.search(quadBuilder(4,1,1,0)));
+
+            var results = t.range(patternBuiler(5,2,'o','g'));
+            test.ok(results.length === 10);
+            var objects = [];
+            for(var i=0; i<results.length; i++) {
+                test.ok(results[i].subject === 5);
+                objects.push(results[i].object);
+            }
+            // blank node OIDs are restored as strings
+            objects.sort();
+            test.ok(objects[0] === "100");
+            test.ok(objects[9] === "109");
+            test.ok(t.range(patternBuiler(5,1,'o','g')).length === 1);
+
+            t.clear();
+            test.ok(t.range(patternBuiler('s','p','o','g')).length === 0);
+            t.close();
+            removeIndex();
+            test.done();
+        });
+    });
+};
@@ -0,0 +1,153 @@
+var IndexedDBLexicon = require("./../src/indexed_db_lexicon").IndexedDBLexicon;
+var IndexedDBStorage = require("./../src/indexed_db_storage").IndexedDBStorage;
+var FakeIndexedDB = require("./../src/fake_indexed_db").FakeIndexedDB;
+var Utils = require("./../../js-trees/src/utils").Utils;
+
+var openLexicon = function(factory, callback, cacheMaxSize) {
+    new IndexedDBStorage.Database({name: 'test', indexedDB: factory, storeNames: [IndexedDBLexicon.storeName]}, function(database){
+        new IndexedDBLexicon.Lexicon(function(lexicon){
+            callback(database, lexicon);
+        }, database, cacheMaxSize);
+    });
+};
+
+exports.registerResolveAndRetrieve = function(test) {
+    var factory = new FakeIndexedDB.Factory();
+
+    openLexicon(factory, function(database, lexicon) {
+        var literal = '"1"^^<http://www.w3.org/2001/XMLSchema#int>';
+        lexicon.registerUri("http://test.com/a", function(uri) {
+            // requests are answered in the order they are made
+            lexicon.registerUri("http://test.com/a", function(again) {
+                test.ok(again === uri);
+            });
+            lexicon.registerLiteral(literal, function(oid) {
+                test.ok(oid !== uri);
+                lexicon.resolveUriCost("http://test.com/a", function(cost) {
+                    test.ok(cost === 1);
+                    lexicon.resolveLiteral('"2"', function(missing) {
+                        test.ok(missing === -1);
+                        lexicon.retrieve(oid, function(term) {
+                            test.ok(term.token === 'literal');
+                            test.ok(term.value === "1");
+                            test.ok(term.type === "http://www.w3.org/2001/XMLSchema#int");
+                            lexicon.retrieve(lexicon.defaultGraphOid, function(term) {
+                                test.ok(term.defaultGraph === true);
+                                database.close(function() {
+                                    test.done();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.termsReadOnDemand = function(test) {
+    var factory = new FakeIndexedDB.Factory();
+
+    openLexicon(factory, function(database, lexicon) {
+        var oids = [];
+        Utils.repeat(0, 20, function(k, e) {
+            var floop = arguments.callee;
+            lexicon.registerUri("http://test.com/"+e._i, function(oid) {
+                oids.push(oid);
+                k(floop, e);
+            });
+        }, function(e) {
+            lexicon.registerUri("http://test.com/g", function(graph) {
+                lexicon.registerGraph(graph, function() {
+                    lexicon.registerBlank("_:b", function(blank) {
+                        database.close(function() {
+
+                            openLexicon(factory, function(database, lexicon) {
+                                // only the state is read when the lexicon is opened
+                                test.ok(lexicon.cachedTerms === 0);
+                                lexicon.registeredGraphs(true, function(graphs) {
+                                    test.ok(graphs.length === 1);
+                                    test.ok(graphs[0] === "http://test.com/g");
+                                    lexicon.resolveUri("http://test.com/7", function(oid) {
+                                        test.ok(oid === oids[7]);
+                                        test.ok(lexicon.cachedTerms === 2);
+                                        lexicon.retrieve(blank, function(term) {
+                                            test.ok(term.token === 'blank');
+                                            test.ok(term.value === "_:"+blank);
+                                            // the terms read are released once the cache is full
+                                            Utils.repeat(0, 20, function(k, e) {
+                                                var floop = arguments.callee;
+                                                lexicon.retrieve(oids[e._i], function(term) {
+                                                    test.ok(term.value === "http://test.com/"+e._i);
+                                                    k(floop, e);
+                                                });
+                                            }, function(e) {
+                                                test.ok(lexicon.cachedTerms <= 11);
+                                                database.close(function() {
+                                                    test.done();
+                                                });
+                                            });
+                                        });
+                                    });
+                                });
+                            }, 10);
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.unregisterAndReuse = function(test) {
+    var factory = new FakeIndexedDB.Factory();
+
+    openLexicon(factory, function(database, lexicon) {
+        var quad = {subject: {token: 'uri', value: "http://test.com/s"},
+                    predicate: {token: 'uri', value: "http://test.com/p"},
+                    object: {token: 'literal', value: "o"},
+                    graph: {token: 'uri', value: "http://test.com/g"}};
+        var key = {};
+        lexicon.registerUri("http://test.com/s", function(oid) { key.subject = oid; });
+        lexicon.registerUri("http://test.com/p", function(oid) { key.predicate = oid; });
+        lexicon.registerLiteral('"o"', function(oid) { key.object = oid; });
+        lexicon.registerUri("http://test.com/g", function(oid) {
+            key.graph = oid;
+            lexicon.registerGraph(oid, function() {
+                lexicon.checkIntegrity([key], function(errors) {
+                    test.ok(errors.length === 0);
+                    lexicon.unregister(quad, key, function(success) {
+                        test.ok(success);
+                        lexicon.registeredGraphs(true, function(graphs) {
+                            test.ok(graphs.length === 0);
+                            lexicon.resolveLiteral('"o"', function(oid) {
+                                test.ok(oid === -1);
+                                database.close(function() {
+
+                                    openLexicon(factory, function(database, lexicon) {
+                                        // the OIDs of the removed terms are reused
+                                        lexicon.registerUri("http://test.com/other", function(oid) {
+                                            test.ok(oid === key.graph);
+                                            // an OID without a term does not pass the check
+                                            lexicon.checkIntegrity([key], function(errors) {
+                                                test.ok(errors.length === 3);
+                                                lexicon.clear(function() {
+                                                    lexicon.resolveUri("http://test.com/other", function(oid) {
+                                                        test.ok(oid === -1);
+                                                        database.close(function() {
+                                                            test.done();
+                                                        });
+                                                    });
+                                                });
+                                            });
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
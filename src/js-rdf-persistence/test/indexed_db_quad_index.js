@@ -0,0 +1,173 @@
+var IndexedDBQuadIndex = require("./../src/indexed_db_quad_index").IndexedDBQuadIndex;
+var IndexedDBStorage = require("./../src/indexed_db_storage").IndexedDBStorage;
+var FakeIndexedDB = require("./../src/fake_indexed_db").FakeIndexedDB;
+var QuadIndexCommon = require("./../src/quad_index_common").QuadIndexCommon;
+
+var quadBuilder = function(s,p,o,g) {
+    return new QuadIndexCommon.NodeKey({subject: s, predicate:p, object:o, graph:g});
+};
+
+var patternBuiler = function(s,p,o,g) {
+    return new QuadIndexCommon.Pattern({subject: s, predicate:p, object:o, graph:g});
+};
+
+var openIndex = function(factory, callback, cacheMaxSize) {
+    new IndexedDBStorage.Database({name: 'test', indexedDB: factory, storeNames: ['SPOG']}, function(database){
+        new IndexedDBQuadIndex.Tree({order: 2,
+                                     componentOrder: ['subject', 'predicate', 'object', 'graph'],
+                                     database: database,
+                                     storeName: 'SPOG',
+                                     cacheMaxSize: cacheMaxSize}, function(t){
+            callback(database, t);
+        });
+    });
+};
+
+exports.rangeQueryAndReload = function(test) {
+    var factory = new FakeIndexedDB.Factory();
+
+    openIndex(factory, function(database, t){
+        // operations are executed in the order they are requested
+        for(var i=0; i<50; i++) {
+            t.insert(quadBuilder(i,1,1,0), function(){});
+        }
+        for(var i=0; i<10; i++) {
+            t.insert(quadBuilder(5,2,"_:"+i,0), function(){});
+        }
+        for(var i=0; i<50; i+=2) {
+            t.delete(quadBuilder(i,1,1,0), function(){});
+        }
+        t.range(patternBuiler(5,'p','o','g'), function(results){
+            test.ok(results.length === 11);
+
+            database.close(function(success){
+                test.ok(success);
+
+                openIndex(factory, function(database, t){
+                    // only the root is read when the index is opened
+                    test.ok(t.cachedNodes === 1);
+                    t.search(quadBuilder(5,1,1,0), function(found){
+                        test.ok(found === true);
+                        t.search(quadBuilder(4,1,1,0), function(found){
+                            test.ok(!found);
+                            t.range(patternBuiler(5,2,'o','g'), function(results){
+                                test.ok(results.length === 10);
+                                var objects = [];
+                                for(var i=0; i<results.length; i++) {
+                                    test.ok(results[i].subject === 5);
+                                    objects.push(results[i].object);
+                                }
+                                objects.sort();
+                                test.ok(objects[0] === "_:0");
+                                test.ok(objects[9] === "_:9");
+
+                                // new nodes do not overwrite the restored ones
+                                for(var i=100; i<120; i++) {
+                                    t.insert(quadBuilder(i,1,1,0), function(){});
+                                }
+                                t.search(quadBuilder(119,1,1,0), function(found){
+                                test.ok(found === true);
+                                database.close(function(){
+                                    openIndex(factory, function(database, t){
+                                        t.range(patternBuiler(5,2,'o','g'), function(results){
+                                            test.ok(results.length === 10);
+                                            t.range(patternBuiler('s','p','o','g'), function(results){
+                                                test.ok(results.length === 55);
+                                                t.clear(function(){
+                                                    database.close(function(){
+                                                        openIndex(factory, function(database, t){
+                                                            t.range(patternBuiler('s','p','o','g'), function(results){
+                                                                test.ok(results.length === 0);
+                                                                database.close(function(){
+                                                                    test.done();
+                                                                });
+                                                            });
+                                                        });
+                                                    });
+                                                });
+                                            });
+                                        });
+                                    });
+                                });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.nodesAreReleased = function(test) {
+    var factory = new FakeIndexedDB.Factory();
+
+    openIndex(factory, function(database, t){
+        var inserted = {};
+        var maxCached = 0;
+        for(var i=0; i<211; i++) {
+            var s = (i * 37) % 211;
+            inserted[s] = true;
+            t.insert(quadBuilder(s,1,1,0), function(){
+                maxCached = Math.max(maxCached, t.cachedNodes);
+            });
+        }
+        for(var s=0; s<211; s+=3) {
+            delete inserted[s];
+            t.delete(quadBuilder(s,1,1,0), function(){
+                maxCached = Math.max(maxCached, t.cachedNodes);
+            });
+        }
+        t.range(patternBuiler('s','p','o','g'), function(results){
+            // the nodes read by a single operation are added to the limit
+            test.ok(maxCached < 20 + 2 * t.root.level + 4);
+            test.ok(results.length === Object.keys(inserted).length);
+            for(var i=0; i<results.length; i++) {
+                test.ok(inserted[results[i].subject] === true);
+            }
+
+            database.close(function(){
+                openIndex(factory, function(database, t){
+                    t.range(patternBuiler('s','p','o','g'), function(reloaded){
+                        test.ok(reloaded.length === results.length);
+                        database.close(function(){
+                            test.done();
+                        });
+                    });
+                }, 20);
+            });
+        });
+    }, 20);
+};
+
+exports.writesAreMerged = function(test) {
+    var factory = new FakeIndexedDB.Factory();
+
+    new IndexedDBStorage.Database({name: 'test', indexedDB: factory, storeNames: ['values']}, function(database){
+        var counter = 0;
+        database.put('values', 'a', 1);
+        database.put('values', 'b', function(){ counter++; return counter; });
+        database.put('values', 'b', function(){ counter++; return counter; });
+        database.put('values', 'c', 3);
+        database.delete('values', 'c');
+        database.flush(function(success){
+            test.ok(success);
+            test.ok(counter === 1);
+            database.load('values', function(records){
+                test.ok(records['a'] === 1);
+                test.ok(records['b'] === 1);
+                test.ok(records['c'] == null);
+
+                database.clear('values');
+                database.put('values', 'd', 4);
+                database.flush(function(){
+                    database.load('values', function(records){
+                        test.ok(records['a'] == null);
+                        test.ok(records['d'] === 4);
+                        test.done();
+                    });
+                });
+            });
+        });
+    });
+};
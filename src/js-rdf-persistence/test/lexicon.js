@@ -53,3 +53,155 @@ exports.testLexiconInterface = function(test) {
 
     test.done();
 }
+
+exports.testReferenceCounting = function(test) {
+    var lexicon = new Lexicon.Lexicon();
+
+    var uri = "http://test.com/1";
+    var oid = lexicon.registerUri(uri);
+    test.ok(lexicon.registerUri(uri) === oid);
+    test.ok(lexicon.resolveUriCost(uri) === 1);
+
+    lexicon.unregisterTerm('uri', oid);
+    test.ok(lexicon.resolveUri(uri) === oid);
+    lexicon.unregisterTerm('uri', oid);
+    test.ok(lexicon.resolveUri(uri) === -1);
+    test.ok(lexicon.termCount === 0);
+
+    // the OID is reused by the next term
+    var literal = '"a literal"@en';
+    test.ok(lexicon.registerLiteral(literal) === oid);
+    test.ok(lexicon.retrieve(oid).lang === 'en');
+    try {
+        lexicon.unregisterTerm('uri', oid);
+        test.ok(false);
+    } catch(e) {
+        test.ok(true);
+    }
+
+    // blank nodes are freed with their last reference
+    var blank = lexicon.registerBlank("_:b");
+    lexicon.referenceBlank(blank);
+    lexicon.unregisterTerm('blank', blank);
+    test.ok(lexicon.retrieve(blank).value === "_:"+blank);
+    lexicon.unregisterTerm('blank', blank);
+    try {
+        lexicon.retrieve(blank);
+        test.ok(false);
+    } catch(e) {
+        test.ok(true);
+    }
+    test.ok(lexicon.termCount === 1);
+
+    test.done();
+};
+
+exports.testNativeValues = function(test) {
+    var lexicon = new Lexicon.Lexicon();
+
+    var integer = lexicon.registerLiteral('"42"^^<http://www.w3.org/2001/XMLSchema#integer>');
+    var decimal = lexicon.registerLiteral('"4.5"^^<http://www.w3.org/2001/XMLSchema#decimal>');
+    var date = lexicon.registerLiteral('"2012-05-03T10:00:00Z"^^<http://www.w3.org/2001/XMLSchema#dateTime>');
+    var invalid = lexicon.registerLiteral('"a"^^<http://www.w3.org/2001/XMLSchema#integer>');
+    var plain = lexicon.registerLiteral('"42"');
+
+    test.ok(lexicon.nativeValue(integer) === 42);
+    test.ok(lexicon.nativeValue(decimal) === 4.5);
+    test.ok(lexicon.nativeValue(date).getTime() === Date.UTC(2012, 4, 3, 10));
+    test.ok(lexicon.nativeValue(invalid) === null);
+    test.ok(lexicon.nativeValue(plain) === null);
+    // non positive integers are parsed as integers
+    var nonPositive = lexicon.registerLiteral('"-3.7"^^<http://www.w3.org/2001/XMLSchema#nonPositiveInteger>');
+    test.ok(lexicon.nativeValue(nonPositive) === -3);
+
+    var term = lexicon.retrieve(integer);
+    test.ok(term.value === "42");
+    test.ok(term.type === "http://www.w3.org/2001/XMLSchema#integer");
+
+    test.done();
+};
+
+exports.testResolvedBlanks = function(test) {
+    var lexicon = new Lexicon.Lexicon();
+
+    var uri = lexicon.registerUri("http://test.com/a");
+    var unused = lexicon.resolveBlank("_:a");
+    var referenced = lexicon.resolveBlank("_:b");
+    // resolved blank nodes are allocated
+    test.ok(unused !== referenced);
+    test.ok(parseInt(unused) !== uri && parseInt(referenced) !== uri);
+    test.ok(lexicon.retrieve(unused).token === "blank");
+    test.ok(lexicon.termCount === 3);
+
+    lexicon.referenceBlank(referenced);
+    lexicon.updateAfterWrite();
+    // the blank node not referenced by any quad is freed
+    test.ok(lexicon.termCount === 2);
+    test.ok(lexicon.freeOIDs.length === 1);
+    test.ok(lexicon.registerUri("http://test.com/b") === parseInt(unused));
+    test.ok(lexicon.retrieve(referenced).token === "blank");
+    test.ok(lexicon.checkIntegrity([{subject: referenced, predicate: uri, object: parseInt(unused), graph: 0}]).length === 0);
+
+    test.done();
+};
+
+exports.testCompaction = function(test) {
+    var lexicon = new Lexicon.Lexicon();
+
+    var oids = [];
+    for(var i=0; i<200; i++) {
+        oids.push(lexicon.registerUri("http://test.com/"+i));
+    }
+    var graph = lexicon.registerUri("http://test.com/graph");
+    lexicon.registerGraph(graph);
+    for(var i=1; i<200; i++) {
+        lexicon.unregisterTerm('uri', oids[i]);
+    }
+    test.ok(lexicon.freeOIDs.length === 199);
+
+    lexicon.compact();
+    test.ok(lexicon.termCount === 2);
+    test.ok(lexicon.kinds.length === 256);
+    test.ok(lexicon.freeOIDs.length === 199);
+    test.ok(lexicon.registeredGraphs(true)[0] === "http://test.com/graph");
+
+    lexicon.unregisterTerm('uri', graph);
+    lexicon.compact();
+    test.ok(lexicon.oidCounter === 2);
+    test.ok(lexicon.kinds.length === 64);
+    test.ok(lexicon.freeOIDs.length === 0);
+    test.ok(lexicon.registeredGraphs().length === 0);
+    test.ok(lexicon.resolveUri("http://test.com/0") === oids[0]);
+    test.ok(lexicon.registerUri("http://test.com/new") === 2);
+
+    test.done();
+};
+
+exports.testSerialization = function(test) {
+    var lexicon = new Lexicon.Lexicon();
+
+    var uri = lexicon.registerUri("http://test.com/1");
+    lexicon.registerUri("http://test.com/1");
+    var removed = lexicon.registerUri("http://test.com/2");
+    var literal = lexicon.registerLiteral('"1"^^<http://www.w3.org/2001/XMLSchema#int>');
+    var blank = lexicon.registerBlank("_:b");
+    lexicon.registerGraph(uri);
+    lexicon.unregisterTerm('uri', removed);
+    lexicon.logSequence = 3;
+
+    var restored = new Lexicon.Lexicon();
+    restored.deserialize(JSON.parse(JSON.stringify(lexicon.serialize())));
+    test.ok(restored.termCount === 3);
+    test.ok(restored.logSequence === 3);
+    test.ok(restored.resolveUri("http://test.com/1") === uri);
+    test.ok(restored.resolveUriCost("http://test.com/1") === 1);
+    test.ok(restored.resolveUri("http://test.com/2") === -1);
+    test.ok(restored.resolveLiteral('"1"^^<http://www.w3.org/2001/XMLSchema#int>') === literal);
+    test.ok(restored.nativeValue(literal) === 1);
+    test.ok(restored.retrieve(blank).token === 'blank');
+    test.ok(restored.registeredGraphs(true)[0] === "http://test.com/1");
+    test.ok(restored.registerUri("http://test.com/3") === removed);
+    test.ok(restored.checkIntegrity([{subject: uri, predicate: uri, object: literal, graph: uri}]).length === 1);
+
+    test.done();
+};
@@ -79,3 +79,44 @@ exports.indexAndRetrievalTest = function(test) {
         });
     });
 }
+
+exports.snapshotTest = function(test) {
+    new QuadBackend.QuadBackend({treeOrder: 2}, function(backend){
+        var quad = function(s,p,o,g) {
+            return new QuadIndexCommon.NodeKey({subject:s, predicate:p, object:o, graph:g});
+        };
+        for(var i=0; i<5; i++) {
+            backend.index(quad(i,1,2,0));
+        }
+
+        var transaction = {updateLog: []};
+        var snapshot = backend.snapshot(transaction);
+        var all = new QuadIndexCommon.Pattern({subject:'s', predicate:'p', object:'o', graph:'g'});
+
+        backend.delete(quad(1,1,2,0));
+        transaction.updateLog.push({key: quad(1,1,2,0), deleted: true});
+        backend.index(quad(10,1,2,0));
+        transaction.updateLog.push({key: quad(10,1,2,0)});
+
+        test.ok(backend.range(all).length === 5);
+        test.ok(snapshot.range(all).length === 5);
+        test.ok(snapshot.search(quad(1,1,2,0)) === true);
+        test.ok(snapshot.search(quad(10,1,2,0)) === false);
+        test.ok(snapshot.range(new QuadIndexCommon.Pattern({subject:1, predicate:'p', object:'o', graph:'g'})).length === 1);
+        test.ok(snapshot.range(new QuadIndexCommon.Pattern({subject:10, predicate:'p', object:'o', graph:'g'})).length === 0);
+
+        // changes undone are removed from the log
+        backend.delete(quad(10,1,2,0));
+        transaction.updateLog.length = 1;
+        backend.index(quad(3,1,5,0));
+        transaction.updateLog.push({key: quad(3,1,5,0)});
+        test.ok(snapshot.range(all).length === 5);
+        test.ok(snapshot.search(quad(3,1,5,0)) === false);
+
+        transaction.updateLog = null;
+        test.ok(snapshot.range(all).length === 5);
+        test.ok(snapshot.search(quad(3,1,5,0)) === true);
+
+        test.done();
+    });
+};
@@ -0,0 +1,106 @@
+var WriteAheadLog = require("./../src/write_ahead_log").WriteAheadLog;
+var QuadBackend = require("./../src/quad_backend").QuadBackend;
+var QuadIndexCommon = require("./../src/quad_index_common").QuadIndexCommon;
+var fs = require("fs");
+
+var quadBuilder = function(s,p,o,g) {
+    return new QuadIndexCommon.NodeKey({subject: s, predicate:p, object:o, graph:g});
+};
+
+var logPath = require("os").tmpdir() + "/rdfstore_write_ahead_log_test.log";
+
+var openLog = function(callback) {
+    if(fs.existsSync(logPath)) {
+        fs.unlinkSync(logPath);
+    }
+    var log = new WriteAheadLog.Log(new WriteAheadLog.FileStorage(logPath));
+    new QuadBackend.QuadBackend({treeOrder: 2, log: log}, function(backend) {
+        callback(log, backend, {logSequence: 0});
+    });
+};
+
+var closeLog = function(log) {
+    log.close();
+    fs.unlinkSync(logPath);
+};
+
+exports.undoUncommittedWrite = function(test) {
+    openLog(function(log, backend, lexicon) {
+        for(var i=0; i<10; i++) {
+            backend.index(quadBuilder(i,1,2,0));
+        }
+        log.commit(function(sequence) {
+            lexicon.logSequence = sequence;
+        });
+        test.ok(lexicon.logSequence === 1);
+        test.ok(log.storage.read().length === 0);
+
+        // a write interrupted before being committed
+        backend.index(quadBuilder(20,1,2,0));
+        log.append(WriteAheadLog.record('delete', quadBuilder(3,1,2,0)));
+        backend.indexMap['SPOG'].delete(quadBuilder(3,1,2,0));
+        backend.indexMap['GP'].delete(quadBuilder(3,1,2,0));
+
+        var result = log.replay(backend, lexicon);
+        test.ok(result.restored === 0);
+        test.ok(result.undone === 1);
+
+        var integrity = backend.checkIntegrity();
+        test.ok(integrity.errors.length === 0);
+        test.ok(integrity.quads.length === 10);
+        test.ok(backend.search(quadBuilder(3,1,2,0)));
+        test.ok(!backend.search(quadBuilder(20,1,2,0)));
+
+        // new writes are numbered after the committed one
+        backend.index(quadBuilder(21,1,2,0));
+        log.commit(function(sequence) {
+            lexicon.logSequence = sequence;
+        });
+        test.ok(lexicon.logSequence === 2);
+
+        closeLog(log);
+        test.done();
+    });
+};
+
+exports.redoCommittedWrite = function(test) {
+    openLog(function(log, backend, lexicon) {
+        backend.index(quadBuilder(1,1,2,0));
+        log.append(WriteAheadLog.record('index', quadBuilder(2,1,2,0)));
+        backend.indexMap['SPOG'].insert(quadBuilder(2,1,2,0));
+        // the lexicon was saved but the log was not emptied
+        lexicon.logSequence = 1;
+
+        test.ok(backend.checkIntegrity().errors.length > 0);
+        var result = log.replay(backend, lexicon);
+        test.ok(result.restored === 1);
+        test.ok(result.undone === 0);
+
+        var integrity = backend.checkIntegrity();
+        test.ok(integrity.errors.length === 0);
+        test.ok(integrity.quads.length === 2);
+
+        closeLog(log);
+        test.done();
+    });
+};
+
+exports.tornRecordIsIgnored = function(test) {
+    openLog(function(log, backend, lexicon) {
+        backend.index(quadBuilder(1,1,2,0));
+        backend.index(quadBuilder(2,1,2,0));
+        fs.appendFileSync(logPath, '{"op":"index","quad":[3,');
+
+        var records = log.storage.read();
+        test.ok(records.length === 3);
+        test.ok(records[0].op === 'begin');
+        test.ok(records[2].quad[0] === 2);
+
+        var result = log.replay(backend, lexicon);
+        test.ok(result.undone === 1);
+        test.ok(backend.checkIntegrity().quads.length === 0);
+
+        closeLog(log);
+        test.done();
+    });
+};
@@ -20,6 +20,30 @@ AbstractQueryTree.AbstractQueryTree.prototype.parseQueryString = function(query_
     return SparqlParser.parser.parse(query_string);
 };
 
+/**
+ * Sets the graphs used to evaluate the WHERE clause of the
+ * DELETE/INSERT operations in an update request that do not
+ * declare their own USING or WITH clauses.
+ * Graphs are URI tokens: {token:'uri', value:'http://...'}
+ */
+AbstractQueryTree.AbstractQueryTree.prototype.setUpdateDataset = function(syntaxTree, defaultGraphs, namedGraphs) {
+    for(var i=0; i<syntaxTree.units.length; i++) {
+        var unit = syntaxTree.units[i];
+        if(unit.kind === 'modify' && unit.using == null && unit.with == null) {
+            var using = [];
+            for(var j=0; j<defaultGraphs.length; j++) {
+                using.push({kind: 'default', uri: defaultGraphs[j]});
+            }
+            for(var j=0; j<namedGraphs.length; j++) {
+                using.push({kind: 'named', uri: namedGraphs[j]});
+            }
+            if(using.length > 0) {
+                unit.using = using;
+            }
+        }
+    }
+};
+
 AbstractQueryTree.AbstractQueryTree.prototype.parseExecutableUnit = function(executableUnit) {
     if(executableUnit.kind === 'select') {
         return this.parseSelect(executableUnit);
@@ -28,7 +52,13 @@ AbstractQueryTree.AbstractQueryTree.prototype.parseExecutableUnit = function(exe
     } else if(executableUnit.kind === 'modify') {
         return this.parseSelect(executableUnit);
     } else if(executableUnit.kind === 'construct') {
-        return this.parseSelect(executableUnit);        
+        return this.parseSelect(executableUnit);
+    } else if(executableUnit.kind === 'describe') {
+        if(executableUnit.pattern != null) {
+            return this.parseSelect(executableUnit);
+        } else {
+            return executableUnit;
+        }
     } else if(executableUnit.kind === 'insertdata') {
         return this.parseInsertData(executableUnit);        
     } else if(executableUnit.kind === 'deletedata') {
@@ -41,6 +71,8 @@ AbstractQueryTree.AbstractQueryTree.prototype.parseExecutableUnit = function(exe
         return executableUnit;
     } else if(executableUnit.kind === 'create') {
         return executableUnit;
+    } else if(executableUnit.kind === 'add' || executableUnit.kind === 'move' || executableUnit.kind === 'copy') {
+        return executableUnit;
     } else {
         throw new Error('unknown executable unit: ' + executableUnit.kind);
     }
@@ -53,11 +85,21 @@ AbstractQueryTree.AbstractQueryTree.prototype.parseSelect = function(syntaxTree)
         return null;
     } else {
         var env = { freshCounter: 0 };
-        syntaxTree.pattern = this.build(syntaxTree.pattern, env);
-        return syntaxTree;
+        return this._buildSelect(syntaxTree, env);
     }
 };
 
+AbstractQueryTree.AbstractQueryTree.prototype._buildSelect = function(syntaxTree, env) {
+    syntaxTree.pattern = this.build(syntaxTree.pattern, env);
+    if(syntaxTree.values != null) {
+        // trailing VALUES clause
+        syntaxTree.pattern = { kind: 'JOIN',
+                               lvalue: syntaxTree.pattern,
+                               rvalue: this._buildValues(syntaxTree.values) };
+    }
+    return syntaxTree;
+};
+
 AbstractQueryTree.AbstractQueryTree.prototype.parseInsertData = function(syntaxTree){
     if(syntaxTree == null) {
         console.log("error parsing query");
@@ -89,123 +131,71 @@ AbstractQueryTree.AbstractQueryTree.prototype.build = function(node, env) {
         return { kind: 'GRAPH',
                  value: c,
                  graph: node.graph };
+    } else if(node.token === 'subselect') {
+        // the fresh variables counter is shared with the outer query
+        return { kind: 'SUBSELECT',
+                 value: this._buildSelect(node, env) };
+    } else if(node.token === 'servicegraphpattern') {
+        // the pattern is evaluated by the remote endpoint using its text,
+        // the local tree is only used to find the variables in scope
+        return { kind: 'SERVICE',
+                 endpoint: node.endpoint,
+                 silent: node.silent,
+                 text: node.text,
+                 value: this.build(node.value, env) };
     } else {
         throw new Error("not supported token in query:"+node.token);
     }
 };
 
 AbstractQueryTree.translatePathExpressionsInBGP = function(bgp, env) {
-    var pathExpression;
-    var before = [], rest, bottomJoin;
+    var before = [];
     for(var i=0; i<bgp.value.length; i++) {
 	if(bgp.value[i].predicate && bgp.value[i].predicate.token === 'path') {
-	    //console.log("FOUND A PATH");
-	    pathExpression = bgp.value[i];
-	    rest = bgp.value.slice(i+1);
-	    var bgpTransformed = AbstractQueryTree.translatePathExpression(pathExpression, env);
-	    var optionalPattern = null;
-	    //console.log("BACK FROM TRANSFORMED");
-	    if(bgpTransformed.kind === 'BGP') {
-		before = before.concat(bgpTransformed.value);
-	    } else if(bgpTransformed.kind === 'ZERO_OR_MORE_PATH' || bgpTransformed.kind === 'ONE_OR_MORE_PATH'){
-		//console.log("BEFORE");
-		//console.log(bgpTransformed);
-		    
-
-		if(before.length > 0) {
-		    bottomJoin =  {kind: 'JOIN',
-				   lvalue: {kind: 'BGP', value:before},
-				   rvalue: bgpTransformed};
-		} else {
-		    bottomJoin = bgpTransformed;
-		}
+	    var rest = bgp.value.slice(i+1);
+	    var translated = AbstractQueryTree.translatePathExpression(bgp.value[i], env);
+	    if(translated.kind === 'BGP') {
+		// the path has been translated into triple patterns
+		before = before.concat(translated.value);
+		continue;
+	    }
 
-		
-		if(bgpTransformed.kind === 'ZERO_OR_MORE_PATH') {
-		    if(bgpTransformed.y.token === 'var' && bgpTransformed.y.value.indexOf("fresh:")===0 &&
-		       bgpTransformed.x.token === 'var' && bgpTransformed.x.value.indexOf("fresh:")===0) {
-			//console.log("ADDING EXTRA PATTERN 1)");
-			for(var j=0; j<bgp.value.length; j++) {
-		   	    //console.log(bgp.value[j]);
-		   	    if(bgp.value[j].object && bgp.value[j].object.token === 'var' && bgp.value[j].object.value === bgpTransformed.x.value) {
-		   		//console.log(" YES 1)");
-		   		optionalPattern = Utils.clone(bgp.value[j]);
-		   		optionalPattern.object = bgpTransformed.y;
-		   	    }
-			}
-		    } else if(bgpTransformed.y.token === 'var' && bgpTransformed.y.value.indexOf("fresh:")===0) {
-			//console.log("ADDING EXTRA PATTERN 2)");
-			for(var j=0; j<bgp.value.length; j++) {
-		   	    //console.log(bgp.value[j]);
-		   	    if(bgp.value[j].subject && bgp.value[j].subject.token === 'var' && bgp.value[j].subject.value === bgpTransformed.y.value) {
-		   		//console.log(" YES 2)");
-		   		optionalPattern = Utils.clone(bgp.value[j]);
-		   		optionalPattern.subject = bgpTransformed.x;
-		   	    }
-			}
-		    }
-		}
+	    var restTranslated = null;
+	    if(rest.length > 0) {
+		restTranslated = AbstractQueryTree.translatePathExpressionsInBGP({kind: 'BGP', value: rest}, env);
+	    }
 
-		if(rest.length >0) {
-		    //console.log("(2a)")
-		    var rvalueJoin = AbstractQueryTree.translatePathExpressionsInBGP({kind: 'BGP', value: rest}, env);
-		    //console.log("got rvalue");
-		    if(optionalPattern != null) {
-			var optionals = before.concat([optionalPattern]).concat(rest);
-			return { kind: 'UNION',
-				 value: [{ kind: 'JOIN',
-					   lvalue: bottomJoin,
-					   rvalue: rvalueJoin },
-					 {kind: 'BGP',
-					  value: optionals}] };
-		    } else {
-			return { kind: 'JOIN',
-				 lvalue: bottomJoin,
-				 rvalue: rvalueJoin };
-		    }
-		} else {
-		    //console.log("(2b)")
-		    return bottomJoin;
-		}
+	    if(before.length > 0) {
+		translated = { kind: 'JOIN',
+			       lvalue: {kind: 'BGP', value: before},
+			       rvalue: translated };
+	    } else if(restTranslated != null && translated.kind === 'PATH' &&
+		      translated.x.token === 'var' && translated.y.token === 'var') {
+		// the end points of the path can be bound by the rest of the patterns
+		return { kind: 'JOIN',
+			 lvalue: restTranslated,
+			 rvalue: translated };
+	    }
 
+	    if(restTranslated != null) {
+		return { kind: 'JOIN',
+			 lvalue: translated,
+			 rvalue: restTranslated };
 	    } else {
-		// @todo ????
-		return bgpTransformed;
+		return translated;
 	    }
 	} else {
 	    before.push(bgp.value[i]);
 	}
     }
 
-    //console.log("returning");
     bgp.value = before;
     return bgp;
 };
 
 
 AbstractQueryTree.translatePathExpression  = function(pathExpression, env) {
-    // add support for different path patterns
-    if(pathExpression.predicate.kind === 'element') {
-	// simple paths, maybe modified
-	if(pathExpression.predicate.modifier === '+') {
-	    pathExpression.predicate.modifier = null;
-	    var expandedPath = AbstractQueryTree.translatePathExpression(pathExpression, env);
-	    return {kind: 'ONE_OR_MORE_PATH',
-		    path: expandedPath,
-		    x: pathExpression.subject,
-		    y: pathExpression.object};
-	} else if(pathExpression.predicate.modifier === '*') {
-	    pathExpression.predicate.modifier = null;
-	    var expandedPath = AbstractQueryTree.translatePathExpression(pathExpression, env);
-	    return {kind: 'ZERO_OR_MORE_PATH',
-	     	    path: expandedPath,
-                    x: pathExpression.subject,
-		    y: pathExpression.object};
-	} else {
-	    pathExpression.predicate = pathExpression.predicate.value;
-	    return {kind: 'BGP', value: [pathExpression]};
-	}
-    } else if(pathExpression.predicate.kind === 'sequence') {
+    if(pathExpression.predicate.kind === 'sequence') {
 	var currentSubject = pathExpression.subject;
 	var lastObject = pathExpression.object;
 	var currentGraph = pathExpression.graph;
@@ -222,9 +212,7 @@ AbstractQueryTree.translatePathExpression  = function(pathExpression, env) {
 		nextObject = lastObject;
 	    }
 
-	    // @todo
-	    // what if the predicate is a path with
-	    // '*'? same fresh va in subject and object??
+	    // predicates that are also paths are translated recursively
 	    chain = {
 		subject: currentSubject,
 		predicate: pathExpression.predicate.value[i],
@@ -244,9 +232,60 @@ AbstractQueryTree.translatePathExpression  = function(pathExpression, env) {
 	//console.log(bgp);
 	//console.log("--------------");
 	return AbstractQueryTree.translatePathExpressionsInBGP(bgp, env);
+    } else if(pathExpression.predicate.kind === 'inversePath' && pathExpression.predicate.value.token === 'uri') {
+	// ^p is a triple pattern with the subject and the object swapped
+	var triple = {
+	    subject: pathExpression.object,
+	    predicate: pathExpression.predicate.value,
+	    object: pathExpression.subject
+	};
+	if(pathExpression.graph != null)
+	    triple.graph = Utils.clone(pathExpression.graph);
+
+	return {kind: 'BGP', value: [triple]};
+    } else {
+	// alternatives, negated property sets, repetitions and their
+	// combinations are evaluated by the query engine
+	return {kind: 'PATH',
+		path: pathExpression.predicate,
+		x: pathExpression.subject,
+		y: pathExpression.object,
+		graph: pathExpression.graph};
     }
 };
 
+/**
+ * Returns triple patterns matching all the triples that can be
+ * traversed by a property path.
+ */
+AbstractQueryTree.pathTriples = function(path, graph, acum) {
+    acum = acum || [];
+    var triple = null;
+    if(path.token === 'uri') {
+	triple = {subject: {token: 'var', value: 'fresh:s'},
+		  predicate: path,
+		  object: {token: 'var', value: 'fresh:o'}};
+    } else if(path.kind === 'negatedPropertySet') {
+	triple = {subject: {token: 'var', value: 'fresh:s'},
+		  predicate: {token: 'var', value: 'fresh:p'},
+		  object: {token: 'var', value: 'fresh:o'}};
+    } else if(path.kind === 'sequence' || path.kind === 'alternative') {
+	for(var i=0; i<path.value.length; i++) {
+	    AbstractQueryTree.pathTriples(path.value[i], graph, acum);
+	}
+    } else {
+	AbstractQueryTree.pathTriples(path.value, graph, acum);
+    }
+
+    if(triple != null) {
+	if(graph != null)
+	    triple.graph = Utils.clone(graph);
+	acum.push(triple);
+    }
+
+    return acum;
+};
+
 AbstractQueryTree.AbstractQueryTree.prototype._buildGroupGraphPattern = function(node, env) {
     var f = (node.filters || []);
     var g = {kind: "EMPTY_PATTERN"};
@@ -266,6 +305,29 @@ AbstractQueryTree.AbstractQueryTree.prototype._buildGroupGraphPattern = function
                       rvalue: parsedPattern,
                       filter: true };
             }
+        } else if(pattern.token === 'minusgraphpattern') {
+            g = { kind: 'MINUS',
+                  lvalue: g,
+                  rvalue: this.build(pattern.value, env) };
+        } else if(pattern.token === 'bind') {
+            // the variable introduced by BIND must not be in scope
+            var inScope = this.inScopeVariables(g);
+            if(inScope[pattern.as.value] === true) {
+                throw new Error("BIND variable ?"+pattern.as.value+" already in scope");
+            }
+            g = { kind: 'EXTEND',
+                  value: g,
+                  variable: pattern.as,
+                  expression: pattern.expression };
+        } else if(pattern.token === 'inlinedata') {
+            var parsedPattern = this._buildValues(pattern);
+            if(g.kind == "EMPTY_PATTERN") {
+                g = parsedPattern;
+            } else {
+                g = { kind: 'JOIN',
+                      lvalue: g,
+                      rvalue: parsedPattern };
+            }
         } else {
             var parsedPattern = this.build(pattern,env);
             if(g.kind == "EMPTY_PATTERN") {
@@ -310,6 +372,30 @@ AbstractQueryTree.AbstractQueryTree.prototype._buildGroupGraphPattern = function
             return { kind: 'FILTER',
                      filter: f,
                      value: g};
+        } else if(g.kind === 'EXTEND') {
+            return { kind: 'FILTER',
+                     filter: f,
+                     value: g};
+        } else if(g.kind === 'VALUES') {
+            return { kind: 'FILTER',
+                     filter: f,
+                     value: g};
+        } else if(g.kind === 'SUBSELECT') {
+            return { kind: 'FILTER',
+                     filter: f,
+                     value: g};
+        } else if(g.kind === 'MINUS') {
+            return { kind: 'FILTER',
+                     filter: f,
+                     value: g};
+        } else if(g.kind === 'SERVICE') {
+            return { kind: 'FILTER',
+                     filter: f,
+                     value: g};
+        } else if(g.kind === 'PATH') {
+            return { kind: 'FILTER',
+                     filter: f,
+                     value: g};
         } else {
             throw new Error("Unknow kind of algebra expression: "+ g.kind);
         }
@@ -318,6 +404,99 @@ AbstractQueryTree.AbstractQueryTree.prototype._buildGroupGraphPattern = function
     }
 };
 
+AbstractQueryTree.AbstractQueryTree.prototype._buildValues = function(dataBlock) {
+    var variables = [];
+    for(var i=0; i<dataBlock.variables.length; i++) {
+        variables.push(dataBlock.variables[i].value);
+    }
+
+    return { kind: 'VALUES',
+             variables: variables,
+             rows: dataBlock.rows };
+};
+
+/**
+ * Collects the variables in scope for a SPARQL AQT
+ */
+AbstractQueryTree.AbstractQueryTree.prototype.inScopeVariables = function(aqt, acum) {
+    if(acum == null) {
+        acum = {};
+    }
+
+    var collectTerm = function(term) {
+        if(term != null && term.token === 'var' && term.value.indexOf("fresh:") !== 0) {
+            acum[term.value] = true;
+        }
+    };
+
+    if(aqt.kind === 'BGP') {
+        for(var i=0; i<aqt.value.length; i++) {
+            collectTerm(aqt.value[i].subject);
+            collectTerm(aqt.value[i].predicate);
+            collectTerm(aqt.value[i].object);
+            collectTerm(aqt.value[i].graph);
+        }
+    } else if(aqt.kind === 'PATH') {
+        collectTerm(aqt.x);
+        collectTerm(aqt.y);
+        collectTerm(aqt.graph);
+    } else if(aqt.kind === 'UNION') {
+        this.inScopeVariables(aqt.value[0], acum);
+        this.inScopeVariables(aqt.value[1], acum);
+    } else if(aqt.kind === 'GRAPH') {
+        collectTerm(aqt.graph);
+        this.inScopeVariables(aqt.value, acum);
+    } else if(aqt.kind === 'LEFT_JOIN' || aqt.kind === 'JOIN') {
+        this.inScopeVariables(aqt.lvalue, acum);
+        this.inScopeVariables(aqt.rvalue, acum);
+    } else if(aqt.kind === 'FILTER') {
+        this.inScopeVariables(aqt.value, acum);
+    } else if(aqt.kind === 'MINUS') {
+        // variables in the right side of a MINUS are not in scope
+        this.inScopeVariables(aqt.lvalue, acum);
+    } else if(aqt.kind === 'EXTEND') {
+        acum[aqt.variable.value] = true;
+        this.inScopeVariables(aqt.value, acum);
+    } else if(aqt.kind === 'VALUES') {
+        for(var i=0; i<aqt.variables.length; i++) {
+            acum[aqt.variables[i]] = true;
+        }
+    } else if(aqt.kind === 'SUBSELECT') {
+        var projected = this.projectedVariables(aqt.value);
+        for(var i=0; i<projected.length; i++) {
+            acum[projected[i]] = true;
+        }
+    } else if(aqt.kind === 'SERVICE') {
+        collectTerm(aqt.endpoint);
+        this.inScopeVariables(aqt.value, acum);
+    }
+
+    return acum;
+};
+
+/**
+ * Returns the names of the variables projected by a SELECT query
+ */
+AbstractQueryTree.AbstractQueryTree.prototype.projectedVariables = function(select) {
+    var variables = [];
+    if(select.projection[0].kind === '*') {
+        var inScope = this.inScopeVariables(select.pattern);
+        for(var v in inScope) {
+            variables.push(v);
+        }
+    } else {
+        for(var i=0; i<select.projection.length; i++) {
+            if(select.projection[i].kind === 'aliased') {
+                variables.push(select.projection[i].alias.value);
+            } else {
+                variables.push(select.projection[i].value.value);
+            }
+        }
+    }
+
+    return variables;
+};
+
 /**
  * Collects basic triple pattern in a complex SPARQL AQT
  */
@@ -330,21 +509,26 @@ AbstractQueryTree.AbstractQueryTree.prototype.collectBasicTriples = function(aqt
         acum = this.collectBasicTriples(aqt.pattern,acum);
     } else if(aqt.kind === 'BGP') {
         acum = acum.concat(aqt.value);
-    } else if(aqt.kind === 'ZERO_OR_MORE_PATH') {
-	acum = this.collectBasicTriples(aqt.path);
+    } else if(aqt.kind === 'PATH') {
+        acum = AbstractQueryTree.pathTriples(aqt.path, aqt.graph, acum);
     } else if(aqt.kind === 'UNION') {
         acum = this.collectBasicTriples(aqt.value[0],acum);
         acum = this.collectBasicTriples(aqt.value[1],acum);
     } else if(aqt.kind === 'GRAPH') {
         acum = this.collectBasicTriples(aqt.value,acum);
-    } else if(aqt.kind === 'LEFT_JOIN' || aqt.kind === 'JOIN') {
+    } else if(aqt.kind === 'LEFT_JOIN' || aqt.kind === 'JOIN' || aqt.kind === 'MINUS') {
         acum = this.collectBasicTriples(aqt.lvalue, acum);
         acum = this.collectBasicTriples(aqt.rvalue, acum);
     } else if(aqt.kind === 'FILTER') {
         acum = this.collectBasicTriples(aqt.value, acum);
     } else if(aqt.kind === 'construct') {
         acum = this.collectBasicTriples(aqt.pattern,acum);
-    } else if(aqt.kind === 'EMPTY_PATTERN') {
+    } else if(aqt.kind === 'EXTEND') {
+        acum = this.collectBasicTriples(aqt.value, acum);
+    } else if(aqt.kind === 'SUBSELECT') {
+        acum = this.collectBasicTriples(aqt.value.pattern, acum);
+    } else if(aqt.kind === 'EMPTY_PATTERN' || aqt.kind === 'VALUES' || aqt.kind === 'SERVICE') {
+        // nothing, the triples in a SERVICE pattern are not stored locally
         // nothing
     } else {
         throw "Unknown pattern: "+aqt.kind;
@@ -375,8 +559,7 @@ AbstractQueryTree.AbstractQueryTree.prototype.bind = function(aqt, bindings) {
     } else if(aqt.kind === 'BGP') {
         aqt.value = this._bindTripleContext(aqt.value, bindings);
         //acum = acum.concat(aqt.value);
-    } else if(aqt.kind === 'ZERO_OR_MORE_PATH') {
-        aqt.path = this._bindTripleContext(aqt.path, bindings);
+    } else if(aqt.kind === 'PATH') {
 	if(aqt.x && aqt.x.token === 'var' && bindings[aqt.x.value] != null) {
 	    aqt.x = bindings[aqt.x.value];
 	}
@@ -388,12 +571,30 @@ AbstractQueryTree.AbstractQueryTree.prototype.bind = function(aqt, bindings) {
         aqt.value[1] = this.bind(aqt.value[1],bindings);
     } else if(aqt.kind === 'GRAPH') {
         aqt.value = this.bind(aqt.value,bindings);
-    } else if(aqt.kind === 'LEFT_JOIN' || aqt.kind === 'JOIN') {
+    } else if(aqt.kind === 'LEFT_JOIN' || aqt.kind === 'JOIN' || aqt.kind === 'MINUS') {
         aqt.lvalue = this.bind(aqt.lvalue, bindings);
         aqt.rvalue = this.bind(aqt.rvalue, bindings);
     } else if(aqt.kind === 'FILTER') {
-	aqt.filter = this._bindFilter(aqt.filter[i].value, bindings);
-    } else if(aqt.kind === 'EMPTY_PATTERN') {
+        // the filter expressions have already been bound
+        aqt.value = this.bind(aqt.value, bindings);
+    } else if(aqt.kind === 'EXTEND') {
+        aqt.value = this.bind(aqt.value, bindings);
+        aqt.expression = this._bindFilter(aqt.expression, bindings);
+    } else if(aqt.kind === 'SUBSELECT') {
+        // only the projected variables are visible outside the sub-query
+        var projected = this.projectedVariables(aqt.value);
+        var visible = {};
+        for(var i=0; i<projected.length; i++) {
+            if(bindings[projected[i]] != null) {
+                visible[projected[i]] = bindings[projected[i]];
+            }
+        }
+        aqt.value.pattern = this.bind(aqt.value.pattern, visible);
+    } else if(aqt.kind === 'SERVICE') {
+        if(aqt.endpoint.token === 'var' && bindings[aqt.endpoint.value] != null) {
+            aqt.endpoint = bindings[aqt.endpoint.value];
+        }
+    } else if(aqt.kind === 'EMPTY_PATTERN' || aqt.kind === 'VALUES') {
         // nothing
     } else {
         throw "Unknown pattern: "+aqt.kind;
@@ -445,8 +646,10 @@ AbstractQueryTree.AbstractQueryTree.prototype._bindFilter = function(filterExpr,
         } else if(expressionType == 'unaryexpression') {
             filterExpr.expression = this._bindFilter(filterExpr.expression, bindings);
         } else if(expressionType == 'irireforfunction') {
-            for(var i=0; i<filterExpr.factors.args; i++) {
-                filterExpr.args[i] = this._bindFilter(filterExpr.args[i], bindings);            
+            if(filterExpr.args != null) {
+                for(var i=0; i<filterExpr.args.length; i++) {
+                    filterExpr.args[i] = this._bindFilter(filterExpr.args[i], bindings);
+                }
             }
         } else if(expressionType == 'atomic') {        
             if(filterExpr.primaryexpression == 'var') {
@@ -487,12 +690,11 @@ AbstractQueryTree.AbstractQueryTree.prototype.replace = function(aqt, from, to,
         aqt.pattern = this.replace(aqt.pattern, from, to, ns);
     } else if(aqt.kind === 'BGP') {
         aqt.value = this._replaceTripleContext(aqt.value, from, to, ns);
-    } else if(aqt.kind === 'ZERO_OR_MORE_PATH') {
-        aqt.path = this._replaceTripleContext(aqt.path, from,to, ns);
-	if(aqt.x && aqt.x.token === from.token && aqt.value === from.value) {
+    } else if(aqt.kind === 'PATH') {
+	if(aqt.x && aqt.x.token === from.token && aqt.x.value === from.value) {
 	    aqt.x = Utils.clone(to);
 	}
-	if(aqt.y && aqt.y.token === from.token && aqt.value === from.value) {
+	if(aqt.y && aqt.y.token === from.token && aqt.y.value === from.value) {
 	    aqt.y = Utils.clone(to);
 	}
     } else if(aqt.kind === 'UNION') {
@@ -500,12 +702,15 @@ AbstractQueryTree.AbstractQueryTree.prototype.replace = function(aqt, from, to,
         aqt.value[1] = this.replace(aqt.value[1],from,to, ns);
     } else if(aqt.kind === 'GRAPH') {
         aqt.value = this.replace(aqt.value,from,to);
-    } else if(aqt.kind === 'LEFT_JOIN' || aqt.kind === 'JOIN') {
+    } else if(aqt.kind === 'LEFT_JOIN' || aqt.kind === 'JOIN' || aqt.kind === 'MINUS') {
         aqt.lvalue = this.replace(aqt.lvalue, from, to, ns);
         aqt.rvalue = this.replace(aqt.rvalue, from, to, ns);
     } else if(aqt.kind === 'FILTER') {
         aqt.value = this._replaceFilter(aqt.value, from,to, ns);
-    } else if(aqt.kind === 'EMPTY_PATTERN') {
+    } else if(aqt.kind === 'EXTEND') {
+        aqt.value = this.replace(aqt.value, from, to, ns);
+        aqt.expression = this._replaceFilter(aqt.expression, from, to, ns);
+    } else if(aqt.kind === 'EMPTY_PATTERN' || aqt.kind === 'VALUES' || aqt.kind === 'SERVICE') {
         // nothing
     } else {
         throw "Unknown pattern: "+aqt.kind;
@@ -589,6 +794,30 @@ AbstractQueryTree.AbstractQueryTree.prototype._replaceFilter = function(filterEx
     return filterExpr;
 };
 
+/**
+ * Checks if the AQT contains BIND, VALUES, SERVICE or property path patterns whose
+ * solutions may leave variables unbound or bind them to
+ * terms not stored in the lexicon.
+ */
+AbstractQueryTree.AbstractQueryTree.prototype.treeWithComputedBindings = function(aqt) {
+    if(aqt == null || aqt.kind == null) {
+        return false;
+    } else if(aqt.kind === 'EXTEND' || aqt.kind === 'VALUES' || aqt.kind === 'SUBSELECT' ||
+              aqt.kind === 'SERVICE' || aqt.kind === 'PATH') {
+        return true;
+    } else if(aqt.kind === 'UNION') {
+        return this.treeWithComputedBindings(aqt.value[0]) || this.treeWithComputedBindings(aqt.value[1]);
+    } else if(aqt.kind === 'LEFT_JOIN' || aqt.kind === 'JOIN') {
+        return this.treeWithComputedBindings(aqt.lvalue) || this.treeWithComputedBindings(aqt.rvalue);
+    } else if(aqt.kind === 'MINUS') {
+        return this.treeWithComputedBindings(aqt.lvalue);
+    } else if(aqt.kind === 'FILTER' || aqt.kind === 'GRAPH') {
+        return this.treeWithComputedBindings(aqt.value);
+    } else {
+        return false;
+    }
+};
+
 AbstractQueryTree.AbstractQueryTree.prototype.treeWithUnion = function(aqt) {
     if(aqt == null)
 	return false;
@@ -598,7 +827,7 @@ AbstractQueryTree.AbstractQueryTree.prototype.treeWithUnion = function(aqt) {
         return this.treeWithUnion(aqt.pattern);
     } else if(aqt.kind === 'BGP') {
         return this.treeWithUnion(aqt.value);
-    } else if(aqt.kind === 'ZERO_OR_MORE_PATH') {
+    } else if(aqt.kind === 'PATH') {
 	return false;
     } else if(aqt.kind === 'UNION') {
 	if(aqt.value[0].value != null && aqt.value[0].value.variables != null &&
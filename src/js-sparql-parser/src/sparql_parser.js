@@ -65,13 +65,19 @@ SparqlParser.parser = (function(){
         "LimitOffsetClauses": parse_LimitOffsetClauses,
         "LimitClause": parse_LimitClause,
         "OffsetClause": parse_OffsetClause,
-        "BindingsClause": parse_BindingsClause,
-        "BindingValue": parse_BindingValue,
+        "ValuesClause": parse_ValuesClause,
+        "DataBlock": parse_DataBlock,
+        "InlineDataOneVar": parse_InlineDataOneVar,
+        "InlineDataFull": parse_InlineDataFull,
+        "DataBlockValue": parse_DataBlockValue,
         "Update": parse_Update,
         "Update1": parse_Update1,
         "Load": parse_Load,
         "Clear": parse_Clear,
         "Drop": parse_Drop,
+        "Add": parse_Add,
+        "Move": parse_Move,
+        "Copy": parse_Copy,
         "Create": parse_Create,
         "InsertData": parse_InsertData,
         "DeleteData": parse_DeleteData,
@@ -82,6 +88,7 @@ SparqlParser.parser = (function(){
         "UsingClause": parse_UsingClause,
         "GraphRef": parse_GraphRef,
         "GraphRefAll": parse_GraphRefAll,
+        "GraphOrDefault": parse_GraphOrDefault,
         "QuadPattern": parse_QuadPattern,
         "QuadData": parse_QuadData,
         "Quads": parse_Quads,
@@ -96,6 +103,8 @@ SparqlParser.parser = (function(){
         "ServiceGraphPattern": parse_ServiceGraphPattern,
         "MinusGraphPattern": parse_MinusGraphPattern,
         "GroupOrUnionGraphPattern": parse_GroupOrUnionGraphPattern,
+        "Bind": parse_Bind,
+        "InlineData": parse_InlineData,
         "Filter": parse_Filter,
         "Constraint": parse_Constraint,
         "FunctionCall": parse_FunctionCall,
@@ -137,6 +146,9 @@ SparqlParser.parser = (function(){
         "PrimaryExpression": parse_PrimaryExpression,
         "BrackettedExpression": parse_BrackettedExpression,
         "BuiltInCall": parse_BuiltInCall,
+        "BuiltInNoArgsFunction": parse_BuiltInNoArgsFunction,
+        "BuiltInUnaryFunction": parse_BuiltInUnaryFunction,
+        "BuiltInBinaryFunction": parse_BuiltInBinaryFunction,
         "RegexExpression": parse_RegexExpression,
         "ExistsFunc": parse_ExistsFunc,
         "NotExistsFunc": parse_NotExistsFunc,
@@ -250,7 +262,7 @@ SparqlParser.parser = (function(){
       }
       
       function parse_Query() {
-        var result0, result1;
+        var result0, result1, result2, result3, result4, result5;
         var pos0, pos1;
         
         reportFailures++;
@@ -269,7 +281,36 @@ SparqlParser.parser = (function(){
             }
           }
           if (result1 !== null) {
-            result0 = [result0, result1];
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              result3 = parse_ValuesClause();
+              result3 = result3 !== null ? result3 : "";
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  result0 = [result0, result1, result2, result3, result4];
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
           } else {
             result0 = null;
             pos = pos1;
@@ -279,12 +320,16 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, p, q) {
+          result0 = (function(offset, p, q, v) {
+              if(v != null && v != "") {
+                  q.values = v;
+              }
+        
               return {token: 'query',
                       kind: 'query',
                       prologue: p,
                       units: [q]};
-        })(pos0, result0[0], result0[1]);
+        })(pos0, result0[0], result0[1], result0[3]);
         }
         if (result0 === null) {
           pos = pos0;
@@ -534,7 +579,7 @@ SparqlParser.parser = (function(){
       }
       
       function parse_SelectQuery() {
-        var result0, result1, result2, result3, result4, result5, result6, result7, result8;
+        var result0, result1, result2, result3, result4, result5, result6;
         var pos0, pos1;
         
         reportFailures++;
@@ -574,24 +619,7 @@ SparqlParser.parser = (function(){
                   if (result5 !== null) {
                     result6 = parse_SolutionModifier();
                     if (result6 !== null) {
-                      result7 = [];
-                      result8 = parse_WS();
-                      while (result8 !== null) {
-                        result7.push(result8);
-                        result8 = parse_WS();
-                      }
-                      if (result7 !== null) {
-                        result8 = parse_BindingsClause();
-                        if (result8 !== null) {
-                          result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8];
-                        } else {
-                          result0 = null;
-                          pos = pos1;
-                        }
-                      } else {
-                        result0 = null;
-                        pos = pos1;
-                      }
+                      result0 = [result0, result1, result2, result3, result4, result5, result6];
                     } else {
                       result0 = null;
                       pos = pos1;
@@ -676,28 +704,101 @@ SparqlParser.parser = (function(){
       }
       
       function parse_SubSelect() {
-        var result0, result1, result2;
-        var pos0;
+        var result0, result1, result2, result3, result4, result5, result6;
+        var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
+        pos1 = pos;
         result0 = parse_SelectClause();
         if (result0 !== null) {
-          result1 = parse_WhereClause();
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
+          }
           if (result1 !== null) {
-            result2 = parse_SolutionModifier();
+            result2 = parse_WhereClause();
             if (result2 !== null) {
-              result0 = [result0, result1, result2];
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
+              }
+              if (result3 !== null) {
+                result4 = parse_SolutionModifier();
+                if (result4 !== null) {
+                  result5 = [];
+                  result6 = parse_WS();
+                  while (result6 !== null) {
+                    result5.push(result6);
+                    result6 = parse_WS();
+                  }
+                  if (result5 !== null) {
+                    result6 = parse_ValuesClause();
+                    result6 = result6 !== null ? result6 : "";
+                    if (result6 !== null) {
+                      result0 = [result0, result1, result2, result3, result4, result5, result6];
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
             } else {
               result0 = null;
-              pos = pos0;
+              pos = pos1;
             }
           } else {
             result0 = null;
-            pos = pos0;
+            pos = pos1;
           }
         } else {
           result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, s, w, sm, v) {
+        
+              var query = {};
+              query.token = 'subselect';
+              query.kind = 'select';
+              query.projection = s.vars;
+              query.modifier = s.modifier;
+              query.pattern = w;
+        
+              if(sm!=null && sm.limit!=null) {
+                  query.limit = sm.limit;
+              }
+              if(sm!=null && sm.offset!=null) {
+                  query.offset = sm.offset;
+              }
+              if(sm!=null && (sm.order!=null && sm.order!="")) {
+                  query.order = sm.order;
+              }
+              if(sm!=null && sm.group!=null) {
+                  query.group = sm.group;
+              }
+              if(v != null && v !== "") {
+                  query.values = v;
+              }
+        
+              return query;
+        })(pos0, result0[0], result0[2], result0[4], result0[6]);
+        }
+        if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
@@ -1402,86 +1503,8 @@ SparqlParser.parser = (function(){
       }
       
       function parse_DescribeQuery() {
-        var result0, result1, result2, result3, result4;
-        var pos0;
-        
-        reportFailures++;
-        pos0 = pos;
-        if (input.substr(pos, 8) === "DESCRIBE") {
-          result0 = "DESCRIBE";
-          pos += 8;
-        } else {
-          result0 = null;
-          if (reportFailures === 0) {
-            matchFailed("\"DESCRIBE\"");
-          }
-        }
-        if (result0 !== null) {
-          result2 = parse_VarOrIRIref();
-          if (result2 !== null) {
-            result1 = [];
-            while (result2 !== null) {
-              result1.push(result2);
-              result2 = parse_VarOrIRIref();
-            }
-          } else {
-            result1 = null;
-          }
-          if (result1 === null) {
-            if (input.charCodeAt(pos) === 42) {
-              result1 = "*";
-              pos++;
-            } else {
-              result1 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"*\"");
-              }
-            }
-          }
-          if (result1 !== null) {
-            result2 = [];
-            result3 = parse_DatasetClause();
-            while (result3 !== null) {
-              result2.push(result3);
-              result3 = parse_DatasetClause();
-            }
-            if (result2 !== null) {
-              result3 = parse_WhereClause();
-              result3 = result3 !== null ? result3 : "";
-              if (result3 !== null) {
-                result4 = parse_SolutionModifier();
-                if (result4 !== null) {
-                  result0 = [result0, result1, result2, result3, result4];
-                } else {
-                  result0 = null;
-                  pos = pos0;
-                }
-              } else {
-                result0 = null;
-                pos = pos0;
-              }
-            } else {
-              result0 = null;
-              pos = pos0;
-            }
-          } else {
-            result0 = null;
-            pos = pos0;
-          }
-        } else {
-          result0 = null;
-          pos = pos0;
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[10] DescribeQuery");
-        }
-        return result0;
-      }
-      
-      function parse_AskQuery() {
-        var result0, result1, result2, result3, result4, result5;
-        var pos0, pos1;
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9;
+        var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
@@ -1493,23 +1516,23 @@ SparqlParser.parser = (function(){
           result1 = parse_WS();
         }
         if (result0 !== null) {
-          if (input.substr(pos, 3) === "ASK") {
-            result1 = "ASK";
-            pos += 3;
+          if (input.substr(pos, 8) === "DESCRIBE") {
+            result1 = "DESCRIBE";
+            pos += 8;
           } else {
             result1 = null;
             if (reportFailures === 0) {
-              matchFailed("\"ASK\"");
+              matchFailed("\"DESCRIBE\"");
             }
           }
           if (result1 === null) {
-            if (input.substr(pos, 3) === "ask") {
-              result1 = "ask";
-              pos += 3;
+            if (input.substr(pos, 8) === "describe") {
+              result1 = "describe";
+              pos += 8;
             } else {
               result1 = null;
               if (reportFailures === 0) {
-                matchFailed("\"ask\"");
+                matchFailed("\"describe\"");
               }
             }
           }
@@ -1521,31 +1544,173 @@ SparqlParser.parser = (function(){
               result3 = parse_WS();
             }
             if (result2 !== null) {
-              result3 = [];
-              result4 = parse_DatasetClause();
-              while (result4 !== null) {
-                result3.push(result4);
-                result4 = parse_DatasetClause();
-              }
-              if (result3 !== null) {
-                result4 = [];
+              pos2 = pos;
+              result4 = [];
+              result5 = parse_WS();
+              while (result5 !== null) {
+                result4.push(result5);
                 result5 = parse_WS();
-                while (result5 !== null) {
-                  result4.push(result5);
-                  result5 = parse_WS();
-                }
-                if (result4 !== null) {
-                  result5 = parse_WhereClause();
-                  if (result5 !== null) {
-                    result0 = [result0, result1, result2, result3, result4, result5];
+              }
+              if (result4 !== null) {
+                result5 = parse_VarOrIRIref();
+                if (result5 !== null) {
+                  result6 = [];
+                  result7 = parse_WS();
+                  while (result7 !== null) {
+                    result6.push(result7);
+                    result7 = parse_WS();
+                  }
+                  if (result6 !== null) {
+                    result4 = [result4, result5, result6];
                   } else {
-                    result0 = null;
-                    pos = pos1;
+                    result4 = null;
+                    pos = pos2;
                   }
                 } else {
-                  result0 = null;
-                  pos = pos1;
-                }
+                  result4 = null;
+                  pos = pos2;
+                }
+              } else {
+                result4 = null;
+                pos = pos2;
+              }
+              if (result4 !== null) {
+                result3 = [];
+                while (result4 !== null) {
+                  result3.push(result4);
+                  pos2 = pos;
+                  result4 = [];
+                  result5 = parse_WS();
+                  while (result5 !== null) {
+                    result4.push(result5);
+                    result5 = parse_WS();
+                  }
+                  if (result4 !== null) {
+                    result5 = parse_VarOrIRIref();
+                    if (result5 !== null) {
+                      result6 = [];
+                      result7 = parse_WS();
+                      while (result7 !== null) {
+                        result6.push(result7);
+                        result7 = parse_WS();
+                      }
+                      if (result6 !== null) {
+                        result4 = [result4, result5, result6];
+                      } else {
+                        result4 = null;
+                        pos = pos2;
+                      }
+                    } else {
+                      result4 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result4 = null;
+                    pos = pos2;
+                  }
+                }
+              } else {
+                result3 = null;
+              }
+              if (result3 === null) {
+                pos2 = pos;
+                result3 = [];
+                result4 = parse_WS();
+                while (result4 !== null) {
+                  result3.push(result4);
+                  result4 = parse_WS();
+                }
+                if (result3 !== null) {
+                  if (input.charCodeAt(pos) === 42) {
+                    result4 = "*";
+                    pos++;
+                  } else {
+                    result4 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"*\"");
+                    }
+                  }
+                  if (result4 !== null) {
+                    result5 = [];
+                    result6 = parse_WS();
+                    while (result6 !== null) {
+                      result5.push(result6);
+                      result6 = parse_WS();
+                    }
+                    if (result5 !== null) {
+                      result3 = [result3, result4, result5];
+                    } else {
+                      result3 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result3 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result3 = null;
+                  pos = pos2;
+                }
+              }
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  result5 = [];
+                  result6 = parse_DatasetClause();
+                  while (result6 !== null) {
+                    result5.push(result6);
+                    result6 = parse_DatasetClause();
+                  }
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
+                    }
+                    if (result6 !== null) {
+                      result7 = parse_WhereClause();
+                      result7 = result7 !== null ? result7 : "";
+                      if (result7 !== null) {
+                        result8 = [];
+                        result9 = parse_WS();
+                        while (result9 !== null) {
+                          result8.push(result9);
+                          result9 = parse_WS();
+                        }
+                        if (result8 !== null) {
+                          result9 = parse_SolutionModifier();
+                          if (result9 !== null) {
+                            result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9];
+                          } else {
+                            result0 = null;
+                            pos = pos1;
+                          }
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
               } else {
                 result0 = null;
                 pos = pos1;
@@ -1563,11 +1728,11 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, gs, w) {
+          result0 = (function(offset, rs, gs, w, sm) {
               var dataset = {'named':[], 'implicit':[]};
               for(var i=0; i<gs.length; i++) {
                   var g = gs[i];
-                  if(g.kind === 'implicit') {
+                  if(g.kind === 'default') {
                       dataset['implicit'].push(g.graph);
                   } else {
                       dataset['named'].push(g.graph)
@@ -1577,78 +1742,117 @@ SparqlParser.parser = (function(){
         
               if(dataset['named'].length === 0 && dataset['implicit'].length === 0) {
                   dataset['implicit'].push({token:'uri',
-                                            prefix:null,
-                                            suffix:null,
-                                            value:'https://github.com/antoniogarrote/rdfstore-js#default_graph'});
+                                           prefix:null, 
+                                           suffix:null, 
+                                           value:'https://github.com/antoniogarrote/rdfstore-js#default_graph'});
+              }
+        
+              var resources = [];
+              if(rs.length === 3 && rs[1] === "*") {
+                  resources.push({token: 'variable', kind:'*'});
+              } else {
+                  for(var i=0; i<rs.length; i++) {
+                      resources.push(rs[i][1]);
+                  }
               }
         
               var query = {};
-              query.kind = 'ask';
+              query.kind = 'describe';
               query.token = 'executableunit'
               query.dataset = dataset;
-              query.pattern = w
+              query.resources = resources;
+              query.pattern = (w === "" ? null : w);
+        
+              if(sm!=null && sm.limit!=null) {
+                  query.limit = sm.limit;
+              }
+              if(sm!=null && sm.offset!=null) {
+                  query.offset = sm.offset;
+              }
+              if(sm!=null && (sm.order!=null && sm.order!="")) {
+                  query.order = sm.order;
+              }
         
               return query
-        })(pos0, result0[3], result0[5]);
+        })(pos0, result0[3], result0[5], result0[7], result0[9]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[11] AskQuery");
+          matchFailed("[10] DescribeQuery");
         }
         return result0;
       }
       
-      function parse_DatasetClause() {
-        var result0, result1, result2, result3, result4;
+      function parse_AskQuery() {
+        var result0, result1, result2, result3, result4, result5;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        if (input.substr(pos, 4) === "FROM") {
-          result0 = "FROM";
-          pos += 4;
-        } else {
-          result0 = null;
-          if (reportFailures === 0) {
-            matchFailed("\"FROM\"");
-          }
+        result0 = [];
+        result1 = parse_WS();
+        while (result1 !== null) {
+          result0.push(result1);
+          result1 = parse_WS();
         }
-        if (result0 === null) {
-          if (input.substr(pos, 4) === "from") {
-            result0 = "from";
-            pos += 4;
+        if (result0 !== null) {
+          if (input.substr(pos, 3) === "ASK") {
+            result1 = "ASK";
+            pos += 3;
           } else {
-            result0 = null;
+            result1 = null;
             if (reportFailures === 0) {
-              matchFailed("\"from\"");
+              matchFailed("\"ASK\"");
             }
           }
-        }
-        if (result0 !== null) {
-          result1 = [];
-          result2 = parse_WS();
-          while (result2 !== null) {
-            result1.push(result2);
-            result2 = parse_WS();
+          if (result1 === null) {
+            if (input.substr(pos, 3) === "ask") {
+              result1 = "ask";
+              pos += 3;
+            } else {
+              result1 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"ask\"");
+              }
+            }
           }
           if (result1 !== null) {
-            result2 = parse_DefaultGraphClause();
-            if (result2 === null) {
-              result2 = parse_NamedGraphClause();
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
             }
             if (result2 !== null) {
               result3 = [];
-              result4 = parse_WS();
+              result4 = parse_DatasetClause();
               while (result4 !== null) {
                 result3.push(result4);
-                result4 = parse_WS();
+                result4 = parse_DatasetClause();
               }
               if (result3 !== null) {
-                result0 = [result0, result1, result2, result3];
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  result5 = parse_WhereClause();
+                  if (result5 !== null) {
+                    result0 = [result0, result1, result2, result3, result4, result5];
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
               } else {
                 result0 = null;
                 pos = pos1;
@@ -1666,14 +1870,117 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, gs) {
-              return gs;
-        })(pos0, result0[2]);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        reportFailures--;
+          result0 = (function(offset, gs, w) {
+              var dataset = {'named':[], 'implicit':[]};
+              for(var i=0; i<gs.length; i++) {
+                  var g = gs[i];
+                  if(g.kind === 'implicit') {
+                      dataset['implicit'].push(g.graph);
+                  } else {
+                      dataset['named'].push(g.graph)
+                  }
+              }
+        
+        
+              if(dataset['named'].length === 0 && dataset['implicit'].length === 0) {
+                  dataset['implicit'].push({token:'uri',
+                                            prefix:null,
+                                            suffix:null,
+                                            value:'https://github.com/antoniogarrote/rdfstore-js#default_graph'});
+              }
+        
+              var query = {};
+              query.kind = 'ask';
+              query.token = 'executableunit'
+              query.dataset = dataset;
+              query.pattern = w
+        
+              return query
+        })(pos0, result0[3], result0[5]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[11] AskQuery");
+        }
+        return result0;
+      }
+      
+      function parse_DatasetClause() {
+        var result0, result1, result2, result3, result4;
+        var pos0, pos1;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        if (input.substr(pos, 4) === "FROM") {
+          result0 = "FROM";
+          pos += 4;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"FROM\"");
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 4) === "from") {
+            result0 = "from";
+            pos += 4;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"from\"");
+            }
+          }
+        }
+        if (result0 !== null) {
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
+          }
+          if (result1 !== null) {
+            result2 = parse_DefaultGraphClause();
+            if (result2 === null) {
+              result2 = parse_NamedGraphClause();
+            }
+            if (result2 !== null) {
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
+              }
+              if (result3 !== null) {
+                result0 = [result0, result1, result2, result3];
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, gs) {
+              return gs;
+        })(pos0, result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
         if (reportFailures === 0 && result0 === null) {
           matchFailed("[12] DatasetClause");
         }
@@ -2846,27 +3153,100 @@ SparqlParser.parser = (function(){
         return result0;
       }
       
-      function parse_BindingsClause() {
-        var result0, result1, result2, result3, result4, result5, result6;
+      function parse_ValuesClause() {
+        var result0, result1, result2;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
-        if (input.substr(pos, 8) === "BINDINGS") {
-          result0 = "BINDINGS";
-          pos += 8;
+        pos1 = pos;
+        if (input.substr(pos, 6) === "VALUES") {
+          result0 = "VALUES";
+          pos += 6;
         } else {
           result0 = null;
           if (reportFailures === 0) {
-            matchFailed("\"BINDINGS\"");
+            matchFailed("\"VALUES\"");
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 6) === "values") {
+            result0 = "values";
+            pos += 6;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"values\"");
+            }
+          }
+        }
+        if (result0 !== null) {
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
+          }
+          if (result1 !== null) {
+            result2 = parse_DataBlock();
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
           }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, d) {
+              return d;
+        })(pos0, result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[27] ValuesClause");
+        }
+        return result0;
+      }
+      
+      function parse_DataBlock() {
+        var result0;
+        
+        reportFailures++;
+        result0 = parse_InlineDataOneVar();
+        if (result0 === null) {
+          result0 = parse_InlineDataFull();
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[28] DataBlock");
         }
+        return result0;
+      }
+      
+      function parse_InlineDataOneVar() {
+        var result0, result1, result2, result3, result4, result5, result6, result7;
+        var pos0, pos1, pos2;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_Var();
         if (result0 !== null) {
           result1 = [];
-          result2 = parse_Var();
+          result2 = parse_WS();
           while (result2 !== null) {
             result1.push(result2);
-            result2 = parse_Var();
+            result2 = parse_WS();
           }
           if (result1 !== null) {
             if (input.charCodeAt(pos) === 123) {
@@ -2880,185 +3260,133 @@ SparqlParser.parser = (function(){
             }
             if (result2 !== null) {
               result3 = [];
-              pos1 = pos;
-              if (input.charCodeAt(pos) === 40) {
-                result4 = "(";
-                pos++;
-              } else {
-                result4 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\"(\"");
-                }
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
               }
-              if (result4 !== null) {
-                result6 = parse_BindingValue();
-                if (result6 !== null) {
-                  result5 = [];
-                  while (result6 !== null) {
-                    result5.push(result6);
-                    result6 = parse_BindingValue();
+              if (result3 !== null) {
+                result4 = [];
+                pos2 = pos;
+                result5 = parse_DataBlockValue();
+                if (result5 !== null) {
+                  result6 = [];
+                  result7 = parse_WS();
+                  while (result7 !== null) {
+                    result6.push(result7);
+                    result7 = parse_WS();
+                  }
+                  if (result6 !== null) {
+                    result5 = [result5, result6];
+                  } else {
+                    result5 = null;
+                    pos = pos2;
                   }
                 } else {
                   result5 = null;
+                  pos = pos2;
                 }
-                if (result5 !== null) {
-                  if (input.charCodeAt(pos) === 41) {
-                    result6 = ")";
+                while (result5 !== null) {
+                  result4.push(result5);
+                  pos2 = pos;
+                  result5 = parse_DataBlockValue();
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
+                    }
+                    if (result6 !== null) {
+                      result5 = [result5, result6];
+                    } else {
+                      result5 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result5 = null;
+                    pos = pos2;
+                  }
+                }
+                if (result4 !== null) {
+                  if (input.charCodeAt(pos) === 125) {
+                    result5 = "}";
                     pos++;
                   } else {
-                    result6 = null;
+                    result5 = null;
                     if (reportFailures === 0) {
-                      matchFailed("\")\"");
+                      matchFailed("\"}\"");
                     }
                   }
-                  if (result6 !== null) {
-                    result4 = [result4, result5, result6];
+                  if (result5 !== null) {
+                    result0 = [result0, result1, result2, result3, result4, result5];
                   } else {
-                    result4 = null;
+                    result0 = null;
                     pos = pos1;
                   }
                 } else {
-                  result4 = null;
+                  result0 = null;
                   pos = pos1;
                 }
               } else {
-                result4 = null;
+                result0 = null;
                 pos = pos1;
               }
-              if (result4 === null) {
-                result4 = parse_NIL();
-              }
-              while (result4 !== null) {
-                result3.push(result4);
-                pos1 = pos;
-                if (input.charCodeAt(pos) === 40) {
-                  result4 = "(";
-                  pos++;
-                } else {
-                  result4 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"(\"");
-                  }
-                }
-                if (result4 !== null) {
-                  result6 = parse_BindingValue();
-                  if (result6 !== null) {
-                    result5 = [];
-                    while (result6 !== null) {
-                      result5.push(result6);
-                      result6 = parse_BindingValue();
-                    }
-                  } else {
-                    result5 = null;
-                  }
-                  if (result5 !== null) {
-                    if (input.charCodeAt(pos) === 41) {
-                      result6 = ")";
-                      pos++;
-                    } else {
-                      result6 = null;
-                      if (reportFailures === 0) {
-                        matchFailed("\")\"");
-                      }
-                    }
-                    if (result6 !== null) {
-                      result4 = [result4, result5, result6];
-                    } else {
-                      result4 = null;
-                      pos = pos1;
-                    }
-                  } else {
-                    result4 = null;
-                    pos = pos1;
-                  }
-                } else {
-                  result4 = null;
-                  pos = pos1;
-                }
-                if (result4 === null) {
-                  result4 = parse_NIL();
-                }
-              }
-              if (result3 !== null) {
-                if (input.charCodeAt(pos) === 125) {
-                  result4 = "}";
-                  pos++;
-                } else {
-                  result4 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"}\"");
-                  }
-                }
-                if (result4 !== null) {
-                  result0 = [result0, result1, result2, result3, result4];
-                } else {
-                  result0 = null;
-                  pos = pos0;
-                }
-              } else {
-                result0 = null;
-                pos = pos0;
-              }
             } else {
               result0 = null;
-              pos = pos0;
+              pos = pos1;
             }
           } else {
             result0 = null;
-            pos = pos0;
+            pos = pos1;
           }
         } else {
           result0 = null;
-          pos = pos0;
-        }
-        result0 = result0 !== null ? result0 : "";
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[27] BindingsClause");
+          pos = pos1;
         }
-        return result0;
-      }
-      
-      function parse_BindingValue() {
-        var result0;
-        
-        reportFailures++;
-        result0 = parse_IRIref();
-        if (result0 === null) {
-          result0 = parse_RDFLiteral();
-          if (result0 === null) {
-            result0 = parse_NumericLiteral();
-            if (result0 === null) {
-              result0 = parse_BooleanLiteral();
-              if (result0 === null) {
-                if (input.substr(pos, 5) === "UNDEF") {
-                  result0 = "UNDEF";
-                  pos += 5;
-                } else {
-                  result0 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"UNDEF\"");
+        if (result0 !== null) {
+          result0 = (function(offset, v, vs) {
+              var rows = [];
+              for(var i=0; i<vs.length; i++) {
+                  if(typeof(vs[i][0]) === 'string') {
+                      // UNDEF
+                      rows.push([null]);
+                  } else {
+                      rows.push([vs[i][0]]);
                   }
-                }
               }
-            }
-          }
+        
+              return {token: 'datablock',
+                      variables: [v],
+                      rows: rows};
+        })(pos0, result0[0], result0[4]);
+        }
+        if (result0 === null) {
+          pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[28] BindingValue");
+          matchFailed("[29] InlineDataOneVar");
         }
         return result0;
       }
       
-      function parse_Update() {
-        var result0, result1, result2, result3, result4, result5, result6;
-        var pos0, pos1, pos2;
+      function parse_InlineDataFull() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11, result12, result13;
+        var pos0, pos1, pos2, pos3;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_Prologue();
+        if (input.charCodeAt(pos) === 40) {
+          result0 = "(";
+          pos++;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"(\"");
+          }
+        }
         if (result0 !== null) {
           result1 = [];
           result2 = parse_WS();
@@ -3067,45 +3395,39 @@ SparqlParser.parser = (function(){
             result2 = parse_WS();
           }
           if (result1 !== null) {
-            result2 = parse_Update1();
-            if (result2 !== null) {
-              pos2 = pos;
-              result3 = [];
-              result4 = parse_WS();
-              while (result4 !== null) {
-                result3.push(result4);
-                result4 = parse_WS();
+            result2 = [];
+            pos2 = pos;
+            result3 = parse_Var();
+            if (result3 !== null) {
+              result4 = [];
+              result5 = parse_WS();
+              while (result5 !== null) {
+                result4.push(result5);
+                result5 = parse_WS();
+              }
+              if (result4 !== null) {
+                result3 = [result3, result4];
+              } else {
+                result3 = null;
+                pos = pos2;
               }
+            } else {
+              result3 = null;
+              pos = pos2;
+            }
+            while (result3 !== null) {
+              result2.push(result3);
+              pos2 = pos;
+              result3 = parse_Var();
               if (result3 !== null) {
-                if (input.charCodeAt(pos) === 59) {
-                  result4 = ";";
-                  pos++;
-                } else {
-                  result4 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\";\"");
-                  }
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
                 }
                 if (result4 !== null) {
-                  result5 = [];
-                  result6 = parse_WS();
-                  while (result6 !== null) {
-                    result5.push(result6);
-                    result6 = parse_WS();
-                  }
-                  if (result5 !== null) {
-                    result6 = parse_Update();
-                    result6 = result6 !== null ? result6 : "";
-                    if (result6 !== null) {
-                      result3 = [result3, result4, result5, result6];
-                    } else {
-                      result3 = null;
-                      pos = pos2;
-                    }
-                  } else {
-                    result3 = null;
-                    pos = pos2;
-                  }
+                  result3 = [result3, result4];
                 } else {
                   result3 = null;
                   pos = pos2;
@@ -3114,177 +3436,272 @@ SparqlParser.parser = (function(){
                 result3 = null;
                 pos = pos2;
               }
-              result3 = result3 !== null ? result3 : "";
-              if (result3 !== null) {
-                result0 = [result0, result1, result2, result3];
-              } else {
-                result0 = null;
-                pos = pos1;
-              }
-            } else {
-              result0 = null;
-              pos = pos1;
             }
-          } else {
-            result0 = null;
-            pos = pos1;
-          }
-        } else {
-          result0 = null;
-          pos = pos1;
-        }
-        if (result0 !== null) {
-          result0 = (function(offset, p, u, us) {
-        
-              var query = {};
-              query.token = 'query';
-              query.kind = 'update'
-              query.prologue = p;
-        
-             var units = [u];
-        
-             if(us.length != null && us[3] != null && us[3].units != null) {
-                 units = units.concat(us[3].units);
-             }
-        
-             query.units = units;
-             return query;
-        })(pos0, result0[0], result0[2], result0[3]);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[30] Update");
-        }
-        return result0;
-      }
-      
-      function parse_Update1() {
-        var result0;
-        
-        reportFailures++;
-        result0 = parse_Load();
-        if (result0 === null) {
-          result0 = parse_Clear();
-          if (result0 === null) {
-            result0 = parse_Drop();
-            if (result0 === null) {
-              result0 = parse_Create();
-              if (result0 === null) {
-                result0 = parse_InsertData();
-                if (result0 === null) {
-                  result0 = parse_DeleteData();
-                  if (result0 === null) {
-                    result0 = parse_DeleteWhere();
-                    if (result0 === null) {
-                      result0 = parse_Modify();
-                    }
-                  }
+            if (result2 !== null) {
+              if (input.charCodeAt(pos) === 41) {
+                result3 = ")";
+                pos++;
+              } else {
+                result3 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\")\"");
                 }
               }
-            }
-          }
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[31] Update1");
-        }
-        return result0;
-      }
-      
-      function parse_Load() {
-        var result0, result1, result2, result3, result4, result5, result6;
-        var pos0, pos1, pos2;
-        
-        reportFailures++;
-        pos0 = pos;
-        pos1 = pos;
-        if (input.substr(pos, 4) === "LOAD") {
-          result0 = "LOAD";
-          pos += 4;
-        } else {
-          result0 = null;
-          if (reportFailures === 0) {
-            matchFailed("\"LOAD\"");
-          }
-        }
-        if (result0 === null) {
-          if (input.substr(pos, 4) === "load") {
-            result0 = "load";
-            pos += 4;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"load\"");
-            }
-          }
-        }
-        if (result0 !== null) {
-          result1 = [];
-          result2 = parse_WS();
-          while (result2 !== null) {
-            result1.push(result2);
-            result2 = parse_WS();
-          }
-          if (result1 !== null) {
-            result2 = parse_IRIref();
-            if (result2 !== null) {
-              result3 = [];
-              result4 = parse_WS();
-              while (result4 !== null) {
-                result3.push(result4);
-                result4 = parse_WS();
-              }
               if (result3 !== null) {
-                pos2 = pos;
-                if (input.substr(pos, 4) === "INTO") {
-                  result4 = "INTO";
-                  pos += 4;
-                } else {
-                  result4 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"INTO\"");
-                  }
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
                 }
-                if (result4 === null) {
-                  if (input.substr(pos, 4) === "into") {
-                    result4 = "into";
-                    pos += 4;
+                if (result4 !== null) {
+                  if (input.charCodeAt(pos) === 123) {
+                    result5 = "{";
+                    pos++;
                   } else {
-                    result4 = null;
+                    result5 = null;
                     if (reportFailures === 0) {
-                      matchFailed("\"into\"");
+                      matchFailed("\"{\"");
                     }
                   }
-                }
-                if (result4 !== null) {
-                  result5 = [];
-                  result6 = parse_WS();
-                  while (result6 !== null) {
-                    result5.push(result6);
-                    result6 = parse_WS();
-                  }
                   if (result5 !== null) {
-                    result6 = parse_GraphRef();
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
+                    }
                     if (result6 !== null) {
-                      result4 = [result4, result5, result6];
+                      result7 = [];
+                      pos2 = pos;
+                      if (input.charCodeAt(pos) === 40) {
+                        result8 = "(";
+                        pos++;
+                      } else {
+                        result8 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"(\"");
+                        }
+                      }
+                      if (result8 !== null) {
+                        result9 = [];
+                        result10 = parse_WS();
+                        while (result10 !== null) {
+                          result9.push(result10);
+                          result10 = parse_WS();
+                        }
+                        if (result9 !== null) {
+                          result10 = [];
+                          pos3 = pos;
+                          result11 = parse_DataBlockValue();
+                          if (result11 !== null) {
+                            result12 = [];
+                            result13 = parse_WS();
+                            while (result13 !== null) {
+                              result12.push(result13);
+                              result13 = parse_WS();
+                            }
+                            if (result12 !== null) {
+                              result11 = [result11, result12];
+                            } else {
+                              result11 = null;
+                              pos = pos3;
+                            }
+                          } else {
+                            result11 = null;
+                            pos = pos3;
+                          }
+                          while (result11 !== null) {
+                            result10.push(result11);
+                            pos3 = pos;
+                            result11 = parse_DataBlockValue();
+                            if (result11 !== null) {
+                              result12 = [];
+                              result13 = parse_WS();
+                              while (result13 !== null) {
+                                result12.push(result13);
+                                result13 = parse_WS();
+                              }
+                              if (result12 !== null) {
+                                result11 = [result11, result12];
+                              } else {
+                                result11 = null;
+                                pos = pos3;
+                              }
+                            } else {
+                              result11 = null;
+                              pos = pos3;
+                            }
+                          }
+                          if (result10 !== null) {
+                            if (input.charCodeAt(pos) === 41) {
+                              result11 = ")";
+                              pos++;
+                            } else {
+                              result11 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\")\"");
+                              }
+                            }
+                            if (result11 !== null) {
+                              result12 = [];
+                              result13 = parse_WS();
+                              while (result13 !== null) {
+                                result12.push(result13);
+                                result13 = parse_WS();
+                              }
+                              if (result12 !== null) {
+                                result8 = [result8, result9, result10, result11, result12];
+                              } else {
+                                result8 = null;
+                                pos = pos2;
+                              }
+                            } else {
+                              result8 = null;
+                              pos = pos2;
+                            }
+                          } else {
+                            result8 = null;
+                            pos = pos2;
+                          }
+                        } else {
+                          result8 = null;
+                          pos = pos2;
+                        }
+                      } else {
+                        result8 = null;
+                        pos = pos2;
+                      }
+                      while (result8 !== null) {
+                        result7.push(result8);
+                        pos2 = pos;
+                        if (input.charCodeAt(pos) === 40) {
+                          result8 = "(";
+                          pos++;
+                        } else {
+                          result8 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\"(\"");
+                          }
+                        }
+                        if (result8 !== null) {
+                          result9 = [];
+                          result10 = parse_WS();
+                          while (result10 !== null) {
+                            result9.push(result10);
+                            result10 = parse_WS();
+                          }
+                          if (result9 !== null) {
+                            result10 = [];
+                            pos3 = pos;
+                            result11 = parse_DataBlockValue();
+                            if (result11 !== null) {
+                              result12 = [];
+                              result13 = parse_WS();
+                              while (result13 !== null) {
+                                result12.push(result13);
+                                result13 = parse_WS();
+                              }
+                              if (result12 !== null) {
+                                result11 = [result11, result12];
+                              } else {
+                                result11 = null;
+                                pos = pos3;
+                              }
+                            } else {
+                              result11 = null;
+                              pos = pos3;
+                            }
+                            while (result11 !== null) {
+                              result10.push(result11);
+                              pos3 = pos;
+                              result11 = parse_DataBlockValue();
+                              if (result11 !== null) {
+                                result12 = [];
+                                result13 = parse_WS();
+                                while (result13 !== null) {
+                                  result12.push(result13);
+                                  result13 = parse_WS();
+                                }
+                                if (result12 !== null) {
+                                  result11 = [result11, result12];
+                                } else {
+                                  result11 = null;
+                                  pos = pos3;
+                                }
+                              } else {
+                                result11 = null;
+                                pos = pos3;
+                              }
+                            }
+                            if (result10 !== null) {
+                              if (input.charCodeAt(pos) === 41) {
+                                result11 = ")";
+                                pos++;
+                              } else {
+                                result11 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\")\"");
+                                }
+                              }
+                              if (result11 !== null) {
+                                result12 = [];
+                                result13 = parse_WS();
+                                while (result13 !== null) {
+                                  result12.push(result13);
+                                  result13 = parse_WS();
+                                }
+                                if (result12 !== null) {
+                                  result8 = [result8, result9, result10, result11, result12];
+                                } else {
+                                  result8 = null;
+                                  pos = pos2;
+                                }
+                              } else {
+                                result8 = null;
+                                pos = pos2;
+                              }
+                            } else {
+                              result8 = null;
+                              pos = pos2;
+                            }
+                          } else {
+                            result8 = null;
+                            pos = pos2;
+                          }
+                        } else {
+                          result8 = null;
+                          pos = pos2;
+                        }
+                      }
+                      if (result7 !== null) {
+                        if (input.charCodeAt(pos) === 125) {
+                          result8 = "}";
+                          pos++;
+                        } else {
+                          result8 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\"}\"");
+                          }
+                        }
+                        if (result8 !== null) {
+                          result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8];
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
                     } else {
-                      result4 = null;
-                      pos = pos2;
+                      result0 = null;
+                      pos = pos1;
                     }
                   } else {
-                    result4 = null;
-                    pos = pos2;
+                    result0 = null;
+                    pos = pos1;
                   }
-                } else {
-                  result4 = null;
-                  pos = pos2;
-                }
-                result4 = result4 !== null ? result4 : "";
-                if (result4 !== null) {
-                  result0 = [result0, result1, result2, result3, result4];
                 } else {
                   result0 = null;
                   pos = pos1;
@@ -3306,53 +3723,93 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, sg, dg) {
-              var query = {};
-              query.kind = 'load';
-              query.token = 'executableunit'
-              query.sourceGraph = sg;
-              query.destinyGraph = dg[2];
-              
-              return query;
-        })(pos0, result0[2], result0[4]);
-        }
-        if (result0 === null) {
+          result0 = (function(offset, vs, rs) {
+              var variables = [];
+              for(var i=0; i<vs.length; i++) {
+                  variables.push(vs[i][0]);
+              }
+        
+              var rows = [];
+              for(var i=0; i<rs.length; i++) {
+                  var values = rs[i][2];
+                  var row = [];
+                  for(var j=0; j<values.length; j++) {
+                      if(typeof(values[j][0]) === 'string') {
+                          // UNDEF
+                          row.push(null);
+                      } else {
+                          row.push(values[j][0]);
+                      }
+                  }
+                  rows.push(row);
+              }
+        
+              return {token: 'datablock',
+                      variables: variables,
+                      rows: rows};
+        })(pos0, result0[2], result0[7]);
+        }
+        if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[32] Load");
+          matchFailed("[30] InlineDataFull");
         }
         return result0;
       }
       
-      function parse_Clear() {
-        var result0, result1, result2, result3, result4;
-        var pos0, pos1;
+      function parse_DataBlockValue() {
+        var result0;
         
         reportFailures++;
-        pos0 = pos;
-        pos1 = pos;
-        if (input.substr(pos, 5) === "CLEAR") {
-          result0 = "CLEAR";
-          pos += 5;
-        } else {
-          result0 = null;
-          if (reportFailures === 0) {
-            matchFailed("\"CLEAR\"");
-          }
-        }
+        result0 = parse_IRIref();
         if (result0 === null) {
-          if (input.substr(pos, 5) === "clear") {
-            result0 = "clear";
-            pos += 5;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"clear\"");
+          result0 = parse_RDFLiteral();
+          if (result0 === null) {
+            result0 = parse_NumericLiteral();
+            if (result0 === null) {
+              result0 = parse_BooleanLiteral();
+              if (result0 === null) {
+                if (input.substr(pos, 5) === "UNDEF") {
+                  result0 = "UNDEF";
+                  pos += 5;
+                } else {
+                  result0 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"UNDEF\"");
+                  }
+                }
+                if (result0 === null) {
+                  if (input.substr(pos, 5) === "undef") {
+                    result0 = "undef";
+                    pos += 5;
+                  } else {
+                    result0 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"undef\"");
+                    }
+                  }
+                }
+              }
             }
           }
         }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[31] DataBlockValue");
+        }
+        return result0;
+      }
+      
+      function parse_Update() {
+        var result0, result1, result2, result3, result4, result5, result6;
+        var pos0, pos1, pos2;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_Prologue();
         if (result0 !== null) {
           result1 = [];
           result2 = parse_WS();
@@ -3361,28 +3818,9 @@ SparqlParser.parser = (function(){
             result2 = parse_WS();
           }
           if (result1 !== null) {
-            if (input.substr(pos, 6) === "SILENT") {
-              result2 = "SILENT";
-              pos += 6;
-            } else {
-              result2 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"SILENT\"");
-              }
-            }
-            if (result2 === null) {
-              if (input.substr(pos, 6) === "silent") {
-                result2 = "silent";
-                pos += 6;
-              } else {
-                result2 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\"silent\"");
-                }
-              }
-            }
-            result2 = result2 !== null ? result2 : "";
+            result2 = parse_Update1();
             if (result2 !== null) {
+              pos2 = pos;
               result3 = [];
               result4 = parse_WS();
               while (result4 !== null) {
@@ -3390,13 +3828,46 @@ SparqlParser.parser = (function(){
                 result4 = parse_WS();
               }
               if (result3 !== null) {
-                result4 = parse_GraphRefAll();
+                if (input.charCodeAt(pos) === 59) {
+                  result4 = ";";
+                  pos++;
+                } else {
+                  result4 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\";\"");
+                  }
+                }
                 if (result4 !== null) {
-                  result0 = [result0, result1, result2, result3, result4];
+                  result5 = [];
+                  result6 = parse_WS();
+                  while (result6 !== null) {
+                    result5.push(result6);
+                    result6 = parse_WS();
+                  }
+                  if (result5 !== null) {
+                    result6 = parse_Update();
+                    result6 = result6 !== null ? result6 : "";
+                    if (result6 !== null) {
+                      result3 = [result3, result4, result5, result6];
+                    } else {
+                      result3 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result3 = null;
+                    pos = pos2;
+                  }
                 } else {
-                  result0 = null;
-                  pos = pos1;
+                  result3 = null;
+                  pos = pos2;
                 }
+              } else {
+                result3 = null;
+                pos = pos2;
+              }
+              result3 = result3 !== null ? result3 : "";
+              if (result3 !== null) {
+                result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
                 pos = pos1;
@@ -3414,49 +3885,99 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, ref) {
+          result0 = (function(offset, p, u, us) {
+        
               var query = {};
-              query.kind = 'clear';
-              query.token = 'executableunit'
-              query.destinyGraph = ref;
-              
-              return query;
-        })(pos0, result0[4]);
+              query.token = 'query';
+              query.kind = 'update'
+              query.prologue = p;
+        
+             var units = [u];
+        
+             if(us.length != null && us[3] != null && us[3].units != null) {
+                 units = units.concat(us[3].units);
+             }
+        
+             query.units = units;
+             return query;
+        })(pos0, result0[0], result0[2], result0[3]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[33] Clear");
+          matchFailed("[30] Update");
         }
         return result0;
       }
       
-      function parse_Drop() {
-        var result0, result1, result2, result3, result4;
-        var pos0, pos1;
+      function parse_Update1() {
+        var result0;
+        
+        reportFailures++;
+        result0 = parse_Load();
+        if (result0 === null) {
+          result0 = parse_Clear();
+          if (result0 === null) {
+            result0 = parse_Drop();
+            if (result0 === null) {
+              result0 = parse_Add();
+              if (result0 === null) {
+                result0 = parse_Move();
+                if (result0 === null) {
+                  result0 = parse_Copy();
+                  if (result0 === null) {
+                    result0 = parse_Create();
+                    if (result0 === null) {
+                      result0 = parse_InsertData();
+                      if (result0 === null) {
+                        result0 = parse_DeleteData();
+                        if (result0 === null) {
+                          result0 = parse_DeleteWhere();
+                          if (result0 === null) {
+                            result0 = parse_Modify();
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[31] Update1");
+        }
+        return result0;
+      }
+      
+      function parse_Load() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8;
+        var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        if (input.substr(pos, 4) === "DROP") {
-          result0 = "DROP";
+        if (input.substr(pos, 4) === "LOAD") {
+          result0 = "LOAD";
           pos += 4;
         } else {
           result0 = null;
           if (reportFailures === 0) {
-            matchFailed("\"DROP\"");
+            matchFailed("\"LOAD\"");
           }
         }
         if (result0 === null) {
-          if (input.substr(pos, 4) === "drop") {
-            result0 = "drop";
+          if (input.substr(pos, 4) === "load") {
+            result0 = "load";
             pos += 4;
           } else {
             result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"drop\"");
+              matchFailed("\"load\"");
             }
           }
         }
@@ -3497,116 +4018,70 @@ SparqlParser.parser = (function(){
                 result4 = parse_WS();
               }
               if (result3 !== null) {
-                result4 = parse_GraphRefAll();
+                result4 = parse_IRIref();
                 if (result4 !== null) {
-                  result0 = [result0, result1, result2, result3, result4];
-                } else {
-                  result0 = null;
-                  pos = pos1;
-                }
-              } else {
-                result0 = null;
-                pos = pos1;
-              }
-            } else {
-              result0 = null;
-              pos = pos1;
-            }
-          } else {
-            result0 = null;
-            pos = pos1;
-          }
-        } else {
-          result0 = null;
-          pos = pos1;
-        }
-        if (result0 !== null) {
-          result0 = (function(offset, ref) {
-              var query = {};
-              query.kind = 'drop';
-              query.token = 'executableunit'
-              query.destinyGraph = ref;
-              
-              return query;
-        })(pos0, result0[4]);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[34] Drop");
-        }
-        return result0;
-      }
-      
-      function parse_Create() {
-        var result0, result1, result2, result3, result4;
-        var pos0, pos1;
-        
-        reportFailures++;
-        pos0 = pos;
-        pos1 = pos;
-        if (input.substr(pos, 6) === "CREATE") {
-          result0 = "CREATE";
-          pos += 6;
-        } else {
-          result0 = null;
-          if (reportFailures === 0) {
-            matchFailed("\"CREATE\"");
-          }
-        }
-        if (result0 === null) {
-          if (input.substr(pos, 6) === "create") {
-            result0 = "create";
-            pos += 6;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"create\"");
-            }
-          }
-        }
-        if (result0 !== null) {
-          result1 = [];
-          result2 = parse_WS();
-          while (result2 !== null) {
-            result1.push(result2);
-            result2 = parse_WS();
-          }
-          if (result1 !== null) {
-            if (input.substr(pos, 6) === "SILENT") {
-              result2 = "SILENT";
-              pos += 6;
-            } else {
-              result2 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"SILENT\"");
-              }
-            }
-            if (result2 === null) {
-              if (input.substr(pos, 6) === "silent") {
-                result2 = "silent";
-                pos += 6;
-              } else {
-                result2 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\"silent\"");
-                }
-              }
-            }
-            result2 = result2 !== null ? result2 : "";
-            if (result2 !== null) {
-              result3 = [];
-              result4 = parse_WS();
-              while (result4 !== null) {
-                result3.push(result4);
-                result4 = parse_WS();
-              }
-              if (result3 !== null) {
-                result4 = parse_GraphRef();
-                if (result4 !== null) {
-                  result0 = [result0, result1, result2, result3, result4];
+                  result5 = [];
+                  result6 = parse_WS();
+                  while (result6 !== null) {
+                    result5.push(result6);
+                    result6 = parse_WS();
+                  }
+                  if (result5 !== null) {
+                    pos2 = pos;
+                    if (input.substr(pos, 4) === "INTO") {
+                      result6 = "INTO";
+                      pos += 4;
+                    } else {
+                      result6 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"INTO\"");
+                      }
+                    }
+                    if (result6 === null) {
+                      if (input.substr(pos, 4) === "into") {
+                        result6 = "into";
+                        pos += 4;
+                      } else {
+                        result6 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"into\"");
+                        }
+                      }
+                    }
+                    if (result6 !== null) {
+                      result7 = [];
+                      result8 = parse_WS();
+                      while (result8 !== null) {
+                        result7.push(result8);
+                        result8 = parse_WS();
+                      }
+                      if (result7 !== null) {
+                        result8 = parse_GraphRef();
+                        if (result8 !== null) {
+                          result6 = [result6, result7, result8];
+                        } else {
+                          result6 = null;
+                          pos = pos2;
+                        }
+                      } else {
+                        result6 = null;
+                        pos = pos2;
+                      }
+                    } else {
+                      result6 = null;
+                      pos = pos2;
+                    }
+                    result6 = result6 !== null ? result6 : "";
+                    if (result6 !== null) {
+                      result0 = [result0, result1, result2, result3, result4, result5, result6];
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
                 } else {
                   result0 = null;
                   pos = pos1;
@@ -3628,49 +4103,51 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, ref) {
+          result0 = (function(offset, s, sg, dg) {
               var query = {};
-              query.kind = 'create';
+              query.kind = 'load';
               query.token = 'executableunit'
-              query.destinyGraph = ref;
+              query.silent = (s != "");
+              query.sourceGraph = sg;
+              query.destinyGraph = dg[2];
               
               return query;
-        })(pos0, result0[4]);
+        })(pos0, result0[2], result0[4], result0[6]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[35] Create");
+          matchFailed("[32] Load");
         }
         return result0;
       }
       
-      function parse_InsertData() {
+      function parse_Clear() {
         var result0, result1, result2, result3, result4;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        if (input.substr(pos, 6) === "INSERT") {
-          result0 = "INSERT";
-          pos += 6;
+        if (input.substr(pos, 5) === "CLEAR") {
+          result0 = "CLEAR";
+          pos += 5;
         } else {
           result0 = null;
           if (reportFailures === 0) {
-            matchFailed("\"INSERT\"");
+            matchFailed("\"CLEAR\"");
           }
         }
         if (result0 === null) {
-          if (input.substr(pos, 6) === "insert") {
-            result0 = "insert";
-            pos += 6;
+          if (input.substr(pos, 5) === "clear") {
+            result0 = "clear";
+            pos += 5;
           } else {
             result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"insert\"");
+              matchFailed("\"clear\"");
             }
           }
         }
@@ -3682,26 +4159,27 @@ SparqlParser.parser = (function(){
             result2 = parse_WS();
           }
           if (result1 !== null) {
-            if (input.substr(pos, 4) === "DATA") {
-              result2 = "DATA";
-              pos += 4;
+            if (input.substr(pos, 6) === "SILENT") {
+              result2 = "SILENT";
+              pos += 6;
             } else {
               result2 = null;
               if (reportFailures === 0) {
-                matchFailed("\"DATA\"");
+                matchFailed("\"SILENT\"");
               }
             }
             if (result2 === null) {
-              if (input.substr(pos, 4) === "data") {
-                result2 = "data";
-                pos += 4;
+              if (input.substr(pos, 6) === "silent") {
+                result2 = "silent";
+                pos += 6;
               } else {
                 result2 = null;
                 if (reportFailures === 0) {
-                  matchFailed("\"data\"");
+                  matchFailed("\"silent\"");
                 }
               }
             }
+            result2 = result2 !== null ? result2 : "";
             if (result2 !== null) {
               result3 = [];
               result4 = parse_WS();
@@ -3710,7 +4188,7 @@ SparqlParser.parser = (function(){
                 result4 = parse_WS();
               }
               if (result3 !== null) {
-                result4 = parse_QuadData();
+                result4 = parse_GraphRefAll();
                 if (result4 !== null) {
                   result0 = [result0, result1, result2, result3, result4];
                 } else {
@@ -3734,49 +4212,50 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, qs) {
+          result0 = (function(offset, s, ref) {
               var query = {};
-              query.kind = 'insertdata';
+              query.kind = 'clear';
               query.token = 'executableunit'
-              query.quads = qs;
-        
+              query.silent = (s != "");
+              query.destinyGraph = ref;
+              
               return query;
-        })(pos0, result0[4]);
+        })(pos0, result0[2], result0[4]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[36] InsertData");
+          matchFailed("[33] Clear");
         }
         return result0;
       }
       
-      function parse_DeleteData() {
-        var result0, result1, result2, result3;
+      function parse_Drop() {
+        var result0, result1, result2, result3, result4;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        if (input.substr(pos, 6) === "DELETE") {
-          result0 = "DELETE";
-          pos += 6;
+        if (input.substr(pos, 4) === "DROP") {
+          result0 = "DROP";
+          pos += 4;
         } else {
           result0 = null;
           if (reportFailures === 0) {
-            matchFailed("\"DELETE\"");
+            matchFailed("\"DROP\"");
           }
         }
         if (result0 === null) {
-          if (input.substr(pos, 6) === "delete") {
-            result0 = "delete";
-            pos += 6;
+          if (input.substr(pos, 4) === "drop") {
+            result0 = "drop";
+            pos += 4;
           } else {
             result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"delete\"");
+              matchFailed("\"drop\"");
             }
           }
         }
@@ -3788,30 +4267,42 @@ SparqlParser.parser = (function(){
             result2 = parse_WS();
           }
           if (result1 !== null) {
-            if (input.substr(pos, 4) === "DATA") {
-              result2 = "DATA";
-              pos += 4;
+            if (input.substr(pos, 6) === "SILENT") {
+              result2 = "SILENT";
+              pos += 6;
             } else {
               result2 = null;
               if (reportFailures === 0) {
-                matchFailed("\"DATA\"");
+                matchFailed("\"SILENT\"");
               }
             }
             if (result2 === null) {
-              if (input.substr(pos, 4) === "data") {
-                result2 = "data";
-                pos += 4;
+              if (input.substr(pos, 6) === "silent") {
+                result2 = "silent";
+                pos += 6;
               } else {
                 result2 = null;
                 if (reportFailures === 0) {
-                  matchFailed("\"data\"");
+                  matchFailed("\"silent\"");
                 }
               }
             }
+            result2 = result2 !== null ? result2 : "";
             if (result2 !== null) {
-              result3 = parse_QuadData();
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
+              }
               if (result3 !== null) {
-                result0 = [result0, result1, result2, result3];
+                result4 = parse_GraphRefAll();
+                if (result4 !== null) {
+                  result0 = [result0, result1, result2, result3, result4];
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
               } else {
                 result0 = null;
                 pos = pos1;
@@ -3829,49 +4320,50 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, qs) {
+          result0 = (function(offset, s, ref) {
               var query = {};
-              query.kind = 'deletedata';
+              query.kind = 'drop';
               query.token = 'executableunit'
-              query.quads = qs;
-        
+              query.silent = (s != "");
+              query.destinyGraph = ref;
+              
               return query;
-        })(pos0, result0[3]);
+        })(pos0, result0[2], result0[4]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[37] DeleteData");
+          matchFailed("[34] Drop");
         }
         return result0;
       }
       
-      function parse_DeleteWhere() {
-        var result0, result1, result2, result3, result4;
+      function parse_Add() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        if (input.substr(pos, 6) === "DELETE") {
-          result0 = "DELETE";
-          pos += 6;
+        if (input.substr(pos, 3) === "ADD") {
+          result0 = "ADD";
+          pos += 3;
         } else {
           result0 = null;
           if (reportFailures === 0) {
-            matchFailed("\"DELETE\"");
+            matchFailed("\"ADD\"");
           }
         }
         if (result0 === null) {
-          if (input.substr(pos, 6) === "delete") {
-            result0 = "delete";
-            pos += 6;
+          if (input.substr(pos, 3) === "add") {
+            result0 = "add";
+            pos += 3;
           } else {
             result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"delete\"");
+              matchFailed("\"add\"");
             }
           }
         }
@@ -3883,26 +4375,27 @@ SparqlParser.parser = (function(){
             result2 = parse_WS();
           }
           if (result1 !== null) {
-            if (input.substr(pos, 5) === "WHERE") {
-              result2 = "WHERE";
-              pos += 5;
+            if (input.substr(pos, 6) === "SILENT") {
+              result2 = "SILENT";
+              pos += 6;
             } else {
               result2 = null;
               if (reportFailures === 0) {
-                matchFailed("\"WHERE\"");
+                matchFailed("\"SILENT\"");
               }
             }
             if (result2 === null) {
-              if (input.substr(pos, 5) === "where") {
-                result2 = "where";
-                pos += 5;
+              if (input.substr(pos, 6) === "silent") {
+                result2 = "silent";
+                pos += 6;
               } else {
                 result2 = null;
                 if (reportFailures === 0) {
-                  matchFailed("\"where\"");
+                  matchFailed("\"silent\"");
                 }
               }
             }
+            result2 = result2 !== null ? result2 : "";
             if (result2 !== null) {
               result3 = [];
               result4 = parse_WS();
@@ -3911,9 +4404,62 @@ SparqlParser.parser = (function(){
                 result4 = parse_WS();
               }
               if (result3 !== null) {
-                result4 = parse_GroupGraphPattern();
+                result4 = parse_GraphOrDefault();
                 if (result4 !== null) {
-                  result0 = [result0, result1, result2, result3, result4];
+                  result5 = [];
+                  result6 = parse_WS();
+                  while (result6 !== null) {
+                    result5.push(result6);
+                    result6 = parse_WS();
+                  }
+                  if (result5 !== null) {
+                    if (input.substr(pos, 2) === "TO") {
+                      result6 = "TO";
+                      pos += 2;
+                    } else {
+                      result6 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"TO\"");
+                      }
+                    }
+                    if (result6 === null) {
+                      if (input.substr(pos, 2) === "to") {
+                        result6 = "to";
+                        pos += 2;
+                      } else {
+                        result6 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"to\"");
+                        }
+                      }
+                    }
+                    if (result6 !== null) {
+                      result7 = [];
+                      result8 = parse_WS();
+                      while (result8 !== null) {
+                        result7.push(result8);
+                        result8 = parse_WS();
+                      }
+                      if (result7 !== null) {
+                        result8 = parse_GraphOrDefault();
+                        if (result8 !== null) {
+                          result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8];
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
                 } else {
                   result0 = null;
                   pos = pos1;
@@ -3935,75 +4481,51 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, p) {
+          result0 = (function(offset, s, sg, dg) {
               var query = {};
-              query.kind = 'modify';
-              query.pattern = p;
-              query.with = null;
-              query.using = null;
-        
-              var quads = [];
-        
-        
-              var patternsCollection = p.patterns[0];
-              if(patternsCollection.triplesContext == null && patternsCollection.patterns!=null) {
-                  patternsCollection = patternsCollection.patterns[0].triplesContext;
-              } else {
-                  patternsCollection = patternsCollection.triplesContext;
-              }
-        
-              for(var i=0; i<patternsCollection.length; i++) {
-                  var quad = {};
-                  var contextQuad = patternsCollection[i];
-        
-                  quad['subject'] = contextQuad['subject'];
-                  quad['predicate'] = contextQuad['predicate'];
-                  quad['object'] = contextQuad['object'];
-                  quad['graph'] = contextQuad['graph'];
-        
-                  quads.push(quad);
-              }
-        
-              query.delete = quads;
+              query.kind = 'add';
+              query.token = 'executableunit'
+              query.silent = (s != "");
+              query.sourceGraph = sg;
+              query.destinyGraph = dg;
         
               return query;
-        })(pos0, result0[4]);
+        })(pos0, result0[2], result0[4], result0[8]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[38] DeleteWhere");
+          matchFailed("Add");
         }
         return result0;
       }
       
-      function parse_Modify() {
-        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10;
-        var pos0, pos1, pos2;
+      function parse_Move() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8;
+        var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        pos2 = pos;
-        if (input.substr(pos, 4) === "WITH") {
-          result0 = "WITH";
+        if (input.substr(pos, 4) === "MOVE") {
+          result0 = "MOVE";
           pos += 4;
         } else {
           result0 = null;
           if (reportFailures === 0) {
-            matchFailed("\"WITH\"");
+            matchFailed("\"MOVE\"");
           }
         }
         if (result0 === null) {
-          if (input.substr(pos, 4) === "with") {
-            result0 = "with";
+          if (input.substr(pos, 4) === "move") {
+            result0 = "move";
             pos += 4;
           } else {
             result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"with\"");
+              matchFailed("\"move\"");
             }
           }
         }
@@ -4015,59 +4537,27 @@ SparqlParser.parser = (function(){
             result2 = parse_WS();
           }
           if (result1 !== null) {
-            result2 = parse_IRIref();
-            if (result2 !== null) {
-              result0 = [result0, result1, result2];
+            if (input.substr(pos, 6) === "SILENT") {
+              result2 = "SILENT";
+              pos += 6;
             } else {
-              result0 = null;
-              pos = pos2;
-            }
-          } else {
-            result0 = null;
-            pos = pos2;
-          }
-        } else {
-          result0 = null;
-          pos = pos2;
-        }
-        result0 = result0 !== null ? result0 : "";
-        if (result0 !== null) {
-          result1 = [];
-          result2 = parse_WS();
-          while (result2 !== null) {
-            result1.push(result2);
-            result2 = parse_WS();
-          }
-          if (result1 !== null) {
-            pos2 = pos;
-            result2 = parse_DeleteClause();
-            if (result2 !== null) {
-              result3 = [];
-              result4 = parse_WS();
-              while (result4 !== null) {
-                result3.push(result4);
-                result4 = parse_WS();
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"SILENT\"");
               }
-              if (result3 !== null) {
-                result4 = parse_InsertClause();
-                result4 = result4 !== null ? result4 : "";
-                if (result4 !== null) {
-                  result2 = [result2, result3, result4];
-                } else {
-                  result2 = null;
-                  pos = pos2;
-                }
+            }
+            if (result2 === null) {
+              if (input.substr(pos, 6) === "silent") {
+                result2 = "silent";
+                pos += 6;
               } else {
                 result2 = null;
-                pos = pos2;
+                if (reportFailures === 0) {
+                  matchFailed("\"silent\"");
+                }
               }
-            } else {
-              result2 = null;
-              pos = pos2;
-            }
-            if (result2 === null) {
-              result2 = parse_InsertClause();
             }
+            result2 = result2 !== null ? result2 : "";
             if (result2 !== null) {
               result3 = [];
               result4 = parse_WS();
@@ -4076,12 +4566,7 @@ SparqlParser.parser = (function(){
                 result4 = parse_WS();
               }
               if (result3 !== null) {
-                result4 = [];
-                result5 = parse_UsingClause();
-                while (result5 !== null) {
-                  result4.push(result5);
-                  result5 = parse_UsingClause();
-                }
+                result4 = parse_GraphOrDefault();
                 if (result4 !== null) {
                   result5 = [];
                   result6 = parse_WS();
@@ -4090,23 +4575,23 @@ SparqlParser.parser = (function(){
                     result6 = parse_WS();
                   }
                   if (result5 !== null) {
-                    if (input.substr(pos, 5) === "WHERE") {
-                      result6 = "WHERE";
-                      pos += 5;
+                    if (input.substr(pos, 2) === "TO") {
+                      result6 = "TO";
+                      pos += 2;
                     } else {
                       result6 = null;
                       if (reportFailures === 0) {
-                        matchFailed("\"WHERE\"");
+                        matchFailed("\"TO\"");
                       }
                     }
                     if (result6 === null) {
-                      if (input.substr(pos, 5) === "where") {
-                        result6 = "where";
-                        pos += 5;
+                      if (input.substr(pos, 2) === "to") {
+                        result6 = "to";
+                        pos += 2;
                       } else {
                         result6 = null;
                         if (reportFailures === 0) {
-                          matchFailed("\"where\"");
+                          matchFailed("\"to\"");
                         }
                       }
                     }
@@ -4118,20 +4603,9 @@ SparqlParser.parser = (function(){
                         result8 = parse_WS();
                       }
                       if (result7 !== null) {
-                        result8 = parse_GroupGraphPattern();
+                        result8 = parse_GraphOrDefault();
                         if (result8 !== null) {
-                          result9 = [];
-                          result10 = parse_WS();
-                          while (result10 !== null) {
-                            result9.push(result10);
-                            result10 = parse_WS();
-                          }
-                          if (result9 !== null) {
-                            result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9];
-                          } else {
-                            result0 = null;
-                            pos = pos1;
-                          }
+                          result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8];
                         } else {
                           result0 = null;
                           pos = pos1;
@@ -4169,246 +4643,151 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, wg, dic, uc, p) {
+          result0 = (function(offset, s, sg, dg) {
               var query = {};
-              query.kind = 'modify';
-        
-              if(wg != "") {
-                  query.with = wg[2];
-              } else {
-                  query.with = null;
-              }
-        
-        
-              if(dic.length === 3 && dic[2] === '') {
-                  query.delete = dic[0];
-                  query.insert = null;
-              } else if(dic.length === 3 && dic[0].length != null && dic[1].length != null && dic[2].length != null) {
-                  query.delete = dic[0];
-                  query.insert = dic[2];
-              } else  {
-                  query.insert = dic;
-                  query.delete = null;
-              }
-        
-              if(uc != '') {
-                  query.using = uc;
-              }
-        
-              query.pattern = p;
+              query.kind = 'move';
+              query.token = 'executableunit'
+              query.silent = (s != "");
+              query.sourceGraph = sg;
+              query.destinyGraph = dg;
         
               return query;
-        })(pos0, result0[0], result0[2], result0[4], result0[8]);
+        })(pos0, result0[2], result0[4], result0[8]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[39] Modify");
+          matchFailed("Move");
         }
         return result0;
       }
       
-      function parse_DeleteClause() {
-        var result0, result1;
+      function parse_Copy() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        if (input.substr(pos, 6) === "DELETE") {
-          result0 = "DELETE";
-          pos += 6;
+        if (input.substr(pos, 4) === "COPY") {
+          result0 = "COPY";
+          pos += 4;
         } else {
           result0 = null;
           if (reportFailures === 0) {
-            matchFailed("\"DELETE\"");
+            matchFailed("\"COPY\"");
           }
         }
         if (result0 === null) {
-          if (input.substr(pos, 6) === "delete") {
-            result0 = "delete";
-            pos += 6;
+          if (input.substr(pos, 4) === "copy") {
+            result0 = "copy";
+            pos += 4;
           } else {
             result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"delete\"");
+              matchFailed("\"copy\"");
             }
           }
         }
         if (result0 !== null) {
-          result1 = parse_QuadPattern();
-          if (result1 !== null) {
-            result0 = [result0, result1];
-          } else {
-            result0 = null;
-            pos = pos1;
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
           }
-        } else {
-          result0 = null;
-          pos = pos1;
-        }
-        if (result0 !== null) {
-          result0 = (function(offset, q) {
-              return q;
-        })(pos0, result0[1]);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[40] DeleteClause");
-        }
-        return result0;
-      }
-      
-      function parse_InsertClause() {
-        var result0, result1;
-        var pos0, pos1;
-        
-        reportFailures++;
-        pos0 = pos;
-        pos1 = pos;
-        if (input.substr(pos, 6) === "INSERT") {
-          result0 = "INSERT";
-          pos += 6;
-        } else {
-          result0 = null;
-          if (reportFailures === 0) {
-            matchFailed("\"INSERT\"");
-          }
-        }
-        if (result0 === null) {
-          if (input.substr(pos, 6) === "insert") {
-            result0 = "insert";
-            pos += 6;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"insert\"");
-            }
-          }
-        }
-        if (result0 !== null) {
-          result1 = parse_QuadPattern();
           if (result1 !== null) {
-            result0 = [result0, result1];
-          } else {
-            result0 = null;
-            pos = pos1;
-          }
-        } else {
-          result0 = null;
-          pos = pos1;
-        }
-        if (result0 !== null) {
-          result0 = (function(offset, q) {
-          return q;
-        })(pos0, result0[1]);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[41] InsertClause");
-        }
-        return result0;
-      }
-      
-      function parse_UsingClause() {
-        var result0, result1, result2, result3, result4, result5;
-        var pos0, pos1, pos2;
-        
-        reportFailures++;
-        pos0 = pos;
-        pos1 = pos;
-        result0 = [];
-        result1 = parse_WS();
-        while (result1 !== null) {
-          result0.push(result1);
-          result1 = parse_WS();
-        }
-        if (result0 !== null) {
-          if (input.substr(pos, 5) === "USING") {
-            result1 = "USING";
-            pos += 5;
-          } else {
-            result1 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"USING\"");
-            }
-          }
-          if (result1 === null) {
-            if (input.substr(pos, 5) === "using") {
-              result1 = "using";
-              pos += 5;
+            if (input.substr(pos, 6) === "SILENT") {
+              result2 = "SILENT";
+              pos += 6;
             } else {
-              result1 = null;
+              result2 = null;
               if (reportFailures === 0) {
-                matchFailed("\"using\"");
+                matchFailed("\"SILENT\"");
               }
             }
-          }
-          if (result1 !== null) {
-            result2 = [];
-            result3 = parse_WS();
-            while (result3 !== null) {
-              result2.push(result3);
-              result3 = parse_WS();
+            if (result2 === null) {
+              if (input.substr(pos, 6) === "silent") {
+                result2 = "silent";
+                pos += 6;
+              } else {
+                result2 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"silent\"");
+                }
+              }
             }
+            result2 = result2 !== null ? result2 : "";
             if (result2 !== null) {
-              result3 = parse_IRIref();
-              if (result3 === null) {
-                pos2 = pos;
-                if (input.substr(pos, 5) === "NAMED") {
-                  result3 = "NAMED";
-                  pos += 5;
-                } else {
-                  result3 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"NAMED\"");
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
+              }
+              if (result3 !== null) {
+                result4 = parse_GraphOrDefault();
+                if (result4 !== null) {
+                  result5 = [];
+                  result6 = parse_WS();
+                  while (result6 !== null) {
+                    result5.push(result6);
+                    result6 = parse_WS();
                   }
-                }
-                if (result3 === null) {
-                  if (input.substr(pos, 5) === "named") {
-                    result3 = "named";
-                    pos += 5;
-                  } else {
-                    result3 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\"named\"");
+                  if (result5 !== null) {
+                    if (input.substr(pos, 2) === "TO") {
+                      result6 = "TO";
+                      pos += 2;
+                    } else {
+                      result6 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"TO\"");
+                      }
                     }
-                  }
-                }
-                if (result3 !== null) {
-                  result4 = [];
-                  result5 = parse_WS();
-                  while (result5 !== null) {
-                    result4.push(result5);
-                    result5 = parse_WS();
-                  }
-                  if (result4 !== null) {
-                    result5 = parse_IRIref();
-                    if (result5 !== null) {
-                      result3 = [result3, result4, result5];
+                    if (result6 === null) {
+                      if (input.substr(pos, 2) === "to") {
+                        result6 = "to";
+                        pos += 2;
+                      } else {
+                        result6 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"to\"");
+                        }
+                      }
+                    }
+                    if (result6 !== null) {
+                      result7 = [];
+                      result8 = parse_WS();
+                      while (result8 !== null) {
+                        result7.push(result8);
+                        result8 = parse_WS();
+                      }
+                      if (result7 !== null) {
+                        result8 = parse_GraphOrDefault();
+                        if (result8 !== null) {
+                          result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8];
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
                     } else {
-                      result3 = null;
-                      pos = pos2;
+                      result0 = null;
+                      pos = pos1;
                     }
                   } else {
-                    result3 = null;
-                    pos = pos2;
+                    result0 = null;
+                    pos = pos1;
                   }
                 } else {
-                  result3 = null;
-                  pos = pos2;
+                  result0 = null;
+                  pos = pos1;
                 }
-              }
-              if (result3 !== null) {
-                result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
                 pos = pos1;
@@ -4426,48 +4805,51 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, g) {
-              if(g.length!=null) {
-                  return {kind: 'named', uri: g[2]};
-              } else {
-                  return {kind: 'default', uri: g};
-              }
-        })(pos0, result0[3]);
+          result0 = (function(offset, s, sg, dg) {
+              var query = {};
+              query.kind = 'copy';
+              query.token = 'executableunit'
+              query.silent = (s != "");
+              query.sourceGraph = sg;
+              query.destinyGraph = dg;
+        
+              return query;
+        })(pos0, result0[2], result0[4], result0[8]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[42] UsingClause");
+          matchFailed("Copy");
         }
         return result0;
       }
       
-      function parse_GraphRef() {
-        var result0, result1, result2;
+      function parse_Create() {
+        var result0, result1, result2, result3, result4;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        if (input.substr(pos, 5) === "GRAPH") {
-          result0 = "GRAPH";
-          pos += 5;
+        if (input.substr(pos, 6) === "CREATE") {
+          result0 = "CREATE";
+          pos += 6;
         } else {
           result0 = null;
           if (reportFailures === 0) {
-            matchFailed("\"GRAPH\"");
+            matchFailed("\"CREATE\"");
           }
         }
         if (result0 === null) {
-          if (input.substr(pos, 5) === "graph") {
-            result0 = "graph";
-            pos += 5;
+          if (input.substr(pos, 6) === "create") {
+            result0 = "create";
+            pos += 6;
           } else {
             result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"graph\"");
+              matchFailed("\"create\"");
             }
           }
         }
@@ -4479,217 +4861,145 @@ SparqlParser.parser = (function(){
             result2 = parse_WS();
           }
           if (result1 !== null) {
-            result2 = parse_IRIref();
-            if (result2 !== null) {
-              result0 = [result0, result1, result2];
+            if (input.substr(pos, 6) === "SILENT") {
+              result2 = "SILENT";
+              pos += 6;
             } else {
-              result0 = null;
-              pos = pos1;
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"SILENT\"");
+              }
             }
-          } else {
-            result0 = null;
-            pos = pos1;
-          }
-        } else {
-          result0 = null;
-          pos = pos1;
-        }
-        if (result0 !== null) {
-          result0 = (function(offset, i) {
-              return i;
-        })(pos0, result0[2]);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[43] GraphRef");
-        }
-        return result0;
-      }
-      
-      function parse_GraphRefAll() {
-        var result0;
-        var pos0;
-        
-        reportFailures++;
-        pos0 = pos;
-        result0 = parse_GraphRef();
-        if (result0 !== null) {
-          result0 = (function(offset, g) {
-              return g;
-        })(pos0, result0);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        if (result0 === null) {
-          pos0 = pos;
-          if (input.substr(pos, 7) === "DEFAULT") {
-            result0 = "DEFAULT";
-            pos += 7;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"DEFAULT\"");
-            }
-          }
-          if (result0 === null) {
-            if (input.substr(pos, 7) === "default") {
-              result0 = "default";
-              pos += 7;
-            } else {
-              result0 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"default\"");
-              }
-            }
-          }
-          if (result0 !== null) {
-            result0 = (function(offset) {
-                return 'default';
-          })(pos0);
-          }
-          if (result0 === null) {
-            pos = pos0;
-          }
-          if (result0 === null) {
-            pos0 = pos;
-            if (input.substr(pos, 5) === "NAMED") {
-              result0 = "NAMED";
-              pos += 5;
-            } else {
-              result0 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"NAMED\"");
-              }
-            }
-            if (result0 === null) {
-              if (input.substr(pos, 5) === "named") {
-                result0 = "named";
-                pos += 5;
+            if (result2 === null) {
+              if (input.substr(pos, 6) === "silent") {
+                result2 = "silent";
+                pos += 6;
               } else {
-                result0 = null;
+                result2 = null;
                 if (reportFailures === 0) {
-                  matchFailed("\"named\"");
+                  matchFailed("\"silent\"");
                 }
               }
             }
-            if (result0 !== null) {
-              result0 = (function(offset) {
-                  return 'named';
-            })(pos0);
-            }
-            if (result0 === null) {
-              pos = pos0;
-            }
-            if (result0 === null) {
-              pos0 = pos;
-              if (input.substr(pos, 3) === "ALL") {
-                result0 = "ALL";
-                pos += 3;
-              } else {
-                result0 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\"ALL\"");
-                }
+            result2 = result2 !== null ? result2 : "";
+            if (result2 !== null) {
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
               }
-              if (result0 === null) {
-                if (input.substr(pos, 3) === "all") {
-                  result0 = "all";
-                  pos += 3;
+              if (result3 !== null) {
+                result4 = parse_GraphRef();
+                if (result4 !== null) {
+                  result0 = [result0, result1, result2, result3, result4];
                 } else {
                   result0 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"all\"");
-                  }
+                  pos = pos1;
                 }
+              } else {
+                result0 = null;
+                pos = pos1;
               }
-              if (result0 !== null) {
-                result0 = (function(offset) {
-                    return 'all';
-              })(pos0);
-              }
-              if (result0 === null) {
-                pos = pos0;
-              }
+            } else {
+              result0 = null;
+              pos = pos1;
             }
+          } else {
+            result0 = null;
+            pos = pos1;
           }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, s, ref) {
+              var query = {};
+              query.kind = 'create';
+              query.token = 'executableunit'
+              query.silent = (s != "");
+              query.destinyGraph = ref;
+              
+              return query;
+        })(pos0, result0[2], result0[4]);
+        }
+        if (result0 === null) {
+          pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[44] GraphRefAll");
+          matchFailed("[35] Create");
         }
         return result0;
       }
       
-      function parse_QuadPattern() {
-        var result0, result1, result2, result3, result4, result5, result6, result7;
+      function parse_InsertData() {
+        var result0, result1, result2, result3, result4;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = [];
-        result1 = parse_WS();
-        while (result1 !== null) {
-          result0.push(result1);
-          result1 = parse_WS();
+        if (input.substr(pos, 6) === "INSERT") {
+          result0 = "INSERT";
+          pos += 6;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"INSERT\"");
+          }
         }
-        if (result0 !== null) {
-          if (input.charCodeAt(pos) === 123) {
-            result1 = "{";
-            pos++;
+        if (result0 === null) {
+          if (input.substr(pos, 6) === "insert") {
+            result0 = "insert";
+            pos += 6;
           } else {
-            result1 = null;
+            result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"{\"");
+              matchFailed("\"insert\"");
             }
           }
+        }
+        if (result0 !== null) {
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
+          }
           if (result1 !== null) {
-            result2 = [];
-            result3 = parse_WS();
-            while (result3 !== null) {
-              result2.push(result3);
-              result3 = parse_WS();
+            if (input.substr(pos, 4) === "DATA") {
+              result2 = "DATA";
+              pos += 4;
+            } else {
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"DATA\"");
+              }
+            }
+            if (result2 === null) {
+              if (input.substr(pos, 4) === "data") {
+                result2 = "data";
+                pos += 4;
+              } else {
+                result2 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"data\"");
+                }
+              }
             }
             if (result2 !== null) {
-              result3 = parse_Quads();
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
+              }
               if (result3 !== null) {
-                result4 = [];
-                result5 = parse_WS();
-                while (result5 !== null) {
-                  result4.push(result5);
-                  result5 = parse_WS();
-                }
+                result4 = parse_QuadData();
                 if (result4 !== null) {
-                  if (input.charCodeAt(pos) === 125) {
-                    result5 = "}";
-                    pos++;
-                  } else {
-                    result5 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\"}\"");
-                    }
-                  }
-                  if (result5 !== null) {
-                    result6 = [];
-                    result7 = parse_WS();
-                    while (result7 !== null) {
-                      result6.push(result7);
-                      result7 = parse_WS();
-                    }
-                    if (result6 !== null) {
-                      result0 = [result0, result1, result2, result3, result4, result5, result6];
-                    } else {
-                      result0 = null;
-                      pos = pos1;
-                    }
-                  } else {
-                    result0 = null;
-                    pos = pos1;
-                  }
+                  result0 = [result0, result1, result2, result3, result4];
                 } else {
                   result0 = null;
                   pos = pos1;
@@ -4712,89 +5022,83 @@ SparqlParser.parser = (function(){
         }
         if (result0 !== null) {
           result0 = (function(offset, qs) {
-              return qs.quadsContext;
-        })(pos0, result0[3]);
+              var query = {};
+              query.kind = 'insertdata';
+              query.token = 'executableunit'
+              query.quads = qs;
+        
+              return query;
+        })(pos0, result0[4]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[45] QuadPattern");
+          matchFailed("[36] InsertData");
         }
         return result0;
       }
       
-      function parse_QuadData() {
-        var result0, result1, result2, result3, result4, result5, result6, result7;
+      function parse_DeleteData() {
+        var result0, result1, result2, result3;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = [];
-        result1 = parse_WS();
-        while (result1 !== null) {
-          result0.push(result1);
-          result1 = parse_WS();
+        if (input.substr(pos, 6) === "DELETE") {
+          result0 = "DELETE";
+          pos += 6;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"DELETE\"");
+          }
         }
-        if (result0 !== null) {
-          if (input.charCodeAt(pos) === 123) {
-            result1 = "{";
-            pos++;
+        if (result0 === null) {
+          if (input.substr(pos, 6) === "delete") {
+            result0 = "delete";
+            pos += 6;
           } else {
-            result1 = null;
+            result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"{\"");
+              matchFailed("\"delete\"");
             }
           }
+        }
+        if (result0 !== null) {
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
+          }
           if (result1 !== null) {
-            result2 = [];
-            result3 = parse_WS();
-            while (result3 !== null) {
-              result2.push(result3);
-              result3 = parse_WS();
+            if (input.substr(pos, 4) === "DATA") {
+              result2 = "DATA";
+              pos += 4;
+            } else {
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"DATA\"");
+              }
+            }
+            if (result2 === null) {
+              if (input.substr(pos, 4) === "data") {
+                result2 = "data";
+                pos += 4;
+              } else {
+                result2 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"data\"");
+                }
+              }
             }
             if (result2 !== null) {
-              result3 = parse_Quads();
+              result3 = parse_QuadData();
               if (result3 !== null) {
-                result4 = [];
-                result5 = parse_WS();
-                while (result5 !== null) {
-                  result4.push(result5);
-                  result5 = parse_WS();
-                }
-                if (result4 !== null) {
-                  if (input.charCodeAt(pos) === 125) {
-                    result5 = "}";
-                    pos++;
-                  } else {
-                    result5 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\"}\"");
-                    }
-                  }
-                  if (result5 !== null) {
-                    result6 = [];
-                    result7 = parse_WS();
-                    while (result7 !== null) {
-                      result6.push(result7);
-                      result7 = parse_WS();
-                    }
-                    if (result6 !== null) {
-                      result0 = [result0, result1, result2, result3, result4, result5, result6];
-                    } else {
-                      result0 = null;
-                      pos = pos1;
-                    }
-                  } else {
-                    result0 = null;
-                    pos = pos1;
-                  }
-                } else {
-                  result0 = null;
-                  pos = pos1;
-                }
+                result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
                 pos = pos1;
@@ -4813,7 +5117,12 @@ SparqlParser.parser = (function(){
         }
         if (result0 !== null) {
           result0 = (function(offset, qs) {
-              return qs.quadsContext;
+              var query = {};
+              query.kind = 'deletedata';
+              query.token = 'executableunit'
+              query.quads = qs;
+        
+              return query;
         })(pos0, result0[3]);
         }
         if (result0 === null) {
@@ -4821,87 +5130,89 @@ SparqlParser.parser = (function(){
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[46] QuadData");
+          matchFailed("[37] DeleteData");
         }
         return result0;
       }
       
-      function parse_Quads() {
+      function parse_DeleteWhere() {
         var result0, result1, result2, result3, result4;
-        var pos0, pos1, pos2;
+        var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_TriplesTemplate();
-        result0 = result0 !== null ? result0 : "";
+        if (input.substr(pos, 6) === "DELETE") {
+          result0 = "DELETE";
+          pos += 6;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"DELETE\"");
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 6) === "delete") {
+            result0 = "delete";
+            pos += 6;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"delete\"");
+            }
+          }
+        }
         if (result0 !== null) {
           result1 = [];
-          pos2 = pos;
-          result2 = parse_QuadsNotTriples();
-          if (result2 !== null) {
-            if (input.charCodeAt(pos) === 46) {
-              result3 = ".";
-              pos++;
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
+          }
+          if (result1 !== null) {
+            if (input.substr(pos, 5) === "WHERE") {
+              result2 = "WHERE";
+              pos += 5;
             } else {
-              result3 = null;
+              result2 = null;
               if (reportFailures === 0) {
-                matchFailed("\".\"");
+                matchFailed("\"WHERE\"");
               }
             }
-            result3 = result3 !== null ? result3 : "";
-            if (result3 !== null) {
-              result4 = parse_TriplesTemplate();
-              result4 = result4 !== null ? result4 : "";
-              if (result4 !== null) {
-                result2 = [result2, result3, result4];
+            if (result2 === null) {
+              if (input.substr(pos, 5) === "where") {
+                result2 = "where";
+                pos += 5;
               } else {
                 result2 = null;
-                pos = pos2;
+                if (reportFailures === 0) {
+                  matchFailed("\"where\"");
+                }
               }
-            } else {
-              result2 = null;
-              pos = pos2;
             }
-          } else {
-            result2 = null;
-            pos = pos2;
-          }
-          while (result2 !== null) {
-            result1.push(result2);
-            pos2 = pos;
-            result2 = parse_QuadsNotTriples();
             if (result2 !== null) {
-              if (input.charCodeAt(pos) === 46) {
-                result3 = ".";
-                pos++;
-              } else {
-                result3 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\".\"");
-                }
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
               }
-              result3 = result3 !== null ? result3 : "";
               if (result3 !== null) {
-                result4 = parse_TriplesTemplate();
-                result4 = result4 !== null ? result4 : "";
+                result4 = parse_QuadPattern();
                 if (result4 !== null) {
-                  result2 = [result2, result3, result4];
+                  result0 = [result0, result1, result2, result3, result4];
                 } else {
-                  result2 = null;
-                  pos = pos2;
+                  result0 = null;
+                  pos = pos1;
                 }
               } else {
-                result2 = null;
-                pos = pos2;
+                result0 = null;
+                pos = pos1;
               }
             } else {
-              result2 = null;
-              pos = pos2;
+              result0 = null;
+              pos = pos1;
             }
-          }
-          if (result1 !== null) {
-            result0 = [result0, result1];
           } else {
             result0 = null;
             pos = pos1;
@@ -4911,142 +5222,189 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, ts, qs) {
-              var quads = []
-              if(ts.triplesContext != null && ts.triplesContext != null) {
-                for(var i=0; i<ts.triplesContext.length; i++) {
-                    var triple = ts.triplesContext[i]
-                    triple.graph = null;
-                    quads.push(triple)
-                }
-              }
-        
-              if(qs && qs.length>0 && qs[0].length > 0) {
-                  quads = quads.concat(qs[0][0].quadsContext);
-        
-                  if( qs[0][2] != null && qs[0][2].triplesContext != null) {
-                    for(var i=0; i<qs[0][2].triplesContext.length; i++) {
-                        var triple = qs[0][2].triplesContext[i]
-                        triple.graph = null;
-                        quads.push(triple)
-                    }
+          result0 = (function(offset, qs) {
+              var query = {};
+              query.kind = 'modify';
+              query.with = null;
+              query.using = null;
+              query.delete = qs;
+        
+              // the quads are used both as the pattern and as the template
+              var triples = [];
+              for(var i=0; i<qs.length; i++) {
+                  var triple = {subject: qs[i].subject, predicate: qs[i].predicate, object: qs[i].object};
+                  if(qs[i].graph != null) {
+                      triple.graph = qs[i].graph;
                   }
+                  triples.push(triple);
               }
         
-              return {token:'quads',
-                      quadsContext: quads}
-        })(pos0, result0[0], result0[1]);
+              query.pattern = {token: 'groupgraphpattern',
+                               patterns: [{token: 'basicgraphpattern', triplesContext: triples}],
+                               filters: []};
+        
+              return query;
+        })(pos0, result0[4]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[47] Quads");
+          matchFailed("[38] DeleteWhere");
         }
         return result0;
       }
       
-      function parse_QuadsNotTriples() {
-        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11;
-        var pos0, pos1;
+      function parse_Modify() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10;
+        var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = [];
-        result1 = parse_WS();
-        while (result1 !== null) {
-          result0.push(result1);
-          result1 = parse_WS();
-        }
-        if (result0 !== null) {
-          if (input.substr(pos, 5) === "GRAPH") {
-            result1 = "GRAPH";
-            pos += 5;
+        pos2 = pos;
+        if (input.substr(pos, 4) === "WITH") {
+          result0 = "WITH";
+          pos += 4;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"WITH\"");
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 4) === "with") {
+            result0 = "with";
+            pos += 4;
           } else {
-            result1 = null;
+            result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"GRAPH\"");
+              matchFailed("\"with\"");
             }
           }
-          if (result1 === null) {
-            if (input.substr(pos, 5) === "graph") {
-              result1 = "graph";
-              pos += 5;
+        }
+        if (result0 !== null) {
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
+          }
+          if (result1 !== null) {
+            result2 = parse_IRIref();
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
             } else {
-              result1 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"graph\"");
-              }
+              result0 = null;
+              pos = pos2;
             }
+          } else {
+            result0 = null;
+            pos = pos2;
+          }
+        } else {
+          result0 = null;
+          pos = pos2;
+        }
+        result0 = result0 !== null ? result0 : "";
+        if (result0 !== null) {
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
           }
           if (result1 !== null) {
-            result2 = [];
-            result3 = parse_WS();
-            while (result3 !== null) {
-              result2.push(result3);
-              result3 = parse_WS();
+            pos2 = pos;
+            result2 = parse_DeleteClause();
+            if (result2 !== null) {
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
+              }
+              if (result3 !== null) {
+                result4 = parse_InsertClause();
+                result4 = result4 !== null ? result4 : "";
+                if (result4 !== null) {
+                  result2 = [result2, result3, result4];
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+              } else {
+                result2 = null;
+                pos = pos2;
+              }
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+            if (result2 === null) {
+              result2 = parse_InsertClause();
             }
             if (result2 !== null) {
-              result3 = parse_VarOrIRIref();
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
+              }
               if (result3 !== null) {
                 result4 = [];
-                result5 = parse_WS();
+                result5 = parse_UsingClause();
                 while (result5 !== null) {
                   result4.push(result5);
-                  result5 = parse_WS();
+                  result5 = parse_UsingClause();
                 }
                 if (result4 !== null) {
-                  if (input.charCodeAt(pos) === 123) {
-                    result5 = "{";
-                    pos++;
-                  } else {
-                    result5 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\"{\"");
-                    }
+                  result5 = [];
+                  result6 = parse_WS();
+                  while (result6 !== null) {
+                    result5.push(result6);
+                    result6 = parse_WS();
                   }
                   if (result5 !== null) {
-                    result6 = [];
-                    result7 = parse_WS();
-                    while (result7 !== null) {
-                      result6.push(result7);
-                      result7 = parse_WS();
+                    if (input.substr(pos, 5) === "WHERE") {
+                      result6 = "WHERE";
+                      pos += 5;
+                    } else {
+                      result6 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"WHERE\"");
+                      }
+                    }
+                    if (result6 === null) {
+                      if (input.substr(pos, 5) === "where") {
+                        result6 = "where";
+                        pos += 5;
+                      } else {
+                        result6 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"where\"");
+                        }
+                      }
                     }
                     if (result6 !== null) {
-                      result7 = parse_TriplesTemplate();
-                      result7 = result7 !== null ? result7 : "";
+                      result7 = [];
+                      result8 = parse_WS();
+                      while (result8 !== null) {
+                        result7.push(result8);
+                        result8 = parse_WS();
+                      }
                       if (result7 !== null) {
-                        result8 = [];
-                        result9 = parse_WS();
-                        while (result9 !== null) {
-                          result8.push(result9);
-                          result9 = parse_WS();
-                        }
+                        result8 = parse_GroupGraphPattern();
                         if (result8 !== null) {
-                          if (input.charCodeAt(pos) === 125) {
-                            result9 = "}";
-                            pos++;
-                          } else {
-                            result9 = null;
-                            if (reportFailures === 0) {
-                              matchFailed("\"}\"");
-                            }
+                          result9 = [];
+                          result10 = parse_WS();
+                          while (result10 !== null) {
+                            result9.push(result10);
+                            result10 = parse_WS();
                           }
                           if (result9 !== null) {
-                            result10 = [];
-                            result11 = parse_WS();
-                            while (result11 !== null) {
-                              result10.push(result11);
-                              result11 = parse_WS();
-                            }
-                            if (result10 !== null) {
-                              result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10];
-                            } else {
-                              result0 = null;
-                              pos = pos1;
-                            }
+                            result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9];
                           } else {
                             result0 = null;
                             pos = pos1;
@@ -5088,83 +5446,76 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, g, ts) {
-              var quads = []
-              for(var i=0; i<ts.triplesContext.length; i++) {
-                  var triple = ts.triplesContext[i]
-                  triple.graph = g;
-                  quads.push(triple)
+          result0 = (function(offset, wg, dic, uc, p) {
+              var query = {};
+              query.kind = 'modify';
+        
+              if(wg != "") {
+                  query.with = wg[2];
+              } else {
+                  query.with = null;
               }
         
-              return {token:'quadsnottriples',
-                      quadsContext: quads}
-        })(pos0, result0[3], result0[7]);
+        
+              if(dic.length === 3 && dic[2] === '') {
+                  query.delete = dic[0];
+                  query.insert = null;
+              } else if(dic.length === 3 && dic[0].length != null && dic[1].length != null && dic[2].length != null) {
+                  query.delete = dic[0];
+                  query.insert = dic[2];
+              } else  {
+                  query.insert = dic;
+                  query.delete = null;
+              }
+        
+              if(uc != '') {
+                  query.using = uc;
+              }
+        
+              query.pattern = p;
+        
+              return query;
+        })(pos0, result0[0], result0[2], result0[4], result0[8]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[48] QuadsNotTriples");
+          matchFailed("[39] Modify");
         }
         return result0;
       }
       
-      function parse_TriplesTemplate() {
-        var result0, result1, result2, result3, result4;
-        var pos0, pos1, pos2;
+      function parse_DeleteClause() {
+        var result0, result1;
+        var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_TriplesSameSubject();
-        if (result0 !== null) {
-          pos2 = pos;
-          result1 = [];
-          result2 = parse_WS();
-          while (result2 !== null) {
-            result1.push(result2);
-            result2 = parse_WS();
+        if (input.substr(pos, 6) === "DELETE") {
+          result0 = "DELETE";
+          pos += 6;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"DELETE\"");
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 6) === "delete") {
+            result0 = "delete";
+            pos += 6;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"delete\"");
+            }
           }
-          if (result1 !== null) {
-            if (input.charCodeAt(pos) === 46) {
-              result2 = ".";
-              pos++;
-            } else {
-              result2 = null;
-              if (reportFailures === 0) {
-                matchFailed("\".\"");
-              }
-            }
-            if (result2 !== null) {
-              result3 = [];
-              result4 = parse_WS();
-              while (result4 !== null) {
-                result3.push(result4);
-                result4 = parse_WS();
-              }
-              if (result3 !== null) {
-                result4 = parse_TriplesTemplate();
-                result4 = result4 !== null ? result4 : "";
-                if (result4 !== null) {
-                  result1 = [result1, result2, result3, result4];
-                } else {
-                  result1 = null;
-                  pos = pos2;
-                }
-              } else {
-                result1 = null;
-                pos = pos2;
-              }
-            } else {
-              result1 = null;
-              pos = pos2;
-            }
-          } else {
-            result1 = null;
-            pos = pos2;
-          }
-          result1 = result1 !== null ? result1 : "";
+        }
+        if (result0 !== null) {
+          result1 = parse_QuadPattern();
           if (result1 !== null) {
             result0 = [result0, result1];
           } else {
@@ -5176,87 +5527,51 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, b, bs) {
-             var triples = b.triplesContext;
-             var toTest = null;
-              if(typeof(bs) === 'object') {
-                    if(bs.length != null) {
-                          if(bs[3].triplesContext!=null) {
-                             triples = triples.concat(bs[3].triplesContext);
-                      }
-                   }
-              }
-        
-             return {token:'triplestemplate',
-                     triplesContext: triples}
-        })(pos0, result0[0], result0[1]);
+          result0 = (function(offset, q) {
+              return q;
+        })(pos0, result0[1]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[49] TriplesTemplate");
+          matchFailed("[40] DeleteClause");
         }
         return result0;
       }
       
-      function parse_GroupGraphPattern() {
-        var result0, result1, result2, result3, result4;
+      function parse_InsertClause() {
+        var result0, result1;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        if (input.charCodeAt(pos) === 123) {
-          result0 = "{";
-          pos++;
+        if (input.substr(pos, 6) === "INSERT") {
+          result0 = "INSERT";
+          pos += 6;
         } else {
           result0 = null;
           if (reportFailures === 0) {
-            matchFailed("\"{\"");
+            matchFailed("\"INSERT\"");
           }
         }
-        if (result0 !== null) {
-          result1 = [];
-          result2 = parse_WS();
-          while (result2 !== null) {
-            result1.push(result2);
-            result2 = parse_WS();
+        if (result0 === null) {
+          if (input.substr(pos, 6) === "insert") {
+            result0 = "insert";
+            pos += 6;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"insert\"");
+            }
           }
+        }
+        if (result0 !== null) {
+          result1 = parse_QuadPattern();
           if (result1 !== null) {
-            result2 = parse_SubSelect();
-            if (result2 !== null) {
-              result3 = [];
-              result4 = parse_WS();
-              while (result4 !== null) {
-                result3.push(result4);
-                result4 = parse_WS();
-              }
-              if (result3 !== null) {
-                if (input.charCodeAt(pos) === 125) {
-                  result4 = "}";
-                  pos++;
-                } else {
-                  result4 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"}\"");
-                  }
-                }
-                if (result4 !== null) {
-                  result0 = [result0, result1, result2, result3, result4];
-                } else {
-                  result0 = null;
-                  pos = pos1;
-                }
-              } else {
-                result0 = null;
-                pos = pos1;
-              }
-            } else {
-              result0 = null;
-              pos = pos1;
-            }
+            result0 = [result0, result1];
           } else {
             result0 = null;
             pos = pos1;
@@ -5266,61 +5581,111 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, p) {
-              return p;
-        })(pos0, result0[2]);
+          result0 = (function(offset, q) {
+          return q;
+        })(pos0, result0[1]);
         }
         if (result0 === null) {
           pos = pos0;
         }
-        if (result0 === null) {
-          pos0 = pos;
-          pos1 = pos;
-          if (input.charCodeAt(pos) === 123) {
-            result0 = "{";
-            pos++;
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[41] InsertClause");
+        }
+        return result0;
+      }
+      
+      function parse_UsingClause() {
+        var result0, result1, result2, result3, result4, result5;
+        var pos0, pos1, pos2;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = [];
+        result1 = parse_WS();
+        while (result1 !== null) {
+          result0.push(result1);
+          result1 = parse_WS();
+        }
+        if (result0 !== null) {
+          if (input.substr(pos, 5) === "USING") {
+            result1 = "USING";
+            pos += 5;
           } else {
-            result0 = null;
+            result1 = null;
             if (reportFailures === 0) {
-              matchFailed("\"{\"");
+              matchFailed("\"USING\"");
             }
           }
-          if (result0 !== null) {
-            result1 = [];
-            result2 = parse_WS();
-            while (result2 !== null) {
-              result1.push(result2);
-              result2 = parse_WS();
+          if (result1 === null) {
+            if (input.substr(pos, 5) === "using") {
+              result1 = "using";
+              pos += 5;
+            } else {
+              result1 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"using\"");
+              }
             }
-            if (result1 !== null) {
-              result2 = parse_GroupGraphPatternSub();
-              if (result2 !== null) {
-                result3 = [];
-                result4 = parse_WS();
-                while (result4 !== null) {
-                  result3.push(result4);
-                  result4 = parse_WS();
+          }
+          if (result1 !== null) {
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              result3 = parse_IRIref();
+              if (result3 === null) {
+                pos2 = pos;
+                if (input.substr(pos, 5) === "NAMED") {
+                  result3 = "NAMED";
+                  pos += 5;
+                } else {
+                  result3 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"NAMED\"");
+                  }
                 }
-                if (result3 !== null) {
-                  if (input.charCodeAt(pos) === 125) {
-                    result4 = "}";
-                    pos++;
+                if (result3 === null) {
+                  if (input.substr(pos, 5) === "named") {
+                    result3 = "named";
+                    pos += 5;
                   } else {
-                    result4 = null;
+                    result3 = null;
                     if (reportFailures === 0) {
-                      matchFailed("\"}\"");
+                      matchFailed("\"named\"");
                     }
                   }
+                }
+                if (result3 !== null) {
+                  result4 = [];
+                  result5 = parse_WS();
+                  while (result5 !== null) {
+                    result4.push(result5);
+                    result5 = parse_WS();
+                  }
                   if (result4 !== null) {
-                    result0 = [result0, result1, result2, result3, result4];
+                    result5 = parse_IRIref();
+                    if (result5 !== null) {
+                      result3 = [result3, result4, result5];
+                    } else {
+                      result3 = null;
+                      pos = pos2;
+                    }
                   } else {
-                    result0 = null;
-                    pos = pos1;
+                    result3 = null;
+                    pos = pos2;
                   }
                 } else {
-                  result0 = null;
-                  pos = pos1;
+                  result3 = null;
+                  pos = pos2;
                 }
+              }
+              if (result3 !== null) {
+                result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
                 pos = pos1;
@@ -5333,31 +5698,56 @@ SparqlParser.parser = (function(){
             result0 = null;
             pos = pos1;
           }
-          if (result0 !== null) {
-            result0 = (function(offset, p) {
-                return p;
-          })(pos0, result0[2]);
-          }
-          if (result0 === null) {
-            pos = pos0;
-          }
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[50] GroupGraphPattern");
+        } else {
+          result0 = null;
+          pos = pos1;
         }
-        return result0;
+        if (result0 !== null) {
+          result0 = (function(offset, g) {
+              if(g.length!=null) {
+                  return {kind: 'named', uri: g[2]};
+              } else {
+                  return {kind: 'default', uri: g};
+              }
+        })(pos0, result0[3]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[42] UsingClause");
+        }
+        return result0;
       }
       
-      function parse_GroupGraphPatternSub() {
-        var result0, result1, result2, result3, result4, result5, result6, result7;
-        var pos0, pos1, pos2;
+      function parse_GraphRef() {
+        var result0, result1, result2;
+        var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_TriplesBlock();
-        result0 = result0 !== null ? result0 : "";
+        if (input.substr(pos, 5) === "GRAPH") {
+          result0 = "GRAPH";
+          pos += 5;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"GRAPH\"");
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 5) === "graph") {
+            result0 = "graph";
+            pos += 5;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"graph\"");
+            }
+          }
+        }
         if (result0 !== null) {
           result1 = [];
           result2 = parse_WS();
@@ -5366,114 +5756,7 @@ SparqlParser.parser = (function(){
             result2 = parse_WS();
           }
           if (result1 !== null) {
-            result2 = [];
-            pos2 = pos;
-            result3 = parse_GraphPatternNotTriples();
-            if (result3 !== null) {
-              result4 = [];
-              result5 = parse_WS();
-              while (result5 !== null) {
-                result4.push(result5);
-                result5 = parse_WS();
-              }
-              if (result4 !== null) {
-                if (input.charCodeAt(pos) === 46) {
-                  result5 = ".";
-                  pos++;
-                } else {
-                  result5 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\".\"");
-                  }
-                }
-                result5 = result5 !== null ? result5 : "";
-                if (result5 !== null) {
-                  result6 = [];
-                  result7 = parse_WS();
-                  while (result7 !== null) {
-                    result6.push(result7);
-                    result7 = parse_WS();
-                  }
-                  if (result6 !== null) {
-                    result7 = parse_TriplesBlock();
-                    result7 = result7 !== null ? result7 : "";
-                    if (result7 !== null) {
-                      result3 = [result3, result4, result5, result6, result7];
-                    } else {
-                      result3 = null;
-                      pos = pos2;
-                    }
-                  } else {
-                    result3 = null;
-                    pos = pos2;
-                  }
-                } else {
-                  result3 = null;
-                  pos = pos2;
-                }
-              } else {
-                result3 = null;
-                pos = pos2;
-              }
-            } else {
-              result3 = null;
-              pos = pos2;
-            }
-            while (result3 !== null) {
-              result2.push(result3);
-              pos2 = pos;
-              result3 = parse_GraphPatternNotTriples();
-              if (result3 !== null) {
-                result4 = [];
-                result5 = parse_WS();
-                while (result5 !== null) {
-                  result4.push(result5);
-                  result5 = parse_WS();
-                }
-                if (result4 !== null) {
-                  if (input.charCodeAt(pos) === 46) {
-                    result5 = ".";
-                    pos++;
-                  } else {
-                    result5 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\".\"");
-                    }
-                  }
-                  result5 = result5 !== null ? result5 : "";
-                  if (result5 !== null) {
-                    result6 = [];
-                    result7 = parse_WS();
-                    while (result7 !== null) {
-                      result6.push(result7);
-                      result7 = parse_WS();
-                    }
-                    if (result6 !== null) {
-                      result7 = parse_TriplesBlock();
-                      result7 = result7 !== null ? result7 : "";
-                      if (result7 !== null) {
-                        result3 = [result3, result4, result5, result6, result7];
-                      } else {
-                        result3 = null;
-                        pos = pos2;
-                      }
-                    } else {
-                      result3 = null;
-                      pos = pos2;
-                    }
-                  } else {
-                    result3 = null;
-                    pos = pos2;
-                  }
-                } else {
-                  result3 = null;
-                  pos = pos2;
-                }
-              } else {
-                result3 = null;
-                pos = pos2;
-              }
-            }
+            result2 = parse_IRIref();
             if (result2 !== null) {
               result0 = [result0, result1, result2];
             } else {
@@ -5489,231 +5772,204 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, tb, tbs) {
-              var subpatterns = [];
-              if(tb != null && tb != []) {
-                  subpatterns.push(tb);
-              }
-        
-              for(var i=0; i<tbs.length; i++) {
-                  for(var j=0; j< tbs[i].length; j++) {
-                      if(tbs[i][j].token != null) {
-                          subpatterns.push(tbs[i][j]);
-                      }
-                  }
-              }
-        
-              var compactedSubpatterns = [];
-        
-              var currentBasicGraphPatterns = [];
-              var currentFilters = [];
-        
-              for(var i=0; i<subpatterns.length; i++) {
-                  if(subpatterns[i].token!='triplespattern' && subpatterns[i].token != 'filter') {
-                      if(currentBasicGraphPatterns.length != 0 || currentFilters.length != 0) {
-                          var triplesContext = [];
-                          for(var j=0; j<currentBasicGraphPatterns.length; j++) {
-                              triplesContext = triplesContext.concat(currentBasicGraphPatterns[j].triplesContext);
-                          }
-                          if(triplesContext.length > 0) {  
-                              compactedSubpatterns.push({token: 'basicgraphpattern',
-                                                         triplesContext: triplesContext});
-                          }
-                          currentBasicGraphPatterns = [];
-                      }
-                      compactedSubpatterns.push(subpatterns[i]);
-                  } else {
-                      if(subpatterns[i].token === 'triplespattern') {
-                          currentBasicGraphPatterns.push(subpatterns[i]);
-                      } else {
-                          currentFilters.push(subpatterns[i]);
-                      }
-                  }
-              }
-        
-              if(currentBasicGraphPatterns.length != 0 || currentFilters.length != 0) {
-                  var triplesContext = [];
-                  for(var j=0; j<currentBasicGraphPatterns.length; j++) {
-                      triplesContext = triplesContext.concat(currentBasicGraphPatterns[j].triplesContext);
-                  }
-                  if(triplesContext.length > 0) {
-                    compactedSubpatterns.push({token: 'basicgraphpattern',
-                                               triplesContext: triplesContext});
-                  }
-              }
-        
-        //      if(compactedSubpatterns.length == 1) {
-        //          compactedSubpatterns[0].filters = currentFilters;
-        //          return compactedSubpatterns[0];
-        //      } else  {
-                  return { token: 'groupgraphpattern',
-                           patterns: compactedSubpatterns,
-                           filters: currentFilters }
-        //      }
-        })(pos0, result0[0], result0[2]);
+          result0 = (function(offset, i) {
+              return i;
+        })(pos0, result0[2]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[51] GroupGraphPatternSub");
+          matchFailed("[43] GraphRef");
         }
         return result0;
       }
       
-      function parse_TriplesBlock() {
-        var result0, result1, result2, result3;
-        var pos0, pos1, pos2;
+      function parse_GraphRefAll() {
+        var result0;
+        var pos0;
         
         reportFailures++;
         pos0 = pos;
-        pos1 = pos;
-        result0 = parse_TriplesSameSubjectPath();
+        result0 = parse_GraphRef();
         if (result0 !== null) {
-          pos2 = pos;
-          result1 = [];
-          result2 = parse_WS();
-          while (result2 !== null) {
-            result1.push(result2);
-            result2 = parse_WS();
+          result0 = (function(offset, g) {
+              return g;
+        })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        if (result0 === null) {
+          pos0 = pos;
+          if (input.substr(pos, 7) === "DEFAULT") {
+            result0 = "DEFAULT";
+            pos += 7;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"DEFAULT\"");
+            }
           }
-          if (result1 !== null) {
-            if (input.charCodeAt(pos) === 46) {
-              result2 = ".";
-              pos++;
+          if (result0 === null) {
+            if (input.substr(pos, 7) === "default") {
+              result0 = "default";
+              pos += 7;
             } else {
-              result2 = null;
+              result0 = null;
               if (reportFailures === 0) {
-                matchFailed("\".\"");
-              }
-            }
-            if (result2 !== null) {
-              result3 = parse_TriplesBlock();
-              result3 = result3 !== null ? result3 : "";
-              if (result3 !== null) {
-                result1 = [result1, result2, result3];
-              } else {
-                result1 = null;
-                pos = pos2;
+                matchFailed("\"default\"");
               }
-            } else {
-              result1 = null;
-              pos = pos2;
             }
-          } else {
-            result1 = null;
-            pos = pos2;
           }
-          result1 = result1 !== null ? result1 : "";
-          if (result1 !== null) {
-            result0 = [result0, result1];
-          } else {
-            result0 = null;
-            pos = pos1;
+          if (result0 !== null) {
+            result0 = (function(offset) {
+                return 'default';
+          })(pos0);
           }
-        } else {
-          result0 = null;
-          pos = pos1;
-        }
-        if (result0 !== null) {
-          result0 = (function(offset, b, bs) {
-             var triples = b.triplesContext;
-             var toTest = null;
-              if(typeof(bs) === 'object') {
-                    if(bs.length != null) {
-                          if(bs[2].triplesContext!=null) {
-                             triples = triples.concat(bs[2].triplesContext);
-                      }
-                   }
-              }
-        
-             return {token:'triplespattern',
-                     triplesContext: triples}
-        })(pos0, result0[0], result0[1]);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[54] TriplesBlock");
-        }
-        return result0;
-      }
-      
-      function parse_GraphPatternNotTriples() {
-        var result0;
-        
-        reportFailures++;
-        result0 = parse_GroupOrUnionGraphPattern();
-        if (result0 === null) {
-          result0 = parse_OptionalGraphPattern();
           if (result0 === null) {
-            result0 = parse_MinusGraphPattern();
+            pos = pos0;
+          }
+          if (result0 === null) {
+            pos0 = pos;
+            if (input.substr(pos, 5) === "NAMED") {
+              result0 = "NAMED";
+              pos += 5;
+            } else {
+              result0 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"NAMED\"");
+              }
+            }
             if (result0 === null) {
-              result0 = parse_GraphGraphPattern();
+              if (input.substr(pos, 5) === "named") {
+                result0 = "named";
+                pos += 5;
+              } else {
+                result0 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"named\"");
+                }
+              }
+            }
+            if (result0 !== null) {
+              result0 = (function(offset) {
+                  return 'named';
+            })(pos0);
+            }
+            if (result0 === null) {
+              pos = pos0;
+            }
+            if (result0 === null) {
+              pos0 = pos;
+              if (input.substr(pos, 3) === "ALL") {
+                result0 = "ALL";
+                pos += 3;
+              } else {
+                result0 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"ALL\"");
+                }
+              }
               if (result0 === null) {
-                result0 = parse_ServiceGraphPattern();
-                if (result0 === null) {
-                  result0 = parse_Filter();
+                if (input.substr(pos, 3) === "all") {
+                  result0 = "all";
+                  pos += 3;
+                } else {
+                  result0 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"all\"");
+                  }
                 }
               }
+              if (result0 !== null) {
+                result0 = (function(offset) {
+                    return 'all';
+              })(pos0);
+              }
+              if (result0 === null) {
+                pos = pos0;
+              }
             }
           }
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[53] GraphPatternNotTriples");
+          matchFailed("[44] GraphRefAll");
         }
         return result0;
       }
       
-      function parse_OptionalGraphPattern() {
-        var result0, result1, result2, result3;
+      function parse_GraphOrDefault() {
+        var result0, result1, result2;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
-        pos1 = pos;
-        result0 = [];
-        result1 = parse_WS();
-        while (result1 !== null) {
-          result0.push(result1);
-          result1 = parse_WS();
+        if (input.substr(pos, 7) === "DEFAULT") {
+          result0 = "DEFAULT";
+          pos += 7;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"DEFAULT\"");
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 7) === "default") {
+            result0 = "default";
+            pos += 7;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"default\"");
+            }
+          }
         }
         if (result0 !== null) {
-          if (input.substr(pos, 8) === "OPTIONAL") {
-            result1 = "OPTIONAL";
-            pos += 8;
+          result0 = (function(offset) {
+              return 'default';
+        })(pos0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        if (result0 === null) {
+          pos0 = pos;
+          pos1 = pos;
+          if (input.substr(pos, 5) === "GRAPH") {
+            result0 = "GRAPH";
+            pos += 5;
           } else {
-            result1 = null;
+            result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"OPTIONAL\"");
+              matchFailed("\"GRAPH\"");
             }
           }
-          if (result1 === null) {
-            if (input.substr(pos, 8) === "optional") {
-              result1 = "optional";
-              pos += 8;
+          if (result0 === null) {
+            if (input.substr(pos, 5) === "graph") {
+              result0 = "graph";
+              pos += 5;
             } else {
-              result1 = null;
+              result0 = null;
               if (reportFailures === 0) {
-                matchFailed("\"optional\"");
+                matchFailed("\"graph\"");
               }
             }
           }
-          if (result1 !== null) {
-            result2 = [];
-            result3 = parse_WS();
-            while (result3 !== null) {
-              result2.push(result3);
-              result3 = parse_WS();
+          result0 = result0 !== null ? result0 : "";
+          if (result0 !== null) {
+            result1 = [];
+            result2 = parse_WS();
+            while (result2 !== null) {
+              result1.push(result2);
+              result2 = parse_WS();
             }
-            if (result2 !== null) {
-              result3 = parse_GroupGraphPattern();
-              if (result3 !== null) {
-                result0 = [result0, result1, result2, result3];
+            if (result1 !== null) {
+              result2 = parse_IRIref();
+              if (result2 !== null) {
+                result0 = [result0, result1, result2];
               } else {
                 result0 = null;
                 pos = pos1;
@@ -5726,28 +5982,24 @@ SparqlParser.parser = (function(){
             result0 = null;
             pos = pos1;
           }
-        } else {
-          result0 = null;
-          pos = pos1;
-        }
-        if (result0 !== null) {
-          result0 = (function(offset, v) {
-              return { token: 'optionalgraphpattern',
-                       value: v }
-        })(pos0, result0[3]);
-        }
-        if (result0 === null) {
-          pos = pos0;
+          if (result0 !== null) {
+            result0 = (function(offset, i) {
+                return i;
+          })(pos0, result0[2]);
+          }
+          if (result0 === null) {
+            pos = pos0;
+          }
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[54] OptionalGraphPattern");
+          matchFailed("GraphOrDefault");
         }
         return result0;
       }
       
-      function parse_GraphGraphPattern() {
-        var result0, result1, result2, result3, result4, result5;
+      function parse_QuadPattern() {
+        var result0, result1, result2, result3, result4, result5, result6, result7;
         var pos0, pos1;
         
         reportFailures++;
@@ -5760,24 +6012,13 @@ SparqlParser.parser = (function(){
           result1 = parse_WS();
         }
         if (result0 !== null) {
-          if (input.substr(pos, 5) === "GRAPH") {
-            result1 = "GRAPH";
-            pos += 5;
+          if (input.charCodeAt(pos) === 123) {
+            result1 = "{";
+            pos++;
           } else {
             result1 = null;
             if (reportFailures === 0) {
-              matchFailed("\"GRAPH\"");
-            }
-          }
-          if (result1 === null) {
-            if (input.substr(pos, 5) === "graph") {
-              result1 = "graph";
-              pos += 5;
-            } else {
-              result1 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"graph\"");
-              }
+              matchFailed("\"{\"");
             }
           }
           if (result1 !== null) {
@@ -5788,7 +6029,7 @@ SparqlParser.parser = (function(){
               result3 = parse_WS();
             }
             if (result2 !== null) {
-              result3 = parse_VarOrIRIref();
+              result3 = parse_Quads();
               if (result3 !== null) {
                 result4 = [];
                 result5 = parse_WS();
@@ -5797,10 +6038,29 @@ SparqlParser.parser = (function(){
                   result5 = parse_WS();
                 }
                 if (result4 !== null) {
-                  result5 = parse_GroupGraphPattern();
-                  if (result5 !== null) {
-                    result0 = [result0, result1, result2, result3, result4, result5];
-                  } else {
+                  if (input.charCodeAt(pos) === 125) {
+                    result5 = "}";
+                    pos++;
+                  } else {
+                    result5 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"}\"");
+                    }
+                  }
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
+                    }
+                    if (result6 !== null) {
+                      result0 = [result0, result1, result2, result3, result4, result5, result6];
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
                     result0 = null;
                     pos = pos1;
                   }
@@ -5825,52 +6085,94 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, g, gg) {
-              for(var i=0; i<gg.patterns.length; i++) {
-                var quads = []
-                var ts = gg.patterns[i];
-                for(var j=0; j<ts.triplesContext.length; j++) {
-                    var triple = ts.triplesContext[j]
-                    triple.graph = g;
-                }
-              }
-        
-              gg.token = 'groupgraphpattern'
-              return gg;
-        })(pos0, result0[3], result0[5]);
+          result0 = (function(offset, qs) {
+              return qs.quadsContext;
+        })(pos0, result0[3]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[55] GraphGraphPattern");
+          matchFailed("[45] QuadPattern");
         }
         return result0;
       }
       
-      function parse_ServiceGraphPattern() {
-        var result0, result1, result2;
+      function parse_QuadData() {
+        var result0, result1, result2, result3, result4, result5, result6, result7;
         var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        if (input.substr(pos, 7) === "SERVICE") {
-          result0 = "SERVICE";
-          pos += 7;
-        } else {
-          result0 = null;
-          if (reportFailures === 0) {
-            matchFailed("\"SERVICE\"");
-          }
+        result0 = [];
+        result1 = parse_WS();
+        while (result1 !== null) {
+          result0.push(result1);
+          result1 = parse_WS();
         }
         if (result0 !== null) {
-          result1 = parse_VarOrIRIref();
+          if (input.charCodeAt(pos) === 123) {
+            result1 = "{";
+            pos++;
+          } else {
+            result1 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"{\"");
+            }
+          }
           if (result1 !== null) {
-            result2 = parse_GroupGraphPattern();
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
             if (result2 !== null) {
-              result0 = [result0, result1, result2];
+              result3 = parse_Quads();
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  if (input.charCodeAt(pos) === 125) {
+                    result5 = "}";
+                    pos++;
+                  } else {
+                    result5 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"}\"");
+                    }
+                  }
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
+                    }
+                    if (result6 !== null) {
+                      result0 = [result0, result1, result2, result3, result4, result5, result6];
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
             } else {
               result0 = null;
               pos = pos1;
@@ -5884,120 +6186,49 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, v, ts) {
-              return {token: 'servicegraphpattern',
-                      status: 'todo',
-                      value: [v,ts] }
-        })(pos0, result0[1], result0[2]);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[56] ServiceGraphPattern");
-        }
-        return result0;
-      }
-      
-      function parse_MinusGraphPattern() {
-        var result0, result1;
-        var pos0, pos1;
-        
-        reportFailures++;
-        pos0 = pos;
-        pos1 = pos;
-        if (input.substr(pos, 5) === "MINUS") {
-          result0 = "MINUS";
-          pos += 5;
-        } else {
-          result0 = null;
-          if (reportFailures === 0) {
-            matchFailed("\"MINUS\"");
-          }
-        }
-        if (result0 !== null) {
-          result1 = parse_GroupGraphPattern();
-          if (result1 !== null) {
-            result0 = [result0, result1];
-          } else {
-            result0 = null;
-            pos = pos1;
-          }
-        } else {
-          result0 = null;
-          pos = pos1;
-        }
-        if (result0 !== null) {
-          result0 = (function(offset, ts) {
-              return {token: 'minusgraphpattern',
-                      status: 'todo',
-                      value: ts}
-        })(pos0, result0[1]);
+          result0 = (function(offset, qs) {
+              return qs.quadsContext;
+        })(pos0, result0[3]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[57] MinusGraphPattern");
+          matchFailed("[46] QuadData");
         }
         return result0;
       }
       
-      function parse_GroupOrUnionGraphPattern() {
-        var result0, result1, result2, result3, result4, result5;
+      function parse_Quads() {
+        var result0, result1, result2, result3, result4;
         var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_GroupGraphPattern();
+        result0 = parse_TriplesTemplate();
+        result0 = result0 !== null ? result0 : "";
         if (result0 !== null) {
           result1 = [];
           pos2 = pos;
-          result2 = [];
-          result3 = parse_WS();
-          while (result3 !== null) {
-            result2.push(result3);
-            result3 = parse_WS();
-          }
+          result2 = parse_QuadsNotTriples();
           if (result2 !== null) {
-            if (input.substr(pos, 5) === "UNION") {
-              result3 = "UNION";
-              pos += 5;
+            if (input.charCodeAt(pos) === 46) {
+              result3 = ".";
+              pos++;
             } else {
               result3 = null;
               if (reportFailures === 0) {
-                matchFailed("\"UNION\"");
-              }
-            }
-            if (result3 === null) {
-              if (input.substr(pos, 5) === "union") {
-                result3 = "union";
-                pos += 5;
-              } else {
-                result3 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\"union\"");
-                }
+                matchFailed("\".\"");
               }
             }
+            result3 = result3 !== null ? result3 : "";
             if (result3 !== null) {
-              result4 = [];
-              result5 = parse_WS();
-              while (result5 !== null) {
-                result4.push(result5);
-                result5 = parse_WS();
-              }
+              result4 = parse_TriplesTemplate();
+              result4 = result4 !== null ? result4 : "";
               if (result4 !== null) {
-                result5 = parse_GroupGraphPattern();
-                if (result5 !== null) {
-                  result2 = [result2, result3, result4, result5];
-                } else {
-                  result2 = null;
-                  pos = pos2;
-                }
+                result2 = [result2, result3, result4];
               } else {
                 result2 = null;
                 pos = pos2;
@@ -6013,55 +6244,30 @@ SparqlParser.parser = (function(){
           while (result2 !== null) {
             result1.push(result2);
             pos2 = pos;
-            result2 = [];
-            result3 = parse_WS();
-            while (result3 !== null) {
-              result2.push(result3);
-              result3 = parse_WS();
-            }
+            result2 = parse_QuadsNotTriples();
             if (result2 !== null) {
-              if (input.substr(pos, 5) === "UNION") {
-                result3 = "UNION";
-                pos += 5;
+              if (input.charCodeAt(pos) === 46) {
+                result3 = ".";
+                pos++;
               } else {
                 result3 = null;
                 if (reportFailures === 0) {
-                  matchFailed("\"UNION\"");
+                  matchFailed("\".\"");
                 }
               }
-              if (result3 === null) {
-                if (input.substr(pos, 5) === "union") {
-                  result3 = "union";
-                  pos += 5;
+              result3 = result3 !== null ? result3 : "";
+              if (result3 !== null) {
+                result4 = parse_TriplesTemplate();
+                result4 = result4 !== null ? result4 : "";
+                if (result4 !== null) {
+                  result2 = [result2, result3, result4];
                 } else {
-                  result3 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"union\"");
-                  }
+                  result2 = null;
+                  pos = pos2;
                 }
-              }
-              if (result3 !== null) {
-                result4 = [];
-                result5 = parse_WS();
-                while (result5 !== null) {
-                  result4.push(result5);
-                  result5 = parse_WS();
-                }
-                if (result4 !== null) {
-                  result5 = parse_GroupGraphPattern();
-                  if (result5 !== null) {
-                    result2 = [result2, result3, result4, result5];
-                  } else {
-                    result2 = null;
-                    pos = pos2;
-                  }
-                } else {
-                  result2 = null;
-                  pos = pos2;
-                }
-              } else {
-                result2 = null;
-                pos = pos2;
+              } else {
+                result2 = null;
+                pos = pos2;
               }
             } else {
               result2 = null;
@@ -6079,29 +6285,30 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, a, b) {
-              if(b.length === 0) {
-                  return a;
-              } else {
-        
-                  var lastToken = {token: 'graphunionpattern',
-                                   value: [a]};
+          result0 = (function(offset, ts, qs) {
+              var quads = []
+              if(ts.triplesContext != null && ts.triplesContext != null) {
+                for(var i=0; i<ts.triplesContext.length; i++) {
+                    var triple = ts.triplesContext[i]
+                    triple.graph = null;
+                    quads.push(triple)
+                }
+              }
         
-                  for(var i=0; i<b.length; i++) {
-                      if(i==b.length-1) {
-                          lastToken.value.push(b[i][3]);
-                      } else {
-                          lastToken.value.push(b[i][3]);
-                          var newToken = {token: 'graphunionpattern',
-                                          value: [lastToken]}
+              for(var j=0; j<qs.length; j++) {
+                  quads = quads.concat(qs[j][0].quadsContext);
         
-                          lastToken = newToken;
-                      }
+                  if( qs[j][2] != null && qs[j][2].triplesContext != null) {
+                    for(var i=0; i<qs[j][2].triplesContext.length; i++) {
+                        var triple = qs[j][2].triplesContext[i]
+                        triple.graph = null;
+                        quads.push(triple)
+                    }
                   }
-        
-                  return lastToken;
-        
               }
+        
+              return {token:'quads',
+                      quadsContext: quads}
         })(pos0, result0[0], result0[1]);
         }
         if (result0 === null) {
@@ -6109,13 +6316,13 @@ SparqlParser.parser = (function(){
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[58] GroupOrUnionGraphPattern");
+          matchFailed("[47] Quads");
         }
         return result0;
       }
       
-      function parse_Filter() {
-        var result0, result1, result2, result3;
+      function parse_QuadsNotTriples() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11;
         var pos0, pos1;
         
         reportFailures++;
@@ -6128,23 +6335,23 @@ SparqlParser.parser = (function(){
           result1 = parse_WS();
         }
         if (result0 !== null) {
-          if (input.substr(pos, 6) === "FILTER") {
-            result1 = "FILTER";
-            pos += 6;
+          if (input.substr(pos, 5) === "GRAPH") {
+            result1 = "GRAPH";
+            pos += 5;
           } else {
             result1 = null;
             if (reportFailures === 0) {
-              matchFailed("\"FILTER\"");
+              matchFailed("\"GRAPH\"");
             }
           }
           if (result1 === null) {
-            if (input.substr(pos, 6) === "filter") {
-              result1 = "filter";
-              pos += 6;
+            if (input.substr(pos, 5) === "graph") {
+              result1 = "graph";
+              pos += 5;
             } else {
               result1 = null;
               if (reportFailures === 0) {
-                matchFailed("\"filter\"");
+                matchFailed("\"graph\"");
               }
             }
           }
@@ -6156,9 +6363,88 @@ SparqlParser.parser = (function(){
               result3 = parse_WS();
             }
             if (result2 !== null) {
-              result3 = parse_Constraint();
+              result3 = parse_VarOrIRIref();
               if (result3 !== null) {
-                result0 = [result0, result1, result2, result3];
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  if (input.charCodeAt(pos) === 123) {
+                    result5 = "{";
+                    pos++;
+                  } else {
+                    result5 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"{\"");
+                    }
+                  }
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
+                    }
+                    if (result6 !== null) {
+                      result7 = parse_TriplesTemplate();
+                      result7 = result7 !== null ? result7 : "";
+                      if (result7 !== null) {
+                        result8 = [];
+                        result9 = parse_WS();
+                        while (result9 !== null) {
+                          result8.push(result9);
+                          result9 = parse_WS();
+                        }
+                        if (result8 !== null) {
+                          if (input.charCodeAt(pos) === 125) {
+                            result9 = "}";
+                            pos++;
+                          } else {
+                            result9 = null;
+                            if (reportFailures === 0) {
+                              matchFailed("\"}\"");
+                            }
+                          }
+                          if (result9 !== null) {
+                            result10 = [];
+                            result11 = parse_WS();
+                            while (result11 !== null) {
+                              result10.push(result11);
+                              result11 = parse_WS();
+                            }
+                            if (result10 !== null) {
+                              result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10];
+                            } else {
+                              result0 = null;
+                              pos = pos1;
+                            }
+                          } else {
+                            result0 = null;
+                            pos = pos1;
+                          }
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
               } else {
                 result0 = null;
                 pos = pos1;
@@ -6176,49 +6462,83 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, c) {
-              return {token: 'filter',
-                      value: c}
-        })(pos0, result0[3]);
+          result0 = (function(offset, g, ts) {
+              var quads = []
+              for(var i=0; i<ts.triplesContext.length; i++) {
+                  var triple = ts.triplesContext[i]
+                  triple.graph = g;
+                  quads.push(triple)
+              }
+        
+              return {token:'quadsnottriples',
+                      quadsContext: quads}
+        })(pos0, result0[3], result0[7]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[59] Filter");
-        }
-        return result0;
-      }
-      
-      function parse_Constraint() {
-        var result0;
-        
-        reportFailures++;
-        result0 = parse_BrackettedExpression();
-        if (result0 === null) {
-          result0 = parse_BuiltInCall();
-          if (result0 === null) {
-            result0 = parse_FunctionCall();
-          }
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[60] Constraint");
+          matchFailed("[48] QuadsNotTriples");
         }
         return result0;
       }
       
-      function parse_FunctionCall() {
-        var result0, result1;
-        var pos0, pos1;
+      function parse_TriplesTemplate() {
+        var result0, result1, result2, result3, result4;
+        var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_IRIref();
+        result0 = parse_TriplesSameSubject();
         if (result0 !== null) {
-          result1 = parse_ArgList();
+          pos2 = pos;
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
+          }
+          if (result1 !== null) {
+            if (input.charCodeAt(pos) === 46) {
+              result2 = ".";
+              pos++;
+            } else {
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\".\"");
+              }
+            }
+            if (result2 !== null) {
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
+              }
+              if (result3 !== null) {
+                result4 = parse_TriplesTemplate();
+                result4 = result4 !== null ? result4 : "";
+                if (result4 !== null) {
+                  result1 = [result1, result2, result3, result4];
+                } else {
+                  result1 = null;
+                  pos = pos2;
+                }
+              } else {
+                result1 = null;
+                pos = pos2;
+              }
+            } else {
+              result1 = null;
+              pos = pos2;
+            }
+          } else {
+            result1 = null;
+            pos = pos2;
+          }
+          result1 = result1 !== null ? result1 : "";
           if (result1 !== null) {
             result0 = [result0, result1];
           } else {
@@ -6230,40 +6550,101 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, i, args) {
-              var fcall = {};
-              fcall.token = "expression";
-              fcall.expressionType = 'irireforfunction'
-              fcall.iriref = i;
-              fcall.args = args.value;
-        
-              return fcall;
-        })(pos0, result0[0], result0[1]);
-        }
-        if (result0 === null) {
+          result0 = (function(offset, b, bs) {
+             var triples = b.triplesContext;
+             var toTest = null;
+              if(typeof(bs) === 'object') {
+                    if(bs.length != null) {
+                          if(bs[3].triplesContext!=null) {
+                             triples = triples.concat(bs[3].triplesContext);
+                      }
+                   }
+              }
+        
+             return {token:'triplestemplate',
+                     triplesContext: triples}
+        })(pos0, result0[0], result0[1]);
+        }
+        if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[61] FunctionCall");
+          matchFailed("[49] TriplesTemplate");
         }
         return result0;
       }
       
-      function parse_ArgList() {
-        var result0, result1, result2, result3, result4, result5;
-        var pos0, pos1, pos2;
+      function parse_GroupGraphPattern() {
+        var result0, result1, result2, result3, result4;
+        var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
-        result0 = parse_NIL();
+        pos1 = pos;
+        if (input.charCodeAt(pos) === 123) {
+          result0 = "{";
+          pos++;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"{\"");
+          }
+        }
         if (result0 !== null) {
-          result0 = (function(offset) {
-              var args = {};
-              args.token = 'args';
-              args.value = [];
-              return args;
-        })(pos0);
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
+          }
+          if (result1 !== null) {
+            result2 = parse_SubSelect();
+            if (result2 !== null) {
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
+              }
+              if (result3 !== null) {
+                if (input.charCodeAt(pos) === 125) {
+                  result4 = "}";
+                  pos++;
+                } else {
+                  result4 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"}\"");
+                  }
+                }
+                if (result4 !== null) {
+                  result0 = [result0, result1, result2, result3, result4];
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, p) {
+              return { token: 'groupgraphpattern',
+                       patterns: [p],
+                       filters: [] };
+        })(pos0, result0[2]);
         }
         if (result0 === null) {
           pos = pos0;
@@ -6271,96 +6652,39 @@ SparqlParser.parser = (function(){
         if (result0 === null) {
           pos0 = pos;
           pos1 = pos;
-          if (input.charCodeAt(pos) === 40) {
-            result0 = "(";
+          if (input.charCodeAt(pos) === 123) {
+            result0 = "{";
             pos++;
           } else {
             result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"(\"");
+              matchFailed("\"{\"");
             }
           }
           if (result0 !== null) {
-            if (input.substr(pos, 8) === "DISTINCT") {
-              result1 = "DISTINCT";
-              pos += 8;
-            } else {
-              result1 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"DISTINCT\"");
-              }
-            }
-            if (result1 === null) {
-              if (input.substr(pos, 8) === "distinct") {
-                result1 = "distinct";
-                pos += 8;
-              } else {
-                result1 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\"distinct\"");
-                }
-              }
+            result1 = [];
+            result2 = parse_WS();
+            while (result2 !== null) {
+              result1.push(result2);
+              result2 = parse_WS();
             }
-            result1 = result1 !== null ? result1 : "";
             if (result1 !== null) {
-              result2 = parse_ConditionalOrExpression();
+              result2 = parse_GroupGraphPatternSub();
               if (result2 !== null) {
                 result3 = [];
-                pos2 = pos;
-                if (input.charCodeAt(pos) === 44) {
-                  result4 = ",";
-                  pos++;
-                } else {
-                  result4 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\",\"");
-                  }
-                }
-                if (result4 !== null) {
-                  result5 = parse_ConditionalOrExpression();
-                  if (result5 !== null) {
-                    result4 = [result4, result5];
-                  } else {
-                    result4 = null;
-                    pos = pos2;
-                  }
-                } else {
-                  result4 = null;
-                  pos = pos2;
-                }
+                result4 = parse_WS();
                 while (result4 !== null) {
                   result3.push(result4);
-                  pos2 = pos;
-                  if (input.charCodeAt(pos) === 44) {
-                    result4 = ",";
-                    pos++;
-                  } else {
-                    result4 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\",\"");
-                    }
-                  }
-                  if (result4 !== null) {
-                    result5 = parse_ConditionalOrExpression();
-                    if (result5 !== null) {
-                      result4 = [result4, result5];
-                    } else {
-                      result4 = null;
-                      pos = pos2;
-                    }
-                  } else {
-                    result4 = null;
-                    pos = pos2;
-                  }
+                  result4 = parse_WS();
                 }
                 if (result3 !== null) {
-                  if (input.charCodeAt(pos) === 41) {
-                    result4 = ")";
+                  if (input.charCodeAt(pos) === 125) {
+                    result4 = "}";
                     pos++;
                   } else {
                     result4 = null;
                     if (reportFailures === 0) {
-                      matchFailed("\")\"");
+                      matchFailed("\"}\"");
                     }
                   }
                   if (result4 !== null) {
@@ -6386,24 +6710,9 @@ SparqlParser.parser = (function(){
             pos = pos1;
           }
           if (result0 !== null) {
-            result0 = (function(offset, d, e, es) {
-                var cleanEx = [];
-          
-                for(var i=0; i<es.length; i++) {
-                    cleanEx.push(es[i][1]);
-                }
-                var args = {};
-                args.token = 'args';
-                args.value = [e].concat(cleanEx);
-          
-                if(d!=null && d.toUpperCase()==="DISTINCT") {
-                    args.distinct = true;
-                } else {
-                    args.distinct = false;
-                }
-          
-                return args;
-          })(pos0, result0[1], result0[2], result0[3]);
+            result0 = (function(offset, p) {
+                return p;
+          })(pos0, result0[2]);
           }
           if (result0 === null) {
             pos = pos0;
@@ -6411,73 +6720,61 @@ SparqlParser.parser = (function(){
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[62] ArgList");
+          matchFailed("[50] GroupGraphPattern");
         }
         return result0;
       }
       
-      function parse_ExpressionList() {
-        var result0, result1, result2, result3, result4, result5, result6;
+      function parse_GroupGraphPatternSub() {
+        var result0, result1, result2, result3, result4, result5, result6, result7;
         var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
-        result0 = parse_NIL();
+        pos1 = pos;
+        result0 = parse_TriplesBlock();
+        result0 = result0 !== null ? result0 : "";
         if (result0 !== null) {
-          result0 = (function(offset) {
-              var args = {};
-              args.token = 'args';
-              args.value = [];
-              return args;
-        })(pos0);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        if (result0 === null) {
-          pos0 = pos;
-          pos1 = pos;
-          if (input.charCodeAt(pos) === 40) {
-            result0 = "(";
-            pos++;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"(\"");
-            }
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
           }
-          if (result0 !== null) {
-            result1 = parse_ConditionalOrExpression();
-            if (result1 !== null) {
-              result2 = [];
-              pos2 = pos;
-              result3 = [];
-              result4 = parse_WS();
-              while (result4 !== null) {
-                result3.push(result4);
-                result4 = parse_WS();
+          if (result1 !== null) {
+            result2 = [];
+            pos2 = pos;
+            result3 = parse_GraphPatternNotTriples();
+            if (result3 !== null) {
+              result4 = [];
+              result5 = parse_WS();
+              while (result5 !== null) {
+                result4.push(result5);
+                result5 = parse_WS();
               }
-              if (result3 !== null) {
-                if (input.charCodeAt(pos) === 44) {
-                  result4 = ",";
-                  pos++;
+              if (result4 !== null) {
+                if (input.charCodeAt(pos) === 46) {
+                  result5 = ".";
+                  pos++;
                 } else {
-                  result4 = null;
+                  result5 = null;
                   if (reportFailures === 0) {
-                    matchFailed("\",\"");
+                    matchFailed("\".\"");
                   }
                 }
-                if (result4 !== null) {
-                  result5 = [];
-                  result6 = parse_WS();
-                  while (result6 !== null) {
-                    result5.push(result6);
-                    result6 = parse_WS();
+                result5 = result5 !== null ? result5 : "";
+                if (result5 !== null) {
+                  result6 = [];
+                  result7 = parse_WS();
+                  while (result7 !== null) {
+                    result6.push(result7);
+                    result7 = parse_WS();
                   }
-                  if (result5 !== null) {
-                    result6 = parse_ConditionalOrExpression();
-                    if (result6 !== null) {
-                      result3 = [result3, result4, result5, result6];
+                  if (result6 !== null) {
+                    result7 = parse_TriplesBlock();
+                    result7 = result7 !== null ? result7 : "";
+                    if (result7 !== null) {
+                      result3 = [result3, result4, result5, result6, result7];
                     } else {
                       result3 = null;
                       pos = pos2;
@@ -6494,36 +6791,44 @@ SparqlParser.parser = (function(){
                 result3 = null;
                 pos = pos2;
               }
-              while (result3 !== null) {
-                result2.push(result3);
-                pos2 = pos;
-                result3 = [];
-                result4 = parse_WS();
-                while (result4 !== null) {
-                  result3.push(result4);
-                  result4 = parse_WS();
+            } else {
+              result3 = null;
+              pos = pos2;
+            }
+            while (result3 !== null) {
+              result2.push(result3);
+              pos2 = pos;
+              result3 = parse_GraphPatternNotTriples();
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
                 }
-                if (result3 !== null) {
-                  if (input.charCodeAt(pos) === 44) {
-                    result4 = ",";
+                if (result4 !== null) {
+                  if (input.charCodeAt(pos) === 46) {
+                    result5 = ".";
                     pos++;
                   } else {
-                    result4 = null;
+                    result5 = null;
                     if (reportFailures === 0) {
-                      matchFailed("\",\"");
+                      matchFailed("\".\"");
                     }
                   }
-                  if (result4 !== null) {
-                    result5 = [];
-                    result6 = parse_WS();
-                    while (result6 !== null) {
-                      result5.push(result6);
-                      result6 = parse_WS();
+                  result5 = result5 !== null ? result5 : "";
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
                     }
-                    if (result5 !== null) {
-                      result6 = parse_ConditionalOrExpression();
-                      if (result6 !== null) {
-                        result3 = [result3, result4, result5, result6];
+                    if (result6 !== null) {
+                      result7 = parse_TriplesBlock();
+                      result7 = result7 !== null ? result7 : "";
+                      if (result7 !== null) {
+                        result3 = [result3, result4, result5, result6, result7];
                       } else {
                         result3 = null;
                         pos = pos2;
@@ -6540,27 +6845,13 @@ SparqlParser.parser = (function(){
                   result3 = null;
                   pos = pos2;
                 }
-              }
-              if (result2 !== null) {
-                if (input.charCodeAt(pos) === 41) {
-                  result3 = ")";
-                  pos++;
-                } else {
-                  result3 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\")\"");
-                  }
-                }
-                if (result3 !== null) {
-                  result0 = [result0, result1, result2, result3];
-                } else {
-                  result0 = null;
-                  pos = pos1;
-                }
               } else {
-                result0 = null;
-                pos = pos1;
+                result3 = null;
+                pos = pos2;
               }
+            }
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
             } else {
               result0 = null;
               pos = pos1;
@@ -6569,48 +6860,94 @@ SparqlParser.parser = (function(){
             result0 = null;
             pos = pos1;
           }
-          if (result0 !== null) {
-            result0 = (function(offset, e, es) {
-                var cleanEx = [];
-          
-                for(var i=0; i<es.length; i++) {
-                    cleanEx.push(es[i][3]);
-                }
-                var args = {};
-                args.token = 'args';
-                args.value = [e].concat(cleanEx);
-          
-                return args;
-          })(pos0, result0[1], result0[2]);
-          }
-          if (result0 === null) {
-            pos = pos0;
-          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, tb, tbs) {
+              var subpatterns = [];
+              if(tb != null && tb != []) {
+                  subpatterns.push(tb);
+              }
+        
+              for(var i=0; i<tbs.length; i++) {
+                  for(var j=0; j< tbs[i].length; j++) {
+                      if(tbs[i][j].token != null) {
+                          subpatterns.push(tbs[i][j]);
+                      }
+                  }
+              }
+        
+              var compactedSubpatterns = [];
+        
+              var currentBasicGraphPatterns = [];
+              var currentFilters = [];
+        
+              for(var i=0; i<subpatterns.length; i++) {
+                  if(subpatterns[i].token!='triplespattern' && subpatterns[i].token != 'filter') {
+                      if(currentBasicGraphPatterns.length != 0 || currentFilters.length != 0) {
+                          var triplesContext = [];
+                          for(var j=0; j<currentBasicGraphPatterns.length; j++) {
+                              triplesContext = triplesContext.concat(currentBasicGraphPatterns[j].triplesContext);
+                          }
+                          if(triplesContext.length > 0) {  
+                              compactedSubpatterns.push({token: 'basicgraphpattern',
+                                                         triplesContext: triplesContext});
+                          }
+                          currentBasicGraphPatterns = [];
+                      }
+                      compactedSubpatterns.push(subpatterns[i]);
+                  } else {
+                      if(subpatterns[i].token === 'triplespattern') {
+                          currentBasicGraphPatterns.push(subpatterns[i]);
+                      } else {
+                          currentFilters.push(subpatterns[i]);
+                      }
+                  }
+              }
+        
+              if(currentBasicGraphPatterns.length != 0 || currentFilters.length != 0) {
+                  var triplesContext = [];
+                  for(var j=0; j<currentBasicGraphPatterns.length; j++) {
+                      triplesContext = triplesContext.concat(currentBasicGraphPatterns[j].triplesContext);
+                  }
+                  if(triplesContext.length > 0) {
+                    compactedSubpatterns.push({token: 'basicgraphpattern',
+                                               triplesContext: triplesContext});
+                  }
+              }
+        
+        //      if(compactedSubpatterns.length == 1) {
+        //          compactedSubpatterns[0].filters = currentFilters;
+        //          return compactedSubpatterns[0];
+        //      } else  {
+                  return { token: 'groupgraphpattern',
+                           patterns: compactedSubpatterns,
+                           filters: currentFilters }
+        //      }
+        })(pos0, result0[0], result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[63] ExpressionList");
+          matchFailed("[51] GroupGraphPatternSub");
         }
         return result0;
       }
       
-      function parse_ConstructTemplate() {
-        var result0, result1, result2, result3, result4;
-        var pos0, pos1;
+      function parse_TriplesBlock() {
+        var result0, result1, result2, result3;
+        var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        if (input.charCodeAt(pos) === 123) {
-          result0 = "{";
-          pos++;
-        } else {
-          result0 = null;
-          if (reportFailures === 0) {
-            matchFailed("\"{\"");
-          }
-        }
+        result0 = parse_TriplesSameSubjectPath();
         if (result0 !== null) {
+          pos2 = pos;
           result1 = [];
           result2 = parse_WS();
           while (result2 !== null) {
@@ -6618,111 +6955,27 @@ SparqlParser.parser = (function(){
             result2 = parse_WS();
           }
           if (result1 !== null) {
-            result2 = parse_ConstructTriples();
-            result2 = result2 !== null ? result2 : "";
-            if (result2 !== null) {
-              result3 = [];
-              result4 = parse_WS();
-              while (result4 !== null) {
-                result3.push(result4);
-                result4 = parse_WS();
+            if (input.charCodeAt(pos) === 46) {
+              result2 = ".";
+              pos++;
+            } else {
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\".\"");
               }
+            }
+            if (result2 !== null) {
+              result3 = parse_TriplesBlock();
+              result3 = result3 !== null ? result3 : "";
               if (result3 !== null) {
-                if (input.charCodeAt(pos) === 125) {
-                  result4 = "}";
-                  pos++;
-                } else {
-                  result4 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"}\"");
-                  }
-                }
-                if (result4 !== null) {
-                  result0 = [result0, result1, result2, result3, result4];
-                } else {
-                  result0 = null;
-                  pos = pos1;
-                }
+                result1 = [result1, result2, result3];
               } else {
-                result0 = null;
-                pos = pos1;
+                result1 = null;
+                pos = pos2;
               }
             } else {
-              result0 = null;
-              pos = pos1;
-            }
-          } else {
-            result0 = null;
-            pos = pos1;
-          }
-        } else {
-          result0 = null;
-          pos = pos1;
-        }
-        if (result0 !== null) {
-          result0 = (function(offset, ts) {
-              return ts;
-        })(pos0, result0[2]);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[64] ConstructTemplate");
-        }
-        return result0;
-      }
-      
-      function parse_ConstructTriples() {
-        var result0, result1, result2, result3, result4;
-        var pos0, pos1, pos2;
-        
-        reportFailures++;
-        pos0 = pos;
-        pos1 = pos;
-        result0 = parse_TriplesSameSubject();
-        if (result0 !== null) {
-          pos2 = pos;
-          result1 = [];
-          result2 = parse_WS();
-          while (result2 !== null) {
-            result1.push(result2);
-            result2 = parse_WS();
-          }
-          if (result1 !== null) {
-            if (input.charCodeAt(pos) === 46) {
-              result2 = ".";
-              pos++;
-            } else {
-              result2 = null;
-              if (reportFailures === 0) {
-                matchFailed("\".\"");
-              }
-            }
-            if (result2 !== null) {
-              result3 = [];
-              result4 = parse_WS();
-              while (result4 !== null) {
-                result3.push(result4);
-                result4 = parse_WS();
-              }
-              if (result3 !== null) {
-                result4 = parse_ConstructTriples();
-                result4 = result4 !== null ? result4 : "";
-                if (result4 !== null) {
-                  result1 = [result1, result2, result3, result4];
-                } else {
-                  result1 = null;
-                  pos = pos2;
-                }
-              } else {
-                result1 = null;
-                pos = pos2;
-              }
-            } else {
-              result1 = null;
-              pos = pos2;
+              result1 = null;
+              pos = pos2;
             }
           } else {
             result1 = null;
@@ -6745,13 +6998,13 @@ SparqlParser.parser = (function(){
              var toTest = null;
               if(typeof(bs) === 'object') {
                     if(bs.length != null) {
-                          if(bs[3].triplesContext!=null) {
-                             triples = triples.concat(bs[3].triplesContext);
+                          if(bs[2].triplesContext!=null) {
+                             triples = triples.concat(bs[2].triplesContext);
                       }
                    }
               }
         
-             return {token:'triplestemplate',
+             return {token:'triplespattern',
                      triplesContext: triples}
         })(pos0, result0[0], result0[1]);
         }
@@ -6760,12 +7013,45 @@ SparqlParser.parser = (function(){
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[65] ConstructTriples");
+          matchFailed("[54] TriplesBlock");
         }
         return result0;
       }
       
-      function parse_TriplesSameSubject() {
+      function parse_GraphPatternNotTriples() {
+        var result0;
+        
+        reportFailures++;
+        result0 = parse_GroupOrUnionGraphPattern();
+        if (result0 === null) {
+          result0 = parse_OptionalGraphPattern();
+          if (result0 === null) {
+            result0 = parse_MinusGraphPattern();
+            if (result0 === null) {
+              result0 = parse_GraphGraphPattern();
+              if (result0 === null) {
+                result0 = parse_ServiceGraphPattern();
+                if (result0 === null) {
+                  result0 = parse_Filter();
+                  if (result0 === null) {
+                    result0 = parse_Bind();
+                    if (result0 === null) {
+                      result0 = parse_InlineData();
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[53] GraphPatternNotTriples");
+        }
+        return result0;
+      }
+      
+      function parse_OptionalGraphPattern() {
         var result0, result1, result2, result3;
         var pos0, pos1;
         
@@ -6779,7 +7065,26 @@ SparqlParser.parser = (function(){
           result1 = parse_WS();
         }
         if (result0 !== null) {
-          result1 = parse_VarOrTerm();
+          if (input.substr(pos, 8) === "OPTIONAL") {
+            result1 = "OPTIONAL";
+            pos += 8;
+          } else {
+            result1 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"OPTIONAL\"");
+            }
+          }
+          if (result1 === null) {
+            if (input.substr(pos, 8) === "optional") {
+              result1 = "optional";
+              pos += 8;
+            } else {
+              result1 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"optional\"");
+              }
+            }
+          }
           if (result1 !== null) {
             result2 = [];
             result3 = parse_WS();
@@ -6788,7 +7093,7 @@ SparqlParser.parser = (function(){
               result3 = parse_WS();
             }
             if (result2 !== null) {
-              result3 = parse_PropertyListNotEmpty();
+              result3 = parse_GroupGraphPattern();
               if (result3 !== null) {
                 result0 = [result0, result1, result2, result3];
               } else {
@@ -6808,59 +7113,79 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, s, pairs) {
-              var triplesContext = pairs.triplesContext;
-              var subject = s;
-              if(pairs.pairs) {
-                for(var i=0; i< pairs.pairs.length; i++) {
-                    var pair = pairs.pairs[i];
-                    var triple = null;
-        	    if(pair[1].length != null)
-        	      pair[1] = pair[1][0]
-                    if(subject.token && subject.token==='triplesnodecollection') {
-                        triple = {subject: subject.chainSubject[0], predicate: pair[0], object: pair[1]}
-                        triplesContext.push(triple);
-                        triplesContext = triplesContext.concat(subject.triplesContext);
-                    } else {
-                        triple = {subject: subject, predicate: pair[0], object: pair[1]}
-                        triplesContext.push(triple);
-                    }
-                }
-              }
-        
-              var token = {};
-              token.token = "triplessamesubject";
-              token.triplesContext = triplesContext;
-              token.chainSubject = subject;
-        
-              return token;
-          })(pos0, result0[1], result0[3]);
+          result0 = (function(offset, v) {
+              return { token: 'optionalgraphpattern',
+                       value: v }
+        })(pos0, result0[3]);
         }
         if (result0 === null) {
           pos = pos0;
         }
-        if (result0 === null) {
-          pos0 = pos;
-          pos1 = pos;
-          result0 = [];
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[54] OptionalGraphPattern");
+        }
+        return result0;
+      }
+      
+      function parse_GraphGraphPattern() {
+        var result0, result1, result2, result3, result4, result5;
+        var pos0, pos1;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = [];
+        result1 = parse_WS();
+        while (result1 !== null) {
+          result0.push(result1);
           result1 = parse_WS();
-          while (result1 !== null) {
-            result0.push(result1);
-            result1 = parse_WS();
+        }
+        if (result0 !== null) {
+          if (input.substr(pos, 5) === "GRAPH") {
+            result1 = "GRAPH";
+            pos += 5;
+          } else {
+            result1 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"GRAPH\"");
+            }
           }
-          if (result0 !== null) {
-            result1 = parse_TriplesNode();
-            if (result1 !== null) {
-              result2 = [];
-              result3 = parse_WS();
-              while (result3 !== null) {
-                result2.push(result3);
-                result3 = parse_WS();
+          if (result1 === null) {
+            if (input.substr(pos, 5) === "graph") {
+              result1 = "graph";
+              pos += 5;
+            } else {
+              result1 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"graph\"");
               }
-              if (result2 !== null) {
-                result3 = parse_PropertyList();
-                if (result3 !== null) {
-                  result0 = [result0, result1, result2, result3];
+            }
+          }
+          if (result1 !== null) {
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              result3 = parse_VarOrIRIref();
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  result5 = parse_GroupGraphPattern();
+                  if (result5 !== null) {
+                    result0 = [result0, result1, result2, result3, result4, result5];
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
                 } else {
                   result0 = null;
                   pos = pos1;
@@ -6877,145 +7202,102 @@ SparqlParser.parser = (function(){
             result0 = null;
             pos = pos1;
           }
-          if (result0 !== null) {
-            result0 = (function(offset, tn, pairs) {
-                var triplesContext = tn.triplesContext;
-                var subject = tn.chainSubject;
-          
-                if(pairs.pairs) {
-                  for(var i=0; i< pairs.pairs.length; i++) {
-                      var pair = pairs.pairs[i];
-                      if(pair[1].length != null)
-          	      pair[1] = pair[1][0]
-          
-                      if(tn.token === "triplesnodecollection") {
-                          for(var j=0; j<subject.length; j++) {
-                              var subj = subject[j];
-                              if(subj.triplesContext != null) {
-                                  var triple = {subject: subj.chainSubject, predicate: pair[0], object: pair[1]}
-                                  triplesContext.concat(subj.triplesContext);
-                              } else {
-                                  var triple = {subject: subject[j], predicate: pair[0], object: pair[1]}
-                                  triplesContext.push(triple);
-                              }
-                          }
-                      } else {
-                          var triple = {subject: subject, predicate: pair[0], object: pair[1]}
-                          triplesContext.push(triple);
-                      }
-                  }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, g, gg) {
+              for(var i=0; i<gg.patterns.length; i++) {
+                var quads = []
+                var ts = gg.patterns[i];
+                if(ts.triplesContext == null) {
+                    continue;
                 }
-          
-                var token = {};
-                token.token = "triplessamesubject";
-                token.triplesContext = triplesContext;
-                token.chainSubject = subject;
-          
-                return token;
-            })(pos0, result0[1], result0[3]);
-          }
-          if (result0 === null) {
-            pos = pos0;
-          }
+                for(var j=0; j<ts.triplesContext.length; j++) {
+                    var triple = ts.triplesContext[j]
+                    triple.graph = g;
+                }
+              }
+        
+              gg.token = 'groupgraphpattern'
+              return gg;
+        })(pos0, result0[3], result0[5]);
+        }
+        if (result0 === null) {
+          pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[66] TriplesSameSubject");
+          matchFailed("[55] GraphGraphPattern");
         }
         return result0;
       }
       
-      function parse_PropertyListNotEmpty() {
-        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9;
-        var pos0, pos1, pos2, pos3;
+      function parse_ServiceGraphPattern() {
+        var result0, result1, result2, result3, result4, result5, result6, result7;
+        var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_Verb();
+        result0 = [];
+        result1 = parse_WS();
+        while (result1 !== null) {
+          result0.push(result1);
+          result1 = parse_WS();
+        }
         if (result0 !== null) {
-          result1 = [];
-          result2 = parse_WS();
-          while (result2 !== null) {
-            result1.push(result2);
-            result2 = parse_WS();
+          if (input.substr(pos, 7) === "SERVICE") {
+            result1 = "SERVICE";
+            pos += 7;
+          } else {
+            result1 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"SERVICE\"");
+            }
+          }
+          if (result1 === null) {
+            if (input.substr(pos, 7) === "service") {
+              result1 = "service";
+              pos += 7;
+            } else {
+              result1 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"service\"");
+              }
+            }
           }
           if (result1 !== null) {
-            result2 = parse_ObjectList();
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
             if (result2 !== null) {
-              result3 = [];
-              pos2 = pos;
-              result4 = [];
-              result5 = parse_WS();
-              while (result5 !== null) {
-                result4.push(result5);
-                result5 = parse_WS();
+              if (input.substr(pos, 6) === "SILENT") {
+                result3 = "SILENT";
+                pos += 6;
+              } else {
+                result3 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"SILENT\"");
+                }
               }
-              if (result4 !== null) {
-                if (input.charCodeAt(pos) === 59) {
-                  result5 = ";";
-                  pos++;
+              if (result3 === null) {
+                if (input.substr(pos, 6) === "silent") {
+                  result3 = "silent";
+                  pos += 6;
                 } else {
-                  result5 = null;
+                  result3 = null;
                   if (reportFailures === 0) {
-                    matchFailed("\";\"");
-                  }
-                }
-                if (result5 !== null) {
-                  result6 = [];
-                  result7 = parse_WS();
-                  while (result7 !== null) {
-                    result6.push(result7);
-                    result7 = parse_WS();
-                  }
-                  if (result6 !== null) {
-                    pos3 = pos;
-                    result7 = parse_Verb();
-                    if (result7 !== null) {
-                      result8 = [];
-                      result9 = parse_WS();
-                      while (result9 !== null) {
-                        result8.push(result9);
-                        result9 = parse_WS();
-                      }
-                      if (result8 !== null) {
-                        result9 = parse_ObjectList();
-                        if (result9 !== null) {
-                          result7 = [result7, result8, result9];
-                        } else {
-                          result7 = null;
-                          pos = pos3;
-                        }
-                      } else {
-                        result7 = null;
-                        pos = pos3;
-                      }
-                    } else {
-                      result7 = null;
-                      pos = pos3;
-                    }
-                    result7 = result7 !== null ? result7 : "";
-                    if (result7 !== null) {
-                      result4 = [result4, result5, result6, result7];
-                    } else {
-                      result4 = null;
-                      pos = pos2;
-                    }
-                  } else {
-                    result4 = null;
-                    pos = pos2;
+                    matchFailed("\"silent\"");
                   }
-                } else {
-                  result4 = null;
-                  pos = pos2;
                 }
-              } else {
-                result4 = null;
-                pos = pos2;
               }
-              while (result4 !== null) {
-                result3.push(result4);
-                pos2 = pos;
+              result3 = result3 !== null ? result3 : "";
+              if (result3 !== null) {
                 result4 = [];
                 result5 = parse_WS();
                 while (result5 !== null) {
@@ -7023,15 +7305,7 @@ SparqlParser.parser = (function(){
                   result5 = parse_WS();
                 }
                 if (result4 !== null) {
-                  if (input.charCodeAt(pos) === 59) {
-                    result5 = ";";
-                    pos++;
-                  } else {
-                    result5 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\";\"");
-                    }
-                  }
+                  result5 = parse_VarOrIRIref();
                   if (result5 !== null) {
                     result6 = [];
                     result7 = parse_WS();
@@ -7040,53 +7314,25 @@ SparqlParser.parser = (function(){
                       result7 = parse_WS();
                     }
                     if (result6 !== null) {
-                      pos3 = pos;
-                      result7 = parse_Verb();
-                      if (result7 !== null) {
-                        result8 = [];
-                        result9 = parse_WS();
-                        while (result9 !== null) {
-                          result8.push(result9);
-                          result9 = parse_WS();
-                        }
-                        if (result8 !== null) {
-                          result9 = parse_ObjectList();
-                          if (result9 !== null) {
-                            result7 = [result7, result8, result9];
-                          } else {
-                            result7 = null;
-                            pos = pos3;
-                          }
-                        } else {
-                          result7 = null;
-                          pos = pos3;
-                        }
-                      } else {
-                        result7 = null;
-                        pos = pos3;
-                      }
-                      result7 = result7 !== null ? result7 : "";
+                      result7 = parse_GroupGraphPattern();
                       if (result7 !== null) {
-                        result4 = [result4, result5, result6, result7];
+                        result0 = [result0, result1, result2, result3, result4, result5, result6, result7];
                       } else {
-                        result4 = null;
-                        pos = pos2;
+                        result0 = null;
+                        pos = pos1;
                       }
                     } else {
-                      result4 = null;
-                      pos = pos2;
+                      result0 = null;
+                      pos = pos1;
                     }
                   } else {
-                    result4 = null;
-                    pos = pos2;
+                    result0 = null;
+                    pos = pos1;
                   }
                 } else {
-                  result4 = null;
-                  pos = pos2;
+                  result0 = null;
+                  pos = pos1;
                 }
-              }
-              if (result3 !== null) {
-                result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
                 pos = pos1;
@@ -7104,100 +7350,130 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, v, ol, rest) {
-              var token = {}
-              token.token = 'propertylist';
-              var triplesContext = [];
-              var pairs = [];
-              var test = [];
-        
-              for( var i=0; i<ol.length; i++) {
-        
-                 if(ol[i].triplesContext != null) {
-                     triplesContext = triplesContext.concat(ol[i].triplesContext);
-                     if(ol[i].token==='triplesnodecollection' && ol[i].chainSubject.length != null) {
-                         pairs.push([v, ol[i].chainSubject[0]]);
-                     } else {
-                         pairs.push([v, ol[i].chainSubject]);
-                     }
+          result0 = (function(offset, s, v, ts) {
+              // the text of the pattern is sent verbatim to the remote endpoint
+              var text = input.substring(offset, pos);
+              text = text.substring(text.indexOf('\x7b'));
         
-                  } else {
-                      pairs.push([v, ol[i]])
-                  }
+              return {token: 'servicegraphpattern',
+                      silent: (s != ""),
+                      endpoint: v,
+                      value: ts,
+                      text: text.replace(/\s+$/,'') }
+        })(pos0, result0[3], result0[5], result0[7]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[56] ServiceGraphPattern");
+        }
+        return result0;
+      }
+      
+      function parse_MinusGraphPattern() {
+        var result0, result1, result2;
+        var pos0, pos1;
         
-              }
-        
-        
-              for(var i=0; i<rest.length; i++) {
-                  var tok = rest[i][3];
-                  var newVerb  = tok[0];
-                  var newObjsList = tok[2] || [];
-        
-                  for(var j=0; j<newObjsList.length; j++) {
-                   if(newObjsList[j].triplesContext != null) {
-                      triplesContext = triplesContext.concat(newObjsList[j].triplesContext);
-                     pairs.push([newVerb, newObjsList[j].chainSubject]);
-                    } else {
-                      pairs.push([newVerb, newObjsList[j]])
-                    }
-                  }
-              }
-        
-              token.pairs = pairs;
-              token.triplesContext = triplesContext;
-        
-              return token;
-        
-        })(pos0, result0[0], result0[2], result0[3]);
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        if (input.substr(pos, 5) === "MINUS") {
+          result0 = "MINUS";
+          pos += 5;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"MINUS\"");
+          }
         }
         if (result0 === null) {
-          pos = pos0;
+          if (input.substr(pos, 5) === "minus") {
+            result0 = "minus";
+            pos += 5;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"minus\"");
+            }
+          }
         }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[67] PropertyListNotEmpty");
+        if (result0 !== null) {
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
+          }
+          if (result1 !== null) {
+            result2 = parse_GroupGraphPattern();
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, ts) {
+              return {token: 'minusgraphpattern',
+                      value: ts}
+        })(pos0, result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
         }
-        return result0;
-      }
-      
-      function parse_PropertyList() {
-        var result0;
-        
-        reportFailures++;
-        result0 = parse_PropertyListNotEmpty();
-        result0 = result0 !== null ? result0 : "";
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[68] PropertyList");
+          matchFailed("[57] MinusGraphPattern");
         }
         return result0;
       }
       
-      function parse_ObjectList() {
+      function parse_GroupOrUnionGraphPattern() {
         var result0, result1, result2, result3, result4, result5;
         var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_GraphNode();
+        result0 = parse_GroupGraphPattern();
         if (result0 !== null) {
           result1 = [];
-          result2 = parse_WS();
-          while (result2 !== null) {
-            result1.push(result2);
-            result2 = parse_WS();
+          pos2 = pos;
+          result2 = [];
+          result3 = parse_WS();
+          while (result3 !== null) {
+            result2.push(result3);
+            result3 = parse_WS();
           }
-          if (result1 !== null) {
-            result2 = [];
-            pos2 = pos;
-            if (input.charCodeAt(pos) === 44) {
-              result3 = ",";
-              pos++;
+          if (result2 !== null) {
+            if (input.substr(pos, 5) === "UNION") {
+              result3 = "UNION";
+              pos += 5;
             } else {
               result3 = null;
               if (reportFailures === 0) {
-                matchFailed("\",\"");
+                matchFailed("\"UNION\"");
+              }
+            }
+            if (result3 === null) {
+              if (input.substr(pos, 5) === "union") {
+                result3 = "union";
+                pos += 5;
+              } else {
+                result3 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"union\"");
+                }
               }
             }
             if (result3 !== null) {
@@ -7208,31 +7484,53 @@ SparqlParser.parser = (function(){
                 result5 = parse_WS();
               }
               if (result4 !== null) {
-                result5 = parse_GraphNode();
+                result5 = parse_GroupGraphPattern();
                 if (result5 !== null) {
-                  result3 = [result3, result4, result5];
+                  result2 = [result2, result3, result4, result5];
                 } else {
-                  result3 = null;
+                  result2 = null;
                   pos = pos2;
                 }
               } else {
-                result3 = null;
+                result2 = null;
                 pos = pos2;
               }
             } else {
-              result3 = null;
+              result2 = null;
               pos = pos2;
             }
+          } else {
+            result2 = null;
+            pos = pos2;
+          }
+          while (result2 !== null) {
+            result1.push(result2);
+            pos2 = pos;
+            result2 = [];
+            result3 = parse_WS();
             while (result3 !== null) {
               result2.push(result3);
-              pos2 = pos;
-              if (input.charCodeAt(pos) === 44) {
-                result3 = ",";
-                pos++;
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              if (input.substr(pos, 5) === "UNION") {
+                result3 = "UNION";
+                pos += 5;
               } else {
                 result3 = null;
                 if (reportFailures === 0) {
-                  matchFailed("\",\"");
+                  matchFailed("\"UNION\"");
+                }
+              }
+              if (result3 === null) {
+                if (input.substr(pos, 5) === "union") {
+                  result3 = "union";
+                  pos += 5;
+                } else {
+                  result3 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"union\"");
+                  }
                 }
               }
               if (result3 !== null) {
@@ -7243,28 +7541,28 @@ SparqlParser.parser = (function(){
                   result5 = parse_WS();
                 }
                 if (result4 !== null) {
-                  result5 = parse_GraphNode();
+                  result5 = parse_GroupGraphPattern();
                   if (result5 !== null) {
-                    result3 = [result3, result4, result5];
+                    result2 = [result2, result3, result4, result5];
                   } else {
-                    result3 = null;
+                    result2 = null;
                     pos = pos2;
                   }
                 } else {
-                  result3 = null;
+                  result2 = null;
                   pos = pos2;
                 }
               } else {
-                result3 = null;
+                result2 = null;
                 pos = pos2;
               }
-            }
-            if (result2 !== null) {
-              result0 = [result0, result1, result2];
             } else {
-              result0 = null;
-              pos = pos1;
+              result2 = null;
+              pos = pos2;
             }
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
           } else {
             result0 = null;
             pos = pos1;
@@ -7274,68 +7572,43 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, obj, objs) {
+          result0 = (function(offset, a, b) {
+              if(b.length === 0) {
+                  return a;
+              } else {
         
-                var toReturn = [];
+                  var lastToken = {token: 'graphunionpattern',
+                                   value: [a]};
         
-                toReturn.push(obj);
+                  for(var i=0; i<b.length; i++) {
+                      if(i==b.length-1) {
+                          lastToken.value.push(b[i][3]);
+                      } else {
+                          lastToken.value.push(b[i][3]);
+                          var newToken = {token: 'graphunionpattern',
+                                          value: [lastToken]}
         
-                for(var i=0; i<objs.length; i++) {
-                    for(var j=0; j<objs[i].length; j++) {
-                        if(typeof(objs[i][j])=="object" && objs[i][j].token != null) {
-                            toReturn.push(objs[i][j]);
-                        }
-                    }
-                }
+                          lastToken = newToken;
+                      }
+                  }
         
-                return toReturn;
-            })(pos0, result0[0], result0[2]);
+                  return lastToken;
+        
+              }
+        })(pos0, result0[0], result0[1]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[69] ObjectList");
-        }
-        return result0;
-      }
-      
-      function parse_Verb() {
-        var result0;
-        var pos0;
-        
-        reportFailures++;
-        result0 = parse_VarOrIRIref();
-        if (result0 === null) {
-          pos0 = pos;
-          if (input.charCodeAt(pos) === 97) {
-            result0 = "a";
-            pos++;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"a\"");
-            }
-          }
-          if (result0 !== null) {
-            result0 = (function(offset) {
-                return{token: 'uri', prefix:null, suffix:null, value:"http://www.w3.org/1999/02/22-rdf-syntax-ns#type"}
-            })(pos0);
-          }
-          if (result0 === null) {
-            pos = pos0;
-          }
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[71] Verb");
+          matchFailed("[58] GroupOrUnionGraphPattern");
         }
         return result0;
       }
       
-      function parse_TriplesSameSubjectPath() {
-        var result0, result1, result2, result3;
+      function parse_Bind() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11;
         var pos0, pos1;
         
         reportFailures++;
@@ -7348,7 +7621,26 @@ SparqlParser.parser = (function(){
           result1 = parse_WS();
         }
         if (result0 !== null) {
-          result1 = parse_VarOrTerm();
+          if (input.substr(pos, 4) === "BIND") {
+            result1 = "BIND";
+            pos += 4;
+          } else {
+            result1 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"BIND\"");
+            }
+          }
+          if (result1 === null) {
+            if (input.substr(pos, 4) === "bind") {
+              result1 = "bind";
+              pos += 4;
+            } else {
+              result1 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"bind\"");
+              }
+            }
+          }
           if (result1 !== null) {
             result2 = [];
             result3 = parse_WS();
@@ -7357,9 +7649,112 @@ SparqlParser.parser = (function(){
               result3 = parse_WS();
             }
             if (result2 !== null) {
-              result3 = parse_PropertyListNotEmptyPath();
+              if (input.charCodeAt(pos) === 40) {
+                result3 = "(";
+                pos++;
+              } else {
+                result3 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"(\"");
+                }
+              }
               if (result3 !== null) {
-                result0 = [result0, result1, result2, result3];
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  result5 = parse_ConditionalOrExpression();
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
+                    }
+                    if (result6 !== null) {
+                      if (input.substr(pos, 2) === "AS") {
+                        result7 = "AS";
+                        pos += 2;
+                      } else {
+                        result7 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"AS\"");
+                        }
+                      }
+                      if (result7 === null) {
+                        if (input.substr(pos, 2) === "as") {
+                          result7 = "as";
+                          pos += 2;
+                        } else {
+                          result7 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\"as\"");
+                          }
+                        }
+                      }
+                      if (result7 !== null) {
+                        result8 = [];
+                        result9 = parse_WS();
+                        while (result9 !== null) {
+                          result8.push(result9);
+                          result9 = parse_WS();
+                        }
+                        if (result8 !== null) {
+                          result9 = parse_Var();
+                          if (result9 !== null) {
+                            result10 = [];
+                            result11 = parse_WS();
+                            while (result11 !== null) {
+                              result10.push(result11);
+                              result11 = parse_WS();
+                            }
+                            if (result10 !== null) {
+                              if (input.charCodeAt(pos) === 41) {
+                                result11 = ")";
+                                pos++;
+                              } else {
+                                result11 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\")\"");
+                                }
+                              }
+                              if (result11 !== null) {
+                                result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11];
+                              } else {
+                                result0 = null;
+                                pos = pos1;
+                              }
+                            } else {
+                              result0 = null;
+                              pos = pos1;
+                            }
+                          } else {
+                            result0 = null;
+                            pos = pos1;
+                          }
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
               } else {
                 result0 = null;
                 pos = pos1;
@@ -7377,63 +7772,67 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, s, pairs) {
-              var triplesContext = pairs.triplesContext;
-              var subject = s;
-              if(pairs.pairs) {
-                for(var i=0; i< pairs.pairs.length; i++) {
-                    var pair = pairs.pairs[i];
-                    var triple = null;
-        	    if(pair[1].length != null)
-        	      pair[1] = pair[1][0]
-                    if(subject.token && subject.token==='triplesnodecollection') {
-                        triple = {subject: subject.chainSubject[0], predicate: pair[0], object: pair[1]}
-                        triplesContext.push(triple);
-                        triplesContext = triplesContext.concat(subject.triplesContext);
-                    } else {
-                        triple = {subject: subject, predicate: pair[0], object: pair[1]}
-                        triplesContext.push(triple);
-                    }
-                }
-              }
-        
-              var token = {};
-              token.token = "triplessamesubject";
-              token.triplesContext = triplesContext;
-              token.chainSubject = subject;
-        
-              return token;
-          })(pos0, result0[1], result0[3]);
+          result0 = (function(offset, ex, v) {
+              return {token: 'bind',
+                      expression: ex,
+                      as: v};
+        })(pos0, result0[5], result0[9]);
         }
         if (result0 === null) {
           pos = pos0;
         }
-        if (result0 === null) {
-          pos0 = pos;
-          pos1 = pos;
-          result0 = [];
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[59a] Bind");
+        }
+        return result0;
+      }
+      
+      function parse_InlineData() {
+        var result0, result1, result2, result3;
+        var pos0, pos1;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = [];
+        result1 = parse_WS();
+        while (result1 !== null) {
+          result0.push(result1);
           result1 = parse_WS();
-          while (result1 !== null) {
-            result0.push(result1);
-            result1 = parse_WS();
+        }
+        if (result0 !== null) {
+          if (input.substr(pos, 6) === "VALUES") {
+            result1 = "VALUES";
+            pos += 6;
+          } else {
+            result1 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"VALUES\"");
+            }
           }
-          if (result0 !== null) {
-            result1 = parse_TriplesNode();
-            if (result1 !== null) {
-              result2 = [];
-              result3 = parse_WS();
-              while (result3 !== null) {
-                result2.push(result3);
-                result3 = parse_WS();
+          if (result1 === null) {
+            if (input.substr(pos, 6) === "values") {
+              result1 = "values";
+              pos += 6;
+            } else {
+              result1 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"values\"");
               }
-              if (result2 !== null) {
-                result3 = parse_PropertyListPath();
-                if (result3 !== null) {
-                  result0 = [result0, result1, result2, result3];
-                } else {
-                  result0 = null;
-                  pos = pos1;
-                }
+            }
+          }
+          if (result1 !== null) {
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              result3 = parse_DataBlock();
+              if (result3 !== null) {
+                result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
                 pos = pos1;
@@ -7446,202 +7845,70 @@ SparqlParser.parser = (function(){
             result0 = null;
             pos = pos1;
           }
-          if (result0 !== null) {
-            result0 = (function(offset, tn, pairs) {
-                var triplesContext = tn.triplesContext;
-                var subject = tn.chainSubject;
-          
-                if(pairs.pairs) {
-                  for(var i=0; i< pairs.pairs.length; i++) {
-                      var pair = pairs.pairs[i];
-                      if(pair[1].length != null)
-          	      pair[1] = pair[1][0]
-          
-                      if(tn.token === "triplesnodecollection") {
-                          for(var j=0; j<subject.length; j++) {
-                              var subj = subject[j];
-                              if(subj.triplesContext != null) {
-                                  var triple = {subject: subj.chainSubject, predicate: pair[0], object: pair[1]}
-                                  triplesContext.concat(subj.triplesContext);
-                              } else {
-                                  var triple = {subject: subject[j], predicate: pair[0], object: pair[1]}
-                                  triplesContext.push(triple);
-                              }
-                          }
-                      } else {
-                          var triple = {subject: subject, predicate: pair[0], object: pair[1]}
-                          triplesContext.push(triple);
-                      }
-                  }
-                }
-          
-                var token = {};
-                token.token = "triplessamesubject";
-                token.triplesContext = triplesContext;
-                token.chainSubject = subject;
-          
-                return token;
-          
-              })(pos0, result0[1], result0[3]);
-          }
-          if (result0 === null) {
-            pos = pos0;
-          }
+        } else {
+          result0 = null;
+          pos = pos1;
         }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[72] TriplesSameSubjectPath");
+        if (result0 !== null) {
+          result0 = (function(offset, d) {
+              return {token: 'inlinedata',
+                      variables: d.variables,
+                      rows: d.rows};
+        })(pos0, result0[3]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[59b] InlineData");
         }
         return result0;
       }
       
-      function parse_PropertyListNotEmptyPath() {
-        var result0, result1, result2, result3, result4, result5, result6, result7, result8;
-        var pos0, pos1, pos2, pos3;
+      function parse_Filter() {
+        var result0, result1, result2, result3;
+        var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_VerbPath();
-        if (result0 === null) {
-          result0 = parse_Var();
+        result0 = [];
+        result1 = parse_WS();
+        while (result1 !== null) {
+          result0.push(result1);
+          result1 = parse_WS();
         }
         if (result0 !== null) {
-          result1 = [];
-          result2 = parse_WS();
-          while (result2 !== null) {
-            result1.push(result2);
-            result2 = parse_WS();
+          if (input.substr(pos, 6) === "FILTER") {
+            result1 = "FILTER";
+            pos += 6;
+          } else {
+            result1 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"FILTER\"");
+            }
+          }
+          if (result1 === null) {
+            if (input.substr(pos, 6) === "filter") {
+              result1 = "filter";
+              pos += 6;
+            } else {
+              result1 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"filter\"");
+              }
+            }
           }
           if (result1 !== null) {
-            result2 = parse_ObjectList();
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
             if (result2 !== null) {
-              result3 = [];
-              pos2 = pos;
-              result4 = [];
-              result5 = parse_WS();
-              while (result5 !== null) {
-                result4.push(result5);
-                result5 = parse_WS();
-              }
-              if (result4 !== null) {
-                if (input.charCodeAt(pos) === 59) {
-                  result5 = ";";
-                  pos++;
-                } else {
-                  result5 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\";\"");
-                  }
-                }
-                if (result5 !== null) {
-                  result6 = [];
-                  result7 = parse_WS();
-                  while (result7 !== null) {
-                    result6.push(result7);
-                    result7 = parse_WS();
-                  }
-                  if (result6 !== null) {
-                    pos3 = pos;
-                    result7 = parse_VerbPath();
-                    if (result7 === null) {
-                      result7 = parse_Var();
-                    }
-                    if (result7 !== null) {
-                      result8 = parse_ObjectList();
-                      if (result8 !== null) {
-                        result7 = [result7, result8];
-                      } else {
-                        result7 = null;
-                        pos = pos3;
-                      }
-                    } else {
-                      result7 = null;
-                      pos = pos3;
-                    }
-                    result7 = result7 !== null ? result7 : "";
-                    if (result7 !== null) {
-                      result4 = [result4, result5, result6, result7];
-                    } else {
-                      result4 = null;
-                      pos = pos2;
-                    }
-                  } else {
-                    result4 = null;
-                    pos = pos2;
-                  }
-                } else {
-                  result4 = null;
-                  pos = pos2;
-                }
-              } else {
-                result4 = null;
-                pos = pos2;
-              }
-              while (result4 !== null) {
-                result3.push(result4);
-                pos2 = pos;
-                result4 = [];
-                result5 = parse_WS();
-                while (result5 !== null) {
-                  result4.push(result5);
-                  result5 = parse_WS();
-                }
-                if (result4 !== null) {
-                  if (input.charCodeAt(pos) === 59) {
-                    result5 = ";";
-                    pos++;
-                  } else {
-                    result5 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\";\"");
-                    }
-                  }
-                  if (result5 !== null) {
-                    result6 = [];
-                    result7 = parse_WS();
-                    while (result7 !== null) {
-                      result6.push(result7);
-                      result7 = parse_WS();
-                    }
-                    if (result6 !== null) {
-                      pos3 = pos;
-                      result7 = parse_VerbPath();
-                      if (result7 === null) {
-                        result7 = parse_Var();
-                      }
-                      if (result7 !== null) {
-                        result8 = parse_ObjectList();
-                        if (result8 !== null) {
-                          result7 = [result7, result8];
-                        } else {
-                          result7 = null;
-                          pos = pos3;
-                        }
-                      } else {
-                        result7 = null;
-                        pos = pos3;
-                      }
-                      result7 = result7 !== null ? result7 : "";
-                      if (result7 !== null) {
-                        result4 = [result4, result5, result6, result7];
-                      } else {
-                        result4 = null;
-                        pos = pos2;
-                      }
-                    } else {
-                      result4 = null;
-                      pos = pos2;
-                    }
-                  } else {
-                    result4 = null;
-                    pos = pos2;
-                  }
-                } else {
-                  result4 = null;
-                  pos = pos2;
-                }
-              }
+              result3 = parse_Constraint();
               if (result3 !== null) {
                 result0 = [result0, result1, result2, result3];
               } else {
@@ -7661,255 +7928,503 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, v, ol, rest) {
-              token = {}
-              token.token = 'propertylist';
-              var triplesContext = [];
-              var pairs = [];
-              var test = [];
-        
-              for( var i=0; i<ol.length; i++) {
-        
-                 if(ol[i].triplesContext != null) {
-                     triplesContext = triplesContext.concat(ol[i].triplesContext);
-                     if(ol[i].token==='triplesnodecollection' && ol[i].chainSubject.length != null) {
-                         pairs.push([v, ol[i].chainSubject[0]]);
-                     } else {
-                         pairs.push([v, ol[i].chainSubject]);
-                     }
-        
-                  } else {
-                      pairs.push([v, ol[i]])
-                  }
-        
-              }
-        
-        
-              for(var i=0; i<rest.length; i++) {
-                  var tok = rest[i][3];
-                  var newVerb  = tok[0];
-                  var newObjsList = tok[1] || [];
-        
-                  for(var j=0; j<newObjsList.length; j++) {
-                   if(newObjsList[j].triplesContext != null) {
-                      triplesContext = triplesContext.concat(newObjsList[j].triplesContext);
-                     pairs.push([newVerb, newObjsList[j].chainSubject]);
-                    } else {
-                      pairs.push([newVerb, newObjsList[j]])
-                    }
-                  }
-              }
-        
-              token.pairs = pairs;
-              token.triplesContext = triplesContext;
-        
-              return token;
-        })(pos0, result0[0], result0[2], result0[3]);
+          result0 = (function(offset, c) {
+              return {token: 'filter',
+                      value: c}
+        })(pos0, result0[3]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[73] PropertyListNotEmptyPath");
+          matchFailed("[59] Filter");
         }
         return result0;
       }
       
-      function parse_PropertyListPath() {
+      function parse_Constraint() {
         var result0;
         
         reportFailures++;
-        result0 = parse_PropertyListNotEmpty();
-        result0 = result0 !== null ? result0 : "";
+        result0 = parse_BrackettedExpression();
+        if (result0 === null) {
+          result0 = parse_BuiltInCall();
+          if (result0 === null) {
+            result0 = parse_FunctionCall();
+          }
+        }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[74] PropertyListPath");
+          matchFailed("[60] Constraint");
         }
         return result0;
       }
       
-      function parse_VerbPath() {
-        var result0;
-        var pos0;
+      function parse_FunctionCall() {
+        var result0, result1;
+        var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
-        result0 = parse_PathAlternative();
+        pos1 = pos;
+        result0 = parse_IRIref();
         if (result0 !== null) {
-          result0 = (function(offset, p) {
-              var path = {};
-              path.token = 'path';
-              path.kind = 'element';
-              path.value = p;
-        
-              return p;
-          })(pos0, result0);
+          result1 = parse_ArgList();
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, i, args) {
+              var fcall = {};
+              fcall.token = "expression";
+              fcall.expressionType = 'irireforfunction'
+              fcall.iriref = i;
+              fcall.args = args.value;
+        
+              return fcall;
+        })(pos0, result0[0], result0[1]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[75]");
+          matchFailed("[61] FunctionCall");
         }
         return result0;
       }
       
-      function parse_PathAlternative() {
-        var result0, result1, result2, result3;
+      function parse_ArgList() {
+        var result0, result1, result2, result3, result4, result5;
         var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
-        pos1 = pos;
-        result0 = parse_PathSequence();
+        result0 = parse_NIL();
         if (result0 !== null) {
-          result1 = [];
-          pos2 = pos;
-          if (input.charCodeAt(pos) === 124) {
-            result2 = "|";
+          result0 = (function(offset) {
+              var args = {};
+              args.token = 'args';
+              args.value = [];
+              return args;
+        })(pos0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        if (result0 === null) {
+          pos0 = pos;
+          pos1 = pos;
+          if (input.charCodeAt(pos) === 40) {
+            result0 = "(";
             pos++;
           } else {
-            result2 = null;
+            result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"|\"");
-            }
-          }
-          if (result2 !== null) {
-            result3 = parse_PathSequence();
-            if (result3 !== null) {
-              result2 = [result2, result3];
-            } else {
-              result2 = null;
-              pos = pos2;
+              matchFailed("\"(\"");
             }
-          } else {
-            result2 = null;
-            pos = pos2;
           }
-          while (result2 !== null) {
-            result1.push(result2);
-            pos2 = pos;
-            if (input.charCodeAt(pos) === 124) {
-              result2 = "|";
-              pos++;
+          if (result0 !== null) {
+            if (input.substr(pos, 8) === "DISTINCT") {
+              result1 = "DISTINCT";
+              pos += 8;
             } else {
-              result2 = null;
+              result1 = null;
               if (reportFailures === 0) {
-                matchFailed("\"|\"");
+                matchFailed("\"DISTINCT\"");
               }
             }
-            if (result2 !== null) {
-              result3 = parse_PathSequence();
-              if (result3 !== null) {
-                result2 = [result2, result3];
+            if (result1 === null) {
+              if (input.substr(pos, 8) === "distinct") {
+                result1 = "distinct";
+                pos += 8;
               } else {
-                result2 = null;
-                pos = pos2;
+                result1 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"distinct\"");
+                }
+              }
+            }
+            result1 = result1 !== null ? result1 : "";
+            if (result1 !== null) {
+              result2 = parse_ConditionalOrExpression();
+              if (result2 !== null) {
+                result3 = [];
+                pos2 = pos;
+                if (input.charCodeAt(pos) === 44) {
+                  result4 = ",";
+                  pos++;
+                } else {
+                  result4 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\",\"");
+                  }
+                }
+                if (result4 !== null) {
+                  result5 = parse_ConditionalOrExpression();
+                  if (result5 !== null) {
+                    result4 = [result4, result5];
+                  } else {
+                    result4 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result4 = null;
+                  pos = pos2;
+                }
+                while (result4 !== null) {
+                  result3.push(result4);
+                  pos2 = pos;
+                  if (input.charCodeAt(pos) === 44) {
+                    result4 = ",";
+                    pos++;
+                  } else {
+                    result4 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\",\"");
+                    }
+                  }
+                  if (result4 !== null) {
+                    result5 = parse_ConditionalOrExpression();
+                    if (result5 !== null) {
+                      result4 = [result4, result5];
+                    } else {
+                      result4 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result4 = null;
+                    pos = pos2;
+                  }
+                }
+                if (result3 !== null) {
+                  if (input.charCodeAt(pos) === 41) {
+                    result4 = ")";
+                    pos++;
+                  } else {
+                    result4 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\")\"");
+                    }
+                  }
+                  if (result4 !== null) {
+                    result0 = [result0, result1, result2, result3, result4];
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
               }
             } else {
-              result2 = null;
-              pos = pos2;
+              result0 = null;
+              pos = pos1;
             }
-          }
-          if (result1 !== null) {
-            result0 = [result0, result1];
           } else {
             result0 = null;
             pos = pos1;
           }
-        } else {
-          result0 = null;
-          pos = pos1;
-        }
-        if (result0 !== null) {
-          result0 = (function(offset, first, rest) {
-        	if(rest == null || rest.length === 0) {
-        	    return first;
-        	} else {
-        	    var acum = [];
-        	    for(var i=0; i<rest.length; i++)
-        		acum.push(rest[1]);
-        
-        	    var path = {};
-        	    path.token = 'path';
-        	    path.kind = 'alternative';
-        	    path.value = acum;
-        
-        	    return path;
-        	}
-            })(pos0, result0[0], result0[1]);
-        }
-        if (result0 === null) {
-          pos = pos0;
+          if (result0 !== null) {
+            result0 = (function(offset, d, e, es) {
+                var cleanEx = [];
+          
+                for(var i=0; i<es.length; i++) {
+                    cleanEx.push(es[i][1]);
+                }
+                var args = {};
+                args.token = 'args';
+                args.value = [e].concat(cleanEx);
+          
+                if(d!=null && d.toUpperCase()==="DISTINCT") {
+                    args.distinct = true;
+                } else {
+                    args.distinct = false;
+                }
+          
+                return args;
+          })(pos0, result0[1], result0[2], result0[3]);
+          }
+          if (result0 === null) {
+            pos = pos0;
+          }
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[78] PathAlternative");
+          matchFailed("[62] ArgList");
         }
         return result0;
       }
       
-      function parse_PathSequence() {
-        var result0, result1, result2, result3;
+      function parse_ExpressionList() {
+        var result0, result1, result2, result3, result4, result5, result6, result7;
         var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
-        pos1 = pos;
-        result0 = parse_PathEltOrInverse();
+        result0 = parse_NIL();
         if (result0 !== null) {
-          result1 = [];
-          pos2 = pos;
-          if (input.charCodeAt(pos) === 47) {
-            result2 = "/";
+          result0 = (function(offset) {
+              var args = {};
+              args.token = 'args';
+              args.value = [];
+              return args;
+        })(pos0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        if (result0 === null) {
+          pos0 = pos;
+          pos1 = pos;
+          if (input.charCodeAt(pos) === 40) {
+            result0 = "(";
             pos++;
           } else {
-            result2 = null;
+            result0 = null;
             if (reportFailures === 0) {
-              matchFailed("\"/\"");
+              matchFailed("\"(\"");
             }
           }
-          if (result2 !== null) {
-            result3 = parse_PathEltOrInverse();
-            if (result3 !== null) {
-              result2 = [result2, result3];
-            } else {
-              result2 = null;
-              pos = pos2;
+          if (result0 !== null) {
+            result1 = [];
+            result2 = parse_WS();
+            while (result2 !== null) {
+              result1.push(result2);
+              result2 = parse_WS();
+            }
+            if (result1 !== null) {
+              result2 = parse_ConditionalOrExpression();
+              if (result2 !== null) {
+                result3 = [];
+                pos2 = pos;
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  if (input.charCodeAt(pos) === 44) {
+                    result5 = ",";
+                    pos++;
+                  } else {
+                    result5 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\",\"");
+                    }
+                  }
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
+                    }
+                    if (result6 !== null) {
+                      result7 = parse_ConditionalOrExpression();
+                      if (result7 !== null) {
+                        result4 = [result4, result5, result6, result7];
+                      } else {
+                        result4 = null;
+                        pos = pos2;
+                      }
+                    } else {
+                      result4 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result4 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result4 = null;
+                  pos = pos2;
+                }
+                while (result4 !== null) {
+                  result3.push(result4);
+                  pos2 = pos;
+                  result4 = [];
+                  result5 = parse_WS();
+                  while (result5 !== null) {
+                    result4.push(result5);
+                    result5 = parse_WS();
+                  }
+                  if (result4 !== null) {
+                    if (input.charCodeAt(pos) === 44) {
+                      result5 = ",";
+                      pos++;
+                    } else {
+                      result5 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\",\"");
+                      }
+                    }
+                    if (result5 !== null) {
+                      result6 = [];
+                      result7 = parse_WS();
+                      while (result7 !== null) {
+                        result6.push(result7);
+                        result7 = parse_WS();
+                      }
+                      if (result6 !== null) {
+                        result7 = parse_ConditionalOrExpression();
+                        if (result7 !== null) {
+                          result4 = [result4, result5, result6, result7];
+                        } else {
+                          result4 = null;
+                          pos = pos2;
+                        }
+                      } else {
+                        result4 = null;
+                        pos = pos2;
+                      }
+                    } else {
+                      result4 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result4 = null;
+                    pos = pos2;
+                  }
+                }
+                if (result3 !== null) {
+                  result4 = [];
+                  result5 = parse_WS();
+                  while (result5 !== null) {
+                    result4.push(result5);
+                    result5 = parse_WS();
+                  }
+                  if (result4 !== null) {
+                    if (input.charCodeAt(pos) === 41) {
+                      result5 = ")";
+                      pos++;
+                    } else {
+                      result5 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\")\"");
+                      }
+                    }
+                    if (result5 !== null) {
+                      result0 = [result0, result1, result2, result3, result4, result5];
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
             }
           } else {
-            result2 = null;
-            pos = pos2;
+            result0 = null;
+            pos = pos1;
+          }
+          if (result0 !== null) {
+            result0 = (function(offset, e, es) {
+                var cleanEx = [];
+          
+                for(var i=0; i<es.length; i++) {
+                    cleanEx.push(es[i][3]);
+                }
+                var args = {};
+                args.token = 'args';
+                args.value = [e].concat(cleanEx);
+          
+                return args;
+          })(pos0, result0[2], result0[3]);
+          }
+          if (result0 === null) {
+            pos = pos0;
+          }
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[63] ExpressionList");
+        }
+        return result0;
+      }
+      
+      function parse_ConstructTemplate() {
+        var result0, result1, result2, result3, result4;
+        var pos0, pos1;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        if (input.charCodeAt(pos) === 123) {
+          result0 = "{";
+          pos++;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"{\"");
           }
+        }
+        if (result0 !== null) {
+          result1 = [];
+          result2 = parse_WS();
           while (result2 !== null) {
             result1.push(result2);
-            pos2 = pos;
-            if (input.charCodeAt(pos) === 47) {
-              result2 = "/";
-              pos++;
-            } else {
-              result2 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"/\"");
-              }
-            }
+            result2 = parse_WS();
+          }
+          if (result1 !== null) {
+            result2 = parse_ConstructTriples();
+            result2 = result2 !== null ? result2 : "";
             if (result2 !== null) {
-              result3 = parse_PathEltOrInverse();
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
+              }
               if (result3 !== null) {
-                result2 = [result2, result3];
+                if (input.charCodeAt(pos) === 125) {
+                  result4 = "}";
+                  pos++;
+                } else {
+                  result4 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"}\"");
+                  }
+                }
+                if (result4 !== null) {
+                  result0 = [result0, result1, result2, result3, result4];
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
               } else {
-                result2 = null;
-                pos = pos2;
+                result0 = null;
+                pos = pos1;
               }
             } else {
-              result2 = null;
-              pos = pos2;
+              result0 = null;
+              pos = pos1;
             }
-          }
-          if (result1 !== null) {
-            result0 = [result0, result1];
           } else {
             result0 = null;
             pos = pos1;
@@ -7919,50 +8434,79 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, first, rest) {
-        	if(rest == null || rest.length === 0) {
-        	    return first;
-        	} else {
-        	    var acum = [first];
-        
-        	    for(var i=0; i<rest.length; i++) 
-        		acum.push(rest[i][1]);
-        
-        	    var path = {};
-        	    path.token = 'path';
-        	    path.kind = 'sequence';
-        	
-        	    path.value = acum;
-        		
-        	    return path;
-        	}
-            })(pos0, result0[0], result0[1]);
+          result0 = (function(offset, ts) {
+              return ts;
+        })(pos0, result0[2]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[79] PathSequence");
+          matchFailed("[64] ConstructTemplate");
         }
         return result0;
       }
       
-      function parse_PathElt() {
-        var result0, result1;
-        var pos0, pos1;
+      function parse_ConstructTriples() {
+        var result0, result1, result2, result3, result4;
+        var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_PathPrimary();
+        result0 = parse_TriplesSameSubject();
         if (result0 !== null) {
-          result1 = parse_PathMod();
-          result1 = result1 !== null ? result1 : "";
-          if (result1 !== null) {
-            result0 = [result0, result1];
-          } else {
-            result0 = null;
+          pos2 = pos;
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
+          }
+          if (result1 !== null) {
+            if (input.charCodeAt(pos) === 46) {
+              result2 = ".";
+              pos++;
+            } else {
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\".\"");
+              }
+            }
+            if (result2 !== null) {
+              result3 = [];
+              result4 = parse_WS();
+              while (result4 !== null) {
+                result3.push(result4);
+                result4 = parse_WS();
+              }
+              if (result3 !== null) {
+                result4 = parse_ConstructTriples();
+                result4 = result4 !== null ? result4 : "";
+                if (result4 !== null) {
+                  result1 = [result1, result2, result3, result4];
+                } else {
+                  result1 = null;
+                  pos = pos2;
+                }
+              } else {
+                result1 = null;
+                pos = pos2;
+              }
+            } else {
+              result1 = null;
+              pos = pos2;
+            }
+          } else {
+            result1 = null;
+            pos = pos2;
+          }
+          result1 = result1 !== null ? result1 : "";
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
             pos = pos1;
           }
         } else {
@@ -7970,54 +8514,135 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, p, mod) {
-        	if(p.token && p.token != 'path' && mod == '') {
-        	    return p;
-        	} else if(p.token && p.token != path && mod != '') {
-        	    var path = {};
-        	    path.token = 'path';
-        	    path.kind = 'element';
-        	    path.value = p;
-        	    path.modifier = mod;
-        	    return path;
-        	} else {
-        	    p.modifier = mod;
-        	    return p;
-        	}
-            })(pos0, result0[0], result0[1]);
+          result0 = (function(offset, b, bs) {
+             var triples = b.triplesContext;
+             var toTest = null;
+              if(typeof(bs) === 'object') {
+                    if(bs.length != null) {
+                          if(bs[3].triplesContext!=null) {
+                             triples = triples.concat(bs[3].triplesContext);
+                      }
+                   }
+              }
+        
+             return {token:'triplestemplate',
+                     triplesContext: triples}
+        })(pos0, result0[0], result0[1]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[88] PathElt");
+          matchFailed("[65] ConstructTriples");
         }
         return result0;
       }
       
-      function parse_PathEltOrInverse() {
-        var result0, result1;
+      function parse_TriplesSameSubject() {
+        var result0, result1, result2, result3;
         var pos0, pos1;
         
         reportFailures++;
-        result0 = parse_PathElt();
+        pos0 = pos;
+        pos1 = pos;
+        result0 = [];
+        result1 = parse_WS();
+        while (result1 !== null) {
+          result0.push(result1);
+          result1 = parse_WS();
+        }
+        if (result0 !== null) {
+          result1 = parse_VarOrTerm();
+          if (result1 !== null) {
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              result3 = parse_PropertyListNotEmpty();
+              if (result3 !== null) {
+                result0 = [result0, result1, result2, result3];
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, s, pairs) {
+              var triplesContext = pairs.triplesContext;
+              var subject = s;
+              if(pairs.pairs) {
+                for(var i=0; i< pairs.pairs.length; i++) {
+                    var pair = pairs.pairs[i];
+                    var triple = null;
+        	    if(pair[1].length != null)
+        	      pair[1] = pair[1][0]
+                    if(subject.token && subject.token==='triplesnodecollection') {
+                        triple = {subject: subject.chainSubject[0], predicate: pair[0], object: pair[1]}
+                        triplesContext.push(triple);
+                        triplesContext = triplesContext.concat(subject.triplesContext);
+                    } else {
+                        triple = {subject: subject, predicate: pair[0], object: pair[1]}
+                        triplesContext.push(triple);
+                    }
+                }
+              }
+        
+              var token = {};
+              token.token = "triplessamesubject";
+              token.triplesContext = triplesContext;
+              token.chainSubject = subject;
+        
+              return token;
+          })(pos0, result0[1], result0[3]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
         if (result0 === null) {
           pos0 = pos;
           pos1 = pos;
-          if (input.charCodeAt(pos) === 94) {
-            result0 = "^";
-            pos++;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"^\"");
-            }
+          result0 = [];
+          result1 = parse_WS();
+          while (result1 !== null) {
+            result0.push(result1);
+            result1 = parse_WS();
           }
           if (result0 !== null) {
-            result1 = parse_PathElt();
+            result1 = parse_TriplesNode();
             if (result1 !== null) {
-              result0 = [result0, result1];
+              result2 = [];
+              result3 = parse_WS();
+              while (result3 !== null) {
+                result2.push(result3);
+                result3 = parse_WS();
+              }
+              if (result2 !== null) {
+                result3 = parse_PropertyList();
+                if (result3 !== null) {
+                  result0 = [result0, result1, result2, result3];
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
             } else {
               result0 = null;
               pos = pos1;
@@ -8027,14 +8652,41 @@ SparqlParser.parser = (function(){
             pos = pos1;
           }
           if (result0 !== null) {
-            result0 = (function(offset, elt) {
-          	var path = {};
-          	path.token = 'path';
-          	path.kind = 'inversePath';
-          	path.value = elt;
+            result0 = (function(offset, tn, pairs) {
+                var triplesContext = tn.triplesContext;
+                var subject = tn.chainSubject;
           
-          	return path;
-              })(pos0, result0[1]);
+                if(pairs.pairs) {
+                  for(var i=0; i< pairs.pairs.length; i++) {
+                      var pair = pairs.pairs[i];
+                      if(pair[1].length != null)
+          	      pair[1] = pair[1][0]
+          
+                      if(tn.token === "triplesnodecollection") {
+                          for(var j=0; j<subject.length; j++) {
+                              var subj = subject[j];
+                              if(subj.triplesContext != null) {
+                                  var triple = {subject: subj.chainSubject, predicate: pair[0], object: pair[1]}
+                                  triplesContext.concat(subj.triplesContext);
+                              } else {
+                                  var triple = {subject: subject[j], predicate: pair[0], object: pair[1]}
+                                  triplesContext.push(triple);
+                              }
+                          }
+                      } else {
+                          var triple = {subject: subject, predicate: pair[0], object: pair[1]}
+                          triplesContext.push(triple);
+                      }
+                  }
+                }
+          
+                var token = {};
+                token.token = "triplessamesubject";
+                token.triplesContext = triplesContext;
+                token.chainSubject = subject;
+          
+                return token;
+            })(pos0, result0[1], result0[3]);
           }
           if (result0 === null) {
             pos = pos0;
@@ -8042,332 +8694,297 @@ SparqlParser.parser = (function(){
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[81] PathEltOrInverse");
+          matchFailed("[66] TriplesSameSubject");
         }
         return result0;
       }
       
-      function parse_PathMod() {
-        var result0, result1, result2, result3, result4;
+      function parse_PropertyListNotEmpty() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9;
         var pos0, pos1, pos2, pos3;
         
         reportFailures++;
-        if (input.charCodeAt(pos) === 42) {
-          result0 = "*";
-          pos++;
-        } else {
-          result0 = null;
-          if (reportFailures === 0) {
-            matchFailed("\"*\"");
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_Verb();
+        if (result0 !== null) {
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
           }
-        }
-        if (result0 === null) {
-          if (input.charCodeAt(pos) === 63) {
-            result0 = "?";
-            pos++;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"?\"");
-            }
-          }
-          if (result0 === null) {
-            if (input.charCodeAt(pos) === 43) {
-              result0 = "+";
-              pos++;
-            } else {
-              result0 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"+\"");
+          if (result1 !== null) {
+            result2 = parse_ObjectList();
+            if (result2 !== null) {
+              result3 = [];
+              pos2 = pos;
+              result4 = [];
+              result5 = parse_WS();
+              while (result5 !== null) {
+                result4.push(result5);
+                result5 = parse_WS();
               }
-            }
-            if (result0 === null) {
-              pos0 = pos;
-              if (input.charCodeAt(pos) === 123) {
-                result0 = "{";
-                pos++;
-              } else {
-                result0 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\"{\"");
+              if (result4 !== null) {
+                if (input.charCodeAt(pos) === 59) {
+                  result5 = ";";
+                  pos++;
+                } else {
+                  result5 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\";\"");
+                  }
                 }
-              }
-              if (result0 !== null) {
-                pos1 = pos;
-                result1 = parse_INTEGER();
-                if (result1 !== null) {
-                  pos2 = pos;
-                  if (input.charCodeAt(pos) === 44) {
-                    result2 = ",";
-                    pos++;
-                  } else {
-                    result2 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\",\"");
-                    }
+                if (result5 !== null) {
+                  result6 = [];
+                  result7 = parse_WS();
+                  while (result7 !== null) {
+                    result6.push(result7);
+                    result7 = parse_WS();
                   }
-                  if (result2 !== null) {
-                    if (input.charCodeAt(pos) === 125) {
-                      result3 = "}";
-                      pos++;
-                    } else {
-                      result3 = null;
-                      if (reportFailures === 0) {
-                        matchFailed("\"}\"");
+                  if (result6 !== null) {
+                    pos3 = pos;
+                    result7 = parse_Verb();
+                    if (result7 !== null) {
+                      result8 = [];
+                      result9 = parse_WS();
+                      while (result9 !== null) {
+                        result8.push(result9);
+                        result9 = parse_WS();
                       }
-                    }
-                    if (result3 === null) {
-                      pos3 = pos;
-                      result3 = parse_INTEGER();
-                      if (result3 !== null) {
-                        if (input.charCodeAt(pos) === 125) {
-                          result4 = "}";
-                          pos++;
-                        } else {
-                          result4 = null;
-                          if (reportFailures === 0) {
-                            matchFailed("\"}\"");
-                          }
-                        }
-                        if (result4 !== null) {
-                          result3 = [result3, result4];
+                      if (result8 !== null) {
+                        result9 = parse_ObjectList();
+                        if (result9 !== null) {
+                          result7 = [result7, result8, result9];
                         } else {
-                          result3 = null;
+                          result7 = null;
                           pos = pos3;
                         }
                       } else {
-                        result3 = null;
+                        result7 = null;
                         pos = pos3;
                       }
+                    } else {
+                      result7 = null;
+                      pos = pos3;
                     }
-                    if (result3 !== null) {
-                      result2 = [result2, result3];
+                    result7 = result7 !== null ? result7 : "";
+                    if (result7 !== null) {
+                      result4 = [result4, result5, result6, result7];
                     } else {
-                      result2 = null;
+                      result4 = null;
                       pos = pos2;
                     }
                   } else {
-                    result2 = null;
+                    result4 = null;
                     pos = pos2;
                   }
-                  if (result2 === null) {
-                    if (input.charCodeAt(pos) === 125) {
-                      result2 = "}";
-                      pos++;
-                    } else {
-                      result2 = null;
-                      if (reportFailures === 0) {
-                        matchFailed("\"}\"");
-                      }
-                    }
-                  }
-                  if (result2 !== null) {
-                    result1 = [result1, result2];
-                  } else {
-                    result1 = null;
-                    pos = pos1;
-                  }
                 } else {
-                  result1 = null;
-                  pos = pos1;
+                  result4 = null;
+                  pos = pos2;
                 }
-                if (result1 === null) {
-                  pos1 = pos;
-                  if (input.charCodeAt(pos) === 44) {
-                    result1 = ",";
+              } else {
+                result4 = null;
+                pos = pos2;
+              }
+              while (result4 !== null) {
+                result3.push(result4);
+                pos2 = pos;
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  if (input.charCodeAt(pos) === 59) {
+                    result5 = ";";
                     pos++;
                   } else {
-                    result1 = null;
+                    result5 = null;
                     if (reportFailures === 0) {
-                      matchFailed("\",\"");
+                      matchFailed("\";\"");
                     }
                   }
-                  if (result1 !== null) {
-                    result2 = parse_INTEGER();
-                    if (result2 !== null) {
-                      if (input.charCodeAt(pos) === 125) {
-                        result3 = "}";
-                        pos++;
-                      } else {
-                        result3 = null;
-                        if (reportFailures === 0) {
-                          matchFailed("\"}\"");
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
+                    }
+                    if (result6 !== null) {
+                      pos3 = pos;
+                      result7 = parse_Verb();
+                      if (result7 !== null) {
+                        result8 = [];
+                        result9 = parse_WS();
+                        while (result9 !== null) {
+                          result8.push(result9);
+                          result9 = parse_WS();
+                        }
+                        if (result8 !== null) {
+                          result9 = parse_ObjectList();
+                          if (result9 !== null) {
+                            result7 = [result7, result8, result9];
+                          } else {
+                            result7 = null;
+                            pos = pos3;
+                          }
+                        } else {
+                          result7 = null;
+                          pos = pos3;
                         }
+                      } else {
+                        result7 = null;
+                        pos = pos3;
                       }
-                      if (result3 !== null) {
-                        result1 = [result1, result2, result3];
+                      result7 = result7 !== null ? result7 : "";
+                      if (result7 !== null) {
+                        result4 = [result4, result5, result6, result7];
                       } else {
-                        result1 = null;
-                        pos = pos1;
+                        result4 = null;
+                        pos = pos2;
                       }
                     } else {
-                      result1 = null;
-                      pos = pos1;
+                      result4 = null;
+                      pos = pos2;
                     }
                   } else {
-                    result1 = null;
-                    pos = pos1;
+                    result4 = null;
+                    pos = pos2;
                   }
-                }
-                if (result1 !== null) {
-                  result0 = [result0, result1];
                 } else {
-                  result0 = null;
-                  pos = pos0;
+                  result4 = null;
+                  pos = pos2;
                 }
-              } else {
-                result0 = null;
-                pos = pos0;
-              }
-            }
-          }
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[82] PathMod");
-        }
-        return result0;
-      }
-      
-      function parse_PathPrimary() {
-        var result0, result1, result2;
-        var pos0, pos1;
-        
-        reportFailures++;
-        result0 = parse_IRIref();
-        if (result0 === null) {
-          pos0 = pos;
-          if (input.charCodeAt(pos) === 97) {
-            result0 = "a";
-            pos++;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"a\"");
-            }
-          }
-          if (result0 !== null) {
-            result0 = (function(offset) {
-          	return{token: 'uri', prefix:null, suffix:null, value:"http://www.w3.org/1999/02/22-rdf-syntax-ns#type"}
-              })(pos0);
-          }
-          if (result0 === null) {
-            pos = pos0;
-          }
-          if (result0 === null) {
-            pos0 = pos;
-            if (input.charCodeAt(pos) === 33) {
-              result0 = "!";
-              pos++;
-            } else {
-              result0 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"!\"");
               }
-            }
-            if (result0 !== null) {
-              result1 = parse_PathNegatedPropertySet();
-              if (result1 !== null) {
-                result0 = [result0, result1];
+              if (result3 !== null) {
+                result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
-                pos = pos0;
+                pos = pos1;
               }
             } else {
               result0 = null;
-              pos = pos0;
+              pos = pos1;
             }
-            if (result0 === null) {
-              pos0 = pos;
-              pos1 = pos;
-              if (input.charCodeAt(pos) === 40) {
-                result0 = "(";
-                pos++;
-              } else {
-                result0 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\"(\"");
-                }
-              }
-              if (result0 !== null) {
-                result1 = parse_PathAlternative();
-                if (result1 !== null) {
-                  if (input.charCodeAt(pos) === 41) {
-                    result2 = ")";
-                    pos++;
-                  } else {
-                    result2 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\")\"");
-                    }
-                  }
-                  if (result2 !== null) {
-                    result0 = [result0, result1, result2];
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, v, ol, rest) {
+              var token = {}
+              token.token = 'propertylist';
+              var triplesContext = [];
+              var pairs = [];
+              var test = [];
+        
+              for( var i=0; i<ol.length; i++) {
+        
+                 if(ol[i].triplesContext != null) {
+                     triplesContext = triplesContext.concat(ol[i].triplesContext);
+                     if(ol[i].token==='triplesnodecollection' && ol[i].chainSubject.length != null) {
+                         pairs.push([v, ol[i].chainSubject[0]]);
+                     } else {
+                         pairs.push([v, ol[i].chainSubject]);
+                     }
+        
                   } else {
-                    result0 = null;
-                    pos = pos1;
+                      pairs.push([v, ol[i]])
                   }
-                } else {
-                  result0 = null;
-                  pos = pos1;
-                }
-              } else {
-                result0 = null;
-                pos = pos1;
-              }
-              if (result0 !== null) {
-                result0 = (function(offset, p) {
-              	return p;
-                  })(pos0, result0[1]);
+        
               }
-              if (result0 === null) {
-                pos = pos0;
+        
+        
+              for(var i=0; i<rest.length; i++) {
+                  var tok = rest[i][3];
+                  var newVerb  = tok[0];
+                  var newObjsList = tok[2] || [];
+        
+                  for(var j=0; j<newObjsList.length; j++) {
+                   if(newObjsList[j].triplesContext != null) {
+                      triplesContext = triplesContext.concat(newObjsList[j].triplesContext);
+                     pairs.push([newVerb, newObjsList[j].chainSubject]);
+                    } else {
+                      pairs.push([newVerb, newObjsList[j]])
+                    }
+                  }
               }
-            }
-          }
+        
+              token.pairs = pairs;
+              token.triplesContext = triplesContext;
+        
+              return token;
+        
+        })(pos0, result0[0], result0[2], result0[3]);
+        }
+        if (result0 === null) {
+          pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[83] PathPrimary");
+          matchFailed("[67] PropertyListNotEmpty");
         }
         return result0;
       }
       
-      function parse_PathNegatedPropertySet() {
-        var result0, result1, result2, result3, result4;
+      function parse_PropertyList() {
+        var result0;
+        
+        reportFailures++;
+        result0 = parse_PropertyListNotEmpty();
+        result0 = result0 !== null ? result0 : "";
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[68] PropertyList");
+        }
+        return result0;
+      }
+      
+      function parse_ObjectList() {
+        var result0, result1, result2, result3, result4, result5;
         var pos0, pos1, pos2;
         
-        result0 = parse_PathOneInPropertySet();
-        if (result0 === null) {
-          pos0 = pos;
-          if (input.charCodeAt(pos) === 40) {
-            result0 = "(";
-            pos++;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"(\"");
-            }
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_GraphNode();
+        if (result0 !== null) {
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
           }
-          if (result0 !== null) {
-            pos1 = pos;
-            result1 = parse_PathOneInPropertySet();
-            if (result1 !== null) {
-              result2 = [];
-              pos2 = pos;
-              if (input.charCodeAt(pos) === 124) {
-                result3 = "|";
-                pos++;
-              } else {
-                result3 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\"|\"");
-                }
+          if (result1 !== null) {
+            result2 = [];
+            pos2 = pos;
+            if (input.charCodeAt(pos) === 44) {
+              result3 = ",";
+              pos++;
+            } else {
+              result3 = null;
+              if (reportFailures === 0) {
+                matchFailed("\",\"");
               }
-              if (result3 !== null) {
-                result4 = parse_PathOneInPropertySet();
-                if (result4 !== null) {
-                  result3 = [result3, result4];
+            }
+            if (result3 !== null) {
+              result4 = [];
+              result5 = parse_WS();
+              while (result5 !== null) {
+                result4.push(result5);
+                result5 = parse_WS();
+              }
+              if (result4 !== null) {
+                result5 = parse_GraphNode();
+                if (result5 !== null) {
+                  result3 = [result3, result4, result5];
                 } else {
                   result3 = null;
                   pos = pos2;
@@ -8376,22 +8993,33 @@ SparqlParser.parser = (function(){
                 result3 = null;
                 pos = pos2;
               }
-              while (result3 !== null) {
-                result2.push(result3);
-                pos2 = pos;
-                if (input.charCodeAt(pos) === 124) {
-                  result3 = "|";
-                  pos++;
-                } else {
-                  result3 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"|\"");
-                  }
+            } else {
+              result3 = null;
+              pos = pos2;
+            }
+            while (result3 !== null) {
+              result2.push(result3);
+              pos2 = pos;
+              if (input.charCodeAt(pos) === 44) {
+                result3 = ",";
+                pos++;
+              } else {
+                result3 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\",\"");
                 }
-                if (result3 !== null) {
-                  result4 = parse_PathOneInPropertySet();
-                  if (result4 !== null) {
-                    result3 = [result3, result4];
+              }
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  result5 = parse_GraphNode();
+                  if (result5 !== null) {
+                    result3 = [result3, result4, result5];
                   } else {
                     result3 = null;
                     pos = pos2;
@@ -8400,186 +9028,88 @@ SparqlParser.parser = (function(){
                   result3 = null;
                   pos = pos2;
                 }
-              }
-              if (result2 !== null) {
-                result1 = [result1, result2];
               } else {
-                result1 = null;
-                pos = pos1;
+                result3 = null;
+                pos = pos2;
               }
-            } else {
-              result1 = null;
-              pos = pos1;
             }
-            result1 = result1 !== null ? result1 : "";
-            if (result1 !== null) {
-              if (input.charCodeAt(pos) === 41) {
-                result2 = ")";
-                pos++;
-              } else {
-                result2 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\")\"");
-                }
-              }
-              if (result2 !== null) {
-                result0 = [result0, result1, result2];
-              } else {
-                result0 = null;
-                pos = pos0;
-              }
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
             } else {
               result0 = null;
-              pos = pos0;
+              pos = pos1;
             }
           } else {
             result0 = null;
-            pos = pos0;
+            pos = pos1;
           }
+        } else {
+          result0 = null;
+          pos = pos1;
         }
-        return result0;
-      }
-      
-      function parse_PathOneInPropertySet() {
-        var result0, result1;
-        var pos0;
+        if (result0 !== null) {
+          result0 = (function(offset, obj, objs) {
         
-        reportFailures++;
-        result0 = parse_IRIref();
-        if (result0 === null) {
-          if (input.charCodeAt(pos) === 97) {
-            result0 = "a";
-            pos++;
-          } else {
-            result0 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"a\"");
-            }
-          }
-          if (result0 === null) {
-            pos0 = pos;
-            if (input.charCodeAt(pos) === 94) {
-              result0 = "^";
-              pos++;
-            } else {
-              result0 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"^\"");
-              }
-            }
-            if (result0 !== null) {
-              result1 = parse_IRIref();
-              if (result1 === null) {
-                if (input.charCodeAt(pos) === 97) {
-                  result1 = "a";
-                  pos++;
-                } else {
-                  result1 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"a\"");
-                  }
+                var toReturn = [];
+        
+                toReturn.push(obj);
+        
+                for(var i=0; i<objs.length; i++) {
+                    for(var j=0; j<objs[i].length; j++) {
+                        if(typeof(objs[i][j])=="object" && objs[i][j].token != null) {
+                            toReturn.push(objs[i][j]);
+                        }
+                    }
                 }
-              }
-              if (result1 !== null) {
-                result0 = [result0, result1];
-              } else {
-                result0 = null;
-                pos = pos0;
-              }
-            } else {
-              result0 = null;
-              pos = pos0;
-            }
-          }
+        
+                return toReturn;
+            })(pos0, result0[0], result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[85] PathOneInPropertySet");
+          matchFailed("[69] ObjectList");
         }
         return result0;
       }
       
-      function parse_TriplesNode() {
+      function parse_Verb() {
         var result0;
         var pos0;
         
         reportFailures++;
-        pos0 = pos;
-        result0 = parse_Collection();
-        if (result0 !== null) {
-          result0 = (function(offset, c) {
-              var triplesContext = [];
-              var chainSubject = [];
-        
-              var triple = null;
-        
-              // catch NIL
-              /*
-              if(c.length == 1 && c[0].token && c[0].token === 'nil') {
-                  GlobalBlankNodeCounter++;
-                  return  {token: "triplesnodecollection", 
-                           triplesContext:[{subject: {token:'blank', value:("_:"+GlobalBlankNodeCounter)},
-                                            predicate:{token:'uri', prefix:null, suffix:null, value:'http://www.w3.org/1999/02/22-rdf-syntax-ns#rest'},
-                                            object:  {token:'blank', value:("_:"+(GlobalBlankNodeCounter+1))}}], 
-                           chainSubject:{token:'blank', value:("_:"+GlobalBlankNodeCounter)}};
-        
-              }
-              */
-        
-              // other cases
-              for(var i=0; i<c.length; i++) {
-                  GlobalBlankNodeCounter++;
-                  //_:b0  rdf:first  1 ;
-                  //rdf:rest   _:b1 .
-                  var nextObject = null;
-                  if(c[i].chainSubject == null && c[i].triplesContext == null) {
-                      nextObject = c[i];
-                  } else {
-                      nextObject = c[i].chainSubject;
-                      triplesContext = triplesContext.concat(nextSubject.triplesContext);
-                  }
-                  var currentSubject = null;
-                  triple = {subject: {token:'blank', value:("_:"+GlobalBlankNodeCounter)},
-                            predicate:{token:'uri', prefix:null, suffix:null, value:'http://www.w3.org/1999/02/22-rdf-syntax-ns#first'},
-                            object:nextObject };
-        
-                  if(i==0) {
-                      chainSubject.push(triple.subject);
-                  }
-        
-                  triplesContext.push(triple);
-        
-                  if(i===(c.length-1)) {
-                      triple = {subject: {token:'blank', value:("_:"+GlobalBlankNodeCounter)},
-                                predicate:{token:'uri', prefix:null, suffix:null, value:'http://www.w3.org/1999/02/22-rdf-syntax-ns#rest'},
-                                object:   {token:'uri', prefix:null, suffix:null, value:'http://www.w3.org/1999/02/22-rdf-syntax-ns#nil'}};
-                  } else {
-                      triple = {subject: {token:'blank', value:("_:"+GlobalBlankNodeCounter)},
-                                predicate:{token:'uri', prefix:null, suffix:null, value:'http://www.w3.org/1999/02/22-rdf-syntax-ns#rest'},
-                                object:  {token:'blank', value:("_:"+(GlobalBlankNodeCounter+1))} };
-                  }
-        
-                  triplesContext.push(triple);
-              }
-        
-              return {token:"triplesnodecollection", triplesContext:triplesContext, chainSubject:chainSubject};
-        })(pos0, result0);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
+        result0 = parse_VarOrIRIref();
         if (result0 === null) {
-          result0 = parse_BlankNodePropertyList();
+          pos0 = pos;
+          if (input.charCodeAt(pos) === 97) {
+            result0 = "a";
+            pos++;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"a\"");
+            }
+          }
+          if (result0 !== null) {
+            result0 = (function(offset) {
+                return{token: 'uri', prefix:null, suffix:null, value:"http://www.w3.org/1999/02/22-rdf-syntax-ns#type"}
+            })(pos0);
+          }
+          if (result0 === null) {
+            pos = pos0;
+          }
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[87] TriplesNode");
+          matchFailed("[71] Verb");
         }
         return result0;
       }
       
-      function parse_BlankNodePropertyList() {
-        var result0, result1, result2, result3, result4, result5, result6, result7;
+      function parse_TriplesSameSubjectPath() {
+        var result0, result1, result2, result3;
         var pos0, pos1;
         
         reportFailures++;
@@ -8592,15 +9122,7 @@ SparqlParser.parser = (function(){
           result1 = parse_WS();
         }
         if (result0 !== null) {
-          if (input.charCodeAt(pos) === 91) {
-            result1 = "[";
-            pos++;
-          } else {
-            result1 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"[\"");
-            }
-          }
+          result1 = parse_VarOrTerm();
           if (result1 !== null) {
             result2 = [];
             result3 = parse_WS();
@@ -8609,45 +9131,9 @@ SparqlParser.parser = (function(){
               result3 = parse_WS();
             }
             if (result2 !== null) {
-              result3 = parse_PropertyListNotEmpty();
+              result3 = parse_PropertyListNotEmptyPath();
               if (result3 !== null) {
-                result4 = [];
-                result5 = parse_WS();
-                while (result5 !== null) {
-                  result4.push(result5);
-                  result5 = parse_WS();
-                }
-                if (result4 !== null) {
-                  if (input.charCodeAt(pos) === 93) {
-                    result5 = "]";
-                    pos++;
-                  } else {
-                    result5 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\"]\"");
-                    }
-                  }
-                  if (result5 !== null) {
-                    result6 = [];
-                    result7 = parse_WS();
-                    while (result7 !== null) {
-                      result6.push(result7);
-                      result7 = parse_WS();
-                    }
-                    if (result6 !== null) {
-                      result0 = [result0, result1, result2, result3, result4, result5, result6];
-                    } else {
-                      result0 = null;
-                      pos = pos1;
-                    }
-                  } else {
-                    result0 = null;
-                    pos = pos1;
-                  }
-                } else {
-                  result0 = null;
-                  pos = pos1;
-                }
+                result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
                 pos = pos1;
@@ -8665,81 +9151,210 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, pl) {
-        
-              GlobalBlankNodeCounter++;
-              var subject = {token:'blank', value:'_:'+GlobalBlankNodeCounter};
-              var newTriples =  [];
-        
-              for(var i=0; i< pl.pairs.length; i++) {
-                  var pair = pl.pairs[i];
-                  var triple = {}
-                  triple.subject = subject;
-                  triple.predicate = pair[0];
-                  if(pair[1].length != null)
-        	    pair[1] = pair[1][0]
-                  triple.object = pair[1];
-                  newTriples.push(triple);
+          result0 = (function(offset, s, pairs) {
+              var triplesContext = pairs.triplesContext;
+              var subject = s;
+              if(pairs.pairs) {
+                for(var i=0; i< pairs.pairs.length; i++) {
+                    var pair = pairs.pairs[i];
+                    var triple = null;
+        	    if(pair[1].length != null)
+        	      pair[1] = pair[1][0]
+                    if(subject.token && subject.token==='triplesnodecollection') {
+                        triple = {subject: subject.chainSubject[0], predicate: pair[0], object: pair[1]}
+                        triplesContext.push(triple);
+                        triplesContext = triplesContext.concat(subject.triplesContext);
+                    } else {
+                        triple = {subject: subject, predicate: pair[0], object: pair[1]}
+                        triplesContext.push(triple);
+                    }
+                }
               }
         
-              return {token: 'triplesnode',
-                      kind: 'blanknodepropertylist',
-                      triplesContext: pl.triplesContext.concat(newTriples),
-                      chainSubject: subject};
-        })(pos0, result0[3]);
+              var token = {};
+              token.token = "triplessamesubject";
+              token.triplesContext = triplesContext;
+              token.chainSubject = subject;
+        
+              return token;
+          })(pos0, result0[1], result0[3]);
         }
         if (result0 === null) {
           pos = pos0;
         }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[88] BlankNodePropertyList");
-        }
-        return result0;
-      }
-      
-      function parse_Collection() {
-        var result0, result1, result2, result3, result4, result5, result6, result7;
-        var pos0, pos1;
-        
-        reportFailures++;
-        pos0 = pos;
-        pos1 = pos;
-        result0 = [];
-        result1 = parse_WS();
-        while (result1 !== null) {
-          result0.push(result1);
+        if (result0 === null) {
+          pos0 = pos;
+          pos1 = pos;
+          result0 = [];
           result1 = parse_WS();
+          while (result1 !== null) {
+            result0.push(result1);
+            result1 = parse_WS();
+          }
+          if (result0 !== null) {
+            result1 = parse_TriplesNode();
+            if (result1 !== null) {
+              result2 = [];
+              result3 = parse_WS();
+              while (result3 !== null) {
+                result2.push(result3);
+                result3 = parse_WS();
+              }
+              if (result2 !== null) {
+                result3 = parse_PropertyListPath();
+                if (result3 !== null) {
+                  result0 = [result0, result1, result2, result3];
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+          if (result0 !== null) {
+            result0 = (function(offset, tn, pairs) {
+                var triplesContext = tn.triplesContext;
+                var subject = tn.chainSubject;
+          
+                if(pairs.pairs) {
+                  for(var i=0; i< pairs.pairs.length; i++) {
+                      var pair = pairs.pairs[i];
+                      if(pair[1].length != null)
+          	      pair[1] = pair[1][0]
+          
+                      if(tn.token === "triplesnodecollection") {
+                          for(var j=0; j<subject.length; j++) {
+                              var subj = subject[j];
+                              if(subj.triplesContext != null) {
+                                  var triple = {subject: subj.chainSubject, predicate: pair[0], object: pair[1]}
+                                  triplesContext.concat(subj.triplesContext);
+                              } else {
+                                  var triple = {subject: subject[j], predicate: pair[0], object: pair[1]}
+                                  triplesContext.push(triple);
+                              }
+                          }
+                      } else {
+                          var triple = {subject: subject, predicate: pair[0], object: pair[1]}
+                          triplesContext.push(triple);
+                      }
+                  }
+                }
+          
+                var token = {};
+                token.token = "triplessamesubject";
+                token.triplesContext = triplesContext;
+                token.chainSubject = subject;
+          
+                return token;
+          
+              })(pos0, result0[1], result0[3]);
+          }
+          if (result0 === null) {
+            pos = pos0;
+          }
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[72] TriplesSameSubjectPath");
+        }
+        return result0;
+      }
+      
+      function parse_PropertyListNotEmptyPath() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8;
+        var pos0, pos1, pos2, pos3;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_VerbPath();
+        if (result0 === null) {
+          result0 = parse_Var();
         }
         if (result0 !== null) {
-          if (input.charCodeAt(pos) === 40) {
-            result1 = "(";
-            pos++;
-          } else {
-            result1 = null;
-            if (reportFailures === 0) {
-              matchFailed("\"(\"");
-            }
+          result1 = [];
+          result2 = parse_WS();
+          while (result2 !== null) {
+            result1.push(result2);
+            result2 = parse_WS();
           }
           if (result1 !== null) {
-            result2 = [];
-            result3 = parse_WS();
-            while (result3 !== null) {
-              result2.push(result3);
-              result3 = parse_WS();
-            }
+            result2 = parse_ObjectList();
             if (result2 !== null) {
-              result4 = parse_GraphNode();
+              result3 = [];
+              pos2 = pos;
+              result4 = [];
+              result5 = parse_WS();
+              while (result5 !== null) {
+                result4.push(result5);
+                result5 = parse_WS();
+              }
               if (result4 !== null) {
-                result3 = [];
-                while (result4 !== null) {
-                  result3.push(result4);
-                  result4 = parse_GraphNode();
+                if (input.charCodeAt(pos) === 59) {
+                  result5 = ";";
+                  pos++;
+                } else {
+                  result5 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\";\"");
+                  }
+                }
+                if (result5 !== null) {
+                  result6 = [];
+                  result7 = parse_WS();
+                  while (result7 !== null) {
+                    result6.push(result7);
+                    result7 = parse_WS();
+                  }
+                  if (result6 !== null) {
+                    pos3 = pos;
+                    result7 = parse_VerbPath();
+                    if (result7 === null) {
+                      result7 = parse_Var();
+                    }
+                    if (result7 !== null) {
+                      result8 = parse_ObjectList();
+                      if (result8 !== null) {
+                        result7 = [result7, result8];
+                      } else {
+                        result7 = null;
+                        pos = pos3;
+                      }
+                    } else {
+                      result7 = null;
+                      pos = pos3;
+                    }
+                    result7 = result7 !== null ? result7 : "";
+                    if (result7 !== null) {
+                      result4 = [result4, result5, result6, result7];
+                    } else {
+                      result4 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result4 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result4 = null;
+                  pos = pos2;
                 }
               } else {
-                result3 = null;
+                result4 = null;
+                pos = pos2;
               }
-              if (result3 !== null) {
+              while (result4 !== null) {
+                result3.push(result4);
+                pos2 = pos;
                 result4 = [];
                 result5 = parse_WS();
                 while (result5 !== null) {
@@ -8747,13 +9362,13 @@ SparqlParser.parser = (function(){
                   result5 = parse_WS();
                 }
                 if (result4 !== null) {
-                  if (input.charCodeAt(pos) === 41) {
-                    result5 = ")";
+                  if (input.charCodeAt(pos) === 59) {
+                    result5 = ";";
                     pos++;
                   } else {
                     result5 = null;
                     if (reportFailures === 0) {
-                      matchFailed("\")\"");
+                      matchFailed("\";\"");
                     }
                   }
                   if (result5 !== null) {
@@ -8764,19 +9379,45 @@ SparqlParser.parser = (function(){
                       result7 = parse_WS();
                     }
                     if (result6 !== null) {
-                      result0 = [result0, result1, result2, result3, result4, result5, result6];
+                      pos3 = pos;
+                      result7 = parse_VerbPath();
+                      if (result7 === null) {
+                        result7 = parse_Var();
+                      }
+                      if (result7 !== null) {
+                        result8 = parse_ObjectList();
+                        if (result8 !== null) {
+                          result7 = [result7, result8];
+                        } else {
+                          result7 = null;
+                          pos = pos3;
+                        }
+                      } else {
+                        result7 = null;
+                        pos = pos3;
+                      }
+                      result7 = result7 !== null ? result7 : "";
+                      if (result7 !== null) {
+                        result4 = [result4, result5, result6, result7];
+                      } else {
+                        result4 = null;
+                        pos = pos2;
+                      }
                     } else {
-                      result0 = null;
-                      pos = pos1;
+                      result4 = null;
+                      pos = pos2;
                     }
                   } else {
-                    result0 = null;
-                    pos = pos1;
+                    result4 = null;
+                    pos = pos2;
                   }
                 } else {
-                  result0 = null;
-                  pos = pos1;
+                  result4 = null;
+                  pos = pos2;
                 }
+              }
+              if (result3 !== null) {
+                result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
                 pos = pos1;
@@ -8794,149 +9435,89 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, gn) {
-              return gn;
-        })(pos0, result0[3]);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[89] Collection");
-        }
-        return result0;
-      }
-      
-      function parse_GraphNode() {
-        var result0, result1, result2, result3;
-        var pos0, pos1;
-        
-        reportFailures++;
-        pos0 = pos;
-        pos1 = pos;
-        result0 = [];
-        result1 = parse_WS();
-        while (result1 !== null) {
-          result0.push(result1);
-          result1 = parse_WS();
-        }
-        if (result0 !== null) {
-          result1 = parse_VarOrTerm();
-          if (result1 !== null) {
-            result2 = [];
-            result3 = parse_WS();
-            while (result3 !== null) {
-              result2.push(result3);
-              result3 = parse_WS();
-            }
-            if (result2 !== null) {
-              result0 = [result0, result1, result2];
-            } else {
-              result0 = null;
-              pos = pos1;
-            }
-          } else {
-            result0 = null;
-            pos = pos1;
-          }
-        } else {
-          result0 = null;
-          pos = pos1;
-        }
-        if (result0 === null) {
-          pos1 = pos;
-          result0 = [];
-          result1 = parse_WS();
-          while (result1 !== null) {
-            result0.push(result1);
-            result1 = parse_WS();
-          }
-          if (result0 !== null) {
-            result1 = parse_TriplesNode();
-            if (result1 !== null) {
-              result2 = [];
-              result3 = parse_WS();
-              while (result3 !== null) {
-                result2.push(result3);
-                result3 = parse_WS();
+          result0 = (function(offset, v, ol, rest) {
+              token = {}
+              token.token = 'propertylist';
+              var triplesContext = [];
+              var pairs = [];
+              var test = [];
+        
+              for( var i=0; i<ol.length; i++) {
+        
+                 if(ol[i].triplesContext != null) {
+                     triplesContext = triplesContext.concat(ol[i].triplesContext);
+                     if(ol[i].token==='triplesnodecollection' && ol[i].chainSubject.length != null) {
+                         pairs.push([v, ol[i].chainSubject[0]]);
+                     } else {
+                         pairs.push([v, ol[i].chainSubject]);
+                     }
+        
+                  } else {
+                      pairs.push([v, ol[i]])
+                  }
+        
               }
-              if (result2 !== null) {
-                result0 = [result0, result1, result2];
-              } else {
-                result0 = null;
-                pos = pos1;
+        
+        
+              for(var i=0; i<rest.length; i++) {
+                  var tok = rest[i][3];
+                  var newVerb  = tok[0];
+                  var newObjsList = tok[1] || [];
+        
+                  for(var j=0; j<newObjsList.length; j++) {
+                   if(newObjsList[j].triplesContext != null) {
+                      triplesContext = triplesContext.concat(newObjsList[j].triplesContext);
+                     pairs.push([newVerb, newObjsList[j].chainSubject]);
+                    } else {
+                      pairs.push([newVerb, newObjsList[j]])
+                    }
+                  }
               }
-            } else {
-              result0 = null;
-              pos = pos1;
-            }
-          } else {
-            result0 = null;
-            pos = pos1;
-          }
-        }
-        if (result0 !== null) {
-          result0 = (function(offset, gn) {
-          return gn[1];
-        })(pos0, result0);
+        
+              token.pairs = pairs;
+              token.triplesContext = triplesContext;
+        
+              return token;
+        })(pos0, result0[0], result0[2], result0[3]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[90] GraphNode");
-        }
-        return result0;
-      }
-      
-      function parse_VarOrTerm() {
-        var result0;
-        
-        reportFailures++;
-        result0 = parse_Var();
-        if (result0 === null) {
-          result0 = parse_GraphTerm();
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[91] VarOrTerm");
+          matchFailed("[73] PropertyListNotEmptyPath");
         }
         return result0;
       }
       
-      function parse_VarOrIRIref() {
+      function parse_PropertyListPath() {
         var result0;
         
         reportFailures++;
-        result0 = parse_Var();
-        if (result0 === null) {
-          result0 = parse_IRIref();
-        }
+        result0 = parse_PropertyListNotEmpty();
+        result0 = result0 !== null ? result0 : "";
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[92] VarOrIRIref");
+          matchFailed("[74] PropertyListPath");
         }
         return result0;
       }
       
-      function parse_Var() {
+      function parse_VerbPath() {
         var result0;
         var pos0;
         
         reportFailures++;
         pos0 = pos;
-        result0 = parse_VAR1();
-        if (result0 === null) {
-          result0 = parse_VAR2();
-        }
+        result0 = parse_PathAlternative();
         if (result0 !== null) {
-          result0 = (function(offset, v) {
-              var term = {};
-              term.token = 'var';
-              term.value = v;
-              return term;
+          result0 = (function(offset, p) {
+              var path = {};
+              path.token = 'path';
+              path.kind = 'element';
+              path.value = p;
+        
+              return p;
           })(pos0, result0);
         }
         if (result0 === null) {
@@ -8944,46 +9525,19 @@ SparqlParser.parser = (function(){
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[93] Var");
-        }
-        return result0;
-      }
-      
-      function parse_GraphTerm() {
-        var result0;
-        
-        reportFailures++;
-        result0 = parse_IRIref();
-        if (result0 === null) {
-          result0 = parse_RDFLiteral();
-          if (result0 === null) {
-            result0 = parse_NumericLiteral();
-            if (result0 === null) {
-              result0 = parse_BooleanLiteral();
-              if (result0 === null) {
-                result0 = parse_BlankNode();
-                if (result0 === null) {
-                  result0 = parse_NIL();
-                }
-              }
-            }
-          }
-        }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[94] GraphTerm");
+          matchFailed("[75]");
         }
         return result0;
       }
       
-      function parse_ConditionalOrExpression() {
+      function parse_PathAlternative() {
         var result0, result1, result2, result3, result4, result5;
         var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_ConditionalAndExpression();
+        result0 = parse_PathSequence();
         if (result0 !== null) {
           result1 = [];
           pos2 = pos;
@@ -8994,13 +9548,13 @@ SparqlParser.parser = (function(){
             result3 = parse_WS();
           }
           if (result2 !== null) {
-            if (input.substr(pos, 2) === "||") {
-              result3 = "||";
-              pos += 2;
+            if (input.charCodeAt(pos) === 124) {
+              result3 = "|";
+              pos++;
             } else {
               result3 = null;
               if (reportFailures === 0) {
-                matchFailed("\"||\"");
+                matchFailed("\"|\"");
               }
             }
             if (result3 !== null) {
@@ -9011,7 +9565,7 @@ SparqlParser.parser = (function(){
                 result5 = parse_WS();
               }
               if (result4 !== null) {
-                result5 = parse_ConditionalAndExpression();
+                result5 = parse_PathSequence();
                 if (result5 !== null) {
                   result2 = [result2, result3, result4, result5];
                 } else {
@@ -9040,13 +9594,13 @@ SparqlParser.parser = (function(){
               result3 = parse_WS();
             }
             if (result2 !== null) {
-              if (input.substr(pos, 2) === "||") {
-                result3 = "||";
-                pos += 2;
+              if (input.charCodeAt(pos) === 124) {
+                result3 = "|";
+                pos++;
               } else {
                 result3 = null;
                 if (reportFailures === 0) {
-                  matchFailed("\"||\"");
+                  matchFailed("\"|\"");
                 }
               }
               if (result3 !== null) {
@@ -9057,7 +9611,7 @@ SparqlParser.parser = (function(){
                   result5 = parse_WS();
                 }
                 if (result4 !== null) {
-                  result5 = parse_ConditionalAndExpression();
+                  result5 = parse_PathSequence();
                   if (result5 !== null) {
                     result2 = [result2, result3, result4, result5];
                   } else {
@@ -9088,43 +9642,41 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, v, vs) {
-              if(vs.length === 0) {
-                  return v;
-              }
-        
-              var exp = {};
-              exp.token = "expression";
-              exp.expressionType = "conditionalor";
-              var ops = [v];
-        
-              for(var i=0; i<vs.length; i++) {
-                  ops.push(vs[i][3]);
-              }
+          result0 = (function(offset, first, rest) {
+        	if(rest == null || rest.length === 0) {
+        	    return first;
+        	} else {
+        	    var acum = [first];
+        	    for(var i=0; i<rest.length; i++)
+        		acum.push(rest[i][3]);
         
-              exp.operands = ops;
+        	    var path = {};
+        	    path.token = 'path';
+        	    path.kind = 'alternative';
+        	    path.value = acum;
         
-              return exp;
-        })(pos0, result0[0], result0[1]);
+        	    return path;
+        	}
+            })(pos0, result0[0], result0[1]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[96] ConditionalOrExpression");
+          matchFailed("[78] PathAlternative");
         }
         return result0;
       }
       
-      function parse_ConditionalAndExpression() {
+      function parse_PathSequence() {
         var result0, result1, result2, result3, result4, result5;
         var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_RelationalExpression();
+        result0 = parse_PathEltOrInverse();
         if (result0 !== null) {
           result1 = [];
           pos2 = pos;
@@ -9135,13 +9687,13 @@ SparqlParser.parser = (function(){
             result3 = parse_WS();
           }
           if (result2 !== null) {
-            if (input.substr(pos, 2) === "&&") {
-              result3 = "&&";
-              pos += 2;
+            if (input.charCodeAt(pos) === 47) {
+              result3 = "/";
+              pos++;
             } else {
               result3 = null;
               if (reportFailures === 0) {
-                matchFailed("\"&&\"");
+                matchFailed("\"/\"");
               }
             }
             if (result3 !== null) {
@@ -9152,7 +9704,7 @@ SparqlParser.parser = (function(){
                 result5 = parse_WS();
               }
               if (result4 !== null) {
-                result5 = parse_RelationalExpression();
+                result5 = parse_PathEltOrInverse();
                 if (result5 !== null) {
                   result2 = [result2, result3, result4, result5];
                 } else {
@@ -9181,13 +9733,13 @@ SparqlParser.parser = (function(){
               result3 = parse_WS();
             }
             if (result2 !== null) {
-              if (input.substr(pos, 2) === "&&") {
-                result3 = "&&";
-                pos += 2;
+              if (input.charCodeAt(pos) === 47) {
+                result3 = "/";
+                pos++;
               } else {
                 result3 = null;
                 if (reportFailures === 0) {
-                  matchFailed("\"&&\"");
+                  matchFailed("\"/\"");
                 }
               }
               if (result3 !== null) {
@@ -9198,7 +9750,7 @@ SparqlParser.parser = (function(){
                   result5 = parse_WS();
                 }
                 if (result4 !== null) {
-                  result5 = parse_RelationalExpression();
+                  result5 = parse_PathEltOrInverse();
                   if (result5 !== null) {
                     result2 = [result2, result3, result4, result5];
                   } else {
@@ -9229,843 +9781,2637 @@ SparqlParser.parser = (function(){
           pos = pos1;
         }
         if (result0 !== null) {
-          result0 = (function(offset, v, vs) {
-              if(vs.length === 0) {
-                  return v;
-              }
-              var exp = {};
-              exp.token = "expression";
-              exp.expressionType = "conditionaland";
-              var ops = [v];
-        
-              for(var i=0; i<vs.length; i++) {
-                  ops.push(vs[i][3]);
-              }
+          result0 = (function(offset, first, rest) {
+        	if(rest == null || rest.length === 0) {
+        	    return first;
+        	} else {
+        	    var acum = [first];
         
-              exp.operands = ops;
+        	    for(var i=0; i<rest.length; i++) 
+        		acum.push(rest[i][3]);
         
-              return exp;
-        })(pos0, result0[0], result0[1]);
+        	    var path = {};
+        	    path.token = 'path';
+        	    path.kind = 'sequence';
+        	
+        	    path.value = acum;
+        		
+        	    return path;
+        	}
+            })(pos0, result0[0], result0[1]);
         }
         if (result0 === null) {
           pos = pos0;
         }
         reportFailures--;
         if (reportFailures === 0 && result0 === null) {
-          matchFailed("[97] ConditionalAndExpression");
+          matchFailed("[79] PathSequence");
         }
         return result0;
       }
       
-      function parse_RelationalExpression() {
-        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10;
-        var pos0, pos1, pos2;
+      function parse_PathElt() {
+        var result0, result1;
+        var pos0, pos1;
         
         reportFailures++;
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_AdditiveExpression();
+        result0 = parse_PathPrimary();
         if (result0 !== null) {
-          result1 = [];
-          pos2 = pos;
-          result2 = [];
-          result3 = parse_WS();
-          while (result3 !== null) {
-            result2.push(result3);
-            result3 = parse_WS();
+          result1 = parse_PathMod();
+          result1 = result1 !== null ? result1 : "";
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos1;
           }
-          if (result2 !== null) {
-            if (input.charCodeAt(pos) === 61) {
-              result3 = "=";
-              pos++;
-            } else {
-              result3 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"=\"");
-              }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, p, mod) {
+        	if(mod == '') {
+        	    return p;
+        	} else {
+        	    var path = {};
+        	    path.token = 'path';
+        	    path.kind = 'element';
+        	    path.value = p;
+        	    path.modifier = mod;
+        	    return path;
+        	}
+            })(pos0, result0[0], result0[1]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[88] PathElt");
+        }
+        return result0;
+      }
+      
+      function parse_PathEltOrInverse() {
+        var result0, result1;
+        var pos0, pos1;
+        
+        reportFailures++;
+        result0 = parse_PathElt();
+        if (result0 === null) {
+          pos0 = pos;
+          pos1 = pos;
+          if (input.charCodeAt(pos) === 94) {
+            result0 = "^";
+            pos++;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"^\"");
             }
-            if (result3 !== null) {
-              result4 = [];
-              result5 = parse_WS();
-              while (result5 !== null) {
-                result4.push(result5);
-                result5 = parse_WS();
-              }
-              if (result4 !== null) {
-                result5 = parse_AdditiveExpression();
-                if (result5 !== null) {
-                  result2 = [result2, result3, result4, result5];
-                } else {
-                  result2 = null;
-                  pos = pos2;
-                }
-              } else {
-                result2 = null;
-                pos = pos2;
-              }
+          }
+          if (result0 !== null) {
+            result1 = parse_PathElt();
+            if (result1 !== null) {
+              result0 = [result0, result1];
             } else {
-              result2 = null;
-              pos = pos2;
+              result0 = null;
+              pos = pos1;
             }
           } else {
-            result2 = null;
-            pos = pos2;
+            result0 = null;
+            pos = pos1;
           }
-          if (result2 === null) {
-            pos2 = pos;
-            result2 = [];
-            result3 = parse_WS();
-            while (result3 !== null) {
-              result2.push(result3);
-              result3 = parse_WS();
+          if (result0 !== null) {
+            result0 = (function(offset, elt) {
+          	var path = {};
+          	path.token = 'path';
+          	path.kind = 'inversePath';
+          	path.value = elt;
+          
+          	return path;
+              })(pos0, result0[1]);
+          }
+          if (result0 === null) {
+            pos = pos0;
+          }
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[81] PathEltOrInverse");
+        }
+        return result0;
+      }
+      
+      function parse_PathMod() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8;
+        var pos0, pos1;
+        
+        reportFailures++;
+        if (input.charCodeAt(pos) === 42) {
+          result0 = "*";
+          pos++;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"*\"");
+          }
+        }
+        if (result0 === null) {
+          if (input.charCodeAt(pos) === 63) {
+            result0 = "?";
+            pos++;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"?\"");
             }
-            if (result2 !== null) {
-              if (input.substr(pos, 2) === "!=") {
-                result3 = "!=";
-                pos += 2;
+          }
+          if (result0 === null) {
+            if (input.charCodeAt(pos) === 43) {
+              result0 = "+";
+              pos++;
+            } else {
+              result0 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"+\"");
+              }
+            }
+            if (result0 === null) {
+              pos0 = pos;
+              pos1 = pos;
+              if (input.charCodeAt(pos) === 123) {
+                result0 = "{";
+                pos++;
               } else {
-                result3 = null;
+                result0 = null;
                 if (reportFailures === 0) {
-                  matchFailed("\"!=\"");
+                  matchFailed("\"{\"");
                 }
               }
-              if (result3 !== null) {
-                result4 = [];
-                result5 = parse_WS();
-                while (result5 !== null) {
-                  result4.push(result5);
-                  result5 = parse_WS();
-                }
-                if (result4 !== null) {
-                  result5 = parse_AdditiveExpression();
-                  if (result5 !== null) {
-                    result2 = [result2, result3, result4, result5];
-                  } else {
-                    result2 = null;
-                    pos = pos2;
-                  }
-                } else {
-                  result2 = null;
-                  pos = pos2;
+              if (result0 !== null) {
+                result1 = [];
+                result2 = parse_WS();
+                while (result2 !== null) {
+                  result1.push(result2);
+                  result2 = parse_WS();
                 }
-              } else {
-                result2 = null;
-                pos = pos2;
-              }
-            } else {
-              result2 = null;
-              pos = pos2;
-            }
-            if (result2 === null) {
-              pos2 = pos;
-              result2 = [];
-              result3 = parse_WS();
-              while (result3 !== null) {
-                result2.push(result3);
-                result3 = parse_WS();
-              }
-              if (result2 !== null) {
-                if (input.charCodeAt(pos) === 60) {
-                  result3 = "<";
-                  pos++;
-                } else {
-                  result3 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"<\"");
-                  }
-                }
-                if (result3 !== null) {
-                  result4 = [];
-                  result5 = parse_WS();
-                  while (result5 !== null) {
-                    result4.push(result5);
-                    result5 = parse_WS();
-                  }
-                  if (result4 !== null) {
-                    result5 = parse_AdditiveExpression();
-                    if (result5 !== null) {
-                      result2 = [result2, result3, result4, result5];
-                    } else {
-                      result2 = null;
-                      pos = pos2;
-                    }
-                  } else {
-                    result2 = null;
-                    pos = pos2;
-                  }
-                } else {
-                  result2 = null;
-                  pos = pos2;
-                }
-              } else {
-                result2 = null;
-                pos = pos2;
-              }
-              if (result2 === null) {
-                pos2 = pos;
-                result2 = [];
-                result3 = parse_WS();
-                while (result3 !== null) {
-                  result2.push(result3);
-                  result3 = parse_WS();
-                }
-                if (result2 !== null) {
-                  if (input.charCodeAt(pos) === 62) {
-                    result3 = ">";
-                    pos++;
-                  } else {
-                    result3 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\">\"");
-                    }
-                  }
-                  if (result3 !== null) {
-                    result4 = [];
-                    result5 = parse_WS();
-                    while (result5 !== null) {
-                      result4.push(result5);
-                      result5 = parse_WS();
-                    }
-                    if (result4 !== null) {
-                      result5 = parse_AdditiveExpression();
-                      if (result5 !== null) {
-                        result2 = [result2, result3, result4, result5];
-                      } else {
-                        result2 = null;
-                        pos = pos2;
-                      }
-                    } else {
-                      result2 = null;
-                      pos = pos2;
-                    }
-                  } else {
-                    result2 = null;
-                    pos = pos2;
-                  }
-                } else {
-                  result2 = null;
-                  pos = pos2;
-                }
-                if (result2 === null) {
-                  pos2 = pos;
-                  result2 = [];
-                  result3 = parse_WS();
-                  while (result3 !== null) {
-                    result2.push(result3);
-                    result3 = parse_WS();
-                  }
+                if (result1 !== null) {
+                  result2 = parse_INTEGER();
                   if (result2 !== null) {
-                    if (input.substr(pos, 2) === "<=") {
-                      result3 = "<=";
-                      pos += 2;
-                    } else {
-                      result3 = null;
-                      if (reportFailures === 0) {
-                        matchFailed("\"<=\"");
-                      }
+                    result3 = [];
+                    result4 = parse_WS();
+                    while (result4 !== null) {
+                      result3.push(result4);
+                      result4 = parse_WS();
                     }
                     if (result3 !== null) {
-                      result4 = [];
-                      result5 = parse_WS();
-                      while (result5 !== null) {
-                        result4.push(result5);
-                        result5 = parse_WS();
+                      if (input.charCodeAt(pos) === 44) {
+                        result4 = ",";
+                        pos++;
+                      } else {
+                        result4 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\",\"");
+                        }
                       }
                       if (result4 !== null) {
-                        result5 = parse_AdditiveExpression();
+                        result5 = [];
+                        result6 = parse_WS();
+                        while (result6 !== null) {
+                          result5.push(result6);
+                          result6 = parse_WS();
+                        }
                         if (result5 !== null) {
-                          result2 = [result2, result3, result4, result5];
+                          result6 = parse_INTEGER();
+                          if (result6 !== null) {
+                            result7 = [];
+                            result8 = parse_WS();
+                            while (result8 !== null) {
+                              result7.push(result8);
+                              result8 = parse_WS();
+                            }
+                            if (result7 !== null) {
+                              if (input.charCodeAt(pos) === 125) {
+                                result8 = "}";
+                                pos++;
+                              } else {
+                                result8 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\"}\"");
+                                }
+                              }
+                              if (result8 !== null) {
+                                result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8];
+                              } else {
+                                result0 = null;
+                                pos = pos1;
+                              }
+                            } else {
+                              result0 = null;
+                              pos = pos1;
+                            }
+                          } else {
+                            result0 = null;
+                            pos = pos1;
+                          }
                         } else {
-                          result2 = null;
-                          pos = pos2;
+                          result0 = null;
+                          pos = pos1;
                         }
                       } else {
-                        result2 = null;
-                        pos = pos2;
+                        result0 = null;
+                        pos = pos1;
                       }
                     } else {
-                      result2 = null;
-                      pos = pos2;
+                      result0 = null;
+                      pos = pos1;
                     }
                   } else {
-                    result2 = null;
-                    pos = pos2;
+                    result0 = null;
+                    pos = pos1;
                   }
-                  if (result2 === null) {
-                    pos2 = pos;
-                    result2 = [];
-                    result3 = parse_WS();
-                    while (result3 !== null) {
-                      result2.push(result3);
-                      result3 = parse_WS();
-                    }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+              if (result0 !== null) {
+                result0 = (function(offset, min, max) {
+                    return {min: parseInt(min.value), max: parseInt(max.value)};
+                })(pos0, result0[2], result0[6]);
+              }
+              if (result0 === null) {
+                pos = pos0;
+              }
+              if (result0 === null) {
+                pos0 = pos;
+                pos1 = pos;
+                if (input.charCodeAt(pos) === 123) {
+                  result0 = "{";
+                  pos++;
+                } else {
+                  result0 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"{\"");
+                  }
+                }
+                if (result0 !== null) {
+                  result1 = [];
+                  result2 = parse_WS();
+                  while (result2 !== null) {
+                    result1.push(result2);
+                    result2 = parse_WS();
+                  }
+                  if (result1 !== null) {
+                    result2 = parse_INTEGER();
                     if (result2 !== null) {
-                      if (input.substr(pos, 2) === ">=") {
-                        result3 = ">=";
-                        pos += 2;
-                      } else {
-                        result3 = null;
-                        if (reportFailures === 0) {
-                          matchFailed("\">=\"");
-                        }
+                      result3 = [];
+                      result4 = parse_WS();
+                      while (result4 !== null) {
+                        result3.push(result4);
+                        result4 = parse_WS();
                       }
                       if (result3 !== null) {
-                        result4 = [];
-                        result5 = parse_WS();
-                        while (result5 !== null) {
-                          result4.push(result5);
-                          result5 = parse_WS();
+                        if (input.charCodeAt(pos) === 44) {
+                          result4 = ",";
+                          pos++;
+                        } else {
+                          result4 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\",\"");
+                          }
                         }
                         if (result4 !== null) {
-                          result5 = parse_AdditiveExpression();
+                          result5 = [];
+                          result6 = parse_WS();
+                          while (result6 !== null) {
+                            result5.push(result6);
+                            result6 = parse_WS();
+                          }
                           if (result5 !== null) {
-                            result2 = [result2, result3, result4, result5];
+                            if (input.charCodeAt(pos) === 125) {
+                              result6 = "}";
+                              pos++;
+                            } else {
+                              result6 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\"}\"");
+                              }
+                            }
+                            if (result6 !== null) {
+                              result0 = [result0, result1, result2, result3, result4, result5, result6];
+                            } else {
+                              result0 = null;
+                              pos = pos1;
+                            }
                           } else {
-                            result2 = null;
-                            pos = pos2;
+                            result0 = null;
+                            pos = pos1;
                           }
                         } else {
-                          result2 = null;
-                          pos = pos2;
+                          result0 = null;
+                          pos = pos1;
                         }
                       } else {
-                        result2 = null;
-                        pos = pos2;
+                        result0 = null;
+                        pos = pos1;
                       }
                     } else {
-                      result2 = null;
-                      pos = pos2;
+                      result0 = null;
+                      pos = pos1;
                     }
-                    if (result2 === null) {
-                      pos2 = pos;
-                      result2 = [];
-                      result3 = parse_WS();
-                      while (result3 !== null) {
-                        result2.push(result3);
-                        result3 = parse_WS();
-                      }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+                if (result0 !== null) {
+                  result0 = (function(offset, min) {
+                      return {min: parseInt(min.value), max: null};
+                  })(pos0, result0[2]);
+                }
+                if (result0 === null) {
+                  pos = pos0;
+                }
+                if (result0 === null) {
+                  pos0 = pos;
+                  pos1 = pos;
+                  if (input.charCodeAt(pos) === 123) {
+                    result0 = "{";
+                    pos++;
+                  } else {
+                    result0 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"{\"");
+                    }
+                  }
+                  if (result0 !== null) {
+                    result1 = [];
+                    result2 = parse_WS();
+                    while (result2 !== null) {
+                      result1.push(result2);
+                      result2 = parse_WS();
+                    }
+                    if (result1 !== null) {
+                      result2 = parse_INTEGER();
                       if (result2 !== null) {
-                        if (input.charCodeAt(pos) === 73) {
-                          result3 = "I";
-                          pos++;
-                        } else {
-                          result3 = null;
-                          if (reportFailures === 0) {
-                            matchFailed("\"I\"");
-                          }
-                        }
-                        if (result3 === null) {
-                          if (input.charCodeAt(pos) === 105) {
-                            result3 = "i";
-                            pos++;
-                          } else {
-                            result3 = null;
-                            if (reportFailures === 0) {
-                              matchFailed("\"i\"");
-                            }
-                          }
+                        result3 = [];
+                        result4 = parse_WS();
+                        while (result4 !== null) {
+                          result3.push(result4);
+                          result4 = parse_WS();
                         }
                         if (result3 !== null) {
-                          if (input.charCodeAt(pos) === 78) {
-                            result4 = "N";
+                          if (input.charCodeAt(pos) === 125) {
+                            result4 = "}";
                             pos++;
                           } else {
                             result4 = null;
                             if (reportFailures === 0) {
-                              matchFailed("\"N\"");
-                            }
-                          }
-                          if (result4 === null) {
-                            if (input.charCodeAt(pos) === 110) {
-                              result4 = "n";
-                              pos++;
-                            } else {
-                              result4 = null;
-                              if (reportFailures === 0) {
-                                matchFailed("\"n\"");
-                              }
+                              matchFailed("\"}\"");
                             }
                           }
                           if (result4 !== null) {
-                            result5 = [];
-                            result6 = parse_WS();
-                            while (result6 !== null) {
-                              result5.push(result6);
-                              result6 = parse_WS();
-                            }
-                            if (result5 !== null) {
-                              result6 = parse_ExpressionList();
-                              if (result6 !== null) {
-                                result2 = [result2, result3, result4, result5, result6];
-                              } else {
-                                result2 = null;
-                                pos = pos2;
-                              }
-                            } else {
-                              result2 = null;
-                              pos = pos2;
-                            }
+                            result0 = [result0, result1, result2, result3, result4];
                           } else {
-                            result2 = null;
-                            pos = pos2;
+                            result0 = null;
+                            pos = pos1;
                           }
                         } else {
-                          result2 = null;
-                          pos = pos2;
+                          result0 = null;
+                          pos = pos1;
                         }
                       } else {
-                        result2 = null;
-                        pos = pos2;
+                        result0 = null;
+                        pos = pos1;
                       }
-                      if (result2 === null) {
-                        pos2 = pos;
-                        result2 = [];
-                        result3 = parse_WS();
-                        while (result3 !== null) {
-                          result2.push(result3);
-                          result3 = parse_WS();
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                  if (result0 !== null) {
+                    result0 = (function(offset, n) {
+                        return {min: parseInt(n.value), max: parseInt(n.value)};
+                    })(pos0, result0[2]);
+                  }
+                  if (result0 === null) {
+                    pos = pos0;
+                  }
+                  if (result0 === null) {
+                    pos0 = pos;
+                    pos1 = pos;
+                    if (input.charCodeAt(pos) === 123) {
+                      result0 = "{";
+                      pos++;
+                    } else {
+                      result0 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"{\"");
+                      }
+                    }
+                    if (result0 !== null) {
+                      result1 = [];
+                      result2 = parse_WS();
+                      while (result2 !== null) {
+                        result1.push(result2);
+                        result2 = parse_WS();
+                      }
+                      if (result1 !== null) {
+                        if (input.charCodeAt(pos) === 44) {
+                          result2 = ",";
+                          pos++;
+                        } else {
+                          result2 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\",\"");
+                          }
                         }
                         if (result2 !== null) {
-                          if (input.charCodeAt(pos) === 78) {
-                            result3 = "N";
-                            pos++;
-                          } else {
-                            result3 = null;
-                            if (reportFailures === 0) {
-                              matchFailed("\"N\"");
-                            }
-                          }
-                          if (result3 === null) {
-                            if (input.charCodeAt(pos) === 110) {
-                              result3 = "n";
-                              pos++;
-                            } else {
-                              result3 = null;
-                              if (reportFailures === 0) {
-                                matchFailed("\"n\"");
-                              }
-                            }
+                          result3 = [];
+                          result4 = parse_WS();
+                          while (result4 !== null) {
+                            result3.push(result4);
+                            result4 = parse_WS();
                           }
                           if (result3 !== null) {
-                            if (input.charCodeAt(pos) === 79) {
-                              result4 = "O";
-                              pos++;
-                            } else {
-                              result4 = null;
-                              if (reportFailures === 0) {
-                                matchFailed("\"O\"");
-                              }
-                            }
-                            if (result4 === null) {
-                              if (input.charCodeAt(pos) === 111) {
-                                result4 = "o";
-                                pos++;
-                              } else {
-                                result4 = null;
-                                if (reportFailures === 0) {
-                                  matchFailed("\"o\"");
-                                }
-                              }
-                            }
+                            result4 = parse_INTEGER();
                             if (result4 !== null) {
-                              if (input.charCodeAt(pos) === 84) {
-                                result5 = "T";
-                                pos++;
-                              } else {
-                                result5 = null;
-                                if (reportFailures === 0) {
-                                  matchFailed("\"T\"");
-                                }
+                              result5 = [];
+                              result6 = parse_WS();
+                              while (result6 !== null) {
+                                result5.push(result6);
+                                result6 = parse_WS();
                               }
-                              if (result5 === null) {
-                                if (input.charCodeAt(pos) === 116) {
-                                  result5 = "t";
+                              if (result5 !== null) {
+                                if (input.charCodeAt(pos) === 125) {
+                                  result6 = "}";
                                   pos++;
                                 } else {
-                                  result5 = null;
+                                  result6 = null;
                                   if (reportFailures === 0) {
-                                    matchFailed("\"t\"");
+                                    matchFailed("\"}\"");
                                   }
                                 }
-                              }
-                              if (result5 !== null) {
-                                result6 = [];
-                                result7 = parse_WS();
-                                while (result7 !== null) {
-                                  result6.push(result7);
-                                  result7 = parse_WS();
-                                }
                                 if (result6 !== null) {
-                                  if (input.charCodeAt(pos) === 73) {
-                                    result7 = "I";
-                                    pos++;
-                                  } else {
-                                    result7 = null;
-                                    if (reportFailures === 0) {
-                                      matchFailed("\"I\"");
-                                    }
-                                  }
-                                  if (result7 === null) {
-                                    if (input.charCodeAt(pos) === 105) {
-                                      result7 = "i";
-                                      pos++;
-                                    } else {
-                                      result7 = null;
-                                      if (reportFailures === 0) {
-                                        matchFailed("\"i\"");
-                                      }
-                                    }
-                                  }
-                                  if (result7 !== null) {
-                                    if (input.charCodeAt(pos) === 78) {
-                                      result8 = "N";
-                                      pos++;
-                                    } else {
-                                      result8 = null;
-                                      if (reportFailures === 0) {
-                                        matchFailed("\"N\"");
-                                      }
-                                    }
-                                    if (result8 === null) {
-                                      if (input.charCodeAt(pos) === 110) {
-                                        result8 = "n";
-                                        pos++;
-                                      } else {
-                                        result8 = null;
-                                        if (reportFailures === 0) {
-                                          matchFailed("\"n\"");
-                                        }
-                                      }
-                                    }
-                                    if (result8 !== null) {
-                                      result9 = [];
-                                      result10 = parse_WS();
-                                      while (result10 !== null) {
-                                        result9.push(result10);
-                                        result10 = parse_WS();
-                                      }
-                                      if (result9 !== null) {
-                                        result10 = parse_ExpressionList();
-                                        if (result10 !== null) {
-                                          result2 = [result2, result3, result4, result5, result6, result7, result8, result9, result10];
-                                        } else {
-                                          result2 = null;
-                                          pos = pos2;
-                                        }
-                                      } else {
-                                        result2 = null;
-                                        pos = pos2;
-                                      }
-                                    } else {
-                                      result2 = null;
-                                      pos = pos2;
-                                    }
-                                  } else {
-                                    result2 = null;
-                                    pos = pos2;
-                                  }
+                                  result0 = [result0, result1, result2, result3, result4, result5, result6];
                                 } else {
-                                  result2 = null;
-                                  pos = pos2;
+                                  result0 = null;
+                                  pos = pos1;
                                 }
                               } else {
-                                result2 = null;
-                                pos = pos2;
+                                result0 = null;
+                                pos = pos1;
                               }
                             } else {
-                              result2 = null;
-                              pos = pos2;
+                              result0 = null;
+                              pos = pos1;
                             }
                           } else {
-                            result2 = null;
-                            pos = pos2;
+                            result0 = null;
+                            pos = pos1;
                           }
                         } else {
-                          result2 = null;
-                          pos = pos2;
+                          result0 = null;
+                          pos = pos1;
                         }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
                       }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                    if (result0 !== null) {
+                      result0 = (function(offset, max) {
+                          return {min: 0, max: parseInt(max.value)};
+                      })(pos0, result0[4]);
+                    }
+                    if (result0 === null) {
+                      pos = pos0;
                     }
                   }
                 }
               }
             }
           }
-          while (result2 !== null) {
-            result1.push(result2);
-            pos2 = pos;
-            result2 = [];
-            result3 = parse_WS();
-            while (result3 !== null) {
-              result2.push(result3);
-              result3 = parse_WS();
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[82] PathMod");
+        }
+        return result0;
+      }
+      
+      function parse_PathPrimary() {
+        var result0, result1, result2, result3, result4;
+        var pos0, pos1;
+        
+        reportFailures++;
+        result0 = parse_IRIref();
+        if (result0 === null) {
+          pos0 = pos;
+          if (input.charCodeAt(pos) === 97) {
+            result0 = "a";
+            pos++;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"a\"");
             }
-            if (result2 !== null) {
-              if (input.charCodeAt(pos) === 61) {
-                result3 = "=";
-                pos++;
-              } else {
-                result3 = null;
-                if (reportFailures === 0) {
-                  matchFailed("\"=\"");
-                }
+          }
+          if (result0 !== null) {
+            result0 = (function(offset) {
+          	return{token: 'uri', prefix:null, suffix:null, value:"http://www.w3.org/1999/02/22-rdf-syntax-ns#type"}
+              })(pos0);
+          }
+          if (result0 === null) {
+            pos = pos0;
+          }
+          if (result0 === null) {
+            pos0 = pos;
+            pos1 = pos;
+            if (input.charCodeAt(pos) === 33) {
+              result0 = "!";
+              pos++;
+            } else {
+              result0 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"!\"");
               }
-              if (result3 !== null) {
-                result4 = [];
-                result5 = parse_WS();
-                while (result5 !== null) {
-                  result4.push(result5);
-                  result5 = parse_WS();
-                }
-                if (result4 !== null) {
-                  result5 = parse_AdditiveExpression();
-                  if (result5 !== null) {
-                    result2 = [result2, result3, result4, result5];
-                  } else {
-                    result2 = null;
-                    pos = pos2;
-                  }
+            }
+            if (result0 !== null) {
+              result1 = [];
+              result2 = parse_WS();
+              while (result2 !== null) {
+                result1.push(result2);
+                result2 = parse_WS();
+              }
+              if (result1 !== null) {
+                result2 = parse_PathNegatedPropertySet();
+                if (result2 !== null) {
+                  result0 = [result0, result1, result2];
                 } else {
-                  result2 = null;
-                  pos = pos2;
+                  result0 = null;
+                  pos = pos1;
                 }
               } else {
-                result2 = null;
-                pos = pos2;
+                result0 = null;
+                pos = pos1;
               }
             } else {
-              result2 = null;
-              pos = pos2;
+              result0 = null;
+              pos = pos1;
             }
-            if (result2 === null) {
-              pos2 = pos;
-              result2 = [];
-              result3 = parse_WS();
-              while (result3 !== null) {
-                result2.push(result3);
-                result3 = parse_WS();
+            if (result0 !== null) {
+              result0 = (function(offset, s) {
+            	var path = {};
+            	path.token = 'path';
+            	path.kind = 'negatedPropertySet';
+            	path.value = s;
+            
+            	return path;
+                })(pos0, result0[2]);
+            }
+            if (result0 === null) {
+              pos = pos0;
+            }
+            if (result0 === null) {
+              pos0 = pos;
+              pos1 = pos;
+              if (input.charCodeAt(pos) === 40) {
+                result0 = "(";
+                pos++;
+              } else {
+                result0 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"(\"");
+                }
               }
-              if (result2 !== null) {
-                if (input.substr(pos, 2) === "!=") {
-                  result3 = "!=";
-                  pos += 2;
-                } else {
-                  result3 = null;
-                  if (reportFailures === 0) {
-                    matchFailed("\"!=\"");
-                  }
+              if (result0 !== null) {
+                result1 = [];
+                result2 = parse_WS();
+                while (result2 !== null) {
+                  result1.push(result2);
+                  result2 = parse_WS();
                 }
-                if (result3 !== null) {
-                  result4 = [];
-                  result5 = parse_WS();
-                  while (result5 !== null) {
-                    result4.push(result5);
-                    result5 = parse_WS();
-                  }
-                  if (result4 !== null) {
-                    result5 = parse_AdditiveExpression();
-                    if (result5 !== null) {
-                      result2 = [result2, result3, result4, result5];
+                if (result1 !== null) {
+                  result2 = parse_PathAlternative();
+                  if (result2 !== null) {
+                    result3 = [];
+                    result4 = parse_WS();
+                    while (result4 !== null) {
+                      result3.push(result4);
+                      result4 = parse_WS();
+                    }
+                    if (result3 !== null) {
+                      if (input.charCodeAt(pos) === 41) {
+                        result4 = ")";
+                        pos++;
+                      } else {
+                        result4 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\")\"");
+                        }
+                      }
+                      if (result4 !== null) {
+                        result0 = [result0, result1, result2, result3, result4];
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
                     } else {
-                      result2 = null;
-                      pos = pos2;
+                      result0 = null;
+                      pos = pos1;
                     }
                   } else {
-                    result2 = null;
-                    pos = pos2;
+                    result0 = null;
+                    pos = pos1;
                   }
                 } else {
-                  result2 = null;
-                  pos = pos2;
+                  result0 = null;
+                  pos = pos1;
                 }
               } else {
-                result2 = null;
-                pos = pos2;
-              }
-              if (result2 === null) {
+                result0 = null;
+                pos = pos1;
+              }
+              if (result0 !== null) {
+                result0 = (function(offset, p) {
+              	return p;
+                  })(pos0, result0[2]);
+              }
+              if (result0 === null) {
+                pos = pos0;
+              }
+            }
+          }
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[83] PathPrimary");
+        }
+        return result0;
+      }
+      
+      function parse_PathNegatedPropertySet() {
+        var result0, result1, result2, result3, result4, result5, result6, result7;
+        var pos0, pos1, pos2;
+        
+        pos0 = pos;
+        result0 = parse_PathOneInPropertySet();
+        if (result0 !== null) {
+          result0 = (function(offset, p) {
+              return [p];
+          })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        if (result0 === null) {
+          pos0 = pos;
+          pos1 = pos;
+          if (input.charCodeAt(pos) === 40) {
+            result0 = "(";
+            pos++;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"(\"");
+            }
+          }
+          if (result0 !== null) {
+            result1 = [];
+            result2 = parse_WS();
+            while (result2 !== null) {
+              result1.push(result2);
+              result2 = parse_WS();
+            }
+            if (result1 !== null) {
+              result2 = parse_PathOneInPropertySet();
+              if (result2 !== null) {
+                result3 = [];
                 pos2 = pos;
-                result2 = [];
-                result3 = parse_WS();
-                while (result3 !== null) {
-                  result2.push(result3);
-                  result3 = parse_WS();
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
                 }
-                if (result2 !== null) {
-                  if (input.charCodeAt(pos) === 60) {
-                    result3 = "<";
+                if (result4 !== null) {
+                  if (input.charCodeAt(pos) === 124) {
+                    result5 = "|";
                     pos++;
                   } else {
-                    result3 = null;
+                    result5 = null;
                     if (reportFailures === 0) {
-                      matchFailed("\"<\"");
+                      matchFailed("\"|\"");
                     }
                   }
-                  if (result3 !== null) {
-                    result4 = [];
-                    result5 = parse_WS();
-                    while (result5 !== null) {
-                      result4.push(result5);
-                      result5 = parse_WS();
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
                     }
-                    if (result4 !== null) {
-                      result5 = parse_AdditiveExpression();
-                      if (result5 !== null) {
-                        result2 = [result2, result3, result4, result5];
+                    if (result6 !== null) {
+                      result7 = parse_PathOneInPropertySet();
+                      if (result7 !== null) {
+                        result4 = [result4, result5, result6, result7];
                       } else {
-                        result2 = null;
+                        result4 = null;
                         pos = pos2;
                       }
                     } else {
-                      result2 = null;
+                      result4 = null;
                       pos = pos2;
                     }
                   } else {
-                    result2 = null;
+                    result4 = null;
                     pos = pos2;
                   }
                 } else {
-                  result2 = null;
+                  result4 = null;
                   pos = pos2;
                 }
-                if (result2 === null) {
+                while (result4 !== null) {
+                  result3.push(result4);
                   pos2 = pos;
-                  result2 = [];
-                  result3 = parse_WS();
-                  while (result3 !== null) {
-                    result2.push(result3);
-                    result3 = parse_WS();
+                  result4 = [];
+                  result5 = parse_WS();
+                  while (result5 !== null) {
+                    result4.push(result5);
+                    result5 = parse_WS();
                   }
-                  if (result2 !== null) {
-                    if (input.charCodeAt(pos) === 62) {
-                      result3 = ">";
+                  if (result4 !== null) {
+                    if (input.charCodeAt(pos) === 124) {
+                      result5 = "|";
                       pos++;
                     } else {
-                      result3 = null;
+                      result5 = null;
                       if (reportFailures === 0) {
-                        matchFailed("\">\"");
+                        matchFailed("\"|\"");
                       }
                     }
-                    if (result3 !== null) {
-                      result4 = [];
-                      result5 = parse_WS();
-                      while (result5 !== null) {
-                        result4.push(result5);
-                        result5 = parse_WS();
+                    if (result5 !== null) {
+                      result6 = [];
+                      result7 = parse_WS();
+                      while (result7 !== null) {
+                        result6.push(result7);
+                        result7 = parse_WS();
                       }
-                      if (result4 !== null) {
-                        result5 = parse_AdditiveExpression();
-                        if (result5 !== null) {
-                          result2 = [result2, result3, result4, result5];
+                      if (result6 !== null) {
+                        result7 = parse_PathOneInPropertySet();
+                        if (result7 !== null) {
+                          result4 = [result4, result5, result6, result7];
                         } else {
-                          result2 = null;
+                          result4 = null;
                           pos = pos2;
                         }
                       } else {
-                        result2 = null;
+                        result4 = null;
                         pos = pos2;
                       }
                     } else {
-                      result2 = null;
+                      result4 = null;
                       pos = pos2;
                     }
                   } else {
-                    result2 = null;
+                    result4 = null;
                     pos = pos2;
                   }
-                  if (result2 === null) {
-                    pos2 = pos;
-                    result2 = [];
-                    result3 = parse_WS();
-                    while (result3 !== null) {
-                      result2.push(result3);
-                      result3 = parse_WS();
-                    }
-                    if (result2 !== null) {
-                      if (input.substr(pos, 2) === "<=") {
-                        result3 = "<=";
-                        pos += 2;
-                      } else {
-                        result3 = null;
-                        if (reportFailures === 0) {
-                          matchFailed("\"<=\"");
-                        }
-                      }
-                      if (result3 !== null) {
-                        result4 = [];
-                        result5 = parse_WS();
-                        while (result5 !== null) {
-                          result4.push(result5);
-                          result5 = parse_WS();
-                        }
-                        if (result4 !== null) {
-                          result5 = parse_AdditiveExpression();
-                          if (result5 !== null) {
-                            result2 = [result2, result3, result4, result5];
-                          } else {
-                            result2 = null;
-                            pos = pos2;
-                          }
-                        } else {
-                          result2 = null;
-                          pos = pos2;
-                        }
-                      } else {
-                        result2 = null;
-                        pos = pos2;
+                }
+                if (result3 !== null) {
+                  result4 = [];
+                  result5 = parse_WS();
+                  while (result5 !== null) {
+                    result4.push(result5);
+                    result5 = parse_WS();
+                  }
+                  if (result4 !== null) {
+                    if (input.charCodeAt(pos) === 41) {
+                      result5 = ")";
+                      pos++;
+                    } else {
+                      result5 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\")\"");
                       }
+                    }
+                    if (result5 !== null) {
+                      result0 = [result0, result1, result2, result3, result4, result5];
                     } else {
-                      result2 = null;
-                      pos = pos2;
+                      result0 = null;
+                      pos = pos1;
                     }
-                    if (result2 === null) {
-                      pos2 = pos;
-                      result2 = [];
-                      result3 = parse_WS();
-                      while (result3 !== null) {
-                        result2.push(result3);
-                        result3 = parse_WS();
-                      }
-                      if (result2 !== null) {
-                        if (input.substr(pos, 2) === ">=") {
-                          result3 = ">=";
-                          pos += 2;
-                        } else {
-                          result3 = null;
-                          if (reportFailures === 0) {
-                            matchFailed("\">=\"");
-                          }
-                        }
-                        if (result3 !== null) {
-                          result4 = [];
-                          result5 = parse_WS();
-                          while (result5 !== null) {
-                            result4.push(result5);
-                            result5 = parse_WS();
-                          }
-                          if (result4 !== null) {
-                            result5 = parse_AdditiveExpression();
-                            if (result5 !== null) {
-                              result2 = [result2, result3, result4, result5];
-                            } else {
-                              result2 = null;
-                              pos = pos2;
-                            }
-                          } else {
-                            result2 = null;
-                            pos = pos2;
-                          }
-                        } else {
-                          result2 = null;
-                          pos = pos2;
-                        }
-                      } else {
-                        result2 = null;
-                        pos = pos2;
-                      }
-                      if (result2 === null) {
-                        pos2 = pos;
-                        result2 = [];
-                        result3 = parse_WS();
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+          if (result0 !== null) {
+            result0 = (function(offset, first, rest) {
+                var acum = [first];
+                for(var i=0; i<rest.length; i++)
+          	  acum.push(rest[i][3]);
+          
+                return acum;
+            })(pos0, result0[2], result0[3]);
+          }
+          if (result0 === null) {
+            pos = pos0;
+          }
+          if (result0 === null) {
+            pos0 = pos;
+            pos1 = pos;
+            if (input.charCodeAt(pos) === 40) {
+              result0 = "(";
+              pos++;
+            } else {
+              result0 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"(\"");
+              }
+            }
+            if (result0 !== null) {
+              result1 = [];
+              result2 = parse_WS();
+              while (result2 !== null) {
+                result1.push(result2);
+                result2 = parse_WS();
+              }
+              if (result1 !== null) {
+                if (input.charCodeAt(pos) === 41) {
+                  result2 = ")";
+                  pos++;
+                } else {
+                  result2 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\")\"");
+                  }
+                }
+                if (result2 !== null) {
+                  result0 = [result0, result1, result2];
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+            if (result0 !== null) {
+              result0 = (function(offset) {
+                  return [];
+              })(pos0);
+            }
+            if (result0 === null) {
+              pos = pos0;
+            }
+          }
+        }
+        return result0;
+      }
+      
+      function parse_PathOneInPropertySet() {
+        var result0, result1, result2;
+        var pos0, pos1;
+        
+        reportFailures++;
+        pos0 = pos;
+        result0 = parse_IRIref();
+        if (result0 !== null) {
+          result0 = (function(offset, i) {
+              return {inverse: false, value: i};
+          })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        if (result0 === null) {
+          pos0 = pos;
+          if (input.charCodeAt(pos) === 97) {
+            result0 = "a";
+            pos++;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"a\"");
+            }
+          }
+          if (result0 !== null) {
+            result0 = (function(offset) {
+                return {inverse: false, value: {token: 'uri', prefix:null, suffix:null, value:"http://www.w3.org/1999/02/22-rdf-syntax-ns#type"}};
+            })(pos0);
+          }
+          if (result0 === null) {
+            pos = pos0;
+          }
+          if (result0 === null) {
+            pos0 = pos;
+            pos1 = pos;
+            if (input.charCodeAt(pos) === 94) {
+              result0 = "^";
+              pos++;
+            } else {
+              result0 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"^\"");
+              }
+            }
+            if (result0 !== null) {
+              result1 = [];
+              result2 = parse_WS();
+              while (result2 !== null) {
+                result1.push(result2);
+                result2 = parse_WS();
+              }
+              if (result1 !== null) {
+                result2 = parse_IRIref();
+                if (result2 !== null) {
+                  result0 = [result0, result1, result2];
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+            if (result0 !== null) {
+              result0 = (function(offset, i) {
+                  return {inverse: true, value: i};
+              })(pos0, result0[2]);
+            }
+            if (result0 === null) {
+              pos = pos0;
+            }
+            if (result0 === null) {
+              pos0 = pos;
+              pos1 = pos;
+              if (input.charCodeAt(pos) === 94) {
+                result0 = "^";
+                pos++;
+              } else {
+                result0 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"^\"");
+                }
+              }
+              if (result0 !== null) {
+                result1 = [];
+                result2 = parse_WS();
+                while (result2 !== null) {
+                  result1.push(result2);
+                  result2 = parse_WS();
+                }
+                if (result1 !== null) {
+                  if (input.charCodeAt(pos) === 97) {
+                    result2 = "a";
+                    pos++;
+                  } else {
+                    result2 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"a\"");
+                    }
+                  }
+                  if (result2 !== null) {
+                    result0 = [result0, result1, result2];
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+              if (result0 !== null) {
+                result0 = (function(offset) {
+                    return {inverse: true, value: {token: 'uri', prefix:null, suffix:null, value:"http://www.w3.org/1999/02/22-rdf-syntax-ns#type"}};
+                })(pos0);
+              }
+              if (result0 === null) {
+                pos = pos0;
+              }
+            }
+          }
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[85] PathOneInPropertySet");
+        }
+        return result0;
+      }
+      
+      function parse_TriplesNode() {
+        var result0;
+        var pos0;
+        
+        reportFailures++;
+        pos0 = pos;
+        result0 = parse_Collection();
+        if (result0 !== null) {
+          result0 = (function(offset, c) {
+              var triplesContext = [];
+              var chainSubject = [];
+        
+              var triple = null;
+        
+              // catch NIL
+              /*
+              if(c.length == 1 && c[0].token && c[0].token === 'nil') {
+                  GlobalBlankNodeCounter++;
+                  return  {token: "triplesnodecollection", 
+                           triplesContext:[{subject: {token:'blank', value:("_:"+GlobalBlankNodeCounter)},
+                                            predicate:{token:'uri', prefix:null, suffix:null, value:'http://www.w3.org/1999/02/22-rdf-syntax-ns#rest'},
+                                            object:  {token:'blank', value:("_:"+(GlobalBlankNodeCounter+1))}}], 
+                           chainSubject:{token:'blank', value:("_:"+GlobalBlankNodeCounter)}};
+        
+              }
+              */
+        
+              // other cases
+              for(var i=0; i<c.length; i++) {
+                  GlobalBlankNodeCounter++;
+                  //_:b0  rdf:first  1 ;
+                  //rdf:rest   _:b1 .
+                  var nextObject = null;
+                  if(c[i].chainSubject == null && c[i].triplesContext == null) {
+                      nextObject = c[i];
+                  } else {
+                      nextObject = c[i].chainSubject;
+                      triplesContext = triplesContext.concat(nextSubject.triplesContext);
+                  }
+                  var currentSubject = null;
+                  triple = {subject: {token:'blank', value:("_:"+GlobalBlankNodeCounter)},
+                            predicate:{token:'uri', prefix:null, suffix:null, value:'http://www.w3.org/1999/02/22-rdf-syntax-ns#first'},
+                            object:nextObject };
+        
+                  if(i==0) {
+                      chainSubject.push(triple.subject);
+                  }
+        
+                  triplesContext.push(triple);
+        
+                  if(i===(c.length-1)) {
+                      triple = {subject: {token:'blank', value:("_:"+GlobalBlankNodeCounter)},
+                                predicate:{token:'uri', prefix:null, suffix:null, value:'http://www.w3.org/1999/02/22-rdf-syntax-ns#rest'},
+                                object:   {token:'uri', prefix:null, suffix:null, value:'http://www.w3.org/1999/02/22-rdf-syntax-ns#nil'}};
+                  } else {
+                      triple = {subject: {token:'blank', value:("_:"+GlobalBlankNodeCounter)},
+                                predicate:{token:'uri', prefix:null, suffix:null, value:'http://www.w3.org/1999/02/22-rdf-syntax-ns#rest'},
+                                object:  {token:'blank', value:("_:"+(GlobalBlankNodeCounter+1))} };
+                  }
+        
+                  triplesContext.push(triple);
+              }
+        
+              return {token:"triplesnodecollection", triplesContext:triplesContext, chainSubject:chainSubject};
+        })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        if (result0 === null) {
+          result0 = parse_BlankNodePropertyList();
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[87] TriplesNode");
+        }
+        return result0;
+      }
+      
+      function parse_BlankNodePropertyList() {
+        var result0, result1, result2, result3, result4, result5, result6, result7;
+        var pos0, pos1;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = [];
+        result1 = parse_WS();
+        while (result1 !== null) {
+          result0.push(result1);
+          result1 = parse_WS();
+        }
+        if (result0 !== null) {
+          if (input.charCodeAt(pos) === 91) {
+            result1 = "[";
+            pos++;
+          } else {
+            result1 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"[\"");
+            }
+          }
+          if (result1 !== null) {
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              result3 = parse_PropertyListNotEmpty();
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  if (input.charCodeAt(pos) === 93) {
+                    result5 = "]";
+                    pos++;
+                  } else {
+                    result5 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"]\"");
+                    }
+                  }
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
+                    }
+                    if (result6 !== null) {
+                      result0 = [result0, result1, result2, result3, result4, result5, result6];
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, pl) {
+        
+              GlobalBlankNodeCounter++;
+              var subject = {token:'blank', value:'_:'+GlobalBlankNodeCounter};
+              var newTriples =  [];
+        
+              for(var i=0; i< pl.pairs.length; i++) {
+                  var pair = pl.pairs[i];
+                  var triple = {}
+                  triple.subject = subject;
+                  triple.predicate = pair[0];
+                  if(pair[1].length != null)
+        	    pair[1] = pair[1][0]
+                  triple.object = pair[1];
+                  newTriples.push(triple);
+              }
+        
+              return {token: 'triplesnode',
+                      kind: 'blanknodepropertylist',
+                      triplesContext: pl.triplesContext.concat(newTriples),
+                      chainSubject: subject};
+        })(pos0, result0[3]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[88] BlankNodePropertyList");
+        }
+        return result0;
+      }
+      
+      function parse_Collection() {
+        var result0, result1, result2, result3, result4, result5, result6, result7;
+        var pos0, pos1;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = [];
+        result1 = parse_WS();
+        while (result1 !== null) {
+          result0.push(result1);
+          result1 = parse_WS();
+        }
+        if (result0 !== null) {
+          if (input.charCodeAt(pos) === 40) {
+            result1 = "(";
+            pos++;
+          } else {
+            result1 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"(\"");
+            }
+          }
+          if (result1 !== null) {
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              result4 = parse_GraphNode();
+              if (result4 !== null) {
+                result3 = [];
+                while (result4 !== null) {
+                  result3.push(result4);
+                  result4 = parse_GraphNode();
+                }
+              } else {
+                result3 = null;
+              }
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  if (input.charCodeAt(pos) === 41) {
+                    result5 = ")";
+                    pos++;
+                  } else {
+                    result5 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\")\"");
+                    }
+                  }
+                  if (result5 !== null) {
+                    result6 = [];
+                    result7 = parse_WS();
+                    while (result7 !== null) {
+                      result6.push(result7);
+                      result7 = parse_WS();
+                    }
+                    if (result6 !== null) {
+                      result0 = [result0, result1, result2, result3, result4, result5, result6];
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, gn) {
+              return gn;
+        })(pos0, result0[3]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[89] Collection");
+        }
+        return result0;
+      }
+      
+      function parse_GraphNode() {
+        var result0, result1, result2, result3;
+        var pos0, pos1;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = [];
+        result1 = parse_WS();
+        while (result1 !== null) {
+          result0.push(result1);
+          result1 = parse_WS();
+        }
+        if (result0 !== null) {
+          result1 = parse_VarOrTerm();
+          if (result1 !== null) {
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 === null) {
+          pos1 = pos;
+          result0 = [];
+          result1 = parse_WS();
+          while (result1 !== null) {
+            result0.push(result1);
+            result1 = parse_WS();
+          }
+          if (result0 !== null) {
+            result1 = parse_TriplesNode();
+            if (result1 !== null) {
+              result2 = [];
+              result3 = parse_WS();
+              while (result3 !== null) {
+                result2.push(result3);
+                result3 = parse_WS();
+              }
+              if (result2 !== null) {
+                result0 = [result0, result1, result2];
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, gn) {
+          return gn[1];
+        })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[90] GraphNode");
+        }
+        return result0;
+      }
+      
+      function parse_VarOrTerm() {
+        var result0;
+        
+        reportFailures++;
+        result0 = parse_Var();
+        if (result0 === null) {
+          result0 = parse_GraphTerm();
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[91] VarOrTerm");
+        }
+        return result0;
+      }
+      
+      function parse_VarOrIRIref() {
+        var result0;
+        
+        reportFailures++;
+        result0 = parse_Var();
+        if (result0 === null) {
+          result0 = parse_IRIref();
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[92] VarOrIRIref");
+        }
+        return result0;
+      }
+      
+      function parse_Var() {
+        var result0;
+        var pos0;
+        
+        reportFailures++;
+        pos0 = pos;
+        result0 = parse_VAR1();
+        if (result0 === null) {
+          result0 = parse_VAR2();
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, v) {
+              var term = {};
+              term.token = 'var';
+              term.value = v;
+              return term;
+          })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[93] Var");
+        }
+        return result0;
+      }
+      
+      function parse_GraphTerm() {
+        var result0;
+        
+        reportFailures++;
+        result0 = parse_IRIref();
+        if (result0 === null) {
+          result0 = parse_RDFLiteral();
+          if (result0 === null) {
+            result0 = parse_NumericLiteral();
+            if (result0 === null) {
+              result0 = parse_BooleanLiteral();
+              if (result0 === null) {
+                result0 = parse_BlankNode();
+                if (result0 === null) {
+                  result0 = parse_NIL();
+                }
+              }
+            }
+          }
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[94] GraphTerm");
+        }
+        return result0;
+      }
+      
+      function parse_ConditionalOrExpression() {
+        var result0, result1, result2, result3, result4, result5;
+        var pos0, pos1, pos2;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_ConditionalAndExpression();
+        if (result0 !== null) {
+          result1 = [];
+          pos2 = pos;
+          result2 = [];
+          result3 = parse_WS();
+          while (result3 !== null) {
+            result2.push(result3);
+            result3 = parse_WS();
+          }
+          if (result2 !== null) {
+            if (input.substr(pos, 2) === "||") {
+              result3 = "||";
+              pos += 2;
+            } else {
+              result3 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"||\"");
+              }
+            }
+            if (result3 !== null) {
+              result4 = [];
+              result5 = parse_WS();
+              while (result5 !== null) {
+                result4.push(result5);
+                result5 = parse_WS();
+              }
+              if (result4 !== null) {
+                result5 = parse_ConditionalAndExpression();
+                if (result5 !== null) {
+                  result2 = [result2, result3, result4, result5];
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+              } else {
+                result2 = null;
+                pos = pos2;
+              }
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+          } else {
+            result2 = null;
+            pos = pos2;
+          }
+          while (result2 !== null) {
+            result1.push(result2);
+            pos2 = pos;
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              if (input.substr(pos, 2) === "||") {
+                result3 = "||";
+                pos += 2;
+              } else {
+                result3 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"||\"");
+                }
+              }
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  result5 = parse_ConditionalAndExpression();
+                  if (result5 !== null) {
+                    result2 = [result2, result3, result4, result5];
+                  } else {
+                    result2 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+              } else {
+                result2 = null;
+                pos = pos2;
+              }
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, v, vs) {
+              if(vs.length === 0) {
+                  return v;
+              }
+        
+              var exp = {};
+              exp.token = "expression";
+              exp.expressionType = "conditionalor";
+              var ops = [v];
+        
+              for(var i=0; i<vs.length; i++) {
+                  ops.push(vs[i][3]);
+              }
+        
+              exp.operands = ops;
+        
+              return exp;
+        })(pos0, result0[0], result0[1]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[96] ConditionalOrExpression");
+        }
+        return result0;
+      }
+      
+      function parse_ConditionalAndExpression() {
+        var result0, result1, result2, result3, result4, result5;
+        var pos0, pos1, pos2;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_RelationalExpression();
+        if (result0 !== null) {
+          result1 = [];
+          pos2 = pos;
+          result2 = [];
+          result3 = parse_WS();
+          while (result3 !== null) {
+            result2.push(result3);
+            result3 = parse_WS();
+          }
+          if (result2 !== null) {
+            if (input.substr(pos, 2) === "&&") {
+              result3 = "&&";
+              pos += 2;
+            } else {
+              result3 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"&&\"");
+              }
+            }
+            if (result3 !== null) {
+              result4 = [];
+              result5 = parse_WS();
+              while (result5 !== null) {
+                result4.push(result5);
+                result5 = parse_WS();
+              }
+              if (result4 !== null) {
+                result5 = parse_RelationalExpression();
+                if (result5 !== null) {
+                  result2 = [result2, result3, result4, result5];
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+              } else {
+                result2 = null;
+                pos = pos2;
+              }
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+          } else {
+            result2 = null;
+            pos = pos2;
+          }
+          while (result2 !== null) {
+            result1.push(result2);
+            pos2 = pos;
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              if (input.substr(pos, 2) === "&&") {
+                result3 = "&&";
+                pos += 2;
+              } else {
+                result3 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"&&\"");
+                }
+              }
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  result5 = parse_RelationalExpression();
+                  if (result5 !== null) {
+                    result2 = [result2, result3, result4, result5];
+                  } else {
+                    result2 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+              } else {
+                result2 = null;
+                pos = pos2;
+              }
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, v, vs) {
+              if(vs.length === 0) {
+                  return v;
+              }
+              var exp = {};
+              exp.token = "expression";
+              exp.expressionType = "conditionaland";
+              var ops = [v];
+        
+              for(var i=0; i<vs.length; i++) {
+                  ops.push(vs[i][3]);
+              }
+        
+              exp.operands = ops;
+        
+              return exp;
+        })(pos0, result0[0], result0[1]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[97] ConditionalAndExpression");
+        }
+        return result0;
+      }
+      
+      function parse_RelationalExpression() {
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10;
+        var pos0, pos1, pos2;
+        
+        reportFailures++;
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_AdditiveExpression();
+        if (result0 !== null) {
+          result1 = [];
+          pos2 = pos;
+          result2 = [];
+          result3 = parse_WS();
+          while (result3 !== null) {
+            result2.push(result3);
+            result3 = parse_WS();
+          }
+          if (result2 !== null) {
+            if (input.charCodeAt(pos) === 61) {
+              result3 = "=";
+              pos++;
+            } else {
+              result3 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"=\"");
+              }
+            }
+            if (result3 !== null) {
+              result4 = [];
+              result5 = parse_WS();
+              while (result5 !== null) {
+                result4.push(result5);
+                result5 = parse_WS();
+              }
+              if (result4 !== null) {
+                result5 = parse_AdditiveExpression();
+                if (result5 !== null) {
+                  result2 = [result2, result3, result4, result5];
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+              } else {
+                result2 = null;
+                pos = pos2;
+              }
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+          } else {
+            result2 = null;
+            pos = pos2;
+          }
+          if (result2 === null) {
+            pos2 = pos;
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              if (input.substr(pos, 2) === "!=") {
+                result3 = "!=";
+                pos += 2;
+              } else {
+                result3 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"!=\"");
+                }
+              }
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  result5 = parse_AdditiveExpression();
+                  if (result5 !== null) {
+                    result2 = [result2, result3, result4, result5];
+                  } else {
+                    result2 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+              } else {
+                result2 = null;
+                pos = pos2;
+              }
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+            if (result2 === null) {
+              pos2 = pos;
+              result2 = [];
+              result3 = parse_WS();
+              while (result3 !== null) {
+                result2.push(result3);
+                result3 = parse_WS();
+              }
+              if (result2 !== null) {
+                if (input.charCodeAt(pos) === 60) {
+                  result3 = "<";
+                  pos++;
+                } else {
+                  result3 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"<\"");
+                  }
+                }
+                if (result3 !== null) {
+                  result4 = [];
+                  result5 = parse_WS();
+                  while (result5 !== null) {
+                    result4.push(result5);
+                    result5 = parse_WS();
+                  }
+                  if (result4 !== null) {
+                    result5 = parse_AdditiveExpression();
+                    if (result5 !== null) {
+                      result2 = [result2, result3, result4, result5];
+                    } else {
+                      result2 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result2 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+              } else {
+                result2 = null;
+                pos = pos2;
+              }
+              if (result2 === null) {
+                pos2 = pos;
+                result2 = [];
+                result3 = parse_WS();
+                while (result3 !== null) {
+                  result2.push(result3);
+                  result3 = parse_WS();
+                }
+                if (result2 !== null) {
+                  if (input.charCodeAt(pos) === 62) {
+                    result3 = ">";
+                    pos++;
+                  } else {
+                    result3 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\">\"");
+                    }
+                  }
+                  if (result3 !== null) {
+                    result4 = [];
+                    result5 = parse_WS();
+                    while (result5 !== null) {
+                      result4.push(result5);
+                      result5 = parse_WS();
+                    }
+                    if (result4 !== null) {
+                      result5 = parse_AdditiveExpression();
+                      if (result5 !== null) {
+                        result2 = [result2, result3, result4, result5];
+                      } else {
+                        result2 = null;
+                        pos = pos2;
+                      }
+                    } else {
+                      result2 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result2 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+                if (result2 === null) {
+                  pos2 = pos;
+                  result2 = [];
+                  result3 = parse_WS();
+                  while (result3 !== null) {
+                    result2.push(result3);
+                    result3 = parse_WS();
+                  }
+                  if (result2 !== null) {
+                    if (input.substr(pos, 2) === "<=") {
+                      result3 = "<=";
+                      pos += 2;
+                    } else {
+                      result3 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"<=\"");
+                      }
+                    }
+                    if (result3 !== null) {
+                      result4 = [];
+                      result5 = parse_WS();
+                      while (result5 !== null) {
+                        result4.push(result5);
+                        result5 = parse_WS();
+                      }
+                      if (result4 !== null) {
+                        result5 = parse_AdditiveExpression();
+                        if (result5 !== null) {
+                          result2 = [result2, result3, result4, result5];
+                        } else {
+                          result2 = null;
+                          pos = pos2;
+                        }
+                      } else {
+                        result2 = null;
+                        pos = pos2;
+                      }
+                    } else {
+                      result2 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result2 = null;
+                    pos = pos2;
+                  }
+                  if (result2 === null) {
+                    pos2 = pos;
+                    result2 = [];
+                    result3 = parse_WS();
+                    while (result3 !== null) {
+                      result2.push(result3);
+                      result3 = parse_WS();
+                    }
+                    if (result2 !== null) {
+                      if (input.substr(pos, 2) === ">=") {
+                        result3 = ">=";
+                        pos += 2;
+                      } else {
+                        result3 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\">=\"");
+                        }
+                      }
+                      if (result3 !== null) {
+                        result4 = [];
+                        result5 = parse_WS();
+                        while (result5 !== null) {
+                          result4.push(result5);
+                          result5 = parse_WS();
+                        }
+                        if (result4 !== null) {
+                          result5 = parse_AdditiveExpression();
+                          if (result5 !== null) {
+                            result2 = [result2, result3, result4, result5];
+                          } else {
+                            result2 = null;
+                            pos = pos2;
+                          }
+                        } else {
+                          result2 = null;
+                          pos = pos2;
+                        }
+                      } else {
+                        result2 = null;
+                        pos = pos2;
+                      }
+                    } else {
+                      result2 = null;
+                      pos = pos2;
+                    }
+                    if (result2 === null) {
+                      pos2 = pos;
+                      result2 = [];
+                      result3 = parse_WS();
+                      while (result3 !== null) {
+                        result2.push(result3);
+                        result3 = parse_WS();
+                      }
+                      if (result2 !== null) {
+                        if (input.charCodeAt(pos) === 73) {
+                          result3 = "I";
+                          pos++;
+                        } else {
+                          result3 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\"I\"");
+                          }
+                        }
+                        if (result3 === null) {
+                          if (input.charCodeAt(pos) === 105) {
+                            result3 = "i";
+                            pos++;
+                          } else {
+                            result3 = null;
+                            if (reportFailures === 0) {
+                              matchFailed("\"i\"");
+                            }
+                          }
+                        }
+                        if (result3 !== null) {
+                          if (input.charCodeAt(pos) === 78) {
+                            result4 = "N";
+                            pos++;
+                          } else {
+                            result4 = null;
+                            if (reportFailures === 0) {
+                              matchFailed("\"N\"");
+                            }
+                          }
+                          if (result4 === null) {
+                            if (input.charCodeAt(pos) === 110) {
+                              result4 = "n";
+                              pos++;
+                            } else {
+                              result4 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\"n\"");
+                              }
+                            }
+                          }
+                          if (result4 !== null) {
+                            result5 = [];
+                            result6 = parse_WS();
+                            while (result6 !== null) {
+                              result5.push(result6);
+                              result6 = parse_WS();
+                            }
+                            if (result5 !== null) {
+                              result6 = parse_ExpressionList();
+                              if (result6 !== null) {
+                                result2 = [result2, result3, result4, result5, result6];
+                              } else {
+                                result2 = null;
+                                pos = pos2;
+                              }
+                            } else {
+                              result2 = null;
+                              pos = pos2;
+                            }
+                          } else {
+                            result2 = null;
+                            pos = pos2;
+                          }
+                        } else {
+                          result2 = null;
+                          pos = pos2;
+                        }
+                      } else {
+                        result2 = null;
+                        pos = pos2;
+                      }
+                      if (result2 === null) {
+                        pos2 = pos;
+                        result2 = [];
+                        result3 = parse_WS();
+                        while (result3 !== null) {
+                          result2.push(result3);
+                          result3 = parse_WS();
+                        }
+                        if (result2 !== null) {
+                          if (input.charCodeAt(pos) === 78) {
+                            result3 = "N";
+                            pos++;
+                          } else {
+                            result3 = null;
+                            if (reportFailures === 0) {
+                              matchFailed("\"N\"");
+                            }
+                          }
+                          if (result3 === null) {
+                            if (input.charCodeAt(pos) === 110) {
+                              result3 = "n";
+                              pos++;
+                            } else {
+                              result3 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\"n\"");
+                              }
+                            }
+                          }
+                          if (result3 !== null) {
+                            if (input.charCodeAt(pos) === 79) {
+                              result4 = "O";
+                              pos++;
+                            } else {
+                              result4 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\"O\"");
+                              }
+                            }
+                            if (result4 === null) {
+                              if (input.charCodeAt(pos) === 111) {
+                                result4 = "o";
+                                pos++;
+                              } else {
+                                result4 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\"o\"");
+                                }
+                              }
+                            }
+                            if (result4 !== null) {
+                              if (input.charCodeAt(pos) === 84) {
+                                result5 = "T";
+                                pos++;
+                              } else {
+                                result5 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\"T\"");
+                                }
+                              }
+                              if (result5 === null) {
+                                if (input.charCodeAt(pos) === 116) {
+                                  result5 = "t";
+                                  pos++;
+                                } else {
+                                  result5 = null;
+                                  if (reportFailures === 0) {
+                                    matchFailed("\"t\"");
+                                  }
+                                }
+                              }
+                              if (result5 !== null) {
+                                result6 = [];
+                                result7 = parse_WS();
+                                while (result7 !== null) {
+                                  result6.push(result7);
+                                  result7 = parse_WS();
+                                }
+                                if (result6 !== null) {
+                                  if (input.charCodeAt(pos) === 73) {
+                                    result7 = "I";
+                                    pos++;
+                                  } else {
+                                    result7 = null;
+                                    if (reportFailures === 0) {
+                                      matchFailed("\"I\"");
+                                    }
+                                  }
+                                  if (result7 === null) {
+                                    if (input.charCodeAt(pos) === 105) {
+                                      result7 = "i";
+                                      pos++;
+                                    } else {
+                                      result7 = null;
+                                      if (reportFailures === 0) {
+                                        matchFailed("\"i\"");
+                                      }
+                                    }
+                                  }
+                                  if (result7 !== null) {
+                                    if (input.charCodeAt(pos) === 78) {
+                                      result8 = "N";
+                                      pos++;
+                                    } else {
+                                      result8 = null;
+                                      if (reportFailures === 0) {
+                                        matchFailed("\"N\"");
+                                      }
+                                    }
+                                    if (result8 === null) {
+                                      if (input.charCodeAt(pos) === 110) {
+                                        result8 = "n";
+                                        pos++;
+                                      } else {
+                                        result8 = null;
+                                        if (reportFailures === 0) {
+                                          matchFailed("\"n\"");
+                                        }
+                                      }
+                                    }
+                                    if (result8 !== null) {
+                                      result9 = [];
+                                      result10 = parse_WS();
+                                      while (result10 !== null) {
+                                        result9.push(result10);
+                                        result10 = parse_WS();
+                                      }
+                                      if (result9 !== null) {
+                                        result10 = parse_ExpressionList();
+                                        if (result10 !== null) {
+                                          result2 = [result2, result3, result4, result5, result6, result7, result8, result9, result10];
+                                        } else {
+                                          result2 = null;
+                                          pos = pos2;
+                                        }
+                                      } else {
+                                        result2 = null;
+                                        pos = pos2;
+                                      }
+                                    } else {
+                                      result2 = null;
+                                      pos = pos2;
+                                    }
+                                  } else {
+                                    result2 = null;
+                                    pos = pos2;
+                                  }
+                                } else {
+                                  result2 = null;
+                                  pos = pos2;
+                                }
+                              } else {
+                                result2 = null;
+                                pos = pos2;
+                              }
+                            } else {
+                              result2 = null;
+                              pos = pos2;
+                            }
+                          } else {
+                            result2 = null;
+                            pos = pos2;
+                          }
+                        } else {
+                          result2 = null;
+                          pos = pos2;
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+          while (result2 !== null) {
+            result1.push(result2);
+            pos2 = pos;
+            result2 = [];
+            result3 = parse_WS();
+            while (result3 !== null) {
+              result2.push(result3);
+              result3 = parse_WS();
+            }
+            if (result2 !== null) {
+              if (input.charCodeAt(pos) === 61) {
+                result3 = "=";
+                pos++;
+              } else {
+                result3 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"=\"");
+                }
+              }
+              if (result3 !== null) {
+                result4 = [];
+                result5 = parse_WS();
+                while (result5 !== null) {
+                  result4.push(result5);
+                  result5 = parse_WS();
+                }
+                if (result4 !== null) {
+                  result5 = parse_AdditiveExpression();
+                  if (result5 !== null) {
+                    result2 = [result2, result3, result4, result5];
+                  } else {
+                    result2 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+              } else {
+                result2 = null;
+                pos = pos2;
+              }
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+            if (result2 === null) {
+              pos2 = pos;
+              result2 = [];
+              result3 = parse_WS();
+              while (result3 !== null) {
+                result2.push(result3);
+                result3 = parse_WS();
+              }
+              if (result2 !== null) {
+                if (input.substr(pos, 2) === "!=") {
+                  result3 = "!=";
+                  pos += 2;
+                } else {
+                  result3 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"!=\"");
+                  }
+                }
+                if (result3 !== null) {
+                  result4 = [];
+                  result5 = parse_WS();
+                  while (result5 !== null) {
+                    result4.push(result5);
+                    result5 = parse_WS();
+                  }
+                  if (result4 !== null) {
+                    result5 = parse_AdditiveExpression();
+                    if (result5 !== null) {
+                      result2 = [result2, result3, result4, result5];
+                    } else {
+                      result2 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result2 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+              } else {
+                result2 = null;
+                pos = pos2;
+              }
+              if (result2 === null) {
+                pos2 = pos;
+                result2 = [];
+                result3 = parse_WS();
+                while (result3 !== null) {
+                  result2.push(result3);
+                  result3 = parse_WS();
+                }
+                if (result2 !== null) {
+                  if (input.charCodeAt(pos) === 60) {
+                    result3 = "<";
+                    pos++;
+                  } else {
+                    result3 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"<\"");
+                    }
+                  }
+                  if (result3 !== null) {
+                    result4 = [];
+                    result5 = parse_WS();
+                    while (result5 !== null) {
+                      result4.push(result5);
+                      result5 = parse_WS();
+                    }
+                    if (result4 !== null) {
+                      result5 = parse_AdditiveExpression();
+                      if (result5 !== null) {
+                        result2 = [result2, result3, result4, result5];
+                      } else {
+                        result2 = null;
+                        pos = pos2;
+                      }
+                    } else {
+                      result2 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result2 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result2 = null;
+                  pos = pos2;
+                }
+                if (result2 === null) {
+                  pos2 = pos;
+                  result2 = [];
+                  result3 = parse_WS();
+                  while (result3 !== null) {
+                    result2.push(result3);
+                    result3 = parse_WS();
+                  }
+                  if (result2 !== null) {
+                    if (input.charCodeAt(pos) === 62) {
+                      result3 = ">";
+                      pos++;
+                    } else {
+                      result3 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\">\"");
+                      }
+                    }
+                    if (result3 !== null) {
+                      result4 = [];
+                      result5 = parse_WS();
+                      while (result5 !== null) {
+                        result4.push(result5);
+                        result5 = parse_WS();
+                      }
+                      if (result4 !== null) {
+                        result5 = parse_AdditiveExpression();
+                        if (result5 !== null) {
+                          result2 = [result2, result3, result4, result5];
+                        } else {
+                          result2 = null;
+                          pos = pos2;
+                        }
+                      } else {
+                        result2 = null;
+                        pos = pos2;
+                      }
+                    } else {
+                      result2 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result2 = null;
+                    pos = pos2;
+                  }
+                  if (result2 === null) {
+                    pos2 = pos;
+                    result2 = [];
+                    result3 = parse_WS();
+                    while (result3 !== null) {
+                      result2.push(result3);
+                      result3 = parse_WS();
+                    }
+                    if (result2 !== null) {
+                      if (input.substr(pos, 2) === "<=") {
+                        result3 = "<=";
+                        pos += 2;
+                      } else {
+                        result3 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"<=\"");
+                        }
+                      }
+                      if (result3 !== null) {
+                        result4 = [];
+                        result5 = parse_WS();
+                        while (result5 !== null) {
+                          result4.push(result5);
+                          result5 = parse_WS();
+                        }
+                        if (result4 !== null) {
+                          result5 = parse_AdditiveExpression();
+                          if (result5 !== null) {
+                            result2 = [result2, result3, result4, result5];
+                          } else {
+                            result2 = null;
+                            pos = pos2;
+                          }
+                        } else {
+                          result2 = null;
+                          pos = pos2;
+                        }
+                      } else {
+                        result2 = null;
+                        pos = pos2;
+                      }
+                    } else {
+                      result2 = null;
+                      pos = pos2;
+                    }
+                    if (result2 === null) {
+                      pos2 = pos;
+                      result2 = [];
+                      result3 = parse_WS();
+                      while (result3 !== null) {
+                        result2.push(result3);
+                        result3 = parse_WS();
+                      }
+                      if (result2 !== null) {
+                        if (input.substr(pos, 2) === ">=") {
+                          result3 = ">=";
+                          pos += 2;
+                        } else {
+                          result3 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\">=\"");
+                          }
+                        }
+                        if (result3 !== null) {
+                          result4 = [];
+                          result5 = parse_WS();
+                          while (result5 !== null) {
+                            result4.push(result5);
+                            result5 = parse_WS();
+                          }
+                          if (result4 !== null) {
+                            result5 = parse_AdditiveExpression();
+                            if (result5 !== null) {
+                              result2 = [result2, result3, result4, result5];
+                            } else {
+                              result2 = null;
+                              pos = pos2;
+                            }
+                          } else {
+                            result2 = null;
+                            pos = pos2;
+                          }
+                        } else {
+                          result2 = null;
+                          pos = pos2;
+                        }
+                      } else {
+                        result2 = null;
+                        pos = pos2;
+                      }
+                      if (result2 === null) {
+                        pos2 = pos;
+                        result2 = [];
+                        result3 = parse_WS();
                         while (result3 !== null) {
                           result2.push(result3);
                           result3 = parse_WS();
@@ -11432,7 +13778,7 @@ SparqlParser.parser = (function(){
       }
       
       function parse_BuiltInCall() {
-        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11, result12, result13, result14;
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11, result12, result13, result14, result15, result16;
         var pos0, pos1, pos2;
         
         reportFailures++;
@@ -11973,18 +14319,246 @@ SparqlParser.parser = (function(){
                             result5.push(result6);
                             result6 = parse_WS();
                           }
-                          if (result5 !== null) {
-                            if (input.charCodeAt(pos) === 41) {
-                              result6 = ")";
-                              pos++;
-                            } else {
-                              result6 = null;
-                              if (reportFailures === 0) {
-                                matchFailed("\")\"");
+                          if (result5 !== null) {
+                            if (input.charCodeAt(pos) === 41) {
+                              result6 = ")";
+                              pos++;
+                            } else {
+                              result6 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\")\"");
+                              }
+                            }
+                            if (result6 !== null) {
+                              result0 = [result0, result1, result2, result3, result4, result5, result6];
+                            } else {
+                              result0 = null;
+                              pos = pos1;
+                            }
+                          } else {
+                            result0 = null;
+                            pos = pos1;
+                          }
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+                if (result0 !== null) {
+                  result0 = (function(offset, v) {
+                      var ex = {};
+                      ex.token = 'expression'
+                      ex.expressionType = 'builtincall'
+                      ex.builtincall = 'bound'
+                      ex.args = [v]
+                
+                      return ex;
+                })(pos0, result0[4]);
+                }
+                if (result0 === null) {
+                  pos = pos0;
+                }
+                if (result0 === null) {
+                  pos0 = pos;
+                  pos1 = pos;
+                  if (input.substr(pos, 3) === "IRI") {
+                    result0 = "IRI";
+                    pos += 3;
+                  } else {
+                    result0 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"IRI\"");
+                    }
+                  }
+                  if (result0 === null) {
+                    if (input.substr(pos, 3) === "iri") {
+                      result0 = "iri";
+                      pos += 3;
+                    } else {
+                      result0 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"iri\"");
+                      }
+                    }
+                  }
+                  if (result0 !== null) {
+                    result1 = [];
+                    result2 = parse_WS();
+                    while (result2 !== null) {
+                      result1.push(result2);
+                      result2 = parse_WS();
+                    }
+                    if (result1 !== null) {
+                      if (input.charCodeAt(pos) === 40) {
+                        result2 = "(";
+                        pos++;
+                      } else {
+                        result2 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"(\"");
+                        }
+                      }
+                      if (result2 !== null) {
+                        result3 = [];
+                        result4 = parse_WS();
+                        while (result4 !== null) {
+                          result3.push(result4);
+                          result4 = parse_WS();
+                        }
+                        if (result3 !== null) {
+                          result4 = parse_ConditionalOrExpression();
+                          if (result4 !== null) {
+                            result5 = [];
+                            result6 = parse_WS();
+                            while (result6 !== null) {
+                              result5.push(result6);
+                              result6 = parse_WS();
+                            }
+                            if (result5 !== null) {
+                              if (input.charCodeAt(pos) === 41) {
+                                result6 = ")";
+                                pos++;
+                              } else {
+                                result6 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\")\"");
+                                }
+                              }
+                              if (result6 !== null) {
+                                result0 = [result0, result1, result2, result3, result4, result5, result6];
+                              } else {
+                                result0 = null;
+                                pos = pos1;
+                              }
+                            } else {
+                              result0 = null;
+                              pos = pos1;
+                            }
+                          } else {
+                            result0 = null;
+                            pos = pos1;
+                          }
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                  if (result0 !== null) {
+                    result0 = (function(offset, e) {
+                        var ex = {};
+                        ex.token = 'expression';
+                        ex.expressionType = 'builtincall';
+                        ex.builtincall = 'iri'
+                        ex.args = [e];
+                  
+                        return ex;
+                  })(pos0, result0[4]);
+                  }
+                  if (result0 === null) {
+                    pos = pos0;
+                  }
+                  if (result0 === null) {
+                    pos0 = pos;
+                    pos1 = pos;
+                    if (input.substr(pos, 3) === "URI") {
+                      result0 = "URI";
+                      pos += 3;
+                    } else {
+                      result0 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"URI\"");
+                      }
+                    }
+                    if (result0 === null) {
+                      if (input.substr(pos, 3) === "uri") {
+                        result0 = "uri";
+                        pos += 3;
+                      } else {
+                        result0 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"uri\"");
+                        }
+                      }
+                    }
+                    if (result0 !== null) {
+                      result1 = [];
+                      result2 = parse_WS();
+                      while (result2 !== null) {
+                        result1.push(result2);
+                        result2 = parse_WS();
+                      }
+                      if (result1 !== null) {
+                        if (input.charCodeAt(pos) === 40) {
+                          result2 = "(";
+                          pos++;
+                        } else {
+                          result2 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\"(\"");
+                          }
+                        }
+                        if (result2 !== null) {
+                          result3 = [];
+                          result4 = parse_WS();
+                          while (result4 !== null) {
+                            result3.push(result4);
+                            result4 = parse_WS();
+                          }
+                          if (result3 !== null) {
+                            result4 = parse_ConditionalOrExpression();
+                            if (result4 !== null) {
+                              result5 = [];
+                              result6 = parse_WS();
+                              while (result6 !== null) {
+                                result5.push(result6);
+                                result6 = parse_WS();
+                              }
+                              if (result5 !== null) {
+                                if (input.charCodeAt(pos) === 41) {
+                                  result6 = ")";
+                                  pos++;
+                                } else {
+                                  result6 = null;
+                                  if (reportFailures === 0) {
+                                    matchFailed("\")\"");
+                                  }
+                                }
+                                if (result6 !== null) {
+                                  result0 = [result0, result1, result2, result3, result4, result5, result6];
+                                } else {
+                                  result0 = null;
+                                  pos = pos1;
+                                }
+                              } else {
+                                result0 = null;
+                                pos = pos1;
                               }
-                            }
-                            if (result6 !== null) {
-                              result0 = [result0, result1, result2, result3, result4, result5, result6];
                             } else {
                               result0 = null;
                               pos = pos1;
@@ -12005,100 +14579,178 @@ SparqlParser.parser = (function(){
                       result0 = null;
                       pos = pos1;
                     }
-                  } else {
-                    result0 = null;
-                    pos = pos1;
-                  }
-                } else {
-                  result0 = null;
-                  pos = pos1;
-                }
-                if (result0 !== null) {
-                  result0 = (function(offset, v) {
-                      var ex = {};
-                      ex.token = 'expression'
-                      ex.expressionType = 'builtincall'
-                      ex.builtincall = 'bound'
-                      ex.args = [v]
-                
-                      return ex;
-                })(pos0, result0[4]);
-                }
-                if (result0 === null) {
-                  pos = pos0;
-                }
-                if (result0 === null) {
-                  pos0 = pos;
-                  pos1 = pos;
-                  if (input.substr(pos, 3) === "IRI") {
-                    result0 = "IRI";
-                    pos += 3;
-                  } else {
-                    result0 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\"IRI\"");
-                    }
-                  }
-                  if (result0 === null) {
-                    if (input.substr(pos, 3) === "iri") {
-                      result0 = "iri";
-                      pos += 3;
-                    } else {
-                      result0 = null;
-                      if (reportFailures === 0) {
-                        matchFailed("\"iri\"");
-                      }
+                    if (result0 !== null) {
+                      result0 = (function(offset, e) {
+                          var ex = {};
+                          ex.token = 'expression';
+                          ex.expressionType = 'builtincall';
+                          ex.builtincall = 'uri'
+                          ex.args = [e];
+                    
+                          return ex;
+                    })(pos0, result0[4]);
                     }
-                  }
-                  if (result0 !== null) {
-                    result1 = [];
-                    result2 = parse_WS();
-                    while (result2 !== null) {
-                      result1.push(result2);
-                      result2 = parse_WS();
+                    if (result0 === null) {
+                      pos = pos0;
                     }
-                    if (result1 !== null) {
-                      if (input.charCodeAt(pos) === 40) {
-                        result2 = "(";
-                        pos++;
+                    if (result0 === null) {
+                      pos0 = pos;
+                      pos1 = pos;
+                      if (input.substr(pos, 5) === "BNODE") {
+                        result0 = "BNODE";
+                        pos += 5;
                       } else {
-                        result2 = null;
+                        result0 = null;
                         if (reportFailures === 0) {
-                          matchFailed("\"(\"");
+                          matchFailed("\"BNODE\"");
                         }
                       }
-                      if (result2 !== null) {
-                        result3 = [];
-                        result4 = parse_WS();
-                        while (result4 !== null) {
-                          result3.push(result4);
-                          result4 = parse_WS();
+                      if (result0 === null) {
+                        if (input.substr(pos, 5) === "bnode") {
+                          result0 = "bnode";
+                          pos += 5;
+                        } else {
+                          result0 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\"bnode\"");
+                          }
                         }
-                        if (result3 !== null) {
-                          result4 = parse_ConditionalOrExpression();
-                          if (result4 !== null) {
-                            result5 = [];
-                            result6 = parse_WS();
-                            while (result6 !== null) {
-                              result5.push(result6);
-                              result6 = parse_WS();
+                      }
+                      if (result0 !== null) {
+                        result1 = [];
+                        result2 = parse_WS();
+                        while (result2 !== null) {
+                          result1.push(result2);
+                          result2 = parse_WS();
+                        }
+                        if (result1 !== null) {
+                          pos2 = pos;
+                          if (input.charCodeAt(pos) === 40) {
+                            result2 = "(";
+                            pos++;
+                          } else {
+                            result2 = null;
+                            if (reportFailures === 0) {
+                              matchFailed("\"(\"");
+                            }
+                          }
+                          if (result2 !== null) {
+                            result3 = [];
+                            result4 = parse_WS();
+                            while (result4 !== null) {
+                              result3.push(result4);
+                              result4 = parse_WS();
+                            }
+                            if (result3 !== null) {
+                              result4 = parse_ConditionalOrExpression();
+                              if (result4 !== null) {
+                                result5 = [];
+                                result6 = parse_WS();
+                                while (result6 !== null) {
+                                  result5.push(result6);
+                                  result6 = parse_WS();
+                                }
+                                if (result5 !== null) {
+                                  if (input.charCodeAt(pos) === 41) {
+                                    result6 = ")";
+                                    pos++;
+                                  } else {
+                                    result6 = null;
+                                    if (reportFailures === 0) {
+                                      matchFailed("\")\"");
+                                    }
+                                  }
+                                  if (result6 !== null) {
+                                    result2 = [result2, result3, result4, result5, result6];
+                                  } else {
+                                    result2 = null;
+                                    pos = pos2;
+                                  }
+                                } else {
+                                  result2 = null;
+                                  pos = pos2;
+                                }
+                              } else {
+                                result2 = null;
+                                pos = pos2;
+                              }
+                            } else {
+                              result2 = null;
+                              pos = pos2;
+                            }
+                          } else {
+                            result2 = null;
+                            pos = pos2;
+                          }
+                          if (result2 === null) {
+                            result2 = parse_NIL();
+                          }
+                          if (result2 !== null) {
+                            result0 = [result0, result1, result2];
+                          } else {
+                            result0 = null;
+                            pos = pos1;
+                          }
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                      if (result0 !== null) {
+                        result0 = (function(offset, arg) {
+                            var ex = {};
+                            ex.token = 'expression';
+                            ex.expressionType = 'builtincall';
+                            ex.builtincall = 'bnode';
+                            if(arg.length === 5) {
+                                ex.args = [arg[2]];
+                            } else {
+                                ex.args = null;
+                            }
+                      
+                            return ex;
+                      })(pos0, result0[2]);
+                      }
+                      if (result0 === null) {
+                        pos = pos0;
+                      }
+                      if (result0 === null) {
+                        pos0 = pos;
+                        pos1 = pos;
+                        if (input.substr(pos, 8) === "COALESCE") {
+                          result0 = "COALESCE";
+                          pos += 8;
+                        } else {
+                          result0 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\"COALESCE\"");
+                          }
+                        }
+                        if (result0 === null) {
+                          if (input.substr(pos, 8) === "coalesce") {
+                            result0 = "coalesce";
+                            pos += 8;
+                          } else {
+                            result0 = null;
+                            if (reportFailures === 0) {
+                              matchFailed("\"coalesce\"");
                             }
-                            if (result5 !== null) {
-                              if (input.charCodeAt(pos) === 41) {
-                                result6 = ")";
-                                pos++;
-                              } else {
-                                result6 = null;
-                                if (reportFailures === 0) {
-                                  matchFailed("\")\"");
-                                }
-                              }
-                              if (result6 !== null) {
-                                result0 = [result0, result1, result2, result3, result4, result5, result6];
-                              } else {
-                                result0 = null;
-                                pos = pos1;
-                              }
+                          }
+                        }
+                        if (result0 !== null) {
+                          result1 = [];
+                          result2 = parse_WS();
+                          while (result2 !== null) {
+                            result1.push(result2);
+                            result2 = parse_WS();
+                          }
+                          if (result1 !== null) {
+                            result2 = parse_ExpressionList();
+                            if (result2 !== null) {
+                              result0 = [result0, result1, result2];
                             } else {
                               result0 = null;
                               pos = pos1;
@@ -12111,100 +14763,298 @@ SparqlParser.parser = (function(){
                           result0 = null;
                           pos = pos1;
                         }
-                      } else {
-                        result0 = null;
-                        pos = pos1;
-                      }
-                    } else {
-                      result0 = null;
-                      pos = pos1;
-                    }
-                  } else {
-                    result0 = null;
-                    pos = pos1;
-                  }
-                  if (result0 !== null) {
-                    result0 = (function(offset, e) {
-                        var ex = {};
-                        ex.token = 'expression';
-                        ex.expressionType = 'builtincall';
-                        ex.builtincall = 'iri'
-                        ex.args = [e];
-                  
-                        return ex;
-                  })(pos0, result0[4]);
-                  }
-                  if (result0 === null) {
-                    pos = pos0;
-                  }
-                  if (result0 === null) {
-                    pos0 = pos;
-                    pos1 = pos;
-                    if (input.substr(pos, 3) === "URI") {
-                      result0 = "URI";
-                      pos += 3;
-                    } else {
-                      result0 = null;
-                      if (reportFailures === 0) {
-                        matchFailed("\"URI\"");
-                      }
-                    }
-                    if (result0 === null) {
-                      if (input.substr(pos, 3) === "uri") {
-                        result0 = "uri";
-                        pos += 3;
-                      } else {
-                        result0 = null;
-                        if (reportFailures === 0) {
-                          matchFailed("\"uri\"");
+                        if (result0 !== null) {
+                          result0 = (function(offset, args) {
+                              var ex = {};
+                              ex.token = 'expression';
+                              ex.expressionType = 'builtincall';
+                              ex.builtincall = 'coalesce';
+                              ex.args = args.value;
+                        
+                              return ex;    
+                        })(pos0, result0[2]);
                         }
-                      }
-                    }
-                    if (result0 !== null) {
-                      result1 = [];
-                      result2 = parse_WS();
-                      while (result2 !== null) {
-                        result1.push(result2);
-                        result2 = parse_WS();
-                      }
-                      if (result1 !== null) {
-                        if (input.charCodeAt(pos) === 40) {
-                          result2 = "(";
-                          pos++;
-                        } else {
-                          result2 = null;
-                          if (reportFailures === 0) {
-                            matchFailed("\"(\"");
+                        if (result0 === null) {
+                          pos = pos0;
+                        }
+                        if (result0 === null) {
+                          pos0 = pos;
+                          pos1 = pos;
+                          if (input.substr(pos, 2) === "IF") {
+                            result0 = "IF";
+                            pos += 2;
+                          } else {
+                            result0 = null;
+                            if (reportFailures === 0) {
+                              matchFailed("\"IF\"");
+                            }
+                          }
+                          if (result0 === null) {
+                            if (input.substr(pos, 2) === "if") {
+                              result0 = "if";
+                              pos += 2;
+                            } else {
+                              result0 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\"if\"");
+                              }
+                            }
+                          }
+                          if (result0 !== null) {
+                            result1 = [];
+                            result2 = parse_WS();
+                            while (result2 !== null) {
+                              result1.push(result2);
+                              result2 = parse_WS();
+                            }
+                            if (result1 !== null) {
+                              if (input.charCodeAt(pos) === 40) {
+                                result2 = "(";
+                                pos++;
+                              } else {
+                                result2 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\"(\"");
+                                }
+                              }
+                              if (result2 !== null) {
+                                result3 = [];
+                                result4 = parse_WS();
+                                while (result4 !== null) {
+                                  result3.push(result4);
+                                  result4 = parse_WS();
+                                }
+                                if (result3 !== null) {
+                                  result4 = parse_ConditionalOrExpression();
+                                  if (result4 !== null) {
+                                    result5 = [];
+                                    result6 = parse_WS();
+                                    while (result6 !== null) {
+                                      result5.push(result6);
+                                      result6 = parse_WS();
+                                    }
+                                    if (result5 !== null) {
+                                      if (input.charCodeAt(pos) === 44) {
+                                        result6 = ",";
+                                        pos++;
+                                      } else {
+                                        result6 = null;
+                                        if (reportFailures === 0) {
+                                          matchFailed("\",\"");
+                                        }
+                                      }
+                                      if (result6 !== null) {
+                                        result7 = [];
+                                        result8 = parse_WS();
+                                        while (result8 !== null) {
+                                          result7.push(result8);
+                                          result8 = parse_WS();
+                                        }
+                                        if (result7 !== null) {
+                                          result8 = parse_ConditionalOrExpression();
+                                          if (result8 !== null) {
+                                            result9 = [];
+                                            result10 = parse_WS();
+                                            while (result10 !== null) {
+                                              result9.push(result10);
+                                              result10 = parse_WS();
+                                            }
+                                            if (result9 !== null) {
+                                              if (input.charCodeAt(pos) === 44) {
+                                                result10 = ",";
+                                                pos++;
+                                              } else {
+                                                result10 = null;
+                                                if (reportFailures === 0) {
+                                                  matchFailed("\",\"");
+                                                }
+                                              }
+                                              if (result10 !== null) {
+                                                result11 = [];
+                                                result12 = parse_WS();
+                                                while (result12 !== null) {
+                                                  result11.push(result12);
+                                                  result12 = parse_WS();
+                                                }
+                                                if (result11 !== null) {
+                                                  result12 = parse_ConditionalOrExpression();
+                                                  if (result12 !== null) {
+                                                    result13 = [];
+                                                    result14 = parse_WS();
+                                                    while (result14 !== null) {
+                                                      result13.push(result14);
+                                                      result14 = parse_WS();
+                                                    }
+                                                    if (result13 !== null) {
+                                                      if (input.charCodeAt(pos) === 41) {
+                                                        result14 = ")";
+                                                        pos++;
+                                                      } else {
+                                                        result14 = null;
+                                                        if (reportFailures === 0) {
+                                                          matchFailed("\")\"");
+                                                        }
+                                                      }
+                                                      if (result14 !== null) {
+                                                        result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11, result12, result13, result14];
+                                                      } else {
+                                                        result0 = null;
+                                                        pos = pos1;
+                                                      }
+                                                    } else {
+                                                      result0 = null;
+                                                      pos = pos1;
+                                                    }
+                                                  } else {
+                                                    result0 = null;
+                                                    pos = pos1;
+                                                  }
+                                                } else {
+                                                  result0 = null;
+                                                  pos = pos1;
+                                                }
+                                              } else {
+                                                result0 = null;
+                                                pos = pos1;
+                                              }
+                                            } else {
+                                              result0 = null;
+                                              pos = pos1;
+                                            }
+                                          } else {
+                                            result0 = null;
+                                            pos = pos1;
+                                          }
+                                        } else {
+                                          result0 = null;
+                                          pos = pos1;
+                                        }
+                                      } else {
+                                        result0 = null;
+                                        pos = pos1;
+                                      }
+                                    } else {
+                                      result0 = null;
+                                      pos = pos1;
+                                    }
+                                  } else {
+                                    result0 = null;
+                                    pos = pos1;
+                                  }
+                                } else {
+                                  result0 = null;
+                                  pos = pos1;
+                                }
+                              } else {
+                                result0 = null;
+                                pos = pos1;
+                              }
+                            } else {
+                              result0 = null;
+                              pos = pos1;
+                            }
+                          } else {
+                            result0 = null;
+                            pos = pos1;
                           }
-                        }
-                        if (result2 !== null) {
-                          result3 = [];
-                          result4 = parse_WS();
-                          while (result4 !== null) {
-                            result3.push(result4);
-                            result4 = parse_WS();
+                          if (result0 !== null) {
+                            result0 = (function(offset, test, trueCond, falseCond) {
+                              var ex = {};
+                              ex.token = 'expression';
+                              ex.expressionType = 'builtincall';
+                              ex.builtincall = 'if';
+                              ex.args = [test,trueCond,falseCond];
+                          
+                              return ex;
+                          })(pos0, result0[4], result0[8], result0[12]);
                           }
-                          if (result3 !== null) {
-                            result4 = parse_ConditionalOrExpression();
-                            if (result4 !== null) {
-                              result5 = [];
-                              result6 = parse_WS();
-                              while (result6 !== null) {
-                                result5.push(result6);
-                                result6 = parse_WS();
+                          if (result0 === null) {
+                            pos = pos0;
+                          }
+                          if (result0 === null) {
+                            pos0 = pos;
+                            pos1 = pos;
+                            if (input.substr(pos, 9) === "ISLITERAL") {
+                              result0 = "ISLITERAL";
+                              pos += 9;
+                            } else {
+                              result0 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\"ISLITERAL\"");
                               }
-                              if (result5 !== null) {
-                                if (input.charCodeAt(pos) === 41) {
-                                  result6 = ")";
+                            }
+                            if (result0 === null) {
+                              if (input.substr(pos, 9) === "isliteral") {
+                                result0 = "isliteral";
+                                pos += 9;
+                              } else {
+                                result0 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\"isliteral\"");
+                                }
+                              }
+                            }
+                            if (result0 !== null) {
+                              result1 = [];
+                              result2 = parse_WS();
+                              while (result2 !== null) {
+                                result1.push(result2);
+                                result2 = parse_WS();
+                              }
+                              if (result1 !== null) {
+                                if (input.charCodeAt(pos) === 40) {
+                                  result2 = "(";
                                   pos++;
                                 } else {
-                                  result6 = null;
+                                  result2 = null;
                                   if (reportFailures === 0) {
-                                    matchFailed("\")\"");
+                                    matchFailed("\"(\"");
                                   }
                                 }
-                                if (result6 !== null) {
-                                  result0 = [result0, result1, result2, result3, result4, result5, result6];
+                                if (result2 !== null) {
+                                  result3 = [];
+                                  result4 = parse_WS();
+                                  while (result4 !== null) {
+                                    result3.push(result4);
+                                    result4 = parse_WS();
+                                  }
+                                  if (result3 !== null) {
+                                    result4 = parse_ConditionalOrExpression();
+                                    if (result4 !== null) {
+                                      result5 = [];
+                                      result6 = parse_WS();
+                                      while (result6 !== null) {
+                                        result5.push(result6);
+                                        result6 = parse_WS();
+                                      }
+                                      if (result5 !== null) {
+                                        if (input.charCodeAt(pos) === 41) {
+                                          result6 = ")";
+                                          pos++;
+                                        } else {
+                                          result6 = null;
+                                          if (reportFailures === 0) {
+                                            matchFailed("\")\"");
+                                          }
+                                        }
+                                        if (result6 !== null) {
+                                          result0 = [result0, result1, result2, result3, result4, result5, result6];
+                                        } else {
+                                          result0 = null;
+                                          pos = pos1;
+                                        }
+                                      } else {
+                                        result0 = null;
+                                        pos = pos1;
+                                      }
+                                    } else {
+                                      result0 = null;
+                                      pos = pos1;
+                                    }
+                                  } else {
+                                    result0 = null;
+                                    pos = pos1;
+                                  }
                                 } else {
                                   result0 = null;
                                   pos = pos1;
@@ -12217,344 +15067,224 @@ SparqlParser.parser = (function(){
                               result0 = null;
                               pos = pos1;
                             }
-                          } else {
-                            result0 = null;
-                            pos = pos1;
-                          }
-                        } else {
-                          result0 = null;
-                          pos = pos1;
-                        }
-                      } else {
-                        result0 = null;
-                        pos = pos1;
-                      }
-                    } else {
-                      result0 = null;
-                      pos = pos1;
-                    }
-                    if (result0 !== null) {
-                      result0 = (function(offset, e) {
-                          var ex = {};
-                          ex.token = 'expression';
-                          ex.expressionType = 'builtincall';
-                          ex.builtincall = 'uri'
-                          ex.args = [e];
-                    
-                          return ex;
-                    })(pos0, result0[4]);
-                    }
-                    if (result0 === null) {
-                      pos = pos0;
-                    }
-                    if (result0 === null) {
-                      pos0 = pos;
-                      pos1 = pos;
-                      if (input.substr(pos, 5) === "BNODE") {
-                        result0 = "BNODE";
-                        pos += 5;
-                      } else {
-                        result0 = null;
-                        if (reportFailures === 0) {
-                          matchFailed("\"BNODE\"");
-                        }
-                      }
-                      if (result0 === null) {
-                        if (input.substr(pos, 5) === "bnode") {
-                          result0 = "bnode";
-                          pos += 5;
-                        } else {
-                          result0 = null;
-                          if (reportFailures === 0) {
-                            matchFailed("\"bnode\"");
-                          }
-                        }
-                      }
-                      if (result0 !== null) {
-                        result1 = [];
-                        result2 = parse_WS();
-                        while (result2 !== null) {
-                          result1.push(result2);
-                          result2 = parse_WS();
-                        }
-                        if (result1 !== null) {
-                          pos2 = pos;
-                          if (input.charCodeAt(pos) === 40) {
-                            result2 = "(";
-                            pos++;
-                          } else {
-                            result2 = null;
-                            if (reportFailures === 0) {
-                              matchFailed("\"(\"");
+                            if (result0 !== null) {
+                              result0 = (function(offset, arg) {
+                                var ex = {};
+                                ex.token = 'expression';
+                                ex.expressionType = 'builtincall';
+                                ex.builtincall = 'isliteral';
+                                ex.args = [arg];
+                            
+                                return ex;
+                            })(pos0, result0[4]);
                             }
-                          }
-                          if (result2 !== null) {
-                            result3 = [];
-                            result4 = parse_WS();
-                            while (result4 !== null) {
-                              result3.push(result4);
-                              result4 = parse_WS();
+                            if (result0 === null) {
+                              pos = pos0;
                             }
-                            if (result3 !== null) {
-                              result4 = parse_ConditionalOrExpression();
-                              if (result4 !== null) {
-                                result5 = [];
-                                result6 = parse_WS();
-                                while (result6 !== null) {
-                                  result5.push(result6);
-                                  result6 = parse_WS();
+                            if (result0 === null) {
+                              pos0 = pos;
+                              pos1 = pos;
+                              if (input.substr(pos, 7) === "ISBLANK") {
+                                result0 = "ISBLANK";
+                                pos += 7;
+                              } else {
+                                result0 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\"ISBLANK\"");
+                                }
+                              }
+                              if (result0 === null) {
+                                if (input.substr(pos, 7) === "isblank") {
+                                  result0 = "isblank";
+                                  pos += 7;
+                                } else {
+                                  result0 = null;
+                                  if (reportFailures === 0) {
+                                    matchFailed("\"isblank\"");
+                                  }
                                 }
-                                if (result5 !== null) {
-                                  if (input.charCodeAt(pos) === 41) {
-                                    result6 = ")";
+                              }
+                              if (result0 !== null) {
+                                result1 = [];
+                                result2 = parse_WS();
+                                while (result2 !== null) {
+                                  result1.push(result2);
+                                  result2 = parse_WS();
+                                }
+                                if (result1 !== null) {
+                                  if (input.charCodeAt(pos) === 40) {
+                                    result2 = "(";
                                     pos++;
                                   } else {
-                                    result6 = null;
+                                    result2 = null;
                                     if (reportFailures === 0) {
-                                      matchFailed("\")\"");
+                                      matchFailed("\"(\"");
                                     }
                                   }
-                                  if (result6 !== null) {
-                                    result2 = [result2, result3, result4, result5, result6];
+                                  if (result2 !== null) {
+                                    result3 = [];
+                                    result4 = parse_WS();
+                                    while (result4 !== null) {
+                                      result3.push(result4);
+                                      result4 = parse_WS();
+                                    }
+                                    if (result3 !== null) {
+                                      result4 = parse_ConditionalOrExpression();
+                                      if (result4 !== null) {
+                                        result5 = [];
+                                        result6 = parse_WS();
+                                        while (result6 !== null) {
+                                          result5.push(result6);
+                                          result6 = parse_WS();
+                                        }
+                                        if (result5 !== null) {
+                                          if (input.charCodeAt(pos) === 41) {
+                                            result6 = ")";
+                                            pos++;
+                                          } else {
+                                            result6 = null;
+                                            if (reportFailures === 0) {
+                                              matchFailed("\")\"");
+                                            }
+                                          }
+                                          if (result6 !== null) {
+                                            result0 = [result0, result1, result2, result3, result4, result5, result6];
+                                          } else {
+                                            result0 = null;
+                                            pos = pos1;
+                                          }
+                                        } else {
+                                          result0 = null;
+                                          pos = pos1;
+                                        }
+                                      } else {
+                                        result0 = null;
+                                        pos = pos1;
+                                      }
+                                    } else {
+                                      result0 = null;
+                                      pos = pos1;
+                                    }
                                   } else {
-                                    result2 = null;
-                                    pos = pos2;
+                                    result0 = null;
+                                    pos = pos1;
                                   }
                                 } else {
-                                  result2 = null;
-                                  pos = pos2;
+                                  result0 = null;
+                                  pos = pos1;
                                 }
                               } else {
-                                result2 = null;
-                                pos = pos2;
+                                result0 = null;
+                                pos = pos1;
                               }
-                            } else {
-                              result2 = null;
-                              pos = pos2;
-                            }
-                          } else {
-                            result2 = null;
-                            pos = pos2;
-                          }
-                          if (result2 === null) {
-                            result2 = parse_NIL();
-                          }
-                          if (result2 !== null) {
-                            result0 = [result0, result1, result2];
-                          } else {
-                            result0 = null;
-                            pos = pos1;
-                          }
-                        } else {
-                          result0 = null;
-                          pos = pos1;
-                        }
-                      } else {
-                        result0 = null;
-                        pos = pos1;
-                      }
-                      if (result0 !== null) {
-                        result0 = (function(offset, arg) {
-                            var ex = {};
-                            ex.token = 'expression';
-                            ex.expressionType = 'builtincall';
-                            ex.builtincall = 'bnode';
-                            if(arg.length === 5) {
-                                ex.args = [arg[2]];
-                            } else {
-                                ex.args = null;
-                            }
-                      
-                            return ex;
-                      })(pos0, result0[2]);
-                      }
-                      if (result0 === null) {
-                        pos = pos0;
-                      }
-                      if (result0 === null) {
-                        pos0 = pos;
-                        pos1 = pos;
-                        if (input.substr(pos, 8) === "COALESCE") {
-                          result0 = "COALESCE";
-                          pos += 8;
-                        } else {
-                          result0 = null;
-                          if (reportFailures === 0) {
-                            matchFailed("\"COALESCE\"");
-                          }
-                        }
-                        if (result0 === null) {
-                          if (input.substr(pos, 8) === "coalesce") {
-                            result0 = "coalesce";
-                            pos += 8;
-                          } else {
-                            result0 = null;
-                            if (reportFailures === 0) {
-                              matchFailed("\"coalesce\"");
-                            }
-                          }
-                        }
-                        if (result0 !== null) {
-                          result1 = [];
-                          result2 = parse_WS();
-                          while (result2 !== null) {
-                            result1.push(result2);
-                            result2 = parse_WS();
-                          }
-                          if (result1 !== null) {
-                            result2 = parse_ExpressionList();
-                            if (result2 !== null) {
-                              result0 = [result0, result1, result2];
-                            } else {
-                              result0 = null;
-                              pos = pos1;
-                            }
-                          } else {
-                            result0 = null;
-                            pos = pos1;
-                          }
-                        } else {
-                          result0 = null;
-                          pos = pos1;
-                        }
-                        if (result0 !== null) {
-                          result0 = (function(offset, args) {
-                              var ex = {};
-                              ex.token = 'expression';
-                              ex.expressionType = 'builtincall';
-                              ex.builtincall = 'coalesce';
-                              ex.args = args;
-                        
-                              return ex;    
-                        })(pos0, result0[2]);
-                        }
-                        if (result0 === null) {
-                          pos = pos0;
-                        }
-                        if (result0 === null) {
-                          pos0 = pos;
-                          pos1 = pos;
-                          if (input.substr(pos, 2) === "IF") {
-                            result0 = "IF";
-                            pos += 2;
-                          } else {
-                            result0 = null;
-                            if (reportFailures === 0) {
-                              matchFailed("\"IF\"");
-                            }
-                          }
-                          if (result0 === null) {
-                            if (input.substr(pos, 2) === "if") {
-                              result0 = "if";
-                              pos += 2;
-                            } else {
-                              result0 = null;
-                              if (reportFailures === 0) {
-                                matchFailed("\"if\"");
+                              if (result0 !== null) {
+                                result0 = (function(offset, arg) {
+                                  var ex = {};
+                                  ex.token = 'expression';
+                                  ex.expressionType = 'builtincall';
+                                  ex.builtincall = 'isblank';
+                                  ex.args = [arg];
+                              
+                                  return ex;
+                              })(pos0, result0[4]);
                               }
-                            }
-                          }
-                          if (result0 !== null) {
-                            result1 = [];
-                            result2 = parse_WS();
-                            while (result2 !== null) {
-                              result1.push(result2);
-                              result2 = parse_WS();
-                            }
-                            if (result1 !== null) {
-                              if (input.charCodeAt(pos) === 40) {
-                                result2 = "(";
-                                pos++;
-                              } else {
-                                result2 = null;
-                                if (reportFailures === 0) {
-                                  matchFailed("\"(\"");
-                                }
+                              if (result0 === null) {
+                                pos = pos0;
                               }
-                              if (result2 !== null) {
-                                result3 = [];
-                                result4 = parse_WS();
-                                while (result4 !== null) {
-                                  result3.push(result4);
-                                  result4 = parse_WS();
+                              if (result0 === null) {
+                                pos0 = pos;
+                                pos1 = pos;
+                                if (input.substr(pos, 8) === "SAMETERM") {
+                                  result0 = "SAMETERM";
+                                  pos += 8;
+                                } else {
+                                  result0 = null;
+                                  if (reportFailures === 0) {
+                                    matchFailed("\"SAMETERM\"");
+                                  }
+                                }
+                                if (result0 === null) {
+                                  if (input.substr(pos, 8) === "sameterm") {
+                                    result0 = "sameterm";
+                                    pos += 8;
+                                  } else {
+                                    result0 = null;
+                                    if (reportFailures === 0) {
+                                      matchFailed("\"sameterm\"");
+                                    }
+                                  }
                                 }
-                                if (result3 !== null) {
-                                  result4 = parse_ConditionalOrExpression();
-                                  if (result4 !== null) {
-                                    result5 = [];
-                                    result6 = parse_WS();
-                                    while (result6 !== null) {
-                                      result5.push(result6);
-                                      result6 = parse_WS();
+                                if (result0 !== null) {
+                                  result1 = [];
+                                  result2 = parse_WS();
+                                  while (result2 !== null) {
+                                    result1.push(result2);
+                                    result2 = parse_WS();
+                                  }
+                                  if (result1 !== null) {
+                                    if (input.charCodeAt(pos) === 40) {
+                                      result2 = "(";
+                                      pos++;
+                                    } else {
+                                      result2 = null;
+                                      if (reportFailures === 0) {
+                                        matchFailed("\"(\"");
+                                      }
                                     }
-                                    if (result5 !== null) {
-                                      if (input.charCodeAt(pos) === 44) {
-                                        result6 = ",";
-                                        pos++;
-                                      } else {
-                                        result6 = null;
-                                        if (reportFailures === 0) {
-                                          matchFailed("\",\"");
-                                        }
+                                    if (result2 !== null) {
+                                      result3 = [];
+                                      result4 = parse_WS();
+                                      while (result4 !== null) {
+                                        result3.push(result4);
+                                        result4 = parse_WS();
                                       }
-                                      if (result6 !== null) {
-                                        result7 = [];
-                                        result8 = parse_WS();
-                                        while (result8 !== null) {
-                                          result7.push(result8);
-                                          result8 = parse_WS();
-                                        }
-                                        if (result7 !== null) {
-                                          result8 = parse_ConditionalOrExpression();
-                                          if (result8 !== null) {
-                                            result9 = [];
-                                            result10 = parse_WS();
-                                            while (result10 !== null) {
-                                              result9.push(result10);
-                                              result10 = parse_WS();
+                                      if (result3 !== null) {
+                                        result4 = parse_ConditionalOrExpression();
+                                        if (result4 !== null) {
+                                          result5 = [];
+                                          result6 = parse_WS();
+                                          while (result6 !== null) {
+                                            result5.push(result6);
+                                            result6 = parse_WS();
+                                          }
+                                          if (result5 !== null) {
+                                            if (input.charCodeAt(pos) === 44) {
+                                              result6 = ",";
+                                              pos++;
+                                            } else {
+                                              result6 = null;
+                                              if (reportFailures === 0) {
+                                                matchFailed("\",\"");
+                                              }
                                             }
-                                            if (result9 !== null) {
-                                              if (input.charCodeAt(pos) === 44) {
-                                                result10 = ",";
-                                                pos++;
-                                              } else {
-                                                result10 = null;
-                                                if (reportFailures === 0) {
-                                                  matchFailed("\",\"");
-                                                }
+                                            if (result6 !== null) {
+                                              result7 = [];
+                                              result8 = parse_WS();
+                                              while (result8 !== null) {
+                                                result7.push(result8);
+                                                result8 = parse_WS();
                                               }
-                                              if (result10 !== null) {
-                                                result11 = [];
-                                                result12 = parse_WS();
-                                                while (result12 !== null) {
-                                                  result11.push(result12);
-                                                  result12 = parse_WS();
-                                                }
-                                                if (result11 !== null) {
-                                                  result12 = parse_ConditionalOrExpression();
-                                                  if (result12 !== null) {
-                                                    result13 = [];
-                                                    result14 = parse_WS();
-                                                    while (result14 !== null) {
-                                                      result13.push(result14);
-                                                      result14 = parse_WS();
-                                                    }
-                                                    if (result13 !== null) {
-                                                      if (input.charCodeAt(pos) === 41) {
-                                                        result14 = ")";
-                                                        pos++;
-                                                      } else {
-                                                        result14 = null;
-                                                        if (reportFailures === 0) {
-                                                          matchFailed("\")\"");
-                                                        }
-                                                      }
-                                                      if (result14 !== null) {
-                                                        result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11, result12, result13, result14];
-                                                      } else {
-                                                        result0 = null;
-                                                        pos = pos1;
+                                              if (result7 !== null) {
+                                                result8 = parse_ConditionalOrExpression();
+                                                if (result8 !== null) {
+                                                  result9 = [];
+                                                  result10 = parse_WS();
+                                                  while (result10 !== null) {
+                                                    result9.push(result10);
+                                                    result10 = parse_WS();
+                                                  }
+                                                  if (result9 !== null) {
+                                                    if (input.charCodeAt(pos) === 41) {
+                                                      result10 = ")";
+                                                      pos++;
+                                                    } else {
+                                                      result10 = null;
+                                                      if (reportFailures === 0) {
+                                                        matchFailed("\")\"");
                                                       }
+                                                    }
+                                                    if (result10 !== null) {
+                                                      result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10];
                                                     } else {
                                                       result0 = null;
                                                       pos = pos1;
@@ -12595,104 +15325,189 @@ SparqlParser.parser = (function(){
                                     result0 = null;
                                     pos = pos1;
                                   }
-                                } else {
-                                  result0 = null;
-                                  pos = pos1;
-                                }
-                              } else {
-                                result0 = null;
-                                pos = pos1;
-                              }
-                            } else {
-                              result0 = null;
-                              pos = pos1;
-                            }
-                          } else {
-                            result0 = null;
-                            pos = pos1;
-                          }
-                          if (result0 !== null) {
-                            result0 = (function(offset, test, trueCond, falseCond) {
-                              var ex = {};
-                              ex.token = 'expression';
-                              ex.expressionType = 'builtincall';
-                              ex.builtincall = 'if';
-                              ex.args = [test,trueCond,falseCond];
-                          
-                              return ex;
-                          })(pos0, result0[4], result0[8], result0[12]);
-                          }
-                          if (result0 === null) {
-                            pos = pos0;
-                          }
-                          if (result0 === null) {
-                            pos0 = pos;
-                            pos1 = pos;
-                            if (input.substr(pos, 9) === "ISLITERAL") {
-                              result0 = "ISLITERAL";
-                              pos += 9;
-                            } else {
-                              result0 = null;
-                              if (reportFailures === 0) {
-                                matchFailed("\"ISLITERAL\"");
-                              }
-                            }
-                            if (result0 === null) {
-                              if (input.substr(pos, 9) === "isliteral") {
-                                result0 = "isliteral";
-                                pos += 9;
-                              } else {
-                                result0 = null;
-                                if (reportFailures === 0) {
-                                  matchFailed("\"isliteral\"");
-                                }
-                              }
-                            }
-                            if (result0 !== null) {
-                              result1 = [];
-                              result2 = parse_WS();
-                              while (result2 !== null) {
-                                result1.push(result2);
-                                result2 = parse_WS();
-                              }
-                              if (result1 !== null) {
-                                if (input.charCodeAt(pos) === 40) {
-                                  result2 = "(";
-                                  pos++;
-                                } else {
-                                  result2 = null;
-                                  if (reportFailures === 0) {
-                                    matchFailed("\"(\"");
+                                } else {
+                                  result0 = null;
+                                  pos = pos1;
+                                }
+                                if (result0 !== null) {
+                                  result0 = (function(offset, e1, e2) {
+                                    var ex = {};
+                                    ex.token = 'expression';
+                                    ex.expressionType = 'builtincall';
+                                    ex.builtincall = 'sameterm';
+                                    ex.args = [e1, e2];
+                                    return ex;
+                                })(pos0, result0[4], result0[8]);
+                                }
+                                if (result0 === null) {
+                                  pos = pos0;
+                                }
+                                if (result0 === null) {
+                                  pos0 = pos;
+                                  pos1 = pos;
+                                  if (input.substr(pos, 5) === "ISURI") {
+                                    result0 = "ISURI";
+                                    pos += 5;
+                                  } else {
+                                    result0 = null;
+                                    if (reportFailures === 0) {
+                                      matchFailed("\"ISURI\"");
+                                    }
+                                  }
+                                  if (result0 === null) {
+                                    if (input.substr(pos, 5) === "isuri") {
+                                      result0 = "isuri";
+                                      pos += 5;
+                                    } else {
+                                      result0 = null;
+                                      if (reportFailures === 0) {
+                                        matchFailed("\"isuri\"");
+                                      }
+                                    }
+                                    if (result0 === null) {
+                                      if (input.substr(pos, 5) === "ISIRI") {
+                                        result0 = "ISIRI";
+                                        pos += 5;
+                                      } else {
+                                        result0 = null;
+                                        if (reportFailures === 0) {
+                                          matchFailed("\"ISIRI\"");
+                                        }
+                                      }
+                                      if (result0 === null) {
+                                        if (input.substr(pos, 5) === "isiri") {
+                                          result0 = "isiri";
+                                          pos += 5;
+                                        } else {
+                                          result0 = null;
+                                          if (reportFailures === 0) {
+                                            matchFailed("\"isiri\"");
+                                          }
+                                        }
+                                      }
+                                    }
+                                  }
+                                  if (result0 !== null) {
+                                    result1 = [];
+                                    result2 = parse_WS();
+                                    while (result2 !== null) {
+                                      result1.push(result2);
+                                      result2 = parse_WS();
+                                    }
+                                    if (result1 !== null) {
+                                      if (input.charCodeAt(pos) === 40) {
+                                        result2 = "(";
+                                        pos++;
+                                      } else {
+                                        result2 = null;
+                                        if (reportFailures === 0) {
+                                          matchFailed("\"(\"");
+                                        }
+                                      }
+                                      if (result2 !== null) {
+                                        result3 = [];
+                                        result4 = parse_WS();
+                                        while (result4 !== null) {
+                                          result3.push(result4);
+                                          result4 = parse_WS();
+                                        }
+                                        if (result3 !== null) {
+                                          result4 = parse_ConditionalOrExpression();
+                                          if (result4 !== null) {
+                                            result5 = [];
+                                            result6 = parse_WS();
+                                            while (result6 !== null) {
+                                              result5.push(result6);
+                                              result6 = parse_WS();
+                                            }
+                                            if (result5 !== null) {
+                                              if (input.charCodeAt(pos) === 41) {
+                                                result6 = ")";
+                                                pos++;
+                                              } else {
+                                                result6 = null;
+                                                if (reportFailures === 0) {
+                                                  matchFailed("\")\"");
+                                                }
+                                              }
+                                              if (result6 !== null) {
+                                                result0 = [result0, result1, result2, result3, result4, result5, result6];
+                                              } else {
+                                                result0 = null;
+                                                pos = pos1;
+                                              }
+                                            } else {
+                                              result0 = null;
+                                              pos = pos1;
+                                            }
+                                          } else {
+                                            result0 = null;
+                                            pos = pos1;
+                                          }
+                                        } else {
+                                          result0 = null;
+                                          pos = pos1;
+                                        }
+                                      } else {
+                                        result0 = null;
+                                        pos = pos1;
+                                      }
+                                    } else {
+                                      result0 = null;
+                                      pos = pos1;
+                                    }
+                                  } else {
+                                    result0 = null;
+                                    pos = pos1;
+                                  }
+                                  if (result0 !== null) {
+                                    result0 = (function(offset, arg) {
+                                      var ex = {};
+                                      ex.token = 'expression';
+                                      ex.expressionType = 'builtincall';
+                                      ex.builtincall = 'isuri';
+                                      ex.args = [arg];
+                                  
+                                      return ex;
+                                  })(pos0, result0[4]);
                                   }
-                                }
-                                if (result2 !== null) {
-                                  result3 = [];
-                                  result4 = parse_WS();
-                                  while (result4 !== null) {
-                                    result3.push(result4);
-                                    result4 = parse_WS();
+                                  if (result0 === null) {
+                                    pos = pos0;
                                   }
-                                  if (result3 !== null) {
-                                    result4 = parse_ConditionalOrExpression();
-                                    if (result4 !== null) {
-                                      result5 = [];
-                                      result6 = parse_WS();
-                                      while (result6 !== null) {
-                                        result5.push(result6);
-                                        result6 = parse_WS();
+                                  if (result0 === null) {
+                                    pos0 = pos;
+                                    pos1 = pos;
+                                    if (input.substr(pos, 6) === "CONCAT") {
+                                      result0 = "CONCAT";
+                                      pos += 6;
+                                    } else {
+                                      result0 = null;
+                                      if (reportFailures === 0) {
+                                        matchFailed("\"CONCAT\"");
                                       }
-                                      if (result5 !== null) {
-                                        if (input.charCodeAt(pos) === 41) {
-                                          result6 = ")";
-                                          pos++;
-                                        } else {
-                                          result6 = null;
-                                          if (reportFailures === 0) {
-                                            matchFailed("\")\"");
-                                          }
+                                    }
+                                    if (result0 === null) {
+                                      if (input.substr(pos, 6) === "concat") {
+                                        result0 = "concat";
+                                        pos += 6;
+                                      } else {
+                                        result0 = null;
+                                        if (reportFailures === 0) {
+                                          matchFailed("\"concat\"");
                                         }
-                                        if (result6 !== null) {
-                                          result0 = [result0, result1, result2, result3, result4, result5, result6];
+                                      }
+                                    }
+                                    if (result0 !== null) {
+                                      result1 = [];
+                                      result2 = parse_WS();
+                                      while (result2 !== null) {
+                                        result1.push(result2);
+                                        result2 = parse_WS();
+                                      }
+                                      if (result1 !== null) {
+                                        result2 = parse_ExpressionList();
+                                        if (result2 !== null) {
+                                          result0 = [result0, result1, result2];
                                         } else {
                                           result0 = null;
                                           pos = pos1;
@@ -12705,104 +15520,196 @@ SparqlParser.parser = (function(){
                                       result0 = null;
                                       pos = pos1;
                                     }
-                                  } else {
-                                    result0 = null;
-                                    pos = pos1;
-                                  }
-                                } else {
-                                  result0 = null;
-                                  pos = pos1;
-                                }
-                              } else {
-                                result0 = null;
-                                pos = pos1;
-                              }
-                            } else {
-                              result0 = null;
-                              pos = pos1;
-                            }
-                            if (result0 !== null) {
-                              result0 = (function(offset, arg) {
-                                var ex = {};
-                                ex.token = 'expression';
-                                ex.expressionType = 'builtincall';
-                                ex.builtincall = 'isliteral';
-                                ex.args = [arg];
-                            
-                                return ex;
-                            })(pos0, result0[4]);
-                            }
-                            if (result0 === null) {
-                              pos = pos0;
-                            }
-                            if (result0 === null) {
-                              pos0 = pos;
-                              pos1 = pos;
-                              if (input.substr(pos, 7) === "ISBLANK") {
-                                result0 = "ISBLANK";
-                                pos += 7;
-                              } else {
-                                result0 = null;
-                                if (reportFailures === 0) {
-                                  matchFailed("\"ISBLANK\"");
-                                }
-                              }
-                              if (result0 === null) {
-                                if (input.substr(pos, 7) === "isblank") {
-                                  result0 = "isblank";
-                                  pos += 7;
-                                } else {
-                                  result0 = null;
-                                  if (reportFailures === 0) {
-                                    matchFailed("\"isblank\"");
-                                  }
-                                }
-                              }
-                              if (result0 !== null) {
-                                result1 = [];
-                                result2 = parse_WS();
-                                while (result2 !== null) {
-                                  result1.push(result2);
-                                  result2 = parse_WS();
-                                }
-                                if (result1 !== null) {
-                                  if (input.charCodeAt(pos) === 40) {
-                                    result2 = "(";
-                                    pos++;
-                                  } else {
-                                    result2 = null;
-                                    if (reportFailures === 0) {
-                                      matchFailed("\"(\"");
+                                    if (result0 !== null) {
+                                      result0 = (function(offset, args) {
+                                        var ex = {};
+                                        ex.token = 'expression';
+                                        ex.expressionType = 'builtincall';
+                                        ex.builtincall = 'concat';
+                                        ex.args = args.value;
+                                    
+                                        return ex;
+                                    })(pos0, result0[2]);
                                     }
-                                  }
-                                  if (result2 !== null) {
-                                    result3 = [];
-                                    result4 = parse_WS();
-                                    while (result4 !== null) {
-                                      result3.push(result4);
-                                      result4 = parse_WS();
+                                    if (result0 === null) {
+                                      pos = pos0;
                                     }
-                                    if (result3 !== null) {
-                                      result4 = parse_ConditionalOrExpression();
-                                      if (result4 !== null) {
-                                        result5 = [];
-                                        result6 = parse_WS();
-                                        while (result6 !== null) {
-                                          result5.push(result6);
-                                          result6 = parse_WS();
+                                    if (result0 === null) {
+                                      pos0 = pos;
+                                      pos1 = pos;
+                                      if (input.substr(pos, 6) === "SUBSTR") {
+                                        result0 = "SUBSTR";
+                                        pos += 6;
+                                      } else {
+                                        result0 = null;
+                                        if (reportFailures === 0) {
+                                          matchFailed("\"SUBSTR\"");
                                         }
-                                        if (result5 !== null) {
-                                          if (input.charCodeAt(pos) === 41) {
-                                            result6 = ")";
+                                      }
+                                      if (result0 === null) {
+                                        if (input.substr(pos, 6) === "substr") {
+                                          result0 = "substr";
+                                          pos += 6;
+                                        } else {
+                                          result0 = null;
+                                          if (reportFailures === 0) {
+                                            matchFailed("\"substr\"");
+                                          }
+                                        }
+                                      }
+                                      if (result0 !== null) {
+                                        result1 = [];
+                                        result2 = parse_WS();
+                                        while (result2 !== null) {
+                                          result1.push(result2);
+                                          result2 = parse_WS();
+                                        }
+                                        if (result1 !== null) {
+                                          if (input.charCodeAt(pos) === 40) {
+                                            result2 = "(";
                                             pos++;
                                           } else {
-                                            result6 = null;
+                                            result2 = null;
                                             if (reportFailures === 0) {
-                                              matchFailed("\")\"");
+                                              matchFailed("\"(\"");
                                             }
                                           }
-                                          if (result6 !== null) {
-                                            result0 = [result0, result1, result2, result3, result4, result5, result6];
+                                          if (result2 !== null) {
+                                            result3 = [];
+                                            result4 = parse_WS();
+                                            while (result4 !== null) {
+                                              result3.push(result4);
+                                              result4 = parse_WS();
+                                            }
+                                            if (result3 !== null) {
+                                              result4 = parse_ConditionalOrExpression();
+                                              if (result4 !== null) {
+                                                result5 = [];
+                                                result6 = parse_WS();
+                                                while (result6 !== null) {
+                                                  result5.push(result6);
+                                                  result6 = parse_WS();
+                                                }
+                                                if (result5 !== null) {
+                                                  if (input.charCodeAt(pos) === 44) {
+                                                    result6 = ",";
+                                                    pos++;
+                                                  } else {
+                                                    result6 = null;
+                                                    if (reportFailures === 0) {
+                                                      matchFailed("\",\"");
+                                                    }
+                                                  }
+                                                  if (result6 !== null) {
+                                                    result7 = [];
+                                                    result8 = parse_WS();
+                                                    while (result8 !== null) {
+                                                      result7.push(result8);
+                                                      result8 = parse_WS();
+                                                    }
+                                                    if (result7 !== null) {
+                                                      result8 = parse_ConditionalOrExpression();
+                                                      if (result8 !== null) {
+                                                        result9 = [];
+                                                        result10 = parse_WS();
+                                                        while (result10 !== null) {
+                                                          result9.push(result10);
+                                                          result10 = parse_WS();
+                                                        }
+                                                        if (result9 !== null) {
+                                                          pos2 = pos;
+                                                          if (input.charCodeAt(pos) === 44) {
+                                                            result10 = ",";
+                                                            pos++;
+                                                          } else {
+                                                            result10 = null;
+                                                            if (reportFailures === 0) {
+                                                              matchFailed("\",\"");
+                                                            }
+                                                          }
+                                                          if (result10 !== null) {
+                                                            result11 = [];
+                                                            result12 = parse_WS();
+                                                            while (result12 !== null) {
+                                                              result11.push(result12);
+                                                              result12 = parse_WS();
+                                                            }
+                                                            if (result11 !== null) {
+                                                              result12 = parse_ConditionalOrExpression();
+                                                              if (result12 !== null) {
+                                                                result10 = [result10, result11, result12];
+                                                              } else {
+                                                                result10 = null;
+                                                                pos = pos2;
+                                                              }
+                                                            } else {
+                                                              result10 = null;
+                                                              pos = pos2;
+                                                            }
+                                                          } else {
+                                                            result10 = null;
+                                                            pos = pos2;
+                                                          }
+                                                          result10 = result10 !== null ? result10 : "";
+                                                          if (result10 !== null) {
+                                                            result11 = [];
+                                                            result12 = parse_WS();
+                                                            while (result12 !== null) {
+                                                              result11.push(result12);
+                                                              result12 = parse_WS();
+                                                            }
+                                                            if (result11 !== null) {
+                                                              if (input.charCodeAt(pos) === 41) {
+                                                                result12 = ")";
+                                                                pos++;
+                                                              } else {
+                                                                result12 = null;
+                                                                if (reportFailures === 0) {
+                                                                  matchFailed("\")\"");
+                                                                }
+                                                              }
+                                                              if (result12 !== null) {
+                                                                result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11, result12];
+                                                              } else {
+                                                                result0 = null;
+                                                                pos = pos1;
+                                                              }
+                                                            } else {
+                                                              result0 = null;
+                                                              pos = pos1;
+                                                            }
+                                                          } else {
+                                                            result0 = null;
+                                                            pos = pos1;
+                                                          }
+                                                        } else {
+                                                          result0 = null;
+                                                          pos = pos1;
+                                                        }
+                                                      } else {
+                                                        result0 = null;
+                                                        pos = pos1;
+                                                      }
+                                                    } else {
+                                                      result0 = null;
+                                                      pos = pos1;
+                                                    }
+                                                  } else {
+                                                    result0 = null;
+                                                    pos = pos1;
+                                                  }
+                                                } else {
+                                                  result0 = null;
+                                                  pos = pos1;
+                                                }
+                                              } else {
+                                                result0 = null;
+                                                pos = pos1;
+                                              }
+                                            } else {
+                                              result0 = null;
+                                              pos = pos1;
+                                            }
                                           } else {
                                             result0 = null;
                                             pos = pos1;
@@ -12815,130 +15722,505 @@ SparqlParser.parser = (function(){
                                         result0 = null;
                                         pos = pos1;
                                       }
-                                    } else {
-                                      result0 = null;
-                                      pos = pos1;
-                                    }
-                                  } else {
-                                    result0 = null;
-                                    pos = pos1;
-                                  }
-                                } else {
-                                  result0 = null;
-                                  pos = pos1;
-                                }
-                              } else {
-                                result0 = null;
-                                pos = pos1;
-                              }
-                              if (result0 !== null) {
-                                result0 = (function(offset, arg) {
-                                  var ex = {};
-                                  ex.token = 'expression';
-                                  ex.expressionType = 'builtincall';
-                                  ex.builtincall = 'isblank';
-                                  ex.args = [arg];
-                              
-                                  return ex;
-                              })(pos0, result0[4]);
-                              }
-                              if (result0 === null) {
-                                pos = pos0;
-                              }
-                              if (result0 === null) {
-                                pos0 = pos;
-                                pos1 = pos;
-                                if (input.substr(pos, 8) === "SAMETERM") {
-                                  result0 = "SAMETERM";
-                                  pos += 8;
-                                } else {
-                                  result0 = null;
-                                  if (reportFailures === 0) {
-                                    matchFailed("\"SAMETERM\"");
-                                  }
-                                }
-                                if (result0 === null) {
-                                  if (input.substr(pos, 8) === "sameterm") {
-                                    result0 = "sameterm";
-                                    pos += 8;
-                                  } else {
-                                    result0 = null;
-                                    if (reportFailures === 0) {
-                                      matchFailed("\"sameterm\"");
-                                    }
-                                  }
-                                }
-                                if (result0 !== null) {
-                                  result1 = [];
-                                  result2 = parse_WS();
-                                  while (result2 !== null) {
-                                    result1.push(result2);
-                                    result2 = parse_WS();
-                                  }
-                                  if (result1 !== null) {
-                                    if (input.charCodeAt(pos) === 40) {
-                                      result2 = "(";
-                                      pos++;
-                                    } else {
-                                      result2 = null;
-                                      if (reportFailures === 0) {
-                                        matchFailed("\"(\"");
+                                      if (result0 !== null) {
+                                        result0 = (function(offset, e1, e2, e3) {
+                                          var ex = {};
+                                          ex.token = 'expression';
+                                          ex.expressionType = 'builtincall';
+                                          ex.builtincall = 'substr';
+                                          ex.args = [e1, e2];
+                                          if(e3 != null && e3 !== "") {
+                                              ex.args.push(e3[2]);
+                                          }
+                                      
+                                          return ex;
+                                      })(pos0, result0[4], result0[8], result0[10]);
                                       }
-                                    }
-                                    if (result2 !== null) {
-                                      result3 = [];
-                                      result4 = parse_WS();
-                                      while (result4 !== null) {
-                                        result3.push(result4);
-                                        result4 = parse_WS();
+                                      if (result0 === null) {
+                                        pos = pos0;
                                       }
-                                      if (result3 !== null) {
-                                        result4 = parse_ConditionalOrExpression();
-                                        if (result4 !== null) {
-                                          result5 = [];
-                                          result6 = parse_WS();
-                                          while (result6 !== null) {
-                                            result5.push(result6);
-                                            result6 = parse_WS();
+                                      if (result0 === null) {
+                                        pos0 = pos;
+                                        pos1 = pos;
+                                        if (input.substr(pos, 7) === "REPLACE") {
+                                          result0 = "REPLACE";
+                                          pos += 7;
+                                        } else {
+                                          result0 = null;
+                                          if (reportFailures === 0) {
+                                            matchFailed("\"REPLACE\"");
                                           }
-                                          if (result5 !== null) {
-                                            if (input.charCodeAt(pos) === 44) {
-                                              result6 = ",";
+                                        }
+                                        if (result0 === null) {
+                                          if (input.substr(pos, 7) === "replace") {
+                                            result0 = "replace";
+                                            pos += 7;
+                                          } else {
+                                            result0 = null;
+                                            if (reportFailures === 0) {
+                                              matchFailed("\"replace\"");
+                                            }
+                                          }
+                                        }
+                                        if (result0 !== null) {
+                                          result1 = [];
+                                          result2 = parse_WS();
+                                          while (result2 !== null) {
+                                            result1.push(result2);
+                                            result2 = parse_WS();
+                                          }
+                                          if (result1 !== null) {
+                                            if (input.charCodeAt(pos) === 40) {
+                                              result2 = "(";
                                               pos++;
                                             } else {
-                                              result6 = null;
+                                              result2 = null;
                                               if (reportFailures === 0) {
-                                                matchFailed("\",\"");
+                                                matchFailed("\"(\"");
                                               }
                                             }
-                                            if (result6 !== null) {
-                                              result7 = [];
-                                              result8 = parse_WS();
-                                              while (result8 !== null) {
-                                                result7.push(result8);
-                                                result8 = parse_WS();
+                                            if (result2 !== null) {
+                                              result3 = [];
+                                              result4 = parse_WS();
+                                              while (result4 !== null) {
+                                                result3.push(result4);
+                                                result4 = parse_WS();
                                               }
-                                              if (result7 !== null) {
-                                                result8 = parse_ConditionalOrExpression();
-                                                if (result8 !== null) {
-                                                  result9 = [];
-                                                  result10 = parse_WS();
-                                                  while (result10 !== null) {
-                                                    result9.push(result10);
-                                                    result10 = parse_WS();
+                                              if (result3 !== null) {
+                                                result4 = parse_ConditionalOrExpression();
+                                                if (result4 !== null) {
+                                                  result5 = [];
+                                                  result6 = parse_WS();
+                                                  while (result6 !== null) {
+                                                    result5.push(result6);
+                                                    result6 = parse_WS();
+                                                  }
+                                                  if (result5 !== null) {
+                                                    if (input.charCodeAt(pos) === 44) {
+                                                      result6 = ",";
+                                                      pos++;
+                                                    } else {
+                                                      result6 = null;
+                                                      if (reportFailures === 0) {
+                                                        matchFailed("\",\"");
+                                                      }
+                                                    }
+                                                    if (result6 !== null) {
+                                                      result7 = [];
+                                                      result8 = parse_WS();
+                                                      while (result8 !== null) {
+                                                        result7.push(result8);
+                                                        result8 = parse_WS();
+                                                      }
+                                                      if (result7 !== null) {
+                                                        result8 = parse_ConditionalOrExpression();
+                                                        if (result8 !== null) {
+                                                          result9 = [];
+                                                          result10 = parse_WS();
+                                                          while (result10 !== null) {
+                                                            result9.push(result10);
+                                                            result10 = parse_WS();
+                                                          }
+                                                          if (result9 !== null) {
+                                                            if (input.charCodeAt(pos) === 44) {
+                                                              result10 = ",";
+                                                              pos++;
+                                                            } else {
+                                                              result10 = null;
+                                                              if (reportFailures === 0) {
+                                                                matchFailed("\",\"");
+                                                              }
+                                                            }
+                                                            if (result10 !== null) {
+                                                              result11 = [];
+                                                              result12 = parse_WS();
+                                                              while (result12 !== null) {
+                                                                result11.push(result12);
+                                                                result12 = parse_WS();
+                                                              }
+                                                              if (result11 !== null) {
+                                                                result12 = parse_ConditionalOrExpression();
+                                                                if (result12 !== null) {
+                                                                  result13 = [];
+                                                                  result14 = parse_WS();
+                                                                  while (result14 !== null) {
+                                                                    result13.push(result14);
+                                                                    result14 = parse_WS();
+                                                                  }
+                                                                  if (result13 !== null) {
+                                                                    pos2 = pos;
+                                                                    if (input.charCodeAt(pos) === 44) {
+                                                                      result14 = ",";
+                                                                      pos++;
+                                                                    } else {
+                                                                      result14 = null;
+                                                                      if (reportFailures === 0) {
+                                                                        matchFailed("\",\"");
+                                                                      }
+                                                                    }
+                                                                    if (result14 !== null) {
+                                                                      result15 = [];
+                                                                      result16 = parse_WS();
+                                                                      while (result16 !== null) {
+                                                                        result15.push(result16);
+                                                                        result16 = parse_WS();
+                                                                      }
+                                                                      if (result15 !== null) {
+                                                                        result16 = parse_ConditionalOrExpression();
+                                                                        if (result16 !== null) {
+                                                                          result14 = [result14, result15, result16];
+                                                                        } else {
+                                                                          result14 = null;
+                                                                          pos = pos2;
+                                                                        }
+                                                                      } else {
+                                                                        result14 = null;
+                                                                        pos = pos2;
+                                                                      }
+                                                                    } else {
+                                                                      result14 = null;
+                                                                      pos = pos2;
+                                                                    }
+                                                                    result14 = result14 !== null ? result14 : "";
+                                                                    if (result14 !== null) {
+                                                                      result15 = [];
+                                                                      result16 = parse_WS();
+                                                                      while (result16 !== null) {
+                                                                        result15.push(result16);
+                                                                        result16 = parse_WS();
+                                                                      }
+                                                                      if (result15 !== null) {
+                                                                        if (input.charCodeAt(pos) === 41) {
+                                                                          result16 = ")";
+                                                                          pos++;
+                                                                        } else {
+                                                                          result16 = null;
+                                                                          if (reportFailures === 0) {
+                                                                            matchFailed("\")\"");
+                                                                          }
+                                                                        }
+                                                                        if (result16 !== null) {
+                                                                          result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11, result12, result13, result14, result15, result16];
+                                                                        } else {
+                                                                          result0 = null;
+                                                                          pos = pos1;
+                                                                        }
+                                                                      } else {
+                                                                        result0 = null;
+                                                                        pos = pos1;
+                                                                      }
+                                                                    } else {
+                                                                      result0 = null;
+                                                                      pos = pos1;
+                                                                    }
+                                                                  } else {
+                                                                    result0 = null;
+                                                                    pos = pos1;
+                                                                  }
+                                                                } else {
+                                                                  result0 = null;
+                                                                  pos = pos1;
+                                                                }
+                                                              } else {
+                                                                result0 = null;
+                                                                pos = pos1;
+                                                              }
+                                                            } else {
+                                                              result0 = null;
+                                                              pos = pos1;
+                                                            }
+                                                          } else {
+                                                            result0 = null;
+                                                            pos = pos1;
+                                                          }
+                                                        } else {
+                                                          result0 = null;
+                                                          pos = pos1;
+                                                        }
+                                                      } else {
+                                                        result0 = null;
+                                                        pos = pos1;
+                                                      }
+                                                    } else {
+                                                      result0 = null;
+                                                      pos = pos1;
+                                                    }
+                                                  } else {
+                                                    result0 = null;
+                                                    pos = pos1;
+                                                  }
+                                                } else {
+                                                  result0 = null;
+                                                  pos = pos1;
+                                                }
+                                              } else {
+                                                result0 = null;
+                                                pos = pos1;
+                                              }
+                                            } else {
+                                              result0 = null;
+                                              pos = pos1;
+                                            }
+                                          } else {
+                                            result0 = null;
+                                            pos = pos1;
+                                          }
+                                        } else {
+                                          result0 = null;
+                                          pos = pos1;
+                                        }
+                                        if (result0 !== null) {
+                                          result0 = (function(offset, e1, e2, e3, e4) {
+                                            var ex = {};
+                                            ex.token = 'expression';
+                                            ex.expressionType = 'builtincall';
+                                            ex.builtincall = 'replace';
+                                            ex.args = [e1, e2, e3];
+                                            if(e4 != null && e4 !== "") {
+                                                ex.args.push(e4[2]);
+                                            }
+                                        
+                                            return ex;
+                                        })(pos0, result0[4], result0[8], result0[12], result0[14]);
+                                        }
+                                        if (result0 === null) {
+                                          pos = pos0;
+                                        }
+                                        if (result0 === null) {
+                                          pos0 = pos;
+                                          pos1 = pos;
+                                          result0 = parse_BuiltInNoArgsFunction();
+                                          if (result0 !== null) {
+                                            result1 = [];
+                                            result2 = parse_WS();
+                                            while (result2 !== null) {
+                                              result1.push(result2);
+                                              result2 = parse_WS();
+                                            }
+                                            if (result1 !== null) {
+                                              result2 = parse_NIL();
+                                              if (result2 !== null) {
+                                                result0 = [result0, result1, result2];
+                                              } else {
+                                                result0 = null;
+                                                pos = pos1;
+                                              }
+                                            } else {
+                                              result0 = null;
+                                              pos = pos1;
+                                            }
+                                          } else {
+                                            result0 = null;
+                                            pos = pos1;
+                                          }
+                                          if (result0 !== null) {
+                                            result0 = (function(offset, fn) {
+                                              var ex = {};
+                                              ex.token = 'expression';
+                                              ex.expressionType = 'builtincall';
+                                              ex.builtincall = fn;
+                                              ex.args = [];
+                                          
+                                              return ex;
+                                          })(pos0, result0[0]);
+                                          }
+                                          if (result0 === null) {
+                                            pos = pos0;
+                                          }
+                                          if (result0 === null) {
+                                            pos0 = pos;
+                                            pos1 = pos;
+                                            result0 = parse_BuiltInUnaryFunction();
+                                            if (result0 !== null) {
+                                              result1 = [];
+                                              result2 = parse_WS();
+                                              while (result2 !== null) {
+                                                result1.push(result2);
+                                                result2 = parse_WS();
+                                              }
+                                              if (result1 !== null) {
+                                                if (input.charCodeAt(pos) === 40) {
+                                                  result2 = "(";
+                                                  pos++;
+                                                } else {
+                                                  result2 = null;
+                                                  if (reportFailures === 0) {
+                                                    matchFailed("\"(\"");
+                                                  }
+                                                }
+                                                if (result2 !== null) {
+                                                  result3 = [];
+                                                  result4 = parse_WS();
+                                                  while (result4 !== null) {
+                                                    result3.push(result4);
+                                                    result4 = parse_WS();
+                                                  }
+                                                  if (result3 !== null) {
+                                                    result4 = parse_ConditionalOrExpression();
+                                                    if (result4 !== null) {
+                                                      result5 = [];
+                                                      result6 = parse_WS();
+                                                      while (result6 !== null) {
+                                                        result5.push(result6);
+                                                        result6 = parse_WS();
+                                                      }
+                                                      if (result5 !== null) {
+                                                        if (input.charCodeAt(pos) === 41) {
+                                                          result6 = ")";
+                                                          pos++;
+                                                        } else {
+                                                          result6 = null;
+                                                          if (reportFailures === 0) {
+                                                            matchFailed("\")\"");
+                                                          }
+                                                        }
+                                                        if (result6 !== null) {
+                                                          result0 = [result0, result1, result2, result3, result4, result5, result6];
+                                                        } else {
+                                                          result0 = null;
+                                                          pos = pos1;
+                                                        }
+                                                      } else {
+                                                        result0 = null;
+                                                        pos = pos1;
+                                                      }
+                                                    } else {
+                                                      result0 = null;
+                                                      pos = pos1;
+                                                    }
+                                                  } else {
+                                                    result0 = null;
+                                                    pos = pos1;
+                                                  }
+                                                } else {
+                                                  result0 = null;
+                                                  pos = pos1;
+                                                }
+                                              } else {
+                                                result0 = null;
+                                                pos = pos1;
+                                              }
+                                            } else {
+                                              result0 = null;
+                                              pos = pos1;
+                                            }
+                                            if (result0 !== null) {
+                                              result0 = (function(offset, fn, arg) {
+                                                var ex = {};
+                                                ex.token = 'expression';
+                                                ex.expressionType = 'builtincall';
+                                                ex.builtincall = fn;
+                                                ex.args = [arg];
+                                            
+                                                return ex;
+                                            })(pos0, result0[0], result0[4]);
+                                            }
+                                            if (result0 === null) {
+                                              pos = pos0;
+                                            }
+                                            if (result0 === null) {
+                                              pos0 = pos;
+                                              pos1 = pos;
+                                              result0 = parse_BuiltInBinaryFunction();
+                                              if (result0 !== null) {
+                                                result1 = [];
+                                                result2 = parse_WS();
+                                                while (result2 !== null) {
+                                                  result1.push(result2);
+                                                  result2 = parse_WS();
+                                                }
+                                                if (result1 !== null) {
+                                                  if (input.charCodeAt(pos) === 40) {
+                                                    result2 = "(";
+                                                    pos++;
+                                                  } else {
+                                                    result2 = null;
+                                                    if (reportFailures === 0) {
+                                                      matchFailed("\"(\"");
+                                                    }
                                                   }
-                                                  if (result9 !== null) {
-                                                    if (input.charCodeAt(pos) === 41) {
-                                                      result10 = ")";
-                                                      pos++;
-                                                    } else {
-                                                      result10 = null;
-                                                      if (reportFailures === 0) {
-                                                        matchFailed("\")\"");
-                                                      }
+                                                  if (result2 !== null) {
+                                                    result3 = [];
+                                                    result4 = parse_WS();
+                                                    while (result4 !== null) {
+                                                      result3.push(result4);
+                                                      result4 = parse_WS();
                                                     }
-                                                    if (result10 !== null) {
-                                                      result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10];
+                                                    if (result3 !== null) {
+                                                      result4 = parse_ConditionalOrExpression();
+                                                      if (result4 !== null) {
+                                                        result5 = [];
+                                                        result6 = parse_WS();
+                                                        while (result6 !== null) {
+                                                          result5.push(result6);
+                                                          result6 = parse_WS();
+                                                        }
+                                                        if (result5 !== null) {
+                                                          if (input.charCodeAt(pos) === 44) {
+                                                            result6 = ",";
+                                                            pos++;
+                                                          } else {
+                                                            result6 = null;
+                                                            if (reportFailures === 0) {
+                                                              matchFailed("\",\"");
+                                                            }
+                                                          }
+                                                          if (result6 !== null) {
+                                                            result7 = [];
+                                                            result8 = parse_WS();
+                                                            while (result8 !== null) {
+                                                              result7.push(result8);
+                                                              result8 = parse_WS();
+                                                            }
+                                                            if (result7 !== null) {
+                                                              result8 = parse_ConditionalOrExpression();
+                                                              if (result8 !== null) {
+                                                                result9 = [];
+                                                                result10 = parse_WS();
+                                                                while (result10 !== null) {
+                                                                  result9.push(result10);
+                                                                  result10 = parse_WS();
+                                                                }
+                                                                if (result9 !== null) {
+                                                                  if (input.charCodeAt(pos) === 41) {
+                                                                    result10 = ")";
+                                                                    pos++;
+                                                                  } else {
+                                                                    result10 = null;
+                                                                    if (reportFailures === 0) {
+                                                                      matchFailed("\")\"");
+                                                                    }
+                                                                  }
+                                                                  if (result10 !== null) {
+                                                                    result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10];
+                                                                  } else {
+                                                                    result0 = null;
+                                                                    pos = pos1;
+                                                                  }
+                                                                } else {
+                                                                  result0 = null;
+                                                                  pos = pos1;
+                                                                }
+                                                              } else {
+                                                                result0 = null;
+                                                                pos = pos1;
+                                                              }
+                                                            } else {
+                                                              result0 = null;
+                                                              pos = pos1;
+                                                            }
+                                                          } else {
+                                                            result0 = null;
+                                                            pos = pos1;
+                                                          }
+                                                        } else {
+                                                          result0 = null;
+                                                          pos = pos1;
+                                                        }
+                                                      } else {
+                                                        result0 = null;
+                                                        pos = pos1;
+                                                      }
                                                     } else {
                                                       result0 = null;
                                                       pos = pos1;
@@ -12955,405 +16237,859 @@ SparqlParser.parser = (function(){
                                                 result0 = null;
                                                 pos = pos1;
                                               }
-                                            } else {
-                                              result0 = null;
-                                              pos = pos1;
+                                              if (result0 !== null) {
+                                                result0 = (function(offset, fn, e1, e2) {
+                                                  var ex = {};
+                                                  ex.token = 'expression';
+                                                  ex.expressionType = 'builtincall';
+                                                  ex.builtincall = fn;
+                                                  ex.args = [e1, e2];
+                                              
+                                                  return ex;
+                                              })(pos0, result0[0], result0[4], result0[8]);
+                                              }
+                                              if (result0 === null) {
+                                                pos = pos0;
+                                              }
+                                              if (result0 === null) {
+                                                pos0 = pos;
+                                                pos1 = pos;
+                                                if (input.substr(pos, 7) === "custom:") {
+                                                  result0 = "custom:";
+                                                  pos += 7;
+                                                } else {
+                                                  result0 = null;
+                                                  if (reportFailures === 0) {
+                                                    matchFailed("\"custom:\"");
+                                                  }
+                                                }
+                                                if (result0 === null) {
+                                                  if (input.substr(pos, 7) === "CUSTOM:") {
+                                                    result0 = "CUSTOM:";
+                                                    pos += 7;
+                                                  } else {
+                                                    result0 = null;
+                                                    if (reportFailures === 0) {
+                                                      matchFailed("\"CUSTOM:\"");
+                                                    }
+                                                  }
+                                                }
+                                                if (result0 !== null) {
+                                                  if (/^[a-zA-Z0-9_]/.test(input.charAt(pos))) {
+                                                    result2 = input.charAt(pos);
+                                                    pos++;
+                                                  } else {
+                                                    result2 = null;
+                                                    if (reportFailures === 0) {
+                                                      matchFailed("[a-zA-Z0-9_]");
+                                                    }
+                                                  }
+                                                  if (result2 !== null) {
+                                                    result1 = [];
+                                                    while (result2 !== null) {
+                                                      result1.push(result2);
+                                                      if (/^[a-zA-Z0-9_]/.test(input.charAt(pos))) {
+                                                        result2 = input.charAt(pos);
+                                                        pos++;
+                                                      } else {
+                                                        result2 = null;
+                                                        if (reportFailures === 0) {
+                                                          matchFailed("[a-zA-Z0-9_]");
+                                                        }
+                                                      }
+                                                    }
+                                                  } else {
+                                                    result1 = null;
+                                                  }
+                                                  if (result1 !== null) {
+                                                    result2 = [];
+                                                    result3 = parse_WS();
+                                                    while (result3 !== null) {
+                                                      result2.push(result3);
+                                                      result3 = parse_WS();
+                                                    }
+                                                    if (result2 !== null) {
+                                                      if (input.charCodeAt(pos) === 40) {
+                                                        result3 = "(";
+                                                        pos++;
+                                                      } else {
+                                                        result3 = null;
+                                                        if (reportFailures === 0) {
+                                                          matchFailed("\"(\"");
+                                                        }
+                                                      }
+                                                      if (result3 !== null) {
+                                                        result4 = [];
+                                                        pos2 = pos;
+                                                        result5 = [];
+                                                        result6 = parse_WS();
+                                                        while (result6 !== null) {
+                                                          result5.push(result6);
+                                                          result6 = parse_WS();
+                                                        }
+                                                        if (result5 !== null) {
+                                                          result6 = parse_ConditionalOrExpression();
+                                                          if (result6 !== null) {
+                                                            if (input.charCodeAt(pos) === 44) {
+                                                              result7 = ",";
+                                                              pos++;
+                                                            } else {
+                                                              result7 = null;
+                                                              if (reportFailures === 0) {
+                                                                matchFailed("\",\"");
+                                                              }
+                                                            }
+                                                            if (result7 !== null) {
+                                                              result5 = [result5, result6, result7];
+                                                            } else {
+                                                              result5 = null;
+                                                              pos = pos2;
+                                                            }
+                                                          } else {
+                                                            result5 = null;
+                                                            pos = pos2;
+                                                          }
+                                                        } else {
+                                                          result5 = null;
+                                                          pos = pos2;
+                                                        }
+                                                        while (result5 !== null) {
+                                                          result4.push(result5);
+                                                          pos2 = pos;
+                                                          result5 = [];
+                                                          result6 = parse_WS();
+                                                          while (result6 !== null) {
+                                                            result5.push(result6);
+                                                            result6 = parse_WS();
+                                                          }
+                                                          if (result5 !== null) {
+                                                            result6 = parse_ConditionalOrExpression();
+                                                            if (result6 !== null) {
+                                                              if (input.charCodeAt(pos) === 44) {
+                                                                result7 = ",";
+                                                                pos++;
+                                                              } else {
+                                                                result7 = null;
+                                                                if (reportFailures === 0) {
+                                                                  matchFailed("\",\"");
+                                                                }
+                                                              }
+                                                              if (result7 !== null) {
+                                                                result5 = [result5, result6, result7];
+                                                              } else {
+                                                                result5 = null;
+                                                                pos = pos2;
+                                                              }
+                                                            } else {
+                                                              result5 = null;
+                                                              pos = pos2;
+                                                            }
+                                                          } else {
+                                                            result5 = null;
+                                                            pos = pos2;
+                                                          }
+                                                        }
+                                                        if (result4 !== null) {
+                                                          result5 = [];
+                                                          result6 = parse_WS();
+                                                          while (result6 !== null) {
+                                                            result5.push(result6);
+                                                            result6 = parse_WS();
+                                                          }
+                                                          if (result5 !== null) {
+                                                            result6 = parse_ConditionalOrExpression();
+                                                            if (result6 !== null) {
+                                                              result7 = [];
+                                                              result8 = parse_WS();
+                                                              while (result8 !== null) {
+                                                                result7.push(result8);
+                                                                result8 = parse_WS();
+                                                              }
+                                                              if (result7 !== null) {
+                                                                if (input.charCodeAt(pos) === 41) {
+                                                                  result8 = ")";
+                                                                  pos++;
+                                                                } else {
+                                                                  result8 = null;
+                                                                  if (reportFailures === 0) {
+                                                                    matchFailed("\")\"");
+                                                                  }
+                                                                }
+                                                                if (result8 !== null) {
+                                                                  result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8];
+                                                                } else {
+                                                                  result0 = null;
+                                                                  pos = pos1;
+                                                                }
+                                                              } else {
+                                                                result0 = null;
+                                                                pos = pos1;
+                                                              }
+                                                            } else {
+                                                              result0 = null;
+                                                              pos = pos1;
+                                                            }
+                                                          } else {
+                                                            result0 = null;
+                                                            pos = pos1;
+                                                          }
+                                                        } else {
+                                                          result0 = null;
+                                                          pos = pos1;
+                                                        }
+                                                      } else {
+                                                        result0 = null;
+                                                        pos = pos1;
+                                                      }
+                                                    } else {
+                                                      result0 = null;
+                                                      pos = pos1;
+                                                    }
+                                                  } else {
+                                                    result0 = null;
+                                                    pos = pos1;
+                                                  }
+                                                } else {
+                                                  result0 = null;
+                                                  pos = pos1;
+                                                }
+                                                if (result0 !== null) {
+                                                  result0 = (function(offset, fnname, alter, finalarg) {
+                                                  var ex = {};
+                                                  ex.token = 'expression';
+                                                  ex.expressionType = 'custom';
+                                                  ex.name = fnname.join('');
+                                                  var acum = [];
+                                                  for(var i=0; i<alter.length; i++)
+                                                    acum.push(alter[i][1]);
+                                                  acum.push(finalarg);
+                                                  ex.args = acum;
+                                                
+                                                  return ex;
+                                                })(pos0, result0[1], result0[4], result0[6]);
+                                                }
+                                                if (result0 === null) {
+                                                  pos = pos0;
+                                                }
+                                                if (result0 === null) {
+                                                  result0 = parse_RegexExpression();
+                                                  if (result0 === null) {
+                                                    result0 = parse_ExistsFunc();
+                                                    if (result0 === null) {
+                                                      result0 = parse_NotExistsFunc();
+                                                    }
+                                                  }
+                                                }
+                                              }
                                             }
-                                          } else {
-                                            result0 = null;
-                                            pos = pos1;
                                           }
-                                        } else {
-                                          result0 = null;
-                                          pos = pos1;
                                         }
-                                      } else {
-                                        result0 = null;
-                                        pos = pos1;
                                       }
-                                    } else {
-                                      result0 = null;
-                                      pos = pos1;
                                     }
-                                  } else {
-                                    result0 = null;
-                                    pos = pos1;
                                   }
+                                }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("[106] BuiltInCall");
+        }
+        return result0;
+      }
+      
+      function parse_BuiltInNoArgsFunction() {
+        var result0;
+        var pos0;
+        
+        pos0 = pos;
+        if (input.substr(pos, 4) === "RAND") {
+          result0 = "RAND";
+          pos += 4;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"RAND\"");
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 4) === "rand") {
+            result0 = "rand";
+            pos += 4;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"rand\"");
+            }
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 3) === "NOW") {
+            result0 = "NOW";
+            pos += 3;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"NOW\"");
+            }
+          }
+          if (result0 === null) {
+            if (input.substr(pos, 3) === "now") {
+              result0 = "now";
+              pos += 3;
+            } else {
+              result0 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"now\"");
+              }
+            }
+          }
+          if (result0 === null) {
+            if (input.substr(pos, 4) === "UUID") {
+              result0 = "UUID";
+              pos += 4;
+            } else {
+              result0 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"UUID\"");
+              }
+            }
+            if (result0 === null) {
+              if (input.substr(pos, 4) === "uuid") {
+                result0 = "uuid";
+                pos += 4;
+              } else {
+                result0 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"uuid\"");
+                }
+              }
+            }
+            if (result0 === null) {
+              if (input.substr(pos, 7) === "STRUUID") {
+                result0 = "STRUUID";
+                pos += 7;
+              } else {
+                result0 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"STRUUID\"");
+                }
+              }
+              if (result0 === null) {
+                if (input.substr(pos, 7) === "struuid") {
+                  result0 = "struuid";
+                  pos += 7;
+                } else {
+                  result0 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"struuid\"");
+                  }
+                }
+              }
+            }
+          }
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, fn) {
+            return fn.toLowerCase();
+        })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_BuiltInUnaryFunction() {
+        var result0;
+        var pos0;
+        
+        pos0 = pos;
+        if (input.substr(pos, 6) === "STRLEN") {
+          result0 = "STRLEN";
+          pos += 6;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"STRLEN\"");
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 6) === "strlen") {
+            result0 = "strlen";
+            pos += 6;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"strlen\"");
+            }
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 5) === "UCASE") {
+            result0 = "UCASE";
+            pos += 5;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"UCASE\"");
+            }
+          }
+          if (result0 === null) {
+            if (input.substr(pos, 5) === "ucase") {
+              result0 = "ucase";
+              pos += 5;
+            } else {
+              result0 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"ucase\"");
+              }
+            }
+          }
+          if (result0 === null) {
+            if (input.substr(pos, 5) === "LCASE") {
+              result0 = "LCASE";
+              pos += 5;
+            } else {
+              result0 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"LCASE\"");
+              }
+            }
+            if (result0 === null) {
+              if (input.substr(pos, 5) === "lcase") {
+                result0 = "lcase";
+                pos += 5;
+              } else {
+                result0 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"lcase\"");
+                }
+              }
+            }
+            if (result0 === null) {
+              if (input.substr(pos, 14) === "ENCODE_FOR_URI") {
+                result0 = "ENCODE_FOR_URI";
+                pos += 14;
+              } else {
+                result0 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"ENCODE_FOR_URI\"");
+                }
+              }
+              if (result0 === null) {
+                if (input.substr(pos, 14) === "encode_for_uri") {
+                  result0 = "encode_for_uri";
+                  pos += 14;
+                } else {
+                  result0 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"encode_for_uri\"");
+                  }
+                }
+              }
+              if (result0 === null) {
+                if (input.substr(pos, 3) === "ABS") {
+                  result0 = "ABS";
+                  pos += 3;
+                } else {
+                  result0 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"ABS\"");
+                  }
+                }
+                if (result0 === null) {
+                  if (input.substr(pos, 3) === "abs") {
+                    result0 = "abs";
+                    pos += 3;
+                  } else {
+                    result0 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"abs\"");
+                    }
+                  }
+                }
+                if (result0 === null) {
+                  if (input.substr(pos, 5) === "ROUND") {
+                    result0 = "ROUND";
+                    pos += 5;
+                  } else {
+                    result0 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"ROUND\"");
+                    }
+                  }
+                  if (result0 === null) {
+                    if (input.substr(pos, 5) === "round") {
+                      result0 = "round";
+                      pos += 5;
+                    } else {
+                      result0 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"round\"");
+                      }
+                    }
+                  }
+                  if (result0 === null) {
+                    if (input.substr(pos, 4) === "CEIL") {
+                      result0 = "CEIL";
+                      pos += 4;
+                    } else {
+                      result0 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"CEIL\"");
+                      }
+                    }
+                    if (result0 === null) {
+                      if (input.substr(pos, 4) === "ceil") {
+                        result0 = "ceil";
+                        pos += 4;
+                      } else {
+                        result0 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"ceil\"");
+                        }
+                      }
+                    }
+                    if (result0 === null) {
+                      if (input.substr(pos, 5) === "FLOOR") {
+                        result0 = "FLOOR";
+                        pos += 5;
+                      } else {
+                        result0 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"FLOOR\"");
+                        }
+                      }
+                      if (result0 === null) {
+                        if (input.substr(pos, 5) === "floor") {
+                          result0 = "floor";
+                          pos += 5;
+                        } else {
+                          result0 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\"floor\"");
+                          }
+                        }
+                      }
+                      if (result0 === null) {
+                        if (input.substr(pos, 4) === "YEAR") {
+                          result0 = "YEAR";
+                          pos += 4;
+                        } else {
+                          result0 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\"YEAR\"");
+                          }
+                        }
+                        if (result0 === null) {
+                          if (input.substr(pos, 4) === "year") {
+                            result0 = "year";
+                            pos += 4;
+                          } else {
+                            result0 = null;
+                            if (reportFailures === 0) {
+                              matchFailed("\"year\"");
+                            }
+                          }
+                        }
+                        if (result0 === null) {
+                          if (input.substr(pos, 5) === "MONTH") {
+                            result0 = "MONTH";
+                            pos += 5;
+                          } else {
+                            result0 = null;
+                            if (reportFailures === 0) {
+                              matchFailed("\"MONTH\"");
+                            }
+                          }
+                          if (result0 === null) {
+                            if (input.substr(pos, 5) === "month") {
+                              result0 = "month";
+                              pos += 5;
+                            } else {
+                              result0 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\"month\"");
+                              }
+                            }
+                          }
+                          if (result0 === null) {
+                            if (input.substr(pos, 3) === "DAY") {
+                              result0 = "DAY";
+                              pos += 3;
+                            } else {
+                              result0 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\"DAY\"");
+                              }
+                            }
+                            if (result0 === null) {
+                              if (input.substr(pos, 3) === "day") {
+                                result0 = "day";
+                                pos += 3;
+                              } else {
+                                result0 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\"day\"");
+                                }
+                              }
+                            }
+                            if (result0 === null) {
+                              if (input.substr(pos, 5) === "HOURS") {
+                                result0 = "HOURS";
+                                pos += 5;
+                              } else {
+                                result0 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\"HOURS\"");
+                                }
+                              }
+                              if (result0 === null) {
+                                if (input.substr(pos, 5) === "hours") {
+                                  result0 = "hours";
+                                  pos += 5;
                                 } else {
                                   result0 = null;
-                                  pos = pos1;
+                                  if (reportFailures === 0) {
+                                    matchFailed("\"hours\"");
+                                  }
                                 }
-                                if (result0 !== null) {
-                                  result0 = (function(offset, e1, e2) {
-                                    var ex = {};
-                                    ex.token = 'expression';
-                                    ex.expressionType = 'builtincall';
-                                    ex.builtincall = 'sameterm';
-                                    ex.args = [e1, e2];
-                                    return ex;
-                                })(pos0, result0[4], result0[8]);
+                              }
+                              if (result0 === null) {
+                                if (input.substr(pos, 7) === "MINUTES") {
+                                  result0 = "MINUTES";
+                                  pos += 7;
+                                } else {
+                                  result0 = null;
+                                  if (reportFailures === 0) {
+                                    matchFailed("\"MINUTES\"");
+                                  }
                                 }
                                 if (result0 === null) {
-                                  pos = pos0;
+                                  if (input.substr(pos, 7) === "minutes") {
+                                    result0 = "minutes";
+                                    pos += 7;
+                                  } else {
+                                    result0 = null;
+                                    if (reportFailures === 0) {
+                                      matchFailed("\"minutes\"");
+                                    }
+                                  }
                                 }
                                 if (result0 === null) {
-                                  pos0 = pos;
-                                  pos1 = pos;
-                                  if (input.substr(pos, 5) === "ISURI") {
-                                    result0 = "ISURI";
-                                    pos += 5;
+                                  if (input.substr(pos, 7) === "SECONDS") {
+                                    result0 = "SECONDS";
+                                    pos += 7;
                                   } else {
                                     result0 = null;
                                     if (reportFailures === 0) {
-                                      matchFailed("\"ISURI\"");
+                                      matchFailed("\"SECONDS\"");
                                     }
                                   }
                                   if (result0 === null) {
-                                    if (input.substr(pos, 5) === "isuri") {
-                                      result0 = "isuri";
-                                      pos += 5;
+                                    if (input.substr(pos, 7) === "seconds") {
+                                      result0 = "seconds";
+                                      pos += 7;
                                     } else {
                                       result0 = null;
                                       if (reportFailures === 0) {
-                                        matchFailed("\"isuri\"");
-                                      }
-                                    }
-                                    if (result0 === null) {
-                                      if (input.substr(pos, 5) === "ISIRI") {
-                                        result0 = "ISIRI";
-                                        pos += 5;
-                                      } else {
-                                        result0 = null;
-                                        if (reportFailures === 0) {
-                                          matchFailed("\"ISIRI\"");
-                                        }
-                                      }
-                                      if (result0 === null) {
-                                        if (input.substr(pos, 5) === "isiri") {
-                                          result0 = "isiri";
-                                          pos += 5;
-                                        } else {
-                                          result0 = null;
-                                          if (reportFailures === 0) {
-                                            matchFailed("\"isiri\"");
-                                          }
-                                        }
-                                      }
-                                    }
-                                  }
-                                  if (result0 !== null) {
-                                    result1 = [];
-                                    result2 = parse_WS();
-                                    while (result2 !== null) {
-                                      result1.push(result2);
-                                      result2 = parse_WS();
-                                    }
-                                    if (result1 !== null) {
-                                      if (input.charCodeAt(pos) === 40) {
-                                        result2 = "(";
-                                        pos++;
-                                      } else {
-                                        result2 = null;
-                                        if (reportFailures === 0) {
-                                          matchFailed("\"(\"");
-                                        }
-                                      }
-                                      if (result2 !== null) {
-                                        result3 = [];
-                                        result4 = parse_WS();
-                                        while (result4 !== null) {
-                                          result3.push(result4);
-                                          result4 = parse_WS();
-                                        }
-                                        if (result3 !== null) {
-                                          result4 = parse_ConditionalOrExpression();
-                                          if (result4 !== null) {
-                                            result5 = [];
-                                            result6 = parse_WS();
-                                            while (result6 !== null) {
-                                              result5.push(result6);
-                                              result6 = parse_WS();
-                                            }
-                                            if (result5 !== null) {
-                                              if (input.charCodeAt(pos) === 41) {
-                                                result6 = ")";
-                                                pos++;
-                                              } else {
-                                                result6 = null;
-                                                if (reportFailures === 0) {
-                                                  matchFailed("\")\"");
-                                                }
-                                              }
-                                              if (result6 !== null) {
-                                                result0 = [result0, result1, result2, result3, result4, result5, result6];
-                                              } else {
-                                                result0 = null;
-                                                pos = pos1;
-                                              }
-                                            } else {
-                                              result0 = null;
-                                              pos = pos1;
-                                            }
-                                          } else {
-                                            result0 = null;
-                                            pos = pos1;
-                                          }
-                                        } else {
-                                          result0 = null;
-                                          pos = pos1;
-                                        }
-                                      } else {
-                                        result0 = null;
-                                        pos = pos1;
+                                        matchFailed("\"seconds\"");
                                       }
-                                    } else {
-                                      result0 = null;
-                                      pos = pos1;
                                     }
-                                  } else {
-                                    result0 = null;
-                                    pos = pos1;
-                                  }
-                                  if (result0 !== null) {
-                                    result0 = (function(offset, arg) {
-                                      var ex = {};
-                                      ex.token = 'expression';
-                                      ex.expressionType = 'builtincall';
-                                      ex.builtincall = 'isuri';
-                                      ex.args = [arg];
-                                  
-                                      return ex;
-                                  })(pos0, result0[4]);
-                                  }
-                                  if (result0 === null) {
-                                    pos = pos0;
                                   }
                                   if (result0 === null) {
-                                    pos0 = pos;
-                                    pos1 = pos;
-                                    if (input.substr(pos, 7) === "custom:") {
-                                      result0 = "custom:";
-                                      pos += 7;
+                                    if (input.substr(pos, 8) === "TIMEZONE") {
+                                      result0 = "TIMEZONE";
+                                      pos += 8;
                                     } else {
                                       result0 = null;
                                       if (reportFailures === 0) {
-                                        matchFailed("\"custom:\"");
+                                        matchFailed("\"TIMEZONE\"");
                                       }
                                     }
                                     if (result0 === null) {
-                                      if (input.substr(pos, 7) === "CUSTOM:") {
-                                        result0 = "CUSTOM:";
-                                        pos += 7;
+                                      if (input.substr(pos, 8) === "timezone") {
+                                        result0 = "timezone";
+                                        pos += 8;
                                       } else {
                                         result0 = null;
                                         if (reportFailures === 0) {
-                                          matchFailed("\"CUSTOM:\"");
+                                          matchFailed("\"timezone\"");
                                         }
                                       }
                                     }
-                                    if (result0 !== null) {
-                                      if (/^[a-zA-Z0-9_]/.test(input.charAt(pos))) {
-                                        result2 = input.charAt(pos);
-                                        pos++;
+                                    if (result0 === null) {
+                                      if (input.substr(pos, 2) === "TZ") {
+                                        result0 = "TZ";
+                                        pos += 2;
                                       } else {
-                                        result2 = null;
+                                        result0 = null;
                                         if (reportFailures === 0) {
-                                          matchFailed("[a-zA-Z0-9_]");
+                                          matchFailed("\"TZ\"");
+                                        }
+                                      }
+                                      if (result0 === null) {
+                                        if (input.substr(pos, 2) === "tz") {
+                                          result0 = "tz";
+                                          pos += 2;
+                                        } else {
+                                          result0 = null;
+                                          if (reportFailures === 0) {
+                                            matchFailed("\"tz\"");
+                                          }
                                         }
                                       }
-                                      if (result2 !== null) {
-                                        result1 = [];
-                                        while (result2 !== null) {
-                                          result1.push(result2);
-                                          if (/^[a-zA-Z0-9_]/.test(input.charAt(pos))) {
-                                            result2 = input.charAt(pos);
-                                            pos++;
+                                      if (result0 === null) {
+                                        if (input.substr(pos, 3) === "MD5") {
+                                          result0 = "MD5";
+                                          pos += 3;
+                                        } else {
+                                          result0 = null;
+                                          if (reportFailures === 0) {
+                                            matchFailed("\"MD5\"");
+                                          }
+                                        }
+                                        if (result0 === null) {
+                                          if (input.substr(pos, 3) === "md5") {
+                                            result0 = "md5";
+                                            pos += 3;
                                           } else {
-                                            result2 = null;
+                                            result0 = null;
                                             if (reportFailures === 0) {
-                                              matchFailed("[a-zA-Z0-9_]");
+                                              matchFailed("\"md5\"");
                                             }
                                           }
                                         }
-                                      } else {
-                                        result1 = null;
-                                      }
-                                      if (result1 !== null) {
-                                        result2 = [];
-                                        result3 = parse_WS();
-                                        while (result3 !== null) {
-                                          result2.push(result3);
-                                          result3 = parse_WS();
-                                        }
-                                        if (result2 !== null) {
-                                          if (input.charCodeAt(pos) === 40) {
-                                            result3 = "(";
-                                            pos++;
+                                        if (result0 === null) {
+                                          if (input.substr(pos, 4) === "SHA1") {
+                                            result0 = "SHA1";
+                                            pos += 4;
                                           } else {
-                                            result3 = null;
+                                            result0 = null;
                                             if (reportFailures === 0) {
-                                              matchFailed("\"(\"");
+                                              matchFailed("\"SHA1\"");
                                             }
                                           }
-                                          if (result3 !== null) {
-                                            result4 = [];
-                                            pos2 = pos;
-                                            result5 = [];
-                                            result6 = parse_WS();
-                                            while (result6 !== null) {
-                                              result5.push(result6);
-                                              result6 = parse_WS();
+                                          if (result0 === null) {
+                                            if (input.substr(pos, 4) === "sha1") {
+                                              result0 = "sha1";
+                                              pos += 4;
+                                            } else {
+                                              result0 = null;
+                                              if (reportFailures === 0) {
+                                                matchFailed("\"sha1\"");
+                                              }
                                             }
-                                            if (result5 !== null) {
-                                              result6 = parse_ConditionalOrExpression();
-                                              if (result6 !== null) {
-                                                if (input.charCodeAt(pos) === 44) {
-                                                  result7 = ",";
-                                                  pos++;
+                                          }
+                                          if (result0 === null) {
+                                            if (input.substr(pos, 6) === "SHA256") {
+                                              result0 = "SHA256";
+                                              pos += 6;
+                                            } else {
+                                              result0 = null;
+                                              if (reportFailures === 0) {
+                                                matchFailed("\"SHA256\"");
+                                              }
+                                            }
+                                            if (result0 === null) {
+                                              if (input.substr(pos, 6) === "sha256") {
+                                                result0 = "sha256";
+                                                pos += 6;
+                                              } else {
+                                                result0 = null;
+                                                if (reportFailures === 0) {
+                                                  matchFailed("\"sha256\"");
+                                                }
+                                              }
+                                            }
+                                            if (result0 === null) {
+                                              if (input.substr(pos, 6) === "SHA384") {
+                                                result0 = "SHA384";
+                                                pos += 6;
+                                              } else {
+                                                result0 = null;
+                                                if (reportFailures === 0) {
+                                                  matchFailed("\"SHA384\"");
+                                                }
+                                              }
+                                              if (result0 === null) {
+                                                if (input.substr(pos, 6) === "sha384") {
+                                                  result0 = "sha384";
+                                                  pos += 6;
                                                 } else {
-                                                  result7 = null;
+                                                  result0 = null;
                                                   if (reportFailures === 0) {
-                                                    matchFailed("\",\"");
+                                                    matchFailed("\"sha384\"");
                                                   }
                                                 }
-                                                if (result7 !== null) {
-                                                  result5 = [result5, result6, result7];
+                                              }
+                                              if (result0 === null) {
+                                                if (input.substr(pos, 6) === "SHA512") {
+                                                  result0 = "SHA512";
+                                                  pos += 6;
                                                 } else {
-                                                  result5 = null;
-                                                  pos = pos2;
+                                                  result0 = null;
+                                                  if (reportFailures === 0) {
+                                                    matchFailed("\"SHA512\"");
+                                                  }
                                                 }
-                                              } else {
-                                                result5 = null;
-                                                pos = pos2;
-                                              }
-                                            } else {
-                                              result5 = null;
-                                              pos = pos2;
-                                            }
-                                            while (result5 !== null) {
-                                              result4.push(result5);
-                                              pos2 = pos;
-                                              result5 = [];
-                                              result6 = parse_WS();
-                                              while (result6 !== null) {
-                                                result5.push(result6);
-                                                result6 = parse_WS();
-                                              }
-                                              if (result5 !== null) {
-                                                result6 = parse_ConditionalOrExpression();
-                                                if (result6 !== null) {
-                                                  if (input.charCodeAt(pos) === 44) {
-                                                    result7 = ",";
-                                                    pos++;
+                                                if (result0 === null) {
+                                                  if (input.substr(pos, 6) === "sha512") {
+                                                    result0 = "sha512";
+                                                    pos += 6;
                                                   } else {
-                                                    result7 = null;
+                                                    result0 = null;
                                                     if (reportFailures === 0) {
-                                                      matchFailed("\",\"");
+                                                      matchFailed("\"sha512\"");
                                                     }
                                                   }
-                                                  if (result7 !== null) {
-                                                    result5 = [result5, result6, result7];
-                                                  } else {
-                                                    result5 = null;
-                                                    pos = pos2;
-                                                  }
-                                                } else {
-                                                  result5 = null;
-                                                  pos = pos2;
                                                 }
-                                              } else {
-                                                result5 = null;
-                                                pos = pos2;
-                                              }
-                                            }
-                                            if (result4 !== null) {
-                                              result5 = [];
-                                              result6 = parse_WS();
-                                              while (result6 !== null) {
-                                                result5.push(result6);
-                                                result6 = parse_WS();
-                                              }
-                                              if (result5 !== null) {
-                                                result6 = parse_ConditionalOrExpression();
-                                                if (result6 !== null) {
-                                                  result7 = [];
-                                                  result8 = parse_WS();
-                                                  while (result8 !== null) {
-                                                    result7.push(result8);
-                                                    result8 = parse_WS();
+                                                if (result0 === null) {
+                                                  if (input.substr(pos, 9) === "ISNUMERIC") {
+                                                    result0 = "ISNUMERIC";
+                                                    pos += 9;
+                                                  } else {
+                                                    result0 = null;
+                                                    if (reportFailures === 0) {
+                                                      matchFailed("\"ISNUMERIC\"");
+                                                    }
                                                   }
-                                                  if (result7 !== null) {
-                                                    if (input.charCodeAt(pos) === 41) {
-                                                      result8 = ")";
-                                                      pos++;
+                                                  if (result0 === null) {
+                                                    if (input.substr(pos, 9) === "isnumeric") {
+                                                      result0 = "isnumeric";
+                                                      pos += 9;
                                                     } else {
-                                                      result8 = null;
+                                                      result0 = null;
                                                       if (reportFailures === 0) {
-                                                        matchFailed("\")\"");
+                                                        matchFailed("\"isnumeric\"");
                                                       }
                                                     }
-                                                    if (result8 !== null) {
-                                                      result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8];
-                                                    } else {
-                                                      result0 = null;
-                                                      pos = pos1;
+                                                    if (result0 === null) {
+                                                      if (input.substr(pos, 9) === "isNumeric") {
+                                                        result0 = "isNumeric";
+                                                        pos += 9;
+                                                      } else {
+                                                        result0 = null;
+                                                        if (reportFailures === 0) {
+                                                          matchFailed("\"isNumeric\"");
+                                                        }
+                                                      }
                                                     }
-                                                  } else {
-                                                    result0 = null;
-                                                    pos = pos1;
                                                   }
-                                                } else {
-                                                  result0 = null;
-                                                  pos = pos1;
                                                 }
-                                              } else {
-                                                result0 = null;
-                                                pos = pos1;
                                               }
-                                            } else {
-                                              result0 = null;
-                                              pos = pos1;
                                             }
-                                          } else {
-                                            result0 = null;
-                                            pos = pos1;
                                           }
-                                        } else {
-                                          result0 = null;
-                                          pos = pos1;
-                                        }
-                                      } else {
-                                        result0 = null;
-                                        pos = pos1;
-                                      }
-                                    } else {
-                                      result0 = null;
-                                      pos = pos1;
-                                    }
-                                    if (result0 !== null) {
-                                      result0 = (function(offset, fnname, alter, finalarg) {
-                                      var ex = {};
-                                      ex.token = 'expression';
-                                      ex.expressionType = 'custom';
-                                      ex.name = fnname.join('');
-                                      var acum = [];
-                                      for(var i=0; i<alter.length; i++)
-                                        acum.push(alter[i][1]);
-                                      acum.push(finalarg);
-                                      ex.args = acum;
-                                    
-                                      return ex;
-                                    })(pos0, result0[1], result0[4], result0[6]);
-                                    }
-                                    if (result0 === null) {
-                                      pos = pos0;
-                                    }
-                                    if (result0 === null) {
-                                      result0 = parse_RegexExpression();
-                                      if (result0 === null) {
-                                        result0 = parse_ExistsFunc();
-                                        if (result0 === null) {
-                                          result0 = parse_NotExistsFunc();
                                         }
                                       }
                                     }
@@ -13371,9 +17107,181 @@ SparqlParser.parser = (function(){
             }
           }
         }
-        reportFailures--;
-        if (reportFailures === 0 && result0 === null) {
-          matchFailed("[106] BuiltInCall");
+        if (result0 !== null) {
+          result0 = (function(offset, fn) {
+            return fn.toLowerCase();
+        })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      
+      function parse_BuiltInBinaryFunction() {
+        var result0;
+        var pos0;
+        
+        pos0 = pos;
+        if (input.substr(pos, 9) === "STRSTARTS") {
+          result0 = "STRSTARTS";
+          pos += 9;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"STRSTARTS\"");
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 9) === "strstarts") {
+            result0 = "strstarts";
+            pos += 9;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"strstarts\"");
+            }
+          }
+        }
+        if (result0 === null) {
+          if (input.substr(pos, 7) === "STRENDS") {
+            result0 = "STRENDS";
+            pos += 7;
+          } else {
+            result0 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"STRENDS\"");
+            }
+          }
+          if (result0 === null) {
+            if (input.substr(pos, 7) === "strends") {
+              result0 = "strends";
+              pos += 7;
+            } else {
+              result0 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"strends\"");
+              }
+            }
+          }
+          if (result0 === null) {
+            if (input.substr(pos, 8) === "CONTAINS") {
+              result0 = "CONTAINS";
+              pos += 8;
+            } else {
+              result0 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"CONTAINS\"");
+              }
+            }
+            if (result0 === null) {
+              if (input.substr(pos, 8) === "contains") {
+                result0 = "contains";
+                pos += 8;
+              } else {
+                result0 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"contains\"");
+                }
+              }
+            }
+            if (result0 === null) {
+              if (input.substr(pos, 9) === "STRBEFORE") {
+                result0 = "STRBEFORE";
+                pos += 9;
+              } else {
+                result0 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"STRBEFORE\"");
+                }
+              }
+              if (result0 === null) {
+                if (input.substr(pos, 9) === "strbefore") {
+                  result0 = "strbefore";
+                  pos += 9;
+                } else {
+                  result0 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"strbefore\"");
+                  }
+                }
+              }
+              if (result0 === null) {
+                if (input.substr(pos, 8) === "STRAFTER") {
+                  result0 = "STRAFTER";
+                  pos += 8;
+                } else {
+                  result0 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"STRAFTER\"");
+                  }
+                }
+                if (result0 === null) {
+                  if (input.substr(pos, 8) === "strafter") {
+                    result0 = "strafter";
+                    pos += 8;
+                  } else {
+                    result0 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"strafter\"");
+                    }
+                  }
+                }
+                if (result0 === null) {
+                  if (input.substr(pos, 5) === "STRDT") {
+                    result0 = "STRDT";
+                    pos += 5;
+                  } else {
+                    result0 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"STRDT\"");
+                    }
+                  }
+                  if (result0 === null) {
+                    if (input.substr(pos, 5) === "strdt") {
+                      result0 = "strdt";
+                      pos += 5;
+                    } else {
+                      result0 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"strdt\"");
+                      }
+                    }
+                  }
+                  if (result0 === null) {
+                    if (input.substr(pos, 7) === "STRLANG") {
+                      result0 = "STRLANG";
+                      pos += 7;
+                    } else {
+                      result0 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"STRLANG\"");
+                      }
+                    }
+                    if (result0 === null) {
+                      if (input.substr(pos, 7) === "strlang") {
+                        result0 = "strlang";
+                        pos += 7;
+                      } else {
+                        result0 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"strlang\"");
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, fn) {
+            return fn.toLowerCase();
+        })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
         }
         return result0;
       }
@@ -13771,8 +17679,8 @@ SparqlParser.parser = (function(){
       }
       
       function parse_Aggregate() {
-        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10;
-        var pos0, pos1;
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11, result12, result13, result14;
+        var pos0, pos1, pos2;
         
         reportFailures++;
         pos0 = pos;
@@ -14443,92 +18351,531 @@ SparqlParser.parser = (function(){
                     pos += 3;
                   } else {
                     result0 = null;
-                    if (reportFailures === 0) {
-                      matchFailed("\"avg\"");
-                    }
+                    if (reportFailures === 0) {
+                      matchFailed("\"avg\"");
+                    }
+                  }
+                }
+                if (result0 !== null) {
+                  result1 = [];
+                  result2 = parse_WS();
+                  while (result2 !== null) {
+                    result1.push(result2);
+                    result2 = parse_WS();
+                  }
+                  if (result1 !== null) {
+                    if (input.charCodeAt(pos) === 40) {
+                      result2 = "(";
+                      pos++;
+                    } else {
+                      result2 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"(\"");
+                      }
+                    }
+                    if (result2 !== null) {
+                      result3 = [];
+                      result4 = parse_WS();
+                      while (result4 !== null) {
+                        result3.push(result4);
+                        result4 = parse_WS();
+                      }
+                      if (result3 !== null) {
+                        if (input.substr(pos, 8) === "DISTINCT") {
+                          result4 = "DISTINCT";
+                          pos += 8;
+                        } else {
+                          result4 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\"DISTINCT\"");
+                          }
+                        }
+                        if (result4 === null) {
+                          if (input.substr(pos, 8) === "distinct") {
+                            result4 = "distinct";
+                            pos += 8;
+                          } else {
+                            result4 = null;
+                            if (reportFailures === 0) {
+                              matchFailed("\"distinct\"");
+                            }
+                          }
+                        }
+                        result4 = result4 !== null ? result4 : "";
+                        if (result4 !== null) {
+                          result5 = [];
+                          result6 = parse_WS();
+                          while (result6 !== null) {
+                            result5.push(result6);
+                            result6 = parse_WS();
+                          }
+                          if (result5 !== null) {
+                            result6 = parse_ConditionalOrExpression();
+                            if (result6 !== null) {
+                              result7 = [];
+                              result8 = parse_WS();
+                              while (result8 !== null) {
+                                result7.push(result8);
+                                result8 = parse_WS();
+                              }
+                              if (result7 !== null) {
+                                if (input.charCodeAt(pos) === 41) {
+                                  result8 = ")";
+                                  pos++;
+                                } else {
+                                  result8 = null;
+                                  if (reportFailures === 0) {
+                                    matchFailed("\")\"");
+                                  }
+                                }
+                                if (result8 !== null) {
+                                  result9 = [];
+                                  result10 = parse_WS();
+                                  while (result10 !== null) {
+                                    result9.push(result10);
+                                    result10 = parse_WS();
+                                  }
+                                  if (result9 !== null) {
+                                    result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9];
+                                  } else {
+                                    result0 = null;
+                                    pos = pos1;
+                                  }
+                                } else {
+                                  result0 = null;
+                                  pos = pos1;
+                                }
+                              } else {
+                                result0 = null;
+                                pos = pos1;
+                              }
+                            } else {
+                              result0 = null;
+                              pos = pos1;
+                            }
+                          } else {
+                            result0 = null;
+                            pos = pos1;
+                          }
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+                if (result0 !== null) {
+                  result0 = (function(offset, d, e) {
+                      var exp = {};
+                      exp.token = 'expression'
+                      exp.expressionType = 'aggregate'
+                      exp.aggregateType = 'avg'
+                      exp.distinct = (d != "" ? 'DISTINCT' : d);
+                      exp.expression = e
+                
+                      return exp
+                
+                  })(pos0, result0[4], result0[6]);
+                }
+                if (result0 === null) {
+                  pos = pos0;
+                }
+                if (result0 === null) {
+                  pos0 = pos;
+                  pos1 = pos;
+                  if (input.substr(pos, 6) === "SAMPLE") {
+                    result0 = "SAMPLE";
+                    pos += 6;
+                  } else {
+                    result0 = null;
+                    if (reportFailures === 0) {
+                      matchFailed("\"SAMPLE\"");
+                    }
+                  }
+                  if (result0 === null) {
+                    if (input.substr(pos, 6) === "sample") {
+                      result0 = "sample";
+                      pos += 6;
+                    } else {
+                      result0 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\"sample\"");
+                      }
+                    }
+                  }
+                  if (result0 !== null) {
+                    result1 = [];
+                    result2 = parse_WS();
+                    while (result2 !== null) {
+                      result1.push(result2);
+                      result2 = parse_WS();
+                    }
+                    if (result1 !== null) {
+                      if (input.charCodeAt(pos) === 40) {
+                        result2 = "(";
+                        pos++;
+                      } else {
+                        result2 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"(\"");
+                        }
+                      }
+                      if (result2 !== null) {
+                        result3 = [];
+                        result4 = parse_WS();
+                        while (result4 !== null) {
+                          result3.push(result4);
+                          result4 = parse_WS();
+                        }
+                        if (result3 !== null) {
+                          if (input.substr(pos, 8) === "DISTINCT") {
+                            result4 = "DISTINCT";
+                            pos += 8;
+                          } else {
+                            result4 = null;
+                            if (reportFailures === 0) {
+                              matchFailed("\"DISTINCT\"");
+                            }
+                          }
+                          if (result4 === null) {
+                            if (input.substr(pos, 8) === "distinct") {
+                              result4 = "distinct";
+                              pos += 8;
+                            } else {
+                              result4 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\"distinct\"");
+                              }
+                            }
+                          }
+                          result4 = result4 !== null ? result4 : "";
+                          if (result4 !== null) {
+                            result5 = [];
+                            result6 = parse_WS();
+                            while (result6 !== null) {
+                              result5.push(result6);
+                              result6 = parse_WS();
+                            }
+                            if (result5 !== null) {
+                              result6 = parse_ConditionalOrExpression();
+                              if (result6 !== null) {
+                                result7 = [];
+                                result8 = parse_WS();
+                                while (result8 !== null) {
+                                  result7.push(result8);
+                                  result8 = parse_WS();
+                                }
+                                if (result7 !== null) {
+                                  if (input.charCodeAt(pos) === 41) {
+                                    result8 = ")";
+                                    pos++;
+                                  } else {
+                                    result8 = null;
+                                    if (reportFailures === 0) {
+                                      matchFailed("\")\"");
+                                    }
+                                  }
+                                  if (result8 !== null) {
+                                    result9 = [];
+                                    result10 = parse_WS();
+                                    while (result10 !== null) {
+                                      result9.push(result10);
+                                      result10 = parse_WS();
+                                    }
+                                    if (result9 !== null) {
+                                      result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9];
+                                    } else {
+                                      result0 = null;
+                                      pos = pos1;
+                                    }
+                                  } else {
+                                    result0 = null;
+                                    pos = pos1;
+                                  }
+                                } else {
+                                  result0 = null;
+                                  pos = pos1;
+                                }
+                              } else {
+                                result0 = null;
+                                pos = pos1;
+                              }
+                            } else {
+                              result0 = null;
+                              pos = pos1;
+                            }
+                          } else {
+                            result0 = null;
+                            pos = pos1;
+                          }
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
                   }
-                }
-                if (result0 !== null) {
-                  result1 = [];
-                  result2 = parse_WS();
-                  while (result2 !== null) {
-                    result1.push(result2);
-                    result2 = parse_WS();
+                  if (result0 !== null) {
+                    result0 = (function(offset, d, e) {
+                        var exp = {};
+                        exp.token = 'expression';
+                        exp.expressionType = 'aggregate';
+                        exp.aggregateType = 'sample';
+                        exp.distinct = (d != "" ? 'DISTINCT' : d);
+                        exp.expression = e;
+                  
+                        return exp;
+                  
+                    })(pos0, result0[4], result0[6]);
                   }
-                  if (result1 !== null) {
-                    if (input.charCodeAt(pos) === 40) {
-                      result2 = "(";
-                      pos++;
+                  if (result0 === null) {
+                    pos = pos0;
+                  }
+                  if (result0 === null) {
+                    pos0 = pos;
+                    pos1 = pos;
+                    if (input.substr(pos, 12) === "GROUP_CONCAT") {
+                      result0 = "GROUP_CONCAT";
+                      pos += 12;
                     } else {
-                      result2 = null;
+                      result0 = null;
                       if (reportFailures === 0) {
-                        matchFailed("\"(\"");
+                        matchFailed("\"GROUP_CONCAT\"");
                       }
                     }
-                    if (result2 !== null) {
-                      result3 = [];
-                      result4 = parse_WS();
-                      while (result4 !== null) {
-                        result3.push(result4);
-                        result4 = parse_WS();
+                    if (result0 === null) {
+                      if (input.substr(pos, 12) === "group_concat") {
+                        result0 = "group_concat";
+                        pos += 12;
+                      } else {
+                        result0 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\"group_concat\"");
+                        }
                       }
-                      if (result3 !== null) {
-                        if (input.substr(pos, 8) === "DISTINCT") {
-                          result4 = "DISTINCT";
-                          pos += 8;
+                    }
+                    if (result0 !== null) {
+                      result1 = [];
+                      result2 = parse_WS();
+                      while (result2 !== null) {
+                        result1.push(result2);
+                        result2 = parse_WS();
+                      }
+                      if (result1 !== null) {
+                        if (input.charCodeAt(pos) === 40) {
+                          result2 = "(";
+                          pos++;
                         } else {
-                          result4 = null;
+                          result2 = null;
                           if (reportFailures === 0) {
-                            matchFailed("\"DISTINCT\"");
-                          }
-                        }
-                        if (result4 === null) {
-                          if (input.substr(pos, 8) === "distinct") {
-                            result4 = "distinct";
-                            pos += 8;
-                          } else {
-                            result4 = null;
-                            if (reportFailures === 0) {
-                              matchFailed("\"distinct\"");
-                            }
+                            matchFailed("\"(\"");
                           }
                         }
-                        result4 = result4 !== null ? result4 : "";
-                        if (result4 !== null) {
-                          result5 = [];
-                          result6 = parse_WS();
-                          while (result6 !== null) {
-                            result5.push(result6);
-                            result6 = parse_WS();
+                        if (result2 !== null) {
+                          result3 = [];
+                          result4 = parse_WS();
+                          while (result4 !== null) {
+                            result3.push(result4);
+                            result4 = parse_WS();
                           }
-                          if (result5 !== null) {
-                            result6 = parse_ConditionalOrExpression();
-                            if (result6 !== null) {
-                              result7 = [];
-                              result8 = parse_WS();
-                              while (result8 !== null) {
-                                result7.push(result8);
-                                result8 = parse_WS();
+                          if (result3 !== null) {
+                            if (input.substr(pos, 8) === "DISTINCT") {
+                              result4 = "DISTINCT";
+                              pos += 8;
+                            } else {
+                              result4 = null;
+                              if (reportFailures === 0) {
+                                matchFailed("\"DISTINCT\"");
                               }
-                              if (result7 !== null) {
-                                if (input.charCodeAt(pos) === 41) {
-                                  result8 = ")";
-                                  pos++;
-                                } else {
-                                  result8 = null;
-                                  if (reportFailures === 0) {
-                                    matchFailed("\")\"");
-                                  }
+                            }
+                            if (result4 === null) {
+                              if (input.substr(pos, 8) === "distinct") {
+                                result4 = "distinct";
+                                pos += 8;
+                              } else {
+                                result4 = null;
+                                if (reportFailures === 0) {
+                                  matchFailed("\"distinct\"");
                                 }
-                                if (result8 !== null) {
-                                  result9 = [];
-                                  result10 = parse_WS();
-                                  while (result10 !== null) {
-                                    result9.push(result10);
-                                    result10 = parse_WS();
+                              }
+                            }
+                            result4 = result4 !== null ? result4 : "";
+                            if (result4 !== null) {
+                              result5 = [];
+                              result6 = parse_WS();
+                              while (result6 !== null) {
+                                result5.push(result6);
+                                result6 = parse_WS();
+                              }
+                              if (result5 !== null) {
+                                result6 = parse_ConditionalOrExpression();
+                                if (result6 !== null) {
+                                  pos2 = pos;
+                                  result7 = [];
+                                  result8 = parse_WS();
+                                  while (result8 !== null) {
+                                    result7.push(result8);
+                                    result8 = parse_WS();
                                   }
-                                  if (result9 !== null) {
-                                    result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9];
+                                  if (result7 !== null) {
+                                    if (input.charCodeAt(pos) === 59) {
+                                      result8 = ";";
+                                      pos++;
+                                    } else {
+                                      result8 = null;
+                                      if (reportFailures === 0) {
+                                        matchFailed("\";\"");
+                                      }
+                                    }
+                                    if (result8 !== null) {
+                                      result9 = [];
+                                      result10 = parse_WS();
+                                      while (result10 !== null) {
+                                        result9.push(result10);
+                                        result10 = parse_WS();
+                                      }
+                                      if (result9 !== null) {
+                                        if (input.substr(pos, 9) === "SEPARATOR") {
+                                          result10 = "SEPARATOR";
+                                          pos += 9;
+                                        } else {
+                                          result10 = null;
+                                          if (reportFailures === 0) {
+                                            matchFailed("\"SEPARATOR\"");
+                                          }
+                                        }
+                                        if (result10 === null) {
+                                          if (input.substr(pos, 9) === "separator") {
+                                            result10 = "separator";
+                                            pos += 9;
+                                          } else {
+                                            result10 = null;
+                                            if (reportFailures === 0) {
+                                              matchFailed("\"separator\"");
+                                            }
+                                          }
+                                        }
+                                        if (result10 !== null) {
+                                          result11 = [];
+                                          result12 = parse_WS();
+                                          while (result12 !== null) {
+                                            result11.push(result12);
+                                            result12 = parse_WS();
+                                          }
+                                          if (result11 !== null) {
+                                            if (input.charCodeAt(pos) === 61) {
+                                              result12 = "=";
+                                              pos++;
+                                            } else {
+                                              result12 = null;
+                                              if (reportFailures === 0) {
+                                                matchFailed("\"=\"");
+                                              }
+                                            }
+                                            if (result12 !== null) {
+                                              result13 = [];
+                                              result14 = parse_WS();
+                                              while (result14 !== null) {
+                                                result13.push(result14);
+                                                result14 = parse_WS();
+                                              }
+                                              if (result13 !== null) {
+                                                result14 = parse_String();
+                                                if (result14 !== null) {
+                                                  result7 = [result7, result8, result9, result10, result11, result12, result13, result14];
+                                                } else {
+                                                  result7 = null;
+                                                  pos = pos2;
+                                                }
+                                              } else {
+                                                result7 = null;
+                                                pos = pos2;
+                                              }
+                                            } else {
+                                              result7 = null;
+                                              pos = pos2;
+                                            }
+                                          } else {
+                                            result7 = null;
+                                            pos = pos2;
+                                          }
+                                        } else {
+                                          result7 = null;
+                                          pos = pos2;
+                                        }
+                                      } else {
+                                        result7 = null;
+                                        pos = pos2;
+                                      }
+                                    } else {
+                                      result7 = null;
+                                      pos = pos2;
+                                    }
+                                  } else {
+                                    result7 = null;
+                                    pos = pos2;
+                                  }
+                                  result7 = result7 !== null ? result7 : "";
+                                  if (result7 !== null) {
+                                    result8 = [];
+                                    result9 = parse_WS();
+                                    while (result9 !== null) {
+                                      result8.push(result9);
+                                      result9 = parse_WS();
+                                    }
+                                    if (result8 !== null) {
+                                      if (input.charCodeAt(pos) === 41) {
+                                        result9 = ")";
+                                        pos++;
+                                      } else {
+                                        result9 = null;
+                                        if (reportFailures === 0) {
+                                          matchFailed("\")\"");
+                                        }
+                                      }
+                                      if (result9 !== null) {
+                                        result10 = [];
+                                        result11 = parse_WS();
+                                        while (result11 !== null) {
+                                          result10.push(result11);
+                                          result11 = parse_WS();
+                                        }
+                                        if (result10 !== null) {
+                                          result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10];
+                                        } else {
+                                          result0 = null;
+                                          pos = pos1;
+                                        }
+                                      } else {
+                                        result0 = null;
+                                        pos = pos1;
+                                      }
+                                    } else {
+                                      result0 = null;
+                                      pos = pos1;
+                                    }
                                   } else {
                                     result0 = null;
                                     pos = pos1;
@@ -14561,29 +18908,24 @@ SparqlParser.parser = (function(){
                       result0 = null;
                       pos = pos1;
                     }
-                  } else {
-                    result0 = null;
-                    pos = pos1;
+                    if (result0 !== null) {
+                      result0 = (function(offset, d, e, s) {
+                          var exp = {};
+                          exp.token = 'expression';
+                          exp.expressionType = 'aggregate';
+                          exp.aggregateType = 'group_concat';
+                          exp.distinct = (d != "" ? 'DISTINCT' : d);
+                          exp.expression = e;
+                          exp.separator = (s != "" ? s[7].value : ' ');
+                    
+                          return exp;
+                    
+                      })(pos0, result0[4], result0[6], result0[7]);
+                    }
+                    if (result0 === null) {
+                      pos = pos0;
+                    }
                   }
-                } else {
-                  result0 = null;
-                  pos = pos1;
-                }
-                if (result0 !== null) {
-                  result0 = (function(offset, d, e) {
-                      var exp = {};
-                      exp.token = 'expression'
-                      exp.expressionType = 'aggregate'
-                      exp.aggregateType = 'avg'
-                      exp.distinct = (d != "" ? 'DISTINCT' : d);
-                      exp.expression = e
-                
-                      return exp
-                
-                  })(pos0, result0[4], result0[6]);
-                }
-                if (result0 === null) {
-                  pos = pos0;
                 }
               }
             }
@@ -321,4 +321,133 @@ exports.customFunction = function(test) {
     test.ok(result.pattern.filter[0].value.name === 'hey');
     test.ok(result.pattern.filter[0].value.args.length === 2);
     test.done();
-}
\ No newline at end of file
+}
+exports.describeQuery = function(test) {
+    var query = "DESCRIBE ?x <http://example.org/a> WHERE { ?x <http://example.org/p> ?y }";
+
+    query = aqt.parseQueryString(query);
+    var result = aqt.parseExecutableUnit(query.units[0]);
+
+    test.ok(result.kind === 'describe');
+    test.ok(result.resources.length === 2);
+    test.ok(result.resources[0].token === 'var');
+    test.ok(result.resources[0].value === 'x');
+    test.ok(result.resources[1].token === 'uri');
+    test.ok(result.resources[1].value === 'http://example.org/a');
+    test.ok(result.pattern.kind === 'BGP');
+
+    query = aqt.parseQueryString("DESCRIBE <http://example.org/a>");
+    result = aqt.parseExecutableUnit(query.units[0]);
+
+    test.ok(result.kind === 'describe');
+    test.ok(result.resources.length === 1);
+    test.ok(result.pattern == null);
+    test.done();
+};
+
+exports.bindAndValues = function(test) {
+    var query = "SELECT * WHERE { ?s <http://example.org/p> ?o BIND(?o + 1 AS ?x) VALUES ?o { 1 2 } }";
+
+    query = aqt.parseQueryString(query);
+    var result = aqt.parseExecutableUnit(query.units[0]);
+
+    test.ok(result.pattern.kind === 'JOIN');
+    test.ok(result.pattern.lvalue.kind === 'EXTEND');
+    test.ok(result.pattern.lvalue.variable.value === 'x');
+    test.ok(result.pattern.lvalue.value.kind === 'BGP');
+    test.ok(result.pattern.rvalue.kind === 'VALUES');
+    test.ok(result.pattern.rvalue.variables[0] === 'o');
+    test.ok(result.pattern.rvalue.rows.length === 2);
+
+    query = aqt.parseQueryString("SELECT * WHERE { ?s ?p ?o } VALUES (?s ?o) { (<http://example.org/a> UNDEF) }");
+    result = aqt.parseExecutableUnit(query.units[0]);
+
+    test.ok(result.pattern.kind === 'JOIN');
+    test.ok(result.pattern.rvalue.kind === 'VALUES');
+    test.ok(result.pattern.rvalue.variables.length === 2);
+    test.ok(result.pattern.rvalue.rows[0][0].value === 'http://example.org/a');
+    test.ok(result.pattern.rvalue.rows[0][1] == null);
+    test.done();
+};
+
+exports.subSelect = function(test) {
+    var query = "SELECT ?n ?c { ?s <http://example.org/name> ?n { SELECT ?s (COUNT(?o) AS ?c) { ?s <http://example.org/knows> ?o } GROUP BY ?s LIMIT 5 } }";
+
+    query = aqt.parseQueryString(query);
+    var result = aqt.parseExecutableUnit(query.units[0]);
+
+    test.ok(result.pattern.kind === 'JOIN');
+    test.ok(result.pattern.lvalue.kind === 'BGP');
+    test.ok(result.pattern.rvalue.kind === 'SUBSELECT');
+    var subselect = result.pattern.rvalue.value;
+    test.ok(subselect.pattern.kind === 'BGP');
+    test.ok(subselect.limit === 5);
+    test.ok(subselect.group.length === 1);
+
+    var projected = aqt.projectedVariables(subselect);
+    test.ok(projected.length === 2);
+    test.ok(projected[0] === 's');
+    test.ok(projected[1] === 'c');
+    test.done();
+};
+
+exports.service = function(test) {
+    var query = "PREFIX ex: <http://example.org/> SELECT * { ?s ex:name ?n SERVICE SILENT ?e { ?s ex:age ?age FILTER(?age > 3) } }";
+
+    query = aqt.parseQueryString(query);
+    var result = aqt.parseExecutableUnit(query.units[0]);
+
+    test.ok(result.pattern.kind === 'JOIN');
+    test.ok(result.pattern.rvalue.kind === 'SERVICE');
+    var service = result.pattern.rvalue;
+    test.ok(service.silent === true);
+    test.ok(service.endpoint.token === 'var');
+    test.ok(service.endpoint.value === 'e');
+    test.ok(service.text === "{ ?s ex:age ?age FILTER(?age > 3) }");
+
+    var inScope = aqt.inScopeVariables(result.pattern);
+    test.ok(inScope['e'] === true);
+    test.ok(inScope['age'] === true);
+    // remote triples are not looked up in the local store
+    test.ok(aqt.collectBasicTriples(service).length === 0);
+    test.done();
+};
+
+exports.complexPath = function(test) {
+    var query = "PREFIX ex: <http://example.org/> SELECT * { ?s ex:name ?n . ?s (ex:knows|^ex:member)+ ?o . ?o !(ex:p|^ex:q) ?v }";
+
+    query = aqt.parseQueryString(query);
+    var result = aqt.parseExecutableUnit(query.units[0]);
+
+    test.ok(result.pattern.kind === 'JOIN');
+    test.ok(result.pattern.lvalue.kind === 'JOIN');
+    test.ok(result.pattern.lvalue.lvalue.kind === 'BGP');
+    var path = result.pattern.lvalue.rvalue;
+    test.ok(path.kind === 'PATH');
+    test.ok(path.x.value === 's');
+    test.ok(path.y.value === 'o');
+    test.ok(path.path.kind === 'element');
+    test.ok(path.path.modifier === '+');
+    test.ok(path.path.value.kind === 'alternative');
+    test.ok(path.path.value.value[1].kind === 'inversePath');
+    var negated = result.pattern.rvalue;
+    test.ok(negated.kind === 'PATH');
+    test.ok(negated.path.kind === 'negatedPropertySet');
+    test.ok(negated.path.value.length === 2);
+    test.ok(negated.path.value[0].inverse === false);
+    test.ok(negated.path.value[1].inverse === true);
+
+    var inScope = aqt.inScopeVariables(result.pattern);
+    test.ok(inScope['o'] === true);
+    test.ok(inScope['v'] === true);
+
+    query = aqt.parseQueryString("SELECT * { ?s ^<http://example.org/p> ?o . ?o <http://example.org/q>{1,3} ?v }");
+    result = aqt.parseExecutableUnit(query.units[0]);
+    test.ok(result.pattern.kind === 'JOIN');
+    // inverse predicates are evaluated as triples
+    test.ok(result.pattern.lvalue.kind === 'BGP');
+    test.ok(result.pattern.lvalue.value[0].subject.value === 'o');
+    test.ok(result.pattern.rvalue.path.modifier.min === 1);
+    test.ok(result.pattern.rvalue.path.modifier.max === 3);
+    test.done();
+};
@@ -14,6 +14,8 @@ var http = require('http');
 var fs = require('fs'); 
 var url = require('url');
 var querystring = require("querystring");
+var crypto = require("crypto");
+var path = require("path");
 
 // development or production?
 var Store;
@@ -22,6 +24,11 @@ try {
 }catch(e) {
     Store = require('./index'); 
 }
+var SparqlResultsSerializer = Store.SparqlResultsSerializer;
+var RDFSerializer = Store.RDFSerializer;
+var JSONLD = Store.JSONLD;
+var AccessControl = Store.AccessControl;
+var ExecutionControl = Store.ExecutionControl;
 
 /**
  * Configuration options for the store's server and default values
@@ -30,12 +37,19 @@ Server.defaultOptions = {
     "port": {desc:"server port", def: "8080", validate: function(arg){ return(arg.match(/^[0-9]+$/) != null) } },
     "protocol": {desc:"protocol to use http | https", def: "http", validate: function(arg){return arg==='https' || arg==='http'} },
     "path": {desc:"Path where the SPARQL endpoint will be accessible", def:"/sparql", validate: function(arg){ return true} },
+    "graph-store-path": {desc:"Path where the SPARQL 1.1 Graph Store HTTP Protocol endpoint will be accessible", def:"/rdf-graph-store", validate: function(arg){ return true} },
     "ssl-key": {desc:"Path to the SSL private key file", def:"./ssl/privatekye.pem", validate: function(arg){ return true} },
     "ssl-cert": {desc:"Path to the SSL certfiviate file", def:"./ssl/certificate.pem", validate: function(arg){ return true} },
     "cors-enabled": {desc:"Should the server accept CORS requests", def:"true", validate: function(arg){ return arg==='true' || arg==='false'} },
-    "store-engine": {desc:"What backend should the store use: 'memory' and 'mongodb' are possible values", def:'memory', validate: function(arg){ return arg==='memory' || arg==='mongodb'} },
-    "store-tree-order": {desc:"BTree index tree order used in the in memory backend", def:'15', validate:function(arg){ return(arg.match(/^[0-9]+$/) != null) } },
-    "store-name": {desc:"Name to be used to store the quad data in the persistent backend", def:'rdfstore_js', validate:function(arg){ return arg.match(/-\./) == null }},
+    "cors-origins": {desc:"Comma separated list of origins allowed in CORS requests or '*' for any origin", def:"*", validate: function(arg){ return true} },
+    "auth": {desc:"Authentication of the HTTP requests: 'none', 'basic', 'bearer' or 'module'", def:"none", validate: function(arg){ return arg==='none' || arg==='basic' || arg==='bearer' || arg==='module'} },
+    "auth-file": {desc:"JSON file with the users, passwords, bearer tokens and graph access control lists used by the 'basic' and 'bearer' authentication", def:"./rdfstore_auth.json", validate: function(arg){ return true} },
+    "auth-module": {desc:"Node.js module exporting the authentication function used by the 'module' authentication", def:"./rdfstore_auth.js", validate: function(arg){ return true} },
+    "query-timeout": {desc:"Maximum number of milliseconds a query or update can be executing, 0 for no limit", def:"0", validate: function(arg){ return(arg.match(/^[0-9]+$/) != null) } },
+    "query-max-bindings": {desc:"Maximum number of intermediate bindings a query or update can build, 0 for no limit", def:"0", validate: function(arg){ return(arg.match(/^[0-9]+$/) != null) } },
+    "store-engine": {desc:"What backend should the store use: 'memory', 'file' and 'mongodb' are possible values", def:'memory', validate: function(arg){ return arg==='memory' || arg==='file' || arg==='mongodb'} },
+    "store-tree-order": {desc:"BTree index tree order used in the in memory and file backends", def:'15', validate:function(arg){ return(arg.match(/^[0-9]+$/) != null) } },
+    "store-name": {desc:"Name to be used to store the quad data in the persistent backend, the directory of the data files if store-engine is set to 'file'", def:'rdfstore_js', validate:function(arg){ return arg.match(/-\./) == null }},
     "store-overwrite": {desc:"If set to 'true' previous data in the persistent storage will be removed at startup", def:'false', validate:function(arg){ return arg==='true' || arg==='false' }},
     "store-mongo-domain": {desc:"If store-engine is set to 'mongodb', location of the MongoDB server", def:'localhost', validate:function(arg){ return true} },
     "store-mongo-port": {desc:"If store-engine is set to 'mongodb', port where the MongoDB server is running", def:'27017', validate:function(arg){ return(arg.match(/^[0-9]+$/) != null) } },
@@ -51,10 +65,17 @@ Server.optionSwitches = {
     "-prot": "protocol",
     "--webserver-protocol": "protocol",
     "--webserver-path": "path",
+    "--webserver-graph-store-path": "graph-store-path",
     "--webserver-ssl-key": "ssl-key",
     "--webserver-ssl-cert": "ssl-cert",
     "-cors": "cors-enabled",
     "--webserver-cors-enabled": "cors-enabled",
+    "--webserver-cors-origins": "cors-origins",
+    "--webserver-auth": "auth",
+    "--webserver-auth-file": "auth-file",
+    "--webserver-auth-module": "auth-module",
+    "--webserver-query-timeout": "query-timeout",
+    "--webserver-query-max-bindings": "query-max-bindings",
     "--store-tree-order": "store-tree-order",
     "--store-engine": "store-engine",
     "--store-name": "store-name",
@@ -165,7 +186,13 @@ Server.startStore = function(options, callback) {
 
     if(options['store-engine'] == 'memory') {
         storeOptions['persistent'] = false;
-        storeOptions['treeOrder'] == parseInt(options['store-tree-order']);
+        storeOptions['treeOrder'] = parseInt(options['store-tree-order']);
+    } else if(options['store-engine'] == 'file') {
+        storeOptions['persistent'] = true;
+        storeOptions['engine'] = 'file';
+        storeOptions['treeOrder'] = parseInt(options['store-tree-order']);
+        storeOptions['overwrite'] = (options['store-overwrite'] == 'true');
+        storeOptions['path'] = options['store-name'];
     } else {
         storeOptions['persistent'] = true;
         storeOptions['engine'] = 'mongodb';
@@ -237,24 +264,16 @@ Server.start = function() {
                 if(toLoad === 'stdin') {
                     var mediaType = options['media-type'];
                     if(mediaType != null) {
-                        var data = "";
-                        process.stdin.resume();
-                        process.stdin.setEncoding('utf8');
-                        process.stdin.on('data', function (chunk) {
-                            data = data + chunk;
-                        });
-
-                        process.stdin.on('end', function () {
-                            if(dstGraph != null) {
-                                Server.store.load(mediaType, data, dstGraph, function(){
-                                    process.exit(0);
-                                });
-                            } else {
-                                Server.store.load(mediaType, data, function(){
-                                    process.exit(0);
-                                });
-                            }
-                        });                    
+                        // the input is parsed and loaded in batches as it is read
+                        if(dstGraph != null) {
+                            Server.store.load(mediaType, process.stdin, dstGraph, function(){
+                                process.exit(0);
+                            });
+                        } else {
+                            Server.store.load(mediaType, process.stdin, function(){
+                                process.exit(0);
+                            });
+                        }
                     } else {
                         console.log("Error: Media type used to encode incoming data must be specified using the --media-type flag when loading data from disk or stdin");
                         process.exit(3);
@@ -294,174 +313,308 @@ Server.start = function() {
 };
 
 /**
- * Add HTTP beaders required for CORS requests
+ * Add HTTP beaders required for CORS requests.
+ * If a list of allowed origins is configured, the origin of the request
+ * is only allowed if it is in the list.
  */
 Server.withCORSHeader = function(status, headers) {
-    headers["Access-Control-Allow-Origin"] = "*";
-    headers["Access-Control-Allow-Methods"] = "POST, GET, OPTIONS";
-    headers["Access-Control-Allow-Headers"] = "Content-Type, Depth, User-Agent, X-File-Size, X-Requested-With, If-Modified-Since, X-File-Name, Cache-Control";
+    var origins = this.corsOrigins || ['*'];
+    if(origins.indexOf('*') !== -1) {
+        headers["Access-Control-Allow-Origin"] = "*";
+    } else {
+        if(this.corsRequestOrigin != null && origins.indexOf(this.corsRequestOrigin) !== -1) {
+            headers["Access-Control-Allow-Origin"] = this.corsRequestOrigin;
+            headers["Access-Control-Allow-Credentials"] = "true";
+        }
+        headers["Vary"] = "Origin";
+    }
+    headers["Access-Control-Allow-Methods"] = "POST, GET, PUT, DELETE, HEAD, OPTIONS";
+    headers["Access-Control-Allow-Headers"] = "Content-Type, Authorization, Depth, User-Agent, X-File-Size, X-Requested-With, If-Modified-Since, X-File-Name, Cache-Control";
     this.writeHead(status, headers);
 };
 
 /**
- * Parses the 'Accept' HTTP header and returns an array of media types
+ * User supplied authentication function. If it is set, it is used
+ * instead of the authentication configured in the server options.
+ * <br/>
+ * The function receives the request and a callback that must be invoked
+ * with the principal of the request or null if the request must be rejected.
+ * The principal is an object with a 'name' and an optional 'acl' with the rules
+ * restricting the graphs the principal can read and modify:
+ * <br/>
+ * <br/>
+ * {name: 'alice', acl: {read: ['*'], write: ['http://example.org/alice']}}
+ * <br/>
+ * <br/>
+ * Principals without an 'acl' can read and modify any graph.
  */
-Server.mediaTypes = function(request) {
-    var mediaTypes = request.headers['Accept'] || request.headers['accept'] || "application/rdf+xml";
-    mediaTypes = mediaTypes.split(";")[0];
-    mediaTypes = mediaTypes.split(',');
+Server.authentication = null;
 
-    if(mediaTypes.length == 0) {
-        mediaTypes[0] = defaultMediaType;
+/**
+ * Value of the 'WWW-Authenticate' header sent when a request is rejected
+ */
+Server.authenticationChallenge = 'Basic realm="rdfstore-js"';
+
+/**
+ * Builders of authentication functions for the 'basic' and 'bearer' schemes.
+ * They receive the configuration read from the authentication file:
+ * <br/>
+ * <br/>
+ * {"users": {"alice": {"password": "sha256:...", "tokens": ["..."], "acl": {"read": ["*"], "write": ["default"]}}},
+ *  "anonymous": {"acl": {"read": ["default"]}}}
+ * <br/>
+ * <br/>
+ * Passwords can be stored in clear text or as the 'sha256:' prefixed hex digest
+ * of the password. If an 'anonymous' entry is present, requests without credentials
+ * are accepted with its access control list.
+ */
+Server.authenticators = {
+    basic: function(config) {
+        var authenticate = function(req, callback) {
+            var credentials = Server.authorizationCredentials(req, 'Basic');
+            if(credentials == null) {
+                return callback(Server.anonymousPrincipal(req, config));
+            }
+            credentials = new Buffer(credentials, 'base64').toString('utf-8');
+            var separator = credentials.indexOf(':');
+            var name = credentials.substring(0, separator);
+            var user = (config.users || {})[name];
+            if(separator !== -1 && user != null && user.password != null &&
+               Server.checkPassword(credentials.substring(separator+1), user.password)) {
+                callback({name: name, acl: user.acl});
+            } else {
+                callback(null);
+            }
+        };
+        authenticate.challenge = 'Basic realm="rdfstore-js"';
+        return authenticate;
+    },
+
+    bearer: function(config) {
+        var tokens = {};
+        for(var name in (config.users || {})) {
+            var userTokens = config.users[name].tokens || [];
+            for(var i=0; i<userTokens.length; i++) {
+                tokens[userTokens[i]] = name;
+            }
+        }
+        var authenticate = function(req, callback) {
+            var token = Server.authorizationCredentials(req, 'Bearer');
+            if(token == null) {
+                return callback(Server.anonymousPrincipal(req, config));
+            }
+            var name = tokens.hasOwnProperty(token) ? tokens[token] : null;
+            if(name != null) {
+                callback({name: name, acl: config.users[name].acl});
+            } else {
+                callback(null);
+            }
+        };
+        authenticate.challenge = 'Bearer realm="rdfstore-js"';
+        return authenticate;
     }
+};
 
-    return mediaTypes;
+/**
+ * Returns the credentials in the 'Authorization' header of a request
+ * for an authentication scheme or null if they are missing.
+ */
+Server.authorizationCredentials = function(req, scheme) {
+    var header = req.headers['authorization'];
+    if(header != null && header.toLowerCase().indexOf(scheme.toLowerCase()+' ') === 0) {
+        return header.substring(scheme.length+1).replace(/^\s+|\s+$/g,'');
+    } else {
+        return null;
+    }
 };
 
 /**
- * Escapes XML chars
+ * Principal used for the requests without credentials, null if
+ * anonymous access is not configured.
  */
-Server.xmlEncode = function (data) {
-    return data.replace(/\&/g, '&' + 'amp;').replace(/</g, '&' + 'lt;')
-        .replace(/>/g, '&' + 'gt;').replace(/\'/g, '&' + 'apos;').replace(/\"/g, '&' + 'quot;');
+Server.anonymousPrincipal = function(req, config) {
+    if(req.headers['authorization'] == null && config.anonymous != null) {
+        return {name: null, acl: config.anonymous.acl || {}};
+    } else {
+        return null;
+    }
 };
 
 /**
- * Adds a coercion annotation to a json-ld object
- *
- * @arguments
- * @param obj jsonld Object where the coerced property will be added
- * @param prpoerty URI of the property to be coerced
- * @param type coercion type
- */
-Server.jsonldCoerce = function(obj, property, type) {
-    if(obj['@context'] == null) {
-        obj['@context'] = {};
-    }
-    if(obj['@context']['@coerce'] == null) {
-        obj['@context']['@coerce'] = {};
-        obj['@context']['@coerce'][type] = property;
-    } else if(typeof(obj['@context']['@coerce'][type]) === 'string' &&
-              obj['@context']['@coerce'][type] != property) {
-        var oldValue = obj['@context']['@coerce'][type];
-        obj['@context']['@coerce'][type] = [oldValue, property];
-    } else if(typeof(obj['@context']['@coerce'][type]) === 'object') {
-        for(var i=0; i<obj['@context']['@coerce'][type].length; i++) {
-            if(obj['@context']['@coerce'][type][i] === property)  {
-                return obj;
-            }
-        }
+ * Compares a password with the stored value, in clear text or
+ * as a 'sha256:' prefixed hex digest, in constant time.
+ */
+Server.checkPassword = function(password, stored) {
+    if(stored.indexOf('sha256:') === 0) {
+        password = 'sha256:' + crypto.createHash('sha256').update(password, 'utf8').digest('hex');
+    }
+    var a = new Buffer(password, 'utf-8');
+    var b = new Buffer(stored, 'utf-8');
+    if(a.length !== b.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(a, b);
+};
 
-        obj['@context']['@coerce'][type].push(property);
+/**
+ * Builds the authentication function configured in the server options,
+ * returns null if authentication is disabled.
+ */
+Server.buildAuthentication = function(options) {
+    if(options['auth'] == null || options['auth'] === 'none') {
+        return null;
+    } else if(options['auth'] === 'module') {
+        var module = require(path.resolve(options['auth-module']));
+        var authenticate = (typeof(module) === 'function' ? module : module.authenticate);
+        authenticate.challenge = module.challenge || authenticate.challenge;
+        return authenticate;
     } else {
-        obj['@context']['@coerce'][type] = property;
+        var config = JSON.parse(fs.readFileSync(options['auth-file'], 'utf-8'));
+        return Server.authenticators[options['auth']](config);
     }
+};
 
-    return obj;
+/**
+ * Returns the access control list of the principal of a request,
+ * null if the principal can access any graph.
+ */
+Server.requestACL = function(req) {
+    if(req.principal != null && req.principal.acl != null) {
+        return AccessControl.build(req.principal.acl);
+    } else {
+        return null;
+    }
 };
 
 /**
- * Transforms a RDF JS Interfaces API Graph object into a JSON-LD serialization
- *
- * @arguments
- * @param graph JS RDF Interface graph object to be serialized
- * @param rdf JS RDF Interface RDF environment object
+ * Writes the status, headers and body of a response, adding the CORS
+ * headers if they are enabled. The body is omitted in HEAD requests.
  */
-Server.graphToJSONLD = function(graph, rdf) {
-    var nodes = {};
-    
-    graph.forEach(function(triple) {
-        var subject = triple.subject.valueOf();
-        var node = nodes[subject];
-        if(node == null) {
-            node = {"@subject" : subject, "@context": {}};
-            nodes[subject] = node;
-        }
+Server.writeResponse = function(req, res, status, headers, body) {
+    if(res.withCORSHeader != null) {
+        res.withCORSHeader(status, headers);
+    } else {
+        res.writeHead(status, headers);
+    }
+    if(body != null && req.method !== 'HEAD') {
+        res.end(new Buffer(body), 'utf-8');
+    } else {
+        res.end();
+    }
+};
 
-        var predicate = triple.predicate.valueOf();
-        if(predicate === "http://www.w3.org/1999/02/22-rdf-syntax-ns#type") {
-            predicate = "@type";
+/**
+ * Parses the 'Accept' HTTP header and returns an array of media types
+ * sorted by preference: quality value first and then specificity.
+ * Media types with a quality value of 0 are not acceptable and are removed.
+ * If the header is missing, any media type is accepted.
+ */
+Server.mediaTypes = function(request) {
+    var header = request.headers['Accept'] || request.headers['accept'] || "*/*";
+    var entries = header.split(',');
+    var parsed = [];
+
+    for(var i=0; i<entries.length; i++) {
+        var parts = entries[i].split(';');
+        var mediaType = parts[0].replace(/\s/g,'').toLowerCase();
+        var quality = 1;
+        for(var j=1; j<parts.length; j++) {
+            var param = parts[j].split('=');
+            if(param[0].replace(/\s/g,'').toLowerCase() === 'q' && param.length === 2) {
+                quality = parseFloat(param[1]);
+                if(isNaN(quality)) {
+                    quality = 0;
+                }
+            }
         }
 
-        var property  = null;
-        var isCURIE = false;
-        property = rdf.prefixes.shrink(predicate);
-
-        if(property != predicate) {
-            isCURIE = true;
+        if(mediaType !== '' && quality > 0) {
+            var specificity = (mediaType === '*/*' ? 0 : (mediaType.match(/\/\*$/) != null ? 1 : 2));
+            parsed.push({mediaType: mediaType, quality: quality, specificity: specificity, position: i});
         }
-        if(property.indexOf("#") != -1) {
-            property = property.split("#")[1];
+    }
+
+    parsed.sort(function(a,b) {
+        if(a.quality !== b.quality) {
+            return b.quality - a.quality;
+        } else if(a.specificity !== b.specificity) {
+            return b.specificity - a.specificity;
         } else {
-            property = property.split("/");
-            property = property[property.length-1];
+            return a.position - b.position;
         }
+    });
 
-        var object = triple.object.valueOf();
-
-        if(node[property] != null) {
-            if(!isCURIE) {
-                if(node["@context"][property] != null || property[0] === '@') {
-                    if(typeof(node[property]) === "object") {
-                        node[property].push(object);
-                    } else {
-                        object = [ node[property], object];
-                        node[property] = object;
-                    }
-                } else {
-                    property = triple.predicate.valueOf();
-                    if(node[property] == null) {
-                        node[property] = object;
-                    } else {
-                        if(typeof(node[property]) === "object") {
-                            node[property].push(object);
-                        } else {
-                            object = [ node[property], object ];
-                            node[property] = object;
-                        }
-                    }
+    var mediaTypes = [];
+    for(var i=0; i<parsed.length; i++) {
+        mediaTypes.push(parsed[i].mediaType);
+    }
 
-                    if(typeof(object) === 'string' &&
-                       (object.indexOf("http://") == 0 || object.indexOf("https://") == 0)) {
-                        Server.jsonldCoerce(node, property, "@iri");
-                    }
-                }
-            } else {
-                var prefix = property.split(":")[0];
-                if(typeof(node[property]) === "object") {
-                    node[property].push(object);
-                } else {
-                    object = [ node[property], object];
-                    node[property] = object;
-                }
-            }
-        } else {
-            node[property] = object;
-            if(property[0] != '@') {
-                if(isCURIE == true) {
-                    // saving prefix
-                    var prefix = property.split(":")[0];
-                    node["@context"][prefix] = rdf.prefixes[prefix];
-                } else {
-                    // saving whole URI in context
-                    node["@context"][property] = triple.predicate.valueOf();
-                }
+    return mediaTypes;
+};
 
-                if(typeof(object) === 'string' &&
-                   (object.indexOf("http://") == 0 || object.indexOf("https://") == 0)) {
-                    Server.jsonldCoerce(node, property, "@iri");
-                }
-                
+/**
+ * Selects the first media type in the list of candidate media types
+ * the server can produce matching the list of media types accepted by
+ * the client, sorted by preference.
+ * Returns null if none of them is acceptable.
+ */
+Server.negotiate = function(mediaTypes, candidates) {
+    for(var i=0; i<mediaTypes.length; i++) {
+        var mediaType = mediaTypes[i];
+        for(var j=0; j<candidates.length; j++) {
+            if(mediaType === '*/*' || candidates[j] === mediaType) {
+                return candidates[j];
+            } else if(mediaType.match(/\/\*$/) != null && candidates[j].indexOf(mediaType.split("/")[0]+"/") === 0) {
+                return candidates[j];
             }
         }
+    }
+
+    return null;
+};
+
+/**
+ * Media types that can be used in the responses for SELECT and ASK queries,
+ * the first one is the default.
+ */
+Server.resultsMediaTypes = ['application/sparql-results+xml', 'application/sparql-results+json', 'application/json', 'application/xml', 'text/csv', 'text/tab-separated-values'];
+
+/**
+ * Escapes XML chars
+ */
+Server.xmlEncode = function (data) {
+    return data.replace(/\&/g, '&' + 'amp;').replace(/</g, '&' + 'lt;')
+        .replace(/>/g, '&' + 'gt;').replace(/\'/g, '&' + 'apos;').replace(/\"/g, '&' + 'quot;');
+};
+
+/**
+ * Transforms a RDF JS Interfaces API Graph object into a JSON-LD document
+ * compacted using the prefixes of the RDF environment as the context.
+ *
+ * @arguments
+ * @param graph JS RDF Interface graph object to be serialized
+ * @param rdf JS RDF Interface RDF environment object
+ * @param callback function receiving a success flag and the JSON-LD document
+ */
+Server.graphToJSONLD = function(graph, rdf, callback) {
+    var quads = [];
+    graph.forEach(function(triple) {
+        quads.push({subject: triple.subject, predicate: triple.predicate, object: triple.object, graph: null});
     });
 
-    var results = [];
-    for(var p in nodes) {
-        results.push(nodes[p]);
+    var context = {};
+    var prefixes = rdf.prefixes.values();
+    for(var prefix in prefixes) {
+        context[prefix] = prefixes[prefix];
     }
 
-    return results;
+    JSONLD.fromRDF(quads, {}, function(success, expanded) {
+        if(success) {
+            JSONLD.compact(expanded, context, {}, callback);
+        } else {
+            callback(false, expanded);
+        }
+    });
 };
 
 /**
@@ -473,16 +626,29 @@ Server.graphToJSONLD = function(graph, rdf) {
  */
 Server.routeRequest = function(options) {
     var CORSEnabled = options['cors-enabled'] === 'true';
+    var CORSOrigins = (options['cors-origins'] || '*').split(',');
+    for(var i=0; i<CORSOrigins.length; i++) {
+        CORSOrigins[i] = CORSOrigins[i].replace(/\s/g,'');
+    }
+    var authenticate = Server.authentication || Server.buildAuthentication(options);
+    var executionLimits = {timeout: parseInt(options['query-timeout'] || "0"),
+                           maxBindings: parseInt(options['query-max-bindings'] || "0")};
     
     // Routes -> handlers mapping
     var routes = {};
     routes[options['path']] = "SPARQLProtocolHandler";
+    routes[options['graph-store-path']] = "GraphStoreProtocolHandler";
     
     // routing logic
     return function(req,res) {
         try {
-            if(CORSEnabled)
+            if(CORSEnabled) {
                 res.withCORSHeader = Server.withCORSHeader;
+                res.corsOrigins = CORSOrigins;
+                res.corsRequestOrigin = req.headers['origin'];
+            }
+
+            req.executionLimits = executionLimits;
 
             var data = "";
             req.on('data', function(chunk){
@@ -509,7 +675,17 @@ Server.routeRequest = function(options) {
                     }
                 }
 
-                if(handler != null) {
+                if(handler != null && authenticate != null && req.method !== 'OPTIONS') {
+                    authenticate(req, function(principal) {
+                        if(principal == null) {
+                            Server.writeResponse(req, res, 401, {"Content-Type":"text/plain",
+                                                                 "WWW-Authenticate": authenticate.challenge || Server.authenticationChallenge}, "Authentication required");
+                        } else {
+                            req.principal = principal;
+                            Server[handler](req, res, data);
+                        }
+                    });
+                } else if(handler != null) {
                     Server[handler](req, res, data);
                 } else {
                     res.writeHead(404, {"Content-Type":"text/plain"});
@@ -527,8 +703,15 @@ Server.routeRequest = function(options) {
 };
 
 /**
- * Handler function that executes a SPARQL query and build a response according
- * to the SPARQL HTTP Protocol
+ * Handler function that executes a SPARQL query or update request
+ * and builds a response according to the SPARQL 1.1 Protocol.
+ * <br/>
+ * Queries can be sent using GET with a 'query' parameter, using POST with
+ * an URL encoded form or directly in the body of a POST request with the
+ * 'application/sparql-query' media type.
+ * Updates can be sent using POST with an URL encoded form with an 'update'
+ * parameter or directly in the body of the request with the
+ * 'application/sparql-update' media type.
  *
  * @arguments
  * @param req Node.JS request object
@@ -536,313 +719,442 @@ Server.routeRequest = function(options) {
  * @param data textual data send the in the HTTP request
  */
 Server.SPARQLProtocolHandler = function(req, res, data) {
-    var params;
-    var accepts = Server.mediaTypes(req);
+    var error = function(status, message, headers) {
+        headers = headers || {};
+        headers["Content-Type"] = "text/plain";
+        Server.writeResponse(req, res, status, headers, message);
+    };
+
+    var params = url.parse(req.url,true,true)['query'];
 
-    if(req.method === 'GET') {
-        params = url.parse(req.url,true,true)['query'];
+    if(req.method === 'OPTIONS') {
+        return Server.writeResponse(req, res, 200, {"Allow":"GET, POST, OPTIONS"});
+    } else if(req.method === 'GET') {
+        if(params['update'] != null) {
+            return error(400, "Update requests must be sent using POST");
+        }
     } else if(req.method === 'POST') {
-        var mediaType = req.headers['content-type'] || req.headers['Content-Type'];
-        if(mediaType == 'application/xml') {
-            // not supported
-            
-        } else {
-            // media type must be application/x-www-form-urlencoded
+        var mediaType = (req.headers['content-type'] || "").split(";")[0].replace(/\s/g,'').toLowerCase();
+        if(mediaType === 'application/x-www-form-urlencoded') {
             params = querystring.parse(data);
+        } else if(mediaType === 'application/sparql-query') {
+            delete params['update'];
+            params['query'] = data;
+        } else if(mediaType === 'application/sparql-update') {
+            delete params['query'];
+            params['update'] = data;
+        } else {
+            return error(415, "Unsupported media type: "+mediaType);
         }
+    } else {
+        return error(405, "Method not allowed", {"Allow":"GET, POST, OPTIONS"});
     }
-    var query = params['query'];
-    var defaultGraphUris = params['default-graph-uri'] || [];
-    var namedGraphUris = params['named-graph-uri'] || [];
-    if(typeof(namedGraphUris) === 'string')
-        namedGraphUris = [namedGraphUris];
-    if(typeof(defaultGraphUris) === 'string')
-        defaultGraphUris = [defaultGraphUris];
 
+    var isUpdate = (params['update'] != null);
+    var operation = isUpdate ? params['update'] : params['query'];
+    if(params['update'] != null && params['query'] != null) {
+        return error(400, "A request cannot contain both a 'query' and an 'update' parameter");
+    } else if(operation == null) {
+        return error(400, "Missing 'query' or 'update' parameter");
+    } else if(typeof(operation) !== 'string') {
+        return error(400, "Only one "+(isUpdate ? "'update'" : "'query'")+" parameter can be provided");
+    }
+
+    var toArray = function(value) {
+        if(value == null) {
+            return [];
+        } else if(typeof(value) === 'string') {
+            return [value];
+        } else {
+            return value;
+        }
+    };
+    var defaultGraphUris = toArray(isUpdate ? params['using-graph-uri'] : params['default-graph-uri']);
+    var namedGraphUris = toArray(isUpdate ? params['using-named-graph-uri'] : params['named-graph-uri']);
+
+    var syntaxTree;
     try {
-        // Run the query
-        Server.store.execute(query, defaultGraphUris, namedGraphUris, function(success, results) {
+        syntaxTree = Server.store.engine.abstractQueryTree.parseQueryString(operation);
+    } catch(e) {
+        var message = "Syntax error: "+e.message;
+        if(e.line != null) {
+            message = message+" line "+e.line+", column "+e.column;
+        }
+        return error(400, message);
+    }
+
+    if(isUpdate && syntaxTree.kind !== 'update') {
+        return error(400, "The 'update' parameter must contain a SPARQL update request");
+    } else if(!isUpdate && syntaxTree.kind !== 'query') {
+        return error(400, "The 'query' parameter must contain a SPARQL query, updates must be sent using the 'update' parameter");
+    }
+
+    var accepts;
+    if(isUpdate) {
+        if(defaultGraphUris.length > 0 || namedGraphUris.length > 0) {
+            for(var i=0; i<syntaxTree.units.length; i++) {
+                if(syntaxTree.units[i].using != null || syntaxTree.units[i].with != null) {
+                    return error(400, "The 'using-graph-uri' and 'using-named-graph-uri' parameters cannot be used with USING, USING NAMED or WITH clauses");
+                }
+            }
+        }
+    } else {
+        var kind = syntaxTree.units[0].kind;
+        if(kind === 'select' || kind === 'ask') {
+            accepts = Server.negotiate(Server.mediaTypes(req), Server.resultsMediaTypes);
+        } else {
+            accepts = Server.negotiateGraphMediaType(Server.mediaTypes(req));
+        }
+        if(accepts == null) {
+            return error(406, "None of the accepted media types can be used to serialize the results of the query");
+        }
+    }
+
+    try {
+        var control = new ExecutionControl.ExecutionControl(req.executionLimits);
+        var callback = function(success, results) {
             try {
-                // Check if this is a RDF JS Interfaces graph or a collection of bindings
-                if(success) {
-                    if(results.constructor == Array) {
-                        // bindings
-                        Server.buildResponseBindings(accepts, results, res);
-                    } else if(results.constructor == Boolean) {
-                        // ask
-                        Server.buildResponseBoolean(accepts, results, res);
-                    } else {
-                        // construct
-                        Server.buildResponseGraph(accepts, results, res);
-                    }
+                if(!success && control.interrupted != null) {
+                    error(503, (isUpdate ? "Update interrupted: " : "Query interrupted: ")+results);
+                } else if(!success) {
+                    error(500, (isUpdate ? "Error executing update: " : "Error executing query: ")+results);
+                } else if(isUpdate) {
+                    Server.writeResponse(req, res, 204, {});
+                } else if(results.constructor == Array) {
+                    // bindings
+                    Server.buildResponseBindings(req, accepts, results, res);
+                } else if(results.constructor == Boolean) {
+                    // ask
+                    Server.buildResponseBoolean(req, accepts, results, res);
                 } else {
-                    if(res.withCORSHeader != null) {
-                        res.withCORSHeader(200, {"Content-Type":"application/rdf+xml"});
-                    } else {
-                        res.writeHead(200,{"Content-Type":"application/rdf+xml"});
-                    }
-                    res.end(new Buffer("Query malformed"), 'utf-8');
+                    // construct
+                    Server.buildResponseGraph(req, accepts, results, res);
                 }
             } catch(e) {
                 console.log("(!!) Error: "+e.message);
                 console.log(e.stack);
-                if(res.withCORSHeader != null) {
-                    res.withCORSHeader(500, {"Content-Type":"text/plain"});
-                } else {
-                    res.writeHead(500,{"Content-Type":"text/plain"});
-                }
-                res.end(new Buffer("Query refused"), 'utf-8');
+                error(500, "Query refused");
+            }
+        };
+
+        // requests are cancelled when the client closes the connection
+        res.on('close', function() {
+            if(!res.writableFinished) {
+                control.cancel();
             }
         });
-    } catch(e) {
-        console.log("(!!) Error: "+e.message);
-        console.log(e.stack);
 
-        if(res.withCORSHeader != null) {
-            res.withCORSHeader(500, {"Content-Type":"text/plain"});
+        // the access control list of the principal is enforced by the query engine
+        var executeOptions = {acl: Server.requestACL(req), control: control};
+        // the dataset of the request is only replaced if the protocol parameters are present
+        if(defaultGraphUris.length === 0 && namedGraphUris.length === 0) {
+            Server.store.execute(operation, executeOptions, callback);
         } else {
-            res.writeHead(500,{"Content-Type":"text/plain"});
+            Server.store.execute(operation, defaultGraphUris, namedGraphUris, executeOptions, callback);
         }
-        res.end(new Buffer("Query refused"), 'utf-8');
+    } catch(e) {
+        console.log("(!!) Error: "+e.message);
+        console.log(e.stack);
+        error(500, "Query refused");
     }
 };
 
 /**
- * Builds an SPARQL HTTP protocol response for a collection of bindings
- * returned by the RDF store
+ * Handler function implementing the SPARQL 1.1 Graph Store HTTP Protocol.
+ * The graph is identified by the 'graph' parameter or the 'default' parameter
+ * in the query string of the request:
+ * <ul>
+ *  <li>GET/HEAD: returns the graph serialized in the media type negotiated with the 'Accept' header</li>
+ *  <li>PUT: replaces the content of the graph with the RDF data in the body of the request</li>
+ *  <li>POST: merges the RDF data in the body of the request into the graph</li>
+ *  <li>DELETE: removes the graph</li>
+ * </ul>
+ * The data in the request is parsed with the parser registered in the store for
+ * the media type in the 'Content-Type' header.
+ *
+ * @arguments
+ * @param req Node.JS request object
+ * @param res Node.JS response object
+ * @param data textual data send the in the HTTP request
  */
-Server.buildResponseBindings = function(mediaTypes, bindings, res) {
-    var accepts;
-
-    for(var i=0; i<mediaTypes.length; i++) {
-        if(mediaTypes[i] === 'application/json') {
-            accepts = mediaTypes[i];
-            break;
-        }
-    } 
-    if(accepts == null) {
-        // by default xml
-        accepts = 'application/rdf+xml';
+Server.GraphStoreProtocolHandler = function(req, res, data) {
+    var respond = function(status, headers, body) {
+        Server.writeResponse(req, res, status, headers, body);
     };
 
-    if(accepts === 'application/json') {
-        var varNames = {};
-        var genBindings = [];
-        for(var i=0; i<bindings.length; i++) {
-            var result = bindings[i];
-            for(var p in bindings[i]) {
-                varNames[p] = true;
-            }
-        }
-        var head = {'variables':[]};
-        for(var p in varNames) {
-            head['variables'].push({'name':p});
+    var params = url.parse(req.url,true,true)['query'];
+    var graphUri;
+    if(params['graph'] != null && params['default'] == null) {
+        graphUri = params['graph'];
+        if(typeof(graphUri) !== 'string' || graphUri.match(/^[a-zA-Z][a-zA-Z0-9+.\-]*:/) == null) {
+            return respond(400, {"Content-Type":"text/plain"}, "The 'graph' parameter must be an absolute URI");
         }
+    } else if(params['default'] != null && params['graph'] == null) {
+        graphUri = null;
+    } else {
+        return respond(400, {"Content-Type":"text/plain"}, "Either the 'graph' or the 'default' parameter must be provided");
+    }
 
-        if(res.withCORSHeader != null) {
-            res.withCORSHeader(200, {"Content-Type":"application/json"});
-        } else {
-            res.writeHead(200,{"Content-Type":"application/json"});
+    if(req.method === 'OPTIONS') {
+        return respond(200, {"Allow":"GET, HEAD, PUT, POST, DELETE, OPTIONS"});
+    } else if(req.method !== 'GET' && req.method !== 'HEAD' && req.method !== 'PUT' &&
+              req.method !== 'POST' && req.method !== 'DELETE') {
+        return respond(405, {"Allow":"GET, HEAD, PUT, POST, DELETE, OPTIONS", "Content-Type":"text/plain"}, "Method not allowed");
+    }
+
+    var store = Server.store;
+    var storeGraphUri = graphUri || store.engine.lexicon.defaultGraphUri;
+
+    var acl = Server.requestACL(req);
+    var readOnly = (req.method === 'GET' || req.method === 'HEAD');
+    if(acl != null && !acl.allows(graphUri || 'default', (readOnly ? 'read' : 'write'))) {
+        return respond(403, {"Content-Type":"text/plain"}, "Access denied: the graph cannot be "+(readOnly ? "read" : "modified"));
+    }
+
+    store.registeredGraphs(function(success, graphs) {
+        // the default graph always exists
+        var exists = (graphUri == null);
+        for(var i=0; i<graphs.length && !exists; i++) {
+            exists = (graphs[i].valueOf() === graphUri);
         }
-        res.end(new Buffer(JSON.stringify({'head':head,'results':bindings})), 'utf-8');
-    } else {
-        var response = '<?xml version="1.0" encoding="UTF-8"?><sparql xmlns="http://www.w3.org/2005/sparql-results#">';
-        var results = '<results>';
-
-        var varNames = {};
-        for(var i=0; i<bindings.length; i++) {               
-            var nextResult = '<result>';
-
-            var result = bindings[i];
-            
-            for(var p in result) {
-                varNames[p] = true;
-                nextResult = nextResult+'<binding name="'+Server.xmlEncode(p)+'">';
-                if(result[p].token === 'uri') {
-                    nextResult = nextResult+"<uri>"+result[p].value+"</uri>";
-                } else if(result[p].token === 'literal') {
-                    nextResult = nextResult+"<literal ";
-                    if(result[p].lang != null ) {
-                        nextResult = nextResult + ' xml:lang="'+result[p].lang+'" ';
-                    }
-                    if(result[p].type != null ) {
-                        nextResult = nextResult + ' datatype="'+result[p].type+'" ';
+
+        if(req.method === 'GET' || req.method === 'HEAD') {
+            var mediaType = Server.negotiateGraphMediaType(Server.mediaTypes(req));
+            if(mediaType == null) {
+                return respond(406, {"Content-Type":"text/plain"}, "None of the accepted media types can be used to serialize the graph");
+            } else if(!exists) {
+                return respond(404, {"Content-Type":"text/plain"}, "Graph not found");
+            }
+
+            store.graph(storeGraphUri, function(success, graph) {
+                if(!success) {
+                    return respond(500, {"Content-Type":"text/plain"}, "Error retrieving the graph");
+                }
+                Server.serializeGraph(mediaType, graph, function(success, body) {
+                    if(success) {
+                        respond(200, {"Content-Type":mediaType, "Content-Length": Buffer.byteLength(body, 'utf-8')}, body);
+                    } else {
+                        respond(500, {"Content-Type":"text/plain"}, "Error serializing the graph: "+(body.message || body));
                     }
-                    nextResult = nextResult+">"+Server.xmlEncode(result[p].value)+"</literal>";
+                });
+            });
+        } else if(req.method === 'DELETE') {
+            if(!exists) {
+                return respond(404, {"Content-Type":"text/plain"}, "Graph not found");
+            }
+
+            store.clear(storeGraphUri, function(success, result) {
+                if(success) {
+                    respond(204, {});
                 } else {
-                    nextResult = nextResult+"<bnode>"+result[p].value+"</bnode>";
+                    respond(500, {"Content-Type":"text/plain"}, "Error removing the graph: "+result);
                 }
-                nextResult = nextResult+'</binding>';
+            });
+        } else {
+            // PUT or POST
+            var contentType = (req.headers['content-type'] || "").split(";")[0].replace(/\s/g,'').toLowerCase();
+            var parser = store.engine.rdfLoader.parsers[contentType];
+            if(parser == null) {
+                return respond(415, {"Content-Type":"text/plain"}, "Unsupported media type: "+contentType);
             }
 
-            nextResult = nextResult+'</result>';
-            results = results+nextResult;
-        }
-        results = results + '</results>';
+            // the data is parsed before touching the graph, so a malformed
+            // document never leaves a half replaced graph behind
+            var options = {};
+            if(graphUri != null) {
+                options.baseURI = graphUri;
+            }
+            store.engine.rdfLoader.tryToParse(parser, {'token':'uri', 'value':storeGraphUri}, data, options, function(success, quads) {
+                if(!success) {
+                    return respond(400, {"Content-Type":"text/plain"}, "Error parsing the RDF data: "+(quads.message || quads));
+                }
 
-        var head = '<head>';
-        for(var varName in varNames) {
-            head = head + '<variable name="'+Server.xmlEncode(varName)+'"/>';
-        }
-        head = head + '</head>';
-        
-        response = response + head + results + '</sparql>';
+                // quad formats can contain triples for other graphs
+                for(var i=0; acl != null && i<quads.length; i++) {
+                    var quadGraph = quads[i].graph.uri || quads[i].graph.value;
+                    if(!acl.canWrite(quadGraph === store.engine.lexicon.defaultGraphUri ? 'default' : quadGraph)) {
+                        return respond(403, {"Content-Type":"text/plain"}, "Access denied: graph <"+quadGraph+"> cannot be modified");
+                    }
+                }
 
-        if(res.withCORSHeader != null) {
-            res.withCORSHeader(200, {"Content-Type":"application/sparql-results+xml"});
-        } else {
-            res.writeHead(200,{"Content-Type":"application/sparql-results+xml"});
+                // the graph is replaced in a transaction, if the data cannot
+                // be loaded the previous triples of the graph are kept
+                store.transaction(function(tx) {
+                    var load = function() {
+                        tx.batchLoad(quads, function(success) {
+                            if(success) {
+                                tx.commit();
+                            }
+                        });
+                    };
+
+                    if(req.method === 'PUT' && exists) {
+                        tx.clear(storeGraphUri, function(success) {
+                            if(success) {
+                                load();
+                            }
+                        });
+                    } else {
+                        load();
+                    }
+                }, function(success, result) {
+                    if(success) {
+                        respond(exists ? 204 : 201, {});
+                    } else {
+                        respond(500, {"Content-Type":"text/plain"}, "Error loading the RDF data: "+result);
+                    }
+                });
+            });
         }
-        res.end(new Buffer(response), 'utf-8');
+    });
+};
+
+/**
+ * Selects the media type used to serialize a graph from the list of
+ * media types accepted by the client. Returns null if none of them
+ * can be produced.
+ */
+Server.negotiateGraphMediaType = function(mediaTypes) {
+    var candidates = ['application/rdf+xml', 'application/ld+json', 'application/json'];
+    for(var mediaType in RDFSerializer.mediaTypes) {
+        candidates.push(mediaType);
     }
 
+    return Server.negotiate(mediaTypes, candidates);
 };
 
 /**
- * Builds an SPARQL HTTP protocol response for a boolean value
+ * Serializes a RDF JS Interfaces API Graph object in any of the media types
+ * returned by <code>Server.negotiateGraphMediaType</code>
+ *
+ * @arguments
+ * @param mediaType media type of the serialization
+ * @param graph JS RDF Interface graph object to be serialized
+ * @param callback function receiving a success flag and the serialized graph
+ */
+Server.serializeGraph = function(mediaType, graph, callback) {
+    if(mediaType === 'application/json' || mediaType === 'application/ld+json') {
+        Server.graphToJSONLD(graph, Server.store.rdf, function(success, jsonld) {
+            callback(success, success ? JSON.stringify(jsonld) : jsonld);
+        });
+    } else if(RDFSerializer.format(mediaType) != null) {
+        var acum = "";
+        RDFSerializer.serialize([{graph: null, triples: graph.toArray()}], mediaType, Server.store.rdf.prefixes, function(chunk) {
+            acum = acum + chunk;
+        });
+        callback(true, acum);
+    } else {
+        callback(true, Server.graphToRDFXML(graph));
+    }
+};
+
+/**
+ * Builds an SPARQL HTTP protocol response for a collection of bindings
  * returned by the RDF store
  */
-Server.buildResponseBoolean = function(mediaTypes, boolValue, res) {
-    var accepts;
+Server.buildResponseBindings = function(req, mediaType, bindings, res) {
+    var acum = "";
+    SparqlResultsSerializer.serialize(bindings, null, mediaType, function(chunk) {
+        acum = acum + chunk;
+    });
+    Server.writeResponse(req, res, 200, {"Content-Type":mediaType}, acum);
+};
 
-    for(var i=0; i<mediaTypes.length; i++) {
-        if(mediaTypes[i] === 'application/json') {
-            accepts = mediaTypes[i];
-            break;
-        }
-    } 
-    if(accepts == null) {
-        // by default xml
-        accepts = 'application/rdf+xml';
-    };
+/**
+ * Builds an SPARQL HTTP protocol response for a boolean value
+ * returned by the RDF store
+ */
+Server.buildResponseBoolean = function(req, mediaType, boolValue, res) {
+    var acum = "";
+    SparqlResultsSerializer.serialize(boolValue, null, mediaType, function(chunk) {
+        acum = acum + chunk;
+    });
+    Server.writeResponse(req, res, 200, {"Content-Type":mediaType}, acum);
+};
 
-    if(accepts === 'application/json') {
-        if(res.withCORSHeader != null) {
-            res.withCORSHeader(200, {"Content-Type":"application/json"});
-        } else {
-            res.writeHead(200,{"Content-Type":"application/json"});
-        }
-        res.end(new Buffer(JSON.stringify({'head':{},'boolean':boolValue})), 'utf-8');
-    } else {
-        var response = '<?xml version="1.0" encoding="UTF-8"?><sparql xmlns="http://www.w3.org/2005/sparql-results#"><head></head><boolean>'+boolValue+'</boolean></sparql>';
-        if(res.withCORSHeader != null) {
-            res.withCORSHeader(200, {"Content-Type":"application/sparql-results+xml"});
+/**
+ * Builds an SPARQL HTTP protocol response for RDF JS interface graph
+ * returned by the RDF store
+ */
+Server.buildResponseGraph = function(req, mediaType, graph, res) {
+    Server.serializeGraph(mediaType, graph, function(success, body) {
+        if(success) {
+            Server.writeResponse(req, res, 200, {"Content-Type":mediaType}, body);
         } else {
-            res.writeHead(200,{"Content-Type":"application/sparql-results+xml"});
+            Server.writeResponse(req, res, 500, {"Content-Type":"text/plain"}, "Error serializing the graph: "+(body.message || body));
         }
-        res.end(new Buffer(response), 'utf-8');
-    }
+    });
 };
 
 /**
- * Builds an SPARQL HTTP protocol response for RDF JS interface graph
- * returned by the RDF store
+ * Serializes a RDF JS Interfaces API Graph object as RDF/XML
  */
-Server.buildResponseGraph = function(mediaTypes, graph, res) {
-    var accepts;
+Server.graphToRDFXML = function(graph) {
+    var ns = {};
+    var nsCounter = 0;
+    var triples = graph.toArray();
+    var triple, predicate, parts, prefix, suffix;
+    var subject, xmlPredicate, tripleXML;
 
-    for(var i=0; i<mediaTypes.length; i++) {
-        if(mediaTypes[i] === 'application/json') {
-            accepts = mediaTypes[i];
-            break;
-        } else if(mediaTypes[i] === 'text/turtle' || mediaTypes[i] === 'text/ttl' || mediaTypes[i] === 'text/n3' || mediaTypes[i] === 'text/plain') {
-            accepts = mediaTypes[i];
-            break;
+    var acum  = "";
+
+    for(var i=0; i<triples.length; i++) {
+        triple = triples[i];
+
+        if(triple.subject.interfaceName === 'BlankNode') {
+            tripleXML = '<rdf:Description rdf:nodeID="blank'+triple.subject.bnodeId;
+            tripleXML = tripleXML+'">';
+        } else {
+            tripleXML = '<rdf:Description rdf:about="'+triple.subject.valueOf();
+            tripleXML = tripleXML+'">';
         }
-    } 
-    if(accepts == null) {
-        // by default xml
-        accepts = 'application/rdf+xml';
-    };
 
-    if(accepts === 'application/json') {
-        var jsonld = Server.graphToJSONLD(graph,Server.store.rdf);
-        if(res.withCORSHeader != null) {
-            res.withCORSHeader(200, {"Content-Type":"application/json"});
+        predicate = triple.predicate.valueOf();
+        if(predicate.indexOf("#") != -1) {
+            parts = predicate.split("#");
+            prefix = parts[0]+"#";
+            suffix = parts[1];
         } else {
-            res.writeHead(200,{"Content-Type":"application/json"});
+            parts = predicate.split("/");
+            suffix = parts.pop();
+            prefix = parts.join("/")+"/";
         }
-        res.end(new Buffer(JSON.stringify(jsonld)), 'utf-8');
-    } else if(accepts === 'text/turtle' || accepts === 'text/ttl' || accepts === 'text/n3' || accepts === 'text/plain') {
-        var text = graph.toNT();
-        if(res.withCORSHeader != null) {
-            res.withCORSHeader(200, {"Content-Type":accepts});
+ 
+        if(ns[prefix] == null) {
+            xmlPredicate = "ns"+nsCounter;
+            nsCounter++;
+            ns[prefix] = xmlPredicate;
         } else {
-            res.writeHead(200,{"Content-Type":accepts});
+            xmlPredicate = ns[prefix];
         }
-        res.end(new Buffer(text), 'utf-8');
-    } else {
-        var ns = {};
-        var nsCounter = 0;
-        var triples = graph.toArray();
-        var triple, predicate, parts, prefix, suffix;
-        var subject, xmlPredicate, tripleXML;
-
-        var acum  = "";
-
-        for(var i=0; i<triples.length; i++) {
-            triple = triples[i];
+        xmlPredicate = xmlPredicate+":"+suffix;
 
-            if(triple.subject.interfaceName === 'BlankNode') {
-                tripleXML = '<rdf:Description rdf:nodeID="blank'+triple.subject.bnodeId;
-                tripleXML = tripleXML+'">';
-            } else {
-                tripleXML = '<rdf:Description rdf:about="'+triple.subject.valueOf();
-                tripleXML = tripleXML+'">';
-            }
-
-            predicate = triple.predicate.valueOf();
-            if(predicate.indexOf("#") != -1) {
-                parts = predicate.split("#");
-                prefix = parts[0]+"#";
-                suffix = parts[1];
-            } else {
-                parts = predicate.split("/");
-                suffix = parts.pop();
-                prefix = parts.join("/")+"/";
-            }
-     
-            if(ns[prefix] == null) {
-                xmlPredicate = "ns"+nsCounter;
-                nsCounter++;
-                ns[prefix] = xmlPredicate;
+        
+        if(triple.object.interfaceName === "Literal") {
+            if(triple.object.datatype != null && triple.object.language != null) {
+                tripleXML = tripleXML + '<'+xmlPredicate+'>'+Server.xmlEncode(triple.object.nominalValue)+'</'+xmlPredicate+'>';
+            } else if(triple.object.datatype != null) {
+                tripleXML = tripleXML + '<'+xmlPredicate+' rdf:datatype="'+triple.object.datatype+'">'+Server.xmlEncode(triple.object.nominalValue)+'</'+xmlPredicate+'>';                    
             } else {
-                xmlPredicate = ns[prefix];
+                tripleXML = tripleXML + '<'+xmlPredicate+' xml:lang="'+triple.object.language+'">'+Server.xmlEncode(triple.object.nominalValue)+'</'+xmlPredicate+'>';                    
             }
-            xmlPredicate = xmlPredicate+":"+suffix;
-
-            
-            if(triple.object.interfaceName === "Literal") {
-                if(triple.object.datatype != null && triple.object.language != null) {
-                    tripleXML = tripleXML + '<'+xmlPredicate+'>'+Server.xmlEncode(triple.object.nominalValue)+'</'+xmlPredicate+'>';
-                } else if(triple.object.datatype != null) {
-                    tripleXML = tripleXML + '<'+xmlPredicate+' rdf:datatype="'+triple.object.datatype+'">'+Server.xmlEncode(triple.object.nominalValue)+'</'+xmlPredicate+'>';                    
-                } else {
-                    tripleXML = tripleXML + '<'+xmlPredicate+' xml:lang="'+triple.object.language+'">'+Server.xmlEncode(triple.object.nominalValue)+'</'+xmlPredicate+'>';                    
-                }
-            } else if(triple.object.interfaceName === 'NamedNode') {
-                    tripleXML = tripleXML + '<'+xmlPredicate+' rdf:resource="'+triple.object.valueOf()+'"/>';
-            } else if(triple.object.interfaceName === 'BlankNode') {
-                    tripleXML = tripleXML + '<'+xmlPredicate+' rdf:nodeID="blank'+triple.object.bnodeId+'"/>';
-            }
-
-            tripleXML = tripleXML + "</rdf:Description>";
-            acum = acum + tripleXML;
+        } else if(triple.object.interfaceName === 'NamedNode') {
+                tripleXML = tripleXML + '<'+xmlPredicate+' rdf:resource="'+triple.object.valueOf()+'"/>';
+        } else if(triple.object.interfaceName === 'BlankNode') {
+                tripleXML = tripleXML + '<'+xmlPredicate+' rdf:nodeID="blank'+triple.object.bnodeId+'"/>';
         }
 
-        var xml = '<?xml version="1.0"  encoding="UTF-8"?>';
-        xml = xml + '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"';
-        for(var prefix in ns) {
-            var prefixNs = ns[prefix];
-            xml = xml + ' xmlns:'+prefixNs+'="'+prefix+'"';
-        }
-        xml = xml+'>'+acum+'</rdf:RDF>';
+        tripleXML = tripleXML + "</rdf:Description>";
+        acum = acum + tripleXML;
+    }
 
-        if(res.withCORSHeader != null) {
-            res.withCORSHeader(200, {"Content-Type":"application/rdf+xml"});
-        } else {
-            res.writeHead(200,{"Content-Type":"application/rdf+xml"});
-        }
-        res.end(new Buffer(xml), 'utf-8');
+    var xml = '<?xml version="1.0"  encoding="UTF-8"?>';
+    xml = xml + '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"';
+    for(var prefix in ns) {
+        var prefixNs = ns[prefix];
+        xml = xml + ' xmlns:'+prefixNs+'="'+prefix+'"';
     }
+    xml = xml+'>'+acum+'</rdf:RDF>';
+
+    return xml;
 };
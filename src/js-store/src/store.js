@@ -11,16 +11,57 @@ var Store = exports.Store;
 // imports
 var MongodbQueryEngine = require("./../../js-query-engine/src/mongodb_query_engine").MongodbQueryEngine;
 var QueryEngine = require("./../../js-query-engine/src/query_engine").QueryEngine;
+var IndexedDBQueryEngine = require("./../../js-query-engine/src/indexed_db_query_engine").IndexedDBQueryEngine;
 var QuadBackend = require("./../../js-rdf-persistence/src/quad_backend").QuadBackend;
+var QuadBackendAsync = require("./../../js-rdf-persistence/src/quad_backend_async").QuadBackend;
 var Lexicon = require("./../../js-rdf-persistence/src/lexicon").Lexicon;
+var FileLexicon = require("./../../js-rdf-persistence/src/file_lexicon").FileLexicon;
+var IndexedDBLexicon = require("./../../js-rdf-persistence/src/indexed_db_lexicon").IndexedDBLexicon;
+var WriteAheadLog = require("./../../js-rdf-persistence/src/write_ahead_log").WriteAheadLog;
+var IndexedDBStorage = require("./../../js-rdf-persistence/src/indexed_db_storage").IndexedDBStorage;
 var RDFJSInterface = require("./../../js-query-engine/src/rdf_js_interface").RDFJSInterface;
 var RDFStoreClient = require("./../../js-connection/src/rdfstore_child_client").RDFStoreChildClient;
+var SparqlResultsSerializer = require("./../../js-communication/src/sparql_results_serializer").SparqlResultsSerializer;
+var RDFSerializer = require("./../../js-communication/src/rdf_serializer").RDFSerializer;
+var JSONLDParser = require("./../../js-communication/src/jsonld_parser").JSONLDParser;
+var AccessControl = require("./../../js-query-engine/src/access_control").AccessControl;
+var ExecutionControl = require("./../../js-query-engine/src/execution_control").ExecutionControl;
+var Utils = require("./../../js-trees/src/utils").Utils;
 
 /**
  * Version of the store
  */
 Store.VERSION = "0.8.1";
 
+/**
+ * Serializer for the SPARQL 1.1 query results formats
+ */
+Store.SparqlResultsSerializer = SparqlResultsSerializer;
+
+/**
+ * Serializer for the Turtle, N-Triples, N-Quads and TriG formats
+ */
+Store.RDFSerializer = RDFSerializer;
+
+/**
+ * JSON-LD 1.1 processor: expand, compact, flatten, frame, toRDF and fromRDF.
+ * Remote contexts are retrieved with its <code>documentLoader</code>, that can be
+ * replaced by a loader serving the contexts from a local cache.
+ */
+Store.JSONLD = JSONLDParser;
+
+/**
+ * Access control lists restricting the graphs a query or update
+ * request can read and modify.
+ */
+Store.AccessControl = AccessControl;
+
+/**
+ * Execution handles used to cancel requests and limit their
+ * execution time and the number of bindings they build.
+ */
+Store.ExecutionControl = ExecutionControl;
+
 /**
  * Create a new RDFStore instance that will be
  * executed in a web worker in the browser or a new process
@@ -125,10 +166,14 @@ Store.create = function(){
  *  <li> name: when using persistence, the name for this store. In the MongoDB backed version, name of the DB used by the store. By default <code>'rdfstore_js'</code> is used</li>
  *  <li> overwrite: clears the persistent storage </li>
  *  <li> maxCacheSize: if using persistence, maximum size of the index cache </li>
- *  <li> engine: the persistent storage to use, a value <code>mongodb</code> selects the MongoDB engine</li>
+ *  <li> engine: the persistent storage to use, a value <code>mongodb</code> selects the MongoDB engine, <code>file</code> stores the indices and the lexicon in files (Node.js only) and <code>indexeddb</code> stores them in an IndexedDB database named after the store (browser)</li>
+ *  <li> path: when <code>engine=file</code>, directory where the files of the store are written. By default the name of the store is used</li>
+ *  <li> indexedDB: when <code>engine=indexeddb</code>, IndexedDB implementation to use. By default the one provided by the browser is used</li>
+ *  <li> cacheMaxSize: when <code>engine=indexeddb</code>, maximum number of nodes of every index and of terms of the lexicon kept in memory. By default <code>1000</code> is used</li>
  *  <li> mongoDomain: when <code>engine=mongodb</code>, server domain name or IP address where the MongoDB server backing the store is running. By default <code>'127.0.0.1'</code> is used</li>
  *  <li> mongoPort: when <code>engine=mongodb</code>, port where the MongoDB server is running. By default <code>27017</code> is used</li>
  *  <li> mongoOptions: when <code>engine=mongodb</code>, additional options for the MongoDB driver. By default <code>{}</code> is used</li>
+ *  <li> describeStrategy: strategy used to describe resources in DESCRIBE queries, <code>'cbd'</code>, <code>'scbd'</code>, <code>'simple'</code> or a custom function. By default <code>'cbd'</code> is used</li>
  * </ul>
  */
 Store.Store = function(arg1, arg2) {
@@ -152,6 +197,11 @@ Store.Store = function(arg1, arg2) {
     }
 
     this.functionMap = {};
+    // requests waiting to start, in the order they were invoked
+    this.requestQueue = [];
+    // transaction being executed and requests waiting for it to finish
+    this.transactionInProgress = null;
+    this.pendingRequests = [];
 
     var that = this;
     this.customFns = {};
@@ -168,24 +218,74 @@ Store.Store = function(arg1, arg2) {
             }
         });
     } else {
-        new Lexicon.Lexicon(function(lexicon){
-            if(params['overwrite'] === true) {
-                // delete lexicon values
-                lexicon.clear();
-            }
-            new QuadBackend.QuadBackend(params, function(backend){
+        var lexiconImpl = Lexicon;
+        var lexiconName = params['name'];
+        var createEngine = function() {
+            new lexiconImpl.Lexicon(function(lexicon){
                 if(params['overwrite'] === true) {
-                    // delete index values
-                    backend.clear();
+                    // delete lexicon values
+                    lexicon.clear();
                 }
-                params.backend = backend;
-                params.lexicon =lexicon;
-                that.engine = new QueryEngine.QueryEngine(params);      
-                if(callback) {
-                    callback(that);
+                // only the file engine has a write ahead log, see checkIntegrity
+                if(params['engine'] === 'file') {
+                    params['log'] = new WriteAheadLog.Log(new WriteAheadLog.FileStorage(params['path'] + "/wal.log"));
                 }
+                new QuadBackend.QuadBackend(params, function(backend){
+                    if(params['overwrite'] === true) {
+                        // delete index values
+                        backend.clear();
+                        if(params['log'] != null) {
+                            params['log'].clear(lexicon.logSequence);
+                        }
+                    } else if(params['log'] != null) {
+                        // recover from writes interrupted by a crash
+                        params['log'].replay(backend, lexicon);
+                    }
+                    params.backend = backend;
+                    params.lexicon =lexicon;
+                    that.engine = new QueryEngine.QueryEngine(params);
+                    if(callback) {
+                        callback(that);
+                    }
+                });
+            },lexiconName);
+        };
+
+        if(params['engine'] === 'file') {
+            params['path'] = (params['path'] || params['name'] || 'rdfstore_js');
+            lexiconImpl = FileLexicon;
+            lexiconName = params['path'];
+            createEngine();
+        } else if(params['engine'] === 'indexeddb') {
+            new IndexedDBStorage.Database({name: (params['name'] || 'rdfstore_js'),
+                                           indexedDB: params['indexedDB'],
+                                           storeNames: [IndexedDBLexicon.storeName].concat(QuadBackendAsync.indices)},
+                                          function(database) {
+                params['database'] = database;
+                new IndexedDBLexicon.Lexicon(function(lexicon){
+                    new QuadBackendAsync.QuadBackend(params, function(backend){
+                        var engineCreated = function() {
+                            params.backend = backend;
+                            params.lexicon = lexicon;
+                            that.engine = new IndexedDBQueryEngine.IndexedDBQueryEngine(params);
+                            if(callback) {
+                                callback(that);
+                            }
+                        };
+                        if(params['overwrite'] === true) {
+                            // delete lexicon and index values
+                            lexicon.clear(function() {
+                                backend.clear(engineCreated);
+                            });
+                        } else {
+                            engineCreated();
+                        }
+                    });
+                }, database, params['cacheMaxSize']);
             });
-        },params['name']);
+        } else {
+            createEngine();
+        }
     }
 };
 
@@ -232,6 +332,31 @@ Store.Store.prototype.registerCustomFunction = function(name, fn) {
     this.engine.setCustomFunctions(this.customFns);
 };
 
+/**
+ * Sets the strategy used by the store to build the description
+ * of the resources returned by DESCRIBE queries.
+ * <br/>
+ * The following strategies are available:
+ * <ul>
+ *  <li> cbd: Concise Bounded Description, triples with the resource as subject, following blank nodes in object position (default)</li>
+ *  <li> scbd: Symmetric Concise Bounded Description, also includes the triples with the resource as object, following blank nodes in subject position</li>
+ *  <li> simple: only the triples with the resource as subject</li>
+ * </ul>
+ * <br/>
+ * A custom strategy can be provided as a function receiving the OID of the
+ * described resource, a context object and a callback. The context offers a
+ * <code>match({subject, object}, callback)</code> function returning the matching
+ * quads in the queried dataset and an <code>isBlank(oid)</code> predicate.
+ * The strategy must invoke the callback with the list of quads describing
+ * the resource.
+ *
+ * @arguments:
+ * @param {String|Function} [strategy]: name of the strategy or a custom strategy function
+ */
+Store.Store.prototype.setDescribeStrategy = function(strategy) {
+    this.engine.setDescribeStrategy(strategy);
+};
+
 /**
  * Executes a query in the store.<br/>
  * <br/>
@@ -250,78 +375,777 @@ Store.Store.prototype.registerCustomFunction = function(name, fn) {
  * <ul>
  *  <li> SELECT queries: array of binding maps </li>
  *  <li> CONSTRUCT queries: RDF JS Interface Graph object </li>
+ *  <li> DESCRIBE queries: RDF JS Interface Graph object </li>
  *  <li> ASK queries: JS boolean value </li>
  *  <li> LOAD/INSERT... queries: Number of triples modified/inserted </li>
  * </ul>
+ * <br/>
+ * An options object can be passed before the callback to
+ * serialize the results of SELECT and ASK queries using one
+ * of the SPARQL 1.1 result formats. The 'format' option
+ * accepts the media types 'application/sparql-results+json',
+ * 'application/sparql-results+xml', 'text/csv' and
+ * 'text/tab-separated-values'.
+ * The callback receives the serialized results as a string, if a
+ * 'stream' option with a write function is also provided, the results
+ * are written to the stream once the query has been evaluated, one
+ * chunk for the header and one chunk per solution, and the callback
+ * receives the stream. If the write function returns false, the rest of
+ * the chunks are written after the 'drain' event of the stream:
+ * <br/>
+ * <br/>
+ * store.execute("SELECT * { ?s ?p ?o }", {format: 'text/csv', stream: process.stdout}, callback);
+ * <br/>
+ * <br/>
+ * The 'acl' option restricts the graphs the query or update can read and
+ * modify. It accepts an object with 'read' and 'write' arrays of graph URIs,
+ * where 'default' identifies the default graph and '*' any graph. Triples in
+ * graphs that cannot be read are never matched and updates modifying a graph
+ * that cannot be written fail without changing the store:
+ * <br/>
+ * <br/>
+ * store.execute("DROP ALL", {acl: {read: ['*'], write: ['http://example.org/g1']}}, callback);
+ * <br/>
+ * <br/>
+ * The 'timeout' option sets the maximum number of milliseconds the request
+ * can be executing and the 'maxBindings' option the maximum number of
+ * intermediate bindings, e.g. the solutions of a join, it can build.
+ * Requests exceeding these limits fail with an error message and updates
+ * do not change the store.
+ * The function returns an execution handle whose <code>cancel</code> function
+ * aborts the request. The request is evaluated after the function returns, so
+ * it can also be cancelled in the in-memory store. The requests of the store,
+ * including the ones of functions like <code>insert</code>, <code>load</code>
+ * or <code>transaction</code>, start in the order the functions are invoked.
+ * Errors thrown while the request is evaluated are notified to the callback:
+ * <br/>
+ * <br/>
+ * var execution = store.execute("SELECT * { ?s ?p ?o . ?x ?y ?z }", {timeout: 5000}, callback);<br/>
+ * execution.cancel();
  *  
  * @arguments: 
  * @param {String} query
  * @param {String} [defaultURIs] default namespaces
  * @param {String} [namespacesURIs] named namespaces
+ * @param {Object} [options] serialization, access control and execution options
  * @param {Function} [callback]
+ * @return {Object} execution handle with a cancel function
  */
 Store.Store.prototype.execute = function() {
-    if(arguments.length === 3) {
-        this.executeWithEnvironment(arguments[0],
-                                    arguments[1],
-                                    arguments[2]);
-    } else if(arguments.length === 4) {
-        this.executeWithEnvironment(arguments[0],
-                                    arguments[1],
-                                    arguments[2],
-                                    arguments[3]);
-    } else {
-
-        var queryString;
-        var callback;
-     
-        if(arguments.length === 1) {
-            queryString = arguments[0];
-            var callback = function(){};
-        } else if(arguments.length === 2) {
-            queryString = arguments[0];
-            callback = arguments [1];
-        }
-        this.engine.execute(queryString, callback);
-    }
+    var request = this._executeArguments(arguments);
+    return this._executeRequest(request.query, request.defaultGraphs, request.namedGraphs, request.options, request.callback);
 };
 
 /**
  * A variation of the execute function that expects 
  * arguments containing values for the default and named 
- * graphs that will be used in the query.
+ * graphs that will be used in the query.<br/>
+ * In update requests, these graphs are used as the USING and
+ * USING NAMED graphs of the operations without USING or WITH clauses.
  *
  *
  * @arguments:
  * @param {String} query
  * @param {String} URIs default namespaces
  * @param {String} URIs named namespaces
+ * @param {Object} [options] serialization, access control and execution options
  * @param {Function} [callback]
  */
 Store.Store.prototype.executeWithEnvironment = function() {
-    var queryString, defaultGraphs, namedGraphs;
+    var request = this._executeArguments(arguments);
+    return this._executeRequest(request.query, request.defaultGraphs || [], request.namedGraphs || [], request.options, request.callback);
+};
 
-    if(arguments.length === 3) {
-        queryString   = arguments[0];
-        // JSDoc fails if this is pushed outside 
-        var callback  = function(){};
-        defaultGraphs = arguments[1];
-        namedGraphs   = arguments[2];
-    } else if(arguments.length === 4) {
-        queryString   = arguments[0];
-        var callback      = arguments [3];
-        defaultGraphs = arguments[1];
-        namedGraphs   = arguments[2];
+/**
+ * Splits the arguments of an execute invocation into the query, the
+ * default and named graphs, the options and the callback.
+ */
+Store.Store.prototype._executeArguments = function(args) {
+    var options = {};
+    var acum = [];
+    for(var i=0; i<args.length; i++) {
+        if(i > 0 && args[i] != null && typeof(args[i]) === 'object' && args[i].constructor !== Array) {
+            options = args[i];
+        } else {
+            acum.push(args[i]);
+        }
+    }
+    var callback = (typeof(acum[acum.length-1]) === 'function' ? acum.pop() : function(){});
+
+    return {query: acum[0], defaultGraphs: acum[1], namedGraphs: acum[2], options: options, callback: callback};
+};
+
+/**
+ * Runs a request of the store once the requests invoked before it
+ * have started. Requests start on a later tick, so the execution
+ * handle of a request is returned before the in-memory backend
+ * evaluates it, and in the order the functions of the store are
+ * invoked.
+ */
+Store.Store.prototype._enqueueRequest = function(request) {
+    this.requestQueue.push(request);
+    if(this.requestQueue.length === 1) {
+        var that = this;
+        setTimeout(function() {
+            that._runRequestQueue();
+        }, 0);
+    }
+};
+
+Store.Store.prototype._runRequestQueue = function() {
+    var that = this;
+    var request = this.requestQueue[0];
+    try {
+        request();
+    } finally {
+        // exceptions thrown by the callbacks do not stop the queue
+        this.requestQueue.shift();
+        if(this.requestQueue.length > 0) {
+            setTimeout(function() {
+                that._runRequestQueue();
+            }, 0);
+        }
+    }
+};
+
+/**
+ * Executes a request in the engine, returning the execution handle
+ * that can be used to cancel it. Requests of a transaction are
+ * executed in the engine of the transaction.
+ * Errors thrown by the engine are notified to the callback, the
+ * exceptions thrown by the callback are not caught.
+ */
+Store.Store.prototype._executeRequest = function(queryString, defaultGraphs, namedGraphs, options, callback, transaction) {
+    var control = ExecutionControl.build(options);
+    var engineOptions = {acl: AccessControl.build(options.acl), control: control};
+    if(options.format != null) {
+        callback = this._resultsFormatCallback(queryString, options, engineOptions, callback);
+        if(callback == null) {
+            return control;
+        }
+    }
+
+    var graphs = this._datasetGraphs(defaultGraphs, namedGraphs);
+    if(transaction != null) {
+        engineOptions.transaction = transaction.changes;
+    }
+    var that = this;
+    this._enqueueRequest(function() {
+        // the engine of the store is replaced while a transaction is in progress
+        var engine = (transaction != null ? transaction.engine : that.engine);
+        // the results of the engine are notified once it returns, so
+        // the callback is not invoked inside the try block
+        var evaluating = true;
+        var result = null;
+        var requestCallback = function(success, value) {
+            if(evaluating) {
+                result = {success: success, value: value};
+            } else {
+                callback(success, value);
+            }
+        };
+        try {
+            engine.execute(queryString, requestCallback, graphs.defaultGraphs, graphs.namedGraphs, engineOptions);
+        } catch(e) {
+            if(result == null) {
+                // syntax errors also roll back the transaction
+                result = {success: false, value: (e.message || e)};
+            }
+        }
+        evaluating = false;
+        if(result != null) {
+            callback(result.success, result.value);
+        }
+    });
+
+    return control;
+};
+
+/**
+ * Builds the URI terms of the default and named graphs of a request,
+ * null if the graphs of the query must be used.
+ */
+Store.Store.prototype._datasetGraphs = function(defaultGraphs, namedGraphs) {
+    var defaultGraphsNorm = null;
+    var namedGraphsNorm = null;
+    if(defaultGraphs != null || namedGraphs != null) {
+        defaultGraphsNorm = [];
+        namedGraphsNorm = [];
+        for(var i=0; i<(defaultGraphs || []).length; i++) {
+            defaultGraphsNorm.push({'token':'uri','value':defaultGraphs[i]})
+        }
+        for(var i=0; i<(namedGraphs || []).length; i++) {
+            namedGraphsNorm.push({'token':'uri','value':namedGraphs[i]})
+        }
+    }
+
+    return {defaultGraphs: defaultGraphsNorm, namedGraphs: namedGraphsNorm};
+};
+
+/**
+ * Builds a callback serializing the results of a request using
+ * the format of the options.
+ * The query is parsed once, the syntax tree is passed to the engine
+ * in the 'syntaxTree' option of the engine options.
+ * Returns null if the results cannot be serialized, after
+ * notifying the error.
+ */
+Store.Store.prototype._resultsFormatCallback = function(queryString, options, engineOptions, callback) {
+    var unit = null;
+    if(SparqlResultsSerializer.format(options.format) == null) {
+        callback(false, "Unsupported SPARQL results format: "+options.format);
+        return null;
+    }
+    try {
+        var syntaxTree = this.engine.abstractQueryTree.parseQueryString(Utils.normalizeUnicodeLiterals(queryString));
+        unit = syntaxTree.units[0];
+        if(syntaxTree.kind === 'update' || (unit.kind !== 'select' && unit.kind !== 'ask')) {
+            callback(false, "Only the results of SELECT and ASK queries can be serialized as "+options.format);
+            return null;
+        }
+        engineOptions.syntaxTree = syntaxTree;
+    } catch(e) {
+        // syntax errors are reported by the engine
+    }
+
+    return this._resultsSerializingCallback(unit, options, callback);
+};
+
+Store.Store.prototype._resultsSerializingCallback = function(unit, options, callback) {
+    var that = this;
+    return function(success, results) {
+        if(success) {
+            var next = null;
+            try {
+                var variables = null;
+                if(unit != null && unit.kind === 'select') {
+                    // the pattern of the unit has already been built by the engine
+                    variables = that.engine.abstractQueryTree.projectedVariables(unit);
+                }
+                next = SparqlResultsSerializer.chunks(results, variables, options.format);
+                if(options.stream == null) {
+                    var chunks = [];
+                    var chunk;
+                    while((chunk = next()) != null) {
+                        chunks.push(chunk);
+                    }
+                    return callback(true, chunks.join(""));
+                }
+            } catch(e) {
+                return callback(false, e.message);
+            }
+            that._writeChunks(next, options.stream, callback);
+        } else {
+            callback(success, results);
+        }
+    };
+};
+
+/**
+ * Writes the serialized chunks to a stream. When the write function
+ * of the stream returns false, the rest of the chunks are written
+ * after the 'drain' event of the stream.
+ */
+Store.Store.prototype._writeChunks = function(next, stream, callback) {
+    var write = function() {
+        var chunk;
+        while((chunk = next()) != null) {
+            if(stream.write(chunk) === false && stream.once != null) {
+                return stream.once('drain', write);
+            }
+        }
+        callback(true, stream);
+    };
+    write();
+};
+
+/**
+ * Describes how a SPARQL query is evaluated by the store.<br/>
+ * <br/>
+ * The callback receives an object with the algebra of the query,
+ * 'algebra', the plan chosen to evaluate it, 'plan', and a textual
+ * rendering of the plan, 'text'.<br/>
+ * Every operator in the plan has an 'operator' name, a 'description'
+ * and a list of 'children' operators. Basic graph patterns are evaluated
+ * as trees of hash joins over triple patterns, each one retrieved from
+ * the 'index' of the backend chosen for its bound components, with the
+ * cost 'estimated' by the query planner.<br/>
+ * <br/>
+ * If the 'analyze' option is set, the operators are also evaluated and
+ * the 'actual' number of solutions of each one is added to the plan:
+ * <br/>
+ * <br/>
+ * store.explain("SELECT * { ?s ?p ?o }", {analyze: true}, function(success, explanation) {<br/>
+ * &nbsp;&nbsp;console.log(explanation.text);<br/>
+ * });
+ * <br/>
+ * <br/>
+ * Default and named graphs, and the 'acl' and 'timeout' options, are
+ * accepted as in the execute function.
+ *
+ * @arguments:
+ * @param {String} query
+ * @param {String} [defaultURIs] default namespaces
+ * @param {String} [namespacesURIs] named namespaces
+ * @param {Object} [options] analyze, access control and execution options
+ * @param {Function} callback
+ */
+Store.Store.prototype.explain = function() {
+    var request = this._executeArguments(arguments);
+    if(this.engine.explain == null) {
+        return request.callback(false, "Query plans are not available for this store engine");
+    }
+
+    var graphs = this._datasetGraphs(request.defaultGraphs, request.namedGraphs);
+    var options = request.options;
+    var that = this;
+    this._enqueueRequest(function() {
+        that.engine.explain(request.query, request.callback, graphs.defaultGraphs, graphs.namedGraphs,
+                            {acl: AccessControl.build(options.acl), control: ExecutionControl.build(options), analyze: options.analyze});
+    });
+};
+
+/**
+ * Checks the consistency of the data stored.<br/>
+ * <br/>
+ * All the indices of the store must be valid trees containing the
+ * same quads, and every term of the quads must be registered in
+ * the lexicon.<br/>
+ * The callback receives an object with the flag 'valid', the list
+ * of 'errors' found and the number of 'quads' in the store.<br/>
+ * <br/>
+ * Stores using the <code>file</code> engine recover from writes
+ * interrupted by a crash when they are opened, this function can be
+ * used afterwards to verify the recovered data. The
+ * <code>indexeddb</code> engine writes the changes of every request
+ * in a single IndexedDB transaction. The localStorage backend of the
+ * persistent browser build has no write ahead log, this function is
+ * the only way to detect a write interrupted by a crash.
+ *
+ * @arguments:
+ * @param {Function} callback
+ */
+Store.Store.prototype.checkIntegrity = function(callback) {
+    if(this.engine.checkIntegrity == null) {
+        return callback(false, "Integrity checks are not available for this store engine");
+    }
+    var that = this;
+    this._enqueueRequest(function() {
+        that.engine.checkIntegrity(callback);
+    });
+};
+
+/**
+ * Executes several requests as a single transaction.<br/>
+ * <br/>
+ * The function receives a transaction object offering the functions
+ * <code>execute</code>, <code>insert</code>, <code>delete</code> and
+ * <code>clear</code>, accepting the same arguments as the functions of
+ * the store, <code>batchLoad</code>, loading the quads returned by the
+ * parsers of the store, and the functions <code>commit</code> and
+ * <code>rollback</code> that finish the transaction. Every transaction must be finished with one of them.<br/>
+ * If one of the requests of the transaction fails, or the function throws
+ * an exception, all the changes of the transaction are undone, including
+ * the terms added to the lexicon. Exceptions thrown by the callbacks of
+ * the requests are not caught and do not finish the transaction.<br/>
+ * <br/>
+ * Until the transaction finishes, the updates executed in the store wait
+ * for it and the queries read the data as it was before the transaction
+ * started. The MongoDB and IndexedDB engines cannot read the data before
+ * the transaction, in these engines queries, loads and all the other
+ * requests of the store wait for the transaction to finish.<br/>
+ * <br/>
+ * The optional options object accepts a 'timeout' in milliseconds, if
+ * the transaction has not been committed or rolled back by then, it is
+ * rolled back once its requests in progress finish. Transactions without
+ * a timeout block the store until they are finished.<br/>
+ * <br/>
+ * The optional callback is invoked with a success notification when the
+ * transaction is committed, or with false and the error when it is
+ * rolled back:
+ * <br/>
+ * <br/>
+ * store.transaction(function(tx) {<br/>
+ * &nbsp;&nbsp;tx.execute("DELETE DATA { &lt;http://a&gt; &lt;http://b&gt; 1 }", function(success) {<br/>
+ * &nbsp;&nbsp;&nbsp;&nbsp;tx.execute("INSERT DATA { &lt;http://a&gt; &lt;http://b&gt; 2 }", function(success) {<br/>
+ * &nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;tx.commit();<br/>
+ * &nbsp;&nbsp;&nbsp;&nbsp;});<br/>
+ * &nbsp;&nbsp;});<br/>
+ * }, function(success, error) { ... });
+ *
+ * @arguments:
+ * @param {Function} fn function receiving the transaction
+ * @param {Object} [options]
+ * @param {Function} [callback]
+ */
+Store.Store.prototype.transaction = function(fn, options, callback) {
+    if(typeof(options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    callback = (callback || function(){});
+    options = (options || {});
+    if(this.engine.beginTransaction == null) {
+        return callback(false, "Transactions are not available for this store engine");
+    }
+    // the transaction starts after the requests executed before it
+    var that = this;
+    this._enqueueRequest(function() {
+        that._beginTransaction(fn, options, callback);
+    });
+};
+
+Store.Store.prototype._beginTransaction = function(fn, options, callback) {
+    if(this.transactionInProgress != null) {
+        var that = this;
+        return this.pendingRequests.push(function() {
+            that._beginTransaction(fn, options, callback);
+        });
+    }
+
+    var transaction = new Store.Transaction(this, options, callback);
+    try {
+        fn(transaction);
+    } catch(e) {
+        transaction._abort(e.message || e);
+    }
+};
+
+/**
+ * Runs the requests that were waiting for a transaction to finish.
+ */
+Store.Store.prototype._runPendingRequests = function() {
+    while(this.transactionInProgress == null && this.pendingRequests.length > 0) {
+        this.pendingRequests.shift()();
+    }
+};
+
+/**
+ * Transaction
+ *
+ * Requests executed in a store transaction, see Store.Store.transaction.
+ * While the transaction is in progress, the store uses an engine that
+ * delays the requests modifying the data until the transaction finishes
+ * and evaluates queries over a snapshot of the data before the transaction.
+ */
+Store.Transaction = function(store, options, callback) {
+    this.store = store;
+    this.engine = store.engine;
+    this.callback = callback;
+    this.state = 'active';
+    this.running = 0;
+    // how the transaction finishes once the requests in progress end
+    this.ending = null;
+    this.changes = this.engine.beginTransaction();
+
+    store.transactionInProgress = this;
+    store.engine = this._isolatedEngine();
+
+    // a transaction never finished would block the store
+    this.timer = null;
+    if(options.timeout != null) {
+        var that = this;
+        this.timer = setTimeout(function() {
+            that._abort("The transaction timed out");
+        }, options.timeout);
     }
-    var defaultGraphsNorm = [];
-    var namedGraphsNorm = [];
-    for(var i=0; i<defaultGraphs.length; i++) {
-        defaultGraphsNorm.push({'token':'uri','value':defaultGraphs[i]})
+};
+
+Store.Transaction.prototype._isolatedEngine = function() {
+    var store = this.store;
+    var engine = this.engine;
+    var hasSnapshot = (engine.snapshot != null);
+    var isolated = (hasSnapshot ? engine.snapshot(this.changes) : Object.create(engine));
+
+    var delayed = function(name) {
+        return function() {
+            var args = arguments;
+            store.pendingRequests.push(function() {
+                store.engine[name].apply(store.engine, args);
+            });
+        };
+    };
+
+    isolated.execute = function(queryString, callback, defaultDataset, namedDataset, options) {
+        var syntaxTree = (options || {}).syntaxTree;
+        try {
+            if(syntaxTree == null) {
+                syntaxTree = engine.abstractQueryTree.parseQueryString(queryString);
+            }
+        } catch(e) {
+            // syntax errors are reported by the engine
+        }
+        if(hasSnapshot && (syntaxTree == null || syntaxTree.kind !== 'update')) {
+            engine.execute.apply(isolated, arguments);
+        } else {
+            delayed('execute').apply(null, arguments);
+        }
+    };
+    isolated.batchLoad = delayed('batchLoad');
+    isolated.checkIntegrity = delayed('checkIntegrity');
+    isolated.close = delayed('close');
+    if(!hasSnapshot) {
+        isolated.registeredGraphs = delayed('registeredGraphs');
+    }
+
+    // configuration changes are applied to the engine of the store
+    isolated.setCustomFunctions = function(customFns) {
+        engine.setCustomFunctions(customFns);
+    };
+    isolated.setDescribeStrategy = function(strategy) {
+        engine.setDescribeStrategy(strategy);
+    };
+
+    return isolated;
+};
+
+/**
+ * Executes a request in the transaction, the arguments are
+ * the same of the execute function of the store.
+ */
+Store.Transaction.prototype.execute = function() {
+    var request = this.store._executeArguments(arguments);
+    if(this._checkActive(request.callback)) {
+        var callback = this._requestCallback(request.callback);
+        return this.store._executeRequest(request.query, request.defaultGraphs, request.namedGraphs, request.options, callback, this);
+    }
+};
+
+Store.Transaction.prototype.insert = function() {
+    var update = this.store._triplesUpdate('insert', arguments);
+    this.execute(update.query, update.callback);
+};
+
+Store.Transaction.prototype.delete = function() {
+    var update = this.store._triplesUpdate('delete', arguments);
+    this.execute(update.query, update.callback);
+};
+
+Store.Transaction.prototype.clear = function() {
+    var update = this.store._clearUpdate(arguments);
+    this.execute(update.query, update.callback);
+};
+
+/**
+ * Loads in the transaction the quads returned by the parsers
+ * of the store, the callback receives the number of quads loaded.
+ */
+Store.Transaction.prototype.batchLoad = function(quads, callback) {
+    callback = (callback || function(){});
+    if(this._checkActive(callback)) {
+        var requestCallback = this._requestCallback(callback);
+        var that = this;
+        this.store._enqueueRequest(function() {
+            that.engine.batchLoad(quads, requestCallback, {transaction: that.changes, updateLog: that.changes.updateLog});
+        });
+    }
+};
+
+/**
+ * Makes the changes of the transaction visible to the rest of
+ * the store once the requests in progress finish.
+ */
+Store.Transaction.prototype.commit = function(callback) {
+    callback = (callback || function(){});
+    if(this._checkActive(callback)) {
+        this._endWhenIdle(true, null, callback);
+    }
+};
+
+/**
+ * Undoes all the changes of the transaction.
+ */
+Store.Transaction.prototype.rollback = function(callback) {
+    callback = (callback || function(){});
+    if(this._checkActive(callback)) {
+        this._endWhenIdle(false, "The transaction was rolled back", callback);
+    }
+};
+
+/**
+ * Rolls back the transaction after an error, even if it was
+ * waiting for the requests in progress to be committed.
+ */
+Store.Transaction.prototype._abort = function(error) {
+    if(this.state === 'active') {
+        this._endWhenIdle(false, error, null);
+    } else if(this.state === 'committing') {
+        this.state = 'rolling back';
+        this.ending.commit = false;
+        this.ending.error = error;
     }
-    for(var i=0; i<namedGraphs.length; i++) {
-        namedGraphsNorm.push({'token':'uri','value':namedGraphs[i]})
+};
+
+Store.Transaction.prototype._checkActive = function(callback) {
+    if(this.state !== 'active') {
+        callback(false, "The transaction is "+this.state);
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Keeps track of the requests in progress, a failed request
+ * rolls back the transaction.
+ */
+Store.Transaction.prototype._requestCallback = function(callback) {
+    var that = this;
+    this.running++;
+    var requestCallback = function(success, result) {
+        that.running--;
+        if(!success) {
+            that._abort(result);
+        }
+        try {
+            callback(success, result);
+        } finally {
+            if(that.running === 0 && that.ending != null) {
+                that._finish();
+            }
+        }
+    };
+    return requestCallback;
+};
+
+Store.Transaction.prototype._endWhenIdle = function(commit, error, callback) {
+    this.state = (commit ? 'committing' : 'rolling back');
+    this.ending = {commit: commit, requested: commit, error: error, callback: callback};
+    if(this.running === 0) {
+        this._finish();
+    }
+};
+
+Store.Transaction.prototype._finish = function() {
+    var that = this;
+    var ending = this.ending;
+    this.ending = null;
+    if(ending.commit) {
+        this.engine.commitTransaction(this.changes, function() {
+            that._end('committed');
+            ending.callback(true);
+            that.callback(true);
+        });
+    } else {
+        this.engine.rollbackTransaction(this.changes, function() {
+            that._end('rolled back');
+            if(ending.callback != null) {
+                if(ending.requested) {
+                    ending.callback(false, ending.error);
+                } else {
+                    ending.callback(true);
+                }
+            }
+            that.callback(false, ending.error);
+        });
+    }
+};
+
+Store.Transaction.prototype._end = function(state) {
+    clearTimeout(this.timer);
+    this.state = state;
+    this.store.engine = this.engine;
+    this.store.transactionInProgress = null;
+    this.store._runPendingRequests();
+};
+
+/**
+ * Serializes the triples of a graph in the store.<br/>
+ * <br/>
+ * The media type can be one of 'text/turtle', 'application/n-triples',
+ * 'application/n-quads' or 'application/trig'.
+ * If the URI of the graph is missing, the default graph will be
+ * serialized using Turtle and N-Triples and the whole store, default
+ * and named graphs, using N-Quads and TriG.<br/>
+ * URIs are shrunk in Turtle and TriG using the prefixes registered
+ * with the setPrefix function.<br/>
+ * <br/>
+ * The callback receives the serialized data as a string. As in the
+ * execute function, an options object with a 'stream' option can be
+ * passed before the callback to write the data as it is serialized:
+ * <br/>
+ * <br/>
+ * store.dump("application/n-quads", {stream: process.stdout}, callback);
+ *
+ * @arguments
+ * @param {String} [graphURI]
+ * @param {String} mediaType
+ * @param {Object} [options]
+ * @param {Function} callback
+ */
+Store.Store.prototype.dump = function() {
+    var args = [];
+    var options = {};
+    for(var i=0; i<arguments.length; i++) {
+        if(arguments[i] != null && typeof(arguments[i]) === 'object') {
+            options = arguments[i];
+        } else {
+            args.push(arguments[i]);
+        }
+    }
+    var callback = (typeof(args[args.length-1]) === 'function' ? args.pop() : function(){});
+    var graphUri = (args.length === 2 ? args[0] : null);
+    var mediaType = args[args.length-1];
+
+    if(RDFSerializer.format(mediaType) == null) {
+        return callback(false, "Unsupported RDF serialization format: "+mediaType);
+    }
+
+    var defaultGraphUri = this.engine.lexicon.defaultGraphUri;
+    if(graphUri != null && this.rdf.resolve(graphUri) != null) {
+        graphUri = this.rdf.resolve(graphUri);
+    }
+
+    var that = this;
+    var serialize = function(graphUris) {
+        var graphs = [];
+        var next = function(i) {
+            if(i === graphUris.length) {
+                var chunks = [];
+                try {
+                    RDFSerializer.serialize(graphs, mediaType, that.rdf.prefixes, function(chunk) {
+                        if(options.stream != null) {
+                            options.stream.write(chunk);
+                        } else {
+                            chunks.push(chunk);
+                        }
+                    });
+                } catch(e) {
+                    return callback(false, e.message);
+                }
+                callback(true, (options.stream != null ? options.stream : chunks.join("")));
+            } else {
+                that.graph(graphUris[i], function(success, graph) {
+                    if(success) {
+                        var triples = graph.toArray();
+                        if(triples.length > 0 || graphUris.length === 1) {
+                            graphs.push({graph: (graphUris[i] === defaultGraphUri ? null : graphUris[i]),
+                                         triples: triples});
+                        }
+                        next(i+1);
+                    } else {
+                        callback(false, graph);
+                    }
+                });
+            }
+        };
+        next(0);
+    };
+
+    if(graphUri != null) {
+        serialize([graphUri]);
+    } else if(RDFSerializer.isQuadFormat(mediaType)) {
+        this.registeredGraphs(function(success, graphs) {
+            var graphUris = [defaultGraphUri];
+            for(var i=0; i<graphs.length; i++) {
+                if(graphs[i].valueOf() !== defaultGraphUri) {
+                    graphUris.push(graphs[i].valueOf());
+                }
+            }
+            serialize(graphUris);
+        });
+    } else {
+        serialize([defaultGraphUri]);
     }
-    this.engine.execute(queryString, callback, defaultGraphsNorm, namedGraphsNorm);
 };
 
 /**
@@ -356,7 +1180,7 @@ Store.Store.prototype.graph = function() {
         graphUri = this.rdf.resolve(graphUri);
     }
 
-    this.engine.execute("CONSTRUCT { ?s ?p ?o } WHERE { GRAPH <" + graphUri + "> { ?s ?p ?o } }", callback);
+    this._executeRequest("CONSTRUCT { ?s ?p ?o } WHERE { GRAPH <" + graphUri + "> { ?s ?p ?o } }", null, null, {}, callback);
 };
 
 /**
@@ -403,7 +1227,7 @@ Store.Store.prototype.node = function() {
         nodeUri = this.rdf.resolve(nodeUri);
     }
 
-    this.engine.execute("CONSTRUCT { <" + nodeUri + "> ?p ?o } WHERE { GRAPH <" + graphUri + "> { <" + nodeUri + "> ?p ?o } }", callback);
+    this._executeRequest("CONSTRUCT { <" + nodeUri + "> ?p ?o } WHERE { GRAPH <" + graphUri + "> { <" + nodeUri + "> ?p ?o } }", null, null, {}, callback);
 };
 
 /**
@@ -604,21 +1428,30 @@ Store.Store.prototype.setDefaultPrefix = function(uri) {
  * @param {String} [callback] A callback function that will be invoked with a success notification and the number of triples inserted
  */ 
 Store.Store.prototype.insert = function() {
+    var update = this._triplesUpdate('insert', arguments);
+    this._executeRequest(update.query, null, null, {}, update.callback);
+};
+
+/**
+ * Builds the INSERT DATA or DELETE DATA request for the arguments
+ * of the insert and delete functions.
+ */
+Store.Store.prototype._triplesUpdate = function(operation, args) {
     var graph;
     var triples;
     var callback;
-    if(arguments.length === 1) {
-        triples = arguments[0];
-    } else if(arguments.length === 2) {
+    if(args.length === 1) {
+        triples = args[0];
+    } else if(args.length === 2) {
         graph = this.rdf.createNamedNode(this.engine.lexicon.defaultGraphUri);
-        triples = arguments[0];
-        callback= arguments[1] || function(){};
-    } else if(arguments.length === 3) {
-        triples = arguments[0];
-        graph = this.rdf.createNamedNode(arguments[1]);
-        callback= arguments[2] || function(){};
+        triples = args[0];
+        callback= args[1] || function(){};
+    } else if(args.length === 3) {
+        triples = args[0];
+        graph = this.rdf.createNamedNode(args[1]);
+        callback= args[2] || function(){};
     } else {
-        throw("The triples to insert, an optional graph and callback must be provided");
+        throw("The triples to "+operation+", an optional graph and callback must be provided");
     }
 
     var query = "";
@@ -627,13 +1460,14 @@ Store.Store.prototype.insert = function() {
         query = query + that._nodeToQuery(triple.subject) + that._nodeToQuery(triple.predicate) + that._nodeToQuery(triple.object) + ".";
     });
 
+    var keyword = operation.toUpperCase() + " DATA";
     if(graph != null) {
-        query = "INSERT DATA { GRAPH " + this._nodeToQuery(graph) +" { "+ query + " } }";
+        query = keyword + " { GRAPH " + this._nodeToQuery(graph) +" { "+ query + " } }";
     } else {
-        query = "INSERT DATA { " + this._nodeToQuery(graph) +" { "+ query + " }";
+        query = keyword + " { " + this._nodeToQuery(graph) +" { "+ query + " }";
     }
 
-    this.engine.execute(query, callback);
+    return {query: query, callback: callback};
 };
 
 Store.Store.prototype._nodeToQuery = function(term) {
@@ -674,37 +1508,8 @@ Store.Store.prototype._nodeToQuery = function(term) {
  * @param {String} [callback] A callback function that will be invoked with a success notification
  */ 
 Store.Store.prototype.delete = function() {
-
-    var graph;
-    var triples;
-    var callback;
-    if(arguments.length === 1) {
-        triples = arguments[0];
-    } else if(arguments.length === 2) {
-        graph = this.rdf.createNamedNode(this.engine.lexicon.defaultGraphUri);
-        triples = arguments[0];
-        callback= arguments[1] || function(){};
-    } else if(arguments.length === 3) {
-        triples = arguments[0];
-        graph = this.rdf.createNamedNode(arguments[1]);
-        callback= arguments[2] || function(){};
-    } else {
-        throw("The triples to delete, an optional graph and callback must be provided");
-    }
-
-    var query = "";
-    var that = this;
-    triples.forEach(function(triple) {
-        query = query + that._nodeToQuery(triple.subject) + that._nodeToQuery(triple.predicate) + that._nodeToQuery(triple.object) + ".";
-    });
-
-    if(graph != null) {
-        query = "DELETE DATA { GRAPH " + this._nodeToQuery(graph) +" { "+ query + " } }";
-    } else {
-        query = "DELETE DATA { " + this._nodeToQuery(graph) +" { "+ query + " }";
-    }
-
-    this.engine.execute(query, callback);
+    var update = this._triplesUpdate('delete', arguments);
+    this._executeRequest(update.query, null, null, {}, update.callback);
 };
 
 /** 
@@ -721,24 +1526,32 @@ Store.Store.prototype.delete = function() {
  * @param {Function} [callback] a function that will be invoked with a success notification
  */
 Store.Store.prototype.clear = function() {
+    var update = this._clearUpdate(arguments);
+    this._executeRequest(update.query, null, null, {}, update.callback);
+};
+
+/**
+ * Builds the CLEAR GRAPH request for the arguments of the
+ * clear function.
+ */
+Store.Store.prototype._clearUpdate = function(args) {
     var graph;
     var callback;
 
-    if(arguments.length === 0) {
+    if(args.length === 0) {
         graph = this.rdf.createNamedNode(this.engine.lexicon.defaultGraphUri);
-        var callback= function(){};
-    } else if(arguments.length === 1) {
+        callback= function(){};
+    } else if(args.length === 1) {
         graph = this.rdf.createNamedNode(this.engine.lexicon.defaultGraphUri);
-        callback= arguments[0] || function(){};
-    } else if(arguments.length === 2) {
-        graph = this.rdf.createNamedNode(arguments[0]);
-        callback= arguments[1] || function(){};
+        callback= args[0] || function(){};
+    } else if(args.length === 2) {
+        graph = this.rdf.createNamedNode(args[0]);
+        callback= args[1] || function(){};
     } else {
         throw("The optional graph and a callback must be provided");
     }
 
-    var query = "CLEAR GRAPH " + this._nodeToQuery(graph);
-    this.engine.execute(query, callback);
+    return {query: "CLEAR GRAPH " + this._nodeToQuery(graph), callback: callback};
 };
 
 /**
@@ -750,7 +1563,8 @@ Store.Store.prototype.clear = function() {
  * @param {boolean} mustFireEvents true/false value.
  */
 Store.Store.prototype.setBatchLoadEvents = function(mustFireEvents){
-    this.engine.eventsOnBatchLoad = mustFireEvents;
+    var engine = (this.transactionInProgress != null ? this.transactionInProgress.engine : this.engine);
+    engine.eventsOnBatchLoad = mustFireEvents;
 };
 
 /**
@@ -796,13 +1610,27 @@ Store.Store.prototype.registerDefaultProfileNamespaces = function() {
  * can be also passed as parameters. If no graph is specified, triples will be loaded in the
  * default graph.<br/>
  *<br/>
+ * Data in the TriG and N-Quads formats can populate several named graphs at once, only the
+ * triples outside of a named graph will be loaded in the graph passed as a parameter.<br/>
+ *<br/>
+ * In Node.js, the data can also be a readable stream. Turtle, N-Triples, N-Quads and TriG streams
+ * and local files are parsed in chunks and loaded in batches of <code>batchSize</code> quads, so
+ * large documents are never kept in memory. A <code>progress</code> function can be passed in the options
+ * and will be invoked after every batch with the number of quads loaded and the line of the
+ * document reached. Parsing errors include the line and column where they were found.<br/>
+ *<br/>
+ * JSON-LD documents are processed following the JSON-LD 1.1 specification. Remote contexts are
+ * retrieved with the <code>documentLoader</code> passed in the options or with the default loader
+ * of <code>Store.JSONLD</code>.<br/>
+ *<br/>
  * By default loading data will not trigger notification through the events API. If events needs to
  * be trigger, the functio <code>setBatchLoadEvents</code> must be invoked with a true parameter.
  *
  * @arguments
  * @param {String} mediaType Media type (application/json, text/n3...) of the data to be parsed or the value <code>'remote'</code> if a URI for the data is passed instead
- * @param {String} data RDF data to be parsed and loaded or an URI where the data will be retrieved after performing content negotiation
+ * @param {String} data RDF data to be parsed and loaded, a readable stream or an URI where the data will be retrieved after performing content negotiation
  * @param {String} [graph] Graph where the parsed triples will be inserted. If it is not specified, triples will be loaded in the default graph
+ * @param {Object} [options] Options map: <code>graph</code>, <code>baseURI</code>, <code>batchSize</code>, <code>progress</code> and <code>documentLoader</code>
  * @param {Function} callback that will be invoked with a success notification and the number of triples loaded.
  */
 Store.Store.prototype.load = function(){
@@ -833,6 +1661,16 @@ Store.Store.prototype.load = function(){
         throw("The mediaType of the parser, the data a callback and an optional graph must be provided");
     }
 
+    var that = this;
+    this._enqueueRequest(function() {
+        that._loadData(mediaType, data, graph, options, callback);
+    });
+};
+
+/**
+ * Parses and loads the data of a load request.
+ */
+Store.Store.prototype._loadData = function(mediaType, data, graph, options, callback) {
     if(mediaType === 'remote') {
         data = this.rdf.createNamedNode(data);
         var query = "LOAD <"+data.valueOf()+"> INTO GRAPH <"+graph.valueOf()+">";
@@ -841,15 +1679,26 @@ Store.Store.prototype.load = function(){
         var parser = this.engine.rdfLoader.parsers[mediaType];
 
         var that = this;
-        this.engine.rdfLoader.loadFromFile(parser, {'token':'uri', 'value':graph.valueOf()}, data, function(success, quads) {
-            if(success) {
-                that.engine.batchLoad(quads,callback);
-            } else {
-                callback(success, quads);
-            }
-        });
-
+        if(parser != null && parser.stream != null) {
+            // the file is parsed and loaded in batches
+            this._loadStream(parser, graph, require('fs').createReadStream(data.split("file:/")[1]), options, callback);
+        } else {
+            this.engine.rdfLoader.loadFromFile(parser, {'token':'uri', 'value':graph.valueOf()}, data, function(success, quads) {
+                if(success) {
+                    that.engine.batchLoad(quads,callback);
+                } else {
+                    callback(success, quads);
+                }
+            });
+        }
 
+    } else if(data != null && typeof(data) === 'object' && typeof(data.pipe) === 'function') {
+        var parser = this.engine.rdfLoader.parsers[mediaType];
+        if(parser == null) {
+            callback(false, "Unknown media type : "+mediaType);
+        } else {
+            this._loadStream(parser, graph, data, options, callback);
+        }
     } else {
         var parser = this.engine.rdfLoader.parsers[mediaType];
         var that = this;
@@ -864,6 +1713,24 @@ Store.Store.prototype.load = function(){
     }
 };
 
+/**
+ * Loads the quads parsed from a readable stream in batches
+ */
+Store.Store.prototype._loadStream = function(parser, graph, stream, options, callback) {
+    var that = this;
+    var loaded = 0;
+    this.engine.rdfLoader.parseStream(parser, {'token':'uri', 'value':graph.valueOf()}, stream, options, function(quads, done) {
+        that.engine.batchLoad(quads, function(success, result) {
+            if(success) {
+                loaded = loaded + result;
+            }
+            done(success, result);
+        });
+    }, function(success, result) {
+        callback(success, (success ? loaded : result));
+    });
+};
+
 /**
  * Registers a new parser associated to the provided media type. If there is a parser already registered for
  * that media type, the new parser will replace the old one.<br/>
@@ -900,28 +1767,31 @@ Store.Store.prototype.registerParser = function(mediaType, parser) {
  * @param {Function} callback function that will receive a success notification and the array of graph URIs
  */
 Store.Store.prototype.registeredGraphs = function(callback) {
-    if(this.isMongodb) {
-        this.engine.registeredGraphs(true, function(graphs){
+    var that = this;
+    this._enqueueRequest(function() {
+        if(that.isMongodb || that.engine.asyncLexicon === true) {
+            that.engine.registeredGraphs(true, function(graphs){
+                var acum = [];
+                for(var i=0; i<graphs.length; i++) {
+                    var graph = graphs[i];
+                    var uri = new RDFJSInterface.NamedNode(graph);
+                    acum.push(uri);
+                }
+            
+                return callback(true, acum);    
+            });
+        } else {
+            var graphs = that.engine.lexicon.registeredGraphs(true);
             var acum = [];
             for(var i=0; i<graphs.length; i++) {
                 var graph = graphs[i];
                 var uri = new RDFJSInterface.NamedNode(graph);
                 acum.push(uri);
             }
-            
+     
             return callback(true, acum);    
-        });
-    } else {
-        var graphs = this.engine.lexicon.registeredGraphs(true);
-        var acum = [];
-        for(var i=0; i<graphs.length; i++) {
-            var graph = graphs[i];
-            var uri = new RDFJSInterface.NamedNode(graph);
-            acum.push(uri);
         }
-     
-        return callback(true, acum);    
-    }
+    });
 };
 
 /** @private */
@@ -949,7 +1819,7 @@ Store.Store.prototype._nodeToQuery = function(term) {
  * using the <code>setNetworkTransport</code> function.
  */
 Store.Store.prototype.getNetworkTransport = function() {
-    return NetworkTransport;
+    return this.engine.rdfLoader.getNetworkTransport();
 };
 
 /**
@@ -960,6 +1830,9 @@ Store.Store.prototype.getNetworkTransport = function() {
  * of the HTTP 'Accept' header for the store registered parsers,
  * a callback function where the retrieved data and the success notification
  * must be returned.<br/>
+ * <br/>
+ * The transport is used to retrieve remote graphs in LOAD requests and to
+ * send the sub-queries of SERVICE patterns to remote SPARQL endpoints.<br/>
  *<br/>
  * Different examples with implementations of different transports can be found
  * in the source code of the store:
@@ -971,7 +1844,7 @@ Store.Store.prototype.getNetworkTransport = function() {
  * @param networkTransportImpl object implementing the transport *load* function.
  */
 Store.Store.prototype.setNetworkTransport = function(networkTransportImpl) {
-    NetworkTransport = networkTransportImpl;
+    this.engine.rdfLoader.setNetworkTransport(networkTransportImpl);
 };
 
 
@@ -982,8 +1855,11 @@ Store.Store.prototype.setNetworkTransport = function(networkTransportImpl) {
 Store.Store.prototype.close = function(cb) {
     if(cb == null)
 	cb = function(){};
-    if(this.engine.close)
-	this.engine.close(cb);
-    else
-	cb();
+    var that = this;
+    this._enqueueRequest(function() {
+        if(that.engine.close)
+            that.engine.close(cb);
+        else
+            cb();
+    });
 };
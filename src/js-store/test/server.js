@@ -0,0 +1,404 @@
+var Store = require("./../src/store").Store;
+var Server = require("./../src/server").Server;
+var http = require("http");
+
+var withServer = function(test, callback, serverOptions) {
+    new Store.Store({name:'test', overwrite:true}, function(store) {
+        Server.store = store;
+        var options = {};
+        for(var p in Server.defaultOptions) {
+            options[p] = Server.defaultOptions[p].def;
+        }
+        for(var p in (serverOptions || {})) {
+            options[p] = serverOptions[p];
+        }
+        var server = http.createServer(Server.routeRequest(options));
+        server.listen(0, '127.0.0.1', function() {
+            callback(store, server.address().port, function() {
+                server.close(function() {
+                    store.close(function(){ test.done() });
+                });
+            });
+        });
+    });
+};
+
+var request = function(port, method, path, headers, body, callback) {
+    var req = http.request({host:'127.0.0.1', port:port, method:method, path:path, headers:headers}, function(res) {
+        var data = "";
+        res.setEncoding('utf8');
+        res.on('data', function(chunk) {
+            data = data + chunk;
+        });
+        res.on('end', function() {
+            callback(res, data);
+        });
+    });
+    if(body != null) {
+        req.write(body);
+    }
+    req.end();
+};
+
+var graphPath = "/rdf-graph-store?graph="+encodeURIComponent("http://example.org/g1");
+
+exports.testGraphStorePutGet = function(test) {
+    withServer(test, function(store, port, done) {
+        var turtle = '<http://example.org/a> <http://example.org/p> "1", "2" .';
+        request(port, 'PUT', graphPath, {"Content-Type":"text/turtle"}, turtle, function(res) {
+            test.ok(res.statusCode === 201);
+            store.execute("SELECT * { GRAPH <http://example.org/g1> { ?s ?p ?o } }", function(success, results) {
+                test.ok(results.length === 2);
+                request(port, 'GET', graphPath, {"Accept":"application/n-triples"}, null, function(res, data) {
+                    test.ok(res.statusCode === 200);
+                    test.ok(res.headers['content-type'] === 'application/n-triples');
+                    test.ok(data.indexOf('<http://example.org/a> <http://example.org/p> "1" .') !== -1);
+                    test.ok(data.indexOf('<http://example.org/a> <http://example.org/p> "2" .') !== -1);
+                    request(port, 'HEAD', graphPath, {"Accept":"text/turtle"}, null, function(res, data) {
+                        test.ok(res.statusCode === 200);
+                        test.ok(res.headers['content-type'] === 'text/turtle');
+                        test.ok(data === "");
+                        // replacing the graph
+                        request(port, 'PUT', graphPath, {"Content-Type":"application/n-triples"}, '<http://example.org/b> <http://example.org/p> <http://example.org/c> .\n', function(res) {
+                            test.ok(res.statusCode === 204);
+                            store.execute("SELECT * { GRAPH <http://example.org/g1> { ?s ?p ?o } }", function(success, results) {
+                                test.ok(results.length === 1);
+                                test.ok(results[0].s.value === "http://example.org/b");
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testGraphStorePutLoadFailure = function(test) {
+    withServer(test, function(store, port, done) {
+        request(port, 'PUT', graphPath, {"Content-Type":"text/turtle"}, '<http://example.org/a> <http://example.org/p> "1", "2" .', function(res) {
+            test.ok(res.statusCode === 201);
+            // the new quads are loaded but the load fails
+            var batchLoad = store.engine.batchLoad;
+            store.engine.batchLoad = function(quads, callback, queryEnv) {
+                batchLoad.call(this, quads, function() {
+                    callback(false, "load failure");
+                }, queryEnv);
+            };
+            request(port, 'PUT', graphPath, {"Content-Type":"text/turtle"}, '<http://example.org/b> <http://example.org/p> "3" .', function(res, data) {
+                store.engine.batchLoad = batchLoad;
+                test.ok(res.statusCode === 500);
+                test.ok(data.indexOf("load failure") !== -1);
+                // the previous triples of the graph are kept
+                store.execute("SELECT * { GRAPH <http://example.org/g1> { ?s ?p ?o } }", function(success, results) {
+                    test.ok(results.length === 2);
+                    test.ok(results[0].s.value === "http://example.org/a");
+                    test.ok(results[1].s.value === "http://example.org/a");
+                    done();
+                });
+            });
+        });
+    });
+};
+
+exports.testGraphStorePostDelete = function(test) {
+    withServer(test, function(store, port, done) {
+        request(port, 'POST', graphPath, {"Content-Type":"text/turtle"}, '<http://example.org/a> <http://example.org/p> "1" .', function(res) {
+            test.ok(res.statusCode === 201);
+            request(port, 'POST', graphPath, {"Content-Type":"application/ld+json"}, JSON.stringify({"@id":"http://example.org/a", "http://example.org/p":"2"}), function(res) {
+                test.ok(res.statusCode === 204);
+                store.execute("SELECT * { GRAPH <http://example.org/g1> { ?s ?p ?o } }", function(success, results) {
+                    test.ok(results.length === 2);
+                    request(port, 'DELETE', graphPath, {}, null, function(res) {
+                        test.ok(res.statusCode === 204);
+                        request(port, 'GET', graphPath, {}, null, function(res) {
+                            test.ok(res.statusCode === 404);
+                            request(port, 'DELETE', graphPath, {}, null, function(res) {
+                                test.ok(res.statusCode === 404);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testGraphStoreDefaultGraph = function(test) {
+    withServer(test, function(store, port, done) {
+        request(port, 'GET', "/rdf-graph-store?default", {"Accept":"application/ld+json"}, null, function(res, data) {
+            test.ok(res.statusCode === 200);
+            test.ok(res.headers['content-type'] === 'application/ld+json');
+            request(port, 'PUT', "/rdf-graph-store?default", {"Content-Type":"text/turtle"}, '<http://example.org/a> <http://example.org/p> <http://example.org/b> .', function(res) {
+                test.ok(res.statusCode === 204);
+                request(port, 'GET', "/rdf-graph-store?default", {"Accept":"application/ld+json"}, null, function(res, data) {
+                    var jsonld = JSON.parse(data);
+                    test.ok(jsonld['@id'] === "http://example.org/a");
+                    test.ok(jsonld['http://example.org/p']['@id'] === "http://example.org/b");
+                    done();
+                });
+            });
+        });
+    });
+};
+
+exports.testGraphStoreErrors = function(test) {
+    withServer(test, function(store, port, done) {
+        request(port, 'GET', "/rdf-graph-store", {}, null, function(res) {
+            test.ok(res.statusCode === 400);
+            request(port, 'GET', graphPath+"&default", {}, null, function(res) {
+                test.ok(res.statusCode === 400);
+                request(port, 'PUT', graphPath, {"Content-Type":"application/x-unknown"}, "data", function(res) {
+                    test.ok(res.statusCode === 415);
+                    request(port, 'GET', "/rdf-graph-store?default", {"Accept":"image/png"}, null, function(res) {
+                        test.ok(res.statusCode === 406);
+                        request(port, 'PUT', graphPath, {"Content-Type":"text/turtle"}, "<http://example.org/a> <http://example.org/p>", function(res) {
+                            test.ok(res.statusCode === 400);
+                            request(port, 'PATCH', graphPath, {}, null, function(res) {
+                                test.ok(res.statusCode === 405);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testMediaTypes = function(test) {
+    var mediaTypes = Server.mediaTypes({headers: {accept: "text/turtle;q=0.5, application/*;q=0.8, */*;q=0.1, application/rdf+xml;q=0.8, text/csv;q=0"}});
+    test.ok(mediaTypes.length === 4);
+    test.ok(mediaTypes[0] === 'application/rdf+xml');
+    test.ok(mediaTypes[1] === 'application/*');
+    test.ok(mediaTypes[2] === 'text/turtle');
+    test.ok(mediaTypes[3] === '*/*');
+
+    test.ok(Server.negotiate(Server.mediaTypes({headers: {}}), Server.resultsMediaTypes) === 'application/sparql-results+xml');
+    test.ok(Server.negotiate(["text/*"], Server.resultsMediaTypes) === 'text/csv');
+    test.ok(Server.negotiate(["image/png"], Server.resultsMediaTypes) == null);
+    test.done();
+};
+
+var data = 'INSERT DATA { <http://example.org/a> <http://example.org/p> "1" . GRAPH <http://example.org/g1> { <http://example.org/b> <http://example.org/p> "2" } }';
+
+exports.testProtocolQuery = function(test) {
+    withServer(test, function(store, port, done) {
+        store.execute(data, function() {
+            var query = encodeURIComponent("SELECT ?s { ?s ?p ?o }");
+            request(port, 'GET', "/sparql?query="+query, {"Accept":"application/sparql-results+json"}, null, function(res, body) {
+                test.ok(res.statusCode === 200);
+                test.ok(res.headers['content-type'] === 'application/sparql-results+json');
+                var results = JSON.parse(body);
+                test.ok(results.head.vars[0] === 's');
+                test.ok(results.results.bindings.length === 1);
+                test.ok(results.results.bindings[0].s.value === 'http://example.org/a');
+
+                // the named graph is used as the default graph of the query
+                var form = "query="+query+"&default-graph-uri="+encodeURIComponent("http://example.org/g1");
+                request(port, 'POST', "/sparql", {"Content-Type":"application/x-www-form-urlencoded", "Accept":"text/csv;q=0.5, application/sparql-results+xml;q=0.9"}, form, function(res, body) {
+                    test.ok(res.statusCode === 200);
+                    test.ok(res.headers['content-type'] === 'application/sparql-results+xml');
+                    test.ok(body.indexOf('<uri>http://example.org/b</uri>') !== -1);
+
+                    request(port, 'POST', "/sparql", {"Content-Type":"application/sparql-query", "Accept":"application/json"}, "ASK { ?s ?p \"1\" }", function(res, body) {
+                        test.ok(res.statusCode === 200);
+                        test.ok(JSON.parse(body)['boolean'] === true);
+
+                        request(port, 'POST', "/sparql", {"Content-Type":"application/sparql-query", "Accept":"text/turtle"}, "CONSTRUCT { ?s ?p ?o } WHERE { ?s ?p ?o }", function(res, body) {
+                            test.ok(res.statusCode === 200);
+                            test.ok(res.headers['content-type'] === 'text/turtle');
+                            test.ok(body.indexOf('"1"') !== -1);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testProtocolUpdate = function(test) {
+    withServer(test, function(store, port, done) {
+        request(port, 'POST', "/sparql", {"Content-Type":"application/x-www-form-urlencoded"}, "update="+encodeURIComponent(data), function(res) {
+            test.ok(res.statusCode === 204);
+            var update = 'INSERT { GRAPH <http://example.org/g2> { ?s ?p ?o } } WHERE { ?s ?p ?o }';
+            request(port, 'POST', "/sparql?using-graph-uri="+encodeURIComponent("http://example.org/g1"), {"Content-Type":"application/sparql-update"}, update, function(res) {
+                test.ok(res.statusCode === 204);
+                store.execute("SELECT * { GRAPH <http://example.org/g2> { ?s ?p ?o } }", function(success, results) {
+                    test.ok(results.length === 1);
+                    test.ok(results[0].s.value === 'http://example.org/b');
+                    done();
+                });
+            });
+        });
+    });
+};
+
+exports.testProtocolErrors = function(test) {
+    withServer(test, function(store, port, done) {
+        var update = encodeURIComponent("INSERT DATA { <http://example.org/a> <http://example.org/p> 1 }");
+        request(port, 'GET', "/sparql", {}, null, function(res, body) {
+            test.ok(res.statusCode === 400);
+            request(port, 'GET', "/sparql?update="+update, {}, null, function(res) {
+                test.ok(res.statusCode === 400);
+                request(port, 'GET', "/sparql?query="+encodeURIComponent("SELECT * WHERE {"), {}, null, function(res, body) {
+                    test.ok(res.statusCode === 400);
+                    test.ok(body.indexOf("Syntax error") === 0);
+                    request(port, 'POST', "/sparql", {"Content-Type":"text/plain"}, "SELECT * { ?s ?p ?o }", function(res) {
+                        test.ok(res.statusCode === 415);
+                        request(port, 'GET', "/sparql?query="+encodeURIComponent("SELECT * { ?s ?p ?o }"), {"Accept":"image/png"}, null, function(res) {
+                            test.ok(res.statusCode === 406);
+                            request(port, 'POST', "/sparql", {"Content-Type":"application/x-www-form-urlencoded"}, "query="+update, function(res) {
+                                test.ok(res.statusCode === 400);
+                                request(port, 'PUT', "/sparql", {}, null, function(res) {
+                                    test.ok(res.statusCode === 405);
+                                    var using = "DELETE { ?s ?p ?o } USING <http://example.org/g1> WHERE { ?s ?p ?o }";
+                                    request(port, 'POST', "/sparql?using-graph-uri="+encodeURIComponent("http://example.org/g2"), {"Content-Type":"application/sparql-update"}, using, function(res) {
+                                        test.ok(res.statusCode === 400);
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+var authConfiguration = {
+    users: {
+        admin: {password: "sha256:"+require("crypto").createHash("sha256").update("secret").digest("hex"), tokens: ["admin-token"]},
+        alice: {password: "wonderland", tokens: ["alice-token"], acl: {read: ["default", "http://example.org/g1"], write: ["http://example.org/g1"]}}
+    },
+    anonymous: {acl: {read: ["default"]}}
+};
+
+var basic = function(user, password) {
+    return "Basic " + new Buffer(user+":"+password).toString("base64");
+};
+
+exports.testAuthenticationBasic = function(test) {
+    Server.authentication = Server.authenticators.basic(authConfiguration);
+    withServer(test, function(store, port, done) {
+        Server.authentication = null;
+        var drop = "update="+encodeURIComponent("DROP ALL");
+        request(port, 'POST', "/sparql", {"Content-Type":"application/x-www-form-urlencoded", "Authorization": basic("admin", "wrong")}, drop, function(res) {
+            test.ok(res.statusCode === 401);
+            test.ok(res.headers['www-authenticate'] === 'Basic realm="rdfstore-js"');
+            // anonymous requests can only read the default graph
+            request(port, 'POST', "/sparql", {"Content-Type":"application/x-www-form-urlencoded"}, drop, function(res, body) {
+                test.ok(res.statusCode === 500);
+                test.ok(body.indexOf("access denied") !== -1);
+                request(port, 'POST', "/sparql", {"Content-Type":"application/x-www-form-urlencoded", "Authorization": basic("admin", "secret")}, "update="+encodeURIComponent(data), function(res) {
+                    test.ok(res.statusCode === 204);
+                    request(port, 'GET', "/sparql?query="+encodeURIComponent("SELECT ?o FROM <http://example.org/g1> { ?s ?p ?o }"), {"Accept":"application/json"}, null, function(res, body) {
+                        test.ok(res.statusCode === 200);
+                        test.ok(JSON.parse(body).results.bindings.length === 0);
+                        request(port, 'GET', graphPath, {}, null, function(res) {
+                            test.ok(res.statusCode === 403);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    }, {"auth": "basic"});
+};
+
+exports.testAuthenticationBearer = function(test) {
+    Server.authentication = Server.authenticators.bearer(authConfiguration);
+    withServer(test, function(store, port, done) {
+        Server.authentication = null;
+        store.execute(data, function() {
+            var update = 'INSERT { GRAPH <http://example.org/g2> { ?s ?p ?o } } WHERE { GRAPH <http://example.org/g1> { ?s ?p ?o } }';
+            request(port, 'POST', "/sparql", {"Content-Type":"application/sparql-update", "Authorization": "Bearer alice-token"}, update, function(res, body) {
+                test.ok(res.statusCode === 500);
+                test.ok(body.indexOf("graph <http://example.org/g2> cannot be modified") !== -1);
+                var query = encodeURIComponent("SELECT ?g ?o FROM NAMED <http://example.org/g1> FROM NAMED <http://example.org/g2> { GRAPH ?g { ?s ?p ?o } }");
+                request(port, 'GET', "/sparql?query="+query, {"Accept":"application/json", "Authorization": "Bearer admin-token"}, null, function(res, body) {
+                    test.ok(JSON.parse(body).results.bindings.length === 1);
+                    request(port, 'PUT', graphPath, {"Content-Type":"text/turtle", "Authorization": "Bearer alice-token"}, '<http://example.org/a> <http://example.org/p> "3" .', function(res) {
+                        test.ok(res.statusCode === 204);
+                        request(port, 'PUT', "/rdf-graph-store?default", {"Content-Type":"text/turtle", "Authorization": "Bearer alice-token"}, '<http://example.org/a> <http://example.org/p> "3" .', function(res) {
+                            test.ok(res.statusCode === 403);
+                            request(port, 'GET', graphPath, {"Accept":"application/n-triples", "Authorization": "Bearer unknown"}, null, function(res) {
+                                test.ok(res.statusCode === 401);
+                                test.ok(res.headers['www-authenticate'] === 'Bearer realm="rdfstore-js"');
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }, {"auth": "bearer"});
+};
+
+exports.testCORSOrigins = function(test) {
+    withServer(test, function(store, port, done) {
+        request(port, 'OPTIONS', "/sparql", {"Origin": "http://allowed.example.org"}, null, function(res) {
+            test.ok(res.headers['access-control-allow-origin'] === "http://allowed.example.org");
+            request(port, 'OPTIONS', "/sparql", {"Origin": "http://other.example.org"}, null, function(res) {
+                test.ok(res.headers['access-control-allow-origin'] == null);
+                done();
+            });
+        });
+    }, {"cors-origins": "http://allowed.example.org, http://localhost:8080"});
+};
+
+exports.testQueryLimits = function(test) {
+    withServer(test, function(store, port, done) {
+        store.execute('INSERT DATA { <http://example.org/a> <http://example.org/p> <http://example.org/b> . <http://example.org/b> <http://example.org/p> <http://example.org/c> }', function(success) {
+            var query = encodeURIComponent("SELECT * { ?s ?p ?o . ?x ?y ?z }");
+            request(port, 'GET', "/sparql?query="+query, {"Accept":"application/sparql-results+json"}, null, function(res, data) {
+                test.ok(res.statusCode === 503);
+                test.ok(data === "Query interrupted: binding limit exceeded: more than 3 intermediate bindings");
+                query = encodeURIComponent("SELECT * { ?s ?p ?o }");
+                request(port, 'GET', "/sparql?query="+query, {"Accept":"application/sparql-results+json"}, null, function(res, data) {
+                    test.ok(res.statusCode === 200);
+                    test.ok(JSON.parse(data).results.bindings.length === 2);
+                    done();
+                });
+            });
+        });
+    }, {"query-max-bindings": "3", "query-timeout": "10000"});
+};
+
+exports.testStartStoreFileEngine = function(test) {
+    var fs = require("fs");
+    var path = require("os").tmpdir() + "/rdfstore_server_file_test";
+    var options = {};
+    for(var p in Server.defaultOptions) {
+        options[p] = Server.defaultOptions[p].def;
+    }
+    options['store-engine'] = 'file';
+    options['store-name'] = path;
+    options['store-overwrite'] = 'true';
+
+    test.ok(Server.defaultOptions['store-engine'].validate('file'));
+    Server.startStore(options, function() {
+        Server.store.execute('INSERT DATA { <http://example.org/a> <http://example.org/p> <http://example.org/b> }', function(success) {
+            Server.store.close(function() {
+                options['store-overwrite'] = 'false';
+                Server.startStore(options, function() {
+                    Server.store.execute('SELECT * { ?s ?p ?o }', function(success, results) {
+                        test.ok(results.length === 1);
+                        test.ok(fs.existsSync(path + "/SPOG.idx"));
+                        Server.store.close(function() {
+                            var files = fs.readdirSync(path);
+                            for(var i=0; i<files.length; i++) {
+                                fs.unlinkSync(path + "/" + files[i]);
+                            }
+                            fs.rmdirSync(path);
+                            test.done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
@@ -1,5 +1,6 @@
 var Store = require("./../src/store").Store;
 var N3Parser = require("./../../js-communication/src/rvn3_parser").RVN3Parser;
+var QuadIndexCommon = require("./../../js-rdf-persistence/src/quad_index_common").QuadIndexCommon;
 
 exports.testIntegration1 = function(test){
     new Store.Store({name:'test', overwrite:true}, function(store){
@@ -457,7 +458,7 @@ exports.testLoad1 = function(test) {
                  "xsd": "http://www.w3.org/2001/XMLSchema#",
                  "name": "http://xmlns.com/foaf/0.1/name",
                  "age": {"@id": "http://xmlns.com/foaf/0.1/age", "@type": "xsd:integer"},
-                 "homepage": {"@id": "http://xmlns.com/foaf/0.1/homepage", "@ype": "@id"},
+                 "homepage": {"@id": "http://xmlns.com/foaf/0.1/homepage", "@type": "@id"},
                  "ex": "http://example.org/people/"
               },
               "@id": "ex:john_smith",
@@ -524,6 +525,127 @@ exports.testLoad3 = function(test) {
     });
 };
 
+exports.testLoadRDFXML = function(test) {
+    Store.create({name:'test', overwrite:true},function(store) {
+        var input = '<?xml version="1.0"?>\
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns:foaf="http://xmlns.com/foaf/0.1/">\
+  <foaf:Person rdf:about="#alice" xml:lang="en">\
+    <foaf:name>Alice</foaf:name>\
+    <foaf:knows><foaf:Person foaf:name="Bob"/></foaf:knows>\
+  </foaf:Person>\
+</rdf:RDF>';
+
+        store.load("application/rdf+xml", input, {graph: "http://example.org/people", baseURI: "http://example.org/people"}, function(success, results){
+            test.ok(success);
+            test.ok(results === 5);
+            store.execute("SELECT ?name { GRAPH <http://example.org/people> { <http://example.org/people#alice> <http://xmlns.com/foaf/0.1/knows> ?p . ?p <http://xmlns.com/foaf/0.1/name> ?name } }", function(success, results) {
+                test.ok(success);
+                test.ok(results.length === 1);
+                test.ok(results[0].name.value === "Bob");
+                test.ok(results[0].name.lang === "en");
+                store.close(function(){ test.done() });
+            });
+        });
+    });
+};
+
+exports.testLoadQuads = function(test) {
+    Store.create({name:'test', overwrite:true},function(store) {
+        var trig = '@prefix ex: <http://example.org/> .\n\
+ex:a ex:p "default" .\n\
+ex:g1 { ex:a ex:p "one" . ex:b ex:p "two" }\n\
+GRAPH ex:g2 { ex:a ex:p "three" }';
+        var nquads = '<http://example.org/a> <http://example.org/p> "four" <http://example.org/g3> .\n\
+<http://example.org/a> <http://example.org/p> "five" .';
+
+        store.load("application/trig", trig, function(success, results){
+            test.ok(success);
+            test.ok(results === 4);
+            store.load("text/x-nquads", nquads, function(success, results){
+                test.ok(success);
+                test.ok(results === 2);
+                store.registeredGraphs(function(success, graphs) {
+                    var uris = [];
+                    for(var i=0; i<graphs.length; i++) {
+                        uris.push(graphs[i].valueOf());
+                    }
+                    uris.sort();
+                    test.ok(uris.join(" ") === "http://example.org/g1 http://example.org/g2 http://example.org/g3");
+                    store.execute("SELECT ?o FROM <http://example.org/g1> { ?s ?p ?o } ORDER BY ?o", function(success, results) {
+                        test.ok(results.length === 2);
+                        test.ok(results[0].o.value === "one");
+                        test.ok(results[1].o.value === "two");
+                        store.execute("SELECT ?o { ?s ?p ?o } ORDER BY ?o", function(success, results) {
+                            test.ok(results.length === 2);
+                            test.ok(results[0].o.value === "default");
+                            test.ok(results[1].o.value === "five");
+                            store.close(function(){ test.done() });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testLoadJSONLDGraphs = function(test) {
+    Store.create({name:'test', overwrite:true},function(store) {
+        var contexts = {"http://example.org/context.jsonld": {"@context": {"@vocab": "http://example.org/", "knows": {"@type": "@id"}}}};
+        var input = {
+            "@context": "http://example.org/context.jsonld",
+            "@graph": [
+                {"@id": "http://example.org/g1", "@graph": [{"@id": "http://example.org/a", "knows": "http://example.org/b"}]},
+                {"@id": "http://example.org/b", "name": "B"}
+            ]
+        };
+
+        store.load("application/ld+json", input, {documentLoader: Store.JSONLD.documentLoaders.cache(contexts)}, function(success, results){
+            test.ok(success);
+            test.ok(results === 2);
+            store.execute("SELECT ?o FROM <http://example.org/g1> { <http://example.org/a> <http://example.org/knows> ?o }", function(success, results) {
+                test.ok(results.length === 1);
+                test.ok(results[0].o.value === "http://example.org/b");
+                store.execute("SELECT ?o { ?s <http://example.org/name> ?o }", function(success, results) {
+                    test.ok(results.length === 1);
+                    test.ok(results[0].o.value === "B");
+                    store.close(function(){ test.done() });
+                });
+            });
+        });
+    });
+};
+
+exports.testLoadStream = function(test) {
+    Store.create({name:'test', overwrite:true},function(store) {
+        var stream = new (require('stream').PassThrough)();
+        var progress = [];
+
+        store.load("text/turtle", stream, {graph: "http://example.org/stream", batchSize: 2, progress: function(quads, line) {
+            progress.push(quads);
+        }}, function(success, results) {
+            test.ok(success);
+            test.ok(results === 5);
+            test.ok(progress.join(",") === "2,4,5");
+            store.execute("SELECT ?o FROM <http://example.org/stream> { ?s ?p ?o }", function(success, results) {
+                test.ok(results.length === 5);
+
+                var invalid = new (require('stream').PassThrough)();
+                store.load("application/n-triples", invalid, function(success, error) {
+                    test.ok(success === false);
+                    test.ok(error.indexOf("line 2, column 24") !== -1);
+                    store.close(function(){ test.done() });
+                });
+                invalid.write('<http://example.org/a> <http://example.org/p> "1" .\n');
+                invalid.end('<http://example.org/a> "p" "2" .\n');
+            });
+        });
+
+        stream.write('@prefix ex: <http://example.org/> .\nex:a ex:p 1, 2');
+        stream.write(', 3 .\nex:b ex:p 4 ;\n');
+        stream.end('  ex:q 5 .\n');
+    });
+};
+
 exports.testLoad5 = function(test) {
     Store.create({name:'test', overwrite:true},function(store) {
         
@@ -1082,3 +1204,908 @@ exports.testRegisterCustomFunction = function(test) {
     });
     
 };
+
+exports.testDescribeStrategies = function(test) {
+    new Store.Store({name:'test', overwrite:true, describeStrategy:'simple'}, function(store) {
+        store.load(
+            'text/n3',
+            '@prefix test: <http://test.com/> .\
+             test:A test:prop test:B.\
+             test:A test:other [ test:prop 5 ].\
+             test:C test:prop test:A.',
+            function(success) {
+                store.execute('DESCRIBE <http://test.com/A>', function(success, graph) {
+                    test.ok(success);
+                    test.ok(graph.toArray().length === 2);
+
+                    store.setDescribeStrategy('cbd');
+                    store.execute('DESCRIBE <http://test.com/A>', function(success, graph) {
+                        test.ok(success);
+                        test.ok(graph.toArray().length === 3);
+
+                        store.setDescribeStrategy('scbd');
+                        store.execute('DESCRIBE <http://test.com/A>', function(success, graph) {
+                            test.ok(success);
+                            test.ok(graph.toArray().length === 4);
+                            test.done();
+                        });
+                    });
+                });
+            });
+    });
+};
+
+exports.testExecuteFormat = function(test) {
+    new Store.Store({name:'test', overwrite:true}, function(store) {
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> "one" . <http://test.com/b> <http://test.com/p> "two, three" . <http://test.com/a> <http://test.com/q> 1 }', function(success) {
+            var query = 'SELECT ?s ?o ?n { ?s <http://test.com/p> ?o OPTIONAL { ?s <http://test.com/q> ?n } } ORDER BY ?s';
+            store.execute(query, {format: 'text/csv'}, function(success, csv) {
+                test.ok(success);
+                test.ok(csv === 's,o,n\r\nhttp://test.com/a,one,1\r\nhttp://test.com/b,"two, three",\r\n');
+
+                var chunks = [];
+                var stream = {write: function(chunk) { chunks.push(chunk); }};
+                store.execute(query, [], [], {format: 'application/sparql-results+json', stream: stream}, function(success, result) {
+                    test.ok(success);
+                    test.ok(result === stream);
+                    // header, one chunk per solution and footer
+                    test.ok(chunks.length === 4);
+                    var json = JSON.parse(chunks.join(""));
+                    test.ok(json.head.vars.join(" ") === 's o n');
+                    test.ok(json.results.bindings[1].n == null);
+
+                    store.execute('ASK { ?s ?p ?o }', {format: 'application/sparql-results+xml'}, function(success, xml) {
+                        test.ok(success);
+                        test.ok(xml.indexOf('<boolean>true</boolean>') != -1);
+
+                        store.execute(query, {format: 'text/html'}, function(success, error) {
+                            test.ok(!success);
+                            store.execute('CONSTRUCT { ?s ?p ?o } WHERE { ?s ?p ?o }', {format: 'text/csv'}, function(success, error) {
+                                test.ok(!success);
+                                test.done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testExecuteFormatDrain = function(test) {
+    new Store.Store({name:'test', overwrite:true}, function(store) {
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> 1 . <http://test.com/b> <http://test.com/p> 2 }', function(success) {
+            var chunks = [];
+            var drain = null;
+            // a stream whose buffer is always full
+            var stream = {write: function(chunk) { chunks.push(chunk); return false; },
+                          once: function(event, listener) { test.ok(event === 'drain'); drain = listener; }};
+            var finished = false;
+            // the query is parsed once
+            var aqt = store.engine.abstractQueryTree;
+            var parseQueryString = aqt.parseQueryString;
+            var parsed = 0;
+            aqt.parseQueryString = function(queryString) {
+                parsed++;
+                return parseQueryString.call(aqt, queryString);
+            };
+            store.execute('SELECT ?s { ?s ?p ?o } ORDER BY ?s', {format: 'text/csv', stream: stream}, function(success, result) {
+                finished = true;
+                aqt.parseQueryString = parseQueryString;
+                test.ok(parsed === 1);
+                test.ok(success);
+                test.ok(result === stream);
+            });
+            var waitDrain = function(written, callback) {
+                if(drain == null) {
+                    return setTimeout(function(){ waitDrain(written, callback); }, 0);
+                }
+                // no more chunks are written until the stream is drained
+                test.ok(chunks.length === written);
+                test.ok(finished === false);
+                var listener = drain;
+                drain = null;
+                listener();
+                callback();
+            };
+            waitDrain(1, function() {
+                waitDrain(2, function() {
+                    waitDrain(3, function() {
+                        test.ok(finished === true);
+                        test.ok(chunks.join("") === 's\r\nhttp://test.com/a\r\nhttp://test.com/b\r\n');
+                        test.done();
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testDump = function(test) {
+    new Store.Store({name:'test', overwrite:true}, function(store) {
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> (1 2) . GRAPH <http://test.com/g> { <http://test.com/b> <http://test.com/p> "two" } }', function(success) {
+            store.setPrefix('test', 'http://test.com/');
+            store.dump('text/turtle', function(success, ttl) {
+                test.ok(success);
+                test.ok(ttl === '@prefix test: <http://test.com/> .\n\ntest:a test:p ( 1 2 ) .\n');
+
+                store.dump('http://test.com/g', 'application/n-triples', function(success, nt) {
+                    test.ok(nt === '<http://test.com/b> <http://test.com/p> "two" .\n');
+
+                    var chunks = [];
+                    store.dump('application/n-quads', {stream: {write: function(chunk) { chunks.push(chunk); }}}, function(success) {
+                        test.ok(success);
+                        test.ok(chunks.length === 6);
+                        test.ok(chunks[5] === '<http://test.com/b> <http://test.com/p> "two" <http://test.com/g> .\n');
+
+                        store.dump('application/trig', function(success, trig) {
+                            // the dump can be loaded in a new store
+                            new Store.Store({name:'test2', overwrite:true}, function(store2) {
+                                store2.load('text/turtle', trig.split("\ntest:g {")[0], function(success, loaded) {
+                                    test.ok(success);
+                                    test.ok(loaded === 5);
+                                    store.dump('application/rdf+xml', function(success, error) {
+                                        test.ok(!success);
+                                        test.done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testExecuteAccessControl = function(test) {
+    new Store.Store({name:'test', overwrite:true}, function(store) {
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> "default" . GRAPH <http://test.com/g1> { <http://test.com/a> <http://test.com/p> "g1" } GRAPH <http://test.com/g2> { <http://test.com/a> <http://test.com/p> "g2" . <http://test.com/b> <http://test.com/q> <http://test.com/c> } }', function(success) {
+            var acl = {read: ['default', 'http://test.com/g1'], write: ['http://test.com/g1']};
+            store.execute('SELECT ?g ?o FROM NAMED <http://test.com/g1> FROM NAMED <http://test.com/g2> { GRAPH ?g { ?s ?p ?o } }', {acl: acl}, function(success, results) {
+                test.ok(success);
+                test.ok(results.length === 1);
+                test.ok(results[0].o.value === "g1");
+                store.execute('ASK FROM NAMED <http://test.com/g2> { GRAPH ?g { ?s <http://test.com/q>+ ?o } }', {acl: acl}, function(success, result) {
+                    test.ok(result === false);
+                    store.execute('DROP ALL', {acl: acl}, function(success, error) {
+                        test.ok(!success);
+                        test.ok(error === "access denied: graph DEFAULT cannot be modified");
+                        store.execute('INSERT { GRAPH <http://test.com/g2> { ?s ?p ?o } } WHERE { GRAPH <http://test.com/g1> { ?s ?p ?o } }', {acl: acl}, function(success, error) {
+                            test.ok(!success);
+                            test.ok(error === "access denied: graph <http://test.com/g2> cannot be modified");
+                            store.execute('DELETE WHERE { GRAPH <http://test.com/g1> { ?s ?p ?o } }', {acl: acl}, function(success) {
+                                test.ok(success);
+                                // nothing else was modified
+                                store.execute('SELECT ?o { { ?s ?p ?o } UNION { GRAPH <http://test.com/g1> { ?s ?p ?o } } UNION { GRAPH <http://test.com/g2> { ?s ?p ?o } } }', function(success, results) {
+                                    test.ok(results.length === 3);
+                                    test.done();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testGraphTransferAccessControl = function(test) {
+    new Store.Store({name:'test', overwrite:true}, function(store) {
+        store.execute('INSERT DATA { GRAPH <http://test.com/g1> { <http://test.com/a> <http://test.com/p> "g1" } GRAPH <http://test.com/secret> { <http://test.com/a> <http://test.com/p> "secret" } }', function(success) {
+            var acl = {read: ['default', 'http://test.com/g1'], write: ['http://test.com/g1']};
+            store.execute('COPY <http://test.com/secret> TO <http://test.com/g1>', {acl: acl}, function(success, error) {
+                test.ok(!success);
+                test.ok(error === "access denied: graph <http://test.com/secret> cannot be read");
+                // the same error is reported for graphs that do not exist
+                store.execute('COPY SILENT <http://test.com/missing> TO <http://test.com/g1>', {acl: acl}, function(success, error) {
+                    test.ok(!success);
+                    test.ok(error === "access denied: graph <http://test.com/missing> cannot be read");
+                    store.execute('MOVE <http://test.com/g1> TO DEFAULT', {acl: acl}, function(success, error) {
+                        test.ok(!success);
+                        test.ok(error === "access denied: graph DEFAULT cannot be modified");
+                        // nothing was cleared
+                        store.execute('SELECT ?o FROM NAMED <http://test.com/g1> FROM NAMED <http://test.com/secret> { GRAPH ?g { ?s ?p ?o } } ORDER BY ?o', function(success, results) {
+                            test.ok(results.length === 2);
+                            test.ok(results[0].o.value === "g1");
+                            test.ok(results[1].o.value === "secret");
+                            store.execute('COPY DEFAULT TO <http://test.com/g1>', {acl: acl}, function(success) {
+                                test.ok(success);
+                                test.done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testExecuteLimitsAndCancel = function(test) {
+    new Store.Store({name:'test', overwrite:true}, function(store) {
+        store.setNetworkTransport({load: function(uri, accept, callback) {
+            setTimeout(function(){
+                callback(true, {headers: {"Content-Type": "text/turtle"}, data: "<http://test.com/d> <http://test.com/p> <http://test.com/e> ."});
+            }, 10);
+        }});
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> <http://test.com/b> . <http://test.com/b> <http://test.com/p> <http://test.com/c> }', function(success) {
+            var execution = store.execute('SELECT * { ?s ?p ?o . ?x ?y ?z }', {maxBindings: 3}, function(success, error) {
+                test.ok(!success);
+                test.ok(error === "binding limit exceeded: more than 3 intermediate bindings");
+            });
+            test.ok(typeof(execution.cancel) === 'function');
+
+            execution = store.execute('INSERT DATA { <http://test.com/c> <http://test.com/p> <http://test.com/d> } ; LOAD <http://test.com/data>', function(success, error) {
+                test.ok(!success);
+                test.ok(error === "query cancelled");
+                // the update is undone
+                store.execute('SELECT * { ?s ?p ?o }', {format: 'text/csv'}, function(success, results) {
+                    test.ok(success);
+                    test.ok(results.split("\r\n").length === 4);
+                    test.done();
+                });
+            });
+            execution.cancel();
+        });
+    });
+};
+
+exports.testCancelInMemoryQuery = function(test) {
+    new Store.Store({name:'test', overwrite:true}, function(store) {
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> <http://test.com/b> . <http://test.com/b> <http://test.com/p> <http://test.com/c> }', function(success) {
+            var finished = false;
+            var execution = store.execute('SELECT * { ?s ?p ?o . ?x ?y ?z }', function(success, error) {
+                finished = true;
+                test.ok(!success);
+                test.ok(error === "query cancelled");
+                // the update is not applied
+                execution = store.execute('DELETE WHERE { ?s ?p ?o }', function(success, error) {
+                    test.ok(!success);
+                    test.ok(error === "query cancelled");
+                    store.execute('SELECT * { ?s ?p ?o }', function(success, results) {
+                        test.ok(success);
+                        test.ok(results.length === 2);
+                        test.done();
+                    });
+                });
+                execution.cancel();
+            });
+            // the query has not been evaluated yet
+            test.ok(finished === false);
+            execution.cancel();
+        });
+    });
+};
+
+exports.testRequestOrder = function(test) {
+    new Store.Store({name:'test', overwrite:true}, function(store) {
+        var graph = store.rdf.createGraph();
+        graph.add(store.rdf.createTriple(store.rdf.createNamedNode("http://test.com/b"),
+                                         store.rdf.createNamedNode("http://test.com/p"),
+                                         store.rdf.createLiteral("2")));
+        var order = [];
+        // the requests start in the order the functions are invoked
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> 1 }', function(success) {
+            order.push('execute');
+        });
+        store.insert(graph, function(success) {
+            order.push('insert');
+        });
+        store.load('text/turtle', '<http://test.com/c> <http://test.com/p> 3 .', function(success) {
+            order.push('load');
+        });
+        store.graph(function(success, graph) {
+            test.ok(order.join(",") === 'execute,insert,load');
+            test.ok(graph.length === 3);
+            store.clear(function(success) {
+                order.push('clear');
+            });
+            store.execute('SELECT * { ?s ?p ?o }', function(success, results) {
+                test.ok(order[order.length-1] === 'clear');
+                test.ok(results.length === 0);
+                test.done();
+            });
+        });
+    });
+};
+
+exports.testRequestExceptions = function(test) {
+    new Store.Store({name:'test', overwrite:true}, function(store) {
+        store.registerCustomFunction('fail', function(engine, args) {
+            throw new Error("custom failure");
+        });
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> 1 }', function(success) {
+            // errors thrown by the engine are notified to the callback
+            store.execute('PREFIX custom: <http://rdfstore-js.org/custom#> SELECT * { ?s ?p ?o FILTER(custom:fail(?o)) }', function(success, error) {
+                test.ok(success === false);
+                test.ok(error === "custom failure");
+                test.done();
+            });
+        });
+    });
+};
+
+exports.testExplain = function(test) {
+    new Store.Store({name:'test', overwrite:true}, function(store) {
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> <http://test.com/b> . GRAPH <http://test.com/g> { <http://test.com/b> <http://test.com/p> <http://test.com/c> } }', function(success) {
+            store.explain('SELECT * { ?s <http://test.com/p> ?o }', {analyze: true}, function(success, explanation) {
+                test.ok(success);
+                test.ok(explanation.plan.children[0].operator === 'pattern');
+                test.ok(explanation.plan.children[0].actual === 1);
+                store.explain('SELECT * { GRAPH ?g { ?s <http://test.com/p> ?o } }', [], ['http://test.com/g'], {analyze: true}, function(success, explanation) {
+                    test.ok(success);
+                    test.ok(explanation.plan.children[0].actual === 1);
+                    store.explain('SELECT * { GRAPH ?g { ?s <http://test.com/p> ?o } }', [], ['http://test.com/g'], {analyze: true, acl: {read: ['default']}}, function(success, explanation) {
+                        test.ok(success);
+                        test.ok(explanation.text === "select\n  pattern ?s <http://test.com/p> ?o GRAPH ?g [index GP, estimated " + (Math.round(explanation.plan.children[0].estimated * 100) / 100) + ", actual 0]");
+                        test.done();
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testFileEngine = function(test) {
+    var fs = require("fs");
+    var path = require("os").tmpdir() + "/rdfstore_file_engine_test";
+    var removeFiles = function() {
+        var files = fs.readdirSync(path);
+        for(var i=0; i<files.length; i++) {
+            fs.unlinkSync(path + "/" + files[i]);
+        }
+        fs.rmdirSync(path);
+    };
+
+    new Store.Store({engine: 'file', path: path, overwrite: true, treeOrder: 2}, function(store) {
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> "a"@en . _:b <http://test.com/p> <http://test.com/c> . GRAPH <http://test.com/g> { <http://test.com/a> <http://test.com/q> 3 } }', function(success, result) {
+            test.ok(success);
+            store.close(function() {
+                // the data is read back from the files of the store
+                new Store.Store({engine: 'file', path: path, treeOrder: 2}, function(store) {
+                    store.execute('SELECT * { ?s <http://test.com/p> ?o }', function(success, results) {
+                        test.ok(success);
+                        test.ok(results.length === 2);
+                        store.registeredGraphs(function(success, graphs) {
+                            test.ok(graphs.length === 1);
+                            test.ok(graphs[0].valueOf() === 'http://test.com/g');
+                            store.execute('DELETE DATA { <http://test.com/a> <http://test.com/p> "a"@en }', function(success) {
+                                store.close(function() {
+                                    new Store.Store({engine: 'file', path: path, treeOrder: 2}, function(store) {
+                                        store.execute('SELECT * { ?s ?p ?o }', function(success, results) {
+                                            test.ok(success);
+                                            test.ok(results.length === 1);
+                                            test.ok(results[0].o.value === 'http://test.com/c');
+                                            store.execute('SELECT * { GRAPH <http://test.com/g> { ?s ?p ?o } }', function(success, results) {
+                                                test.ok(results.length === 1);
+                                                test.ok(results[0].o.value === '3');
+                                                store.close(function() {
+                                                    // overwrite removes the previous data
+                                                    new Store.Store({engine: 'file', path: path, overwrite: true, treeOrder: 2}, function(store) {
+                                                        store.execute('SELECT * { ?s ?p ?o }', function(success, results) {
+                                                            test.ok(results.length === 0);
+                                                            store.registeredGraphs(function(success, graphs) {
+                                                                test.ok(graphs.length === 0);
+                                                                store.close(function() {
+                                                                    removeFiles();
+                                                                    test.done();
+                                                                });
+                                                            });
+                                                        });
+                                                    });
+                                                });
+                                            });
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testIndexedDBEngine = function(test) {
+    var FakeIndexedDB = require("./../../js-rdf-persistence/src/fake_indexed_db").FakeIndexedDB;
+    var factory = new FakeIndexedDB.Factory();
+    var params = function(overwrite) {
+        return {engine: 'indexeddb', name: 'test', indexedDB: factory, overwrite: overwrite, treeOrder: 2, cacheMaxSize: 4};
+    };
+
+    var triples = "";
+    for(var i=0; i<30; i++) {
+        triples = triples + '<http://test.com/s'+i+'> <http://test.com/p> '+i+' . ';
+    }
+
+    new Store.Store(params(true), function(store) {
+        store.execute('INSERT DATA { '+triples+' GRAPH <http://test.com/g> { _:b <http://test.com/q> "b"@en } }', function(success, result) {
+            test.ok(success);
+            store.close(function() {
+                // the data is read back from the IndexedDB database
+                new Store.Store(params(false), function(store) {
+                    store.execute('SELECT * { ?s <http://test.com/p> ?o }', function(success, results) {
+                        test.ok(success);
+                        test.ok(results.length === 30);
+                        store.registeredGraphs(function(success, graphs) {
+                            test.ok(graphs.length === 1);
+                            test.ok(graphs[0].valueOf() === 'http://test.com/g');
+                            store.execute('DELETE { ?s <http://test.com/p> ?o } WHERE { ?s <http://test.com/p> ?o . FILTER(?o < 20) }', function(success) {
+                                test.ok(success);
+                                store.close(function() {
+                                    new Store.Store(params(false), function(store) {
+                                        store.execute('SELECT * { ?s <http://test.com/p> ?o }', function(success, results) {
+                                            test.ok(results.length === 10);
+                                            // the nodes and terms are read again when the caches are released
+                                            store.execute('SELECT ?x { <http://test.com/s25> <http://test.com/p>/^<http://test.com/p> ?x }', function(success, results) {
+                                                test.ok(results.length === 1);
+                                                test.ok(results[0].x.value === 'http://test.com/s25');
+                                                store.execute('SELECT * { GRAPH <http://test.com/g> { ?s ?p ?o } }', function(success, results) {
+                                                    test.ok(results.length === 1);
+                                                    test.ok(results[0].s.token === 'blank');
+                                                    test.ok(results[0].o.lang === 'en');
+                                                    store.close(function() {
+                                                        // overwrite removes the previous data
+                                                        new Store.Store(params(true), function(store) {
+                                                            store.execute('SELECT * { ?s ?p ?o }', function(success, results) {
+                                                                test.ok(results.length === 0);
+                                                                store.registeredGraphs(function(success, graphs) {
+                                                                    test.ok(graphs.length === 0);
+                                                                    store.close(function() {
+                                                                        test.done();
+                                                                    });
+                                                                });
+                                                            });
+                                                        });
+                                                    });
+                                                });
+                                            });
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testCheckIntegrity = function(test) {
+    new Store.Store({treeOrder: 2}, function(store) {
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> "a" . <http://test.com/b> <http://test.com/p> <http://test.com/a> . GRAPH <http://test.com/g> { _:b <http://test.com/q> 3 } }', function(success) {
+            store.checkIntegrity(function(success, result) {
+                test.ok(success);
+                test.ok(result.valid);
+                test.ok(result.quads === 3);
+                test.ok(result.errors.length === 0);
+
+                // a quad missing in one of the indices
+                var backend = store.engine.backend;
+                var all = {subject: 'subject', predicate: 'predicate', object: 'object', graph: 'graph'};
+                var quad = backend.indexMap['SPOG'].range(new QuadIndexCommon.Pattern(all))[0];
+                backend.indexMap['OGS'].delete(quad);
+                store.checkIntegrity(function(success, result) {
+                    test.ok(success);
+                    test.ok(result.valid === false);
+                    test.ok(result.errors.length > 0);
+
+                    backend.indexMap['OGS'].insert(quad);
+                    // a term missing in the lexicon
+                    store.engine.lexicon.kinds[quad.predicate] = 0;
+                    store.checkIntegrity(function(success, result) {
+                        test.ok(result.valid === false);
+                        test.ok(result.errors.length === 1);
+                        test.done();
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testFileEngineRecovery = function(test) {
+    var fs = require("fs");
+    var path = require("os").tmpdir() + "/rdfstore_file_engine_recovery_test";
+    var WriteAheadLog = require("./../../js-rdf-persistence/src/write_ahead_log").WriteAheadLog;
+    var removeFiles = function() {
+        var files = fs.readdirSync(path);
+        for(var i=0; i<files.length; i++) {
+            fs.unlinkSync(path + "/" + files[i]);
+        }
+        fs.rmdirSync(path);
+    };
+
+    var triples = "";
+    for(var i=0; i<20; i++) {
+        triples = triples + '<http://test.com/s'+i+'> <http://test.com/p> '+i+' . ';
+    }
+
+    new Store.Store({engine: 'file', path: path, overwrite: true, treeOrder: 2}, function(store) {
+        store.execute('INSERT DATA { '+triples+' }', function(success) {
+            test.ok(success);
+            test.ok(fs.statSync(path + "/wal.log").size === 0);
+
+            // a delete interrupted after modifying some of the indices
+            var backend = store.engine.backend;
+            var quad = backend.indexMap['SPOG'].range(new QuadIndexCommon.Pattern({subject: 'subject', predicate: 'predicate', object: 'object', graph: 'graph'}))[5];
+            store.engine.log.append(WriteAheadLog.record('delete', quad));
+            backend.indexMap['SPOG'].delete(quad);
+            backend.indexMap['GP'].delete(quad);
+            test.ok(fs.statSync(path + "/wal.log").size > 0);
+
+            store.close(function() {
+                new Store.Store({engine: 'file', path: path, treeOrder: 2}, function(store) {
+                    test.ok(fs.statSync(path + "/wal.log").size === 0);
+                    store.checkIntegrity(function(success, result) {
+                        test.ok(result.valid);
+                        test.ok(result.quads === 20);
+                        store.execute('SELECT * { ?s <http://test.com/p> ?o }', function(success, results) {
+                            test.ok(results.length === 20);
+                            store.execute('DELETE DATA { <http://test.com/s1> <http://test.com/p> 1 }', function(success) {
+                                store.close(function() {
+                                    new Store.Store({engine: 'file', path: path, treeOrder: 2}, function(store) {
+                                        store.checkIntegrity(function(success, result) {
+                                            test.ok(result.valid);
+                                            test.ok(result.quads === 19);
+                                            store.close(function() {
+                                                removeFiles();
+                                                test.done();
+                                            });
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testTransactionCommit = function(test) {
+    new Store.Store({treeOrder: 2}, function(store) {
+        var events = [];
+        store.subscribe(null, "http://test.com/p", null, null, function(event, triples) {
+            events.push(event);
+        });
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> 1 }', function() {
+            events = [];
+            store.transaction(function(tx) {
+                tx.execute('DELETE DATA { <http://test.com/a> <http://test.com/p> 1 }', function(success) {
+                    test.ok(success);
+                    var graph = store.rdf.createGraph();
+                    graph.add(store.rdf.createTriple(store.rdf.createNamedNode("http://test.com/b"),
+                                                     store.rdf.createNamedNode("http://test.com/p"),
+                                                     store.rdf.createLiteral("2")));
+                    tx.insert(graph, function(success) {
+                        test.ok(success);
+                        // the transaction reads its own changes
+                        tx.execute('SELECT ?s { ?s <http://test.com/p> ?o }', function(success, results) {
+                            test.ok(results.length === 1);
+                            test.ok(results[0].s.value === 'http://test.com/b');
+                            test.ok(events.length === 0);
+                            tx.commit(function(success) {
+                                test.ok(success);
+                            });
+                        });
+                    });
+                });
+            }, function(success) {
+                test.ok(success);
+                test.ok(events.length === 2);
+                store.execute('SELECT ?s { ?s <http://test.com/p> ?o }', function(success, results) {
+                    test.ok(results.length === 1);
+                    test.ok(results[0].s.value === 'http://test.com/b');
+                    store.checkIntegrity(function(success, result) {
+                        test.ok(result.valid);
+                        test.done();
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testTransactionRollback = function(test) {
+    new Store.Store({treeOrder: 2}, function(store) {
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> 1 }', function() {
+            var lexicon = store.engine.lexicon;
+            var uris = Object.keys(lexicon.uriToOID).length;
+            var literals = Object.keys(lexicon.literalToOID).length;
+
+            store.transaction(function(tx) {
+                tx.execute('INSERT DATA { <http://test.com/b> <http://test.com/q> "new" }', function(success) {
+                    test.ok(success);
+                    tx.execute('DELETE DATA { <http://test.com/a> <http://test.com/p> 1 }', function(success) {
+                        test.ok(success);
+                        tx.execute('SELECT * { ?s ?p ?o ', function(success, error) {
+                            test.ok(success === false);
+                            // the transaction can not be used anymore
+                            tx.execute('INSERT DATA { <http://test.com/c> <http://test.com/p> 3 }', function(success, error) {
+                                test.ok(success === false);
+                                tx.commit(function(success) {
+                                    test.ok(success === false);
+                                });
+                            });
+                        });
+                    });
+                });
+            }, function(success, error) {
+                test.ok(success === false);
+                test.ok(error != null);
+                test.ok(Object.keys(lexicon.uriToOID).length === uris);
+                test.ok(Object.keys(lexicon.literalToOID).length === literals);
+                store.execute('SELECT * { ?s ?p ?o }', function(success, results) {
+                    test.ok(results.length === 1);
+                    test.ok(results[0].s.value === 'http://test.com/a');
+
+                    // exceptions thrown by the function and explicit rollbacks undo the changes too
+                    store.transaction(function(tx) {
+                        tx.execute('INSERT DATA { <http://test.com/b> <http://test.com/q> "new" }');
+                        throw new Error("failure");
+                    }, function(success, error) {
+                        test.ok(success === false);
+                        store.transaction(function(tx) {
+                            tx.execute('INSERT DATA { <http://test.com/b> <http://test.com/q> "new" }', function(success) {
+                                tx.rollback(function(success) {
+                                    test.ok(success);
+                                });
+                            });
+                        }, function(success, error) {
+                            test.ok(success === false);
+                            store.checkIntegrity(function(success, result) {
+                                test.ok(result.valid);
+                                test.ok(result.quads === 1);
+                                test.ok(Object.keys(lexicon.uriToOID).length === uris);
+                                test.done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testTransactionCallbackExceptions = function(test) {
+    new Store.Store({treeOrder: 2}, function(store) {
+        var thrown = [];
+        var handler = function(e) {
+            thrown.push(e.message);
+        };
+        process.on('uncaughtException', handler);
+        store.transaction(function(tx) {
+            tx.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> 1 }', function(success) {
+                test.ok(success);
+                // the exception is not caught and the transaction is still active
+                throw new Error("failure");
+            });
+            tx.execute('SELECT * { ?s ?p ?o }', function(success, results) {
+                test.ok(thrown.length === 1);
+                test.ok(results.length === 1);
+                tx.commit();
+            });
+        }, function(success) {
+            process.removeListener('uncaughtException', handler);
+            test.ok(success);
+            test.ok(thrown[0] === "failure");
+            store.execute('SELECT * { ?s ?p ?o }', function(success, results) {
+                test.ok(results.length === 1);
+                test.done();
+            });
+        });
+    });
+};
+
+exports.testTransactionIsolation = function(test) {
+    new Store.Store({treeOrder: 2}, function(store) {
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> 1 . <http://test.com/b> <http://test.com/p> 2 }', function() {
+            var order = [];
+            store.transaction(function(tx) {
+                tx.execute('DELETE DATA { <http://test.com/a> <http://test.com/p> 1 } ; INSERT DATA { <http://test.com/c> <http://test.com/p> 3 }', function(success) {
+                    test.ok(success);
+                    // readers see the data before the transaction
+                    store.execute('SELECT ?s { ?s <http://test.com/p> ?o } ORDER BY ?s', function(success, results) {
+                        test.ok(results.length === 2);
+                        test.ok(results[0].s.value === 'http://test.com/a');
+                        test.ok(results[1].s.value === 'http://test.com/b');
+                        store.execute('ASK { <http://test.com/c> ?p ?o }', function(success, result) {
+                            test.ok(result === false);
+
+                            // writers wait for the transaction
+                            store.execute('DELETE DATA { <http://test.com/b> <http://test.com/p> 2 }', function(success) {
+                                order.push('write');
+                                test.ok(success);
+                            });
+                            store.transaction(function(tx2) {
+                                order.push('transaction');
+                                tx2.commit();
+                            });
+                            tx.execute('SELECT ?s { ?s <http://test.com/p> ?o }', function(success, results) {
+                                test.ok(results.length === 2);
+                                test.ok(order.length === 0);
+                                tx.commit(function() {
+                                    test.ok(order.join(",") === 'write,transaction');
+                                    store.execute('SELECT ?s { ?s <http://test.com/p> ?o }', function(success, results) {
+                                        test.ok(results.length === 1);
+                                        test.ok(results[0].s.value === 'http://test.com/c');
+                                        test.done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testTransactionBlockingReads = function(test) {
+    var FakeIndexedDB = require("./../../js-rdf-persistence/src/fake_indexed_db").FakeIndexedDB;
+    var params = {engine: 'indexeddb', name: 'test', indexedDB: new FakeIndexedDB.Factory(), treeOrder: 2};
+
+    new Store.Store(params, function(store) {
+        var order = [];
+        store.transaction(function(tx) {
+            tx.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> 1 }', function(success) {
+                test.ok(success);
+                // without a snapshot of the data, readers wait for the transaction
+                store.execute('SELECT ?s { ?s <http://test.com/p> ?o }', function(success, results) {
+                    order.push('read');
+                    test.ok(results.length === 1);
+                });
+                setTimeout(function() {
+                    test.ok(order.length === 0);
+                    order.push('commit');
+                    tx.commit();
+                }, 20);
+            });
+        }, function(success) {
+            test.ok(success);
+            store.execute('ASK { ?s ?p ?o }', function() {
+                test.ok(order.join(",") === 'commit,read');
+                store.close(function() {
+                    test.done();
+                });
+            });
+        });
+    });
+};
+
+exports.testTransactionTimeout = function(test) {
+    new Store.Store({treeOrder: 2}, function(store) {
+        var transaction = null;
+        store.transaction(function(tx) {
+            transaction = tx;
+            // the transaction is never finished
+            tx.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> 1 }', function(success) {
+                test.ok(success);
+            });
+        }, {timeout: 20}, function(success, error) {
+            test.ok(success === false);
+            test.ok(error === "The transaction timed out");
+            transaction.execute('INSERT DATA { <http://test.com/b> <http://test.com/p> 2 }', function(success) {
+                test.ok(success === false);
+                store.execute('SELECT ?s { ?s ?p ?o }', function(success, results) {
+                    test.ok(results.length === 0);
+                    // transactions finished in time are not affected
+                    store.transaction(function(tx) {
+                        tx.insert(store.rdf.createGraph([store.rdf.createTriple(store.rdf.createNamedNode('http://test.com/c'),
+                                                                                 store.rdf.createNamedNode('http://test.com/p'),
+                                                                                 store.rdf.createLiteral('3'))]), function(success) {
+                            tx.commit();
+                        });
+                    }, {timeout: 20}, function(success) {
+                        test.ok(success);
+                        setTimeout(function() {
+                            store.execute('SELECT ?s { ?s ?p ?o }', function(success, results) {
+                                test.ok(results.length === 1);
+                                test.done();
+                            });
+                        }, 40);
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testIndexedDBAtomicWrites = function(test) {
+    var FakeIndexedDB = require("./../../js-rdf-persistence/src/fake_indexed_db").FakeIndexedDB;
+    var factory = new FakeIndexedDB.Factory();
+    var params = {engine: 'indexeddb', name: 'test', indexedDB: factory, treeOrder: 2, cacheMaxSize: 4};
+
+    new Store.Store(params, function(store) {
+        var database = store.engine.backend.database;
+        var transactions = 0;
+        var transaction = database.db.transaction;
+        database.db.transaction = function(storeNames, mode) {
+            if(mode === 'readwrite') {
+                transactions++;
+            }
+            return transaction.apply(database.db, arguments);
+        };
+
+        var triples = "";
+        for(var i=0; i<30; i++) {
+            triples = triples + "<http://test.com/s"+i+"> <http://test.com/p> "+i+" . ";
+        }
+        store.execute('INSERT DATA { '+triples+' }', function(success) {
+            test.ok(success);
+            database.flush(function() {
+                // the changes of the request are written together
+                test.ok(transactions === 1);
+                store.load('text/n3', triples.replace(/test.com\/p/g, 'test.com/q'), function(success, loaded) {
+                    test.ok(loaded === 30);
+                    database.flush(function() {
+                        test.ok(transactions === 2);
+                        // the IndexedDB engine does not need a write ahead log
+                        test.ok(store.engine.log == null);
+                        store.close(function() {
+                            test.done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
+
+exports.testTransactionPersistent = function(test) {
+    var FakeIndexedDB = require("./../../js-rdf-persistence/src/fake_indexed_db").FakeIndexedDB;
+    var IndexedDBStorage = require("./../../js-rdf-persistence/src/indexed_db_storage").IndexedDBStorage;
+    var factory = new FakeIndexedDB.Factory();
+    var params = {engine: 'indexeddb', name: 'test', indexedDB: factory, treeOrder: 2};
+
+    new Store.Store(params, function(store) {
+        store.transaction(function(tx) {
+            tx.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> 1 }', function(success) {
+                test.ok(success);
+                setTimeout(function() {
+                    // nothing is written until the transaction is committed
+                    new IndexedDBStorage.Database({name: 'test', indexedDB: factory, storeNames: ['SPOG']}, function(database) {
+                        database.load('SPOG', function(records) {
+                            var quads = 0;
+                            for(var key in records) {
+                                if(key !== 'root') {
+                                    quads = quads + records[key].keys.length;
+                                }
+                            }
+                            test.ok(quads === 0);
+                            tx.execute('INSERT DATA { <http://test.com/b> <http://test.com/p> 2 }', function(success) {
+                                tx.commit();
+                            });
+                        });
+                    });
+                }, 10);
+            });
+        }, function(success) {
+            test.ok(success);
+            store.transaction(function(tx) {
+                tx.execute('DELETE DATA { <http://test.com/a> <http://test.com/p> 1 }', function(success) {
+                    tx.rollback();
+                });
+            }, function(success) {
+                test.ok(success === false);
+                store.close(function() {
+                    new Store.Store(params, function(store) {
+                        store.execute('SELECT * { ?s ?p ?o }', function(success, results) {
+                            test.ok(results.length === 2);
+                            store.checkIntegrity(function(success, result) {
+                                test.ok(result.valid);
+                                store.close(function() {
+                                    test.done();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+};
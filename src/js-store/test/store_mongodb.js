@@ -888,3 +888,26 @@ exports.testRedundantVars4 = function(test) {
     });
 
 };
+
+exports.testTransaction = function(test) {
+    new Store.Store({engine:'mongodb', name:'test', overwrite:true}, function(store) {
+        store.execute('INSERT DATA { <http://test.com/a> <http://test.com/p> 1 }', function(success) {
+            store.transaction(function(tx) {
+                tx.execute('INSERT DATA { <http://test.com/b> <http://test.com/p> 2 }', function(success) {
+                    test.ok(success);
+                    tx.execute('DELETE DATA { <http://test.com/a> <http://test.com/p> 1 }', function(success) {
+                        test.ok(success);
+                        tx.rollback();
+                    });
+                });
+            }, function(success) {
+                test.ok(success === false);
+                store.execute('SELECT ?s { ?s ?p ?o }', function(success, results) {
+                    test.ok(results.length === 1);
+                    test.ok(results[0].s.value === 'http://test.com/a');
+                    test.done();
+                });
+            });
+        });
+    });
+};
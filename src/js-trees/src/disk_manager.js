@@ -153,8 +153,10 @@ DiskManager.NodeSchema.prototype.decode = function(buffer) {
 
 
 DiskManager.Container = function(path, nodeSchema) {
-    this.wfd = fs.openSync(path, 'a+');
-    this.rfd = fs.openSync(path, 'r+');
+    // nodes are written at arbitrary positions, the file
+    // cannot be opened in append mode
+    this.wfd = fs.openSync(path, (fs.existsSync(path) ? 'r+' : 'w+'));
+    this.rfd = fs.openSync(path, 'r');
     this.freeNodePointer = 0;
     this.keyLength = null;
     this.valueLength = null;
@@ -173,16 +175,30 @@ DiskManager.Container = function(path, nodeSchema) {
 
 DiskManager.Container.prototype.close = function() {
     this._writeSuperBlock();
-    fs.close(this.wfd);
-    fs.close(this.rfd);
+    fs.closeSync(this.wfd);
+    fs.closeSync(this.rfd);
+};
+
+/**
+ * Writes the superblock and syncs the file to disk.
+ */
+DiskManager.Container.prototype.sync = function() {
+    this._writeSuperBlock();
+    fs.fsyncSync(this.wfd);
 };
 
 DiskManager.Container.prototype.format = function(keyLength, valueLength, treeOrder) {
     this.keyLength = keyLength;
     this.valueLength = valueLength;
     this.treeOrder = treeOrder;
+    this.rootNode = 0;
+    this.freeNodePointer = 0;
+    fs.ftruncateSync(this.wfd, 0);
     this.endPosition = this.superBlockSize;
     this._writeSuperBlock();
+    this.bufferCache.cache = {};
+    this.bufferCache.cacheList = [];
+    this.freeBlocksManager = new DiskManager.FreeBlocksManager(this);
     this.freeBlocksManager.init();
 };
 
@@ -243,7 +259,7 @@ DiskManager.Container.prototype._readFreeBlock = function(position) {
     if(read != this.nodeSchema.encodedSize) {
         throw new Error("Error reading free block from disk");
     } else {
-        var parsing = Binary.parse().word8('free_used'); // free/used byte
+        var parsing = Binary.parse(b).word8('free_used'); // free/used byte
         parsing.word32le('nextPointer');
         var vars = parsing.vars;
         vars.position = position;
@@ -296,7 +312,7 @@ DiskManager.Container.prototype.readNode = function(nodeKey) {
 };
 
 DiskManager.Container.prototype.deleteNode = function(node) {
-    this.bufferCache.invalidate(node.nodeKey);
+    this.bufferCache.invalidate(node);
     this.freeBlocksManager.release(node);
 };
 
@@ -325,7 +341,8 @@ DiskManager.BufferCache.prototype.fetch = function(nodeKey) {
 };
 
 DiskManager.BufferCache.prototype.insert = function(node) {
-    if(this.cache[node.nodeKey] == null && this.cacheList.length === this.cacheSize) {
+    // a cache size of 0 keeps all the nodes in the cache
+    if(this.cache[node.nodeKey] == null && this.cacheSize > 0 && this.cacheList.length === this.cacheSize) {
         var key = this.cacheList.shift();
         delete this.cache[key]
     }
@@ -353,6 +370,12 @@ DiskManager.BufferCache.prototype.invalidate = function(node) {
 
 
 
+/**
+ * Number of free blocks read from disk at once if the
+ * container has no cache size.
+ */
+DiskManager.FreeBlocksPageSize = 100;
+
 /**
  * FreeBlocksManager
  *
@@ -369,8 +392,8 @@ DiskManager.FreeBlocksManager = function(container) {
 
 DiskManager.FreeBlocksManager.prototype.init = function() {
     var nextPointer = this.container.freeNodePointer;
-    while(nextPointer != 0 && this.freeBlocksCache.length < this.container.cacheSize) {
-        var freeBlock = container._readFreeBlock(nextPointer);
+    while(nextPointer != 0 && this.freeBlocksCache.length < (this.container.cacheSize || DiskManager.FreeBlocksPageSize)) {
+        var freeBlock = this.container._readFreeBlock(nextPointer);
         var nextPointer = freeBlock.nextPointer;
         this.freeBlocksCache.push(freeBlock);
     }
@@ -386,7 +409,6 @@ DiskManager.FreeBlocksManager.prototype.next = function() {
 
         // try to load another page of free blocks
         if(this.freeBlocksCache.length===0 && this.container.freeNodePointer!=0) {
-            console.log("loading more free nodes");
             this.init();
             this.container._writeSuperBlock();
         }
@@ -401,7 +423,8 @@ DiskManager.FreeBlocksManager.prototype.release = function(node) {
     var blankNodeBuffer = Put().word8(0).word32le(this.container.freeNodePointer).pad(remainingPadding).buffer();
 
 
-    this.freeBlocksCache.push({nextPointer: this.container.freeNodePointer});
+    // the released block is the new head of the list
+    this.freeBlocksCache.unshift({nextPointer: this.container.freeNodePointer});
     this.container.freeNodePointer = position;
 
     var written = fs.writeSync(this.container.wfd, blankNodeBuffer, 0, this.container.nodeSchema.encodedSize, position);
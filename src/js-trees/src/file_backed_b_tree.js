@@ -27,6 +27,7 @@ FileBackedBTree.Tree = function(params) {
         this.nodeSchema = new this.NodeSchema(this.order);
         this.container = new DiskManager.Container(this.path, this.nodeSchema);
         this.container.cacheSize = this.cacheSize;
+        this.container.bufferCache.cacheSize = this.cacheSize;
     }
 };
 
@@ -52,6 +53,9 @@ FileBackedBTree.Tree.prototype.init = function () {
  */
 FileBackedBTree.Tree.prototype.load = function () {
     this.container.load();
+    if(this.container.treeOrder !== this.order) {
+        throw new Error("The tree stored in "+this.path+" has order "+this.container.treeOrder+" instead of "+this.order);
+    }
     this.comparator = this.paramscomparator;
     this.root = this.container.readNode(this.container.rootNode);
 };
@@ -60,6 +64,14 @@ FileBackedBTree.Tree.prototype.close = function () {
     this.container.close();
 };
 
+/**
+ * Saves the pointer to the root node and syncs the file to disk.
+ */
+FileBackedBTree.Tree.prototype.sync = function () {
+    this.container.rootNode = this.root.nodeKey;
+    this.container.sync();
+};
+
 
 FileBackedBTree.Tree.prototype._diskWrite = function (node) {
     this.container.writeNode(node);
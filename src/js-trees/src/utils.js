@@ -86,7 +86,7 @@ Utils.meanwhile = function(c,floop,fend,env) {
         floop(function(c,floop,env){
             if(env['_stack_counter'] % 40 == 39) {
                 env['_stack_counter'] = env['_stack_counter'] + 1;
-                setTimeout(function(){ Utils.neanwhile(c, floop, fend, env); }, 0);
+                setTimeout(function(){ Utils.meanwhile(c, floop, fend, env); }, 0);
             } else {
                 env['_stack_counter'] = env['_stack_counter'] + 1;
                 Utils.meanwhile(c, floop, fend, env);
@@ -392,6 +392,85 @@ Utils.lexicalFormBaseUri = function(term, env) {
     return uri;
 };
 
+/**
+ * Resolves a relative URI reference against a base URI
+ * following RFC 3986
+ */
+Utils.resolveUri = function(base, reference) {
+    var parse = function(uri) {
+        var parts = /^(([^:\/?#]+):)?(\/\/([^\/?#]*))?([^?#]*)(\?([^#]*))?(#(.*))?$/.exec(uri);
+        return {scheme: parts[2], authority: parts[4], path: parts[5], query: parts[7], fragment: parts[9]};
+    };
+    var removeDotSegments = function(path) {
+        var output = [];
+        var segments = path.split("/");
+        for(var i=0; i<segments.length; i++) {
+            var segment = segments[i];
+            if(segment === "..") {
+                if(output.length > 1 || (output.length === 1 && output[0] !== "")) {
+                    output.pop();
+                }
+                if(i === segments.length-1) {
+                    output.push("");
+                }
+            } else if(segment === ".") {
+                if(i === segments.length-1) {
+                    output.push("");
+                }
+            } else {
+                output.push(segment);
+            }
+        }
+        return output.join("/");
+    };
+
+    if(base == null || base === "") {
+        return reference;
+    }
+
+    var r = parse(reference);
+    var b = parse(base);
+    var t = {};
+    if(r.scheme != null) {
+        t = {scheme: r.scheme, authority: r.authority, path: removeDotSegments(r.path), query: r.query};
+    } else {
+        t.scheme = b.scheme;
+        if(r.authority != null) {
+            t.authority = r.authority;
+            t.path = removeDotSegments(r.path);
+            t.query = r.query;
+        } else {
+            t.authority = b.authority;
+            if(r.path === "") {
+                t.path = b.path;
+                t.query = (r.query != null ? r.query : b.query);
+            } else {
+                if(r.path.charAt(0) === "/") {
+                    t.path = removeDotSegments(r.path);
+                } else if(b.authority != null && b.path === "") {
+                    t.path = removeDotSegments("/"+r.path);
+                } else {
+                    t.path = removeDotSegments(b.path.substring(0, b.path.lastIndexOf("/")+1)+r.path);
+                }
+                t.query = r.query;
+            }
+        }
+    }
+
+    var uri = (t.scheme != null ? t.scheme+":" : "");
+    if(t.authority != null) {
+        uri = uri + "//" + t.authority;
+    }
+    uri = uri + t.path;
+    if(t.query != null) {
+        uri = uri + "?" + t.query;
+    }
+    if(r.fragment != null) {
+        uri = uri + "#" + r.fragment;
+    }
+
+    return uri;
+};
 
 Utils.lexicalFormTerm = function(term, ns) {
     if(term.token === 'uri') {